@@ -9,13 +9,21 @@ jsts = {
   version: '0.10.0',
   /** @namespace */
   algorithm: {
+    /** @namespace */
+    distance: {},
+    /** @namespace */
+    hull: {},
     /** @namespace */
     locate: {}
   },
   /** @namespace */
+  densify: {},
+  /** @namespace */
   error: {},
   /** @namespace */
   geom: {
+    /** @namespace */
+    prep: {},
     /** @namespace */
     util: {}
   },
@@ -29,6 +37,8 @@ jsts = {
     /** @namespace */
     chain: {},
     /** @namespace */
+    intervalrtree: {},
+    /** @namespace */
     kdtree: {},
     /** @namespace */
     quadtree: {},
@@ -38,7 +48,12 @@ jsts = {
   /** @namespace */
   io: {},
   /** @namespace */
-  noding: {},
+  linearref: {},
+  /** @namespace */
+  noding: {
+    /** @namespace */
+    snapround: {}
+  },
   /** @namespace */
   operation: {
     /** @namespace */
@@ -46,11 +61,17 @@ jsts = {
     /** @namespace */
     distance: {},
     /** @namespace */
+    linemerge: {},
+    /** @namespace */
     overlay: {
       /** @namespace */
       snap: {}
     },
     /** @namespace */
+    polygonize: {},
+    /** @namespace */
+    predicate: {},
+    /** @namespace */
     relate: {},
     /** @namespace */
     union: {},
@@ -58,11 +79,18 @@ jsts = {
     valid: {}
   },
   /** @namespace */
-  planargraph: {},
+  planargraph: {
+    /** @namespace */
+    algorithm: {}
+  },
+  /** @namespace */
+  precision: {},
   /** @namespace */
   simplify: {},
   /** @namespace */
   triangulate: {
+    /** @namespace */
+    polygon: {},
     /** @namespace */
     quadedge: {}
   },
@@ -78,6 +106,34 @@ jsts.abstractFunc = function() {
   throw new jsts.error.AbstractMethodInvocationError();
 };
 
+
+/**
+ * Sets up the prototype chain of a class so that it extends a parent class.
+ * The members of any further classes or objects given are copied onto the
+ * prototype, which is used to mix in interfaces and abstract classes.
+ *
+ * @param {function}
+ *          C the class to set up.
+ * @param {function}
+ *          P the parent class.
+ */
+jsts.inherit = function(C, P) {
+  var F = function() {
+  };
+  F.prototype = P.prototype;
+  C.prototype = new F();
+  C.prototype.constructor = C;
+  for (var i = 2; i < arguments.length; i++) {
+    var mixin = arguments[i];
+    if (typeof mixin === 'function') {
+      mixin = mixin.prototype;
+    }
+    for (var key in mixin) {
+      C.prototype[key] = mixin[key];
+    }
+  }
+};
+
 jsts.error = {};
 
 
@@ -104,6 +160,196 @@ jsts.error.TopologyError.prototype = new Error();
 
 
 
+/**
+ * Indicates that noding did not produce a fully noded arrangement. The interior
+ * intersections which remained unresolved are reported.
+ *
+ * @param {string}
+ *          message the error message.
+ * @param {jsts.geom.Coordinate[]}
+ *          intersections the unresolved interior intersection points.
+ * @extends {jsts.error.TopologyError}
+ * @constructor
+ */
+jsts.error.NodingError = function(message, intersections) {
+  this.name = 'NodingError';
+  this.intersections = intersections || [];
+  this.message = this.intersections.length > 0 ? message + ' [ ' +
+      this.intersections.join(', ') + ' ]' : message;
+};
+jsts.error.NodingError.prototype = new jsts.error.TopologyError();
+
+
+/**
+ * @return {jsts.geom.Coordinate[]} the unresolved interior intersections.
+ */
+jsts.error.NodingError.prototype.getIntersections = function() {
+  return this.intersections;
+};
+
+
+
+/**
+ * Contains information about the nature and location of a {@link Geometry}
+ * validation error.
+ *
+ * @param {number}
+ *          errorType the type of this error.
+ * @param {jsts.geom.Coordinate}
+ *          [pt] the location of the error.
+ * @constructor
+ */
+jsts.error.TopologyValidationError = function(errorType, pt) {
+  this.name = 'TopologyValidationError';
+  this.errorType = errorType;
+  this.pt = pt ? new jsts.geom.Coordinate(pt) : null;
+  this.message = this.toString();
+};
+jsts.error.TopologyValidationError.prototype = new Error();
+
+
+/**
+ * Not used
+ *
+ * @deprecated
+ */
+jsts.error.TopologyValidationError.ERROR = 0;
+
+
+/**
+ * No longer used - repeated points are considered valid as per the SFS
+ *
+ * @deprecated
+ */
+jsts.error.TopologyValidationError.REPEATED_POINT = 1;
+
+
+/**
+ * Indicates that a hole of a polygon lies partially or completely in the
+ * exterior of the shell
+ */
+jsts.error.TopologyValidationError.HOLE_OUTSIDE_SHELL = 2;
+
+
+/**
+ * Indicates that a hole lies in the interior of another hole in the same
+ * polygon
+ */
+jsts.error.TopologyValidationError.NESTED_HOLES = 3;
+
+
+/**
+ * Indicates that the interior of a polygon is disjoint (often caused by set of
+ * contiguous holes splitting the polygon into two parts)
+ */
+jsts.error.TopologyValidationError.DISCONNECTED_INTERIOR = 4;
+
+
+/**
+ * Indicates that two rings of a polygonal geometry intersect
+ */
+jsts.error.TopologyValidationError.SELF_INTERSECTION = 5;
+
+
+/**
+ * Indicates that a ring self-intersects
+ */
+jsts.error.TopologyValidationError.RING_SELF_INTERSECTION = 6;
+
+
+/**
+ * Indicates that a polygon component of a MultiPolygon lies inside another
+ * polygonal component
+ */
+jsts.error.TopologyValidationError.NESTED_SHELLS = 7;
+
+
+/**
+ * Indicates that a polygonal geometry contains two rings which are identical
+ */
+jsts.error.TopologyValidationError.DUPLICATE_RINGS = 8;
+
+
+/**
+ * Indicates that either a LineString contains a single point or a LinearRing
+ * contains 2 or 3 points
+ */
+jsts.error.TopologyValidationError.TOO_FEW_POINTS = 9;
+
+
+/**
+ * Indicates that the <code>X</code> or <code>Y</code> ordinate of a
+ * Coordinate is not a valid numeric value (e.g. {@link Double#NaN} )
+ */
+jsts.error.TopologyValidationError.INVALID_COORDINATE = 10;
+
+
+/**
+ * Indicates that a ring is not correctly closed (the first and the last
+ * coordinate are different)
+ */
+jsts.error.TopologyValidationError.RING_NOT_CLOSED = 11;
+
+
+/**
+ * Messages corresponding to error codes
+ *
+ * @type {string[]}
+ */
+jsts.error.TopologyValidationError.errMsg = ['Topology Validation Error',
+  'Repeated Point', 'Hole lies outside shell', 'Holes are nested',
+  'Interior is disconnected', 'Self-intersection', 'Ring Self-intersection',
+  'Nested shells', 'Duplicate Rings',
+  'Too few distinct points in geometry component', 'Invalid Coordinate',
+  'Ring is not closed'];
+
+
+/**
+ * Returns the location of this error (on the {@link Geometry} containing the
+ * error).
+ *
+ * @return {jsts.geom.Coordinate} a {@link Coordinate} on the input geometry.
+ */
+jsts.error.TopologyValidationError.prototype.getCoordinate = function() {
+  return this.pt;
+};
+
+
+/**
+ * Gets the type of this error.
+ *
+ * @return {number} the error type.
+ */
+jsts.error.TopologyValidationError.prototype.getErrorType = function() {
+  return this.errorType;
+};
+
+
+/**
+ * Gets an error message describing this error. The error message does not
+ * describe the location of the error.
+ *
+ * @return {string} the error message.
+ */
+jsts.error.TopologyValidationError.prototype.getMessage = function() {
+  return jsts.error.TopologyValidationError.errMsg[this.errorType];
+};
+
+
+/**
+ * Gets a message describing the type and location of this error.
+ *
+ * @return {string} the error message.
+ */
+jsts.error.TopologyValidationError.prototype.toString = function() {
+  var locStr = '';
+  if (this.pt !== null)
+    locStr = ' at or near point ' + this.pt;
+  return this.getMessage() + locStr;
+};
+
+
+
 /**
  * @constructor
  */
@@ -145,3 +391,39 @@ jsts.error.LocateFailureError = function(message) {
   this.message = message;
 };
 jsts.error.LocateFailureError.prototype = new Error();
+
+
+
+/**
+ * Indicates a failure during constraint enforcement in a conforming
+ * triangulation, such as failing to converge on a set of split points.
+ *
+ * @param {string}
+ *          message a description of the problem.
+ * @param {jsts.geom.Coordinate}
+ *          [pt] the location of the problem.
+ * @constructor
+ */
+jsts.error.ConstraintEnforcementError = function(message, pt) {
+  this.name = 'ConstraintEnforcementError';
+  this.message = pt ? message + ' [ ' + pt + ' ]' : message;
+};
+jsts.error.ConstraintEnforcementError.prototype = new Error();
+
+
+
+/**
+ * Thrown by a reader when its input is not in the expected format.
+ *
+ * @param {string}
+ *          message a description of the problem.
+ * @param {number}
+ *          [position] the offset in the input at which parsing failed.
+ * @constructor
+ */
+jsts.error.ParseError = function(message, position) {
+  this.name = 'ParseError';
+  this.message = position !== undefined ? message + ' at position ' +
+      position : message;
+};
+jsts.error.ParseError.prototype = new Error();
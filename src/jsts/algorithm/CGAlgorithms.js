@@ -566,3 +566,42 @@ jsts.algorithm.CGAlgorithms.signedArea = function(ring) {
 
   return -sum / 2.0;
 };
+
+
+/**
+ * Computes the length of a linestring specified by a sequence of points.
+ * Named <code>length</code> in JTS, which cannot be assigned to a function in
+ * JavaScript.
+ *
+ * @param {Array{jsts.geom.Coordinate}}
+ *        pts the points specifying the linestring
+ * @return {Number}
+ *         the length of the linestring.
+ */
+jsts.algorithm.CGAlgorithms.computeLength = function(pts) {
+  var n, len, p, x0, y0, i, x1, y1, dx, dy;
+
+  n = pts.length;
+  if (n <= 1) {
+    return 0.0;
+  }
+
+  len = 0.0;
+  p = pts[0];
+
+  x0 = p.x;
+  y0 = p.y;
+
+  for (i = 1; i < n; i++) {
+    p = pts[i];
+    x1 = p.x;
+    y1 = p.y;
+    dx = x1 - x0;
+    dy = y1 - y0;
+    len += Math.sqrt(dx * dx + dy * dy);
+    x0 = x1;
+    y0 = y1;
+  }
+
+  return len;
+};
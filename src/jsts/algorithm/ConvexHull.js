@@ -8,6 +8,7 @@
 
   /**
    * @requires jsts/algorithm/CGAlgorithms.js
+   * @requires jsts/geom/CoordinateList.js
    * @requires jsts/util/UniqueCoordinateArrayFilter.js
    * @requires jsts/util/Assert.js
    */
@@ -18,6 +19,7 @@
   var Stack = javascript.util.Stack;
   var ArrayList = javascript.util.ArrayList;
   var Arrays = javascript.util.Arrays;
+  var TreeSet = javascript.util.TreeSet;
 
   /**
    * Compares {@link Coordinate}s for their angle and distance relative to an
@@ -98,7 +100,12 @@
       this.inputPts = jsts.algorithm.ConvexHull.extractCoordinates(geometry);
       this.geomFactory = geometry.getFactory();
     } else {
-      this.pts = arguments[0];
+      var pts = arguments[0];
+      var filter = new UniqueCoordinateArrayFilter();
+      for (var i = 0; i < pts.length; i++) {
+        filter.filter(pts[i]);
+      }
+      this.inputPts = filter.getCoordinates();
       this.geomFactory = arguments[1];
     }
   };
@@ -139,7 +146,7 @@
     var reducedPts = this.inputPts;
     // use heuristic to reduce points, if large
     if (this.inputPts.length > 50) {
-      reducedPts = this.reduce(inputPts);
+      reducedPts = this.reduce(this.inputPts);
     }
     // sort points for Graham scan.
     var sortedPts = this.preSort(reducedPts);
@@ -210,7 +217,7 @@
    */
   jsts.algorithm.ConvexHull.prototype.padArray3 = function(pts) {
     var pad = [];
-    for (var i = 0; i < pad.length; i++) {
+    for (var i = 0; i < 3; i++) {
       if (i < pts.length) {
         pad[i] = pts[i];
       } else
@@ -307,15 +314,14 @@
    */
   jsts.algorithm.ConvexHull.prototype.computeOctRing = function(inputPts) {
     var octPts = this.computeOctPts(inputPts);
-    var coordList = new CoordinateList();
-    coordList.add(octPts, false);
+    var coordList = new jsts.geom.CoordinateList(octPts, false);
 
     // points must all lie in a line
-    if (coordList.size() < 3) {
+    if (coordList.length < 3) {
       return null;
     }
     coordList.closeRing();
-    return coordList.toCoordinateArray();
+    return coordList.toArray();
   };
 
   /**
@@ -323,7 +329,7 @@
    */
   jsts.algorithm.ConvexHull.prototype.computeOctPts = function(inputPts) {
     var pts = [];
-    for (var j = 0; j < pts.length; j++) {
+    for (var j = 0; j < 8; j++) {
       pts[j] = inputPts[0];
     }
     for (var i = 1; i < inputPts.length; i++) {
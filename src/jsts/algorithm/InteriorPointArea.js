@@ -0,0 +1,183 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * Computes a point in the interior of an areal geometry.
+ * <h2>Algorithm</h2>
+ * <ul>
+ * <li>Find the intersections between the geometry and the horizontal bisector
+ * of the area's envelope
+ * <li>Pick the midpoint of the largest intersection (the intersections will be
+ * lines and points)
+ * </ul>
+ * <b> Note: </b> If a fixed precision model is used, in some cases this method
+ * may return a point which does not lie in the interior.
+ *
+ * @param {jsts.geom.Geometry}
+ *          g the geometry to analyze.
+ * @constructor
+ */
+jsts.algorithm.InteriorPointArea = function(g) {
+  this.factory = g.getFactory();
+  this.add(g);
+};
+
+
+/**
+ * @param {number}
+ *          a a number.
+ * @param {number}
+ *          b another number.
+ * @return {number} the average of the numbers.
+ * @private
+ */
+jsts.algorithm.InteriorPointArea.avg = function(a, b) {
+  return (a + b) / 2.0;
+};
+
+
+/**
+ * Returns the centre point of an envelope.
+ *
+ * @param {jsts.geom.Envelope}
+ *          envelope the envelope to analyze.
+ * @return {jsts.geom.Coordinate} the centre of the envelope.
+ */
+jsts.algorithm.InteriorPointArea.centre = function(envelope) {
+  var avg = jsts.algorithm.InteriorPointArea.avg;
+  return new jsts.geom.Coordinate(avg(envelope.getMinX(), envelope.getMaxX()),
+      avg(envelope.getMinY(), envelope.getMaxY()));
+};
+
+
+/**
+ * @type {jsts.geom.GeometryFactory}
+ * @private
+ */
+jsts.algorithm.InteriorPointArea.prototype.factory = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.InteriorPointArea.prototype.interiorPoint = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.algorithm.InteriorPointArea.prototype.maxWidth = 0.0;
+
+
+/**
+ * Gets the computed interior point.
+ *
+ * @return {jsts.geom.Coordinate} the coordinate of an interior point.
+ */
+jsts.algorithm.InteriorPointArea.prototype.getInteriorPoint = function() {
+  return this.interiorPoint;
+};
+
+
+/**
+ * Tests the interior vertices (if any) defined by an areal Geometry for the
+ * best inside point. If a component Geometry is not of dimension 2 it is not
+ * tested.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to add.
+ * @private
+ */
+jsts.algorithm.InteriorPointArea.prototype.add = function(geom) {
+  if (geom instanceof jsts.geom.Polygon) {
+    this.addPolygon(geom);
+  } else if (geom instanceof jsts.geom.GeometryCollection) {
+    for (var i = 0; i < geom.getNumGeometries(); i++) {
+      this.add(geom.getGeometryN(i));
+    }
+  }
+};
+
+
+/**
+ * Finds a reasonable point at which to label a Geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geometry the geometry to analyze.
+ * @private
+ */
+jsts.algorithm.InteriorPointArea.prototype.addPolygon = function(geometry) {
+  if (geometry.isEmpty()) {
+    return;
+  }
+
+  var intPt;
+  var width = 0;
+
+  var bisector = this.horizontalBisector(geometry);
+  if (bisector.getLength() === 0.0) {
+    width = 0;
+    intPt = bisector.getCoordinate();
+  } else {
+    var intersections = bisector.intersection(geometry);
+    var widestIntersection = this.widestGeometry(intersections);
+    width = widestIntersection.getEnvelopeInternal().getWidth();
+    intPt = jsts.algorithm.InteriorPointArea.centre(widestIntersection
+        .getEnvelopeInternal());
+  }
+  if (this.interiorPoint === null || width > this.maxWidth) {
+    this.interiorPoint = intPt;
+    this.maxWidth = width;
+  }
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          geometry a geometry.
+ * @return {jsts.geom.Geometry} the widest element of a collection, or the
+ *         geometry itself if it is not a collection.
+ * @private
+ */
+jsts.algorithm.InteriorPointArea.prototype.widestGeometry = function(
+    geometry) {
+  if (!(geometry instanceof jsts.geom.GeometryCollection) ||
+      geometry.isEmpty()) {
+    return geometry;
+  }
+
+  var widestGeometry = geometry.getGeometryN(0);
+  for (var i = 1; i < geometry.getNumGeometries(); i++) {
+    if (geometry.getGeometryN(i).getEnvelopeInternal().getWidth() >
+        widestGeometry.getEnvelopeInternal().getWidth()) {
+      widestGeometry = geometry.getGeometryN(i);
+    }
+  }
+  return widestGeometry;
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          geometry a geometry.
+ * @return {jsts.geom.LineString} the horizontal line through the middle of the
+ *         envelope of the geometry.
+ * @protected
+ */
+jsts.algorithm.InteriorPointArea.prototype.horizontalBisector = function(
+    geometry) {
+  var envelope = geometry.getEnvelopeInternal();
+
+  var avgY = jsts.algorithm.InteriorPointArea.avg(envelope.getMinY(),
+      envelope.getMaxY());
+  return this.factory.createLineString([
+    new jsts.geom.Coordinate(envelope.getMinX(), avgY),
+    new jsts.geom.Coordinate(envelope.getMaxX(), avgY)]);
+};
@@ -0,0 +1,133 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * Computes a point in the interior of an linear geometry.
+ * <h2>Algorithm</h2>
+ * <ul>
+ * <li>Find an interior vertex which is closest to the centroid of the
+ * linestring.
+ * <li>If there is no interior vertex, find the endpoint which is closest to
+ * the centroid.
+ * </ul>
+ *
+ * @param {jsts.geom.Geometry}
+ *          g the geometry to analyze.
+ * @constructor
+ */
+jsts.algorithm.InteriorPointLine = function(g) {
+  this.centroid = g.getCentroid().getCoordinate();
+  this.addInterior(g);
+  if (this.interiorPoint === null) {
+    this.addEndpoints(g);
+  }
+};
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.InteriorPointLine.prototype.centroid = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.algorithm.InteriorPointLine.prototype.minDistance = Number.MAX_VALUE;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.InteriorPointLine.prototype.interiorPoint = null;
+
+
+/**
+ * Tests the interior vertices (if any) defined by a linear Geometry for the
+ * best inside point. If a Geometry is not of dimension 1 it is not tested.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to add.
+ * @private
+ */
+jsts.algorithm.InteriorPointLine.prototype.addInterior = function(geom) {
+  if (geom instanceof jsts.geom.LineString) {
+    this.addInterior2(geom.getCoordinates());
+  } else if (geom instanceof jsts.geom.GeometryCollection) {
+    for (var i = 0; i < geom.getNumGeometries(); i++) {
+      this.addInterior(geom.getGeometryN(i));
+    }
+  }
+};
+
+
+/**
+ * @param {jsts.geom.Coordinate[]}
+ *          pts the coordinates of a linestring.
+ * @private
+ */
+jsts.algorithm.InteriorPointLine.prototype.addInterior2 = function(pts) {
+  for (var i = 1; i < pts.length - 1; i++) {
+    this.add(pts[i]);
+  }
+};
+
+
+/**
+ * Tests the endpoint vertices defined by a linear Geometry for the best inside
+ * point. If a Geometry is not of dimension 1 it is not tested.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to add.
+ * @private
+ */
+jsts.algorithm.InteriorPointLine.prototype.addEndpoints = function(geom) {
+  if (geom instanceof jsts.geom.LineString) {
+    this.addEndpoints2(geom.getCoordinates());
+  } else if (geom instanceof jsts.geom.GeometryCollection) {
+    for (var i = 0; i < geom.getNumGeometries(); i++) {
+      this.addEndpoints(geom.getGeometryN(i));
+    }
+  }
+};
+
+
+/**
+ * @param {jsts.geom.Coordinate[]}
+ *          pts the coordinates of a linestring.
+ * @private
+ */
+jsts.algorithm.InteriorPointLine.prototype.addEndpoints2 = function(pts) {
+  this.add(pts[0]);
+  this.add(pts[pts.length - 1]);
+};
+
+
+/**
+ * @param {jsts.geom.Coordinate}
+ *          point a candidate point.
+ * @private
+ */
+jsts.algorithm.InteriorPointLine.prototype.add = function(point) {
+  var dist = point.distance(this.centroid);
+  if (dist < this.minDistance) {
+    this.interiorPoint = new jsts.geom.Coordinate(point);
+    this.minDistance = dist;
+  }
+};
+
+
+/**
+ * @return {jsts.geom.Coordinate} the interior point.
+ */
+jsts.algorithm.InteriorPointLine.prototype.getInteriorPoint = function() {
+  return this.interiorPoint;
+};
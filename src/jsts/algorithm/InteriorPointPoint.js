@@ -0,0 +1,83 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * Computes a point in the interior of an point geometry.
+ * <h2>Algorithm</h2>
+ * Find a point which is closest to the centroid of the geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          g the geometry to analyze.
+ * @constructor
+ */
+jsts.algorithm.InteriorPointPoint = function(g) {
+  this.centroid = g.getCentroid().getCoordinate();
+  this.add(g);
+};
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.InteriorPointPoint.prototype.centroid = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.algorithm.InteriorPointPoint.prototype.minDistance = Number.MAX_VALUE;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.InteriorPointPoint.prototype.interiorPoint = null;
+
+
+/**
+ * Tests the point(s) defined by a Geometry for the best inside point. If a
+ * Geometry is not of dimension 0 it is not tested.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to add.
+ * @private
+ */
+jsts.algorithm.InteriorPointPoint.prototype.add = function(geom) {
+  if (geom instanceof jsts.geom.Point) {
+    this.add2(geom.getCoordinate());
+  } else if (geom instanceof jsts.geom.GeometryCollection) {
+    for (var i = 0; i < geom.getNumGeometries(); i++) {
+      this.add(geom.getGeometryN(i));
+    }
+  }
+};
+
+
+/**
+ * @param {jsts.geom.Coordinate}
+ *          point a candidate point.
+ * @private
+ */
+jsts.algorithm.InteriorPointPoint.prototype.add2 = function(point) {
+  var dist = point.distance(this.centroid);
+  if (dist < this.minDistance) {
+    this.interiorPoint = new jsts.geom.Coordinate(point);
+    this.minDistance = dist;
+  }
+};
+
+
+/**
+ * @return {jsts.geom.Coordinate} the interior point.
+ */
+jsts.algorithm.InteriorPointPoint.prototype.getInteriorPoint = function() {
+  return this.interiorPoint;
+};
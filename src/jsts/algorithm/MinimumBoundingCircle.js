@@ -0,0 +1,387 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/Angle.js
+   * @requires jsts/algorithm/ConvexHull.js
+   * @requires jsts/geom/Triangle.js
+   * @requires jsts/util/Assert.js
+   */
+
+  var Angle = jsts.algorithm.Angle;
+
+
+
+  /**
+   * Computes the <b>Minimum Bounding Circle</b> (MBC) for the points in a
+   * {@link Geometry}. The MBC is the smallest circle which <tt>cover</tt>s
+   * all the input points (this is also known as the <b>Smallest Enclosing
+   * Circle</b>). This is equivalent to computing the Maximum Diameter of the
+   * input point set.
+   * <p>
+   * The computed circle can be specified in two equivalent ways, both of
+   * which are provide as output by this class:
+   * <ul>
+   * <li>As a centre point and a radius
+   * <li>By the set of points defining the circle. Depending on the number of
+   * points in the input and their relative positions, this set contains from
+   * 0 to 3 points.
+   * <ul>
+   * <li>0 or 1 points indicate an empty or trivial input point arrangement.
+   * <li>2 points define a circle which has the two points as a diameter.
+   * <li>3 points define a circle which has the three points on its boundary
+   * (the circumcircle of the triangle they form).
+   * </ul>
+   * </ul>
+   * The class can also output a {@link Geometry} which approximates the
+   * shape of the Minimum Bounding Circle (although as an approximation it is
+   * <b>not</b> guaranteed to <tt>cover</tt> all the input points.)
+   * <p>
+   * The circle is found by wrapping the points of the {@link ConvexHull} of
+   * the input, since the MBC of a point set is determined by its hull.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to compute the circle for.
+   * @constructor
+   */
+  jsts.algorithm.MinimumBoundingCircle = function(geom) {
+    this.input = geom;
+  };
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.input = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.Coordinate>}
+   * @private
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.extremalPts = null;
+
+
+  /**
+   * @type {jsts.geom.Coordinate}
+   * @private
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.centre = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.radius = 0.0;
+
+
+  /**
+   * Gets a geometry which represents the Minimum Bounding Circle. If the
+   * input is degenerate (empty or a single unique point), this method will
+   * return an empty geometry or a single Point geometry. Otherwise, a Polygon
+   * will be returned which approximates the Minimum Bounding Circle. (Note
+   * that because the computed polygon is only an approximation, it may not
+   * precisely contain all the input points.)
+   *
+   * @return {jsts.geom.Geometry} a Geometry representing the Minimum Bounding
+   *         Circle.
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.getCircle = function() {
+    this.compute();
+    if (this.centre === null)
+      return this.input.getFactory().createPolygon(null, null);
+    var centrePoint = this.input.getFactory().createPoint(this.centre);
+    if (this.radius === 0.0)
+      return centrePoint;
+    return centrePoint.buffer(this.radius);
+  };
+
+
+  /**
+   * Gets a geometry representing a line between the two farthest points in
+   * the input. These points will be two of the extremal points of the
+   * Minimum Bounding Circle. They also lie on the convex hull of the input.
+   *
+   * @return {jsts.geom.Geometry} a LineString between the two farthest
+   *         points of the input, a Point if the input is a single point, or
+   *         an empty LineString if the input is empty.
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.getFarthestPoints = function() {
+    this.compute();
+    switch (this.extremalPts.length) {
+      case 0:
+        return this.input.getFactory().createLineString([]);
+      case 1:
+        return this.input.getFactory().createPoint(this.centre);
+    }
+    var p0 = this.extremalPts[0];
+    var p1 = this.extremalPts[this.extremalPts.length - 1];
+    return this.input.getFactory().createLineString([p0, p1]);
+  };
+
+
+  /**
+   * Gets a geometry representing the diameter of the computed Minimum
+   * Bounding Circle.
+   *
+   * @return {jsts.geom.Geometry} the diameter LineString of the Minimum
+   *         Bounding Circle, a Point if the input is a single point, or an
+   *         empty LineString if the input is empty.
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.getDiameter = function() {
+    this.compute();
+    switch (this.extremalPts.length) {
+      case 0:
+        return this.input.getFactory().createLineString([]);
+      case 1:
+        return this.input.getFactory().createPoint(this.centre);
+    }
+    var p0 = this.extremalPts[0];
+    var p1 = this.extremalPts[1];
+    return this.input.getFactory().createLineString([p0, p1]);
+  };
+
+
+  /**
+   * Gets the extremal points which define the computed Minimum Bounding
+   * Circle. There may be zero, one, two or three of these points, depending
+   * on the number of points in the input and the geometry of those points.
+   *
+   * @return {Array.<jsts.geom.Coordinate>} the points defining the Minimum
+   *         Bounding Circle.
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.getExtremalPoints = function() {
+    this.compute();
+    return this.extremalPts;
+  };
+
+
+  /**
+   * Gets the centre point of the computed Minimum Bounding Circle.
+   *
+   * @return {jsts.geom.Coordinate} the centre point of the Minimum Bounding
+   *         Circle or null if the input is empty.
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.getCentre = function() {
+    this.compute();
+    return this.centre;
+  };
+
+
+  /**
+   * Gets the radius of the computed Minimum Bounding Circle.
+   *
+   * @return {number} the radius of the Minimum Bounding Circle.
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.getRadius = function() {
+    this.compute();
+    return this.radius;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.computeCentre = function() {
+    var pts = this.extremalPts;
+    switch (pts.length) {
+      case 0:
+        this.centre = null;
+        break;
+      case 1:
+        this.centre = pts[0];
+        break;
+      case 2:
+        this.centre = new jsts.geom.Coordinate((pts[0].x + pts[1].x) / 2.0,
+            (pts[0].y + pts[1].y) / 2.0);
+        break;
+      case 3:
+        this.centre = jsts.geom.Triangle.circumcentre(pts[0], pts[1], pts[2]);
+        break;
+    }
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.compute = function() {
+    if (this.extremalPts !== null)
+      return;
+
+    this.computeCirclePoints();
+    this.computeCentre();
+    if (this.centre !== null)
+      this.radius = this.centre.distance(this.extremalPts[0]);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.algorithm.MinimumBoundingCircle.prototype.computeCirclePoints = function() {
+    // handle degenerate or trivial cases
+    if (this.input.isEmpty()) {
+      this.extremalPts = [];
+      return;
+    }
+    if (this.input.getNumPoints() === 1) {
+      this.extremalPts = [new jsts.geom.Coordinate(this.input.getCoordinate())];
+      return;
+    }
+
+    // The problem is simplified by reducing to the convex hull. Computing
+    // the convex hull also has the useful effect of eliminating duplicate
+    // points
+    var convexHull = this.input.convexHull();
+
+    var hullPts = convexHull.getCoordinates();
+
+    // strip duplicate final point, if any. A hull of coincident points is a
+    // single point, which is kept
+    var pts = hullPts;
+    if (hullPts.length > 1 &&
+        hullPts[0].equals2D(hullPts[hullPts.length - 1])) {
+      pts = hullPts.slice(0, hullPts.length - 1);
+    }
+
+    // Optimization for the trivial case where the CH has fewer than 3 points
+    if (pts.length <= 2) {
+      this.extremalPts = copyDeep(pts);
+      return;
+    }
+
+    // find a point P with minimum Y ordinate
+    var P = lowestPoint(pts);
+
+    // find a point Q such that the angle that PQ makes with the x-axis is
+    // minimal
+    var Q = pointWithMinAngleWithX(pts, P);
+
+    // Iterate over the remaining points to find a pair or triplet of points
+    // which determine the minimal circle. By the design of the algorithm, at
+    // most <tt>pts.length</tt> iterations are required to terminate with a
+    // correct result.
+    for (var i = 0; i < pts.length; i++) {
+      var R = pointWithMinAngleWithSegment(pts, P, Q);
+
+      // if PRQ is obtuse, then MBC is determined by P and Q
+      if (Angle.isObtuse(P, R, Q)) {
+        this.extremalPts = copyDeep([P, Q]);
+        return;
+      }
+      // if RPQ is obtuse, update baseline and iterate
+      if (Angle.isObtuse(R, P, Q)) {
+        P = R;
+        continue;
+      }
+      // if RQP is obtuse, update baseline and iterate
+      if (Angle.isObtuse(R, Q, P)) {
+        Q = R;
+        continue;
+      }
+      // otherwise all angles are acute, and the MBC is determined by the
+      // triangle PQR
+      this.extremalPts = copyDeep([P, Q, R]);
+      return;
+    }
+    jsts.util.Assert.shouldNeverReachHere(
+        'Logic failure in Minimum Bounding Circle algorithm!');
+  };
+
+
+  /**
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the coordinates to copy.
+   * @return {Array.<jsts.geom.Coordinate>} copies of the coordinates.
+   */
+  var copyDeep = function(pts) {
+    var copy = [];
+    for (var i = 0; i < pts.length; i++) {
+      copy.push(new jsts.geom.Coordinate(pts[i]));
+    }
+    return copy;
+  };
+
+
+  /**
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the hull points.
+   * @return {jsts.geom.Coordinate} a point with minimum y ordinate.
+   */
+  var lowestPoint = function(pts) {
+    var min = pts[0];
+    for (var i = 1; i < pts.length; i++) {
+      if (pts[i].y < min.y)
+        min = pts[i];
+    }
+    return min;
+  };
+
+
+  /**
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the hull points.
+   * @param {jsts.geom.Coordinate}
+   *          P the base point.
+   * @return {jsts.geom.Coordinate} the point making the smallest angle with
+   *         the x-axis from P.
+   */
+  var pointWithMinAngleWithX = function(pts, P) {
+    var minSin = Number.MAX_VALUE;
+    var minAngPt = null;
+    for (var i = 0; i < pts.length; i++) {
+      var p = pts[i];
+      if (p === P)
+        continue;
+
+      // The sin of the angle is a simpler proxy for the angle itself
+      var dx = p.x - P.x;
+      var dy = Math.abs(p.y - P.y);
+      var len = Math.sqrt(dx * dx + dy * dy);
+      var sin = dy / len;
+
+      if (sin < minSin) {
+        minSin = sin;
+        minAngPt = p;
+      }
+    }
+    return minAngPt;
+  };
+
+
+  /**
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the hull points.
+   * @param {jsts.geom.Coordinate}
+   *          P an end of the base segment.
+   * @param {jsts.geom.Coordinate}
+   *          Q the other end of the base segment.
+   * @return {jsts.geom.Coordinate} the point subtending the smallest angle
+   *         with segment PQ.
+   */
+  var pointWithMinAngleWithSegment = function(pts, P, Q) {
+    var minAng = Number.MAX_VALUE;
+    var minAngPt = null;
+    for (var i = 0; i < pts.length; i++) {
+      var p = pts[i];
+      if (p === P || p === Q)
+        continue;
+
+      var ang = Angle.angleBetween(P, p, Q);
+      if (ang < minAng) {
+        minAng = ang;
+        minAngPt = p;
+      }
+    }
+    return minAngPt;
+  };
+
+})();
@@ -0,0 +1,399 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/algorithm/ConvexHull.js
+ * @requires jsts/geom/LineSegment.js
+ */
+
+
+
+/**
+ * Computes the minimum diameter of a {@link Geometry}. The minimum diameter
+ * is defined to be the width of the smallest band that contains the geometry,
+ * where a band is a strip of the plane defined by two parallel lines. This
+ * can be thought of as the smallest hole that the geometry can be moved
+ * through, with a single rotation.
+ * <p>
+ * The first step in the algorithm is computing the convex hull of the
+ * Geometry. If the input Geometry is known to be convex, a hint can be
+ * supplied to avoid this computation.
+ * <p>
+ * This class can also be used to compute a line segment representing the
+ * minimum diameter, the supporting line segment of the minimum diameter, and
+ * a minimum rectangle enclosing the input geometry. This rectangle will have
+ * width equal to the minimum diameter, and have one side parallel to the
+ * supporting segment.
+ *
+ * @see ConvexHull
+ *
+ * @param {jsts.geom.Geometry}
+ *          inputGeom a Geometry.
+ * @param {boolean}
+ *          [isConvex] true if the input geometry is convex.
+ * @constructor
+ */
+jsts.algorithm.MinimumDiameter = function(inputGeom, isConvex) {
+  this.inputGeom = inputGeom;
+  this.isConvex = isConvex === true;
+  this.minBaseSeg = new jsts.geom.LineSegment();
+};
+
+
+/**
+ * Gets the minimum rectangular {@link Polygon} which encloses the input
+ * geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry.
+ * @return {jsts.geom.Geometry} the minimum rectangle enclosing the geometry.
+ */
+jsts.algorithm.MinimumDiameter.getMinimumRectangle = function(geom) {
+  return new jsts.algorithm.MinimumDiameter(geom).getMinimumRectangle();
+};
+
+
+/**
+ * Gets the length of the minimum diameter enclosing a geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry.
+ * @return {jsts.geom.LineString} the length of the minimum diameter of the
+ *         geometry.
+ */
+jsts.algorithm.MinimumDiameter.getMinimumDiameter = function(geom) {
+  return new jsts.algorithm.MinimumDiameter(geom).getDiameter();
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.inputGeom = null;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.isConvex = false;
+
+
+/**
+ * @type {Array.<jsts.geom.Coordinate>}
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.convexHullPts = null;
+
+
+/**
+ * @type {jsts.geom.LineSegment}
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.minBaseSeg = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.minWidthPt = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.minPtIndex = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.minWidth = 0.0;
+
+
+/**
+ * Gets the length of the minimum diameter of the input Geometry.
+ *
+ * @return {number} the length of the minimum diameter.
+ */
+jsts.algorithm.MinimumDiameter.prototype.getLength = function() {
+  this.computeMinimumDiameter();
+  return this.minWidth;
+};
+
+
+/**
+ * Gets the {@link Coordinate} forming one end of the minimum diameter.
+ *
+ * @return {jsts.geom.Coordinate} a coordinate forming one end of the minimum
+ *         diameter.
+ */
+jsts.algorithm.MinimumDiameter.prototype.getWidthCoordinate = function() {
+  this.computeMinimumDiameter();
+  return this.minWidthPt;
+};
+
+
+/**
+ * Gets the segment forming the base of the minimum diameter.
+ *
+ * @return {jsts.geom.LineString} the segment forming the base of the minimum
+ *         diameter.
+ */
+jsts.algorithm.MinimumDiameter.prototype.getSupportingSegment = function() {
+  this.computeMinimumDiameter();
+  if (this.minBaseSeg === null)
+    return this.inputGeom.getFactory().createLineString([]);
+  return this.minBaseSeg.toGeometry(this.inputGeom.getFactory());
+};
+
+
+/**
+ * Gets a {@link LineString} which is a minimum diameter.
+ *
+ * @return {jsts.geom.LineString} a LineString which is a minimum diameter.
+ */
+jsts.algorithm.MinimumDiameter.prototype.getDiameter = function() {
+  this.computeMinimumDiameter();
+
+  // return empty linestring if no minimum width calculated
+  if (this.minWidthPt === null)
+    return this.inputGeom.getFactory().createLineString([]);
+
+  var basePt = this.minBaseSeg.project(this.minWidthPt);
+  return this.inputGeom.getFactory().createLineString(
+      [basePt, this.minWidthPt]);
+};
+
+
+/**
+ * Gets the minimum rectangular {@link Polygon} which encloses the input
+ * geometry. The rectangle has width equal to the minimum diameter, and a
+ * longer length. If the convex hull of the input is degenerate (a line or
+ * point) a {@link LineString} or {@link Point} is returned.
+ * <p>
+ * The minimum rectangle can be used as an extremely generalized
+ * representation for the given geometry.
+ *
+ * @return {jsts.geom.Geometry} the minimum rectangle enclosing the input (or
+ *         a line or point if degenerate).
+ */
+jsts.algorithm.MinimumDiameter.prototype.getMinimumRectangle = function() {
+  this.computeMinimumDiameter();
+  var factory = this.inputGeom.getFactory();
+
+  // check if minimum rectangle is degenerate (a point or line segment)
+  if (this.minWidth === 0.0) {
+    if (this.minBaseSeg === null)
+      return factory.createPolygon(null, null);
+    if (this.minBaseSeg.p0.equals2D(this.minBaseSeg.p1))
+      return factory.createPoint(this.minBaseSeg.p0);
+    return this.minBaseSeg.toGeometry(factory);
+  }
+
+  // deltas for the base segment of the minimum diameter
+  var dx = this.minBaseSeg.p1.x - this.minBaseSeg.p0.x;
+  var dy = this.minBaseSeg.p1.y - this.minBaseSeg.p0.y;
+
+  var minPara = Number.MAX_VALUE;
+  var maxPara = -Number.MAX_VALUE;
+  var minPerp = Number.MAX_VALUE;
+  var maxPerp = -Number.MAX_VALUE;
+
+  // compute maxima and minima of lines parallel and perpendicular to base
+  // segment
+  for (var i = 0; i < this.convexHullPts.length; i++) {
+    var paraC = this.computeC(dx, dy, this.convexHullPts[i]);
+    if (paraC > maxPara)
+      maxPara = paraC;
+    if (paraC < minPara)
+      minPara = paraC;
+
+    var perpC = this.computeC(-dy, dx, this.convexHullPts[i]);
+    if (perpC > maxPerp)
+      maxPerp = perpC;
+    if (perpC < minPerp)
+      minPerp = perpC;
+  }
+
+  // compute lines along edges of minimum rectangle
+  var maxPerpLine = this.computeSegmentForLine(-dx, -dy, maxPerp);
+  var minPerpLine = this.computeSegmentForLine(-dx, -dy, minPerp);
+  var maxParaLine = this.computeSegmentForLine(-dy, dx, maxPara);
+  var minParaLine = this.computeSegmentForLine(-dy, dx, minPara);
+
+  // compute vertices of rectangle (where the para/perp max & min lines
+  // intersect)
+  var p0 = maxParaLine.lineIntersection(maxPerpLine);
+  var p1 = minParaLine.lineIntersection(maxPerpLine);
+  var p2 = minParaLine.lineIntersection(minPerpLine);
+  var p3 = maxParaLine.lineIntersection(minPerpLine);
+
+  var shell = factory.createLinearRing([p0, p1, p2, p3,
+    new jsts.geom.Coordinate(p0)]);
+  return factory.createPolygon(shell, null);
+};
+
+
+/**
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.computeMinimumDiameter = function() {
+  // check if computation is cached
+  if (this.convexHullPts !== null)
+    return;
+
+  if (this.isConvex) {
+    this.computeWidthConvex(this.inputGeom);
+  } else {
+    var convexGeom = new jsts.algorithm.ConvexHull(this.inputGeom)
+        .getConvexHull();
+    this.computeWidthConvex(convexGeom);
+  }
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          convexGeom a convex geometry.
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.computeWidthConvex = function(
+    convexGeom) {
+  if (convexGeom instanceof jsts.geom.Polygon)
+    this.convexHullPts = convexGeom.getExteriorRing().getCoordinates();
+  else
+    this.convexHullPts = convexGeom.getCoordinates();
+
+  // special cases for lines or points or degenerate rings
+  if (this.convexHullPts.length === 0) {
+    this.minWidth = 0.0;
+    this.minWidthPt = null;
+    this.minBaseSeg = null;
+  } else if (this.convexHullPts.length === 1) {
+    this.minWidth = 0.0;
+    this.minWidthPt = this.convexHullPts[0];
+    this.minBaseSeg.p0 = this.convexHullPts[0];
+    this.minBaseSeg.p1 = this.convexHullPts[0];
+  } else if (this.convexHullPts.length === 2 ||
+      this.convexHullPts.length === 3) {
+    this.minWidth = 0.0;
+    this.minWidthPt = this.convexHullPts[0];
+    this.minBaseSeg.p0 = this.convexHullPts[0];
+    this.minBaseSeg.p1 = this.convexHullPts[1];
+  } else {
+    this.computeConvexRingMinDiameter(this.convexHullPts);
+  }
+};
+
+
+/**
+ * Compute the width information for a ring of {@link Coordinate}s. Leaves
+ * the width information in the instance variables.
+ *
+ * @param {Array.<jsts.geom.Coordinate>}
+ *          pts the points of a closed convex ring.
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.computeConvexRingMinDiameter = function(
+    pts) {
+  // for each segment in the ring
+  this.minWidth = Number.MAX_VALUE;
+  var currMaxIndex = 1;
+
+  // compute the max distance for all segments in the ring, and pick the
+  // minimum
+  for (var i = 0; i < pts.length - 1; i++) {
+    var seg = new jsts.geom.LineSegment(pts[i], pts[i + 1]);
+    currMaxIndex = this.findMaxPerpDistance(pts, seg, currMaxIndex);
+  }
+};
+
+
+/**
+ * Walks forward from the start index to the vertex furthest from the line of
+ * the segment, using the rotating calipers approach.
+ *
+ * @param {Array.<jsts.geom.Coordinate>}
+ *          pts the points of the ring.
+ * @param {jsts.geom.LineSegment}
+ *          seg the base segment.
+ * @param {number}
+ *          startIndex the index to start searching from.
+ * @return {number} the index of the furthest vertex.
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.findMaxPerpDistance = function(pts,
+    seg, startIndex) {
+  var maxPerpDistance = seg.distancePerpendicular(pts[startIndex]);
+  var nextPerpDistance = maxPerpDistance;
+  var maxIndex = startIndex;
+  var nextIndex = maxIndex;
+  while (nextPerpDistance >= maxPerpDistance) {
+    maxPerpDistance = nextPerpDistance;
+    maxIndex = nextIndex;
+
+    nextIndex = maxIndex + 1;
+    if (nextIndex >= pts.length)
+      nextIndex = 0;
+    nextPerpDistance = seg.distancePerpendicular(pts[nextIndex]);
+  }
+  // found maximum width for this segment - update global min dist if
+  // appropriate
+  if (maxPerpDistance < this.minWidth) {
+    this.minPtIndex = maxIndex;
+    this.minWidth = maxPerpDistance;
+    this.minWidthPt = pts[this.minPtIndex];
+    this.minBaseSeg = new jsts.geom.LineSegment(seg.p0, seg.p1);
+  }
+  return maxIndex;
+};
+
+
+/**
+ * @param {number}
+ *          a the x factor of the line.
+ * @param {number}
+ *          b the y factor of the line.
+ * @param {jsts.geom.Coordinate}
+ *          p a point on the line.
+ * @return {number} the constant term of the line through p.
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.computeC = function(a, b, p) {
+  return a * p.y - b * p.x;
+};
+
+
+/**
+ * @param {number}
+ *          a the x factor of the line.
+ * @param {number}
+ *          b the y factor of the line.
+ * @param {number}
+ *          c the constant term of the line.
+ * @return {jsts.geom.LineSegment} a segment lying on the line.
+ * @private
+ */
+jsts.algorithm.MinimumDiameter.prototype.computeSegmentForLine = function(a,
+    b, c) {
+  var p0;
+  var p1;
+  // Line eqn is ax + by = c. Slope is a/b. If slope is steep, use y values
+  // as the inputs
+  if (Math.abs(b) > Math.abs(a)) {
+    p0 = new jsts.geom.Coordinate(0.0, c / b);
+    p1 = new jsts.geom.Coordinate(1.0, c / b - a / b);
+  } else {
+    p0 = new jsts.geom.Coordinate(c / a, 0.0);
+    p1 = new jsts.geom.Coordinate(c / a - b / a, 1.0);
+  }
+  return new jsts.geom.LineSegment(p0, p1);
+};
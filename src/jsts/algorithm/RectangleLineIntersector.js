@@ -0,0 +1,141 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/algorithm/RobustLineIntersector.js
+ * @requires jsts/geom/Envelope.js
+ */
+
+
+
+/**
+ * Computes whether a rectangle intersects line segments.
+ * <p>
+ * Rectangles contain a large amount of inherent symmetry (or to put it
+ * another way, although they contain four coordinates they only actually
+ * contain 4 ordinates worth of information). The algorithm used takes
+ * advantage of the symmetry of the geometric situation to optimize
+ * performance by minimizing the number of line intersection tests.
+ *
+ * @param {jsts.geom.Envelope}
+ *          rectEnv the envelope of the rectangle.
+ * @constructor
+ */
+jsts.algorithm.RectangleLineIntersector = function(rectEnv) {
+  this.li = new jsts.algorithm.RobustLineIntersector();
+  this.rectEnv = rectEnv;
+
+  // Up and Down are the diagonal orientations relative to the Left side of
+  // the rectangle. Index 0 is the left side, 1 is the right side.
+  this.diagUp0 = new jsts.geom.Coordinate(rectEnv.getMinX(),
+      rectEnv.getMinY());
+  this.diagUp1 = new jsts.geom.Coordinate(rectEnv.getMaxX(),
+      rectEnv.getMaxY());
+  this.diagDown0 = new jsts.geom.Coordinate(rectEnv.getMinX(),
+      rectEnv.getMaxY());
+  this.diagDown1 = new jsts.geom.Coordinate(rectEnv.getMaxX(),
+      rectEnv.getMinY());
+};
+
+
+/**
+ * Reusable line intersector, to avoid repeated creation
+ *
+ * @type {jsts.algorithm.LineIntersector}
+ * @private
+ */
+jsts.algorithm.RectangleLineIntersector.prototype.li = null;
+
+
+/**
+ * @type {jsts.geom.Envelope}
+ * @private
+ */
+jsts.algorithm.RectangleLineIntersector.prototype.rectEnv = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.RectangleLineIntersector.prototype.diagUp0 = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.RectangleLineIntersector.prototype.diagUp1 = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.RectangleLineIntersector.prototype.diagDown0 = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.algorithm.RectangleLineIntersector.prototype.diagDown1 = null;
+
+
+/**
+ * Tests whether the query rectangle intersects a given line segment.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          p0 the first endpoint of the segment.
+ * @param {jsts.geom.Coordinate}
+ *          p1 the second endpoint of the segment.
+ * @return {boolean} true if the rectangle intersects the segment.
+ */
+jsts.algorithm.RectangleLineIntersector.prototype.intersects = function(p0,
+    p1) {
+  // If the segment envelope is disjoint from the rectangle envelope, there
+  // is no intersection
+  var segEnv = new jsts.geom.Envelope(p0, p1);
+  if (!this.rectEnv.intersects(segEnv))
+    return false;
+
+  // If either segment endpoint lies in the rectangle, there is an
+  // intersection.
+  if (this.rectEnv.intersects(p0))
+    return true;
+  if (this.rectEnv.intersects(p1))
+    return true;
+
+  // Normalize segment. This makes p0 less than p1, so that the segment runs
+  // to the right, or vertically upwards.
+  if (p0.compareTo(p1) > 0) {
+    var tmp = p0;
+    p0 = p1;
+    p1 = tmp;
+  }
+
+  // Compute angle of segment. Since the segment is normalized to run left to
+  // right, no need to compute angle.
+  var isSegUpwards = p1.y > p0.y;
+
+  // Since we now know that neither segment endpoint lies in the rectangle,
+  // there are two possible situations:
+  // 1) the segment is disjoint to the rectangle
+  // 2) the segment crosses the rectangle completely.
+  //
+  // In the case of a crossing, the segment must intersect a diagonal of the
+  // rectangle.
+  //
+  // To avoid computing intersections, the correct diagonal to test is chosen
+  // by the segment orientation: a rising segment can only cross the
+  // downward diagonal, and vice versa.
+  if (isSegUpwards) {
+    this.li.computeIntersection(p0, p1, this.diagDown0, this.diagDown1);
+  } else {
+    this.li.computeIntersection(p0, p1, this.diagUp0, this.diagUp1);
+  }
+  return this.li.hasIntersection();
+};
@@ -0,0 +1,177 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/algorithm/distance/PointPairDistance.js
+ */
+
+
+
+/**
+ * The Fréchet distance is a measure of similarity between curves. Thus, it
+ * can be used like the Hausdorff distance.
+ * <p>
+ * An analogy for the Fréchet distance taken from <a
+ * href="http://www.kr.tuwien.ac.at/staff/eiter/et-archive/cdtr9464.pdf">
+ * Computing Discrete Fréchet Distance</a>:
+ *
+ * <pre>
+ * A man is walking a dog on a leash: the man can move
+ * on one curve, the dog on the other; both may vary their
+ * speed, but backtracking is not allowed.
+ * </pre>
+ *
+ * Its metric is better than the Hausdorff distance because it takes the
+ * directions of the curves into account. It is possible that two curves have
+ * a small Hausdorff but a large Fréchet distance.
+ * <p>
+ * This implementation is the discrete variant of the Fréchet distance, which
+ * only considers the vertices of the input geometries, taken in the order
+ * returned by {@link Geometry#getCoordinates}. It therefore works for all
+ * geometry types, although it is most meaningful for lineal geometries.
+ * <p>
+ * The algorithm follows Eiter and Mannila, and uses O(n * m) time and space
+ * for geometries with n and m vertices.
+ *
+ * @param {jsts.geom.Geometry}
+ *          g0 the first geometry.
+ * @param {jsts.geom.Geometry}
+ *          g1 the second geometry.
+ * @constructor
+ */
+jsts.algorithm.distance.DiscreteFrechetDistance = function(g0, g1) {
+  this.g0 = g0;
+  this.g1 = g1;
+};
+
+
+/**
+ * Computes the discrete Fréchet distance between two geometries.
+ *
+ * @param {jsts.geom.Geometry}
+ *          g0 the first geometry.
+ * @param {jsts.geom.Geometry}
+ *          g1 the second geometry.
+ * @return {number} the discrete Fréchet distance.
+ */
+jsts.algorithm.distance.DiscreteFrechetDistance.distance = function(g0, g1) {
+  var dist = new jsts.algorithm.distance.DiscreteFrechetDistance(g0, g1);
+  return dist.distance();
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.algorithm.distance.DiscreteFrechetDistance.prototype.g0 = null;
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.algorithm.distance.DiscreteFrechetDistance.prototype.g1 = null;
+
+
+/**
+ * @type {jsts.algorithm.distance.PointPairDistance}
+ * @private
+ */
+jsts.algorithm.distance.DiscreteFrechetDistance.prototype.ptDist = null;
+
+
+/**
+ * Computes the discrete Fréchet distance between the input geometries.
+ *
+ * @return {number} the discrete Fréchet distance.
+ * @throws {jsts.error.IllegalArgumentError} if either geometry is empty.
+ */
+jsts.algorithm.distance.DiscreteFrechetDistance.prototype.distance = function() {
+  this.compute();
+  return this.ptDist.getDistance();
+};
+
+
+/**
+ * @return {Array.<jsts.geom.Coordinate>} the two points separated by the
+ *         computed distance.
+ */
+jsts.algorithm.distance.DiscreteFrechetDistance.prototype.getCoordinates = function() {
+  this.compute();
+  return this.ptDist.getCoordinates();
+};
+
+
+/**
+ * @return {jsts.algorithm.distance.PointPairDistance} the point pair
+ *         separated by the computed distance.
+ */
+jsts.algorithm.distance.DiscreteFrechetDistance.prototype.getPointPairDistance = function() {
+  this.compute();
+  return this.ptDist;
+};
+
+
+/**
+ * Fills the coupling matrix row by row. Each cell holds the smallest
+ * possible leash length needed to reach the vertex pair, together with the
+ * vertex pair at which that length is attained.
+ *
+ * @private
+ */
+jsts.algorithm.distance.DiscreteFrechetDistance.prototype.compute = function() {
+  if (this.ptDist !== null)
+    return;
+
+  if (this.g0.isEmpty() || this.g1.isEmpty())
+    throw new jsts.error.IllegalArgumentError(
+        'Geometries must not be empty');
+
+  var pts0 = this.g0.getCoordinates();
+  var pts1 = this.g1.getCoordinates();
+  var n = pts0.length;
+  var m = pts1.length;
+
+  // flat n * m matrices of coupling distances and the cell index at which
+  // each distance is attained
+  var ca = [];
+  var at = [];
+
+  for (var i = 0; i < n; i++) {
+    for (var j = 0; j < m; j++) {
+      var k = i * m + j;
+      var d = pts0[i].distance(pts1[j]);
+
+      var prev = -1;
+      if (i > 0 && j > 0) {
+        prev = k - m - 1;
+        if (ca[k - m] < ca[prev])
+          prev = k - m;
+        if (ca[k - 1] < ca[prev])
+          prev = k - 1;
+      } else if (i > 0) {
+        prev = k - m;
+      } else if (j > 0) {
+        prev = k - 1;
+      }
+
+      if (prev >= 0 && ca[prev] > d) {
+        ca[k] = ca[prev];
+        at[k] = at[prev];
+      } else {
+        ca[k] = d;
+        at[k] = k;
+      }
+    }
+  }
+
+  var last = n * m - 1;
+  var i0 = Math.floor(at[last] / m);
+  var i1 = at[last] % m;
+  this.ptDist = new jsts.algorithm.distance.PointPairDistance();
+  this.ptDist.initialize(pts0[i0], pts1[i1], ca[last]);
+};
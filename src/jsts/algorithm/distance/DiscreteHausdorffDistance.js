@@ -0,0 +1,304 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/distance/DistanceToPoint.js
+   * @requires jsts/algorithm/distance/PointPairDistance.js
+   * @requires jsts/geom/CoordinateFilter.js
+   * @requires jsts/geom/GeometryComponentFilter.js
+   */
+
+  var DistanceToPoint = jsts.algorithm.distance.DistanceToPoint;
+  var PointPairDistance = jsts.algorithm.distance.PointPairDistance;
+
+
+
+  /**
+   * An algorithm for computing a distance metric which is an approximation to
+   * the Hausdorff Distance based on a discretization of the input
+   * {@link Geometry}. The algorithm computes the Hausdorff distance
+   * restricted to discrete points for one of the geometries. The points can
+   * be either the vertices of the geometries (the default), or the geometries
+   * with line segments densified by a given fraction. Also determines two
+   * points of the Geometries which are separated by the computed distance.
+   * <p>
+   * This algorithm is an approximation to the standard Hausdorff distance.
+   * Specifically,
+   *
+   * <pre>
+   *    for all geometries a, b:    DHD(a, b) &lt;= HD(a, b)
+   * </pre>
+   *
+   * The approximation can be made as close as needed by densifying the input
+   * geometries. In the limit, this value will approach the true Hausdorff
+   * distance:
+   *
+   * <pre>
+   *    DHD(A, B, densifyFactor) -&gt; HD(A, B) as densifyFactor -&gt; 0.0
+   * </pre>
+   *
+   * The default approximation is exact or close enough for a large subset of
+   * useful cases. Examples of these are:
+   * <ul>
+   * <li>computing distance between Linestrings that are roughly parallel to
+   * each other, and roughly equal in length. This occurs in matching
+   * linear networks.
+   * <li>Testing similarity of geometries.
+   * </ul>
+   * An example where the default approximation is not close is:
+   *
+   * <pre>
+   *   A = LINESTRING (0 0, 100 0, 10 100, 10 100)
+   *   B = LINESTRING (0 100, 0 10, 80 10)
+   *
+   *   DHD(A, B) = 22.360679774997898
+   *   HD(A, B) ~= 47.8
+   * </pre>
+   *
+   * @param {jsts.geom.Geometry}
+   *          g0 the first geometry.
+   * @param {jsts.geom.Geometry}
+   *          g1 the second geometry.
+   * @constructor
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance = function(g0, g1) {
+    this.g0 = g0;
+    this.g1 = g1;
+    this.ptDist = new PointPairDistance();
+  };
+
+
+  /**
+   * Computes the discrete Hausdorff distance between two geometries,
+   * optionally densifying their segments by the given fraction.
+   *
+   * @param {jsts.geom.Geometry}
+   *          g0 the first geometry.
+   * @param {jsts.geom.Geometry}
+   *          g1 the second geometry.
+   * @param {number}
+   *          [densifyFrac] the densify fraction, in the range (0.0 - 1.0].
+   * @return {number} the discrete Hausdorff distance.
+   * @throws {jsts.error.IllegalArgumentError} if either geometry is empty.
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.distance = function(g0,
+      g1, densifyFrac) {
+    var dist = new jsts.algorithm.distance.DiscreteHausdorffDistance(g0, g1);
+    if (densifyFrac !== undefined)
+      dist.setDensifyFraction(densifyFrac);
+    return dist.distance();
+  };
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.g0 = null;
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.g1 = null;
+
+
+  /**
+   * @type {jsts.algorithm.distance.PointPairDistance}
+   * @private
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.ptDist = null;
+
+
+  /**
+   * Value of 0.0 indicates that no densification should take place.
+   *
+   * @type {number}
+   * @private
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.densifyFrac = 0.0;
+
+
+  /**
+   * Sets the fraction by which to densify each segment. Each segment will be
+   * (virtually) split into a number of equal-length subsegments, whose
+   * fraction of the total length is closest to the given fraction.
+   *
+   * @param {number}
+   *          densifyFrac the densify fraction, in the range (0.0 - 1.0].
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.setDensifyFraction = function(
+      densifyFrac) {
+    if (densifyFrac > 1.0 || densifyFrac <= 0.0)
+      throw new jsts.error.IllegalArgumentError(
+          'Fraction is not in range (0.0 - 1.0]');
+
+    this.densifyFrac = densifyFrac;
+  };
+
+
+  /**
+   * @return {number} the discrete Hausdorff distance between the geometries.
+   * @throws {jsts.error.IllegalArgumentError} if either geometry is empty.
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.distance = function() {
+    this.compute(this.g0, this.g1);
+    return this.ptDist.getDistance();
+  };
+
+
+  /**
+   * Computes the distance from the discretized first geometry to the second
+   * geometry only.
+   *
+   * @return {number} the oriented discrete Hausdorff distance.
+   * @throws {jsts.error.IllegalArgumentError} if either geometry is empty.
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.orientedDistance = function() {
+    this.computeOrientedDistance(this.g0, this.g1, this.ptDist);
+    return this.ptDist.getDistance();
+  };
+
+
+  /**
+   * @return {Array.<jsts.geom.Coordinate>} the two points separated by the
+   *         computed distance.
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.getCoordinates = function() {
+    return this.ptDist.getCoordinates();
+  };
+
+
+  /**
+   * @return {jsts.algorithm.distance.PointPairDistance} the point pair
+   *         separated by the computed distance.
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.getPointPairDistance = function() {
+    return this.ptDist;
+  };
+
+
+  /**
+   * @param {jsts.geom.Geometry}
+   *          g0 the first geometry.
+   * @param {jsts.geom.Geometry}
+   *          g1 the second geometry.
+   * @private
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.compute = function(
+      g0, g1) {
+    this.computeOrientedDistance(g0, g1, this.ptDist);
+    this.computeOrientedDistance(g1, g0, this.ptDist);
+  };
+
+
+  /**
+   * @param {jsts.geom.Geometry}
+   *          discreteGeom the geometry whose points are measured.
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry measured to.
+   * @param {jsts.algorithm.distance.PointPairDistance}
+   *          ptDist the point pair to update.
+   * @private
+   */
+  jsts.algorithm.distance.DiscreteHausdorffDistance.prototype.computeOrientedDistance = function(
+      discreteGeom, geom, ptDist) {
+    if (discreteGeom.isEmpty() || geom.isEmpty())
+      throw new jsts.error.IllegalArgumentError(
+          'Geometries must not be empty');
+
+    var distFilter = new MaxPointDistanceFilter(geom);
+    discreteGeom.apply(distFilter);
+    ptDist.setMaximum(distFilter.getMaxPointDistance());
+
+    if (this.densifyFrac > 0) {
+      var fracFilter = new MaxDensifiedByFractionDistanceFilter(geom,
+          this.densifyFrac);
+      discreteGeom.apply(fracFilter);
+      ptDist.setMaximum(fracFilter.getMaxPointDistance());
+    }
+  };
+
+
+
+  /**
+   * Finds the vertex of a geometry which is furthest from another geometry.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to measure to.
+   * @constructor
+   * @extends {jsts.geom.CoordinateFilter}
+   * @private
+   */
+  var MaxPointDistanceFilter = function(geom) {
+    this.geom = geom;
+    this.maxPtDist = new PointPairDistance();
+    this.minPtDist = new PointPairDistance();
+  };
+  jsts.inherit(MaxPointDistanceFilter, jsts.geom.CoordinateFilter);
+
+  MaxPointDistanceFilter.prototype.filter = function(pt) {
+    this.minPtDist.initialize();
+    DistanceToPoint.computeDistance(this.geom, pt, this.minPtDist);
+    this.maxPtDist.setMaximum(this.minPtDist);
+  };
+
+  MaxPointDistanceFilter.prototype.getMaxPointDistance = function() {
+    return this.maxPtDist;
+  };
+
+
+
+  /**
+   * Finds the point on the segments of a geometry, split into equal
+   * subsegments, which is furthest from another geometry.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to measure to.
+   * @param {number}
+   *          fraction the densify fraction.
+   * @constructor
+   * @extends {jsts.geom.GeometryComponentFilter}
+   * @private
+   */
+  var MaxDensifiedByFractionDistanceFilter = function(geom, fraction) {
+    this.geom = geom;
+    this.numSubSegs = Math.round(1.0 / fraction);
+    this.maxPtDist = new PointPairDistance();
+    this.minPtDist = new PointPairDistance();
+  };
+  jsts.inherit(MaxDensifiedByFractionDistanceFilter,
+      jsts.geom.GeometryComponentFilter);
+
+  MaxDensifiedByFractionDistanceFilter.prototype.filter = function(comp) {
+    if (!(comp instanceof jsts.geom.LineString))
+      return;
+
+    var pts = comp.getCoordinates();
+    for (var i = 1; i < pts.length; i++) {
+      var p0 = pts[i - 1];
+      var p1 = pts[i];
+
+      var delx = (p1.x - p0.x) / this.numSubSegs;
+      var dely = (p1.y - p0.y) / this.numSubSegs;
+
+      for (var j = 0; j < this.numSubSegs; j++) {
+        var pt = new jsts.geom.Coordinate(p0.x + j * delx, p0.y + j * dely);
+        this.minPtDist.initialize();
+        DistanceToPoint.computeDistance(this.geom, pt, this.minPtDist);
+        this.maxPtDist.setMaximum(this.minPtDist);
+      }
+    }
+  };
+
+  MaxDensifiedByFractionDistanceFilter.prototype.getMaxPointDistance = function() {
+    return this.maxPtDist;
+  };
+
+})();
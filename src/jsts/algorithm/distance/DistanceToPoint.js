@@ -0,0 +1,91 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/LineSegment.js
+ * @requires jsts/algorithm/distance/PointPairDistance.js
+ */
+
+
+
+/**
+ * Computes the Euclidean distance (L2 metric) from a Point to a Geometry.
+ * Also computes two points which are separated by the distance.
+ *
+ * @constructor
+ */
+jsts.algorithm.distance.DistanceToPoint = function() {};
+
+
+/**
+ * Updates a {@link PointPairDistance} with the nearest point of a geometry
+ * to a given point, if it is nearer than the pair already recorded. For
+ * polygons the distance is measured to the rings.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to measure the distance to.
+ * @param {jsts.geom.Coordinate}
+ *          pt the point to measure the distance from.
+ * @param {jsts.algorithm.distance.PointPairDistance}
+ *          ptDist the point pair to update.
+ */
+jsts.algorithm.distance.DistanceToPoint.computeDistance = function(geom, pt,
+    ptDist) {
+  var DistanceToPoint = jsts.algorithm.distance.DistanceToPoint;
+
+  if (geom.isEmpty())
+    return;
+
+  if (geom instanceof jsts.geom.LineString) {
+    DistanceToPoint.computeLineDistance(geom, pt, ptDist);
+  } else if (geom instanceof jsts.geom.Polygon) {
+    DistanceToPoint.computeLineDistance(geom.getExteriorRing(), pt, ptDist);
+    for (var i = 0; i < geom.getNumInteriorRing(); i++) {
+      DistanceToPoint.computeLineDistance(geom.getInteriorRingN(i), pt,
+          ptDist);
+    }
+  } else if (geom instanceof jsts.geom.GeometryCollection) {
+    for (var i = 0; i < geom.getNumGeometries(); i++) {
+      DistanceToPoint.computeDistance(geom.getGeometryN(i), pt, ptDist);
+    }
+  } else {
+    // assume geom is Point
+    ptDist.setMinimum(geom.getCoordinate(), pt);
+  }
+};
+
+
+/**
+ * @param {jsts.geom.LineString}
+ *          line the line to measure the distance to.
+ * @param {jsts.geom.Coordinate}
+ *          pt the point to measure the distance from.
+ * @param {jsts.algorithm.distance.PointPairDistance}
+ *          ptDist the point pair to update.
+ */
+jsts.algorithm.distance.DistanceToPoint.computeLineDistance = function(line,
+    pt, ptDist) {
+  var coords = line.getCoordinates();
+  for (var i = 0; i < coords.length - 1; i++) {
+    jsts.algorithm.distance.DistanceToPoint.computeSegmentDistance(
+        new jsts.geom.LineSegment(coords[i], coords[i + 1]), pt, ptDist);
+  }
+};
+
+
+/**
+ * @param {jsts.geom.LineSegment}
+ *          segment the segment to measure the distance to.
+ * @param {jsts.geom.Coordinate}
+ *          pt the point to measure the distance from.
+ * @param {jsts.algorithm.distance.PointPairDistance}
+ *          ptDist the point pair to update.
+ */
+jsts.algorithm.distance.DistanceToPoint.computeSegmentDistance = function(
+    segment, pt, ptDist) {
+  var closestPt = segment.closestPoint(pt);
+  ptDist.setMinimum(closestPt, pt);
+};
@@ -0,0 +1,163 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/Coordinate.js
+ * @requires jsts/io/WKTWriter.js
+ */
+
+
+
+/**
+ * Contains a pair of points and the distance between them. Provides methods
+ * to update with a new point pair with either maximum or minimum distance.
+ *
+ * @constructor
+ */
+jsts.algorithm.distance.PointPairDistance = function() {
+  this.pt = [new jsts.geom.Coordinate(), new jsts.geom.Coordinate()];
+};
+
+
+/**
+ * @type {Array.<jsts.geom.Coordinate>}
+ * @private
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.pt = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.distance = NaN;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.isNull = true;
+
+
+/**
+ * Resets this instance to contain no point pair, or initializes it with the
+ * given points.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          [p0] the first point.
+ * @param {jsts.geom.Coordinate}
+ *          [p1] the second point.
+ * @param {number}
+ *          [distance] the distance between the points, if already known.
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.initialize = function(p0,
+    p1, distance) {
+  if (arguments.length === 0) {
+    this.isNull = true;
+    return;
+  }
+  this.pt[0].setCoordinate(p0);
+  this.pt[1].setCoordinate(p1);
+  this.distance = arguments.length === 3 ? distance : p0.distance(p1);
+  this.isNull = false;
+};
+
+
+/**
+ * Gets the distance between the paired points.
+ *
+ * @return {number} the distance between the paired points, or NaN if no pair
+ *         has been set.
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.getDistance = function() {
+  return this.distance;
+};
+
+
+/**
+ * Gets the paired points.
+ *
+ * @return {Array.<jsts.geom.Coordinate>} the paired points.
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.getCoordinates = function() {
+  return this.pt;
+};
+
+
+/**
+ * Gets one of the paired points.
+ *
+ * @param {number}
+ *          i the index of the point (0 or 1).
+ * @return {jsts.geom.Coordinate} the point.
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.getCoordinate = function(
+    i) {
+  return this.pt[i];
+};
+
+
+/**
+ * Replaces the pair with the given one if it is further apart, or if no pair
+ * has been set yet.
+ *
+ * @param {jsts.algorithm.distance.PointPairDistance|jsts.geom.Coordinate}
+ *          p0 a point pair, or the first point.
+ * @param {jsts.geom.Coordinate}
+ *          [p1] the second point.
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.setMaximum = function(p0,
+    p1) {
+  if (p0 instanceof jsts.algorithm.distance.PointPairDistance) {
+    if (p0.isNull)
+      return;
+    this.setMaximum(p0.pt[0], p0.pt[1]);
+    return;
+  }
+  if (this.isNull) {
+    this.initialize(p0, p1);
+    return;
+  }
+  var dist = p0.distance(p1);
+  if (dist > this.distance)
+    this.initialize(p0, p1, dist);
+};
+
+
+/**
+ * Replaces the pair with the given one if it is closer together, or if no
+ * pair has been set yet.
+ *
+ * @param {jsts.algorithm.distance.PointPairDistance|jsts.geom.Coordinate}
+ *          p0 a point pair, or the first point.
+ * @param {jsts.geom.Coordinate}
+ *          [p1] the second point.
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.setMinimum = function(p0,
+    p1) {
+  if (p0 instanceof jsts.algorithm.distance.PointPairDistance) {
+    if (p0.isNull)
+      return;
+    this.setMinimum(p0.pt[0], p0.pt[1]);
+    return;
+  }
+  if (this.isNull) {
+    this.initialize(p0, p1);
+    return;
+  }
+  var dist = p0.distance(p1);
+  if (dist < this.distance)
+    this.initialize(p0, p1, dist);
+};
+
+
+/**
+ * @return {string} the point pair as a WKT LineString.
+ */
+jsts.algorithm.distance.PointPairDistance.prototype.toString = function() {
+  return jsts.io.WKTWriter.toLineString(this.pt[0], this.pt[1]);
+};
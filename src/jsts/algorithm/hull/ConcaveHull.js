@@ -0,0 +1,770 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/CGAlgorithms.js
+   * @requires jsts/triangulate/DelaunayTriangulationBuilder.js
+   * @requires jsts/util/PriorityQueue.js
+   */
+
+  var CGAlgorithms = jsts.algorithm.CGAlgorithms;
+  var DelaunayTriangulationBuilder = jsts.triangulate.DelaunayTriangulationBuilder;
+  var PriorityQueue = jsts.util.PriorityQueue;
+
+
+
+  /**
+   * Constructs a concave hull of a set of points. The hull is constructed by
+   * eroding the Delaunay Triangulation of the points until specified target
+   * criteria are reached. The target criteria are:
+   * <ul>
+   * <li><b>Maximum Edge Length</b> - the length of the longest edge of the
+   * hull is no larger than this value
+   * <li><b>Maximum Edge Length Ratio</b> - determine the Maximum Edge Length
+   * as a fraction of the difference between the longest and shortest edge
+   * lengths in the Delaunay Triangulation. This normalizes the <b>Maximum
+   * Edge Length</b> to be scale-free. A value of 1 produces the convex hull;
+   * a value of 0 produces maximum concaveness.
+   * </ul>
+   * Erosion proceeds by removing the border triangle with the longest border
+   * edge first. By default the result is a single polygon: a border triangle
+   * is not removed if that would split the hull into two parts. The result
+   * may optionally contain holes, and may optionally be allowed to split into
+   * several polygons.
+   * <p>
+   * The computed hull is always a single polygon (unless splitting is
+   * enabled), always contains all the input points, and is a subset of the
+   * convex hull. If the input has fewer than three non-collinear points the
+   * convex hull is returned.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the input geometry.
+   * @constructor
+   */
+  jsts.algorithm.hull.ConcaveHull = function(geom) {
+    this.inputGeometry = geom;
+    this.geomFactory = geom.getFactory();
+  };
+
+
+  /**
+   * Computes the concave hull of the vertices in a geometry using the target
+   * criteria of maximum edge length.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the input geometry.
+   * @param {number}
+   *          maxLength the target maximum edge length.
+   * @param {boolean}
+   *          [isHolesAllowed] whether holes are allowed in the result.
+   * @return {jsts.geom.Geometry} the concave hull.
+   */
+  jsts.algorithm.hull.ConcaveHull.concaveHullByLength = function(geom,
+      maxLength, isHolesAllowed) {
+    var hull = new jsts.algorithm.hull.ConcaveHull(geom);
+    hull.setMaximumEdgeLength(maxLength);
+    hull.setHolesAllowed(isHolesAllowed === true);
+    return hull.getHull();
+  };
+
+
+  /**
+   * Computes the concave hull of the vertices in a geometry using the target
+   * criteria of maximum edge length ratio. The edge length ratio is a
+   * fraction of the length difference between the longest and shortest edges
+   * in the Delaunay Triangulation of the input points.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the input geometry.
+   * @param {number}
+   *          lengthRatio the target edge length factor.
+   * @param {boolean}
+   *          [isHolesAllowed] whether holes are allowed in the result.
+   * @return {jsts.geom.Geometry} the concave hull.
+   */
+  jsts.algorithm.hull.ConcaveHull.concaveHullByLengthRatio = function(geom,
+      lengthRatio, isHolesAllowed) {
+    var hull = new jsts.algorithm.hull.ConcaveHull(geom);
+    hull.setMaximumEdgeLengthRatio(lengthRatio);
+    hull.setHolesAllowed(isHolesAllowed === true);
+    return hull.getHull();
+  };
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.inputGeometry = null;
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.geomFactory = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.maxEdgeLength = 0.0;
+
+
+  /**
+   * A negative value indicates that the maximum edge length is used instead.
+   *
+   * @type {number}
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.maxEdgeLengthRatio = -1;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.isHolesAllowed = false;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.isSinglePolygon = true;
+
+
+  /**
+   * Sets the target maximum edge length for the concave hull. The length
+   * value must be zero or greater.
+   * <ul>
+   * <li>The value 0.0 produces the concave hull of smallest area that is
+   * still connected.
+   * <li>Larger values produce less concave results. A value equal or greater
+   * than the longest Delaunay Triangulation edge length produces the convex
+   * hull.
+   * </ul>
+   *
+   * @param {number}
+   *          edgeLength a non-negative length.
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.setMaximumEdgeLength = function(
+      edgeLength) {
+    if (edgeLength < 0)
+      throw new jsts.error.IllegalArgumentError(
+          'Edge length must be non-negative');
+    this.maxEdgeLength = edgeLength;
+    this.maxEdgeLengthRatio = -1;
+  };
+
+
+  /**
+   * Sets the target maximum edge length ratio for the concave hull. The edge
+   * length ratio is a fraction of the length delta between the longest and
+   * shortest edges in the Delaunay Triangulation of the input points. A value
+   * of 1.0 produces the convex hull. A value of 0.0 produces a concave hull
+   * of minimum area that is still connected.
+   *
+   * @param {number}
+   *          edgeLengthRatio a length ratio value between 0 and 1.
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.setMaximumEdgeLengthRatio = function(
+      edgeLengthRatio) {
+    if (edgeLengthRatio < 0 || edgeLengthRatio > 1)
+      throw new jsts.error.IllegalArgumentError(
+          'Edge length ratio must be in range [0,1]');
+    this.maxEdgeLengthRatio = edgeLengthRatio;
+  };
+
+
+  /**
+   * Sets whether holes are allowed in the concave hull polygon.
+   *
+   * @param {boolean}
+   *          isHolesAllowed true if holes are allowed in the result.
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.setHolesAllowed = function(
+      isHolesAllowed) {
+    this.isHolesAllowed = isHolesAllowed;
+  };
+
+
+  /**
+   * Sets whether the result must be a single polygon. If false, border
+   * triangles are eroded even if this splits the hull, and the result may be
+   * a {@link MultiPolygon}. Defaults to true.
+   *
+   * @param {boolean}
+   *          isSinglePolygon true if the result must be a single polygon.
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.setSinglePolygon = function(
+      isSinglePolygon) {
+    this.isSinglePolygon = isSinglePolygon;
+  };
+
+
+  /**
+   * Gets the computed concave hull.
+   *
+   * @return {jsts.geom.Geometry} the concave hull.
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.getHull = function() {
+    if (this.inputGeometry.isEmpty())
+      return this.geomFactory.createPolygon(null, null);
+
+    var triList = this.createDelaunayTriangulation();
+    if (triList.length === 0)
+      return this.inputGeometry.convexHull();
+
+    var maxSizeInHull = this.maxEdgeLength;
+    if (this.maxEdgeLengthRatio >= 0)
+      maxSizeInHull = computeTargetEdgeLength(triList,
+          this.maxEdgeLengthRatio);
+
+    this.computeHullBorder(triList, maxSizeInHull);
+    if (this.isHolesAllowed)
+      this.computeHullHoles(triList, maxSizeInHull);
+
+    return this.toGeometry(triList);
+  };
+
+
+  /**
+   * Builds the triangles of the Delaunay Triangulation of the input vertices,
+   * oriented counter-clockwise and linked to their neighbours across shared
+   * edges.
+   *
+   * @return {Array.<HullTri>} the triangles.
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.createDelaunayTriangulation = function() {
+    var builder = new DelaunayTriangulationBuilder();
+    builder.setSites(this.inputGeometry);
+    var triCoords = builder.getSubdivision().getTriangleCoordinates(false);
+
+    var triList = [];
+    var edgeMap = {};
+    for (var i = 0; i < triCoords.length; i++) {
+      var pts = triCoords[i];
+      if (CGAlgorithms.orientationIndex(pts[0], pts[1], pts[2]) ===
+          CGAlgorithms.CLOCKWISE)
+        pts = [pts[0], pts[2], pts[1]];
+      var tri = new HullTri(pts[0], pts[1], pts[2]);
+      triList.push(tri);
+
+      for (var e = 0; e < 3; e++) {
+        var key = edgeKey(tri.p[e], tri.p[next(e)]);
+        var other = edgeMap[key];
+        if (other === undefined) {
+          edgeMap[key] = {tri: tri, index: e};
+        } else {
+          tri.adj[e] = other.tri;
+          other.tri.adj[other.index] = tri;
+        }
+      }
+    }
+    for (var i = 0; i < triList.length; i++) {
+      triList[i].setSizeToLongestEdge();
+    }
+    return triList;
+  };
+
+
+  /**
+   * Erodes border triangles, longest border edge first, until the longest
+   * border edge is shorter than the target size.
+   *
+   * @param {Array.<HullTri>}
+   *          triList the triangles.
+   * @param {number}
+   *          maxSizeInHull the target maximum edge length.
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.computeHullBorder = function(
+      triList, maxSizeInHull) {
+    var queue = new PriorityQueue();
+    for (var i = 0; i < triList.length; i++) {
+      addBorderTri(triList[i], queue);
+    }
+
+    while (!queue.isEmpty()) {
+      var tri = queue.poll();
+      if (tri.isRemoved)
+        continue;
+      // all remaining border triangles are short enough to be in the hull
+      if (tri.size < maxSizeInHull)
+        break;
+
+      if (this.isRemovableBorder(tri)) {
+        var adj = tri.adj.slice();
+        tri.remove();
+        for (var j = 0; j < 3; j++) {
+          addBorderTri(adj[j], queue);
+        }
+      }
+    }
+  };
+
+
+  /**
+   * Tests whether a border triangle can be eroded. It must have exactly one
+   * border edge, and if the result is to be a single polygon its apex must
+   * not lie on the border, since removing it would split the hull.
+   *
+   * @param {HullTri}
+   *          tri a border triangle.
+   * @return {boolean} true if the triangle can be removed.
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.isRemovableBorder = function(tri) {
+    if (tri.numAdjacent() !== 2)
+      return false;
+    if (!this.isSinglePolygon)
+      return true;
+    return !tri.isConnecting();
+  };
+
+
+  /**
+   * Removes interior triangles with long edges to form holes, as long as the
+   * holes do not touch the hull border.
+   *
+   * @param {Array.<HullTri>}
+   *          triList the triangles.
+   * @param {number}
+   *          maxSizeInHull the target maximum edge length.
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.computeHullHoles = function(
+      triList, maxSizeInHull) {
+    var candidateHoles = [];
+    for (var i = 0; i < triList.length; i++) {
+      var tri = triList[i];
+      if (tri.isRemoved || tri.size < maxSizeInHull)
+        continue;
+      if (!tri.isBorder() && !tri.hasBoundaryTouch())
+        candidateHoles.push(tri);
+    }
+    // remove triangles in order of decreasing size
+    candidateHoles.sort(function(a, b) {
+      return b.size - a.size;
+    });
+
+    for (var i = 0; i < candidateHoles.length; i++) {
+      var tri = candidateHoles[i];
+      if (tri.isRemoved || tri.isBorder() || tri.hasBoundaryTouch())
+        continue;
+      this.removeHole(tri, maxSizeInHull);
+    }
+  };
+
+
+  /**
+   * Removes a triangle to open a hole, then erodes the hole border in the
+   * same way as the hull border.
+   *
+   * @param {HullTri}
+   *          triHole the triangle starting the hole.
+   * @param {number}
+   *          maxSizeInHull the target maximum edge length.
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.removeHole = function(triHole,
+      maxSizeInHull) {
+    var queue = new PriorityQueue();
+    queue.add(triHole);
+    while (!queue.isEmpty()) {
+      var tri = queue.poll();
+      if (tri.isRemoved)
+        continue;
+      if (tri !== triHole && tri.size < maxSizeInHull)
+        break;
+
+      if (tri === triHole ||
+          (tri.numAdjacent() === 2 && !tri.hasBoundaryTouch())) {
+        var adj = tri.adj.slice();
+        tri.remove();
+        for (var j = 0; j < 3; j++) {
+          addBorderTri(adj[j], queue);
+        }
+      }
+    }
+  };
+
+
+  /**
+   * Builds the hull from the border edges of the remaining triangles. Since
+   * the triangles are counter-clockwise, tracing the border with the hull on
+   * the left gives counter-clockwise shells and clockwise holes.
+   *
+   * @param {Array.<HullTri>}
+   *          triList the triangles.
+   * @return {jsts.geom.Geometry} the polygon or multipolygon they cover.
+   * @private
+   */
+  jsts.algorithm.hull.ConcaveHull.prototype.toGeometry = function(triList) {
+    var shells = [];
+    var holes = [];
+    for (var i = 0; i < triList.length; i++) {
+      var tri = triList[i];
+      if (tri.isRemoved)
+        continue;
+      for (var j = 0; j < 3; j++) {
+        if (tri.adj[j] !== null || tri.isTraced[j])
+          continue;
+        var ring = traceRing(tri, j);
+        if (CGAlgorithms.isCCW(ring))
+          shells.push(ring);
+        else
+          holes.push(ring);
+      }
+    }
+
+    var shellHoles = [];
+    for (var i = 0; i < shells.length; i++) {
+      shellHoles.push([]);
+    }
+    for (var i = 0; i < holes.length; i++) {
+      var hole = this.geomFactory.createLinearRing(holes[i]);
+      shellHoles[findShell(holes[i], shells)].push(hole);
+    }
+
+    var polys = [];
+    for (var i = 0; i < shells.length; i++) {
+      polys.push(this.geomFactory.createPolygon(this.geomFactory
+          .createLinearRing(shells[i]), shellHoles[i]));
+    }
+    if (polys.length === 1)
+      return polys[0];
+    return this.geomFactory.createMultiPolygon(polys);
+  };
+
+
+
+  /**
+   * A triangle of the Delaunay Triangulation, linked to its neighbours.
+   * Neighbour <code>adj[i]</code> lies across the edge from
+   * <code>p[i]</code> to <code>p[i + 1]</code>, and is null if that edge is
+   * on the border of the hull.
+   *
+   * @param {jsts.geom.Coordinate}
+   *          p0 a vertex.
+   * @param {jsts.geom.Coordinate}
+   *          p1 a vertex.
+   * @param {jsts.geom.Coordinate}
+   *          p2 a vertex.
+   * @constructor
+   * @private
+   */
+  var HullTri = function(p0, p1, p2) {
+    this.p = [p0, p1, p2];
+    this.adj = [null, null, null];
+    this.size = 0;
+    this.isRemoved = false;
+    this.isTraced = [false, false, false];
+  };
+
+
+  /**
+   * Orders triangles by decreasing size, so that a {@link PriorityQueue}
+   * returns the largest triangle first.
+   *
+   * @param {HullTri}
+   *          o another triangle.
+   * @return {number} a negative number if this triangle is larger.
+   */
+  HullTri.prototype.compareTo = function(o) {
+    return o.size - this.size;
+  };
+
+
+  /**
+   * @return {number} the number of neighbouring triangles.
+   */
+  HullTri.prototype.numAdjacent = function() {
+    var num = 0;
+    for (var i = 0; i < 3; i++) {
+      if (this.adj[i] !== null)
+        num++;
+    }
+    return num;
+  };
+
+
+  /**
+   * @return {boolean} true if the triangle has an edge on the border.
+   */
+  HullTri.prototype.isBorder = function() {
+    return this.numAdjacent() < 3;
+  };
+
+
+  HullTri.prototype.setSizeToLongestEdge = function() {
+    var max = 0;
+    for (var i = 0; i < 3; i++) {
+      var len = this.p[i].distance(this.p[next(i)]);
+      if (len > max)
+        max = len;
+    }
+    this.size = max;
+  };
+
+
+  HullTri.prototype.setSizeToBoundary = function() {
+    var len = 0;
+    for (var i = 0; i < 3; i++) {
+      if (this.adj[i] === null)
+        len += this.p[i].distance(this.p[next(i)]);
+    }
+    this.size = len;
+  };
+
+
+  /**
+   * Unlinks this triangle from its neighbours, so that the shared edges
+   * become border edges.
+   */
+  HullTri.prototype.remove = function() {
+    for (var i = 0; i < 3; i++) {
+      var adj = this.adj[i];
+      if (adj === null)
+        continue;
+      adj.adj[adj.indexOfAdjacent(this)] = null;
+      this.adj[i] = null;
+    }
+    this.isRemoved = true;
+  };
+
+
+  /**
+   * @param {HullTri}
+   *          tri a neighbouring triangle.
+   * @return {number} the index of the edge shared with the neighbour.
+   */
+  HullTri.prototype.indexOfAdjacent = function(tri) {
+    for (var i = 0; i < 3; i++) {
+      if (this.adj[i] === tri)
+        return i;
+    }
+    return -1;
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate}
+   *          pt a vertex of the triangle.
+   * @return {number} the index of the vertex.
+   */
+  HullTri.prototype.indexOfVertex = function(pt) {
+    for (var i = 0; i < 3; i++) {
+      if (this.p[i].equals2D(pt))
+        return i;
+    }
+    return -1;
+  };
+
+
+  /**
+   * Tests whether a vertex is surrounded by triangles, by walking around it
+   * across the edges which meet there.
+   *
+   * @param {number}
+   *          index the index of the vertex.
+   * @return {boolean} true if the vertex is not on the border.
+   */
+  HullTri.prototype.isInteriorVertex = function(index) {
+    var pt = this.p[index];
+    var curr = this;
+    var edgeIndex = index;
+    do {
+      var adj = curr.adj[edgeIndex];
+      if (adj === null)
+        return false;
+      // of the two edges of the neighbour which meet at the vertex, continue
+      // across the one not shared with the current triangle
+      var shared = adj.indexOfAdjacent(curr);
+      var vertIndex = adj.indexOfVertex(pt);
+      edgeIndex = shared === vertIndex ? prev(vertIndex) : vertIndex;
+      curr = adj;
+    } while (curr !== this);
+    return true;
+  };
+
+
+  /**
+   * Tests whether removing this triangle would split the hull, which is the
+   * case when the vertex opposite its single border edge is on the border.
+   *
+   * @return {boolean} true if the triangle connects two parts of the hull.
+   */
+  HullTri.prototype.isConnecting = function() {
+    for (var i = 0; i < 3; i++) {
+      if (this.adj[i] === null)
+        return !this.isInteriorVertex(prev(i));
+    }
+    return false;
+  };
+
+
+  /**
+   * Tests whether a vertex of this triangle touches the border, without this
+   * triangle having a border edge at that vertex.
+   *
+   * @return {boolean} true if the triangle touches the border at a vertex.
+   */
+  HullTri.prototype.hasBoundaryTouch = function() {
+    for (var i = 0; i < 3; i++) {
+      if (this.adj[i] === null || this.adj[prev(i)] === null)
+        continue;
+      if (!this.isInteriorVertex(i))
+        return true;
+    }
+    return false;
+  };
+
+
+  /**
+   * @param {number}
+   *          index a vertex or edge index.
+   * @return {number} the next index, cyclically.
+   */
+  var next = function(index) {
+    return (index + 1) % 3;
+  };
+
+
+  /**
+   * @param {number}
+   *          index a vertex or edge index.
+   * @return {number} the previous index, cyclically.
+   */
+  var prev = function(index) {
+    return (index + 2) % 3;
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate}
+   *          p0 an edge endpoint.
+   * @param {jsts.geom.Coordinate}
+   *          p1 an edge endpoint.
+   * @return {string} a key identifying the edge regardless of direction.
+   */
+  var edgeKey = function(p0, p1) {
+    var k0 = p0.x + ',' + p0.y;
+    var k1 = p1.x + ',' + p1.y;
+    return k0 < k1 ? k0 + '|' + k1 : k1 + '|' + k0;
+  };
+
+
+  /**
+   * Adds a triangle to the border queue if it has a single border edge,
+   * sized by the length of that edge.
+   *
+   * @param {HullTri}
+   *          tri a triangle, or null.
+   * @param {PriorityQueue}
+   *          queue the border queue.
+   */
+  var addBorderTri = function(tri, queue) {
+    if (tri === null || tri.isRemoved)
+      return;
+    if (tri.numAdjacent() !== 2)
+      return;
+    tri.setSizeToBoundary();
+    queue.add(tri);
+  };
+
+
+  /**
+   * Traces the ring of border edges starting with a given edge. The border
+   * edge which follows an edge is found by turning around the end vertex
+   * through the triangles which share it.
+   *
+   * @param {HullTri}
+   *          tri a triangle.
+   * @param {number}
+   *          index the index of a border edge of the triangle.
+   * @return {Array.<jsts.geom.Coordinate>} the closed ring.
+   */
+  var traceRing = function(tri, index) {
+    var pts = [];
+    var curr = tri;
+    var edgeIndex = index;
+    do {
+      curr.isTraced[edgeIndex] = true;
+      pts.push(new jsts.geom.Coordinate(curr.p[edgeIndex]));
+      var pt = curr.p[next(edgeIndex)];
+      edgeIndex = next(edgeIndex);
+      while (curr.adj[edgeIndex] !== null) {
+        curr = curr.adj[edgeIndex];
+        edgeIndex = curr.indexOfVertex(pt);
+      }
+    } while (curr !== tri || edgeIndex !== index);
+    pts.push(new jsts.geom.Coordinate(tri.p[index]));
+    return pts;
+  };
+
+
+  /**
+   * Finds the shell which contains a hole. Holes do not touch the border, so
+   * any of their vertices can be tested.
+   *
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          hole a hole ring.
+   * @param {Array.<Array.<jsts.geom.Coordinate>>}
+   *          shells the shell rings.
+   * @return {number} the index of the smallest shell containing the hole.
+   */
+  var findShell = function(hole, shells) {
+    var shellIndex = -1;
+    var minArea = 0;
+    for (var i = 0; i < shells.length; i++) {
+      if (!CGAlgorithms.isPointInRing(hole[0], shells[i]))
+        continue;
+      var area = Math.abs(CGAlgorithms.signedArea(shells[i]));
+      if (shellIndex < 0 || area < minArea) {
+        shellIndex = i;
+        minArea = area;
+      }
+    }
+    return shellIndex;
+  };
+
+
+  /**
+   * @param {Array.<HullTri>}
+   *          triList the triangles.
+   * @param {number}
+   *          edgeLengthRatio the length ratio.
+   * @return {number} the maximum edge length corresponding to the ratio.
+   */
+  var computeTargetEdgeLength = function(triList, edgeLengthRatio) {
+    if (edgeLengthRatio === 0)
+      return 0;
+    var maxEdgeLen = -1;
+    var minEdgeLen = -1;
+    for (var i = 0; i < triList.length; i++) {
+      var tri = triList[i];
+      for (var j = 0; j < 3; j++) {
+        var len = tri.p[j].distance(tri.p[next(j)]);
+        if (len > maxEdgeLen)
+          maxEdgeLen = len;
+        if (minEdgeLen < 0 || len < minEdgeLen)
+          minEdgeLen = len;
+      }
+    }
+    // if ratio = 1 ensure all edges are included
+    if (edgeLengthRatio === 1)
+      return 2 * maxEdgeLen;
+
+    return edgeLengthRatio * (maxEdgeLen - minEdgeLen) + minEdgeLen;
+  };
+
+})();
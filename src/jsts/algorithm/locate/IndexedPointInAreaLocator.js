@@ -0,0 +1,122 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/locate/PointOnGeometryLocator.js
+   * @requires jsts/algorithm/RayCrossingCounter.js
+   * @requires jsts/geom/util/LinearComponentExtracter.js
+   * @requires jsts/index/intervalrtree/SortedPackedIntervalRTree.js
+   */
+
+  /**
+   * Feeds each visited segment to a {@link RayCrossingCounter}.
+   *
+   * @param {jsts.algorithm.RayCrossingCounter}
+   *          counter the counter to update.
+   * @constructor
+   * @private
+   */
+  var SegmentVisitor = function(counter) {
+    this.counter = counter;
+  };
+
+  SegmentVisitor.prototype.visitItem = function(item) {
+    this.counter.countSegment(item.p0, item.p1);
+  };
+
+
+  /**
+   * Indexes the segments of the linear components of a geometry by their
+   * Y-extent.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to index.
+   * @constructor
+   * @private
+   */
+  var IntervalIndexedGeometry = function(geom) {
+    this.index = new jsts.index.intervalrtree.SortedPackedIntervalRTree();
+    this.init(geom);
+  };
+
+  IntervalIndexedGeometry.prototype.init = function(geom) {
+    var lines = jsts.geom.util.LinearComponentExtracter.getLines(geom);
+    for (var i = 0; i < lines.length; i++) {
+      this.addLine(lines[i].getCoordinates());
+    }
+  };
+
+  IntervalIndexedGeometry.prototype.addLine = function(pts) {
+    for (var i = 1; i < pts.length; i++) {
+      var seg = new jsts.geom.LineSegment(pts[i - 1], pts[i]);
+      var min = Math.min(seg.p0.y, seg.p1.y);
+      var max = Math.max(seg.p0.y, seg.p1.y);
+      this.index.insert(min, max, seg);
+    }
+  };
+
+  IntervalIndexedGeometry.prototype.query = function(min, max, visitor) {
+    this.index.query(min, max, visitor);
+  };
+
+
+
+  /**
+   * Determines the {@link Location} of {@link Coordinate}s relative to a
+   * {@link Polygonal} geometry, using indexing for efficiency. This algorithm
+   * is suitable for use in cases where many points will be tested against a
+   * given area.
+   * <p>
+   * The index is built once when the locator is created, and only the
+   * segments whose Y-extent covers the query point are passed to a
+   * {@link RayCrossingCounter}. The results are the same as those of
+   * {@link SimplePointInAreaLocator}.
+   *
+   * @param {jsts.geom.Geometry}
+   *          g the polygonal geometry to locate in.
+   * @constructor
+   * @augments {PointOnGeometryLocator}
+   * @throws {jsts.error.IllegalArgumentError} if the geometry is not polygonal.
+   */
+  jsts.algorithm.locate.IndexedPointInAreaLocator = function(g) {
+    if (!(g instanceof jsts.geom.Polygon ||
+        g instanceof jsts.geom.MultiPolygon)) {
+      throw new jsts.error.IllegalArgumentError(
+          'Argument must be Polygonal');
+    }
+    this.index = new IntervalIndexedGeometry(g);
+  };
+  jsts.inherit(jsts.algorithm.locate.IndexedPointInAreaLocator,
+      jsts.algorithm.locate.PointOnGeometryLocator);
+
+
+  /**
+   * @type {IntervalIndexedGeometry}
+   * @private
+   */
+  jsts.algorithm.locate.IndexedPointInAreaLocator.prototype.index = null;
+
+
+  /**
+   * Determines the {@link Location} of a point in an areal {@link Geometry}.
+   *
+   * @param {jsts.geom.Coordinate}
+   *          p the point to test.
+   * @return {number} the location of the point in the geometry.
+   */
+  jsts.algorithm.locate.IndexedPointInAreaLocator.prototype.locate = function(
+      p) {
+    var rcc = new jsts.algorithm.RayCrossingCounter(p);
+
+    var visitor = new SegmentVisitor(rcc);
+    this.index.query(p.y, p.y, visitor);
+
+    return rcc.getLocation();
+  };
+
+})();
@@ -4,4 +4,24 @@
  * See /license.txt for the full text of the license.
  */
 
-// TODO: port!
+
+
+/**
+ * An interface for classes which determine the {@link Location} of points in
+ * a {@link Geometry}.
+ *
+ * @interface
+ */
+jsts.algorithm.locate.PointOnGeometryLocator = function() {
+
+};
+
+
+/**
+ * Determines the {@link Location} of a point in the {@link Geometry}.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          p the point to test.
+ * @return {number} the location of the point in the geometry.
+ */
+jsts.algorithm.locate.PointOnGeometryLocator.prototype.locate = jsts.abstractFunc;
@@ -4,6 +4,10 @@
  * See /license.txt for the full text of the license.
  */
 
+/**
+ * @requires jsts/algorithm/locate/PointOnGeometryLocator.js
+ */
+
 
 
 /**
@@ -12,20 +16,23 @@
  * for use in cases where only one or a few points will be tested against a
  * given area.
  * <p>
- * The algorithm used is only guaranteed to return correct results for points
- * which are <b>not</b> on the boundary of the Geometry.
+ * The algorithm used reports if a point lies in the interior, exterior, or on
+ * the boundary of the Geometry.
  *
+ * @param {jsts.geom.Geometry}
+ *          geom the areal geometry to test against.
  * @constructor
  * @augments {PointOnGeometryLocator}
  */
 jsts.algorithm.locate.SimplePointInAreaLocator = function(geom) {
   this.geom = geom;
 };
+jsts.inherit(jsts.algorithm.locate.SimplePointInAreaLocator,
+    jsts.algorithm.locate.PointOnGeometryLocator);
 
 
 /**
  * Determines the {@link Location} of a point in an areal {@link Geometry}.
- * Currently this will never return a value of BOUNDARY.
  *
  * @param p
  *          the point to test.
@@ -37,66 +44,100 @@ jsts.algorithm.locate.SimplePointInAreaLocator.locate = function(p, geom) {
   if (geom.isEmpty())
     return jsts.geom.Location.EXTERIOR;
 
-  if (jsts.algorithm.locate.SimplePointInAreaLocator.containsPoint(p, geom))
-    return jsts.geom.Location.INTERIOR;
-  return jsts.geom.Location.EXTERIOR;
+  return jsts.algorithm.locate.SimplePointInAreaLocator.locateInGeometry(p,
+      geom);
 };
 
-jsts.algorithm.locate.SimplePointInAreaLocator.containsPoint = function(p, geom) {
+
+/**
+ * @private
+ */
+jsts.algorithm.locate.SimplePointInAreaLocator.locateInGeometry = function(p,
+    geom) {
   if (geom instanceof jsts.geom.Polygon) {
     return jsts.algorithm.locate.SimplePointInAreaLocator
-        .containsPointInPolygon(p, geom);
-  } else if (geom instanceof jsts.geom.GeometryCollection ||
-      geom instanceof jsts.geom.MultiPoint ||
-      geom instanceof jsts.geom.MultiLineString ||
-      geom instanceof jsts.geom.MultiPolygon) {
-    for (var i = 0; i < geom.geometries.length; i++) {
-      var g2 = geom.geometries[i];
-      if (g2 !== geom)
-        if (jsts.algorithm.locate.SimplePointInAreaLocator.containsPoint(p, g2))
-          return true;
+        .locatePointInPolygon(p, geom);
+  } else if (geom instanceof jsts.geom.GeometryCollection) {
+    for (var i = 0; i < geom.getNumGeometries(); i++) {
+      var g2 = geom.getGeometryN(i);
+      if (g2 !== geom) {
+        var loc = jsts.algorithm.locate.SimplePointInAreaLocator
+            .locateInGeometry(p, g2);
+        if (loc !== jsts.geom.Location.EXTERIOR)
+          return loc;
+      }
     }
   }
-  return false;
+  return jsts.geom.Location.EXTERIOR;
 };
 
-jsts.algorithm.locate.SimplePointInAreaLocator.containsPointInPolygon = function(
+
+/**
+ * Determines the {@link Location} of a point in a {@link Polygon}.
+ *
+ * @param p
+ *          the point to test.
+ * @param poly
+ *          the polygon to test.
+ * @return the Location of the point in the polygon.
+ */
+jsts.algorithm.locate.SimplePointInAreaLocator.locatePointInPolygon = function(
     p, poly) {
   if (poly.isEmpty())
-    return false;
+    return jsts.geom.Location.EXTERIOR;
   var shell = poly.getExteriorRing();
-  if (!jsts.algorithm.locate.SimplePointInAreaLocator.isPointInRing(p, shell))
-    return false;
+  var shellLoc = jsts.algorithm.locate.SimplePointInAreaLocator
+      .locatePointInRing(p, shell);
+  if (shellLoc !== jsts.geom.Location.INTERIOR)
+    return shellLoc;
   // now test if the point lies in or on the holes
   for (var i = 0; i < poly.getNumInteriorRing(); i++) {
     var hole = poly.getInteriorRingN(i);
-    if (jsts.algorithm.locate.SimplePointInAreaLocator.isPointInRing(p, hole))
-      return false;
+    var holeLoc = jsts.algorithm.locate.SimplePointInAreaLocator
+        .locatePointInRing(p, hole);
+    if (holeLoc === jsts.geom.Location.BOUNDARY)
+      return jsts.geom.Location.BOUNDARY;
+    if (holeLoc === jsts.geom.Location.INTERIOR)
+      return jsts.geom.Location.EXTERIOR;
   }
-  return true;
+  return jsts.geom.Location.INTERIOR;
+};
+
+jsts.algorithm.locate.SimplePointInAreaLocator.containsPointInPolygon = function(
+    p, poly) {
+  return jsts.algorithm.locate.SimplePointInAreaLocator.locatePointInPolygon(
+      p, poly) !== jsts.geom.Location.EXTERIOR;
 };
 
 
 /**
- * Determines whether a point lies in a LinearRing, using the ring envelope to
- * short-circuit if possible.
+ * Determines the {@link Location} of a point in a LinearRing, using the ring
+ * envelope to short-circuit if possible.
  *
  * @param p
  *          the point to test.
  * @param ring
  *          a linear ring.
- * @return true if the point lies inside the ring.
+ * @return the Location of the point in the ring.
+ * @private
  */
-jsts.algorithm.locate.SimplePointInAreaLocator.isPointInRing = function(p, ring) {
+jsts.algorithm.locate.SimplePointInAreaLocator.locatePointInRing = function(p,
+    ring) {
   // short-circuit if point is not in ring envelope
   if (!ring.getEnvelopeInternal().intersects(p))
-    return false;
-  return jsts.algorithm.CGAlgorithms.isPointInRing(p, ring.getCoordinates());
+    return jsts.geom.Location.EXTERIOR;
+  return jsts.algorithm.CGAlgorithms.locatePointInRing(p, ring.getCoordinates());
 };
 
+
 jsts.algorithm.locate.SimplePointInAreaLocator.prototype.geom = null;
 
 
+/**
+ * @param {jsts.geom.Coordinate}
+ *          p the point to test.
+ * @return {number} the Location of the point in the geometry.
+ */
 jsts.algorithm.locate.SimplePointInAreaLocator.prototype.locate = function(p) {
-  return jsts.algorithm.locate.SimplePointInAreaLocator.locate(p, geom);
+  return jsts.algorithm.locate.SimplePointInAreaLocator.locate(p, this.geom);
 };
@@ -0,0 +1,197 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/CoordinateList.js
+   * @requires jsts/geom/LineSegment.js
+   * @requires jsts/geom/util/GeometryTransformer.js
+   */
+
+  var GeometryTransformer = jsts.geom.util.GeometryTransformer;
+
+
+  /**
+   * Densifies the coordinates of each component, and repairs polygonal
+   * results.
+   *
+   * @param {number}
+   *          distanceTolerance the densification tolerance.
+   * @constructor
+   * @private
+   */
+  var DensifyTransformer = function(distanceTolerance) {
+    GeometryTransformer.call(this);
+    this.distanceTolerance = distanceTolerance;
+    this.preserveType = false;
+  };
+  jsts.inherit(DensifyTransformer, GeometryTransformer);
+
+  DensifyTransformer.prototype.distanceTolerance = null;
+
+  DensifyTransformer.prototype.transformCoordinates = function(coords, parent) {
+    var newPts = jsts.densify.Densifier.densifyPoints(coords,
+        this.distanceTolerance, parent.getPrecisionModel());
+    // prevent creation of invalid linestrings
+    if (parent instanceof jsts.geom.LineString && newPts.length === 1) {
+      return [];
+    }
+    return newPts;
+  };
+
+  DensifyTransformer.prototype.transformPolygon = function(geom, parent) {
+    var roughGeom = GeometryTransformer.prototype.transformPolygon.call(this,
+        geom, parent);
+    // don't try and correct if the parent is going to do this
+    if (parent instanceof jsts.geom.MultiPolygon) {
+      return roughGeom;
+    }
+    return this.createValidArea(roughGeom);
+  };
+
+  DensifyTransformer.prototype.transformMultiPolygon = function(geom, parent) {
+    var roughGeom = GeometryTransformer.prototype.transformMultiPolygon.call(
+        this, geom, parent);
+    return this.createValidArea(roughGeom);
+  };
+
+  /**
+   * Creates a valid area geometry from one that possibly has bad topology
+   * (i.e. self-intersections). Since buffer can handle invalid topology, but
+   * always returns valid geometry, constructing a 0-width buffer "corrects"
+   * the topology. Note this only works for area geometries, since buffer
+   * always returns areas. This also may return empty geometries, if the input
+   * has no actual area.
+   *
+   * @param {jsts.geom.Geometry}
+   *          roughAreaGeom an area geometry possibly containing
+   *          self-intersections.
+   * @return {jsts.geom.Geometry} a valid area geometry.
+   */
+  DensifyTransformer.prototype.createValidArea = function(roughAreaGeom) {
+    return roughAreaGeom.buffer(0.0);
+  };
+
+
+
+  /**
+   * Densifies a {@link Geometry} by inserting extra vertices along the line
+   * segments contained in the geometry. All segments in the created densified
+   * geometry will be no longer than the given distance tolerance.
+   * Densified polygonal geometries are guaranteed to be topologically correct.
+   * The coordinates created during densification respect the input geometry's
+   * {@link PrecisionModel}.
+   * <p>
+   * <b>Note:</b> At some future point this class will offer a variety of
+   * densification strategies.
+   *
+   * @param {jsts.geom.Geometry}
+   *          inputGeom the geometry to densify.
+   * @constructor
+   */
+  jsts.densify.Densifier = function(inputGeom) {
+    this.inputGeom = inputGeom;
+  };
+
+
+  /**
+   * Densifies a geometry using a given distance tolerance, and respecting the
+   * input geometry's {@link PrecisionModel}.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to densify.
+   * @param {number}
+   *          distanceTolerance the distance tolerance to densify.
+   * @return {jsts.geom.Geometry} the densified geometry.
+   */
+  jsts.densify.Densifier.densify = function(geom, distanceTolerance) {
+    var densifier = new jsts.densify.Densifier(geom);
+    densifier.setDistanceTolerance(distanceTolerance);
+    return densifier.getResultGeometry();
+  };
+
+
+  /**
+   * Densifies a coordinate sequence.
+   *
+   * @param {jsts.geom.Coordinate[]}
+   *          pts the coordinates to densify.
+   * @param {number}
+   *          distanceTolerance the distance tolerance to densify.
+   * @param {jsts.geom.PrecisionModel}
+   *          precModel the precision model to apply on the new coordinates.
+   * @return {jsts.geom.Coordinate[]} the densified coordinates.
+   */
+  jsts.densify.Densifier.densifyPoints = function(pts, distanceTolerance,
+      precModel) {
+    var seg = new jsts.geom.LineSegment();
+    var coordList = new jsts.geom.CoordinateList([], false);
+    for (var i = 0; i < pts.length - 1; i++) {
+      seg.p0 = pts[i];
+      seg.p1 = pts[i + 1];
+      coordList.addCoordinate(seg.p0, false);
+      var len = seg.getLength();
+      var densifiedSegCount = Math.floor(len / distanceTolerance) + 1;
+      if (densifiedSegCount > 1) {
+        var densifiedSegLen = len / densifiedSegCount;
+        for (var j = 1; j < densifiedSegCount; j++) {
+          var segFract = (j * densifiedSegLen) / len;
+          var p = seg.pointAlong(segFract);
+          precModel.makePrecise(p);
+          coordList.addCoordinate(p, false);
+        }
+      }
+    }
+    if (pts.length > 0) {
+      coordList.addCoordinate(pts[pts.length - 1], false);
+    }
+    return coordList.toArray();
+  };
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.densify.Densifier.prototype.inputGeom = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.densify.Densifier.prototype.distanceTolerance = null;
+
+
+  /**
+   * Sets the distance tolerance for the densification. All line segments in
+   * the densified geometry will be no longer than the distance tolerance. The
+   * distance tolerance must be positive.
+   *
+   * @param {number}
+   *          distanceTolerance the densification tolerance to use.
+   */
+  jsts.densify.Densifier.prototype.setDistanceTolerance = function(
+      distanceTolerance) {
+    if (distanceTolerance <= 0.0) {
+      throw new jsts.error.IllegalArgumentError('Tolerance must be positive');
+    }
+    this.distanceTolerance = distanceTolerance;
+  };
+
+
+  /**
+   * Gets the densified geometry.
+   *
+   * @return {jsts.geom.Geometry} the densified geometry.
+   */
+  jsts.densify.Densifier.prototype.getResultGeometry = function() {
+    return new DensifyTransformer(this.distanceTolerance)
+        .transform(this.inputGeom);
+  };
+
+})();
@@ -20,24 +20,56 @@
 
 
   /**
+   * @param {number|jsts.geom.Coordinate}
+   *          [x] the x-value or a coordinate to copy.
+   * @param {number}
+   *          [y] the y-value.
+   * @param {number}
+   *          [z] the z-value, NaN if omitted.
    * @constructor
    */
-  jsts.geom.Coordinate = function(x, y) {
-    OpenLayers.Geometry.prototype.initialize.apply(this, arguments);
+  jsts.geom.Coordinate = function(x, y, z) {
     if (x === undefined || x === null) {
       this.x = 0;
       this.y = 0;
     } else if (typeof x === 'number' || typeof x === 'string') {
       this.x = parseFloat(x);
       this.y = parseFloat(y);
+      if (z !== undefined && z !== null) {
+        this.z = parseFloat(z);
+      }
     } else if (x instanceof jsts.geom.Coordinate) {
+      this.z = x.z;
       y = x.y;
       x = x.x;
       this.x = parseFloat(x);
       this.y = parseFloat(y);
     }
   };
-  jsts.geom.Coordinate.prototype = OpenLayers.Geometry.Point.prototype;
+
+
+  /**
+   * The x-ordinate.
+   *
+   * @type {number}
+   */
+  jsts.geom.Coordinate.prototype.x = 0;
+
+
+  /**
+   * The y-ordinate.
+   *
+   * @type {number}
+   */
+  jsts.geom.Coordinate.prototype.y = 0;
+
+
+  /**
+   * The z-ordinate. NaN unless the coordinate has been given one.
+   *
+   * @type {number}
+   */
+  jsts.geom.Coordinate.prototype.z = NaN;
 
 
   /**
@@ -50,6 +82,7 @@
   jsts.geom.Coordinate.prototype.setCoordinate = function(other) {
     this.x = other.x;
     this.y = other.y;
+    this.z = other.z;
   };
 
 
@@ -59,7 +92,7 @@
    * @return {Coordinate} A point instance cloned from this.
    */
   jsts.geom.Coordinate.prototype.clone = function() {
-    return new jsts.geom.Coordinate(this.x, this.y);
+    return new jsts.geom.Coordinate(this.x, this.y, this.z);
   };
 
 
@@ -157,28 +190,14 @@
     return '' + this.x + this.y;
   };
 
-  /**
-   * @private
-   */
-  OpenLayers.Geometry.Point = function(x, y) {
-    OpenLayers.Geometry.prototype.initialize.apply(this, arguments);
-    if (x === undefined || x === null) {
-      this.x = 0;
-      this.y = 0;
-    } else if (typeof x === 'number' || typeof x === 'string') {
-      this.x = parseFloat(x);
-      this.y = parseFloat(y);
-    } else if (x instanceof jsts.geom.Coordinate) {
-      y = x.y;
-      x = x.x;
-      this.x = parseFloat(x);
-      this.y = parseFloat(y);
-    }
-  };
 
   /**
-   * @private
+   * Returns a <code>String</code> of the form <I>(x,y,z)</I> .
+   *
+   * @return {string} a <code>String</code> of the form <I>(x,y,z)</I>.
    */
-  OpenLayers.Geometry.Point = jsts.geom.Coordinate;
+  jsts.geom.Coordinate.prototype.toString = function() {
+    return '(' + this.x + ', ' + this.y + ', ' + this.z + ')';
+  };
 
 })();
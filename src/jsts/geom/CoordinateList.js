@@ -40,7 +40,7 @@ jsts.geom.CoordinateList.prototype = new Array();
  */
 jsts.geom.CoordinateList.prototype.add = function(coord, allowRepeated,
     direction) {
-  direction = direction || true;
+  direction = direction === undefined ? true : direction;
 
   if (direction) {
     for (var i = 0; i < coord.length; i++) {
@@ -84,6 +84,8 @@ jsts.geom.Envelope.prototype.init = function() {
   } else if (arguments[0] instanceof jsts.geom.Envelope &&
       arguments.length === 1) {
     this.initFromEnvelope(arguments[0]);
+  } else {
+    this.setToNull();
   }
 };
 
@@ -140,7 +142,7 @@ jsts.geom.Envelope.prototype.initFromCoordinates = function(p1, p2) {
  *          p the Coordinate.
  */
 jsts.geom.Envelope.prototype.initFromCoordinate = function(p) {
-  this.initFromCoordinates(p.x, p.x, p.y, p.y);
+  this.initFromValues(p.x, p.x, p.y, p.y);
 };
 
 
@@ -258,7 +260,7 @@ jsts.geom.Envelope.prototype.getMaxY = function() {
  * @return {number} the area of the envelope, 0.0 if the envelope is null.
  */
 jsts.geom.Envelope.prototype.getArea = function() {
-  return getWidth() * getHeight();
+  return this.getWidth() * this.getHeight();
 };
 
 
@@ -624,12 +626,12 @@ jsts.geom.Envelope.prototype.containsValues = function(x, y) {
  * Will call appropriate contains* depending on arguments.
  */
 jsts.geom.Envelope.prototype.covers = function() {
-  if (p instanceof jsts.geom.Envelope) {
-    this.coversEnvelope(arguments[0]);
-  } else if (p instanceof jsts.geom.Coordinate) {
-    this.coversCoordinate(arguments[0]);
+  if (arguments[0] instanceof jsts.geom.Envelope) {
+    return this.coversEnvelope(arguments[0]);
+  } else if (arguments[0] instanceof jsts.geom.Coordinate) {
+    return this.coversCoordinate(arguments[0]);
   } else {
-    this.coversValues(arguments[0], arguments[1]);
+    return this.coversValues(arguments[0], arguments[1]);
   }
 };
 
@@ -104,6 +104,12 @@ jsts.geom.Geometry.prototype.envelope = null;
  */
 jsts.geom.Geometry.prototype.factory = null;
 
+/**
+ * The ID of the Spatial Reference System used by this <code>Geometry</code>
+ * @protected
+ */
+jsts.geom.Geometry.prototype.SRID = 0;
+
 
 /**
  * Returns the name of this object's <code>com.vivid.jts.geom</code>
@@ -172,6 +178,31 @@ jsts.geom.Geometry.prototype.getFactory = function() {
 };
 
 
+/**
+ * Returns the ID of the Spatial Reference System used by the
+ * <code>Geometry</code>. JSTS does not interpret the SRID, it is only kept so
+ * that it can be read from and written to formats such as EWKB.
+ *
+ * @return {number} the ID of the coordinate space in which the
+ *         <code>Geometry</code> is defined.
+ */
+jsts.geom.Geometry.prototype.getSRID = function() {
+  return this.SRID;
+};
+
+
+/**
+ * Sets the ID of the Spatial Reference System used by the
+ * <code>Geometry</code>.
+ *
+ * @param {number}
+ *          SRID the ID of the coordinate space.
+ */
+jsts.geom.Geometry.prototype.setSRID = function(SRID) {
+  this.SRID = SRID;
+};
+
+
 /**
  * Returns the number of {@link Geometry}s in a {@link GeometryCollection} (or
  * 1, if the geometry is not a collection).
@@ -253,6 +284,30 @@ jsts.geom.Geometry.prototype.getNumPoints = function() {
 };
 
 
+/**
+ * Returns the area of this <code>Geometry</code>. Areal Geometries have a
+ * non-zero area. They override this function to compute the area. Others
+ * return 0.0
+ *
+ * @return {number} the area of the Geometry.
+ */
+jsts.geom.Geometry.prototype.getArea = function() {
+  return 0.0;
+};
+
+
+/**
+ * Returns the length of this <code>Geometry</code>. Linear geometries return
+ * their length. Areal geometries return their perimeter. They override this
+ * function to compute the area. Others return 0.0
+ *
+ * @return {number} the length of the Geometry.
+ */
+jsts.geom.Geometry.prototype.getLength = function() {
+  return 0.0;
+};
+
+
 /**
  * Tests whether this {@link Geometry} is simple. In general, the SFS
  * specification of simplicity follows the rule:
@@ -292,7 +347,7 @@ jsts.geom.Geometry.prototype.isSimple = function() {
  * @see IsValidOp
  */
 jsts.geom.Geometry.prototype.isValid = function() {
-  var isValidOp = new IsValidOp(this);
+  var isValidOp = new jsts.operation.valid.IsValidOp(this);
   return isValidOp.isValid();
 };
 
@@ -377,6 +432,15 @@ jsts.geom.Geometry.prototype.getCentroid_jsts = function() {
 };
 
 
+/**
+ * @see #getCentroid_jsts
+ * @return {Point} a {@link Point} which is the centroid of this Geometry.
+ */
+jsts.geom.Geometry.prototype.getCentroid = function() {
+  return this.getCentroid_jsts();
+};
+
+
 /**
  * Computes an interior point of this <code>Geometry</code>. An interior
  * point is guaranteed to lie in the interior of the Geometry, if it possible to
@@ -386,17 +450,20 @@ jsts.geom.Geometry.prototype.getCentroid_jsts = function() {
  * @return {Point} a {@link Point} which is in the interior of this Geometry.
  */
 jsts.geom.Geometry.prototype.getInteriorPoint = function() {
+  if (this.isEmpty()) {
+    return this.getFactory().createPoint(null);
+  }
   var intPt;
   var interiorPt = null;
-  var dim = getDimension();
+  var dim = this.getDimension();
   if (dim === 0) {
-    intPt = new InteriorPointPoint(this);
+    intPt = new jsts.algorithm.InteriorPointPoint(this);
     interiorPt = intPt.getInteriorPoint();
   } else if (dim === 1) {
-    intPt = new InteriorPointLine(this);
+    intPt = new jsts.algorithm.InteriorPointLine(this);
     interiorPt = intPt.getInteriorPoint();
   } else {
-    intPt = new InteriorPointArea(this);
+    intPt = new jsts.algorithm.InteriorPointArea(this);
     interiorPt = intPt.getInteriorPoint();
   }
   return this.createPointFromInternalCoord(interiorPt, this);
@@ -570,16 +637,29 @@ jsts.geom.Geometry.prototype.intersects_jsts = function(g) {
 
   // optimization for rectangle arguments
   if (this.isRectangle()) {
-    return RectangleIntersects.intersects(this, g);
+    return jsts.operation.predicate.RectangleIntersects.intersects(this, g);
   }
   if (g.isRectangle()) {
-    return RectangleIntersects.intersects(g, this);
+    return jsts.operation.predicate.RectangleIntersects.intersects(g, this);
   }
   // general case
   return this.relate(g).isIntersects();
 };
 
 
+/**
+ * @see #intersects_jsts
+ * @param {Geometry}
+ *          g the <code>Geometry</code> with which to compare this
+ *          <code>Geometry.</code>
+ * @return {boolean} <code>true</code> if the two <code>Geometry</code>s
+ *         intersect.
+ */
+jsts.geom.Geometry.prototype.intersects = function(g) {
+  return this.intersects_jsts(g);
+};
+
+
 /**
  * Tests whether this geometry crosses the specified geometry.
  * <p>
@@ -677,7 +757,7 @@ jsts.geom.Geometry.prototype.contains = function(g) {
   }
   // optimization for rectangle arguments
   if (this.isRectangle()) {
-    return RectangleContains.contains(this, g);
+    return jsts.operation.predicate.RectangleContains.contains(this, g);
   }
   // general case
   return this.relate(g).isContains();
@@ -910,12 +990,7 @@ jsts.geom.Geometry.prototype.equalsTopo = function(g) {
  * @see #normalize()
  */
 jsts.geom.Geometry.prototype.equals = function(o) {
-  if (o instanceof jsts.geom.Geometry || o instanceof jsts.geom.LinearRing ||
-      o instanceof jsts.geom.Polygon ||
-      o instanceof jsts.geom.GeometryCollection ||
-      o instanceof jsts.geom.MultiPoint ||
-      o instanceof jsts.geom.MultiLineString ||
-      o instanceof jsts.geom.MultiPolygon) {
+  if (o instanceof jsts.geom.Geometry) {
     return this.equalsExact(o);
   }
   return false;
@@ -1297,32 +1372,11 @@ jsts.geom.Geometry.prototype.compareTo = function(o) {
  *         <code>equalsExact</code> method.
  */
 jsts.geom.Geometry.prototype.isEquivalentClass = function(other) {
-  if (this instanceof jsts.geom.Point && other instanceof jsts.geom.Point) {
-    return true;
-  } else if (this instanceof jsts.geom.LineString &&
-      (other instanceof jsts.geom.LineString | other instanceof jsts.geom.LinearRing)) {
-    return true;
-  } else if (this instanceof jsts.geom.LinearRing &&
-      (other instanceof jsts.geom.LineString | other instanceof jsts.geom.LinearRing)) {
-    return true;
-  } else if (this instanceof jsts.geom.Polygon &&
-      (other instanceof jsts.geom.Polygon)) {
-    return true;
-  } else if (this instanceof jsts.geom.MultiPoint &&
-      (other instanceof jsts.geom.MultiPoint)) {
-    return true;
-  } else if (this instanceof jsts.geom.MultiLineString &&
-      (other instanceof jsts.geom.MultiLineString)) {
-    return true;
-  } else if (this instanceof jsts.geom.MultiPolygon &&
-      (other instanceof jsts.geom.MultiPolygon)) {
-    return true;
-  } else if (this instanceof jsts.geom.GeometryCollection &&
-      (other instanceof jsts.geom.GeometryCollection)) {
+  if (this instanceof jsts.geom.LineString &&
+      other instanceof jsts.geom.LineString) {
     return true;
   }
-
-  return false;
+  return this.getGeometryType() === other.getGeometryType();
 };
 
 
@@ -1338,19 +1392,30 @@ jsts.geom.Geometry.prototype.isEquivalentClass = function(other) {
  *           one of its subclasses
  */
 jsts.geom.Geometry.prototype.checkNotGeometryCollection = function(g) {
-  if (g instanceof jsts.geom.GeometryCollection) {
+  if (g.isGeometryCollection()) {
     throw new jsts.error.IllegalArgumentError(
         'This method does not support GeometryCollection');
   }
 };
 
 
+/**
+ * Tests whether this is a rectangular {@link Polygon}. Only polygons can be
+ * rectangles, so this returns <code>false</code> unless overridden.
+ *
+ * @return {boolean} true if the geometry is a rectangle.
+ */
+jsts.geom.Geometry.prototype.isRectangle = function() {
+  return false;
+};
+
+
 /**
  *
  * @return {boolean} true if this is a GeometryCollection.
  */
 jsts.geom.Geometry.prototype.isGeometryCollection = function() {
-  return (this instanceof jsts.geom.GeometryCollection);
+  return this.getGeometryType() === 'GeometryCollection';
 };
 
 
@@ -15,40 +15,35 @@
   var Arrays = javascript.util.Arrays;
 
   /**
+   * @param {jsts.geom.Geometry[]}
+   *          geometries the elements of the collection, or null or an empty
+   *          array to create the empty geometry.
+   * @param {jsts.geom.GeometryFactory}
+   *          [factory] the factory that created this geometry.
+   * @throws {jsts.error.IllegalArgumentError}
+   *           if the array contains null elements.
    * @constructor
    * @extends jsts.geom.Geometry
    */
   jsts.geom.GeometryCollection = function(geometries, factory) {
     this.factory = factory;
-    OpenLayers.Geometry.Collection.prototype.initialize.apply(this, arguments);
-
-    /*OpenLayers.Geometry.prototype.initialize.apply(this, arguments);
-
-    this.components = [];
-
-    if (!components) {
-      return;
-    }
-
-    for (var i = 0; i < components.length; i++) {
-      var component = components[i];
-      if (component instanceof jsts.geom.Point) {
-        components[i] = component.coordinate;
-      } else if (component instanceof jsts.geom.Coordinate) {
-        component = new jsts.geom.Point(component);
-      }
-      this.components.push(component);
+    geometries = geometries || [];
+    if (Geometry.hasNullElements(geometries)) {
+      throw new jsts.error.IllegalArgumentError(
+          'geometries must not contain null elements');
     }
-
-    this.components = [];
-    this.addComponents(components);*/
+    this.components = geometries.slice();
   };
+  jsts.inherit(jsts.geom.GeometryCollection, Geometry);
 
-  jsts.geom.GeometryCollection.prototype = new OpenLayers.Geometry.Collection();
 
-  for (key in Geometry.prototype) {
-    jsts.geom.GeometryCollection.prototype[key] = Geometry.prototype[key];
-  }
+  /**
+   * The elements of this collection.
+   *
+   * @type {jsts.geom.Geometry[]}
+   * @protected
+   */
+  jsts.geom.GeometryCollection.prototype.components = null;
 
 
   /**
@@ -116,11 +111,55 @@
    * @return {Geometry}
    */
   jsts.geom.GeometryCollection.prototype.getGeometryN = function(n) {
-    var geometry = this.components[n];
-    if (geometry instanceof jsts.geom.Coordinate) {
-      geometry = new jsts.geom.Point(geometry);
+    return this.components[n];
+  };
+
+
+  /**
+   * @return {int}
+   */
+  jsts.geom.GeometryCollection.prototype.getNumPoints = function() {
+    var numPoints = 0;
+    for (var i = 0; i < this.components.length; i++) {
+      numPoints += this.components[i].getNumPoints();
     }
-    return geometry;
+    return numPoints;
+  };
+
+
+  /**
+   * Returns the area of this <code>GeometryCollection</code>.
+   *
+   * @return {number} the sum of the areas of the elements.
+   */
+  jsts.geom.GeometryCollection.prototype.getArea = function() {
+    var area = 0.0;
+    for (var i = 0; i < this.components.length; i++) {
+      area += this.components[i].getArea();
+    }
+    return area;
+  };
+
+
+  /**
+   * Returns the length of this <code>GeometryCollection</code>.
+   *
+   * @return {number} the sum of the lengths of the elements.
+   */
+  jsts.geom.GeometryCollection.prototype.getLength = function() {
+    var len = 0.0;
+    for (var i = 0; i < this.components.length; i++) {
+      len += this.components[i].getLength();
+    }
+    return len;
+  };
+
+
+  /**
+   * @return {String} String representation of GeometryCollection type.
+   */
+  jsts.geom.GeometryCollection.prototype.getGeometryType = function() {
+    return 'GeometryCollection';
   };
 
 
@@ -199,7 +238,18 @@
     return envelope;
   };
 
-  //OpenLayers.Geometry.Collection = jsts.geom.GeometryCollection;
+  /**
+   * Creates a deep copy of this collection, of the same class.
+   *
+   * @return {jsts.geom.GeometryCollection} a clone of this instance.
+   */
+  jsts.geom.GeometryCollection.prototype.clone = function() {
+    var geometries = [];
+    for (var i = 0; i < this.components.length; i++) {
+      geometries.push(this.components[i].clone());
+    }
+    return new this.constructor(geometries, this.factory);
+  };
 
 })();
 
@@ -100,7 +100,7 @@ jsts.geom.GeometryFactory.prototype.createPolygon = function(shell, holes) {
   if (shell) {
     rings = [shell];
 
-    if (holes !== undefined) {
+    if (holes) {
       rings = rings.concat(holes);
     }
   }
@@ -111,18 +111,16 @@ jsts.geom.GeometryFactory.prototype.createPolygon = function(shell, holes) {
 };
 
 
-jsts.geom.GeometryFactory.prototype.createMultiPoint = function(coordinates) {
-  if (coordinates) {
-    if (coordinates[0] instanceof jsts.geom.Point) {
-      var temp = [];
-      coordinates.forEach(function(point) {
-        temp.push(point.coordinate);
-      });
-      coordinates = temp;
-    }
-  }
-
-  return new jsts.geom.MultiPoint(coordinates, this);
+/**
+ * Creates a MultiPoint using the given Points or Coordinates; a null or empty
+ * array will create an empty MultiPoint.
+ *
+ * @param {Point[]|Coordinate[]}
+ *          points an array without null elements, or an empty array, or null.
+ * @return {MultiPoint} A new MultiPoint.
+ */
+jsts.geom.GeometryFactory.prototype.createMultiPoint = function(points) {
+  return new jsts.geom.MultiPoint(points, this);
 };
 
 jsts.geom.GeometryFactory.prototype.createMultiLineString = function(lineStrings) {
@@ -171,7 +169,7 @@ jsts.geom.GeometryFactory.prototype.buildGeometry = function(geomList) {
   var hasGeometryCollection = false;
   for (var i = geomList.iterator(); i.hasNext(); ) {
     var geom = i.next();
-    var partClass = geom.CLASS_NAME;
+    var partClass = geom.getGeometryType();
     if (geomClass === null) {
       geomClass = partClass;
     }
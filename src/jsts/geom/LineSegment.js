@@ -53,7 +53,7 @@ jsts.geom.LineSegment.prototype.p1 = null;
  * @return {number} the length of the line segment.
  */
 jsts.geom.LineSegment.prototype.getLength = function() {
-  return this.p0.distance(p1);
+  return this.p0.distance(this.p1);
 };
 
 /**
@@ -272,4 +272,175 @@ jsts.geom.LineSegment.prototype.distance = function(p)
   return jsts.algorithm.CGAlgorithms.distancePointLine(p, this.p0, this.p1);
 };
 
+
+/**
+ * Computes the perpendicular distance between the (infinite) line defined by
+ * this line segment and a point.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          p the coordinate.
+ * @return {number} the perpendicular distance between the defined line and
+ *         the given point.
+ */
+jsts.geom.LineSegment.prototype.distancePerpendicular = function(p) {
+  return jsts.algorithm.CGAlgorithms.distancePointLinePerpendicular(p,
+      this.p0, this.p1);
+};
+
+
+/**
+ * Computes the intersection point of the lines of infinite extent defined by
+ * two line segments (if there is one). There may be 0, 1 or an infinite
+ * number of intersection points between two lines. If there is a unique
+ * intersection point, it is returned. Otherwise, <tt>null</tt> is returned.
+ * If more information is required about the details of the intersection, the
+ * {@link RobustLineIntersector} class should be used.
+ *
+ * @param {jsts.geom.LineSegment}
+ *          line a line segment defining an straight line with infinite
+ *          extent.
+ * @return {jsts.geom.Coordinate} an intersection point, or <code>null</code>
+ *         if there is no point of intersection or an infinite number of
+ *         intersection points.
+ */
+jsts.geom.LineSegment.prototype.lineIntersection = function(line) {
+  try {
+    return jsts.algorithm.HCoordinate.intersection(this.p0, this.p1, line.p0,
+        line.p1);
+  } catch (e) {
+    if (!(e instanceof jsts.error.NotRepresentableError))
+      throw e;
+  }
+  return null;
+};
+
+
+/**
+ * Creates a LineString with the same coordinates as this segment.
+ *
+ * @param {jsts.geom.GeometryFactory}
+ *          geomFactory the geometery factory to use.
+ * @return {jsts.geom.LineString} a LineString with the same geometry as this
+ *         segment.
+ */
+jsts.geom.LineSegment.prototype.toGeometry = function(geomFactory) {
+  return geomFactory.createLineString([this.p0, this.p1]);
+};
+
+
+/**
+ * Computes the {@link Coordinate} that lies a given fraction along the line
+ * defined by this segment. A fraction of <code>0.0</code> returns the start
+ * point of the segment; a fraction of <code>1.0</code> returns the end point
+ * of the segment. If the fraction is &lt; 0.0 or &gt; 1.0 the point returned
+ * will lie before the start or beyond the end of the segment.
+ *
+ * @param {number}
+ *          segmentLengthFraction the fraction of the segment length along the
+ *          line.
+ * @return {jsts.geom.Coordinate} the point at that distance.
+ */
+jsts.geom.LineSegment.prototype.pointAlong = function(segmentLengthFraction) {
+  var coord = new jsts.geom.Coordinate();
+  coord.x = this.p0.x + segmentLengthFraction * (this.p1.x - this.p0.x);
+  coord.y = this.p0.y + segmentLengthFraction * (this.p1.y - this.p0.y);
+  return coord;
+};
+
+/**
+ * Computes the {@link Coordinate} that lies a given fraction along the line
+ * defined by this segment and offset from the segment by a given distance.
+ * A fraction of <code>0.0</code> offsets from the start point of the
+ * segment; a fraction of <code>1.0</code> offsets from the end point of the
+ * segment. The computed point is offset to the left of the line if the
+ * offset distance is positive, to the right if negative.
+ *
+ * @param {number}
+ *          segmentLengthFraction the fraction of the segment length along the
+ *          line.
+ * @param {number}
+ *          offsetDistance the distance the point is offset from the segment
+ *          (positive is to the left, negative is to the right).
+ * @return {jsts.geom.Coordinate} the point at that distance and offset.
+ * @throws {jsts.error.IllegalArgumentError}
+ *           if the segment has zero length and the offset is not zero.
+ */
+jsts.geom.LineSegment.prototype.pointAlongOffset = function(
+    segmentLengthFraction, offsetDistance) {
+  // the point on the segment line
+  var segx = this.p0.x + segmentLengthFraction * (this.p1.x - this.p0.x);
+  var segy = this.p0.y + segmentLengthFraction * (this.p1.y - this.p0.y);
+
+  var dx = this.p1.x - this.p0.x;
+  var dy = this.p1.y - this.p0.y;
+  var len = Math.sqrt(dx * dx + dy * dy);
+  var ux = 0.0;
+  var uy = 0.0;
+  if (offsetDistance !== 0.0) {
+    if (len <= 0.0) {
+      throw new jsts.error.IllegalArgumentError(
+          'Cannot compute offset from zero-length line segment');
+    }
+
+    // u is the vector that is the length of the offset, in the direction of
+    // the segment
+    ux = offsetDistance * dx / len;
+    uy = offsetDistance * dy / len;
+  }
+
+  // the offset point is the seg point plus the offset vector rotated 90
+  // degrees CCW
+  return new jsts.geom.Coordinate(segx - uy, segy + ux);
+};
+
+
+/**
+ * Computes the fraction of distance (in <tt>[0.0, 1.0]</tt>) that the
+ * projection of a point occurs along this line segment. If the point is
+ * beyond either ends of the line segment, the closest fractional value
+ * (<tt>0.0</tt> or <tt>1.0</tt>) is returned.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the point.
+ * @return {number} the fraction along the line segment the projection of the
+ *         point occurs.
+ */
+jsts.geom.LineSegment.prototype.segmentFraction = function(inputPt) {
+  var segFrac = this.projectionFactor(inputPt);
+  if (segFrac < 0.0) {
+    segFrac = 0.0;
+  } else if (segFrac > 1.0 || isNaN(segFrac)) {
+    segFrac = 1.0;
+  }
+  return segFrac;
+};
+
+/**
+ * Determines the orientation of a LineSegment or a Coordinate relative to this
+ * segment.
+ *
+ * @param {jsts.geom.LineSegment|jsts.geom.Coordinate}
+ *          seg the LineSegment or Coordinate to compare.
+ * @return {number} 1 if it is to the left, -1 if it is to the right and 0 if
+ *         it is collinear or (for a segment) indeterminate.
+ */
+jsts.geom.LineSegment.prototype.orientationIndex = function(seg) {
+  if (seg instanceof jsts.geom.Coordinate) {
+    return jsts.algorithm.CGAlgorithms.orientationIndex(this.p0, this.p1, seg);
+  }
+
+  var orient0 = jsts.algorithm.CGAlgorithms.orientationIndex(this.p0, this.p1,
+      seg.p0);
+  var orient1 = jsts.algorithm.CGAlgorithms.orientationIndex(this.p0, this.p1,
+      seg.p1);
+  // this handles the case where the points are L or collinear
+  if (orient0 >= 0 && orient1 >= 0)
+    return Math.max(orient0, orient1);
+  // this handles the case where the points are R or collinear
+  if (orient0 <= 0 && orient1 <= 0)
+    return Math.min(orient0, orient1);
+  // points lie on opposite sides ==> indeterminate orientation
+  return 0;
+};
+
 // TODO: port rest
@@ -12,21 +12,28 @@
 
 
   /**
+   * @param {jsts.geom.Coordinate[]}
+   *          points the points of the linestring, or null or an empty array
+   *          to create the empty geometry.
+   * @param {jsts.geom.GeometryFactory}
+   *          [factory] the factory that created this geometry.
    * @extends jsts.geom.Geometry
    * @constructor
    */
   jsts.geom.LineString = function(points, factory) {
     this.factory = factory;
-
-    OpenLayers.Geometry.Curve.prototype.initialize.apply(this, arguments);
-
-    this.geometries = this.components;
+    this.components = points ? points.slice() : [];
   };
-  jsts.geom.LineString.prototype = OpenLayers.Geometry.LineString.prototype;
+  jsts.inherit(jsts.geom.LineString, jsts.geom.Geometry);
+
 
-  for (key in jsts.geom.Geometry.prototype) {
-    jsts.geom.LineString.prototype[key] = jsts.geom.Geometry.prototype[key];
-  }
+  /**
+   * The points of this linestring.
+   *
+   * @type {jsts.geom.Coordinate[]}
+   * @protected
+   */
+  jsts.geom.LineString.prototype.components = null;
 
   /**
    * @return {jsts.geom.Coordinate[]} this LineString's internal coordinate
@@ -72,12 +79,22 @@
    */
   jsts.geom.LineString.prototype.getBoundaryDimension = function() {
     if (this.isClosed()) {
-      return Dimension.FALSE;
+      return jsts.geom.Dimension.FALSE;
     }
     return 0;
   };
 
 
+  /**
+   * Returns the length of this <code>LineString</code>.
+   *
+   * @return {number} the length of the linestring.
+   */
+  jsts.geom.LineString.prototype.getLength = function() {
+    return jsts.algorithm.CGAlgorithms.computeLength(this.components);
+  };
+
+
   /**
    * @return {Boolean} true if empty.
    */
@@ -250,6 +267,32 @@
     }
   };
 
-  OpenLayers.Geometry.LineString = jsts.geom.LineString;
+  /**
+   * Creates a {@link LineString} whose coordinates are in the reverse order
+   * of this object's.
+   *
+   * @return {jsts.geom.LineString} a {@link LineString} with coordinates in
+   *         the reverse order.
+   */
+  jsts.geom.LineString.prototype.reverse = function() {
+    var points = [];
+    for (var i = this.components.length - 1; i >= 0; i--) {
+      points.push(this.components[i].clone());
+    }
+    return new this.constructor(points, this.factory);
+  };
+
+  /**
+   * Creates a deep copy of this <code>LineString</code>.
+   *
+   * @return {jsts.geom.LineString} a clone of this instance.
+   */
+  jsts.geom.LineString.prototype.clone = function() {
+    var points = [];
+    for (var i = 0; i < this.components.length; i++) {
+      points.push(this.components[i].clone());
+    }
+    return new this.constructor(points, this.factory);
+  };
 
 })();
@@ -21,19 +21,39 @@
 
 
   /**
+   * @param {jsts.geom.Coordinate[]}
+   *          points the points of the ring, or null or an empty array to create
+   *          the empty geometry.
+   * @param {jsts.geom.GeometryFactory}
+   *          [factory] the factory that created this geometry.
+   * @throws {jsts.error.IllegalArgumentError}
+   *           if the ring is not closed, or has too few points.
    * @extends jsts.geom.LineString
    * @constructor
    */
-  jsts.geom.LinearRing = function(coordinates, factory) {
-    this.factory = factory;
-    jsts.geom.LineString.apply(this, arguments);
+  jsts.geom.LinearRing = function(points, factory) {
+    jsts.geom.LineString.call(this, points, factory);
+    this.validateConstruction();
+  };
+  jsts.inherit(jsts.geom.LinearRing, jsts.geom.LineString);
+
+
+  /**
+   * @private
+   */
+  jsts.geom.LinearRing.prototype.validateConstruction = function() {
+    if (!this.isEmpty() && !this.isClosed()) {
+      throw new jsts.error.IllegalArgumentError(
+          'Points of LinearRing do not form a closed linestring');
+    }
+    if (this.components.length >= 1 &&
+        this.components.length < jsts.geom.LinearRing.MINIMUM_VALID_SIZE) {
+      throw new jsts.error.IllegalArgumentError(
+          'Invalid number of points in LinearRing (found ' +
+          this.components.length + ' - must be 0 or >= 4)');
+    }
   };
-  jsts.geom.LinearRing.prototype = OpenLayers.Geometry.LinearRing.prototype;
 
-  for (key in jsts.geom.LineString.prototype) {
-    jsts.geom.LinearRing.prototype[key] = jsts.geom.LinearRing.prototype[key] ? jsts.geom.LinearRing.prototype[key]
-        : jsts.geom.LineString.prototype[key];
-  }
 
   /**
    * Returns <code>Dimension.FALSE</code>, since by definition LinearRings do
@@ -66,8 +86,13 @@
     return 'LinearRing';
   };
 
+  /**
+   * The minimum number of vertices allowed in a valid non-empty ring (= 4).
+   * Empty rings with 0 vertices are also valid.
+   *
+   * @const
+   * @type {number}
+   */
   jsts.geom.LinearRing.MINIMUM_VALID_SIZE = 4;
 
-  OpenLayers.Geometry.LinearRing = jsts.geom.LinearRing;
-
 })();
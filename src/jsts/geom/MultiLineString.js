@@ -13,42 +13,57 @@
 
 
   /**
+   * @param {jsts.geom.LineString[]}
+   *          lineStrings the linestrings of the collection, or null or an empty
+   *          array to create the empty geometry.
+   * @param {jsts.geom.GeometryFactory}
+   *          [factory] the factory that created this geometry.
    * @constructor
    * @extends jsts.geom.GeometryCollection
    */
   jsts.geom.MultiLineString = function(lineStrings, factory) {
-    this.factory = factory;
+    jsts.geom.GeometryCollection.call(this, lineStrings, factory);
+  };
+  jsts.inherit(jsts.geom.MultiLineString, jsts.geom.GeometryCollection);
 
-    if (arguments[0] instanceof Array) {
-      // NOTE: need to support LinearRings as input (OL only supports
-      // LineStrings
-      var array = arguments[0];
-      for (var i = 0; i < array.length; i++) {
-        var e = array[i];
-        if (e.CLASS_NAME === 'OpenLayers.Geometry.LinearRing') {
-          array[i] = new jsts.geom.LineString(e.components);
-        }
-      }
-    }
 
-    OpenLayers.Geometry.Collection.prototype.initialize.apply(this, arguments);
-    this.geometries = this.components;
+  /**
+   * @return {int} MultiLineStrings are always 1-dimensional.
+   */
+  jsts.geom.MultiLineString.prototype.getDimension = function() {
+    return 1;
   };
-  jsts.geom.MultiLineString.prototype = OpenLayers.Geometry.MultiLineString.prototype;
 
-  for (key in jsts.geom.GeometryCollection.prototype) {
-    jsts.geom.MultiLineString.prototype[key] = jsts.geom.MultiLineString.prototype[key] ? jsts.geom.MultiLineString.prototype[key]
-        : jsts.geom.GeometryCollection.prototype[key];
 
-    // overrides
-    jsts.geom.MultiLineString.prototype.getCentroid = jsts.geom.GeometryCollection.prototype.getCentroid;
-  }
+  /**
+   * @return {String} String representation of MultiLineString type.
+   */
+  jsts.geom.MultiLineString.prototype.getGeometryType = function() {
+    return 'MultiLineString';
+  };
 
   jsts.geom.MultiLineString.prototype.getBoundary = function() {
     return (new jsts.operation.BoundaryOp(this)).getBoundary();
   };
 
 
+  /**
+   * Creates a {@link MultiLineString} in the reverse order to this object.
+   * Both the order of the component LineStrings and the order of their
+   * coordinate sequences are reversed.
+   *
+   * @return {jsts.geom.MultiLineString} a {@link MultiLineString} in the
+   *         reverse order.
+   */
+  jsts.geom.MultiLineString.prototype.reverse = function() {
+    var revLines = [];
+    for (var i = this.components.length - 1; i >= 0; i--) {
+      revLines.push(this.components[i].reverse());
+    }
+    return this.getFactory().createMultiLineString(revLines);
+  };
+
+
   /**
    * @param {Geometry}
    *          other
@@ -64,6 +79,4 @@
         tolerance);
   };
 
-  OpenLayers.Geometry.MultiLineString = jsts.geom.MultiLineString;
-
 })();
@@ -11,33 +11,53 @@
 (function() {
 
   /**
+   * @param {jsts.geom.Point[]|jsts.geom.Coordinate[]}
+   *          points the points of the collection, or null or an empty array to
+   *          create the empty geometry. Coordinates are converted to points.
+   * @param {jsts.geom.GeometryFactory}
+   *          [factory] the factory that created this geometry.
    * @constructor
    * @extends jsts.geom.GeometryCollection
    */
   jsts.geom.MultiPoint = function(points, factory) {
-    this.factory = factory;
+    var geometries = [];
+    if (points) {
+      for (var i = 0; i < points.length; i++) {
+        var point = points[i];
+        // NOTE: special handling since in JSTS the parts should be Points.
+        if (point instanceof jsts.geom.Coordinate) {
+          point = new jsts.geom.Point(point, factory);
+        }
+        geometries.push(point);
+      }
+    }
+    jsts.geom.GeometryCollection.call(this, geometries, factory);
+  };
+  jsts.inherit(jsts.geom.MultiPoint, jsts.geom.GeometryCollection);
 
-    OpenLayers.Geometry.Collection.prototype.initialize.apply(this, arguments);
 
-    this.geometries = [];
+  /**
+   * @return {int} MultiPoints are always 0-dimensional.
+   */
+  jsts.geom.MultiPoint.prototype.getDimension = function() {
+    return 0;
+  };
 
-    for (var i = 0; i < this.components.length; i++) {
-      var component = this.components[i];
-      // NOTE: special handling since in JSTS the parts should be Points.
-      if (component instanceof jsts.geom.Coordinate) {
-        this.geometries.push(new jsts.geom.Point(component));
-      } else {
-        this.geometries.push(component);
-      }
-    }
+
+  /**
+   * @return {number} Always Dimension.FALSE.
+   */
+  jsts.geom.MultiPoint.prototype.getBoundaryDimension = function() {
+    return jsts.geom.Dimension.FALSE;
   };
-  jsts.geom.MultiPoint.prototype = OpenLayers.Geometry.MultiPoint.prototype;
 
-  for (key in jsts.geom.GeometryCollection.prototype) {
-    jsts.geom.MultiPoint.prototype[key] = jsts.geom.MultiPoint.prototype[key] ? jsts.geom.MultiPoint.prototype[key] : jsts.geom.GeometryCollection.prototype[key];
-    // overrides
-    jsts.geom.MultiPoint.prototype.getCentroid = jsts.geom.GeometryCollection.prototype.getCentroid;
-  }
+
+  /**
+   * @return {String} String representation of MultiPoint type.
+   */
+  jsts.geom.MultiPoint.prototype.getGeometryType = function() {
+    return 'MultiPoint';
+  };
 
 
   /**
@@ -51,10 +71,6 @@
     return this.getFactory().createGeometryCollection(null);
   };
 
-  jsts.geom.MultiPoint.prototype.getGeometryN = function(n) {
-    return this.geometries[n];
-  };
-
 
   /**
    * @param {Geometry}
@@ -71,6 +87,4 @@
         tolerance);
   };
 
-  OpenLayers.Geometry.MultiPoint = jsts.geom.MultiPoint;
-
 })();
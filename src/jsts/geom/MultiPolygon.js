@@ -13,23 +13,35 @@
 
 
   /**
+   * @param {jsts.geom.Polygon[]}
+   *          polygons the polygons of the collection, or null or an empty array
+   *          to create the empty geometry.
+   * @param {jsts.geom.GeometryFactory}
+   *          [factory] the factory that created this geometry.
    * @constructor
    * @extends jsts.geom.GeometryCollection
    */
   jsts.geom.MultiPolygon = function(polygons, factory) {
-    this.factory = factory;
+    jsts.geom.GeometryCollection.call(this, polygons, factory);
+  };
+  jsts.inherit(jsts.geom.MultiPolygon, jsts.geom.GeometryCollection);
+
+
+  /**
+   * @return {int} MultiPolygons are always 2-dimensional.
+   */
+  jsts.geom.MultiPolygon.prototype.getDimension = function() {
+    return 2;
+  };
+
 
-    OpenLayers.Geometry.Collection.prototype.initialize.apply(this,
-        arguments);
-    this.geometries = this.components;
+  /**
+   * @return {String} String representation of MultiPolygon type.
+   */
+  jsts.geom.MultiPolygon.prototype.getGeometryType = function() {
+    return 'MultiPolygon';
   };
-  jsts.geom.MultiPolygon.prototype = OpenLayers.Geometry.MultiPolygon.prototype;
 
-  for (key in jsts.geom.GeometryCollection.prototype) {
-    jsts.geom.MultiPolygon.prototype[key] = jsts.geom.MultiPolygon.prototype[key] ? jsts.geom.MultiPolygon.prototype[key] : jsts.geom.GeometryCollection.prototype[key];
-    // overrides
-    jsts.geom.MultiPolygon.prototype.getCentroid = jsts.geom.GeometryCollection.prototype.getCentroid;
-  }
 
   /**
    * Computes the boundary of this geometry
@@ -42,8 +54,8 @@
       return this.getFactory().createMultiLineString(null);
     }
     var allRings = [];
-    for (var i = 0; i < this.geometries.length; i++) {
-      var polygon = this.geometries[i];
+    for (var i = 0; i < this.components.length; i++) {
+      var polygon = this.components[i];
       var rings = polygon.getBoundary();
       for (var j = 0; j < rings.getNumGeometries(); j++) {
         allRings.push(rings.getGeometryN(j));
@@ -68,6 +80,4 @@
         tolerance);
   };
 
-  OpenLayers.Geometry.MultiPolygon = jsts.geom.MultiPolygon;
-
 })();
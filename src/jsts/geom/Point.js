@@ -25,11 +25,7 @@ jsts.geom.Point = function(coordinate, factory) {
   this.coordinate = coordinate;
 };
 
-jsts.geom.Point.prototype = new jsts.geom.Geometry();
-jsts.geom.Point.constructor = jsts.geom.Point;
-
-
-jsts.geom.Point.CLASS_NAME = 'jsts.geom.Point';
+jsts.inherit(jsts.geom.Point, jsts.geom.Geometry);
 
 
 jsts.geom.Point.prototype.coordinate = null;
@@ -112,7 +108,7 @@ jsts.geom.Point.prototype.computeEnvelopeInternal = function() {
   if (this.isEmpty()) {
     return new jsts.geom.Envelope();
   }
-  return new jsts.geom.Envelope(this);
+  return new jsts.geom.Envelope(this.coordinate);
 };
 
 jsts.geom.Point.prototype.apply = function(filter) {
@@ -126,7 +122,8 @@ jsts.geom.Point.prototype.apply = function(filter) {
 };
 
 jsts.geom.Point.prototype.clone = function() {
-  return new jsts.geom.Point(this.coordinate.clone(), this.factory);
+  return new jsts.geom.Point(this.isEmpty() ? null : this.coordinate.clone(),
+      this.factory);
 };
 
 
@@ -154,23 +151,6 @@ jsts.geom.Point.prototype.reverse = function() {
 };
 
 
-/**
- * A Point is valid iff:
- * <ul>
- * <li>the coordinate which defines it is a valid coordinate (i.e does not have
- * an NaN X or Y ordinate)
- * </ul>
- *
- * @return {boolean} true iff the Point is valid.
- */
-jsts.geom.Point.prototype.isValid = function() {
-  if (!jsts.operation.valid.IsValidOp.isValid(this.getCoordinate())) {
-    return false;
-  }
-  return true;
-};
-
-
 /**
  *
  */
@@ -16,31 +16,39 @@
    * The shell and holes must conform to the assertions specified in the <A
    * HREF="http://www.opengis.org/techno/specs.htm">OpenGIS Simple Features
    * Specification for SQL</A>.
+   *
+   * @requires jsts/geom/Geometry.js
    */
 
 
 
   /**
+   * @param {jsts.geom.LinearRing[]}
+   *          rings the shell of the polygon followed by its holes, or null or
+   *          an empty array to create the empty geometry.
+   * @param {jsts.geom.GeometryFactory}
+   *          [factory] the factory that created this geometry.
    * @extends {jsts.geom.Geometry}
    * @constructor
    */
   jsts.geom.Polygon = function(rings, factory) {
     this.factory = factory;
-    OpenLayers.Geometry.Collection.prototype.initialize.apply(this, arguments);
+    if (!rings || rings.length === 0) {
+      rings = [new jsts.geom.LinearRing(null, factory)];
+    }
+    this.components = rings.slice();
   };
+  jsts.inherit(jsts.geom.Polygon, jsts.geom.Geometry);
 
-  for (key in OpenLayers.Geometry.Polygon) {
-    jsts.geom.Polygon[key] = OpenLayers.Geometry.Polygon[key];
-  }
 
-  jsts.geom.Polygon.prototype = OpenLayers.Geometry.Polygon.prototype;
+  /**
+   * The shell of this polygon followed by its holes.
+   *
+   * @type {jsts.geom.LinearRing[]}
+   * @protected
+   */
+  jsts.geom.Polygon.prototype.components = null;
 
-  // NOTE: this is to avoid overriding OpenLayers API.
-  for (key in jsts.geom.Geometry.prototype) {
-    if (key !== 'intersects') {
-      jsts.geom.Polygon.prototype[key] = jsts.geom.Geometry.prototype[key];
-    }
-  }
 
   jsts.geom.Polygon.prototype.isEmpty = function() {
     var shell = this.components[0];
@@ -79,19 +87,6 @@
   };
 
 
-  /**
-   * @return {boolean}
-   */
-  jsts.geom.Polygon.prototype.isEmpty = function() {
-    for (var i = 0; i < this.components.length; i++) {
-      if (!this.components[i].isEmpty()) {
-        return false;
-      }
-    }
-    return true;
-  };
-
-
   jsts.geom.Polygon.prototype.getExteriorRing = function() {
     return this.components[0];
   };
@@ -105,6 +100,85 @@
     return this.components.slice(1).length;
   };
 
+  jsts.geom.Polygon.prototype.getNumPoints = function() {
+    var numPoints = 0;
+    for (var i = 0; i < this.components.length; i++) {
+      numPoints += this.components[i].getNumPoints();
+    }
+    return numPoints;
+  };
+
+
+  /**
+   * Tests whether this polygon is an axis-aligned rectangle: a shell of five
+   * points lying on its envelope, with no holes.
+   *
+   * @return {boolean} true if the polygon is a rectangle.
+   */
+  jsts.geom.Polygon.prototype.isRectangle = function() {
+    if (this.getNumInteriorRing() !== 0)
+      return false;
+    var shell = this.getExteriorRing();
+    if (shell.getNumPoints() !== 5)
+      return false;
+
+    var seq = shell.getCoordinates();
+
+    // check vertices have correct values
+    var env = this.getEnvelopeInternal();
+    for (var i = 0; i < 5; i++) {
+      var x = seq[i].x;
+      if (!(x === env.getMinX() || x === env.getMaxX()))
+        return false;
+      var y = seq[i].y;
+      if (!(y === env.getMinY() || y === env.getMaxY()))
+        return false;
+    }
+
+    // check vertices are in right order
+    var prevX = seq[0].x;
+    var prevY = seq[0].y;
+    for (var j = 1; j <= 4; j++) {
+      var xChanged = seq[j].x !== prevX;
+      var yChanged = seq[j].y !== prevY;
+      if (xChanged === yChanged)
+        return false;
+      prevX = seq[j].x;
+      prevY = seq[j].y;
+    }
+    return true;
+  };
+
+
+  /**
+   * Returns the area of this <code>Polygon</code>.
+   *
+   * @return {number} the area of the polygon.
+   */
+  jsts.geom.Polygon.prototype.getArea = function() {
+    var area = Math.abs(jsts.algorithm.CGAlgorithms.signedArea(this
+        .components[0].getCoordinates()));
+    for (var i = 1; i < this.components.length; i++) {
+      area -= Math.abs(jsts.algorithm.CGAlgorithms.signedArea(this
+          .components[i].getCoordinates()));
+    }
+    return area;
+  };
+
+
+  /**
+   * Returns the perimeter of this <code>Polygon</code>.
+   *
+   * @return {number} the perimeter of the polygon.
+   */
+  jsts.geom.Polygon.prototype.getLength = function() {
+    var len = 0.0;
+    for (var i = 0; i < this.components.length; i++) {
+      len += this.components[i].getLength();
+    }
+    return len;
+  };
+
 
   /**
    * Computes the boundary of this geometry
@@ -139,6 +213,14 @@
     return 2;
   };
 
+
+  /**
+   * @return {String} String representation of Polygon type.
+   */
+  jsts.geom.Polygon.prototype.getGeometryType = function() {
+    return 'Polygon';
+  };
+
   jsts.geom.Polygon.prototype.getBoundaryDimension = function() {
     return 1;
   };
@@ -242,6 +324,17 @@
     }
   };
 
-  OpenLayers.Geometry.Polygon = jsts.geom.Polygon;
+  /**
+   * Creates a deep copy of this <code>Polygon</code>.
+   *
+   * @return {jsts.geom.Polygon} a clone of this instance.
+   */
+  jsts.geom.Polygon.prototype.clone = function() {
+    var rings = [];
+    for (var i = 0; i < this.components.length; i++) {
+      rings.push(this.components[i].clone());
+    }
+    return new jsts.geom.Polygon(rings, this.factory);
+  };
 
 })();
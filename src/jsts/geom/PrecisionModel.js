@@ -79,6 +79,18 @@ jsts.geom.PrecisionModel.prototype.isFloating = function() {
 };
 
 
+/**
+ * Returns the scale factor used to specify a fixed precision model. The number
+ * of decimal places of precision is equal to the base-10 logarithm of the scale
+ * factor.
+ *
+ * @return {number} the scale factor for the fixed precision model.
+ */
+jsts.geom.PrecisionModel.prototype.getScale = function() {
+  return this.scale;
+};
+
+
 /**
  * @return {string} always jsts.geom.PrecisionModel.FLOATING.
  */
@@ -86,6 +98,37 @@ jsts.geom.PrecisionModel.prototype.getType = function() {
   return this.modelType;
 };
 
+
+/**
+ * Returns the maximum number of significant digits provided by this precision
+ * model. Intended for use by routines which need to print out decimal
+ * representations of precise values (such as {@link WKTWriter}).
+ * <p>
+ * This method would be more correctly called
+ * <tt>getMinimumDecimalPlaces</tt>, since it actually computes the number of
+ * decimal places that is required to correctly display the full precision of
+ * an ordinate value.
+ * <p>
+ * Since it is difficult to compute the required number of decimal places for
+ * scale factors which are not powers of 10, the algorithm uses a very rough
+ * approximation in this case. This has the side effect that for scale factors
+ * which are powers of 10 the value returned is 1 greater than the true value.
+ *
+ * @return {number} the maximum number of decimal places provided by this
+ *         precision model.
+ */
+jsts.geom.PrecisionModel.prototype.getMaximumSignificantDigits = function() {
+  var maxSigDigits = 16;
+  if (this.modelType === jsts.geom.PrecisionModel.FLOATING) {
+    maxSigDigits = 16;
+  } else if (this.modelType === jsts.geom.PrecisionModel.FLOATING_SINGLE) {
+    maxSigDigits = 6;
+  } else if (this.modelType === jsts.geom.PrecisionModel.FIXED) {
+    maxSigDigits = 1 + Math.ceil(Math.log(this.scale) / Math.log(10));
+  }
+  return maxSigDigits;
+};
+
 jsts.geom.PrecisionModel.prototype.equals = function(other) {
   return true;
 
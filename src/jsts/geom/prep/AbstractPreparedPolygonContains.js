@@ -0,0 +1,251 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/PreparedPolygonPredicate.js
+ * @requires jsts/noding/SegmentIntersectionDetector.js
+ * @requires jsts/noding/SegmentStringUtil.js
+ */
+
+
+
+/**
+ * A base class containing the logic for computes the <tt>contains</tt> and
+ * <tt>covers</tt> spatial relationship predicates for a
+ * {@link PreparedPolygon} relative to all other {@link Geometry} classes. Uses
+ * short-circuit tests and indexing to improve performance.
+ * <p>
+ * Contains and covers are very similar, and differ only in how certain cases
+ * along the boundary are handled. These cases require full topological
+ * evaluation to handle, so all the code in this class is common to both
+ * predicates.
+ * <p>
+ * It is not possible to short-circuit in all cases, in particular in the case
+ * where line segments of the test geometry touches the polygon linework. In
+ * this case full topology must be computed. (However, if the test geometry
+ * consists of only points, this <i>can</i> be evaluated in an optimized
+ * fashion.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prepPoly the prepared polygon being tested.
+ * @constructor
+ * @extends {jsts.geom.prep.PreparedPolygonPredicate}
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains = function(prepPoly) {
+  jsts.geom.prep.PreparedPolygonPredicate.call(this, prepPoly);
+};
+jsts.inherit(jsts.geom.prep.AbstractPreparedPolygonContains,
+    jsts.geom.prep.PreparedPolygonPredicate);
+
+
+/**
+ * This flag controls a difference between contains and covers.
+ *
+ * For contains the value is true. For covers the value is false.
+ *
+ * @type {boolean}
+ * @protected
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains.prototype.requireSomePointInInterior = true;
+
+
+/**
+ * information about geometric situation
+ *
+ * @type {boolean}
+ * @private
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains.prototype.hasSegmentIntersection = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains.prototype.hasProperIntersection = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains.prototype.hasNonProperIntersection = false;
+
+
+/**
+ * Evaluate the <tt>contains</tt> or <tt>covers</tt> relationship for the
+ * given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the test geometry is contained.
+ * @protected
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains.prototype.eval = function(geom) {
+  /**
+   * Do point-in-poly tests first, since they are cheaper and may result in a
+   * quick negative result.
+   *
+   * If a point of any test components does not lie in target, result is false
+   */
+  var isAllInTargetArea = this.isAllTestComponentsInTarget(geom);
+  if (!isAllInTargetArea)
+    return false;
+
+  /**
+   * If the test geometry consists of only Points, then it is now sufficient to
+   * test if any of those points lie in the interior of the target geometry. If
+   * so, the test is contained. If not, all points are on the boundary of the
+   * area, which implies not contained.
+   */
+  if (this.requireSomePointInInterior && geom.getDimension() === 0) {
+    var isAnyInTargetInterior = this.isAnyTestComponentInTargetInterior(geom);
+    return isAnyInTargetInterior;
+  }
+
+  /**
+   * Check if there is any intersection between the line segments in target
+   * and test. In some important cases, finding a proper interesection implies
+   * that the test geometry is NOT properly contained in the target geometry.
+   * However, it is not sufficient to check for proper intersections, since
+   * there may be non-proper ones as well.
+   */
+  var properIntersectionImpliesNotContained = this
+      .isProperIntersectionImpliesNotContainedSituation(geom);
+
+  // find all intersection types which exist
+  this.findAndClassifyIntersections(geom);
+
+  if (properIntersectionImpliesNotContained && this.hasProperIntersection)
+    return false;
+
+  /**
+   * If all intersections are proper (i.e. no non-proper intersections occur)
+   * we can conclude that the test geometry is not contained in the target
+   * area, by the Epsilon-Neighbourhood Exterior Intersection condition. In
+   * real-world data this is likely to be by far the most common situation,
+   * since natural data is unlikely to have many exact vertex segment
+   * intersections. Thus this check is very worthwhile, since it avoid having
+   * to perform a full topological check.
+   *
+   * (If non-proper (vertex) intersections ARE found, this may indicate a
+   * situation where two shells touch at a single vertex, which admits the
+   * case where a line could cross between the shells and still be wholely
+   * contained in them.
+   */
+  if (this.hasSegmentIntersection && !this.hasNonProperIntersection)
+    return false;
+
+  /**
+   * If there is a segment intersection and the situation is not one of the
+   * ones above, the only choice is to compute the full topological
+   * relationship. This is because contains/covers is very sensitive to the
+   * situation along the boundary of the target.
+   */
+  if (this.hasSegmentIntersection) {
+    return this.fullTopologicalPredicate(geom);
+  }
+
+  /**
+   * This tests for the case where a ring of the target lies inside a test
+   * polygon - which implies the exterior of the Target intersects the
+   * interior of the Test, and hence the result is false
+   */
+  if (geom instanceof jsts.geom.Polygon ||
+      geom instanceof jsts.geom.MultiPolygon) {
+    var isTargetInTestArea = this.isAnyTargetComponentInAreaTest(geom,
+        this.prepPoly.getRepresentativePoints());
+    if (isTargetInTestArea)
+      return false;
+  }
+  return true;
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          testGeom the test geometry.
+ * @return {boolean} true if a proper intersection means the test geometry
+ *         cannot be contained.
+ * @private
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains.prototype.isProperIntersectionImpliesNotContainedSituation = function(
+    testGeom) {
+  /**
+   * If the test geometry is polygonal we have the A/A situation. In this case,
+   * a proper intersection indicates that the Epsilon-Neighbourhood Exterior
+   * Intersection condition exists. This condition means that in some small
+   * area around the intersection point, there must exist a situation where
+   * the interior of the test intersects the exterior of the target. This
+   * implies the test is NOT contained in the target.
+   */
+  if (testGeom instanceof jsts.geom.Polygon ||
+      testGeom instanceof jsts.geom.MultiPolygon)
+    return true;
+  /**
+   * A single shell with no holes allows concluding that a proper intersection
+   * implies not contained (due to the Epsilon-Neighbourhood Exterior
+   * Intersection condition)
+   */
+  if (this.isSingleShell(this.prepPoly.getGeometry()))
+    return true;
+  return false;
+};
+
+
+/**
+ * Tests whether a geometry consists of a single polygon with no holes.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to test.
+ * @return {boolean} true if the geometry is a single polygon with no holes.
+ * @private
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains.prototype.isSingleShell = function(
+    geom) {
+  // handles single-element MultiPolygons, as well as Polygons
+  if (geom.getNumGeometries() !== 1)
+    return false;
+
+  var poly = geom.getGeometryN(0);
+  var numHoles = poly.getNumInteriorRing();
+  if (numHoles === 0)
+    return true;
+  return false;
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @private
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains.prototype.findAndClassifyIntersections = function(
+    geom) {
+  var lineSegStr = jsts.noding.SegmentStringUtil.extractSegmentStrings(geom);
+
+  var intDetector = new jsts.noding.SegmentIntersectionDetector(
+      new jsts.algorithm.RobustLineIntersector());
+  intDetector.setFindAllIntersectionTypes(true);
+  this.prepPoly.getIntersectionFinder().intersects(lineSegStr, intDetector);
+
+  this.hasSegmentIntersection = intDetector.hasIntersection();
+  this.hasProperIntersection = intDetector.hasProperIntersection();
+  this.hasNonProperIntersection = intDetector.hasNonProperIntersection();
+};
+
+
+/**
+ * Computes the full topological predicate. Used when short-circuit tests are
+ * not conclusive.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if this prepared polygon has the relationship with
+ *         the test geometry.
+ * @protected
+ */
+jsts.geom.prep.AbstractPreparedPolygonContains.prototype.fullTopologicalPredicate = jsts.abstractFunc;
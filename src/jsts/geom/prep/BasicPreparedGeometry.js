@@ -0,0 +1,206 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/PreparedGeometry.js
+ * @requires jsts/geom/util/ComponentCoordinateExtracter.js
+ */
+
+
+
+/**
+ * A base class for {@link PreparedGeometry} subclasses. Contains default
+ * implementations for methods, which simply delegate to the equivalent
+ * {@link Geometry} methods. This class may be used as a "no-op" class for
+ * Geometry types which do not have a corresponding {@link PreparedGeometry}
+ * implementation.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to prepare.
+ * @constructor
+ * @augments {PreparedGeometry}
+ */
+jsts.geom.prep.BasicPreparedGeometry = function(geom) {
+  this.baseGeom = geom;
+  this.representativePts = jsts.geom.util.ComponentCoordinateExtracter
+      .getCoordinates(geom);
+};
+jsts.inherit(jsts.geom.prep.BasicPreparedGeometry,
+    jsts.geom.prep.PreparedGeometry);
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.baseGeom = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate[]}
+ * @private
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.representativePts = null;
+
+
+/**
+ * @return {jsts.geom.Geometry} the base geometry.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.getGeometry = function() {
+  return this.baseGeom;
+};
+
+
+/**
+ * Gets the list of representative points for this geometry. One vertex is
+ * included for every component of the geometry (i.e. including one for every
+ * ring of polygonal geometries)
+ *
+ * @return {jsts.geom.Coordinate[]} the representative points.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.getRepresentativePoints = function() {
+  return this.representativePts;
+};
+
+
+/**
+ * Tests whether any representative of the target geometry intersects the test
+ * geometry. This is useful in A/A, A/L, A/P, L/P, and P/P cases.
+ *
+ * @param {jsts.geom.Geometry}
+ *          testGeom the test geometry.
+ * @return {boolean} true if any component intersects the areal test geometry.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.isAnyTargetComponentInTest = function(
+    testGeom) {
+  var locator = new jsts.algorithm.PointLocator();
+  for (var i = 0; i < this.representativePts.length; i++) {
+    if (locator.intersects(this.representativePts[i], testGeom))
+      return true;
+  }
+  return false;
+};
+
+
+/**
+ * Determines whether a Geometry g interacts with this geometry by testing the
+ * geometry envelopes.
+ *
+ * @param {jsts.geom.Geometry}
+ *          g a Geometry.
+ * @return {boolean} true if the envelopes intersect.
+ * @protected
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.envelopesIntersect = function(g) {
+  return this.baseGeom.getEnvelopeInternal().intersects(
+      g.getEnvelopeInternal());
+};
+
+
+/**
+ * Determines whether the envelope of this geometry covers the Geometry g.
+ *
+ * @param {jsts.geom.Geometry}
+ *          g a Geometry.
+ * @return {boolean} true if g is contained in this envelope.
+ * @protected
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.envelopeCovers = function(g) {
+  return this.baseGeom.getEnvelopeInternal().covers(g.getEnvelopeInternal());
+};
+
+
+/**
+ * Default implementation.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.contains = function(g) {
+  return this.baseGeom.contains(g);
+};
+
+
+/**
+ * Default implementation.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.containsProperly = function(g) {
+  // since raw relate is used, provide some optimizations
+
+  // short-circuit test
+  if (!this.baseGeom.getEnvelopeInternal().contains(g.getEnvelopeInternal()))
+    return false;
+
+  // otherwise, compute using relate mask
+  return this.baseGeom.relate(g, 'T**FF*FF*');
+};
+
+
+/**
+ * Default implementation.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.coveredBy = function(g) {
+  return this.baseGeom.coveredBy(g);
+};
+
+
+/**
+ * Default implementation.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.covers = function(g) {
+  return this.baseGeom.covers(g);
+};
+
+
+/**
+ * Default implementation.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.crosses = function(g) {
+  return this.baseGeom.crosses(g);
+};
+
+
+/**
+ * Standard implementation for all geometries. Supports
+ * {@link GeometryCollection}s as input.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.disjoint = function(g) {
+  return !this.intersects(g);
+};
+
+
+/**
+ * Default implementation.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.intersects = function(g) {
+  return this.baseGeom.intersects(g);
+};
+
+
+/**
+ * Default implementation.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.overlaps = function(g) {
+  return this.baseGeom.overlaps(g);
+};
+
+
+/**
+ * Default implementation.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.touches = function(g) {
+  return this.baseGeom.touches(g);
+};
+
+
+/**
+ * Default implementation.
+ */
+jsts.geom.prep.BasicPreparedGeometry.prototype.within = function(g) {
+  return this.baseGeom.within(g);
+};
+
+
+jsts.geom.prep.BasicPreparedGeometry.prototype.toString = function() {
+  return this.baseGeom.toString();
+};
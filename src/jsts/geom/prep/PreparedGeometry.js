@@ -0,0 +1,157 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * An interface for classes which prepare {@link Geometry}s in order to
+ * optimize the performance of repeated calls to specific geometric operations.
+ * <p>
+ * A given implementation may provide optimized implementations for only some
+ * of the specified methods, and delegate the remaining methods to the original
+ * {@link Geometry} operations. An implementation may also only optimize
+ * certain situations, and delegate others.
+ * <p>
+ * Subclasses are intended to be thread-safe, to allow <code>PreparedGeometry</code>
+ * to be used in a multi-threaded context (which allows extracting maximum
+ * benefit from the prepared state).
+ *
+ * @interface
+ */
+jsts.geom.prep.PreparedGeometry = function() {
+
+};
+
+
+/**
+ * Gets the original {@link Geometry} which has been prepared.
+ *
+ * @return {jsts.geom.Geometry} the base geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.getGeometry = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} contains a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry contains the given Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.contains = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} properly contains a given geometry.
+ * <p>
+ * The <code>containsProperly</code> predicate has the following equivalent
+ * definitions:
+ * <ul>
+ * <li>Every point of the other geometry is a point of this geometry's
+ * interior.
+ * <li>The DE-9IM Intersection Matrix for the two geometries matches
+ * <code>[T**FF*FF*]</code>
+ * </ul>
+ * In other words, if the test geometry has any interaction with the boundary
+ * of the target geometry the result of <tt>containsProperly</tt> is
+ * <tt>false</tt>. This is different semantics to the {@link Geometry#contains}
+ * predicate, in which test geometries can intersect the target's boundary and
+ * still be contained.
+ * <p>
+ * An example use case is computing the intersections of a set of geometries
+ * with a large polygonal geometry. Since <tt>intersection</tt> is a fairly
+ * slow operation, it can be more efficient to use <tt>containsProperly</tt>
+ * to filter out test geometries which lie wholly inside the area. In these
+ * cases the intersection is known <i>a priori</i> to be exactly the original
+ * test geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry properly contains the given
+ *         Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.containsProperly = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} is covered by a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry is covered by the given Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.coveredBy = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} covers a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry covers the given Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.covers = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} crosses a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry crosses the given Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.crosses = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} is disjoint from a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry is disjoint from the given
+ *         Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.disjoint = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} intersects a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry intersects the given Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.intersects = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} overlaps a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry overlaps the given Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.overlaps = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} touches a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry touches the given Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.touches = jsts.abstractFunc;
+
+
+/**
+ * Tests whether the base {@link Geometry} is within a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry to test.
+ * @return {boolean} true if this Geometry is within the given Geometry.
+ */
+jsts.geom.prep.PreparedGeometry.prototype.within = jsts.abstractFunc;
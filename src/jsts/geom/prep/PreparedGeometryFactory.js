@@ -0,0 +1,67 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/BasicPreparedGeometry.js
+ * @requires jsts/geom/prep/PreparedLineString.js
+ * @requires jsts/geom/prep/PreparedPoint.js
+ * @requires jsts/geom/prep/PreparedPolygon.js
+ */
+
+
+
+/**
+ * A factory for creating {@link PreparedGeometry}s. It chooses an appropriate
+ * implementation of PreparedGeometry based on the geoemtric type of the input
+ * geometry.
+ * <p>
+ * In the future, the factory may accept hints that indicate special
+ * properties of the input geometries, to provide more optimized
+ * implementations.
+ *
+ * @constructor
+ */
+jsts.geom.prep.PreparedGeometryFactory = function() {
+
+};
+
+
+/**
+ * Creates a new {@link PreparedGeometry} appropriate for the argument
+ * {@link Geometry}.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to prepare.
+ * @return {jsts.geom.prep.PreparedGeometry} the prepared geometry.
+ */
+jsts.geom.prep.PreparedGeometryFactory.prepare = function(geom) {
+  return new jsts.geom.prep.PreparedGeometryFactory().create(geom);
+};
+
+
+/**
+ * Creates a new {@link PreparedGeometry} appropriate for the argument
+ * {@link Geometry}.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to prepare.
+ * @return {jsts.geom.prep.PreparedGeometry} the prepared geometry.
+ */
+jsts.geom.prep.PreparedGeometryFactory.prototype.create = function(geom) {
+  if (geom instanceof jsts.geom.Polygon ||
+      geom instanceof jsts.geom.MultiPolygon)
+    return new jsts.geom.prep.PreparedPolygon(geom);
+  if (geom instanceof jsts.geom.LineString ||
+      geom instanceof jsts.geom.MultiLineString)
+    return new jsts.geom.prep.PreparedLineString(geom);
+  if (geom instanceof jsts.geom.Point || geom instanceof jsts.geom.MultiPoint)
+    return new jsts.geom.prep.PreparedPoint(geom);
+
+  /**
+   * Default representation.
+   */
+  return new jsts.geom.prep.BasicPreparedGeometry(geom);
+};
@@ -0,0 +1,69 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/BasicPreparedGeometry.js
+ * @requires jsts/geom/prep/PreparedLineStringIntersects.js
+ * @requires jsts/noding/FastSegmentSetIntersectionFinder.js
+ * @requires jsts/noding/SegmentStringUtil.js
+ */
+
+
+
+/**
+ * A prepared version for {@link Lineal} geometries.
+ *
+ * @param {jsts.geom.LineString|jsts.geom.MultiLineString}
+ *          line the lineal geometry to prepare.
+ * @constructor
+ * @extends {jsts.geom.prep.BasicPreparedGeometry}
+ */
+jsts.geom.prep.PreparedLineString = function(line) {
+  jsts.geom.prep.BasicPreparedGeometry.call(this, line);
+};
+jsts.inherit(jsts.geom.prep.PreparedLineString,
+    jsts.geom.prep.BasicPreparedGeometry);
+
+
+/**
+ * @type {jsts.noding.FastSegmentSetIntersectionFinder}
+ * @private
+ */
+jsts.geom.prep.PreparedLineString.prototype.segIntFinder = null;
+
+
+/**
+ * Gets the segment intersection finder for this geometry, creating it on first
+ * use.
+ *
+ * @return {jsts.noding.FastSegmentSetIntersectionFinder} the intersection
+ *         finder.
+ */
+jsts.geom.prep.PreparedLineString.prototype.getIntersectionFinder = function() {
+  /**
+   * MD - Another option would be to use a simple scan for segment testing for
+   * small geometries. However, testing indicates that there is no particular
+   * advantage to this approach.
+   */
+  if (this.segIntFinder === null) {
+    this.segIntFinder = new jsts.noding.FastSegmentSetIntersectionFinder(
+        jsts.noding.SegmentStringUtil.extractSegmentStrings(this
+            .getGeometry()));
+  }
+  return this.segIntFinder;
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          g the geometry to test.
+ * @return {boolean} true if the geometries intersect.
+ */
+jsts.geom.prep.PreparedLineString.prototype.intersects = function(g) {
+  if (!this.envelopesIntersect(g))
+    return false;
+  return jsts.geom.prep.PreparedLineStringIntersects.intersects(this, g);
+};
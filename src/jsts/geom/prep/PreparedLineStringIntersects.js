@@ -0,0 +1,123 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/noding/SegmentStringUtil.js
+ * @requires jsts/geom/util/ComponentCoordinateExtracter.js
+ */
+
+
+
+/**
+ * Computes the <tt>intersects</tt> spatial relationship predicate for a target
+ * {@link PreparedLineString} relative to all other {@link Geometry} classes.
+ * Uses short-circuit tests and indexing to improve performance.
+ * <p>
+ * Test geometries which are not lineal are tested by checking whether their
+ * representative points lie on the target.
+ *
+ * @param {jsts.geom.prep.PreparedLineString}
+ *          prepLine the target PreparedLineString.
+ * @constructor
+ */
+jsts.geom.prep.PreparedLineStringIntersects = function(prepLine) {
+  this.prepLine = prepLine;
+};
+
+
+/**
+ * Computes the intersects predicate between a {@link PreparedLineString} and a
+ * {@link Geometry}.
+ *
+ * @param {jsts.geom.prep.PreparedLineString}
+ *          prep the prepared linestring.
+ * @param {jsts.geom.Geometry}
+ *          geom a test geometry.
+ * @return {boolean} true if the linestring intersects the geometry.
+ */
+jsts.geom.prep.PreparedLineStringIntersects.intersects = function(prep, geom) {
+  var op = new jsts.geom.prep.PreparedLineStringIntersects(prep);
+  return op.intersects(geom);
+};
+
+
+/**
+ * @type {jsts.geom.prep.PreparedLineString}
+ * @protected
+ */
+jsts.geom.prep.PreparedLineStringIntersects.prototype.prepLine = null;
+
+
+/**
+ * Tests whether this geometry intersects a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the test geometry intersects.
+ */
+jsts.geom.prep.PreparedLineStringIntersects.prototype.intersects = function(
+    geom) {
+  /**
+   * If any segments intersect, obviously intersects = true
+   */
+  var lineSegStr = jsts.noding.SegmentStringUtil.extractSegmentStrings(geom);
+  // only request intersection finder if there are segments (ie NOT for
+  // point inputs)
+  if (lineSegStr.length > 0) {
+    var segsIntersect = this.prepLine.getIntersectionFinder().intersects(
+        lineSegStr);
+    if (segsIntersect)
+      return true;
+  }
+  /**
+   * For L/L case we are done
+   */
+  if (geom.getDimension() === 1)
+    return false;
+
+  /**
+   * For L/A case, need to check for proper inclusion of the target in the test
+   */
+  if (geom.getDimension() === 2 &&
+      this.prepLine.isAnyTargetComponentInTest(geom))
+    return true;
+
+  /**
+   * For L/P case, need to check if any points lie on line(s)
+   */
+  if (geom.getDimension() === 0)
+    return this.isAnyTestPointInTarget(geom);
+
+  return false;
+};
+
+
+/**
+ * Tests whether any representative point of the test Geometry intersects the
+ * target geometry. Only handles test geometries which are Puntal (dimension
+ * 0)
+ *
+ * @param {jsts.geom.Geometry}
+ *          testGeom a Puntal geometry to test.
+ * @return {boolean} true if any point of the argument intersects the prepared
+ *         geometry.
+ * @protected
+ */
+jsts.geom.prep.PreparedLineStringIntersects.prototype.isAnyTestPointInTarget = function(
+    testGeom) {
+  /**
+   * This could be optimized by using the segment index on the lineal target.
+   * However, it seems like the L/P case would be pretty rare in practice.
+   */
+  var locator = new jsts.algorithm.PointLocator();
+  var coords = jsts.geom.util.ComponentCoordinateExtracter
+      .getCoordinates(testGeom);
+  for (var i = 0; i < coords.length; i++) {
+    if (locator.intersects(coords[i], this.prepLine.getGeometry()))
+      return true;
+  }
+  return false;
+};
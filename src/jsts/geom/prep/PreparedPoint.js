@@ -0,0 +1,46 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/BasicPreparedGeometry.js
+ */
+
+
+
+/**
+ * A prepared version for {@link Puntal} geometries.
+ *
+ * @param {jsts.geom.Point|jsts.geom.MultiPoint}
+ *          point the point geometry to prepare.
+ * @constructor
+ * @extends {jsts.geom.prep.BasicPreparedGeometry}
+ */
+jsts.geom.prep.PreparedPoint = function(point) {
+  jsts.geom.prep.BasicPreparedGeometry.call(this, point);
+};
+jsts.inherit(jsts.geom.prep.PreparedPoint,
+    jsts.geom.prep.BasicPreparedGeometry);
+
+
+/**
+ * Tests whether this point intersects a {@link Geometry}.
+ * <p>
+ * The optimization here is that computing topology for the test geometry is
+ * avoided. This can be significant for large geometries.
+ *
+ * @param {jsts.geom.Geometry}
+ *          g the geometry to test.
+ * @return {boolean} true if the geometries intersect.
+ */
+jsts.geom.prep.PreparedPoint.prototype.intersects = function(g) {
+  if (!this.envelopesIntersect(g))
+    return false;
+
+  /**
+   * This avoids computing topology for the test geometry
+   */
+  return this.isAnyTargetComponentInTest(g);
+};
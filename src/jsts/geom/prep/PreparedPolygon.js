@@ -0,0 +1,162 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/BasicPreparedGeometry.js
+ * @requires jsts/geom/prep/PreparedPolygonContains.js
+ * @requires jsts/geom/prep/PreparedPolygonContainsProperly.js
+ * @requires jsts/geom/prep/PreparedPolygonCovers.js
+ * @requires jsts/geom/prep/PreparedPolygonIntersects.js
+ * @requires jsts/algorithm/locate/IndexedPointInAreaLocator.js
+ * @requires jsts/noding/FastSegmentSetIntersectionFinder.js
+ * @requires jsts/noding/SegmentStringUtil.js
+ * @requires jsts/operation/predicate/RectangleContains.js
+ * @requires jsts/operation/predicate/RectangleIntersects.js
+ */
+
+
+
+/**
+ * A prepared version for {@link Polygonal} geometries.
+ * <p>
+ * This class supports both {@link Polygon}s and {@link MultiPolygon}s.
+ * <p>
+ * This class does <b>not</b> support MultiPolygons which are non-valid (e.g.
+ * with overlapping elements).
+ *
+ * @param {jsts.geom.Polygon|jsts.geom.MultiPolygon}
+ *          poly the polygonal geometry to prepare.
+ * @constructor
+ * @extends {jsts.geom.prep.BasicPreparedGeometry}
+ */
+jsts.geom.prep.PreparedPolygon = function(poly) {
+  jsts.geom.prep.BasicPreparedGeometry.call(this, poly);
+  this.isRectangle = this.getGeometry().isRectangle();
+};
+jsts.inherit(jsts.geom.prep.PreparedPolygon,
+    jsts.geom.prep.BasicPreparedGeometry);
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.geom.prep.PreparedPolygon.prototype.isRectangle = false;
+
+
+/**
+ * @type {jsts.noding.FastSegmentSetIntersectionFinder}
+ * @private
+ */
+jsts.geom.prep.PreparedPolygon.prototype.segIntFinder = null;
+
+
+/**
+ * @type {jsts.algorithm.locate.PointOnGeometryLocator}
+ * @private
+ */
+jsts.geom.prep.PreparedPolygon.prototype.pia = null;
+
+
+/**
+ * Gets the indexed intersection finder for this geometry, creating it on first
+ * use.
+ *
+ * @return {jsts.noding.FastSegmentSetIntersectionFinder} the intersection
+ *         finder.
+ */
+jsts.geom.prep.PreparedPolygon.prototype.getIntersectionFinder = function() {
+  /**
+   * MD - Another option would be to use a simple scan for segment testing for
+   * small geometries. However, testing indicates that there is no particular
+   * advantage to this approach.
+   */
+  if (this.segIntFinder === null) {
+    this.segIntFinder = new jsts.noding.FastSegmentSetIntersectionFinder(
+        jsts.noding.SegmentStringUtil.extractSegmentStrings(this
+            .getGeometry()));
+  }
+  return this.segIntFinder;
+};
+
+
+/**
+ * Gets the point-in-area locator for this geometry, creating it on first use.
+ *
+ * @return {jsts.algorithm.locate.PointOnGeometryLocator} the point locator.
+ */
+jsts.geom.prep.PreparedPolygon.prototype.getPointLocator = function() {
+  if (this.pia === null) {
+    this.pia = new jsts.algorithm.locate.IndexedPointInAreaLocator(this
+        .getGeometry());
+  }
+  return this.pia;
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          g the geometry to test.
+ * @return {boolean} true if this polygon intersects g.
+ */
+jsts.geom.prep.PreparedPolygon.prototype.intersects = function(g) {
+  // envelope test
+  if (!this.envelopesIntersect(g))
+    return false;
+  if (this.isRectangle) {
+    return jsts.operation.predicate.RectangleIntersects.intersects(
+        this.getGeometry(), g);
+  }
+
+  return jsts.geom.prep.PreparedPolygonIntersects.intersects(this, g);
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          g the geometry to test.
+ * @return {boolean} true if this polygon contains g.
+ */
+jsts.geom.prep.PreparedPolygon.prototype.contains = function(g) {
+  // short-circuit test
+  if (!this.envelopeCovers(g))
+    return false;
+  // optimization for rectangles
+  if (this.isRectangle) {
+    return jsts.operation.predicate.RectangleContains.contains(
+        this.getGeometry(), g);
+  }
+
+  return jsts.geom.prep.PreparedPolygonContains.contains(this, g);
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          g the geometry to test.
+ * @return {boolean} true if this polygon properly contains g.
+ */
+jsts.geom.prep.PreparedPolygon.prototype.containsProperly = function(g) {
+  // short-circuit test
+  if (!this.envelopeCovers(g))
+    return false;
+  return jsts.geom.prep.PreparedPolygonContainsProperly.containsProperly(this,
+      g);
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          g the geometry to test.
+ * @return {boolean} true if this polygon covers g.
+ */
+jsts.geom.prep.PreparedPolygon.prototype.covers = function(g) {
+  // short-circuit test
+  if (!this.envelopeCovers(g))
+    return false;
+
+  return jsts.geom.prep.PreparedPolygonCovers.covers(this, g);
+};
@@ -0,0 +1,75 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/AbstractPreparedPolygonContains.js
+ */
+
+
+
+/**
+ * Computes the <tt>contains</tt> spatial relationship predicate for a
+ * {@link PreparedPolygon} relative to all other {@link Geometry} classes. Uses
+ * short-circuit tests and indexing to improve performance.
+ * <p>
+ * It is not possible to short-circuit in all cases, in particular in the case
+ * where the test geometry touches the polygon linework. In this case full
+ * topology must be computed.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prepPoly the prepared polygon to test.
+ * @constructor
+ * @extends {jsts.geom.prep.AbstractPreparedPolygonContains}
+ */
+jsts.geom.prep.PreparedPolygonContains = function(prepPoly) {
+  jsts.geom.prep.AbstractPreparedPolygonContains.call(this, prepPoly);
+};
+jsts.inherit(jsts.geom.prep.PreparedPolygonContains,
+    jsts.geom.prep.AbstractPreparedPolygonContains);
+
+
+/**
+ * Computes the </tt>contains</tt> predicate between a {@link PreparedPolygon}
+ * and a {@link Geometry}.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prep the prepared polygon to test.
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the polygon contains the geometry.
+ */
+jsts.geom.prep.PreparedPolygonContains.contains = function(prep, geom) {
+  var polyInt = new jsts.geom.prep.PreparedPolygonContains(prep);
+  return polyInt.contains(geom);
+};
+
+
+/**
+ * Tests whether this PreparedPolygon <tt>contains</tt> a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the test geometry is contained.
+ */
+jsts.geom.prep.PreparedPolygonContains.prototype.contains = function(geom) {
+  return this.eval(geom);
+};
+
+
+/**
+ * Computes the full topological <tt>contains</tt> predicate. Used when
+ * short-circuit tests are not conclusive.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if this prepared polygon contains the test geometry.
+ * @protected
+ */
+jsts.geom.prep.PreparedPolygonContains.prototype.fullTopologicalPredicate = function(
+    geom) {
+  var isContained = this.prepPoly.getGeometry().contains(geom);
+  return isContained;
+};
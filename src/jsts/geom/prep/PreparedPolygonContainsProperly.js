@@ -0,0 +1,100 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/PreparedPolygonPredicate.js
+ * @requires jsts/noding/SegmentStringUtil.js
+ */
+
+
+
+/**
+ * Computes the <tt>containsProperly</tt> spatial relationship predicate for
+ * {@link PreparedPolygon}s relative to all other {@link Geometry} classes.
+ * Uses short-circuit tests and indexing to improve performance.
+ * <p>
+ * A Geometry A <tt>containsProperly</tt> another Geometry B iff all points of
+ * B are contained in the Interior of A. Equivalently, B is contained in A AND
+ * B does not intersect the Boundary of A.
+ * <p>
+ * The advantage to using this predicate is that it can be computed
+ * efficiently, with no need to compute topology at individual points. In a
+ * situation with many geometries intersecting the boundary of the target
+ * geometry, this can make a performance difference.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prepPoly the prepared polygon to test.
+ * @constructor
+ * @extends {jsts.geom.prep.PreparedPolygonPredicate}
+ */
+jsts.geom.prep.PreparedPolygonContainsProperly = function(prepPoly) {
+  jsts.geom.prep.PreparedPolygonPredicate.call(this, prepPoly);
+};
+jsts.inherit(jsts.geom.prep.PreparedPolygonContainsProperly,
+    jsts.geom.prep.PreparedPolygonPredicate);
+
+
+/**
+ * Computes the </tt>containsProperly</tt> predicate between a
+ * {@link PreparedPolygon} and a {@link Geometry}.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prep the prepared polygon to test.
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the polygon properly contains the geometry.
+ */
+jsts.geom.prep.PreparedPolygonContainsProperly.containsProperly = function(
+    prep, geom) {
+  var polyInt = new jsts.geom.prep.PreparedPolygonContainsProperly(prep);
+  return polyInt.containsProperly(geom);
+};
+
+
+/**
+ * Tests whether this PreparedPolygon containsProperly a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the test geometry is contained properly.
+ */
+jsts.geom.prep.PreparedPolygonContainsProperly.prototype.containsProperly = function(
+    geom) {
+  /**
+   * Do point-in-poly tests first, since they are cheaper and may result in a
+   * quick negative result.
+   *
+   * If a point of any test components does not lie in the target interior,
+   * result is false
+   */
+  var isAllInPrepGeomAreaInterior = this
+      .isAllTestComponentsInTargetInterior(geom);
+  if (!isAllInPrepGeomAreaInterior)
+    return false;
+
+  /**
+   * If any segments intersect, result is false.
+   */
+  var lineSegStr = jsts.noding.SegmentStringUtil.extractSegmentStrings(geom);
+  var segsIntersect = this.prepPoly.getIntersectionFinder().intersects(
+      lineSegStr);
+  if (segsIntersect)
+    return false;
+
+  /**
+   * Given that no segments intersect, if any vertex of the target is contained
+   * in some test component, the test is NOT properly contained.
+   */
+  if (geom instanceof jsts.geom.Polygon ||
+      geom instanceof jsts.geom.MultiPolygon) {
+    var isTargetGeomInTestArea = this.isAnyTargetComponentInAreaTest(geom,
+        this.prepPoly.getRepresentativePoints());
+    if (isTargetGeomInTestArea)
+      return false;
+  }
+
+  return true;
+};
@@ -0,0 +1,76 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/AbstractPreparedPolygonContains.js
+ */
+
+
+
+/**
+ * Computes the <tt>covers</tt> spatial relationship predicate for a
+ * {@link PreparedPolygon} relative to all other {@link Geometry} classes. Uses
+ * short-circuit tests and indexing to improve performance.
+ * <p>
+ * It is not possible to short-circuit in all cases, in particular in the case
+ * where the test geometry touches the polygon linework. In this case full
+ * topology must be computed.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prepPoly the prepared polygon to test.
+ * @constructor
+ * @extends {jsts.geom.prep.AbstractPreparedPolygonContains}
+ */
+jsts.geom.prep.PreparedPolygonCovers = function(prepPoly) {
+  jsts.geom.prep.AbstractPreparedPolygonContains.call(this, prepPoly);
+  this.requireSomePointInInterior = false;
+};
+jsts.inherit(jsts.geom.prep.PreparedPolygonCovers,
+    jsts.geom.prep.AbstractPreparedPolygonContains);
+
+
+/**
+ * Computes the </tt>covers</tt> predicate between a {@link PreparedPolygon}
+ * and a {@link Geometry}.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prep the prepared polygon to test.
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the polygon covers the geometry.
+ */
+jsts.geom.prep.PreparedPolygonCovers.covers = function(prep, geom) {
+  var polyInt = new jsts.geom.prep.PreparedPolygonCovers(prep);
+  return polyInt.covers(geom);
+};
+
+
+/**
+ * Tests whether this PreparedPolygon <tt>covers</tt> a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the test geometry is covered.
+ */
+jsts.geom.prep.PreparedPolygonCovers.prototype.covers = function(geom) {
+  return this.eval(geom);
+};
+
+
+/**
+ * Computes the full topological <tt>covers</tt> predicate. Used when
+ * short-circuit tests are not conclusive.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if this prepared polygon covers the test geometry.
+ * @protected
+ */
+jsts.geom.prep.PreparedPolygonCovers.prototype.fullTopologicalPredicate = function(
+    geom) {
+  var result = this.prepPoly.getGeometry().covers(geom);
+  return result;
+};
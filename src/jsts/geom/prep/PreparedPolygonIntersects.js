@@ -0,0 +1,91 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/prep/PreparedPolygonPredicate.js
+ * @requires jsts/noding/SegmentStringUtil.js
+ */
+
+
+
+/**
+ * Computes the <tt>intersects</tt> spatial relationship predicate for
+ * {@link PreparedPolygon}s relative to all other {@link Geometry} classes.
+ * Uses short-circuit tests and indexing to improve performance.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prepPoly the prepared polygon to test.
+ * @constructor
+ * @extends {jsts.geom.prep.PreparedPolygonPredicate}
+ */
+jsts.geom.prep.PreparedPolygonIntersects = function(prepPoly) {
+  jsts.geom.prep.PreparedPolygonPredicate.call(this, prepPoly);
+};
+jsts.inherit(jsts.geom.prep.PreparedPolygonIntersects,
+    jsts.geom.prep.PreparedPolygonPredicate);
+
+
+/**
+ * Computes the intersects predicate between a {@link PreparedPolygon} and a
+ * {@link Geometry}.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prep the prepared polygon to test.
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the polygon intersects the geometry.
+ */
+jsts.geom.prep.PreparedPolygonIntersects.intersects = function(prep, geom) {
+  var polyInt = new jsts.geom.prep.PreparedPolygonIntersects(prep);
+  return polyInt.intersects(geom);
+};
+
+
+/**
+ * Tests whether this PreparedPolygon intersects a given geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the test geometry.
+ * @return {boolean} true if the test geometry intersects.
+ */
+jsts.geom.prep.PreparedPolygonIntersects.prototype.intersects = function(geom) {
+  /**
+   * Do point-in-poly tests first, since they are cheaper and may result in a
+   * quick positive result.
+   *
+   * If a point of any test components lie in target, result is true
+   */
+  var isInPrepGeomArea = this.isAnyTestComponentInTarget(geom);
+  if (isInPrepGeomArea)
+    return true;
+
+  /**
+   * If any segments intersect, result is true
+   */
+  var lineSegStr = jsts.noding.SegmentStringUtil.extractSegmentStrings(geom);
+  // only request intersection finder if there are segments (ie NOT for point
+  // inputs)
+  if (lineSegStr.length > 0) {
+    var segsIntersect = this.prepPoly.getIntersectionFinder().intersects(
+        lineSegStr);
+    if (segsIntersect)
+      return true;
+  }
+
+  /**
+   * If the test has dimension = 2 as well, it is necessary to test for proper
+   * inclusion of the target. Since no segments intersect, it is sufficient to
+   * test representative points.
+   */
+  if (geom.getDimension() === 2) {
+    var isPrepGeomInArea = this.isAnyTargetComponentInAreaTest(geom,
+        this.prepPoly.getRepresentativePoints());
+    if (isPrepGeomInArea)
+      return true;
+  }
+
+  return false;
+};
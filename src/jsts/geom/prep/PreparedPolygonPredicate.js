@@ -0,0 +1,155 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/algorithm/locate/SimplePointInAreaLocator.js
+ * @requires jsts/geom/util/ComponentCoordinateExtracter.js
+ */
+
+
+
+/**
+ * A base class for predicate operations on {@link PreparedPolygon}s.
+ *
+ * @param {jsts.geom.prep.PreparedPolygon}
+ *          prepPoly the prepared polygon being tested.
+ * @constructor
+ */
+jsts.geom.prep.PreparedPolygonPredicate = function(prepPoly) {
+  this.prepPoly = prepPoly;
+  this.targetPointLocator = prepPoly.getPointLocator();
+};
+
+
+/**
+ * @type {jsts.geom.prep.PreparedPolygon}
+ * @protected
+ */
+jsts.geom.prep.PreparedPolygonPredicate.prototype.prepPoly = null;
+
+
+/**
+ * @type {jsts.algorithm.locate.PointOnGeometryLocator}
+ * @private
+ */
+jsts.geom.prep.PreparedPolygonPredicate.prototype.targetPointLocator = null;
+
+
+/**
+ * Tests whether all components of the test Geometry are contained in the
+ * target geometry. Handles both linear and point components.
+ *
+ * @param {jsts.geom.Geometry}
+ *          testGeom a geometry to test.
+ * @return {boolean} true if all components of the argument are contained in
+ *         the target geometry.
+ * @protected
+ */
+jsts.geom.prep.PreparedPolygonPredicate.prototype.isAllTestComponentsInTarget = function(
+    testGeom) {
+  var coords = jsts.geom.util.ComponentCoordinateExtracter
+      .getCoordinates(testGeom);
+  for (var i = 0; i < coords.length; i++) {
+    var loc = this.targetPointLocator.locate(coords[i]);
+    if (loc === jsts.geom.Location.EXTERIOR)
+      return false;
+  }
+  return true;
+};
+
+
+/**
+ * Tests whether all components of the test Geometry are contained in the
+ * interior of the target geometry. Handles both linear and point components.
+ *
+ * @param {jsts.geom.Geometry}
+ *          testGeom a geometry to test.
+ * @return {boolean} true if all components of the argument are contained in
+ *         the target geometry interior.
+ * @protected
+ */
+jsts.geom.prep.PreparedPolygonPredicate.prototype.isAllTestComponentsInTargetInterior = function(
+    testGeom) {
+  var coords = jsts.geom.util.ComponentCoordinateExtracter
+      .getCoordinates(testGeom);
+  for (var i = 0; i < coords.length; i++) {
+    var loc = this.targetPointLocator.locate(coords[i]);
+    if (loc !== jsts.geom.Location.INTERIOR)
+      return false;
+  }
+  return true;
+};
+
+
+/**
+ * Tests whether any component of the test Geometry intersects the area of the
+ * target geometry. Handles test geometries with both linear and point
+ * components.
+ *
+ * @param {jsts.geom.Geometry}
+ *          testGeom a geometry to test.
+ * @return {boolean} true if any component of the argument intersects the
+ *         prepared area geometry.
+ * @protected
+ */
+jsts.geom.prep.PreparedPolygonPredicate.prototype.isAnyTestComponentInTarget = function(
+    testGeom) {
+  var coords = jsts.geom.util.ComponentCoordinateExtracter
+      .getCoordinates(testGeom);
+  for (var i = 0; i < coords.length; i++) {
+    var loc = this.targetPointLocator.locate(coords[i]);
+    if (loc !== jsts.geom.Location.EXTERIOR)
+      return true;
+  }
+  return false;
+};
+
+
+/**
+ * Tests whether any component of the test Geometry intersects the interior of
+ * the target geometry. Handles test geometries with both linear and point
+ * components.
+ *
+ * @param {jsts.geom.Geometry}
+ *          testGeom a geometry to test.
+ * @return {boolean} true if any component of the argument intersects the
+ *         prepared area geometry interior.
+ * @protected
+ */
+jsts.geom.prep.PreparedPolygonPredicate.prototype.isAnyTestComponentInTargetInterior = function(
+    testGeom) {
+  var coords = jsts.geom.util.ComponentCoordinateExtracter
+      .getCoordinates(testGeom);
+  for (var i = 0; i < coords.length; i++) {
+    var loc = this.targetPointLocator.locate(coords[i]);
+    if (loc === jsts.geom.Location.INTERIOR)
+      return true;
+  }
+  return false;
+};
+
+
+/**
+ * Tests whether any component of the target geometry intersects the test
+ * geometry (which must be an areal geometry)
+ *
+ * @param {jsts.geom.Geometry}
+ *          testGeom the test geometry.
+ * @param {jsts.geom.Coordinate[]}
+ *          targetRepPts the representative points of the target geometry.
+ * @return {boolean} true if any component intersects the areal test geometry.
+ * @protected
+ */
+jsts.geom.prep.PreparedPolygonPredicate.prototype.isAnyTargetComponentInAreaTest = function(
+    testGeom, targetRepPts) {
+  var piaLoc = new jsts.algorithm.locate.SimplePointInAreaLocator(testGeom);
+  for (var i = 0; i < targetRepPts.length; i++) {
+    var loc = piaLoc.locate(targetRepPts[i]);
+    if (loc !== jsts.geom.Location.EXTERIOR)
+      return true;
+  }
+  return false;
+};
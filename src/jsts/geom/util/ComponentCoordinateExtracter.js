@@ -0,0 +1,63 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/GeometryComponentFilter.js
+ */
+
+
+
+/**
+ * Extracts a representative {@link Coordinate} from each connected component
+ * of a {@link Geometry}.
+ *
+ * @param {jsts.geom.Coordinate[]}
+ *          coords the array to add the extracted coordinates to.
+ * @constructor
+ * @augments {GeometryComponentFilter}
+ */
+jsts.geom.util.ComponentCoordinateExtracter = function(coords) {
+  this.coords = coords;
+};
+jsts.inherit(jsts.geom.util.ComponentCoordinateExtracter,
+    jsts.geom.GeometryComponentFilter);
+
+
+/**
+ * Extracts the linear components from a single geometry. If more than one
+ * geometry is to be processed, it is more efficient to create a single
+ * {@link ComponentCoordinateExtracter} filter and pass it to multiple
+ * geometries.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the Geometry from which to extract.
+ * @return {jsts.geom.Coordinate[]} a list of representative Coordinates.
+ */
+jsts.geom.util.ComponentCoordinateExtracter.getCoordinates = function(geom) {
+  var coords = [];
+  geom.apply(new jsts.geom.util.ComponentCoordinateExtracter(coords));
+  return coords;
+};
+
+
+/**
+ * @type {jsts.geom.Coordinate[]}
+ * @private
+ */
+jsts.geom.util.ComponentCoordinateExtracter.prototype.coords = null;
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          geom a component of the geometry being processed.
+ */
+jsts.geom.util.ComponentCoordinateExtracter.prototype.filter = function(geom) {
+  // add coordinates from connected components
+  if ((geom instanceof jsts.geom.LineString ||
+      geom instanceof jsts.geom.Point) && !geom.isEmpty()) {
+    this.coords.push(geom.getCoordinate());
+  }
+};
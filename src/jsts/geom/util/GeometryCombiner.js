@@ -44,16 +44,19 @@ jsts.geom.util.GeometryCombiner.combiner = function(geoms) {
 
 
 /**
- * Combines two or three geometries.
+ * Combines a collection of geometries, or two or three geometries.
  *
- * @param {jsts.geom.Geometry} g0 a geometry to combine.
- * @param {jsts.geom.Geometry} g1 a geometry to combine.
+ * @param {Array|jsts.geom.Geometry} g0 the geometries to combine, or a
+ *          geometry to combine.
+ * @param {jsts.geom.Geometry=} [g1] a geometry to combine.
  * @param {jsts.geom.Geometry=} [g2] a geometry to combine.
  * @return {jsts.geom.Geometry} the combined geometry.
  * @public
  */
 jsts.geom.util.GeometryCombiner.combine = function() {
-  var combiner = jsts.geom.util.GeometryCombiner([].slice.call(arguments));
+  var geoms = arguments[0] instanceof Array ? arguments[0] : [].slice
+      .call(arguments);
+  var combiner = new jsts.geom.util.GeometryCombiner(geoms);
   return combiner.combine();
 };
 
@@ -102,12 +105,12 @@ jsts.geom.util.GeometryCombiner.extractFactory = function(geoms) {
  * @public
  */
 jsts.geom.util.GeometryCombiner.prototype.combine = function() {
-  var elems = [];
+  var elems = new javascript.util.ArrayList();
   for (var i = 0, l = this.inputGeoms.length; i < l; i++) {
     var g = this.inputGeoms[i];
     this.extractElements(g, elems);
   }
-  if (elems.length === 0) {
+  if (elems.size() === 0) {
     if (this.geomFactory !== null) {
       // return an empty GC
       return this.geomFactory.createGeometryCollection(null);
@@ -121,7 +124,7 @@ jsts.geom.util.GeometryCombiner.prototype.combine = function() {
 
 /**
  * @param {jsts.geom.Geometry} geom
- * @param {Array} elems
+ * @param {javascript.util.ArrayList} elems
  * @private
  */
 jsts.geom.util.GeometryCombiner.prototype.extractElements = function(geom, elems) {
@@ -141,7 +141,11 @@ jsts.geom.util.GeometryTransformer.prototype.createCoordinateSequence = function
  * @return a deep copy of the sequence.
  */
 jsts.geom.util.GeometryTransformer.prototype.copy = function(seq) {
-  return seq.clone();
+  var copy = [];
+  for (var i = 0; i < seq.length; i++) {
+    copy.push(seq[i].clone());
+  }
+  return copy;
 };
 
 /**
@@ -163,7 +167,11 @@ jsts.geom.util.GeometryTransformer.prototype.transformCoordinates = function(
 
 jsts.geom.util.GeometryTransformer.prototype.transformPoint = function(geom,
     parent) {
-  throw new jsts.error.NotImplementedError();
+  var coords = this.transformCoordinates(geom.getCoordinates(), geom);
+  if (coords === null || coords.length === 0) {
+    return this.factory.createPoint(null);
+  }
+  return this.factory.createPoint(coords[0]);
 };
 
 jsts.geom.util.GeometryTransformer.prototype.transformMultiPoint = function(
@@ -200,8 +208,8 @@ jsts.geom.util.GeometryTransformer.prototype.transformMultiPoint = function(
  */
 jsts.geom.util.GeometryTransformer.prototype.transformLinearRing = function(
     geom, parent) {
-  var seq = this.transformCoordinates(geom.components);
-  var seqSize = seq.length;
+  var seq = this.transformCoordinates(geom.getCoordinates(), geom);
+  var seqSize = seq === null ? 0 : seq.length;
   // ensure a valid LinearRing
   if (seqSize > 0 && seqSize < 4 && !this.preserveType) {
     return this.factory.createLineString(seq);
@@ -230,7 +238,7 @@ jsts.geom.util.GeometryTransformer.prototype.transformMultiLineString = function
     geom, parent) {
   var transGeomList = new javascript.util.ArrayList();
   for ( var i = 0; i < geom.getNumGeometries(); i++) {
-    transformGeom = this.transformLineString(geom.getGeometryN(i), geom);
+    var transformGeom = this.transformLineString(geom.getGeometryN(i), geom);
     if (transformGeom === null) {
       continue;
     }
@@ -245,7 +253,7 @@ jsts.geom.util.GeometryTransformer.prototype.transformMultiLineString = function
 jsts.geom.util.GeometryTransformer.prototype.transformPolygon = function(geom,
     parent) {
   var isAllValidLinearRings = true;
-  shell = this.transformLinearRing(geom.getExteriorRing(), geom);
+  var shell = this.transformLinearRing(geom.getExteriorRing(), geom);
 
   if (shell === null || !(shell instanceof jsts.geom.LinearRing) ||
       shell.isEmpty()) {
@@ -302,14 +310,13 @@ jsts.geom.util.GeometryTransformer.prototype.transformGeometryCollection = funct
     if (transformGeom === null) {
       continue;
     }
-    if (pruneEmptyGeometry && transformGeom.isEmpty()) {
+    if (this.pruneEmptyGeometry && transformGeom.isEmpty()) {
       continue;
     }
     transGeomList.add(transformGeom);
   }
-  if (preserveGeometryCollectionType) {
-    return this.factory.createGeometryCollection(jsts.geom.GeometryFactory
-        .toGeometryArray(transGeomList));
+  if (this.preserveGeometryCollectionType) {
+    return this.factory.createGeometryCollection(transGeomList.toArray());
   }
   return this.factory.buildGeometry(transGeomList);
 };
@@ -0,0 +1,66 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/GeometryCollection.js
+ */
+
+
+
+/**
+ * A visitor to {@link Geometry} components, which allows short-circuiting
+ * when a defined condition holds.
+ *
+ * @constructor
+ */
+jsts.geom.util.ShortCircuitedGeometryVisitor = function() {
+};
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.geom.util.ShortCircuitedGeometryVisitor.prototype._isDone = false;
+
+
+/**
+ * Visits the elemental components of a geometry, stopping as soon as
+ * {@link #isDone} reports that the condition holds.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to visit.
+ */
+jsts.geom.util.ShortCircuitedGeometryVisitor.prototype.applyTo = function(
+    geom) {
+  for (var i = 0; i < geom.getNumGeometries() && !this._isDone; i++) {
+    var element = geom.getGeometryN(i);
+    if (!(element instanceof jsts.geom.GeometryCollection)) {
+      this.visit(element);
+      if (this.isDone()) {
+        this._isDone = true;
+        return;
+      }
+    } else {
+      this.applyTo(element);
+    }
+  }
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          element an elemental geometry component.
+ * @protected
+ */
+jsts.geom.util.ShortCircuitedGeometryVisitor.prototype.visit = jsts.abstractFunc;
+
+
+/**
+ * @return {boolean} true if the visiting can stop.
+ * @protected
+ */
+jsts.geom.util.ShortCircuitedGeometryVisitor.prototype.isDone = jsts.abstractFunc;
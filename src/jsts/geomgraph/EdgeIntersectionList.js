@@ -70,6 +70,23 @@
   };
 
 
+  /**
+   * Tests if the given point is an edge intersection
+   *
+   * @param {Coordinate}
+   *          pt the point to test.
+   * @return {boolean} true if the point is an intersection.
+   */
+  jsts.geomgraph.EdgeIntersectionList.prototype.isIntersection = function(pt) {
+    for (var it = this.iterator(); it.hasNext();) {
+      var ei = it.next();
+      if (ei.coord.equals(pt))
+        return true;
+    }
+    return false;
+  };
+
+
   /**
    * Adds entries for the first and last points of the edge to the list
    */
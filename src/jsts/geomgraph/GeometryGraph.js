@@ -126,10 +126,10 @@
 
 
   /**
-   * @type {Coordinate}
+   * @type {boolean}
    * @private
    */
-  jsts.geomgraph.GeometryGraph.prototype.hasTooFewPoints = false;
+  jsts.geomgraph.GeometryGraph.prototype._hasTooFewPoints = false;
 
 
   /**
@@ -170,6 +170,27 @@
   };
 
 
+  /**
+   * This method returns <code>true</code> if the geometry has a component
+   * with too few distinct points to form a valid line or ring.
+   *
+   * @return {boolean} true if this graph was built from a geometry with too
+   *         few points.
+   */
+  jsts.geomgraph.GeometryGraph.prototype.hasTooFewPoints = function() {
+    return this._hasTooFewPoints;
+  };
+
+
+  /**
+   * @return {Coordinate} the location of the component with too few points,
+   *         if any.
+   */
+  jsts.geomgraph.GeometryGraph.prototype.getInvalidPoint = function() {
+    return this.invalidPoint;
+  };
+
+
 
   jsts.geomgraph.GeometryGraph.prototype.findEdge = function(line) {
     return this.lineEdgeMap.get(line);
@@ -259,8 +280,8 @@
         .getCoordinates());
 
     if (coord.length < 2) {
-      this.hasTooFewPoints = true;
-      this.invalidPoint = coords[0];
+      this._hasTooFewPoints = true;
+      this.invalidPoint = coord[0];
       return;
     }
 
@@ -299,7 +320,7 @@
         .getCoordinates());
 
     if (coord.length < 4) {
-      this.hasTooFewPoints = true;
+      this._hasTooFewPoints = true;
       this.invalidPoint = coord[0];
       return;
     }
@@ -74,6 +74,16 @@
   };
 
 
+  /**
+   * Link the DirectedEdges at the nodes of the graph. This allows clients to
+   * link only a subset of nodes in the graph, for efficiency (because they
+   * know that only a subset is of interest).
+   */
+  jsts.geomgraph.PlanarGraph.prototype.linkResultDirectedEdges = function() {
+    jsts.geomgraph.PlanarGraph.linkResultDirectedEdges(this.nodes.values());
+  };
+
+
   jsts.geomgraph.PlanarGraph.prototype.getEdgeIterator = function() {
     return this.edges.iterator();
   };
@@ -147,6 +157,74 @@
     }
   };
 
+
+  /**
+   * Returns the EdgeEnd which has edge e as its base edge (MD 18 Feb 2002 -
+   * this should return a pair of edges).
+   *
+   * @param {Edge}
+   *          e the edge to find.
+   * @return {EdgeEnd} the edge, if found <code>null</code> if the edge was
+   *         not found.
+   */
+  jsts.geomgraph.PlanarGraph.prototype.findEdgeEnd = function(e) {
+    for (var i = this.getEdgeEnds().iterator(); i.hasNext();) {
+      var ee = i.next();
+      if (ee.getEdge() === e)
+        return ee;
+    }
+    return null;
+  };
+
+
+  /**
+   * Returns the edge which starts at p0 and whose first segment is parallel to
+   * p1.
+   *
+   * @param {Coordinate}
+   *          p0 the start point of the edge.
+   * @param {Coordinate}
+   *          p1 a point giving the direction of the first segment.
+   * @return {Edge} the edge, if found <code>null</code> if the edge was not
+   *         found.
+   */
+  jsts.geomgraph.PlanarGraph.prototype.findEdgeInSameDirection = function(p0,
+      p1) {
+    for (var i = 0; i < this.edges.size(); i++) {
+      var e = this.edges.get(i);
+
+      var eCoord = e.getCoordinates();
+      if (this.matchInSameDirection(p0, p1, eCoord[0], eCoord[1]))
+        return e;
+
+      if (this.matchInSameDirection(p0, p1, eCoord[eCoord.length - 1],
+          eCoord[eCoord.length - 2]))
+        return e;
+    }
+    return null;
+  };
+
+
+  /**
+   * The coordinate pairs match if they define line segments lying in the same
+   * direction. E.g. the segments are parallel and in the same quadrant (as
+   * opposed to parallel and opposite!).
+   *
+   * @private
+   */
+  jsts.geomgraph.PlanarGraph.prototype.matchInSameDirection = function(p0, p1,
+      ep0, ep1) {
+    if (!p0.equals(ep0))
+      return false;
+
+    if (jsts.algorithm.CGAlgorithms.computeOrientation(p0, p1, ep1) ===
+        jsts.algorithm.CGAlgorithms.COLLINEAR &&
+        jsts.geomgraph.Quadrant.quadrant(p0, p1) ===
+        jsts.geomgraph.Quadrant.quadrant(ep0, ep1))
+      return true;
+    return false;
+  };
+
 })();
 
 // TODO: port rest of class
@@ -0,0 +1,75 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/index/intervalrtree/IntervalRTreeNode.js
+ */
+
+
+
+/**
+ * An internal node with (up to) two children, covering the union of their
+ * intervals.
+ *
+ * @param {jsts.index.intervalrtree.IntervalRTreeNode}
+ *          n1 the first child.
+ * @param {jsts.index.intervalrtree.IntervalRTreeNode}
+ *          n2 the second child, or null.
+ * @constructor
+ * @extends {jsts.index.intervalrtree.IntervalRTreeNode}
+ */
+jsts.index.intervalrtree.IntervalRTreeBranchNode = function(n1, n2) {
+  jsts.index.intervalrtree.IntervalRTreeNode.call(this);
+  this.node1 = n1;
+  this.node2 = n2;
+  this.buildExtent(this.node1, this.node2);
+};
+jsts.inherit(jsts.index.intervalrtree.IntervalRTreeBranchNode,
+    jsts.index.intervalrtree.IntervalRTreeNode);
+
+
+/**
+ * @type {jsts.index.intervalrtree.IntervalRTreeNode}
+ * @private
+ */
+jsts.index.intervalrtree.IntervalRTreeBranchNode.prototype.node1 = null;
+
+
+/**
+ * @type {jsts.index.intervalrtree.IntervalRTreeNode}
+ * @private
+ */
+jsts.index.intervalrtree.IntervalRTreeBranchNode.prototype.node2 = null;
+
+
+/**
+ * @private
+ */
+jsts.index.intervalrtree.IntervalRTreeBranchNode.prototype.buildExtent = function(
+    n1, n2) {
+  if (n2 === null) {
+    this.min = n1.min;
+    this.max = n1.max;
+    return;
+  }
+  this.min = Math.min(n1.min, n2.min);
+  this.max = Math.max(n1.max, n2.max);
+};
+
+
+/**
+ * @inheritDoc
+ */
+jsts.index.intervalrtree.IntervalRTreeBranchNode.prototype.query = function(
+    queryMin, queryMax, visitor) {
+  if (!this.intersects(queryMin, queryMax))
+    return;
+
+  if (this.node1 !== null)
+    this.node1.query(queryMin, queryMax, visitor);
+  if (this.node2 !== null)
+    this.node2.query(queryMin, queryMax, visitor);
+};
@@ -0,0 +1,50 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/index/intervalrtree/IntervalRTreeNode.js
+ */
+
+
+
+/**
+ * A leaf node holding a single item and its interval.
+ *
+ * @param {number}
+ *          min the lower bound of the item interval.
+ * @param {number}
+ *          max the upper bound of the item interval.
+ * @param {Object}
+ *          item the item.
+ * @constructor
+ * @extends {jsts.index.intervalrtree.IntervalRTreeNode}
+ */
+jsts.index.intervalrtree.IntervalRTreeLeafNode = function(min, max, item) {
+  this.min = min;
+  this.max = max;
+  this.item = item;
+};
+jsts.inherit(jsts.index.intervalrtree.IntervalRTreeLeafNode,
+    jsts.index.intervalrtree.IntervalRTreeNode);
+
+
+/**
+ * @type {Object}
+ * @private
+ */
+jsts.index.intervalrtree.IntervalRTreeLeafNode.prototype.item = null;
+
+
+/**
+ * @inheritDoc
+ */
+jsts.index.intervalrtree.IntervalRTreeLeafNode.prototype.query = function(
+    queryMin, queryMax, visitor) {
+  if (!this.intersects(queryMin, queryMax))
+    return;
+
+  visitor.visitItem(this.item);
+};
@@ -0,0 +1,103 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * A node of a {@link SortedPackedIntervalRTree}, covering the interval
+ * <code>[min, max]</code>.
+ *
+ * @constructor
+ */
+jsts.index.intervalrtree.IntervalRTreeNode = function() {
+  this.min = Number.POSITIVE_INFINITY;
+  this.max = Number.NEGATIVE_INFINITY;
+};
+
+
+/**
+ * Compares nodes by the midpoint of their intervals.
+ *
+ * @param {jsts.index.intervalrtree.IntervalRTreeNode}
+ *          n1 a node.
+ * @param {jsts.index.intervalrtree.IntervalRTreeNode}
+ *          n2 another node.
+ * @return {number} a negative number, zero, or a positive number as n1 sorts
+ *         before, with, or after n2.
+ */
+jsts.index.intervalrtree.IntervalRTreeNode.compare = function(n1, n2) {
+  var mid1 = (n1.min + n1.max) / 2;
+  var mid2 = (n2.min + n2.max) / 2;
+  if (mid1 < mid2)
+    return -1;
+  if (mid1 > mid2)
+    return 1;
+  return 0;
+};
+
+
+/**
+ * @type {number}
+ * @protected
+ */
+jsts.index.intervalrtree.IntervalRTreeNode.prototype.min = null;
+
+
+/**
+ * @type {number}
+ * @protected
+ */
+jsts.index.intervalrtree.IntervalRTreeNode.prototype.max = null;
+
+
+/**
+ * @return {number} the lower bound of the node interval.
+ */
+jsts.index.intervalrtree.IntervalRTreeNode.prototype.getMin = function() {
+  return this.min;
+};
+
+
+/**
+ * @return {number} the upper bound of the node interval.
+ */
+jsts.index.intervalrtree.IntervalRTreeNode.prototype.getMax = function() {
+  return this.max;
+};
+
+
+/**
+ * Visits the items of this node whose intervals intersect the query interval.
+ *
+ * @param {number}
+ *          queryMin the lower bound of the query interval.
+ * @param {number}
+ *          queryMax the upper bound of the query interval.
+ * @param {jsts.index.ItemVisitor}
+ *          visitor the visitor to pass matching items to.
+ */
+jsts.index.intervalrtree.IntervalRTreeNode.prototype.query = jsts.abstractFunc;
+
+
+/**
+ * @param {number}
+ *          queryMin the lower bound of the query interval.
+ * @param {number}
+ *          queryMax the upper bound of the query interval.
+ * @return {boolean} true if the query interval intersects this node.
+ * @protected
+ */
+jsts.index.intervalrtree.IntervalRTreeNode.prototype.intersects = function(
+    queryMin, queryMax) {
+  if (this.min > queryMax || this.max < queryMin)
+    return false;
+  return true;
+};
+
+
+jsts.index.intervalrtree.IntervalRTreeNode.prototype.toString = function() {
+  return 'LINESTRING (' + this.min + ' 0, ' + this.max + ' 0)';
+};
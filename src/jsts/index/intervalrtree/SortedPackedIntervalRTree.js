@@ -0,0 +1,147 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/index/intervalrtree/IntervalRTreeLeafNode.js
+ * @requires jsts/index/intervalrtree/IntervalRTreeBranchNode.js
+ */
+
+
+
+/**
+ * A static index on a set of 1-dimensional intervals, using an R-Tree packed
+ * based on the order of the interval midpoints. It supports range searching,
+ * where the range is an interval of the real line (which may be a single
+ * point). A common use is to index 1-dimensional intervals which are the
+ * projection of 2-D objects onto an axis of the coordinate system.
+ * <p>
+ * This index structure is <i>static</i> - items cannot be added or removed
+ * once the first query has been made. The advantage of this characteristic is
+ * that the index performance can be optimized based on a fixed set of items.
+ *
+ * @constructor
+ */
+jsts.index.intervalrtree.SortedPackedIntervalRTree = function() {
+  this.leaves = [];
+};
+
+
+/**
+ * @type {jsts.index.intervalrtree.IntervalRTreeNode[]}
+ * @private
+ */
+jsts.index.intervalrtree.SortedPackedIntervalRTree.prototype.leaves = null;
+
+
+/**
+ * @type {jsts.index.intervalrtree.IntervalRTreeNode}
+ * @private
+ */
+jsts.index.intervalrtree.SortedPackedIntervalRTree.prototype.root = null;
+
+
+/**
+ * Adds an item to the index which is associated with the given interval
+ *
+ * @param {number}
+ *          min the lower bound of the item interval.
+ * @param {number}
+ *          max the upper bound of the item interval.
+ * @param {Object}
+ *          item the item to insert.
+ *
+ * @throws {jsts.error.IllegalArgumentError} if the index has already been
+ *           queried.
+ */
+jsts.index.intervalrtree.SortedPackedIntervalRTree.prototype.insert = function(
+    min, max, item) {
+  if (this.root !== null) {
+    throw new jsts.error.IllegalArgumentError(
+        'Index cannot be added to once it has been queried');
+  }
+  this.leaves.push(new jsts.index.intervalrtree.IntervalRTreeLeafNode(min,
+      max, item));
+};
+
+
+/**
+ * @private
+ */
+jsts.index.intervalrtree.SortedPackedIntervalRTree.prototype.init = function() {
+  if (this.root !== null || this.leaves.length === 0)
+    return;
+  this.root = this.buildTree();
+};
+
+
+/**
+ * @return {jsts.index.intervalrtree.IntervalRTreeNode} the root of the tree.
+ * @private
+ */
+jsts.index.intervalrtree.SortedPackedIntervalRTree.prototype.buildTree = function() {
+  // sort the leaf nodes
+  this.leaves.sort(jsts.index.intervalrtree.IntervalRTreeNode.compare);
+
+  // now group nodes into blocks of two and build tree up recursively
+  var src = this.leaves;
+  var dest = [];
+
+  while (true) {
+    this.buildLevel(src, dest);
+    if (dest.length === 1)
+      return dest[0];
+
+    var temp = src;
+    src = dest;
+    dest = temp;
+  }
+};
+
+
+/**
+ * @param {jsts.index.intervalrtree.IntervalRTreeNode[]}
+ *          src the nodes of the level below.
+ * @param {jsts.index.intervalrtree.IntervalRTreeNode[]}
+ *          dest receives the nodes of the new level.
+ * @private
+ */
+jsts.index.intervalrtree.SortedPackedIntervalRTree.prototype.buildLevel = function(
+    src, dest) {
+  dest.length = 0;
+  for (var i = 0; i < src.length; i += 2) {
+    var n1 = src[i];
+    var n2 = (i + 1 < src.length) ? src[i + 1] : null;
+    if (n2 === null) {
+      dest.push(n1);
+    } else {
+      var node = new jsts.index.intervalrtree.IntervalRTreeBranchNode(
+          src[i], src[i + 1]);
+      dest.push(node);
+    }
+  }
+};
+
+
+/**
+ * Search for intervals in the index which intersect the given closed interval
+ * and apply the visitor to them.
+ *
+ * @param {number}
+ *          min the lower bound of the query interval.
+ * @param {number}
+ *          max the upper bound of the query interval.
+ * @param {jsts.index.ItemVisitor}
+ *          visitor the visitor to pass any matched items to.
+ */
+jsts.index.intervalrtree.SortedPackedIntervalRTree.prototype.query = function(
+    min, max, visitor) {
+  this.init();
+
+  // an empty index has no root
+  if (this.root === null)
+    return;
+  this.root.query(min, max, visitor);
+};
@@ -22,9 +22,9 @@ jsts.index.kdtree.KdNode = function() {
   this.count = 1;
 
   if (arguments.length === 2) {
-    this.initializeFromCoordinate.apply(this, arguments[0], arguments[1]);
+    this.initializeFromCoordinate(arguments[0], arguments[1]);
   } else if (arguments.length === 3) {
-    this.initializeFromXY.apply(this, arguments[0], arguments[1], arguments[2]);
+    this.initializeFromXY(arguments[0], arguments[1], arguments[2]);
   }
 };
 
@@ -145,7 +145,7 @@ jsts.index.kdtree.KdNode.prototype.getCount = function() {
  *         value.
  */
 jsts.index.kdtree.KdNode.prototype.isRepeated = function() {
-  return count > 1;
+  return this.count > 1;
 };
 
 
@@ -48,9 +48,9 @@ jsts.index.kdtree.KdTree = function(tolerance) {
  */
 jsts.index.kdtree.KdTree.prototype.insert = function() {
   if (arguments.length === 1) {
-    return this.insertCoordinate.apply(this, arguments[0]);
+    return this.insertCoordinate(arguments[0]);
   } else {
-    return this.insertWithData.apply(this, arguments[0], arguments[1]);
+    return this.insertWithData(arguments[0], arguments[1]);
   }
 };
 
@@ -88,7 +88,14 @@ jsts.index.kdtree.KdTree.prototype.insertWithData = function(p, data) {
   var currentNode = this.root, leafNode = this.root, isOddLevel = true, isLessThan = true;
 
   // traverse the tree first cutting the plane left-right the top-bottom
-  while (currentNode !== last) {
+  while (currentNode !== this.last) {
+    // check if point is already in tree (up to tolerance) and if so simply
+    // return existing node
+    if (p.distance(currentNode.getCoordinate()) <= this.tolerance) {
+      currentNode.increment();
+      return currentNode;
+    }
+
     if (isOddLevel) {
       isLessThan = p.x < currentNode.getX();
     } else {
@@ -100,23 +107,11 @@ jsts.index.kdtree.KdTree.prototype.insertWithData = function(p, data) {
     } else {
       currentNode = currentNode.getRight();
     }
-
-    // test if point is already a node
-    if (currentNode !== null) {
-      var isInTolerance = p.distance(currentNode.getCoordinate()) <= this.tolerance;
-
-      // check if point is already in tree (up to tolerance) and if so simply
-      // return existing node
-      if (isInTolerance) {
-        currentNode.increment();
-        return currentNode;
-      }
-    }
     isOddLevel = !isOddLevel;
   }
 
   // no node found, add new leaf node to tree
-  this.numberOfNodes = numberOfNodes + 1;
+  this.numberOfNodes = this.numberOfNodes + 1;
   var node = new jsts.index.kdtree.KdNode(p, data);
   node.setLeft(this.last);
   node.setRight(this.last);
@@ -168,7 +163,7 @@ jsts.index.kdtree.KdTree.prototype.queryNode = function(currentNode,
   }
 
   if (queryEnv.contains(currentNode.getCoordinate())) {
-    result.add(currentNode);
+    result.push(currentNode);
   }
 
   if (searchRight) {
@@ -184,9 +179,9 @@ jsts.index.kdtree.KdTree.prototype.queryNode = function(currentNode,
  */
 jsts.index.kdtree.KdTree.prototype.query = function() {
   if (arguments.length === 1) {
-    return this.queryByEnvelope.apply(this, arguments[0]);
+    return this.queryByEnvelope(arguments[0]);
   } else {
-    return this.queryWithArray.apply(this, arguments[0], arguments[1]);
+    return this.queryWithArray(arguments[0], arguments[1]);
   }
 };
 
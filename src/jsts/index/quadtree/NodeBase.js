@@ -127,8 +127,9 @@ jsts.index.quadtree.NodeBase.prototype.remove = function(itemEnv, item) {
   }
   // otherwise, try and remove the item from the list of items in this node
 
-  if (OpenLayers.Util.indexOf(this.items, item) !== -1) {
-    OpenLayers.Util.removeItem(this.items, item);
+  var index = this.items.indexOf(item);
+  if (index !== -1) {
+    this.items.splice(index, 1);
     found = true;
   }
   return found;
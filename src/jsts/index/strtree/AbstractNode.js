@@ -28,7 +28,7 @@ jsts.index.strtree.AbstractNode = function(level) {
   this.childBoundables = [];
 };
 
-OpenLayers.inherit(jsts.index.strtree.AbstractNode, jsts.index.strtree.Boundable);
+jsts.inherit(jsts.index.strtree.AbstractNode, jsts.index.strtree.Boundable);
 
 
 /**
@@ -0,0 +1,220 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * A pair of {@link Boundable}s, whose leaf items support a distance metric
+ * between them. Used to compute the distance between the members, and to
+ * expand a member relative to the other in order to produce new branches of
+ * the Branch-and-Bound evaluation tree. Provides an ordering based on the
+ * distance between the members, which allows building a priority queue by
+ * minimum distance.
+ *
+ * @requires jsts/index/strtree/AbstractNode.js
+ */
+
+
+
+/**
+ * @param {jsts.index.strtree.Boundable}
+ *          boundable1 the first member of the pair.
+ * @param {jsts.index.strtree.Boundable}
+ *          boundable2 the second member of the pair.
+ * @param {jsts.index.strtree.ItemDistance}
+ *          itemDistance the distance metric for the leaf items.
+ * @constructor
+ */
+jsts.index.strtree.BoundablePair = function(boundable1, boundable2,
+    itemDistance) {
+  this.boundable1 = boundable1;
+  this.boundable2 = boundable2;
+  this.itemDistance = itemDistance;
+  this.distance = this.computeDistance();
+};
+
+
+/**
+ * @type {jsts.index.strtree.Boundable}
+ * @private
+ */
+jsts.index.strtree.BoundablePair.prototype.boundable1 = null;
+
+
+/**
+ * @type {jsts.index.strtree.Boundable}
+ * @private
+ */
+jsts.index.strtree.BoundablePair.prototype.boundable2 = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.index.strtree.BoundablePair.prototype.distance = null;
+
+
+/**
+ * @type {jsts.index.strtree.ItemDistance}
+ * @private
+ */
+jsts.index.strtree.BoundablePair.prototype.itemDistance = null;
+
+
+/**
+ * Gets one of the member {@link Boundable}s in the pair (indexed by [0, 1]).
+ *
+ * @param {number}
+ *          i the index of the member to return (0 or 1).
+ * @return {jsts.index.strtree.Boundable} the chosen member.
+ */
+jsts.index.strtree.BoundablePair.prototype.getBoundable = function(i) {
+  if (i === 0)
+    return this.boundable1;
+  return this.boundable2;
+};
+
+
+/**
+ * Computes the distance between the {@link Boundable}s in this pair. The
+ * boundables are either composites or leaves. If either is composite, the
+ * distance is computed as the minimum distance between the bounds. If both
+ * are leaves, the distance is computed by the item distance metric.
+ *
+ * @return {number} the distance between the members.
+ * @private
+ */
+jsts.index.strtree.BoundablePair.prototype.computeDistance = function() {
+  // if items, compute exact distance
+  if (this.isLeaves()) {
+    return this.itemDistance.distance(this.boundable1, this.boundable2);
+  }
+  // otherwise compute distance between bounds of boundables
+  return this.boundable1.getBounds().distance(this.boundable2.getBounds());
+};
+
+
+/**
+ * Gets the minimum possible distance between the Boundables in this pair. If
+ * the members are both items, this will be the exact distance between them.
+ * Otherwise, this distance will be a lower bound on the distances between the
+ * items in the members.
+ *
+ * @return {number} the exact or lower bound distance for this pair.
+ */
+jsts.index.strtree.BoundablePair.prototype.getDistance = function() {
+  return this.distance;
+};
+
+
+/**
+ * Compares two pairs based on their minimum distances.
+ *
+ * @param {jsts.index.strtree.BoundablePair}
+ *          o the pair to compare with.
+ * @return {number} a negative number, zero, or a positive number as this pair
+ *         is nearer than, as near as or further than the other.
+ */
+jsts.index.strtree.BoundablePair.prototype.compareTo = function(o) {
+  if (this.distance < o.distance)
+    return -1;
+  if (this.distance > o.distance)
+    return 1;
+  return 0;
+};
+
+
+/**
+ * Tests if both elements of the pair are leaf nodes.
+ *
+ * @return {boolean} true if both pair elements are leaf nodes.
+ */
+jsts.index.strtree.BoundablePair.prototype.isLeaves = function() {
+  return !(jsts.index.strtree.BoundablePair.isComposite(this.boundable1) ||
+      jsts.index.strtree.BoundablePair.isComposite(this.boundable2));
+};
+
+
+/**
+ * @param {Object}
+ *          item a member of a pair.
+ * @return {boolean} true if the item is a node of the tree.
+ */
+jsts.index.strtree.BoundablePair.isComposite = function(item) {
+  return item instanceof jsts.index.strtree.AbstractNode;
+};
+
+
+/**
+ * For a pair which is not a leaf (i.e. has at least one composite boundable)
+ * computes a list of new pairs from the expansion of the larger boundable.
+ *
+ * @param {jsts.util.PriorityQueue}
+ *          priQ the queue to add the new pairs to.
+ * @param {number}
+ *          minDistance the current minimum distance; pairs at least this far
+ *          apart are not added.
+ */
+jsts.index.strtree.BoundablePair.prototype.expandToQueue = function(priQ,
+    minDistance) {
+  var isComp1 = jsts.index.strtree.BoundablePair.isComposite(this.boundable1);
+  var isComp2 = jsts.index.strtree.BoundablePair.isComposite(this.boundable2);
+
+  // HEURISTIC: If both boundable are composite, choose the one with largest
+  // area to expand. Otherwise, simply expand whichever is composite.
+  if (isComp1 && isComp2) {
+    if (this.boundable1.getBounds().getArea() >
+        this.boundable2.getBounds().getArea()) {
+      this.expand(this.boundable1, this.boundable2, false, priQ, minDistance);
+    } else {
+      this.expand(this.boundable2, this.boundable1, true, priQ, minDistance);
+    }
+    return;
+  }
+  if (isComp1) {
+    this.expand(this.boundable1, this.boundable2, false, priQ, minDistance);
+    return;
+  }
+  if (isComp2) {
+    this.expand(this.boundable2, this.boundable1, true, priQ, minDistance);
+    return;
+  }
+
+  throw new jsts.error.IllegalArgumentError(
+      'neither boundable is composite');
+};
+
+
+/**
+ * @param {jsts.index.strtree.AbstractNode}
+ *          bndComposite the member to expand.
+ * @param {jsts.index.strtree.Boundable}
+ *          bndOther the other member.
+ * @param {boolean}
+ *          isFlipped true if the composite is the second member of the pair.
+ * @param {jsts.util.PriorityQueue}
+ *          priQ the queue to add the new pairs to.
+ * @param {number}
+ *          minDistance the current minimum distance.
+ * @private
+ */
+jsts.index.strtree.BoundablePair.prototype.expand = function(bndComposite,
+    bndOther, isFlipped, priQ, minDistance) {
+  var children = bndComposite.getChildBoundables();
+  for (var i = 0; i < children.length; i++) {
+    var child = children[i];
+    // keep the members in their original order so that the result pair
+    // reports the items of each tree in the expected position
+    var bp = isFlipped ?
+        new jsts.index.strtree.BoundablePair(bndOther, child,
+            this.itemDistance) :
+        new jsts.index.strtree.BoundablePair(child, bndOther,
+            this.itemDistance);
+    // only add to queue if this pair might contain the closest points
+    if (bp.getDistance() < minDistance) {
+      priQ.add(bp);
+    }
+  }
+};
@@ -24,7 +24,7 @@ jsts.index.strtree.ItemBoundable = function(bounds, item) {
   this.item = item;
 };
 
-OpenLayers.inherit(jsts.index.strtree.ItemBoundable, jsts.index.strtree.Boundable);
+jsts.inherit(jsts.index.strtree.ItemBoundable, jsts.index.strtree.Boundable);
 
 
 /**
@@ -0,0 +1,31 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * A function method which computes the distance between two
+ * {@link ItemBoundable}s in an {@link STRtree}. Used for Nearest Neighbour
+ * searches.
+ *
+ * @interface
+ */
+jsts.index.strtree.ItemDistance = function() {
+
+};
+
+
+/**
+ * Computes the distance between two items.
+ *
+ * @param {jsts.index.strtree.ItemBoundable}
+ *          item1 the first item.
+ * @param {jsts.index.strtree.ItemBoundable}
+ *          item2 the second item.
+ * @return {number} the distance between the items.
+ * @public
+ */
+jsts.index.strtree.ItemDistance.prototype.distance = function(item1, item2) {
+  throw new jsts.error.AbstractMethodInvocationError();
+};
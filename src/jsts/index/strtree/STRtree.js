@@ -21,6 +21,8 @@
  * @requires jsts/index/SpatialIndex.js
  * @requires jsts/index/strtree/STRtree.js
  * @requires jsts/index/strtree/AbstractSTRtree.js
+ * @requires jsts/index/strtree/BoundablePair.js
+ * @requires jsts/util/PriorityQueue.js
  */
 
 
@@ -44,7 +46,7 @@ jsts.index.strtree.STRtree = function(nodeCapacity) {
   jsts.index.strtree.AbstractSTRtree.call(this, nodeCapacity);
 };
 
-OpenLayers.inherit(jsts.index.strtree.STRtree, jsts.index.SpatialIndex, jsts.index.strtree.AbstractSTRtree);
+jsts.inherit(jsts.index.strtree.STRtree, jsts.index.SpatialIndex, jsts.index.strtree.AbstractSTRtree);
 
 
 /**
@@ -193,14 +195,14 @@ jsts.index.strtree.STRtree.prototype.verticalSlices = function(childBoundables,
     sliceCount) {
   var sliceCapacity = Math.ceil(childBoundables.length / sliceCount);
   var slices = [];
+  var i = 0;
 
   for (var j = 0; j < sliceCount; j++) {
     slices[j] = [];
     var boundablesAddedToSlice = 0;
-    for (var i = 0; i < childBoundables.length; i++) {
-      if (boundablesAddedToSlice >= sliceCapacity)
-        break;
-      var childBoundable = childBoundables[i];
+    while (i < childBoundables.length &&
+        boundablesAddedToSlice < sliceCapacity) {
+      var childBoundable = childBoundables[i++];
       slices[j].push(childBoundable);
       boundablesAddedToSlice++;
     }
@@ -392,16 +394,24 @@ jsts.index.strtree.STRtree.prototype.nearestNeighbour3 = function(tree,
   return this.nearestNeighbour4(bp);
 };
 
+/**
+ * @param {jsts.index.strtree.BoundablePair}
+ *          initBndPair the pair to start the search from.
+ * @return {Array.<Object>} the pair of the nearest items.
+ * @private
+ */
 jsts.index.strtree.STRtree.prototype.nearestNeighbour4 = function(initBndPair) {
-  return this.nearestNeighbour5(initBndPair, Double.POSITIVE_INFINITY);
+  return this.nearestNeighbour5(initBndPair, Number.POSITIVE_INFINITY);
 };
 
 /**
- * NOTE: PriorityQueue replaces by js array
- *
- * @param initBndPair
- * @param maxDistance
- * @return {Array}
+ * @param {jsts.index.strtree.BoundablePair}
+ *          initBndPair the pair to start the search from.
+ * @param {number}
+ *          maxDistance the maximum distance to search within.
+ * @return {Array.<Object>} the pair of the nearest items, or null if a tree is
+ *         empty.
+ * @private
  */
 jsts.index.strtree.STRtree.prototype.nearestNeighbour5 = function(initBndPair,
     maxDistance) {
@@ -409,14 +419,14 @@ jsts.index.strtree.STRtree.prototype.nearestNeighbour5 = function(initBndPair,
   var minPair = null;
 
   // initialize internal structures
-  var priQ = [];
+  var priQ = new jsts.util.PriorityQueue();
 
   // initialize queue
-  priQ.push(initBndPair);
+  priQ.add(initBndPair);
 
   while (!priQ.isEmpty() && distanceLowerBound > 0.0) {
     // pop head of queue and expand one side of pair
-    var bndPair = priQ.pop();
+    var bndPair = priQ.poll();
     var currentDistance = bndPair.getDistance();
 
     /**
@@ -445,6 +455,9 @@ jsts.index.strtree.STRtree.prototype.nearestNeighbour5 = function(initBndPair,
       bndPair.expandToQueue(priQ, distanceLowerBound);
     }
   }
+  // an empty tree has no items
+  if (minPair === null)
+    return null;
   // done - return items with min distance
   return [minPair.getBoundable(0).getItem(), minPair.getBoundable(1).getItem()];
 };
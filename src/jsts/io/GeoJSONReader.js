@@ -0,0 +1,337 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * Converts GeoJSON (RFC 7946) to {@link Geometry} objects.
+ * <p>
+ * All seven geometry types are read into the corresponding
+ * <code>jsts.geom</code> classes. A <code>Feature</code> is read into an
+ * object that keeps all members of the input (such as <code>id</code> and
+ * <code>properties</code>) but has its <code>geometry</code> member replaced
+ * by a <code>Geometry</code> (or <code>null</code>). A
+ * <code>FeatureCollection</code> is read into an object whose
+ * <code>features</code> are read in the same way.
+ * <p>
+ * Empty <code>coordinates</code> arrays are read as empty geometries. A third
+ * ordinate is kept as the Z value of the coordinate; further ordinates are
+ * ignored. Coordinates are rounded to the precision model of the
+ * <code>GeometryFactory</code>.
+ * <p>
+ * Input that is not structurally valid GeoJSON causes a
+ * {@link jsts.error.ParseError}.
+ *
+ * @param {jsts.geom.GeometryFactory}
+ *          [geometryFactory] the factory used to create geometries.
+ * @constructor
+ */
+jsts.io.GeoJSONReader = function(geometryFactory) {
+  this.geometryFactory = geometryFactory || new jsts.geom.GeometryFactory();
+  this.precisionModel = this.geometryFactory.getPrecisionModel();
+};
+
+
+/**
+ * Reads a GeoJSON object.
+ *
+ * @param {Object|string}
+ *          geoJson a GeoJSON object, or its JSON text.
+ * @return {jsts.geom.Geometry|Object} a <code>Geometry</code> for a GeoJSON
+ *         geometry, otherwise a Feature or FeatureCollection object holding
+ *         <code>Geometry</code> objects.
+ * @throws {jsts.error.ParseError}
+ *           if the input is not valid GeoJSON.
+ */
+jsts.io.GeoJSONReader.prototype.read = function(geoJson) {
+  if (typeof geoJson === 'string') {
+    try {
+      geoJson = JSON.parse(geoJson);
+    } catch (e) {
+      throw new jsts.error.ParseError('Invalid JSON: ' + e.message);
+    }
+  }
+
+  var type = this.getType(geoJson);
+  if (type === 'Feature') {
+    return this.readFeature(geoJson);
+  }
+  if (type === 'FeatureCollection') {
+    return this.readFeatureCollection(geoJson);
+  }
+  return this.readGeometry(geoJson);
+};
+
+
+/**
+ * @param {Object}
+ *          object a GeoJSON object.
+ * @return {string} the type member of the object.
+ * @private
+ */
+jsts.io.GeoJSONReader.prototype.getType = function(object) {
+  if (object === null || typeof object !== 'object' || Array.isArray(object)) {
+    throw new jsts.error.ParseError('GeoJSON object expected');
+  }
+  if (typeof object.type !== 'string') {
+    throw new jsts.error.ParseError(
+        'GeoJSON object is missing its "type" member');
+  }
+  return object.type;
+};
+
+
+/**
+ * Reads a GeoJSON geometry object.
+ *
+ * @param {Object}
+ *          object a GeoJSON geometry object.
+ * @return {jsts.geom.Geometry} the geometry.
+ * @private
+ */
+jsts.io.GeoJSONReader.prototype.readGeometry = function(object) {
+  var type = this.getType(object);
+  var factory = this.geometryFactory;
+
+  if (type === 'GeometryCollection') {
+    if (!Array.isArray(object.geometries)) {
+      throw new jsts.error.ParseError(
+          'GeometryCollection must have a "geometries" array');
+    }
+    var geometries = [];
+    for (var i = 0; i < object.geometries.length; i++) {
+      geometries.push(this.readGeometry(object.geometries[i]));
+    }
+    return factory.createGeometryCollection(geometries);
+  }
+
+  if (!jsts.io.GeoJSONReader.GEOMETRY_TYPES[type]) {
+    throw new jsts.error.ParseError('Unknown GeoJSON type "' + type + '"');
+  }
+  if (!Array.isArray(object.coordinates)) {
+    throw new jsts.error.ParseError(type + ' must have a "coordinates" array');
+  }
+
+  var coordinates = object.coordinates;
+  switch (type) {
+    case 'Point':
+      if (coordinates.length === 0) {
+        return factory.createPoint(null);
+      }
+      return factory.createPoint(this.readPosition(coordinates));
+    case 'LineString':
+      return factory.createLineString(this.readLineStringCoordinates(
+          coordinates));
+    case 'Polygon':
+      return this.readPolygon(coordinates);
+    case 'MultiPoint':
+      var points = [];
+      for (var i = 0; i < coordinates.length; i++) {
+        points.push(factory.createPoint(this.readPosition(coordinates[i])));
+      }
+      return factory.createMultiPoint(points);
+    case 'MultiLineString':
+      var lineStrings = [];
+      for (var i = 0; i < coordinates.length; i++) {
+        lineStrings.push(factory.createLineString(this
+            .readLineStringCoordinates(coordinates[i])));
+      }
+      return factory.createMultiLineString(lineStrings);
+    case 'MultiPolygon':
+      var polygons = [];
+      for (var i = 0; i < coordinates.length; i++) {
+        polygons.push(this.readPolygon(coordinates[i]));
+      }
+      return factory.createMultiPolygon(polygons);
+  }
+};
+
+
+/**
+ * Reads a GeoJSON position and rounds it to the precision model.
+ *
+ * @param {number[]}
+ *          position an array of two or more numbers.
+ * @return {jsts.geom.Coordinate} the coordinate.
+ * @private
+ */
+jsts.io.GeoJSONReader.prototype.readPosition = function(position) {
+  if (!Array.isArray(position) || position.length < 2) {
+    throw new jsts.error.ParseError(
+        'A position must be an array of at least two numbers');
+  }
+  for (var i = 0; i < position.length; i++) {
+    if (typeof position[i] !== 'number') {
+      throw new jsts.error.ParseError('Invalid position [' + position + ']');
+    }
+  }
+
+  var coordinate = new jsts.geom.Coordinate(position[0], position[1]);
+  if (position.length > 2) {
+    coordinate.z = position[2];
+  }
+  this.precisionModel.makePrecise(coordinate);
+  return coordinate;
+};
+
+
+/**
+ * @param {Array}
+ *          positions an array of positions.
+ * @return {jsts.geom.Coordinate[]} the coordinates.
+ * @private
+ */
+jsts.io.GeoJSONReader.prototype.readPositions = function(positions) {
+  if (!Array.isArray(positions)) {
+    throw new jsts.error.ParseError('An array of positions expected');
+  }
+  var coordinates = [];
+  for (var i = 0; i < positions.length; i++) {
+    coordinates.push(this.readPosition(positions[i]));
+  }
+  return coordinates;
+};
+
+
+/**
+ * @param {Array}
+ *          positions the positions of a line, empty or at least two.
+ * @return {jsts.geom.Coordinate[]} the coordinates.
+ * @private
+ */
+jsts.io.GeoJSONReader.prototype.readLineStringCoordinates = function(
+    positions) {
+  var coordinates = this.readPositions(positions);
+  if (coordinates.length === 1) {
+    throw new jsts.error.ParseError(
+        'A LineString must have two or more positions');
+  }
+  return coordinates;
+};
+
+
+/**
+ * @param {Array}
+ *          positions the positions of a ring, empty or at least four with the
+ *          first and last equal.
+ * @return {jsts.geom.LinearRing} the ring.
+ * @private
+ */
+jsts.io.GeoJSONReader.prototype.readLinearRing = function(positions) {
+  var coordinates = this.readPositions(positions);
+  if (coordinates.length > 0) {
+    if (coordinates.length < jsts.geom.LinearRing.MINIMUM_VALID_SIZE) {
+      throw new jsts.error.ParseError(
+          'A linear ring must have four or more positions');
+    }
+    if (!coordinates[0].equals2D(coordinates[coordinates.length - 1])) {
+      throw new jsts.error.ParseError('A linear ring must be closed');
+    }
+  }
+  return this.geometryFactory.createLinearRing(coordinates);
+};
+
+
+/**
+ * @param {Array}
+ *          rings the positions of the shell followed by those of the holes.
+ * @return {jsts.geom.Polygon} the polygon.
+ * @private
+ */
+jsts.io.GeoJSONReader.prototype.readPolygon = function(rings) {
+  if (!Array.isArray(rings)) {
+    throw new jsts.error.ParseError('An array of linear rings expected');
+  }
+  if (rings.length === 0) {
+    return this.geometryFactory.createPolygon(this.geometryFactory
+        .createLinearRing([]), []);
+  }
+  var shell = this.readLinearRing(rings[0]);
+  var holes = [];
+  for (var i = 1; i < rings.length; i++) {
+    holes.push(this.readLinearRing(rings[i]));
+  }
+  return this.geometryFactory.createPolygon(shell, holes);
+};
+
+
+/**
+ * @param {Object}
+ *          object a GeoJSON Feature.
+ * @return {Object} a copy of the feature holding a <code>Geometry</code>.
+ * @private
+ */
+jsts.io.GeoJSONReader.prototype.readFeature = function(object) {
+  if (object.geometry === undefined) {
+    throw new jsts.error.ParseError('Feature is missing its "geometry" member');
+  }
+  if (object.properties !== undefined && object.properties !== null &&
+      (typeof object.properties !== 'object' ||
+          Array.isArray(object.properties))) {
+    throw new jsts.error.ParseError(
+        'The "properties" of a Feature must be an object or null');
+  }
+
+  var feature = {};
+  for (var key in object) {
+    if (object.hasOwnProperty(key)) {
+      feature[key] = object[key];
+    }
+  }
+  feature.geometry = object.geometry === null ? null : this
+      .readGeometry(object.geometry);
+  if (feature.properties === undefined) {
+    feature.properties = null;
+  }
+  return feature;
+};
+
+
+/**
+ * @param {Object}
+ *          object a GeoJSON FeatureCollection.
+ * @return {Object} a copy of the feature collection holding
+ *         <code>Geometry</code> objects.
+ * @private
+ */
+jsts.io.GeoJSONReader.prototype.readFeatureCollection = function(object) {
+  if (!Array.isArray(object.features)) {
+    throw new jsts.error.ParseError(
+        'FeatureCollection must have a "features" array');
+  }
+
+  var featureCollection = {};
+  for (var key in object) {
+    if (object.hasOwnProperty(key)) {
+      featureCollection[key] = object[key];
+    }
+  }
+  featureCollection.features = [];
+  for (var i = 0; i < object.features.length; i++) {
+    if (this.getType(object.features[i]) !== 'Feature') {
+      throw new jsts.error.ParseError(
+          'FeatureCollection members must be of type Feature');
+    }
+    featureCollection.features.push(this.readFeature(object.features[i]));
+  }
+  return featureCollection;
+};
+
+
+/**
+ * The GeoJSON geometry types which have a <code>coordinates</code> member.
+ *
+ * @type {Object}
+ * @private
+ */
+jsts.io.GeoJSONReader.GEOMETRY_TYPES = {
+  'Point': true,
+  'LineString': true,
+  'Polygon': true,
+  'MultiPoint': true,
+  'MultiLineString': true,
+  'MultiPolygon': true
+};
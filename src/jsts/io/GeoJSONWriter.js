@@ -0,0 +1,189 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * Converts {@link Geometry} objects to GeoJSON (RFC 7946) objects.
+ * <p>
+ * A <code>LinearRing</code> has no GeoJSON counterpart and is written as a
+ * <code>LineString</code>. Empty geometries are written with an empty
+ * <code>coordinates</code> array. The Z value of a coordinate is written as
+ * a third ordinate when it is defined.
+ * <p>
+ * Feature and FeatureCollection objects (as returned by
+ * {@link jsts.io.GeoJSONReader}) can be written too; all their members are
+ * kept and only the geometries are converted.
+ *
+ * @constructor
+ */
+jsts.io.GeoJSONWriter = function() {
+};
+
+
+/**
+ * Converts a <code>Geometry</code>, or a Feature or FeatureCollection holding
+ * <code>Geometry</code> objects, to GeoJSON.
+ *
+ * @param {jsts.geom.Geometry|Object}
+ *          object the object to convert.
+ * @return {Object} the GeoJSON object.
+ * @throws {jsts.error.IllegalArgumentError}
+ *           if the object cannot be converted.
+ */
+jsts.io.GeoJSONWriter.prototype.write = function(object) {
+  if (object && object.type === 'Feature') {
+    return this.writeFeature(object);
+  }
+  if (object && object.type === 'FeatureCollection') {
+    var featureCollection = this.copy(object);
+    featureCollection.features = [];
+    for (var i = 0; i < object.features.length; i++) {
+      featureCollection.features.push(this.writeFeature(object.features[i]));
+    }
+    return featureCollection;
+  }
+  return this.writeGeometry(object);
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          geometry the geometry to convert.
+ * @return {Object} the GeoJSON geometry object.
+ * @private
+ */
+jsts.io.GeoJSONWriter.prototype.writeGeometry = function(geometry) {
+  if (geometry instanceof jsts.geom.Point) {
+    var coordinate = geometry.getCoordinate();
+    return {
+      type: 'Point',
+      coordinates: coordinate ? this.writeCoordinate(coordinate) : []
+    };
+  } else if (geometry instanceof jsts.geom.LineString) {
+    return {
+      type: 'LineString',
+      coordinates: this.writeCoordinates(geometry.getCoordinates())
+    };
+  } else if (geometry instanceof jsts.geom.Polygon) {
+    return {
+      type: 'Polygon',
+      coordinates: this.writePolygonCoordinates(geometry)
+    };
+  }
+
+  var coordinates = [];
+  var i;
+  if (geometry instanceof jsts.geom.MultiPoint) {
+    for (i = 0; i < geometry.getNumGeometries(); i++) {
+      coordinates.push(this.writeCoordinate(geometry.getGeometryN(i)
+          .getCoordinate()));
+    }
+    return {type: 'MultiPoint', coordinates: coordinates};
+  } else if (geometry instanceof jsts.geom.MultiLineString) {
+    for (i = 0; i < geometry.getNumGeometries(); i++) {
+      coordinates.push(this.writeCoordinates(geometry.getGeometryN(i)
+          .getCoordinates()));
+    }
+    return {type: 'MultiLineString', coordinates: coordinates};
+  } else if (geometry instanceof jsts.geom.MultiPolygon) {
+    for (i = 0; i < geometry.getNumGeometries(); i++) {
+      coordinates.push(this.writePolygonCoordinates(geometry.getGeometryN(i)));
+    }
+    return {type: 'MultiPolygon', coordinates: coordinates};
+  } else if (geometry instanceof jsts.geom.GeometryCollection) {
+    var geometries = [];
+    for (i = 0; i < geometry.getNumGeometries(); i++) {
+      geometries.push(this.writeGeometry(geometry.getGeometryN(i)));
+    }
+    return {type: 'GeometryCollection', geometries: geometries};
+  }
+  throw new jsts.error.IllegalArgumentError(
+      'Geometry, Feature or FeatureCollection expected');
+};
+
+
+/**
+ * @param {Object}
+ *          feature a Feature holding a <code>Geometry</code> or null.
+ * @return {Object} the GeoJSON Feature.
+ * @private
+ */
+jsts.io.GeoJSONWriter.prototype.writeFeature = function(feature) {
+  var geoJson = this.copy(feature);
+  geoJson.geometry = feature.geometry ? this.writeGeometry(feature.geometry) :
+      null;
+  if (geoJson.properties === undefined) {
+    geoJson.properties = null;
+  }
+  return geoJson;
+};
+
+
+/**
+ * @param {jsts.geom.Coordinate}
+ *          coordinate the coordinate to convert.
+ * @return {number[]} the GeoJSON position.
+ * @private
+ */
+jsts.io.GeoJSONWriter.prototype.writeCoordinate = function(coordinate) {
+  if (isNaN(coordinate.z)) {
+    return [coordinate.x, coordinate.y];
+  }
+  return [coordinate.x, coordinate.y, coordinate.z];
+};
+
+
+/**
+ * @param {jsts.geom.Coordinate[]}
+ *          coordinates the coordinates to convert.
+ * @return {Array} the GeoJSON positions.
+ * @private
+ */
+jsts.io.GeoJSONWriter.prototype.writeCoordinates = function(coordinates) {
+  var positions = [];
+  for (var i = 0; i < coordinates.length; i++) {
+    positions.push(this.writeCoordinate(coordinates[i]));
+  }
+  return positions;
+};
+
+
+/**
+ * @param {jsts.geom.Polygon}
+ *          polygon the polygon to convert.
+ * @return {Array} the positions of the shell followed by those of the holes.
+ * @private
+ */
+jsts.io.GeoJSONWriter.prototype.writePolygonCoordinates = function(polygon) {
+  if (polygon.isEmpty()) {
+    return [];
+  }
+  var rings = [this.writeCoordinates(polygon.getExteriorRing()
+      .getCoordinates())];
+  for (var i = 0; i < polygon.getNumInteriorRing(); i++) {
+    rings.push(this.writeCoordinates(polygon.getInteriorRingN(i)
+        .getCoordinates()));
+  }
+  return rings;
+};
+
+
+/**
+ * @param {Object}
+ *          object the object to copy.
+ * @return {Object} a shallow copy of the own members of the object.
+ * @private
+ */
+jsts.io.GeoJSONWriter.prototype.copy = function(object) {
+  var copy = {};
+  for (var key in object) {
+    if (object.hasOwnProperty(key)) {
+      copy[key] = object[key];
+    }
+  }
+  return copy;
+};
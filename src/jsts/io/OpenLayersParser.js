@@ -0,0 +1,230 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * Converts geometries between OpenLayers and JSTS.
+ * <p>
+ * JSTS does not depend on OpenLayers. This adapter is optional and requires
+ * OpenLayers to be loaded only when it is used.
+ *
+ * @param {jsts.geom.GeometryFactory}
+ *          [geometryFactory] the factory used to create JSTS geometries.
+ * @constructor
+ */
+jsts.io.OpenLayersParser = function(geometryFactory) {
+  this.geometryFactory = geometryFactory || new jsts.geom.GeometryFactory();
+};
+
+
+/**
+ * Converts an OpenLayers geometry to a {@link Geometry}.
+ *
+ * @param {OpenLayers.Geometry}
+ *          geometry an OpenLayers geometry.
+ * @return {jsts.geom.Geometry} the equivalent JSTS geometry.
+ */
+jsts.io.OpenLayersParser.prototype.read = function(geometry) {
+  if (geometry.CLASS_NAME === 'OpenLayers.Geometry.Point') {
+    return this.readPoint(geometry);
+  } else if (geometry.CLASS_NAME === 'OpenLayers.Geometry.LineString') {
+    return this.readLineString(geometry);
+  } else if (geometry.CLASS_NAME === 'OpenLayers.Geometry.LinearRing') {
+    return this.readLinearRing(geometry);
+  } else if (geometry.CLASS_NAME === 'OpenLayers.Geometry.Polygon') {
+    return this.readPolygon(geometry);
+  } else if (geometry.CLASS_NAME === 'OpenLayers.Geometry.MultiPoint') {
+    return this.readMultiPoint(geometry);
+  } else if (geometry.CLASS_NAME === 'OpenLayers.Geometry.MultiLineString') {
+    return this.readMultiLineString(geometry);
+  } else if (geometry.CLASS_NAME === 'OpenLayers.Geometry.MultiPolygon') {
+    return this.readMultiPolygon(geometry);
+  } else if (geometry.CLASS_NAME === 'OpenLayers.Geometry.Collection') {
+    return this.readGeometryCollection(geometry);
+  }
+  throw new jsts.error.IllegalArgumentError('Unsupported OpenLayers geometry');
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readCoordinates = function(points) {
+  var coordinates = [];
+  for (var i = 0; i < points.length; i++) {
+    coordinates.push(new jsts.geom.Coordinate(points[i].x, points[i].y));
+  }
+  return coordinates;
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readGeometries = function(components) {
+  var geometries = [];
+  for (var i = 0; i < components.length; i++) {
+    geometries.push(this.read(components[i]));
+  }
+  return geometries;
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readPoint = function(point) {
+  return this.geometryFactory.createPoint(new jsts.geom.Coordinate(point.x,
+      point.y));
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readLineString = function(lineString) {
+  return this.geometryFactory.createLineString(this
+      .readCoordinates(lineString.components));
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readLinearRing = function(linearRing) {
+  return this.geometryFactory.createLinearRing(this
+      .readCoordinates(linearRing.components));
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readPolygon = function(polygon) {
+  var rings = this.readGeometries(polygon.components);
+  return this.geometryFactory.createPolygon(rings[0], rings.slice(1));
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readMultiPoint = function(multiPoint) {
+  return this.geometryFactory.createMultiPoint(this
+      .readGeometries(multiPoint.components));
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readMultiLineString = function(
+    multiLineString) {
+  return this.geometryFactory.createMultiLineString(this
+      .readGeometries(multiLineString.components));
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readMultiPolygon = function(multiPolygon) {
+  return this.geometryFactory.createMultiPolygon(this
+      .readGeometries(multiPolygon.components));
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.readGeometryCollection = function(
+    collection) {
+  return this.geometryFactory.createGeometryCollection(this
+      .readGeometries(collection.components));
+};
+
+
+/**
+ * Converts a {@link Geometry} to an OpenLayers geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geometry a JSTS geometry.
+ * @return {OpenLayers.Geometry} the equivalent OpenLayers geometry.
+ */
+jsts.io.OpenLayersParser.prototype.write = function(geometry) {
+  if (geometry instanceof jsts.geom.Point) {
+    return this.writePoint(geometry.getCoordinate());
+  } else if (geometry instanceof jsts.geom.LinearRing) {
+    return new OpenLayers.Geometry.LinearRing(this.writePoints(geometry
+        .getCoordinates()));
+  } else if (geometry instanceof jsts.geom.LineString) {
+    return new OpenLayers.Geometry.LineString(this.writePoints(geometry
+        .getCoordinates()));
+  } else if (geometry instanceof jsts.geom.Polygon) {
+    return this.writePolygon(geometry);
+  } else if (geometry instanceof jsts.geom.MultiPoint) {
+    return new OpenLayers.Geometry.MultiPoint(this.writeGeometries(geometry));
+  } else if (geometry instanceof jsts.geom.MultiLineString) {
+    return new OpenLayers.Geometry.MultiLineString(this
+        .writeGeometries(geometry));
+  } else if (geometry instanceof jsts.geom.MultiPolygon) {
+    return new OpenLayers.Geometry.MultiPolygon(this.writeGeometries(geometry));
+  } else if (geometry instanceof jsts.geom.GeometryCollection) {
+    return new OpenLayers.Geometry.Collection(this.writeGeometries(geometry));
+  }
+  throw new jsts.error.IllegalArgumentError('Unsupported geometry');
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.writePoint = function(coordinate) {
+  if (!coordinate) {
+    return new OpenLayers.Geometry.Point();
+  }
+  return new OpenLayers.Geometry.Point(coordinate.x, coordinate.y);
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.writePoints = function(coordinates) {
+  var points = [];
+  for (var i = 0; i < coordinates.length; i++) {
+    points.push(this.writePoint(coordinates[i]));
+  }
+  return points;
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.writePolygon = function(polygon) {
+  var rings = [];
+  if (!polygon.isEmpty()) {
+    rings.push(this.write(polygon.getExteriorRing()));
+    for (var i = 0; i < polygon.getNumInteriorRing(); i++) {
+      rings.push(this.write(polygon.getInteriorRingN(i)));
+    }
+  }
+  return new OpenLayers.Geometry.Polygon(rings);
+};
+
+
+/**
+ * @private
+ */
+jsts.io.OpenLayersParser.prototype.writeGeometries = function(collection) {
+  var components = [];
+  for (var i = 0; i < collection.getNumGeometries(); i++) {
+    components.push(this.write(collection.getGeometryN(i)));
+  }
+  return components;
+};
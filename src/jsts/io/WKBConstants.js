@@ -0,0 +1,109 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * Constant values used by the WKB format.
+ *
+ * @constructor
+ */
+jsts.io.WKBConstants = function() {
+};
+
+
+/**
+ * Byte order value for big-endian (XDR) encoding.
+ *
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.wkbXDR = 0;
+
+
+/**
+ * Byte order value for little-endian (NDR) encoding.
+ *
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.wkbNDR = 1;
+
+
+/**
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.wkbPoint = 1;
+
+
+/**
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.wkbLineString = 2;
+
+
+/**
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.wkbPolygon = 3;
+
+
+/**
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.wkbMultiPoint = 4;
+
+
+/**
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.wkbMultiLineString = 5;
+
+
+/**
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.wkbMultiPolygon = 6;
+
+
+/**
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.wkbGeometryCollection = 7;
+
+
+/**
+ * EWKB flag set in the geometry type when coordinates have a Z value.
+ *
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.ewkbIncludeZ = 0x80000000;
+
+
+/**
+ * EWKB flag set in the geometry type when coordinates have an M value.
+ *
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.ewkbIncludeM = 0x40000000;
+
+
+/**
+ * EWKB flag set in the geometry type when an SRID follows the type.
+ *
+ * @const
+ * @type {number}
+ */
+jsts.io.WKBConstants.ewkbIncludeSRID = 0x20000000;
@@ -0,0 +1,354 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/io/WKBConstants.js
+ */
+
+(function() {
+
+  var WKBConstants = jsts.io.WKBConstants;
+
+
+  /**
+   * Reads numbers from a DataView, keeping track of the position and of the
+   * current byte order.
+   *
+   * @param {DataView}
+   *          dataView the bytes to read.
+   * @constructor
+   * @private
+   */
+  var ByteInStream = function(dataView) {
+    this.dataView = dataView;
+    this.offset = 0;
+    this.littleEndian = false;
+  };
+
+
+  /**
+   * @param {number}
+   *          size the number of bytes about to be read.
+   * @private
+   */
+  ByteInStream.prototype.ensure = function(size) {
+    if (this.offset + size > this.dataView.byteLength) {
+      throw new jsts.error.ParseError('Unexpected end of WKB', this.offset);
+    }
+  };
+
+
+  /**
+   * @return {number} the next byte.
+   */
+  ByteInStream.prototype.readByte = function() {
+    this.ensure(1);
+    var value = this.dataView.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  };
+
+
+  /**
+   * @return {number} the next unsigned 32-bit integer.
+   */
+  ByteInStream.prototype.readInt = function() {
+    this.ensure(4);
+    var value = this.dataView.getUint32(this.offset, this.littleEndian);
+    this.offset += 4;
+    return value;
+  };
+
+
+  /**
+   * @return {number} the next 64-bit floating point number.
+   */
+  ByteInStream.prototype.readDouble = function() {
+    this.ensure(8);
+    var value = this.dataView.getFloat64(this.offset, this.littleEndian);
+    this.offset += 8;
+    return value;
+  };
+
+
+
+  /**
+   * Reads a {@link Geometry} from a byte stream in Well-Known Binary format.
+   * <p>
+   * Supports both ISO WKB and the extended WKB format used by PostGIS (EWKB):
+   * <ul>
+   * <li>both byte orders, which may vary between nested geometries;</li>
+   * <li>Z and M dimensions, given either by the EWKB flags or by the ISO type
+   * codes (1000, 2000 and 3000 offsets). Z values are kept as the Z of the
+   * coordinates, M values are read and discarded;</li>
+   * <li>the EWKB SRID flag. The SRID is set on the geometry that declares it.</li>
+   * </ul>
+   * A <code>POINT</code> with NaN ordinates is read as an empty point.
+   * <p>
+   * The input is an <code>ArrayBuffer</code>, a <code>DataView</code>, a
+   * typed array or a string of hexadecimal digits. Malformed input causes a
+   * {@link jsts.error.ParseError}.
+   *
+   * @param {jsts.geom.GeometryFactory}
+   *          [geometryFactory] the factory used to create geometries.
+   * @see WKBWriter
+   * @constructor
+   */
+  jsts.io.WKBReader = function(geometryFactory) {
+    this.geometryFactory = geometryFactory || new jsts.geom.GeometryFactory();
+    this.precisionModel = this.geometryFactory.getPrecisionModel();
+  };
+
+
+  /**
+   * Converts a hexadecimal string to an <code>ArrayBuffer</code>.
+   *
+   * @param {string}
+   *          hex a string of hexadecimal digits.
+   * @return {ArrayBuffer} the bytes.
+   * @throws {jsts.error.ParseError}
+   *           if the string is not a valid hexadecimal encoding.
+   */
+  jsts.io.WKBReader.hexToBytes = function(hex) {
+    if (hex.length % 2 !== 0) {
+      throw new jsts.error.ParseError('Hex string has odd length');
+    }
+    var bytes = new Uint8Array(hex.length / 2);
+    for (var i = 0; i < bytes.length; i++) {
+      var digits = hex.substring(2 * i, 2 * i + 2);
+      if (!/^[0-9a-fA-F]{2}$/.test(digits)) {
+        throw new jsts.error.ParseError('Invalid hex digits "' + digits + '"',
+            2 * i);
+      }
+      bytes[i] = parseInt(digits, 16);
+    }
+    return bytes.buffer;
+  };
+
+
+  /**
+   * Reads a single {@link Geometry} in WKB format.
+   *
+   * @param {ArrayBuffer|DataView|string}
+   *          wkb the WKB bytes, or their hexadecimal encoding.
+   * @return {jsts.geom.Geometry} the geometry read.
+   * @throws {jsts.error.ParseError}
+   *           if the WKB is malformed.
+   */
+  jsts.io.WKBReader.prototype.read = function(wkb) {
+    var dataView;
+    if (typeof wkb === 'string') {
+      dataView = new DataView(jsts.io.WKBReader.hexToBytes(wkb));
+    } else if (wkb instanceof DataView) {
+      dataView = wkb;
+    } else if (wkb instanceof ArrayBuffer) {
+      dataView = new DataView(wkb);
+    } else if (wkb && wkb.buffer instanceof ArrayBuffer) {
+      dataView = new DataView(wkb.buffer, wkb.byteOffset, wkb.byteLength);
+    } else {
+      throw new jsts.error.IllegalArgumentError(
+          'ArrayBuffer, DataView or hex string expected');
+    }
+
+    return this.readGeometry(new ByteInStream(dataView));
+  };
+
+
+  /**
+   * @param {ByteInStream}
+   *          stream the stream to read from.
+   * @return {jsts.geom.Geometry} the geometry read.
+   * @private
+   */
+  jsts.io.WKBReader.prototype.readGeometry = function(stream) {
+    var byteOrder = stream.readByte();
+    if (byteOrder === WKBConstants.wkbNDR) {
+      stream.littleEndian = true;
+    } else if (byteOrder === WKBConstants.wkbXDR) {
+      stream.littleEndian = false;
+    } else {
+      throw new jsts.error.ParseError('Unknown byte order ' + byteOrder,
+          stream.offset - 1);
+    }
+
+    var typeInt = stream.readInt();
+    var hasZ = (typeInt & WKBConstants.ewkbIncludeZ) !== 0;
+    var hasM = (typeInt & WKBConstants.ewkbIncludeM) !== 0;
+    var hasSRID = (typeInt & WKBConstants.ewkbIncludeSRID) !== 0;
+    var geometryType = typeInt & 0xffff;
+    var isoDimension = Math.floor(geometryType / 1000);
+    geometryType = geometryType % 1000;
+    hasZ = hasZ || isoDimension === 1 || isoDimension === 3;
+    hasM = hasM || isoDimension === 2 || isoDimension === 3;
+
+    var SRID = hasSRID ? stream.readInt() | 0 : 0;
+    var ordinates = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+
+    var geometry;
+    switch (geometryType) {
+      case WKBConstants.wkbPoint:
+        geometry = this.readPoint(stream, ordinates, hasZ);
+        break;
+      case WKBConstants.wkbLineString:
+        geometry = this.geometryFactory.createLineString(this
+            .readCoordinates(stream, ordinates, hasZ));
+        break;
+      case WKBConstants.wkbPolygon:
+        geometry = this.readPolygon(stream, ordinates, hasZ);
+        break;
+      case WKBConstants.wkbMultiPoint:
+        geometry = this.geometryFactory.createMultiPoint(this.readGeometries(
+            stream, jsts.geom.Point));
+        break;
+      case WKBConstants.wkbMultiLineString:
+        geometry = this.geometryFactory.createMultiLineString(this
+            .readGeometries(stream, jsts.geom.LineString));
+        break;
+      case WKBConstants.wkbMultiPolygon:
+        geometry = this.geometryFactory.createMultiPolygon(this.readGeometries(
+            stream, jsts.geom.Polygon));
+        break;
+      case WKBConstants.wkbGeometryCollection:
+        geometry = this.geometryFactory.createGeometryCollection(this
+            .readGeometries(stream, null));
+        break;
+      default:
+        throw new jsts.error.ParseError('Unknown WKB type ' + geometryType);
+    }
+
+    if (hasSRID) {
+      geometry.setSRID(SRID);
+    }
+    return geometry;
+  };
+
+
+  /**
+   * @param {ByteInStream}
+   *          stream the stream to read from.
+   * @param {number}
+   *          ordinates the number of ordinates of each coordinate.
+   * @param {boolean}
+   *          hasZ whether the third ordinate is a Z value.
+   * @return {jsts.geom.Coordinate} the coordinate read.
+   * @private
+   */
+  jsts.io.WKBReader.prototype.readCoordinate = function(stream, ordinates,
+      hasZ) {
+    var coordinate = new jsts.geom.Coordinate(stream.readDouble(), stream
+        .readDouble());
+    if (hasZ) {
+      coordinate.z = stream.readDouble();
+    }
+    for (var i = hasZ ? 3 : 2; i < ordinates; i++) {
+      stream.readDouble();
+    }
+    this.precisionModel.makePrecise(coordinate);
+    return coordinate;
+  };
+
+
+  /**
+   * @param {ByteInStream}
+   *          stream the stream to read from.
+   * @param {number}
+   *          ordinates the number of ordinates of each coordinate.
+   * @param {boolean}
+   *          hasZ whether the third ordinate is a Z value.
+   * @return {jsts.geom.Coordinate[]} the coordinates read.
+   * @private
+   */
+  jsts.io.WKBReader.prototype.readCoordinates = function(stream, ordinates,
+      hasZ) {
+    var size = stream.readInt();
+    stream.ensure(size * ordinates * 8);
+    var coordinates = [];
+    for (var i = 0; i < size; i++) {
+      coordinates.push(this.readCoordinate(stream, ordinates, hasZ));
+    }
+    return coordinates;
+  };
+
+
+  /**
+   * @param {ByteInStream}
+   *          stream the stream to read from.
+   * @param {number}
+   *          ordinates the number of ordinates of each coordinate.
+   * @param {boolean}
+   *          hasZ whether the third ordinate is a Z value.
+   * @return {jsts.geom.Point} the point read.
+   * @private
+   */
+  jsts.io.WKBReader.prototype.readPoint = function(stream, ordinates, hasZ) {
+    var coordinate = this.readCoordinate(stream, ordinates, hasZ);
+    if (isNaN(coordinate.x) && isNaN(coordinate.y)) {
+      return this.geometryFactory.createPoint(null);
+    }
+    return this.geometryFactory.createPoint(coordinate);
+  };
+
+
+  /**
+   * @param {ByteInStream}
+   *          stream the stream to read from.
+   * @param {number}
+   *          ordinates the number of ordinates of each coordinate.
+   * @param {boolean}
+   *          hasZ whether the third ordinate is a Z value.
+   * @return {jsts.geom.Polygon} the polygon read.
+   * @private
+   */
+  jsts.io.WKBReader.prototype.readPolygon = function(stream, ordinates, hasZ) {
+    var numRings = stream.readInt();
+    if (numRings === 0) {
+      return this.geometryFactory.createPolygon(this.geometryFactory
+          .createLinearRing([]), []);
+    }
+
+    var shell = null;
+    var holes = [];
+    for (var i = 0; i < numRings; i++) {
+      var ring = this.geometryFactory.createLinearRing(this.readCoordinates(
+          stream, ordinates, hasZ));
+      if (i === 0) {
+        shell = ring;
+      } else {
+        holes.push(ring);
+      }
+    }
+    return this.geometryFactory.createPolygon(shell, holes);
+  };
+
+
+  /**
+   * Reads the members of a collection, each of which starts with its own byte
+   * order and type.
+   *
+   * @param {ByteInStream}
+   *          stream the stream to read from.
+   * @param {function}
+   *          type the class the members must be instances of, or null to
+   *          accept any geometry.
+   * @return {jsts.geom.Geometry[]} the members read.
+   * @private
+   */
+  jsts.io.WKBReader.prototype.readGeometries = function(stream, type) {
+    var numGeometries = stream.readInt();
+    var geometries = [];
+    for (var i = 0; i < numGeometries; i++) {
+      var offset = stream.offset;
+      var geometry = this.readGeometry(stream);
+      if (type && !(geometry instanceof type)) {
+        throw new jsts.error.ParseError(
+            'Invalid geometry type encountered in collection', offset);
+      }
+      geometries.push(geometry);
+    }
+    return geometries;
+  };
+
+})();
@@ -0,0 +1,314 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/io/WKBConstants.js
+ */
+
+(function() {
+
+  var WKBConstants = jsts.io.WKBConstants;
+
+
+  /**
+   * Collects bytes written in a given byte order.
+   *
+   * @param {boolean}
+   *          littleEndian whether numbers are written little-endian.
+   * @constructor
+   * @private
+   */
+  var ByteOutStream = function(littleEndian) {
+    this.littleEndian = littleEndian;
+    this.bytes = [];
+    this.buffer = new DataView(new ArrayBuffer(8));
+  };
+
+
+  /**
+   * @param {number}
+   *          value the byte to write.
+   */
+  ByteOutStream.prototype.writeByte = function(value) {
+    this.bytes.push(value);
+  };
+
+
+  /**
+   * @param {number}
+   *          value the unsigned 32-bit integer to write.
+   */
+  ByteOutStream.prototype.writeInt = function(value) {
+    this.buffer.setUint32(0, value >>> 0, this.littleEndian);
+    this.append(4);
+  };
+
+
+  /**
+   * @param {number}
+   *          value the 64-bit floating point number to write.
+   */
+  ByteOutStream.prototype.writeDouble = function(value) {
+    this.buffer.setFloat64(0, value, this.littleEndian);
+    this.append(8);
+  };
+
+
+  /**
+   * @param {number}
+   *          size the number of bytes of the buffer to append.
+   * @private
+   */
+  ByteOutStream.prototype.append = function(size) {
+    for (var i = 0; i < size; i++) {
+      this.bytes.push(this.buffer.getUint8(i));
+    }
+  };
+
+
+  /**
+   * @return {ArrayBuffer} the bytes written.
+   */
+  ByteOutStream.prototype.toArrayBuffer = function() {
+    return new Uint8Array(this.bytes).buffer;
+  };
+
+
+
+  /**
+   * Writes a {@link Geometry} into Well-Known Binary format.
+   * <p>
+   * The WKB format is specified in the OGC Simple Features for SQL
+   * specification. This writer also writes the extended WKB format used by
+   * PostGIS (EWKB): when the output dimension is 3 the Z flag is set in the
+   * geometry type and Z values are written, and when the SRID is included the
+   * SRID flag is set and the SRID of the geometry follows the type of the
+   * outermost geometry.
+   * <p>
+   * WKB has no type for {@link LinearRing}s, they are written as
+   * <code>LineString</code>s. Empty points are written with NaN ordinates.
+   *
+   * @param {number}
+   *          [outputDimension] the coordinate dimension to output (2 or 3),
+   *          defaults to 2.
+   * @param {number}
+   *          [byteOrder] the byte order to write,
+   *          {@link jsts.io.WKBConstants.wkbXDR} (the default) or
+   *          {@link jsts.io.WKBConstants.wkbNDR}.
+   * @param {boolean}
+   *          [includeSRID] whether the SRID is written.
+   * @see WKBReader
+   * @constructor
+   */
+  jsts.io.WKBWriter = function(outputDimension, byteOrder, includeSRID) {
+    this.outputDimension = outputDimension || 2;
+    if (this.outputDimension < 2 || this.outputDimension > 3) {
+      throw new jsts.error.IllegalArgumentError(
+          'Output dimension must be 2 or 3');
+    }
+    this.byteOrder = byteOrder || WKBConstants.wkbXDR;
+    if (this.byteOrder !== WKBConstants.wkbXDR &&
+        this.byteOrder !== WKBConstants.wkbNDR) {
+      throw new jsts.error.IllegalArgumentError('Unknown byte order');
+    }
+    this.includeSRID = !!includeSRID;
+  };
+
+
+  /**
+   * Converts bytes to a string of (upper case) hexadecimal digits.
+   *
+   * @param {ArrayBuffer}
+   *          bytes the bytes to convert.
+   * @return {string} the hexadecimal encoding of the bytes.
+   */
+  jsts.io.WKBWriter.toHex = function(bytes) {
+    var view = new Uint8Array(bytes);
+    var hex = '';
+    for (var i = 0; i < view.length; i++) {
+      hex += (view[i] < 16 ? '0' : '') + view[i].toString(16);
+    }
+    return hex.toUpperCase();
+  };
+
+
+  /**
+   * Writes a {@link Geometry} into a byte array.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geometry the geometry to write.
+   * @return {ArrayBuffer} the WKB bytes.
+   */
+  jsts.io.WKBWriter.prototype.write = function(geometry) {
+    var stream = new ByteOutStream(this.byteOrder === WKBConstants.wkbNDR);
+    this.writeGeometry(geometry, stream, this.includeSRID);
+    return stream.toArrayBuffer();
+  };
+
+
+  /**
+   * Writes a {@link Geometry} into a string of hexadecimal digits, as used by
+   * PostGIS.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geometry the geometry to write.
+   * @return {string} the hexadecimal encoding of the WKB.
+   */
+  jsts.io.WKBWriter.prototype.writeHex = function(geometry) {
+    return jsts.io.WKBWriter.toHex(this.write(geometry));
+  };
+
+
+  /**
+   * @param {jsts.geom.Geometry}
+   *          geometry the geometry to write.
+   * @param {ByteOutStream}
+   *          stream the stream to write to.
+   * @param {boolean}
+   *          writeSRID whether the SRID of the geometry is written.
+   * @private
+   */
+  jsts.io.WKBWriter.prototype.writeGeometry = function(geometry, stream,
+      writeSRID) {
+    if (geometry instanceof jsts.geom.Point) {
+      this.writeGeometryType(WKBConstants.wkbPoint, geometry, stream,
+          writeSRID);
+      var coordinate = geometry.getCoordinate();
+      if (coordinate) {
+        this.writeCoordinate(coordinate, stream);
+      } else {
+        this.writeCoordinate(new jsts.geom.Coordinate(NaN, NaN), stream);
+      }
+    } else if (geometry instanceof jsts.geom.LineString) {
+      this.writeGeometryType(WKBConstants.wkbLineString, geometry, stream,
+          writeSRID);
+      this.writeCoordinates(geometry.getCoordinates(), stream);
+    } else if (geometry instanceof jsts.geom.Polygon) {
+      this.writeGeometryType(WKBConstants.wkbPolygon, geometry, stream,
+          writeSRID);
+      this.writePolygonRings(geometry, stream);
+    } else if (geometry instanceof jsts.geom.MultiPoint) {
+      this.writeGeometryCollection(WKBConstants.wkbMultiPoint, geometry,
+          stream, writeSRID);
+    } else if (geometry instanceof jsts.geom.MultiLineString) {
+      this.writeGeometryCollection(WKBConstants.wkbMultiLineString, geometry,
+          stream, writeSRID);
+    } else if (geometry instanceof jsts.geom.MultiPolygon) {
+      this.writeGeometryCollection(WKBConstants.wkbMultiPolygon, geometry,
+          stream, writeSRID);
+    } else if (geometry instanceof jsts.geom.GeometryCollection) {
+      this.writeGeometryCollection(WKBConstants.wkbGeometryCollection,
+          geometry, stream, writeSRID);
+    } else {
+      throw new jsts.error.IllegalArgumentError('Unknown Geometry type');
+    }
+  };
+
+
+  /**
+   * Writes the byte order, the type (with the EWKB flags) and, if requested,
+   * the SRID.
+   *
+   * @param {number}
+   *          geometryType the WKB geometry type.
+   * @param {jsts.geom.Geometry}
+   *          geometry the geometry being written.
+   * @param {ByteOutStream}
+   *          stream the stream to write to.
+   * @param {boolean}
+   *          writeSRID whether the SRID of the geometry is written.
+   * @private
+   */
+  jsts.io.WKBWriter.prototype.writeGeometryType = function(geometryType,
+      geometry, stream, writeSRID) {
+    stream.writeByte(this.byteOrder);
+    var typeInt = geometryType;
+    if (this.outputDimension === 3) {
+      typeInt |= WKBConstants.ewkbIncludeZ;
+    }
+    if (writeSRID) {
+      typeInt |= WKBConstants.ewkbIncludeSRID;
+    }
+    stream.writeInt(typeInt);
+    if (writeSRID) {
+      stream.writeInt(geometry.getSRID());
+    }
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate}
+   *          coordinate the coordinate to write.
+   * @param {ByteOutStream}
+   *          stream the stream to write to.
+   * @private
+   */
+  jsts.io.WKBWriter.prototype.writeCoordinate = function(coordinate, stream) {
+    stream.writeDouble(coordinate.x);
+    stream.writeDouble(coordinate.y);
+    if (this.outputDimension === 3) {
+      stream.writeDouble(coordinate.z);
+    }
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate[]}
+   *          coordinates the coordinates to write, preceded by their number.
+   * @param {ByteOutStream}
+   *          stream the stream to write to.
+   * @private
+   */
+  jsts.io.WKBWriter.prototype.writeCoordinates = function(coordinates, stream) {
+    stream.writeInt(coordinates.length);
+    for (var i = 0; i < coordinates.length; i++) {
+      this.writeCoordinate(coordinates[i], stream);
+    }
+  };
+
+
+  /**
+   * @param {jsts.geom.Polygon}
+   *          polygon the polygon whose rings are written.
+   * @param {ByteOutStream}
+   *          stream the stream to write to.
+   * @private
+   */
+  jsts.io.WKBWriter.prototype.writePolygonRings = function(polygon, stream) {
+    if (polygon.isEmpty()) {
+      stream.writeInt(0);
+      return;
+    }
+    stream.writeInt(polygon.getNumInteriorRing() + 1);
+    this.writeCoordinates(polygon.getExteriorRing().getCoordinates(), stream);
+    for (var i = 0; i < polygon.getNumInteriorRing(); i++) {
+      this.writeCoordinates(polygon.getInteriorRingN(i).getCoordinates(),
+          stream);
+    }
+  };
+
+
+  /**
+   * @param {number}
+   *          geometryType the WKB geometry type.
+   * @param {jsts.geom.GeometryCollection}
+   *          collection the collection to write.
+   * @param {ByteOutStream}
+   *          stream the stream to write to.
+   * @param {boolean}
+   *          writeSRID whether the SRID of the collection is written.
+   * @private
+   */
+  jsts.io.WKBWriter.prototype.writeGeometryCollection = function(geometryType,
+      collection, stream, writeSRID) {
+    this.writeGeometryType(geometryType, collection, stream, writeSRID);
+    stream.writeInt(collection.getNumGeometries());
+    for (var i = 0; i < collection.getNumGeometries(); i++) {
+      this.writeGeometry(collection.getGeometryN(i), stream, false);
+    }
+  };
+
+})();
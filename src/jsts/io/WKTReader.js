@@ -4,109 +4,587 @@
  * See /license.txt for the full text of the license.
  */
 
+(function() {
 
+  /**
+   * Splits a WKT string into words, numbers and the delimiters
+   * <code>(</code>, <code>)</code> and <code>,</code>.
+   *
+   * @param {string}
+   *          wkt the text to tokenize.
+   * @constructor
+   * @private
+   */
+  var Tokenizer = function(wkt) {
+    this.wkt = wkt;
+    this.position = 0;
+    this.lookahead = null;
+  };
+
+  Tokenizer.WORD = 'word';
+  Tokenizer.NUMBER = 'number';
+  Tokenizer.DELIMITER = 'delimiter';
+  Tokenizer.EOF = 'end of input';
+
+  /**
+   * A number must be followed by whitespace, a comma, a closing bracket or the
+   * end of the input, so that e.g. <code>1.2.3</code> and <code>1-2</code> are
+   * rejected rather than read as two numbers.
+   */
+  Tokenizer.NUMBER_PATTERN = /[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?(?=[\s,)]|$)/g;
+
+
+  /**
+   * @return {Object} the next token without consuming it.
+   */
+  Tokenizer.prototype.peek = function() {
+    if (this.lookahead === null) {
+      this.lookahead = this.scan();
+    }
+    return this.lookahead;
+  };
+
+
+  /**
+   * @return {Object} the next token.
+   */
+  Tokenizer.prototype.next = function() {
+    var token = this.peek();
+    this.lookahead = null;
+    return token;
+  };
+
+
+  /**
+   * @return {Object} a token with a type, a value and the position in the
+   *         input where it starts.
+   * @private
+   */
+  Tokenizer.prototype.scan = function() {
+    var wkt = this.wkt;
+
+    while (this.position < wkt.length && /\s/.test(wkt.charAt(this.position))) {
+      this.position++;
+    }
+
+    var start = this.position;
+    if (start >= wkt.length) {
+      return {type: Tokenizer.EOF, value: null, position: start};
+    }
+
+    var c = wkt.charAt(start);
+    if (c === '(' || c === ')' || c === ',') {
+      this.position++;
+      return {type: Tokenizer.DELIMITER, value: c, position: start};
+    }
+
+    if (/[A-Za-z]/.test(c)) {
+      while (this.position < wkt.length &&
+          /[A-Za-z0-9_]/.test(wkt.charAt(this.position))) {
+        this.position++;
+      }
+      return {
+        type: Tokenizer.WORD,
+        value: wkt.substring(start, this.position),
+        position: start
+      };
+    }
+
+    var pattern = Tokenizer.NUMBER_PATTERN;
+    pattern.lastIndex = start;
+    var match = pattern.exec(wkt);
+    if (match !== null && match.index === start) {
+      this.position = start + match[0].length;
+      return {
+        type: Tokenizer.NUMBER,
+        value: parseFloat(match[0]),
+        position: start
+      };
+    }
+
+    if (/[-+.0-9]/.test(c)) {
+      throw new jsts.error.ParseError('Malformed number', start);
+    }
+    throw new jsts.error.ParseError('Unexpected character \'' + c + '\'',
+        start);
+  };
+
+
+
+  /**
+   * Converts a geometry in Well-Known Text format to a {@link Geometry}.
+   * <p>
+   * <code>WKTReader</code> supports extracting <code>Geometry</code> objects
+   * from {@link String}s. This allows it to function as a parser to read
+   * <code>Geometry</code> objects from text blocks embedded in other data
+   * formats (e.g. XML).
+   * <p>
+   * A <code>WKTReader</code> is parameterized by a
+   * <code>GeometryFactory</code>, to allow it to create <code>Geometry</code>
+   * objects of the appropriate implementation. In particular, the
+   * <code>GeometryFactory</code> determines the <code>PrecisionModel</code>
+   * that is used.
+   * <p>
+   * The reader accepts all the OGC geometry types as well as
+   * <code>LINEARRING</code>. <code>EMPTY</code> may be used at any level of
+   * nesting. The dimension tags <code>Z</code>, <code>M</code> and
+   * <code>ZM</code> are recognized; Z values are kept on the coordinates and
+   * M values are discarded. Numbers may be given in scientific notation.
+   * <p>
+   * Malformed input causes a {@link jsts.error.ParseError} reporting the
+   * offset in the text at which parsing failed.
+   *
+   * @param {jsts.geom.GeometryFactory}
+   *          [geometryFactory] the factory used to create geometries.
+   * @constructor
+   */
+  jsts.io.WKTReader = function(geometryFactory) {
+    this.geometryFactory = geometryFactory || new jsts.geom.GeometryFactory();
+    this.precisionModel = this.geometryFactory.getPrecisionModel();
+  };
+
+
+  /**
+   * @type {Tokenizer}
+   * @private
+   */
+  jsts.io.WKTReader.prototype.tokenizer = null;
+
+
+  /**
+   * Reads a Well-Known Text representation of a {@link Geometry}. The text
+   * must contain a single geometry; any text following it is an error.
+   *
+   * @param {string}
+   *          wkt a <Geometry Tagged Text> string (see the OpenGIS Simple
+   *          Features Specification).
+   * @return {jsts.geom.Geometry} a <code>Geometry</code> read from
+   *         <code>string</code>, or undefined if the text is missing or
+   *         blank.
+   * @throws {jsts.error.ParseError}
+   *           if the text is not valid WKT.
+   */
+  jsts.io.WKTReader.prototype.read = function(wkt) {
+    if (wkt === undefined || wkt === null || /^\s*$/.test(wkt)) {
+      return undefined;
+    }
+    this.tokenizer = new Tokenizer(wkt);
+    var geometry = this.readGeometryTaggedText();
+    var token = this.tokenizer.peek();
+    if (token.type !== Tokenizer.EOF) {
+      this.parseError(Tokenizer.EOF, token);
+    }
+    return geometry;
+  };
+
+
+  /**
+   * @param {string}
+   *          expected a description of what was expected.
+   * @param {Object}
+   *          token the token that was found instead.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.parseError = function(expected, token) {
+    var found = token.type === Tokenizer.EOF ? token.type : '\'' +
+        token.value + '\'';
+    throw new jsts.error.ParseError('Expected ' + expected + ' but found ' +
+        found, token.position);
+  };
+
+
+  /**
+   * @return {string} the next word in upper case.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.getNextWord = function() {
+    var token = this.tokenizer.next();
+    if (token.type !== Tokenizer.WORD) {
+      this.parseError('word', token);
+    }
+    return token.value.toUpperCase();
+  };
+
+
+  /**
+   * @param {Object}
+   *          token a token.
+   * @return {boolean} true if the token is the word NaN.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.isNaNSymbol = function(token) {
+    return token.type === Tokenizer.WORD &&
+        token.value.toUpperCase() === jsts.io.WKTReader.NAN_SYMBOL;
+  };
+
+
+  /**
+   * @return {number} the next number.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.getNextNumber = function() {
+    var token = this.tokenizer.next();
+    if (this.isNaNSymbol(token)) {
+      return NaN;
+    }
+    if (token.type !== Tokenizer.NUMBER) {
+      this.parseError('number', token);
+    }
+    return token.value;
+  };
+
+
+  /**
+   * @return {boolean} true if the next token is a number.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.isNumberNext = function() {
+    var token = this.tokenizer.peek();
+    return token.type === Tokenizer.NUMBER || this.isNaNSymbol(token);
+  };
+
+
+  /**
+   * @return {string} 'EMPTY' or '('.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.getNextEmptyOrOpener = function() {
+    var token = this.tokenizer.next();
+    if (token.type === Tokenizer.WORD &&
+        token.value.toUpperCase() === jsts.io.WKTReader.EMPTY) {
+      return jsts.io.WKTReader.EMPTY;
+    }
+    if (token.type === Tokenizer.DELIMITER && token.value === '(') {
+      return token.value;
+    }
+    this.parseError(jsts.io.WKTReader.EMPTY + ' or \'(\'', token);
+  };
+
+
+  /**
+   * @return {string} ',' or ')'.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.getNextCloserOrComma = function() {
+    var token = this.tokenizer.next();
+    if (token.type === Tokenizer.DELIMITER &&
+        (token.value === ',' || token.value === ')')) {
+      return token.value;
+    }
+    this.parseError('\',\' or \')\'', token);
+  };
+
+
+  /**
+   * @return {string} ')'.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.getNextCloser = function() {
+    var token = this.tokenizer.next();
+    if (token.type === Tokenizer.DELIMITER && token.value === ')') {
+      return token.value;
+    }
+    this.parseError('\')\'', token);
+  };
+
+
+  /**
+   * Reads the optional dimension tag following a geometry type, either as a
+   * separate word (<code>POINT Z</code>) or as a suffix of the type
+   * (<code>POINTZ</code>).
+   *
+   * @param {string}
+   *          type the geometry type word, possibly with a suffix.
+   * @return {Object} the bare type and the dimension tag ('' if none).
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readTypeAndDimension = function(type) {
+    var tags = ['ZM', 'Z', 'M'];
+    var i, tag;
+
+    for (i = 0; i < tags.length; i++) {
+      tag = tags[i];
+      if (type.length > tag.length &&
+          type.substring(type.length - tag.length) === tag &&
+          jsts.io.WKTReader.TYPES[type.substring(0, type.length - tag.length)]) {
+        return {type: type.substring(0, type.length - tag.length), tag: tag};
+      }
+    }
+
+    var token = this.tokenizer.peek();
+    if (token.type === Tokenizer.WORD) {
+      tag = token.value.toUpperCase();
+      if (tags.indexOf(tag) !== -1) {
+        this.tokenizer.next();
+        return {type: type, tag: tag};
+      }
+    }
+    return {type: type, tag: ''};
+  };
+
+
+  /**
+   * Creates a Geometry using the next token in the stream.
+   *
+   * @return {jsts.geom.Geometry} a <code>Geometry</code> specified by the next
+   *         token in the stream.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readGeometryTaggedText = function() {
+    var token = this.tokenizer.peek();
+    var typeAndDimension = this.readTypeAndDimension(this.getNextWord());
+    var type = typeAndDimension.type;
+    var tag = typeAndDimension.tag;
+
+    if (!jsts.io.WKTReader.TYPES[type]) {
+      throw new jsts.error.ParseError('Unknown geometry type \'' +
+          token.value + '\'', token.position);
+    }
 
-/**
- * Converts a geometry in Well-Known Text format to a {@link Geometry}.
- * <p>
- * <code>WKTReader</code> supports extracting <code>Geometry</code> objects
- * from either {@link Reader}s or {@link String}s. This allows it to function
- * as a parser to read <code>Geometry</code> objects from text blocks embedded
- * in other data formats (e.g. XML).
- * <P>
- * <p>
- * A <code>WKTReader</code> is parameterized by a <code>GeometryFactory</code>,
- * to allow it to create <code>Geometry</code> objects of the appropriate
- * implementation. In particular, the <code>GeometryFactory</code> determines
- * the <code>PrecisionModel</code> and <code>SRID</code> that is used.
- * <P>
- *
- * @constructor
- */
-jsts.io.WKTReader = function(geometryFactory) {
-  this.geometryFactory = geometryFactory || new jsts.geom.GeometryFactory();
-  this.precisionModel = this.geometryFactory.getPrecisionModel();
-};
-
-
-/**
- * Reads a Well-Known Text representation of a {@link Geometry}
- *
- * NOTE: OL WKT format does not handle LINEARRING type.
- *
- * @param {string}
- *          wkt a <Geometry Tagged Text> string (see the OpenGIS Simple Features
- *          Specification).
- * @return {jsts.geom.Geometry} a <code>Geometry</code> read from
- *         <code>string.</code>
- */
-jsts.io.WKTReader.prototype.read = function(wkt) {
-  var geometry = OpenLayers.Geometry.fromWKT(wkt);
-
-  // NOTE: need to convert plain coordinate to JSTS Point
-  if (geometry instanceof jsts.geom.Coordinate) {
-    geometry = new jsts.geom.Point(geometry, this.geometryFactory);
-  }
-
-  // NOTE: need to convert plain Collection as JSTS GeometryCollection
-  if (geometry instanceof OpenLayers.Geometry.Collection &&
-      !(geometry instanceof OpenLayers.Geometry.Point ||
-          geometry instanceof OpenLayers.Geometry.LineString ||
-          geometry instanceof OpenLayers.Geometry.Polygon ||
-          geometry instanceof OpenLayers.Geometry.MultiPoint ||
-          geometry instanceof OpenLayers.Geometry.MultiLineString || geometry instanceof OpenLayers.Geometry.MultiPolygon)) {
-    geometry = new jsts.geom.GeometryCollection(geometry.components, this.geometryFactory);
-  }
-
-  if (geometry !== undefined && geometry.factory === undefined) {
-    geometry.factory = this.geometryFactory;
-  }
-
-  // handle WKT empty inputs
-  if (geometry === undefined) {
-    var type = wkt.split(' ')[0].toLowerCase();
     switch (type) {
-    case 'point':
-      geometry = new jsts.geom.Point(null, this.geometryFactory);
-      break;
-    case 'multipoint':
-      geometry = new jsts.geom.MultiPoint(null, this.geometryFactory);
-      break;
-    case 'linestring':
-      geometry = new jsts.geom.LineString(null, this.geometryFactory);
-      break;
-    case 'multilinestring':
-      geometry = new jsts.geom.MultiLineString(null, this.geometryFactory);
-      break;
-    case 'polygon':
-      geometry = new jsts.geom.Polygon(null, this.geometryFactory);
-      break;
-    case 'multipolygon':
-      geometry = new jsts.geom.MultiPolygon(null, this.geometryFactory);
-      break;
-    case 'geometrycollection':
-      geometry = new jsts.geom.GeometryCollection(null, this.geometryFactory);
-      break;
-    }
-  }
-
-  if (this.precisionModel.getType() === jsts.geom.PrecisionModel.FIXED) {
-    this.reducePrecision(geometry.components);
-  }
-
-  return geometry;
-};
-
-jsts.io.WKTReader.prototype.reducePrecision = function(components) {
-  var i, component;
-
-  if (!components) return;
-
-  for (i = 0; i < components.length; i++) {
-    component = components[i];
-    if (component instanceof jsts.geom.Coordinate) {
-      this.precisionModel.makePrecise(component);
-    }
-    this.reducePrecision(component);
-  }
-};
+      case 'POINT':
+        return this.readPointText(tag);
+      case 'LINESTRING':
+        return this.readLineStringText(tag);
+      case 'LINEARRING':
+        return this.readLinearRingText(tag);
+      case 'POLYGON':
+        return this.readPolygonText(tag);
+      case 'MULTIPOINT':
+        return this.readMultiPointText(tag);
+      case 'MULTILINESTRING':
+        return this.readMultiLineStringText(tag);
+      case 'MULTIPOLYGON':
+        return this.readMultiPolygonText(tag);
+      case 'GEOMETRYCOLLECTION':
+        return this.readGeometryCollectionText();
+    }
+  };
+
+
+  /**
+   * Reads a coordinate and rounds it to the precision model.
+   *
+   * @param {string}
+   *          tag the dimension tag of the geometry being read.
+   * @return {jsts.geom.Coordinate} the coordinate.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.getPreciseCoordinate = function(tag) {
+    var coordinate = new jsts.geom.Coordinate(this.getNextNumber(), this
+        .getNextNumber());
+
+    if (tag === 'Z' || tag === 'ZM') {
+      coordinate.z = this.getNextNumber();
+    } else if (tag === '' && this.isNumberNext()) {
+      coordinate.z = this.getNextNumber();
+    }
+
+    if (tag === 'M' || tag === 'ZM') {
+      this.getNextNumber();
+    } else if (tag === '' && this.isNumberNext()) {
+      this.getNextNumber();
+    }
+
+    this.precisionModel.makePrecise(coordinate);
+    return coordinate;
+  };
+
+
+  /**
+   * Reads a bracketed list of coordinates, or <code>EMPTY</code>.
+   *
+   * @param {string}
+   *          tag the dimension tag of the geometry being read.
+   * @return {jsts.geom.Coordinate[]} the coordinates read.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.getCoordinates = function(tag) {
+    if (this.getNextEmptyOrOpener() === jsts.io.WKTReader.EMPTY) {
+      return [];
+    }
+    var coordinates = [this.getPreciseCoordinate(tag)];
+    while (this.getNextCloserOrComma() === ',') {
+      coordinates.push(this.getPreciseCoordinate(tag));
+    }
+    return coordinates;
+  };
+
+
+  /**
+   * @param {string}
+   *          tag the dimension tag of the geometry being read.
+   * @return {jsts.geom.Point} the point read.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readPointText = function(tag) {
+    if (this.getNextEmptyOrOpener() === jsts.io.WKTReader.EMPTY) {
+      return this.geometryFactory.createPoint(null);
+    }
+    var point = this.geometryFactory.createPoint(this
+        .getPreciseCoordinate(tag));
+    this.getNextCloser();
+    return point;
+  };
+
+
+  /**
+   * @param {string}
+   *          tag the dimension tag of the geometry being read.
+   * @return {jsts.geom.LineString} the line read.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readLineStringText = function(tag) {
+    var position = this.tokenizer.peek().position;
+    var coordinates = this.getCoordinates(tag);
+    if (coordinates.length === 1) {
+      throw new jsts.error.ParseError(
+          'A LineString must have at least two points', position);
+    }
+    return this.geometryFactory.createLineString(coordinates);
+  };
+
+
+  /**
+   * @param {string}
+   *          tag the dimension tag of the geometry being read.
+   * @return {jsts.geom.LinearRing} the ring read.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readLinearRingText = function(tag) {
+    return this.geometryFactory.createLinearRing(this.getCoordinates(tag));
+  };
+
+
+  /**
+   * Reads a MultiPoint, accepting both the bracketed
+   * (<code>MULTIPOINT ((0 0), (1 1))</code>) and the unbracketed
+   * (<code>MULTIPOINT (0 0, 1 1)</code>) forms.
+   *
+   * @param {string}
+   *          tag the dimension tag of the geometry being read.
+   * @return {jsts.geom.MultiPoint} the multipoint read.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readMultiPointText = function(tag) {
+    if (this.getNextEmptyOrOpener() === jsts.io.WKTReader.EMPTY) {
+      return this.geometryFactory.createMultiPoint([]);
+    }
+    var points = [];
+    do {
+      if (this.isNumberNext()) {
+        points.push(this.geometryFactory.createPoint(this
+            .getPreciseCoordinate(tag)));
+      } else {
+        points.push(this.readPointText(tag));
+      }
+    } while (this.getNextCloserOrComma() === ',');
+    return this.geometryFactory.createMultiPoint(points);
+  };
+
+
+  /**
+   * @param {string}
+   *          tag the dimension tag of the geometry being read.
+   * @return {jsts.geom.Polygon} the polygon read.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readPolygonText = function(tag) {
+    if (this.getNextEmptyOrOpener() === jsts.io.WKTReader.EMPTY) {
+      return this.geometryFactory.createPolygon(this.geometryFactory
+          .createLinearRing([]), []);
+    }
+    var shell = this.readLinearRingText(tag);
+    var holes = [];
+    while (this.getNextCloserOrComma() === ',') {
+      holes.push(this.readLinearRingText(tag));
+    }
+    return this.geometryFactory.createPolygon(shell, holes);
+  };
+
+
+  /**
+   * @param {string}
+   *          tag the dimension tag of the geometry being read.
+   * @return {jsts.geom.MultiLineString} the multilinestring read.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readMultiLineStringText = function(tag) {
+    if (this.getNextEmptyOrOpener() === jsts.io.WKTReader.EMPTY) {
+      return this.geometryFactory.createMultiLineString([]);
+    }
+    var lineStrings = [];
+    do {
+      lineStrings.push(this.readLineStringText(tag));
+    } while (this.getNextCloserOrComma() === ',');
+    return this.geometryFactory.createMultiLineString(lineStrings);
+  };
+
+
+  /**
+   * @param {string}
+   *          tag the dimension tag of the geometry being read.
+   * @return {jsts.geom.MultiPolygon} the multipolygon read.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readMultiPolygonText = function(tag) {
+    if (this.getNextEmptyOrOpener() === jsts.io.WKTReader.EMPTY) {
+      return this.geometryFactory.createMultiPolygon([]);
+    }
+    var polygons = [];
+    do {
+      polygons.push(this.readPolygonText(tag));
+    } while (this.getNextCloserOrComma() === ',');
+    return this.geometryFactory.createMultiPolygon(polygons);
+  };
+
+
+  /**
+   * Reads a GeometryCollection. Each member carries its own type and
+   * dimension tag.
+   *
+   * @return {jsts.geom.GeometryCollection} the collection read.
+   * @private
+   */
+  jsts.io.WKTReader.prototype.readGeometryCollectionText = function() {
+    if (this.getNextEmptyOrOpener() === jsts.io.WKTReader.EMPTY) {
+      return this.geometryFactory.createGeometryCollection([]);
+    }
+    var geometries = [];
+    do {
+      geometries.push(this.readGeometryTaggedText());
+    } while (this.getNextCloserOrComma() === ',');
+    return this.geometryFactory.createGeometryCollection(geometries);
+  };
+
+
+  /**
+   * @type {string}
+   */
+  jsts.io.WKTReader.EMPTY = 'EMPTY';
+
+
+  /**
+   * @type {string}
+   */
+  jsts.io.WKTReader.NAN_SYMBOL = 'NAN';
+
+
+  /**
+   * The geometry type words understood by the reader.
+   *
+   * @type {Object}
+   * @private
+   */
+  jsts.io.WKTReader.TYPES = {
+    'POINT': true,
+    'LINESTRING': true,
+    'LINEARRING': true,
+    'POLYGON': true,
+    'MULTIPOINT': true,
+    'MULTILINESTRING': true,
+    'MULTIPOLYGON': true,
+    'GEOMETRYCOLLECTION': true
+  };
+
+})();
@@ -17,12 +17,160 @@
  * ordinates to the required precision will be output.
  * <p>
  * The SFS WKT spec does not define a special tag for {@link LinearRing}s.
- * Under the spec, rings are output as <code>LINESTRING</code>s.
+ * Under the spec, rings are output as <code>LINESTRING</code>s, but this
+ * writer outputs <code>LINEARRING</code> so that rings are read back as rings
+ * by {@link WKTReader}.
+ * <p>
+ * If the output dimension is 3 and the geometry has Z values, they are written
+ * after a <code>Z</code> tag, e.g. <code>POINT Z (1 2 3)</code>.
  *
+ * @param {number}
+ *          [outputDimension] the coordinate dimension to output (2 or 3),
+ *          defaults to 2.
  * @see WKTReader
  * @constructor
  */
-jsts.io.WKTWriter = function() {
+jsts.io.WKTWriter = function(outputDimension) {
+  this.outputDimension = outputDimension || 2;
+  if (this.outputDimension < 2 || this.outputDimension > 3) {
+    throw new jsts.error.IllegalArgumentError(
+        'Invalid output dimension (must be 2 or 3)');
+  }
+};
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.io.WKTWriter.prototype.outputDimension = 2;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.io.WKTWriter.prototype.isFormatted = false;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.io.WKTWriter.prototype.coordsPerLine = -1;
+
+
+/**
+ * @type {string}
+ * @private
+ */
+jsts.io.WKTWriter.prototype.indentTabStr = '  ';
+
+
+/**
+ * Whether the geometry being written is formatted.
+ *
+ * @type {boolean}
+ * @private
+ */
+jsts.io.WKTWriter.prototype.useFormatting = false;
+
+
+/**
+ * Number of decimal places used for the geometry being written.
+ *
+ * @type {number}
+ * @private
+ */
+jsts.io.WKTWriter.prototype.decimalPlaces = 16;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.io.WKTWriter.prototype.isFloating = true;
+
+
+/**
+ * Whether Z values are written for the geometry being written.
+ *
+ * @type {boolean}
+ * @private
+ */
+jsts.io.WKTWriter.prototype.writeZ = false;
+
+
+/**
+ * Generates the WKT for a <tt>POINT</tt> specified by a {@link Coordinate}.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          p0 the point coordinate.
+ * @return {string} the WKT.
+ */
+jsts.io.WKTWriter.toPoint = function(p0) {
+  return 'POINT ( ' + p0.x + ' ' + p0.y + ' )';
+};
+
+
+/**
+ * Generates the WKT for a <tt>LINESTRING</tt> specified by two
+ * {@link Coordinate}s or by an array of coordinates.
+ *
+ * @param {jsts.geom.Coordinate|jsts.geom.Coordinate[]}
+ *          p0 the first coordinate, or all coordinates.
+ * @param {jsts.geom.Coordinate}
+ *          [p1] the second coordinate.
+ * @return {string} the WKT.
+ */
+jsts.io.WKTWriter.toLineString = function(p0, p1) {
+  var coordinates = p0 instanceof Array ? p0 : [p0, p1];
+  if (coordinates.length === 0) {
+    return 'LINESTRING EMPTY';
+  }
+  var parts = [];
+  for (var i = 0; i < coordinates.length; i++) {
+    parts.push(coordinates[i].x + ' ' + coordinates[i].y);
+  }
+  return 'LINESTRING ( ' + parts.join(', ') + ' )';
+};
+
+
+/**
+ * Sets whether the output will be formatted.
+ *
+ * @param {boolean}
+ *          isFormatted true if the output is to be formatted.
+ */
+jsts.io.WKTWriter.prototype.setFormatted = function(isFormatted) {
+  this.isFormatted = isFormatted;
+};
+
+
+/**
+ * Sets the maximum number of coordinates per line written in formatted output.
+ * If the provided coordinate number is <= 0, coordinates will be written all
+ * on one line.
+ *
+ * @param {number}
+ *          coordsPerLine the number of coordinates per line to output.
+ */
+jsts.io.WKTWriter.prototype.setMaxCoordinatesPerLine = function(coordsPerLine) {
+  this.coordsPerLine = coordsPerLine;
+};
+
+
+/**
+ * Sets the tab size to use for indenting.
+ *
+ * @param {number}
+ *          size the number of spaces to use as the tab string.
+ */
+jsts.io.WKTWriter.prototype.setTab = function(size) {
+  if (size <= 0) {
+    throw new jsts.error.IllegalArgumentError('Tab count must be positive');
+  }
+  this.indentTabStr = new Array(size + 1).join(' ');
 };
 
 
@@ -35,14 +183,424 @@ jsts.io.WKTWriter = function() {
  *         Features Specification).
  */
 jsts.io.WKTWriter.prototype.write = function(geometry) {
+  return this.writeFormatted2(geometry, this.isFormatted);
+};
+
+
+/**
+ * Same as <code>write</code>, but with newlines and spaces to make the
+ * well-known text more readable.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geometry a <code>Geometry</code> to process.
+ * @return {string} a <Geometry Tagged Text> string (see the OpenGIS Simple
+ *         Features Specification), with newlines and spaces.
+ */
+jsts.io.WKTWriter.prototype.writeFormatted = function(geometry) {
+  return this.writeFormatted2(geometry, true);
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          geometry a <code>Geometry</code> to process.
+ * @param {boolean}
+ *          useFormatting whether to use newlines and indentation.
+ * @return {string} the WKT.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.writeFormatted2 = function(geometry,
+    useFormatting) {
+  var precisionModel = geometry.getPrecisionModel();
+  this.useFormatting = useFormatting;
+  this.isFloating = precisionModel.isFloating();
+  this.decimalPlaces = Math.min(20, Math.max(0, precisionModel
+      .getMaximumSignificantDigits()));
+  this.writeZ = this.outputDimension === 3 && this.hasZ(geometry);
+
+  var writer = [];
+  this.appendGeometryTaggedText(geometry, 0, writer);
+  return writer.join('');
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          geometry the geometry to inspect.
+ * @return {boolean} true if any coordinate of the geometry has a Z value.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.hasZ = function(geometry) {
+  var coordinates = geometry.getCoordinates();
+  for (var i = 0; i < coordinates.length; i++) {
+    if (!isNaN(coordinates[i].z)) {
+      return true;
+    }
+  }
+  return false;
+};
 
+
+/**
+ * Converts a <code>Geometry</code> to &lt;Geometry Tagged Text&gt; format,
+ * then appends it to the writer.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geometry the <code>Geometry</code> to process.
+ * @param {number}
+ *          level the indentation level.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.appendGeometryTaggedText = function(geometry,
+    level, writer) {
+  this.indent(level, writer);
+
+  var type;
   if (geometry instanceof jsts.geom.Point) {
-    geometry = geometry.coordinate;
+    type = 'POINT';
+  } else if (geometry instanceof jsts.geom.LinearRing) {
+    type = 'LINEARRING';
+  } else if (geometry instanceof jsts.geom.LineString) {
+    type = 'LINESTRING';
+  } else if (geometry instanceof jsts.geom.Polygon) {
+    type = 'POLYGON';
+  } else if (geometry instanceof jsts.geom.MultiPoint) {
+    type = 'MULTIPOINT';
+  } else if (geometry instanceof jsts.geom.MultiLineString) {
+    type = 'MULTILINESTRING';
+  } else if (geometry instanceof jsts.geom.MultiPolygon) {
+    type = 'MULTIPOLYGON';
+  } else if (geometry instanceof jsts.geom.GeometryCollection) {
+    type = 'GEOMETRYCOLLECTION';
+  } else {
+    jsts.util.Assert.shouldNeverReachHere('Unsupported Geometry implementation');
+  }
+
+  writer.push(type, ' ');
+  if (this.writeZ && type !== 'GEOMETRYCOLLECTION') {
+    writer.push('Z ');
+  }
+
+  switch (type) {
+    case 'POINT':
+      this.appendPointText(geometry.getCoordinate(), level, writer);
+      break;
+    case 'LINEARRING':
+    case 'LINESTRING':
+      this.appendLineStringText(geometry, level, false, writer);
+      break;
+    case 'POLYGON':
+      this.appendPolygonText(geometry, level, false, writer);
+      break;
+    case 'MULTIPOINT':
+      this.appendMultiPointText(geometry, level, writer);
+      break;
+    case 'MULTILINESTRING':
+      this.appendMultiLineStringText(geometry, level, writer);
+      break;
+    case 'MULTIPOLYGON':
+      this.appendMultiPolygonText(geometry, level, writer);
+      break;
+    case 'GEOMETRYCOLLECTION':
+      this.appendGeometryCollectionText(geometry, level, writer);
+      break;
+  }
+};
+
+
+/**
+ * Converts a <code>Coordinate</code> to &lt;Point Text&gt; format, then
+ * appends it to the writer.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          coordinate the coordinate to process, null if the point is empty.
+ * @param {number}
+ *          level the indentation level.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.appendPointText = function(coordinate, level,
+    writer) {
+  if (coordinate === null || coordinate === undefined) {
+    writer.push('EMPTY');
+  } else {
+    writer.push('(');
+    this.appendCoordinate(coordinate, writer);
+    writer.push(')');
+  }
+};
+
+
+/**
+ * Appends a coordinate to the writer.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          coordinate the coordinate to append.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.appendCoordinate = function(coordinate, writer) {
+  writer.push(this.writeNumber(coordinate.x), ' ',
+      this.writeNumber(coordinate.y));
+  if (this.writeZ) {
+    writer.push(' ', this.writeNumber(coordinate.z));
+  }
+};
+
+
+/**
+ * Converts a number to a string with no more decimal places than the
+ * precision model of the geometry being written provides.
+ *
+ * @param {number}
+ *          d the number to convert.
+ * @return {string} the number as text.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.writeNumber = function(d) {
+  if (isNaN(d)) {
+    return 'NaN';
+  }
+
+  var text = String(d);
+  if (!this.isFloating || text.indexOf('e') !== -1) {
+    text = d.toFixed(this.decimalPlaces);
+    if (text.indexOf('.') !== -1) {
+      text = text.replace(/0+$/, '').replace(/\.$/, '');
+    }
+  }
+  return text === '-0' ? '0' : text;
+};
+
+
+/**
+ * Converts a <code>LineString</code> to &lt;LineString Text&gt; format, then
+ * appends it to the writer.
+ *
+ * @param {jsts.geom.LineString}
+ *          lineString the <code>LineString</code> to process.
+ * @param {number}
+ *          level the indentation level.
+ * @param {boolean}
+ *          doIndent whether to indent before the opening bracket.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.appendLineStringText = function(lineString, level,
+    doIndent, writer) {
+  if (lineString.isEmpty()) {
+    writer.push('EMPTY');
+    return;
+  }
+
+  if (doIndent) {
+    this.indent(level, writer);
+  }
+  writer.push('(');
+  var coordinates = lineString.getCoordinates();
+  for (var i = 0; i < coordinates.length; i++) {
+    if (i > 0) {
+      writer.push(', ');
+      if (this.coordsPerLine > 0 && i % this.coordsPerLine === 0) {
+        this.indent(level + 1, writer);
+      }
+    }
+    this.appendCoordinate(coordinates[i], writer);
+  }
+  writer.push(')');
+};
+
+
+/**
+ * Converts a <code>Polygon</code> to &lt;Polygon Text&gt; format, then appends
+ * it to the writer.
+ *
+ * @param {jsts.geom.Polygon}
+ *          polygon the <code>Polygon</code> to process.
+ * @param {number}
+ *          level the indentation level.
+ * @param {boolean}
+ *          indentFirst whether to indent before the opening bracket.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.appendPolygonText = function(polygon, level,
+    indentFirst, writer) {
+  if (polygon.isEmpty()) {
+    writer.push('EMPTY');
+    return;
+  }
+
+  if (indentFirst) {
+    this.indent(level, writer);
+  }
+  writer.push('(');
+  this.appendLineStringText(polygon.getExteriorRing(), level, false, writer);
+  for (var i = 0; i < polygon.getNumInteriorRing(); i++) {
+    writer.push(', ');
+    this.appendLineStringText(polygon.getInteriorRingN(i), level + 1, true,
+        writer);
+  }
+  writer.push(')');
+};
+
+
+/**
+ * Converts a <code>MultiPoint</code> to &lt;MultiPoint Text&gt; format, then
+ * appends it to the writer.
+ *
+ * @param {jsts.geom.MultiPoint}
+ *          multiPoint the <code>MultiPoint</code> to process.
+ * @param {number}
+ *          level the indentation level.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.appendMultiPointText = function(multiPoint, level,
+    writer) {
+  if (multiPoint.getNumGeometries() === 0) {
+    writer.push('EMPTY');
+    return;
+  }
+
+  writer.push('(');
+  for (var i = 0; i < multiPoint.getNumGeometries(); i++) {
+    if (i > 0) {
+      writer.push(', ');
+      if (this.coordsPerLine > 0 && i % this.coordsPerLine === 0) {
+        this.indent(level + 1, writer);
+      }
+    }
+    this.appendPointText(multiPoint.getGeometryN(i).getCoordinate(), level,
+        writer);
+  }
+  writer.push(')');
+};
+
+
+/**
+ * Converts a <code>MultiLineString</code> to &lt;MultiLineString Text&gt;
+ * format, then appends it to the writer.
+ *
+ * @param {jsts.geom.MultiLineString}
+ *          multiLineString the <code>MultiLineString</code> to process.
+ * @param {number}
+ *          level the indentation level.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.appendMultiLineStringText = function(
+    multiLineString, level, writer) {
+  if (multiLineString.getNumGeometries() === 0) {
+    writer.push('EMPTY');
+    return;
   }
 
-  var format = new OpenLayers.Format.WKT();
-  var feature = new OpenLayers.Feature.Vector(geometry);
-  var wkt = format.write(feature);
+  var level2 = level;
+  var doIndent = false;
+  writer.push('(');
+  for (var i = 0; i < multiLineString.getNumGeometries(); i++) {
+    if (i > 0) {
+      writer.push(', ');
+      level2 = level + 1;
+      doIndent = true;
+    }
+    this.appendLineStringText(multiLineString.getGeometryN(i), level2,
+        doIndent, writer);
+  }
+  writer.push(')');
+};
 
-  return wkt;
+
+/**
+ * Converts a <code>MultiPolygon</code> to &lt;MultiPolygon Text&gt; format,
+ * then appends it to the writer.
+ *
+ * @param {jsts.geom.MultiPolygon}
+ *          multiPolygon the <code>MultiPolygon</code> to process.
+ * @param {number}
+ *          level the indentation level.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.appendMultiPolygonText = function(multiPolygon,
+    level, writer) {
+  if (multiPolygon.getNumGeometries() === 0) {
+    writer.push('EMPTY');
+    return;
+  }
+
+  var level2 = level;
+  var doIndent = false;
+  writer.push('(');
+  for (var i = 0; i < multiPolygon.getNumGeometries(); i++) {
+    if (i > 0) {
+      writer.push(', ');
+      level2 = level + 1;
+      doIndent = true;
+    }
+    this.appendPolygonText(multiPolygon.getGeometryN(i), level2, doIndent,
+        writer);
+  }
+  writer.push(')');
+};
+
+
+/**
+ * Converts a <code>GeometryCollection</code> to &lt;GeometryCollectionText&gt;
+ * format, then appends it to the writer.
+ *
+ * @param {jsts.geom.GeometryCollection}
+ *          geometryCollection the <code>GeometryCollection</code> to process.
+ * @param {number}
+ *          level the indentation level.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.appendGeometryCollectionText = function(
+    geometryCollection, level, writer) {
+  if (geometryCollection.getNumGeometries() === 0) {
+    writer.push('EMPTY');
+    return;
+  }
+
+  var level2 = level;
+  writer.push('(');
+  for (var i = 0; i < geometryCollection.getNumGeometries(); i++) {
+    if (i > 0) {
+      writer.push(', ');
+      level2 = level + 1;
+    }
+    this.appendGeometryTaggedText(geometryCollection.getGeometryN(i), level2,
+        writer);
+  }
+  writer.push(')');
+};
+
+
+/**
+ * @param {number}
+ *          level the indentation level.
+ * @param {string[]}
+ *          writer the output to append to.
+ * @private
+ */
+jsts.io.WKTWriter.prototype.indent = function(level, writer) {
+  if (!this.useFormatting || level <= 0) {
+    return;
+  }
+  writer.push('\n');
+  for (var i = 0; i < level; i++) {
+    writer.push(this.indentTabStr);
+  }
 };
@@ -0,0 +1,126 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/linearref/LinearGeometryBuilder.js
+ * @requires jsts/linearref/LinearIterator.js
+ */
+
+
+
+/**
+ * Extracts the subline of a linear {@link Geometry} between two
+ * {@link LinearLocation}s on the line.
+ *
+ * @param {jsts.geom.Geometry}
+ *          line the linear geometry to extract from.
+ * @constructor
+ */
+jsts.linearref.ExtractLineByLocation = function(line) {
+  this.line = line;
+};
+
+
+/**
+ * Computes the subline of a {@link LineString} between two
+ * {@link LinearLocation}s on the line. If the start location is after the
+ * end location, the computed linear geometry has reverse orientation to the
+ * input line.
+ *
+ * @param {jsts.geom.Geometry}
+ *          line the line to use as the baseline.
+ * @param {jsts.linearref.LinearLocation}
+ *          start the start location.
+ * @param {jsts.linearref.LinearLocation}
+ *          end the end location.
+ * @return {jsts.geom.Geometry} the extracted subline.
+ */
+jsts.linearref.ExtractLineByLocation.extract = function(line, start, end) {
+  var ls = new jsts.linearref.ExtractLineByLocation(line);
+  return ls.extract(start, end);
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.linearref.ExtractLineByLocation.prototype.line = null;
+
+
+/**
+ * Extracts a subline of the input. If <code>end < start</code> the linear
+ * geometry computed will be reversed.
+ *
+ * @param {jsts.linearref.LinearLocation}
+ *          start the start location.
+ * @param {jsts.linearref.LinearLocation}
+ *          end the end location.
+ * @return {jsts.geom.Geometry} a linear geometry.
+ */
+jsts.linearref.ExtractLineByLocation.prototype.extract = function(start, end) {
+  if (end.compareTo(start) < 0) {
+    return this.reverse(this.computeLinear(end, start));
+  }
+  return this.computeLinear(start, end);
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          linear a linear geometry.
+ * @return {jsts.geom.Geometry} the reversed geometry.
+ * @private
+ */
+jsts.linearref.ExtractLineByLocation.prototype.reverse = function(linear) {
+  if (linear instanceof jsts.geom.LineString ||
+      linear instanceof jsts.geom.MultiLineString) {
+    return linear.reverse();
+  }
+  jsts.util.Assert.shouldNeverReachHere('non-linear geometry encountered');
+  return null;
+};
+
+
+/**
+ * Assumes input is valid (e.g. start <= end).
+ *
+ * @param {jsts.linearref.LinearLocation}
+ *          start the start location.
+ * @param {jsts.linearref.LinearLocation}
+ *          end the end location.
+ * @return {jsts.geom.Geometry} a linear geometry.
+ * @private
+ */
+jsts.linearref.ExtractLineByLocation.prototype.computeLinear = function(
+    start, end) {
+  var builder = new jsts.linearref.LinearGeometryBuilder(
+      this.line.getFactory());
+  builder.setFixInvalidLines(true);
+
+  if (!start.isVertex()) {
+    builder.add(start.getCoordinate(this.line));
+  }
+
+  var it = new jsts.linearref.LinearIterator(this.line, start);
+  for (; it.hasNext(); it.next()) {
+    if (end.compareLocationValues(it.getComponentIndex(),
+        it.getVertexIndex(), 0.0) < 0) {
+      break;
+    }
+
+    var pt = it.getSegmentStart();
+    builder.add(pt);
+    if (it.isEndOfLine()) {
+      builder.endLine();
+    }
+  }
+  if (!end.isVertex()) {
+    builder.add(end.getCoordinate(this.line));
+  }
+
+  return builder.getGeometry();
+};
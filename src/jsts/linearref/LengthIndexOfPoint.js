@@ -0,0 +1,168 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/LineSegment.js
+ * @requires jsts/linearref/LinearIterator.js
+ * @requires jsts/linearref/LengthLocationMap.js
+ */
+
+
+
+/**
+ * Computes the length index of the point on a linear {@link Geometry} nearest
+ * a given {@link Coordinate}. The nearest point is not necessarily unique;
+ * this class always computes the nearest point closest to the start of the
+ * geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry.
+ * @constructor
+ */
+jsts.linearref.LengthIndexOfPoint = function(linearGeom) {
+  this.linearGeom = linearGeom;
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry.
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @return {number} the length index of the nearest point.
+ */
+jsts.linearref.LengthIndexOfPoint.indexOf = function(linearGeom, inputPt) {
+  var locater = new jsts.linearref.LengthIndexOfPoint(linearGeom);
+  return locater.indexOf(inputPt);
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry.
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @param {number}
+ *          minIndex the minimum index to return.
+ * @return {number} the length index of the nearest point after
+ *         <code>minIndex</code>.
+ */
+jsts.linearref.LengthIndexOfPoint.indexOfAfter = function(linearGeom,
+    inputPt, minIndex) {
+  var locater = new jsts.linearref.LengthIndexOfPoint(linearGeom);
+  return locater.indexOfAfter(inputPt, minIndex);
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.linearref.LengthIndexOfPoint.prototype.linearGeom = null;
+
+
+/**
+ * Find the nearest location along a linear {@link Geometry} to a given point.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @return {number} the location of the nearest point.
+ */
+jsts.linearref.LengthIndexOfPoint.prototype.indexOf = function(inputPt) {
+  return this.indexOfFromStart(inputPt, -1.0);
+};
+
+
+/**
+ * Finds the nearest index along the linear {@link Geometry} to a given
+ * {@link Coordinate} after the specified minimum index. If possible the
+ * location returned will be strictly greater than the <code>minIndex</code>.
+ * If this is not possible, the value returned will equal
+ * <code>minIndex</code>. (An example where this is not possible is when
+ * minIndex = [end of line] ).
+ *
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @param {number}
+ *          minIndex the minimum location for the point location.
+ * @return {number} the location of the nearest point.
+ */
+jsts.linearref.LengthIndexOfPoint.prototype.indexOfAfter = function(inputPt,
+    minIndex) {
+  if (minIndex < 0.0)
+    return this.indexOf(inputPt);
+
+  // sanity check for minIndex at or past end of line
+  var endIndex = this.linearGeom.getLength();
+  if (endIndex < minIndex)
+    return endIndex;
+
+  var closestAfter = this.indexOfFromStart(inputPt, minIndex);
+  // Return the minDistanceLocation found. This will not be null, since it
+  // was initialized to minLocation
+  jsts.util.Assert.isTrue(closestAfter >= minIndex,
+      'computed index is before specified minimum index');
+  return closestAfter;
+};
+
+
+/**
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @param {number}
+ *          minIndex the minimum index, or a negative value if there is none.
+ * @return {number} the index of the nearest point.
+ * @private
+ */
+jsts.linearref.LengthIndexOfPoint.prototype.indexOfFromStart = function(
+    inputPt, minIndex) {
+  var minDistance = Number.MAX_VALUE;
+
+  var ptMeasure = minIndex;
+  var segmentStartMeasure = 0.0;
+  var seg = new jsts.geom.LineSegment();
+  var it = new jsts.linearref.LinearIterator(this.linearGeom);
+  while (it.hasNext()) {
+    if (!it.isEndOfLine()) {
+      seg.p0 = it.getSegmentStart();
+      seg.p1 = it.getSegmentEnd();
+      var segDistance = seg.distance(inputPt);
+      var segMeasureToPt = this.segmentNearestMeasure(seg, inputPt,
+          segmentStartMeasure);
+      if (segDistance < minDistance && segMeasureToPt > minIndex) {
+        ptMeasure = segMeasureToPt;
+        minDistance = segDistance;
+      }
+      segmentStartMeasure += seg.getLength();
+    }
+    it.next();
+  }
+  return ptMeasure;
+};
+
+
+/**
+ * @param {jsts.geom.LineSegment}
+ *          seg a segment of the geometry.
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @param {number}
+ *          segmentStartMeasure the length index of the segment start.
+ * @return {number} the length index of the point on the segment nearest to
+ *         <code>inputPt</code>.
+ * @private
+ */
+jsts.linearref.LengthIndexOfPoint.prototype.segmentNearestMeasure = function(
+    seg, inputPt, segmentStartMeasure) {
+  // found new minimum, so compute location distance of point
+  var projFactor = seg.projectionFactor(inputPt);
+  if (projFactor <= 0.0)
+    return segmentStartMeasure;
+  if (projFactor <= 1.0)
+    return segmentStartMeasure + projFactor * seg.getLength();
+  // projFactor > 1.0
+  return segmentStartMeasure + seg.getLength();
+};
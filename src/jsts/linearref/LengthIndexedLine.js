@@ -0,0 +1,258 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/linearref/ExtractLineByLocation.js
+ * @requires jsts/linearref/LengthIndexOfPoint.js
+ * @requires jsts/linearref/LengthLocationMap.js
+ * @requires jsts/linearref/LocationIndexOfLine.js
+ */
+
+
+
+/**
+ * Supports linear referencing along a linear {@link Geometry} using the
+ * length along the line as the index. Negative length values are taken as
+ * measured in the reverse direction from the end of the geometry.
+ * Out-of-range index values are handled by clamping them to the valid range
+ * of values. Non-simple lines (i.e. which loop back to cross or touch
+ * themselves) are supported.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry to reference along.
+ * @constructor
+ * @throws {jsts.error.IllegalArgumentError}
+ *           if <code>linearGeom</code> is not a {@link LineString} or
+ *           {@link MultiLineString}.
+ */
+jsts.linearref.LengthIndexedLine = function(linearGeom) {
+  if (!(linearGeom instanceof jsts.geom.LineString ||
+      linearGeom instanceof jsts.geom.MultiLineString)) {
+    throw new jsts.error.IllegalArgumentError(
+        'Input geometry must be linear');
+  }
+  this.linearGeom = linearGeom;
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.linearref.LengthIndexedLine.prototype.linearGeom = null;
+
+
+/**
+ * Computes the {@link Coordinate} for the point on the line at the given
+ * index, optionally offset perpendicular to the line. If the index is out of
+ * range the first or last point on the line will be returned.
+ * <p>
+ * A positive offset places the point to the left of the line, a negative one
+ * to the right. At an interior vertex the offset is computed relative to
+ * the segment starting there; at the end of a component it is computed
+ * relative to the last segment.
+ *
+ * @param {number}
+ *          index the index of the desired point.
+ * @param {number=}
+ *          offsetDistance the distance the point is offset from the line.
+ * @return {jsts.geom.Coordinate} the Coordinate at the given index.
+ */
+jsts.linearref.LengthIndexedLine.prototype.extractPoint = function(index,
+    offsetDistance) {
+  var loc = jsts.linearref.LengthLocationMap.getLocation(this.linearGeom,
+      index);
+  if (offsetDistance === undefined) {
+    return loc.getCoordinate(this.linearGeom);
+  }
+  var locLow = loc.toLowest(this.linearGeom);
+  return locLow.getSegment(this.linearGeom).pointAlongOffset(
+      locLow.getSegmentFraction(), offsetDistance);
+};
+
+
+/**
+ * Computes the {@link LineString} for the interval on the line between the
+ * given indices. If the endIndex lies before the startIndex, the computed
+ * geometry is reversed.
+ *
+ * @param {number}
+ *          startIndex the index of the start of the interval.
+ * @param {number}
+ *          endIndex the index of the end of the interval.
+ * @return {jsts.geom.Geometry} the linear interval between the indices.
+ */
+jsts.linearref.LengthIndexedLine.prototype.extractLine = function(startIndex,
+    endIndex) {
+  var startIndex2 = this.clampIndex(startIndex);
+  var endIndex2 = this.clampIndex(endIndex);
+  // if extracted line is zero-length, resolve start lower as well to ensure
+  // they are equal
+  var resolveStartLower = startIndex2 === endIndex2;
+  var startLoc = this.locationOf(startIndex2, resolveStartLower);
+  var endLoc = this.locationOf(endIndex2);
+  return jsts.linearref.ExtractLineByLocation.extract(this.linearGeom,
+      startLoc, endLoc);
+};
+
+
+/**
+ * @param {number}
+ *          index a length index.
+ * @param {boolean=}
+ *          resolveLower if true the index is resolved to the lowest possible
+ *          location.
+ * @return {jsts.linearref.LinearLocation} the location of the index.
+ * @private
+ */
+jsts.linearref.LengthIndexedLine.prototype.locationOf = function(index,
+    resolveLower) {
+  return jsts.linearref.LengthLocationMap.getLocation(this.linearGeom, index,
+      resolveLower);
+};
+
+
+/**
+ * Computes the minimum index for a point on the line. If the line is not
+ * simple (i.e. loops back on itself) a single point may have more than one
+ * possible index. In this case, the smallest index is returned.
+ * <p>
+ * The supplied point does not <i>necessarily</i> have to lie precisely on
+ * the line, but if it is far from the line the accuracy and performance of
+ * this function is not guaranteed. Use {@link #project} to compute a
+ * guaranteed result for points which may be far from the line.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt a point on the line.
+ * @return {number} the minimum index of the point.
+ */
+jsts.linearref.LengthIndexedLine.prototype.indexOf = function(pt) {
+  return jsts.linearref.LengthIndexOfPoint.indexOf(this.linearGeom, pt);
+};
+
+
+/**
+ * Finds the index for a point on the line which is greater than the given
+ * index. If no such index exists, returns <tt>minIndex</tt>. This method can
+ * be used to determine all indexes for a point which occurs more than once
+ * on a non-simple line. It can also be used to disambiguate cases where the
+ * given point lies slightly off the line and is equidistant from two
+ * different points on the line.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt a point on the line.
+ * @param {number}
+ *          minIndex the value the returned index must be greater than.
+ * @return {number} the index of the point greater than the given minimum
+ *         index.
+ */
+jsts.linearref.LengthIndexedLine.prototype.indexOfAfter = function(pt,
+    minIndex) {
+  return jsts.linearref.LengthIndexOfPoint.indexOfAfter(this.linearGeom, pt,
+      minIndex);
+};
+
+
+/**
+ * Computes the indices for a subline of the line. (The subline must
+ * <b>conform</b> to the line; that is, all vertices in the subline (except
+ * possibly the first and last) must be vertices of the line and occur in the
+ * same order).
+ *
+ * @param {jsts.geom.Geometry}
+ *          subLine a subLine of the line.
+ * @return {Array.<number>} a pair of indices for the start and end of the
+ *         subline.
+ */
+jsts.linearref.LengthIndexedLine.prototype.indicesOf = function(subLine) {
+  var locIndex = jsts.linearref.LocationIndexOfLine.indicesOf(
+      this.linearGeom, subLine);
+  return [
+    jsts.linearref.LengthLocationMap.getLength(this.linearGeom, locIndex[0]),
+    jsts.linearref.LengthLocationMap.getLength(this.linearGeom, locIndex[1])
+  ];
+};
+
+
+/**
+ * Computes the index for the closest point on the line to the given point.
+ * If more than one point has the closest distance the first one along the
+ * line is returned. (The point does not necessarily have to lie precisely on
+ * the line.)
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt a point on the line.
+ * @return {number} the index of the point.
+ */
+jsts.linearref.LengthIndexedLine.prototype.project = function(pt) {
+  return jsts.linearref.LengthIndexOfPoint.indexOf(this.linearGeom, pt);
+};
+
+
+/**
+ * Returns the index of the start of the line
+ *
+ * @return {number} the start index.
+ */
+jsts.linearref.LengthIndexedLine.prototype.getStartIndex = function() {
+  return 0.0;
+};
+
+
+/**
+ * Returns the index of the end of the line
+ *
+ * @return {number} the end index.
+ */
+jsts.linearref.LengthIndexedLine.prototype.getEndIndex = function() {
+  return this.linearGeom.getLength();
+};
+
+
+/**
+ * Tests whether an index is in the valid index range for the line.
+ *
+ * @param {number}
+ *          index the index to test.
+ * @return {boolean} <code>true</code> if the index is in the valid range.
+ */
+jsts.linearref.LengthIndexedLine.prototype.isValidIndex = function(index) {
+  return index >= this.getStartIndex() && index <= this.getEndIndex();
+};
+
+
+/**
+ * Computes a valid index for this line by clamping the given index to the
+ * valid range of index values
+ *
+ * @param {number}
+ *          index the index to clamp.
+ * @return {number} a valid index value.
+ */
+jsts.linearref.LengthIndexedLine.prototype.clampIndex = function(index) {
+  var posIndex = this.positiveIndex(index);
+  var startIndex = this.getStartIndex();
+  if (posIndex < startIndex)
+    return startIndex;
+
+  var endIndex = this.getEndIndex();
+  if (posIndex > endIndex)
+    return endIndex;
+  return posIndex;
+};
+
+
+/**
+ * @param {number}
+ *          index a length index, possibly negative.
+ * @return {number} the equivalent index measured from the start of the line.
+ * @private
+ */
+jsts.linearref.LengthIndexedLine.prototype.positiveIndex = function(index) {
+  if (index >= 0.0)
+    return index;
+  return this.linearGeom.getLength() + index;
+};
@@ -0,0 +1,201 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/linearref/LinearIterator.js
+ * @requires jsts/linearref/LinearLocation.js
+ */
+
+
+
+/**
+ * Computes the {@link LinearLocation} for a given length along a linear
+ * {@link Geometry}. Negative lengths are measured in reverse from end of the
+ * linear geometry. Out-of-range values are clamped.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry.
+ * @constructor
+ */
+jsts.linearref.LengthLocationMap = function(linearGeom) {
+  this.linearGeom = linearGeom;
+};
+
+
+/**
+ * Computes the {@link LinearLocation} for a given length along a linear
+ * {@link Geometry}.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry to use.
+ * @param {number}
+ *          length the length index of the location.
+ * @param {boolean=}
+ *          resolveLower if true lengths are resolved to the lowest possible
+ *          index; defaults to <code>true</code>.
+ * @return {jsts.linearref.LinearLocation} the {@link LinearLocation} for the
+ *         length.
+ */
+jsts.linearref.LengthLocationMap.getLocation = function(linearGeom, length,
+    resolveLower) {
+  var locater = new jsts.linearref.LengthLocationMap(linearGeom);
+  return locater.getLocation(length, resolveLower);
+};
+
+
+/**
+ * Computes the length for a given {@link LinearLocation} on a linear
+ * {@link Geometry}.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry to use.
+ * @param {jsts.linearref.LinearLocation}
+ *          loc the {@link LinearLocation} index of the location.
+ * @return {number} the length for the {@link LinearLocation}.
+ */
+jsts.linearref.LengthLocationMap.getLength = function(linearGeom, loc) {
+  var locater = new jsts.linearref.LengthLocationMap(linearGeom);
+  return locater.getLength(loc);
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.linearref.LengthLocationMap.prototype.linearGeom = null;
+
+
+/**
+ * Compute the {@link LinearLocation} corresponding to a length. Negative
+ * lengths are measured in reverse from end of the linear geometry.
+ * Out-of-range values are clamped. Ambiguous indexes are resolved to the
+ * lowest or highest possible location value, depending on the value of
+ * <tt>resolveLower</tt>.
+ *
+ * @param {number}
+ *          length the length index.
+ * @param {boolean=}
+ *          resolveLower if true lengths are resolved to the lowest possible
+ *          index; defaults to <code>true</code>.
+ * @return {jsts.linearref.LinearLocation} the corresponding
+ *         <code>LinearLocation</code>.
+ */
+jsts.linearref.LengthLocationMap.prototype.getLocation = function(length,
+    resolveLower) {
+  var forwardLength = length;
+
+  // negative values are measured from end of geometry
+  if (length < 0.0) {
+    var lineLen = this.linearGeom.getLength();
+    forwardLength = lineLen + length;
+  }
+  var loc = this.getLocationForward(forwardLength);
+  if (resolveLower === false) {
+    return this.resolveHigher(loc);
+  }
+  return loc;
+};
+
+
+/**
+ * @param {number}
+ *          length a non-negative length index.
+ * @return {jsts.linearref.LinearLocation} the lowest location for the length.
+ * @private
+ */
+jsts.linearref.LengthLocationMap.prototype.getLocationForward = function(
+    length) {
+  if (length <= 0.0)
+    return new jsts.linearref.LinearLocation();
+
+  var totalLength = 0.0;
+
+  var it = new jsts.linearref.LinearIterator(this.linearGeom);
+  for (; it.hasNext(); it.next()) {
+    // Special handling is required for the situation when the length
+    // references exactly to a component endpoint. In this case, the endpoint
+    // location of the current component is returned, rather than the
+    // startpoint location of the next component. This produces consistent
+    // behaviour with the project method.
+    if (it.isEndOfLine()) {
+      if (totalLength === length) {
+        var compIndex = it.getComponentIndex();
+        var segIndex = it.getVertexIndex();
+        return new jsts.linearref.LinearLocation(compIndex, segIndex, 0.0);
+      }
+    } else {
+      var p0 = it.getSegmentStart();
+      var p1 = it.getSegmentEnd();
+      var segLen = p1.distance(p0);
+      // length falls in this segment
+      if (totalLength + segLen > length) {
+        var frac = (length - totalLength) / segLen;
+        return new jsts.linearref.LinearLocation(it.getComponentIndex(),
+            it.getVertexIndex(), frac);
+      }
+      totalLength += segLen;
+    }
+  }
+  // length is longer than line - return end location
+  return jsts.linearref.LinearLocation.getEndLocation(this.linearGeom);
+};
+
+
+/**
+ * @param {jsts.linearref.LinearLocation}
+ *          loc a location.
+ * @return {jsts.linearref.LinearLocation} the highest location equivalent to
+ *         <code>loc</code>.
+ * @private
+ */
+jsts.linearref.LengthLocationMap.prototype.resolveHigher = function(loc) {
+  if (!loc.isEndpoint(this.linearGeom))
+    return loc;
+  var compIndex = loc.getComponentIndex();
+  // if last component can't resolve any higher
+  if (compIndex >= this.linearGeom.getNumGeometries() - 1)
+    return loc;
+
+  do {
+    compIndex++;
+  } while (compIndex < this.linearGeom.getNumGeometries() - 1 &&
+      this.linearGeom.getGeometryN(compIndex).getLength() === 0);
+  // resolve to next higher location
+  return new jsts.linearref.LinearLocation(compIndex, 0, 0.0);
+};
+
+
+/**
+ * Computes the length for a given {@link LinearLocation}.
+ *
+ * @param {jsts.linearref.LinearLocation}
+ *          loc the location.
+ * @return {number} the length along the geometry of the location.
+ */
+jsts.linearref.LengthLocationMap.prototype.getLength = function(loc) {
+  var totalLength = 0.0;
+
+  var it = new jsts.linearref.LinearIterator(this.linearGeom);
+  for (; it.hasNext(); it.next()) {
+    if (!it.isEndOfLine()) {
+      var p0 = it.getSegmentStart();
+      var p1 = it.getSegmentEnd();
+      var segLen = p1.distance(p0);
+      // length falls in this segment
+      if (loc.getComponentIndex() === it.getComponentIndex() &&
+          loc.getSegmentIndex() === it.getVertexIndex()) {
+        return totalLength + segLen * loc.getSegmentFraction();
+      }
+      totalLength += segLen;
+    } else if (loc.getComponentIndex() === it.getComponentIndex() &&
+        loc.getSegmentIndex() === it.getVertexIndex()) {
+      // location is the end point of a component
+      return totalLength;
+    }
+  }
+  return totalLength;
+};
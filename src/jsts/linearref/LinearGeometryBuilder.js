@@ -0,0 +1,186 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/CoordinateList.js
+ */
+
+
+
+/**
+ * Builds a linear geometry ({@link LineString} or {@link MultiLineString})
+ * incrementally (point-by-point).
+ *
+ * @param {jsts.geom.GeometryFactory}
+ *          geomFact the factory used to create the geometry.
+ * @constructor
+ */
+jsts.linearref.LinearGeometryBuilder = function(geomFact) {
+  this.geomFact = geomFact;
+  this.lines = new javascript.util.ArrayList();
+};
+
+
+/**
+ * @type {jsts.geom.GeometryFactory}
+ * @private
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.geomFact = null;
+
+
+/**
+ * @type {javascript.util.ArrayList}
+ * @private
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.lines = null;
+
+
+/**
+ * @type {jsts.geom.CoordinateList}
+ * @private
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.coordList = null;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.ignoreInvalidLines = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.fixInvalidLines = false;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.lastPt = null;
+
+
+/**
+ * Allows invalid lines to be ignored rather than causing Exceptions. An
+ * invalid line is one which has only one unique point.
+ *
+ * @param {boolean}
+ *          ignoreInvalidLines <code>true</code> if short lines are to be
+ *          ignored.
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.setIgnoreInvalidLines = function(
+    ignoreInvalidLines) {
+  this.ignoreInvalidLines = ignoreInvalidLines;
+};
+
+
+/**
+ * Allows invalid lines to be fixed rather than causing Exceptions. An invalid
+ * line is one which has only one unique point.
+ *
+ * @param {boolean}
+ *          fixInvalidLines <code>true</code> if short lines are to be fixed.
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.setFixInvalidLines = function(
+    fixInvalidLines) {
+  this.fixInvalidLines = fixInvalidLines;
+};
+
+
+/**
+ * Adds a point to the current line.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt the Coordinate to add.
+ * @param {boolean=}
+ *          allowRepeatedPoints if <code>false</code> a point equal to the
+ *          previous point is not added; defaults to <code>true</code>.
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.add = function(pt,
+    allowRepeatedPoints) {
+  if (allowRepeatedPoints === undefined) {
+    allowRepeatedPoints = true;
+  }
+  if (this.coordList === null) {
+    this.coordList = new jsts.geom.CoordinateList([]);
+  }
+  this.coordList.addCoordinate(pt, allowRepeatedPoints);
+  this.lastPt = pt;
+};
+
+
+/**
+ * @return {jsts.geom.Coordinate} the last point added.
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.getLastCoordinate = function() {
+  return this.lastPt;
+};
+
+
+/**
+ * Terminate the current LineString.
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.endLine = function() {
+  if (this.coordList === null) {
+    return;
+  }
+  if (this.ignoreInvalidLines && this.coordList.length < 2) {
+    this.coordList = null;
+    return;
+  }
+  var rawPts = this.coordList.toArray();
+  var pts = rawPts;
+  if (this.fixInvalidLines) {
+    pts = this.validCoordinateSequence(rawPts);
+  }
+
+  this.coordList = null;
+  var line = null;
+  try {
+    line = this.geomFact.createLineString(pts);
+  } catch (ex) {
+    // exception is due to too few points in line.
+    // only propagate if not ignoring short lines
+    if (!this.ignoreInvalidLines) {
+      throw ex;
+    }
+  }
+
+  if (line !== null) {
+    this.lines.add(line);
+  }
+};
+
+
+/**
+ * Builds and returns the {@link Geometry}.
+ *
+ * @return {jsts.geom.Geometry} the built geometry.
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.getGeometry = function() {
+  // end last line in case it was not done by user
+  this.endLine();
+  return this.geomFact.buildGeometry(this.lines);
+};
+
+
+/**
+ * @param {Array.<jsts.geom.Coordinate>}
+ *          pts the points of a line.
+ * @return {Array.<jsts.geom.Coordinate>} the points, or a degenerate
+ *         two-point line if there are fewer than two of them.
+ * @private
+ */
+jsts.linearref.LinearGeometryBuilder.prototype.validCoordinateSequence = function(
+    pts) {
+  if (pts.length >= 2) {
+    return pts;
+  }
+  return [pts[0], pts[0]];
+};
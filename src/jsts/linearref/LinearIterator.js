@@ -0,0 +1,224 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/linearref/LinearLocation.js
+ */
+
+
+
+/**
+ * An iterator over the components and coordinates of a linear geometry
+ * ({@link LineString}s and {@link MultiLineString}s.
+ *
+ * The standard usage pattern for a {@link LinearIterator} is:
+ *
+ * <pre>
+ * for (var it = new LinearIterator(...); it.hasNext(); it.next()) {
+ *   ...
+ *   var ci = it.getComponentIndex();   // for example
+ *   var vi = it.getVertexIndex();      // for example
+ *   ...
+ * }
+ * </pre>
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry to iterate over.
+ * @param {number|jsts.linearref.LinearLocation=}
+ *          componentIndex the component to start at, or the location to
+ *          start at.
+ * @param {number=}
+ *          vertexIndex the vertex to start at.
+ * @constructor
+ * @throws {jsts.error.IllegalArgumentError}
+ *           if <code>linearGeom</code> is not lineal.
+ */
+jsts.linearref.LinearIterator = function(linearGeom, componentIndex,
+    vertexIndex) {
+  if (!(linearGeom instanceof jsts.geom.LineString ||
+      linearGeom instanceof jsts.geom.MultiLineString)) {
+    throw new jsts.error.IllegalArgumentError(
+        'Lineal geometry is required');
+  }
+  if (componentIndex instanceof jsts.linearref.LinearLocation) {
+    vertexIndex = jsts.linearref.LinearIterator
+        .segmentEndVertexIndex(componentIndex);
+    componentIndex = componentIndex.getComponentIndex();
+  }
+  this.linearGeom = linearGeom;
+  this.numLines = linearGeom.getNumGeometries();
+  this.componentIndex = componentIndex || 0;
+  this.vertexIndex = vertexIndex || 0;
+  this.loadCurrentLine();
+};
+
+
+/**
+ * @param {jsts.linearref.LinearLocation}
+ *          loc a location.
+ * @return {number} the index of the vertex ending the segment of the
+ *         location, or the vertex itself if the location is a vertex.
+ * @private
+ */
+jsts.linearref.LinearIterator.segmentEndVertexIndex = function(loc) {
+  if (loc.getSegmentFraction() > 0.0)
+    return loc.getSegmentIndex() + 1;
+  return loc.getSegmentIndex();
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.linearref.LinearIterator.prototype.linearGeom = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.linearref.LinearIterator.prototype.numLines = 0;
+
+
+/**
+ * Invariant: currentLine <> null if the iterator is pointing at a valid
+ * coordinate
+ *
+ * @type {jsts.geom.LineString}
+ * @private
+ */
+jsts.linearref.LinearIterator.prototype.currentLine = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.linearref.LinearIterator.prototype.componentIndex = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.linearref.LinearIterator.prototype.vertexIndex = 0;
+
+
+/**
+ * @private
+ */
+jsts.linearref.LinearIterator.prototype.loadCurrentLine = function() {
+  if (this.componentIndex >= this.numLines) {
+    this.currentLine = null;
+    return;
+  }
+  this.currentLine = this.linearGeom.getGeometryN(this.componentIndex);
+};
+
+
+/**
+ * Tests whether there are any vertices left to iterator over. Specifically,
+ * hasNext() return <tt>true</tt> if the current state of the iterator
+ * represents a valid location on the linear geometry.
+ *
+ * @return {boolean} <code>true</code> if there are more vertices to scan.
+ */
+jsts.linearref.LinearIterator.prototype.hasNext = function() {
+  if (this.componentIndex >= this.numLines)
+    return false;
+  if (this.componentIndex === this.numLines - 1 &&
+      this.vertexIndex >= this.currentLine.getNumPoints())
+    return false;
+  return true;
+};
+
+
+/**
+ * Moves the iterator ahead to the next vertex and (possibly) linear
+ * component.
+ */
+jsts.linearref.LinearIterator.prototype.next = function() {
+  if (!this.hasNext())
+    return;
+
+  this.vertexIndex++;
+  if (this.vertexIndex >= this.currentLine.getNumPoints()) {
+    this.componentIndex++;
+    this.loadCurrentLine();
+    this.vertexIndex = 0;
+  }
+};
+
+
+/**
+ * Checks whether the iterator cursor is pointing to the endpoint of a
+ * component {@link LineString}.
+ *
+ * @return {boolean} <code>true</code> if the iterator is at an endpoint.
+ */
+jsts.linearref.LinearIterator.prototype.isEndOfLine = function() {
+  if (this.componentIndex >= this.numLines)
+    return false;
+  if (this.vertexIndex < this.currentLine.getNumPoints() - 1)
+    return false;
+  return true;
+};
+
+
+/**
+ * The component index of the vertex the iterator is currently at.
+ *
+ * @return {number} the current component index.
+ */
+jsts.linearref.LinearIterator.prototype.getComponentIndex = function() {
+  return this.componentIndex;
+};
+
+
+/**
+ * The vertex index of the vertex the iterator is currently at.
+ *
+ * @return {number} the current vertex index.
+ */
+jsts.linearref.LinearIterator.prototype.getVertexIndex = function() {
+  return this.vertexIndex;
+};
+
+
+/**
+ * Gets the {@link LineString} component the iterator is current at.
+ *
+ * @return {jsts.geom.LineString} a linestring.
+ */
+jsts.linearref.LinearIterator.prototype.getLine = function() {
+  return this.currentLine;
+};
+
+
+/**
+ * Gets the first {@link Coordinate} of the current segment. (the coordinate
+ * of the current vertex).
+ *
+ * @return {jsts.geom.Coordinate} a {@link Coordinate}.
+ */
+jsts.linearref.LinearIterator.prototype.getSegmentStart = function() {
+  return this.currentLine.getCoordinateN(this.vertexIndex);
+};
+
+
+/**
+ * Gets the second {@link Coordinate} of the current segment. (the coordinate
+ * of the next vertex). If the iterator is at the end of a line, null is
+ * returned.
+ *
+ * @return {jsts.geom.Coordinate} a {@link Coordinate} or <code>null</code>.
+ */
+jsts.linearref.LinearIterator.prototype.getSegmentEnd = function() {
+  if (this.vertexIndex < this.getLine().getNumPoints() - 1)
+    return this.currentLine.getCoordinateN(this.vertexIndex + 1);
+  return null;
+};
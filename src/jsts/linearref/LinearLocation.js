@@ -0,0 +1,495 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/LineSegment.js
+ */
+
+
+
+/**
+ * Represents a location along a {@link LineString} or
+ * {@link MultiLineString}. The referenced geometry is not maintained within
+ * this location, but must be provided for operations which require it.
+ * Various methods are provided to manipulate the location value and query the
+ * geometry it references.
+ * <p>
+ * The location can be created as the start of the geometry (no arguments),
+ * as a copy of another location, or from a component index, segment index and
+ * segment fraction. If the component index is omitted it defaults to 0.
+ *
+ * @param {number|jsts.linearref.LinearLocation=}
+ *          componentIndex the component index, or a location to copy.
+ * @param {number=}
+ *          segmentIndex the segment index.
+ * @param {number=}
+ *          segmentFraction the fraction along the segment.
+ * @param {boolean=}
+ *          doNormalize whether to normalize the location; defaults to
+ *          <code>true</code>.
+ * @constructor
+ */
+jsts.linearref.LinearLocation = function(componentIndex, segmentIndex,
+    segmentFraction, doNormalize) {
+  if (componentIndex === undefined) {
+    return;
+  }
+  if (componentIndex instanceof jsts.linearref.LinearLocation) {
+    this.componentIndex = componentIndex.componentIndex;
+    this.segmentIndex = componentIndex.segmentIndex;
+    this.segmentFraction = componentIndex.segmentFraction;
+    return;
+  }
+  if (segmentFraction === undefined) {
+    // only a segment index and fraction are given
+    segmentFraction = segmentIndex;
+    segmentIndex = componentIndex;
+    componentIndex = 0;
+  }
+  this.componentIndex = componentIndex;
+  this.segmentIndex = segmentIndex;
+  this.segmentFraction = segmentFraction;
+  if (doNormalize !== false) {
+    this.normalize();
+  }
+};
+
+
+/**
+ * Gets a location which refers to the end of a linear {@link Geometry}.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linear the linear geometry.
+ * @return {jsts.linearref.LinearLocation} a new <tt>LinearLocation</tt>.
+ */
+jsts.linearref.LinearLocation.getEndLocation = function(linear) {
+  // assert: linear is LineString or MultiLineString
+  var loc = new jsts.linearref.LinearLocation();
+  loc.setToEnd(linear);
+  return loc;
+};
+
+
+/**
+ * Computes the {@link Coordinate} of a point a given fraction along the line
+ * segment <tt>(p0, p1)</tt>. If the fraction is greater than 1.0 the last
+ * point of the segment is returned. If the fraction is less than or equal to
+ * 0.0 the first point of the segment is returned.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          p0 the first point of the line segment.
+ * @param {jsts.geom.Coordinate}
+ *          p1 the last point of the line segment.
+ * @param {number}
+ *          frac the length to the desired point.
+ * @return {jsts.geom.Coordinate} the <tt>Coordinate</tt> of the desired
+ *         point.
+ */
+jsts.linearref.LinearLocation.pointAlongSegmentByFraction = function(p0, p1,
+    frac) {
+  if (frac <= 0.0)
+    return p0;
+  if (frac >= 1.0)
+    return p1;
+
+  var x = (p1.x - p0.x) * frac + p0.x;
+  var y = (p1.y - p0.y) * frac + p0.y;
+  return new jsts.geom.Coordinate(x, y);
+};
+
+
+/**
+ * Compares two sets of location values for order.
+ *
+ * @return {number} a negative integer, zero, or a positive integer as the
+ *         first set of location values is less than, equal to, or greater
+ *         than the second set of locationValues.
+ */
+jsts.linearref.LinearLocation.compareLocationValues = function(
+    componentIndex0, segmentIndex0, segmentFraction0, componentIndex1,
+    segmentIndex1, segmentFraction1) {
+  // compare component indices
+  if (componentIndex0 < componentIndex1)
+    return -1;
+  if (componentIndex0 > componentIndex1)
+    return 1;
+  // compare segments
+  if (segmentIndex0 < segmentIndex1)
+    return -1;
+  if (segmentIndex0 > segmentIndex1)
+    return 1;
+  // same segment, so compare segment fraction
+  if (segmentFraction0 < segmentFraction1)
+    return -1;
+  if (segmentFraction0 > segmentFraction1)
+    return 1;
+  // same location
+  return 0;
+};
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.linearref.LinearLocation.prototype.componentIndex = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.linearref.LinearLocation.prototype.segmentIndex = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.linearref.LinearLocation.prototype.segmentFraction = 0.0;
+
+
+/**
+ * Ensures the individual values are locally valid. Does <b>not</b> ensure
+ * that the indexes are valid for a particular linear geometry.
+ *
+ * @private
+ */
+jsts.linearref.LinearLocation.prototype.normalize = function() {
+  if (this.segmentFraction < 0.0) {
+    this.segmentFraction = 0.0;
+  }
+  if (this.segmentFraction > 1.0) {
+    this.segmentFraction = 1.0;
+  }
+
+  if (this.componentIndex < 0) {
+    this.componentIndex = 0;
+    this.segmentIndex = 0;
+    this.segmentFraction = 0.0;
+  }
+  if (this.segmentIndex < 0) {
+    this.segmentIndex = 0;
+    this.segmentFraction = 0.0;
+  }
+  if (this.segmentFraction === 1.0) {
+    this.segmentFraction = 0.0;
+    this.segmentIndex += 1;
+  }
+};
+
+
+/**
+ * Ensures the indexes are valid for a given linear {@link Geometry}.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linear a linear geometry.
+ */
+jsts.linearref.LinearLocation.prototype.clamp = function(linear) {
+  if (this.componentIndex >= linear.getNumGeometries()) {
+    this.setToEnd(linear);
+    return;
+  }
+  var line = linear.getGeometryN(this.componentIndex);
+  if (this.segmentIndex >= line.getNumPoints()) {
+    this.segmentIndex = line.getNumPoints() - 1;
+    this.segmentFraction = 1.0;
+  }
+};
+
+
+/**
+ * Snaps the value of this location to the nearest vertex on the given linear
+ * {@link Geometry}, if the vertex is closer than <tt>minDistance</tt>.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom a linear geometry.
+ * @param {number}
+ *          minDistance the minimum allowable distance to a vertex.
+ */
+jsts.linearref.LinearLocation.prototype.snapToVertex = function(linearGeom,
+    minDistance) {
+  if (this.segmentFraction <= 0.0 || this.segmentFraction >= 1.0)
+    return;
+  var segLen = this.getSegmentLength(linearGeom);
+  var lenToStart = this.segmentFraction * segLen;
+  var lenToEnd = segLen - lenToStart;
+  if (lenToStart <= lenToEnd && lenToStart < minDistance) {
+    this.segmentFraction = 0.0;
+  } else if (lenToEnd <= lenToStart && lenToEnd < minDistance) {
+    this.segmentFraction = 1.0;
+  }
+};
+
+
+/**
+ * Gets the length of the segment in the given Geometry containing this
+ * location.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom a linear geometry.
+ * @return {number} the length of the segment.
+ */
+jsts.linearref.LinearLocation.prototype.getSegmentLength = function(
+    linearGeom) {
+  var lineComp = linearGeom.getGeometryN(this.componentIndex);
+
+  // ensure segment index is valid
+  var segIndex = this.segmentIndex;
+  if (this.segmentIndex >= lineComp.getNumPoints() - 1)
+    segIndex = lineComp.getNumPoints() - 2;
+
+  var p0 = lineComp.getCoordinateN(segIndex);
+  var p1 = lineComp.getCoordinateN(segIndex + 1);
+  return p0.distance(p1);
+};
+
+
+/**
+ * Sets the value of this location to refer to the end of a linear geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linear the linear geometry to use to set the end.
+ */
+jsts.linearref.LinearLocation.prototype.setToEnd = function(linear) {
+  this.componentIndex = linear.getNumGeometries() - 1;
+  var lastLine = linear.getGeometryN(this.componentIndex);
+  this.segmentIndex = lastLine.getNumPoints() - 1;
+  this.segmentFraction = 1.0;
+};
+
+
+/**
+ * Gets the component index for this location.
+ *
+ * @return {number} the component index.
+ */
+jsts.linearref.LinearLocation.prototype.getComponentIndex = function() {
+  return this.componentIndex;
+};
+
+
+/**
+ * Gets the segment index for this location.
+ *
+ * @return {number} the segment index.
+ */
+jsts.linearref.LinearLocation.prototype.getSegmentIndex = function() {
+  return this.segmentIndex;
+};
+
+
+/**
+ * Gets the segment fraction for this location.
+ *
+ * @return {number} the segment fraction.
+ */
+jsts.linearref.LinearLocation.prototype.getSegmentFraction = function() {
+  return this.segmentFraction;
+};
+
+
+/**
+ * Tests whether this location refers to a vertex.
+ *
+ * @return {boolean} true if the location is a vertex.
+ */
+jsts.linearref.LinearLocation.prototype.isVertex = function() {
+  return this.segmentFraction <= 0.0 || this.segmentFraction >= 1.0;
+};
+
+
+/**
+ * Gets the {@link Coordinate} along the given linear {@link Geometry} which
+ * is referenced by this location.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry referenced by this location.
+ * @return {jsts.geom.Coordinate} the <tt>Coordinate</tt> at the location.
+ */
+jsts.linearref.LinearLocation.prototype.getCoordinate = function(linearGeom) {
+  var lineComp = linearGeom.getGeometryN(this.componentIndex);
+  var p0 = lineComp.getCoordinateN(this.segmentIndex);
+  if (this.segmentIndex >= lineComp.getNumPoints() - 1)
+    return p0;
+  var p1 = lineComp.getCoordinateN(this.segmentIndex + 1);
+  return jsts.linearref.LinearLocation.pointAlongSegmentByFraction(p0, p1,
+      this.segmentFraction);
+};
+
+
+/**
+ * Gets a {@link LineSegment} representing the segment of the given linear
+ * {@link Geometry} which contains this location.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom a linear geometry.
+ * @return {jsts.geom.LineSegment} the <tt>LineSegment</tt> containing the
+ *         location.
+ */
+jsts.linearref.LinearLocation.prototype.getSegment = function(linearGeom) {
+  var lineComp = linearGeom.getGeometryN(this.componentIndex);
+  var p0 = lineComp.getCoordinateN(this.segmentIndex);
+  // check for endpoint - return last segment of the line if so
+  if (this.segmentIndex >= lineComp.getNumPoints() - 1) {
+    var prev = lineComp.getCoordinateN(lineComp.getNumPoints() - 2);
+    return new jsts.geom.LineSegment(prev, p0);
+  }
+  var p1 = lineComp.getCoordinateN(this.segmentIndex + 1);
+  return new jsts.geom.LineSegment(p0, p1);
+};
+
+
+/**
+ * Tests whether this location refers to a valid location on the given linear
+ * {@link Geometry}.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom a linear geometry.
+ * @return {boolean} true if this location is valid.
+ */
+jsts.linearref.LinearLocation.prototype.isValid = function(linearGeom) {
+  if (this.componentIndex < 0 ||
+      this.componentIndex >= linearGeom.getNumGeometries())
+    return false;
+
+  var lineComp = linearGeom.getGeometryN(this.componentIndex);
+  if (this.segmentIndex < 0 || this.segmentIndex > lineComp.getNumPoints())
+    return false;
+  if (this.segmentIndex === lineComp.getNumPoints() &&
+      this.segmentFraction !== 0.0)
+    return false;
+
+  if (this.segmentFraction < 0.0 || this.segmentFraction > 1.0)
+    return false;
+  return true;
+};
+
+
+/**
+ * Compares this object with the specified object for order.
+ *
+ * @param {jsts.linearref.LinearLocation}
+ *          other the <code>LinearLocation</code> with which this
+ *          <code>Coordinate</code> is being compared.
+ * @return {number} a negative integer, zero, or a positive integer as this
+ *         <code>LinearLocation</code> is less than, equal to, or greater
+ *         than the specified <code>LinearLocation</code>.
+ */
+jsts.linearref.LinearLocation.prototype.compareTo = function(other) {
+  return this.compareLocationValues(other.componentIndex, other.segmentIndex,
+      other.segmentFraction);
+};
+
+
+/**
+ * Compares this object with the specified index values for order.
+ *
+ * @param {number}
+ *          componentIndex1 a component index.
+ * @param {number}
+ *          segmentIndex1 a segment index.
+ * @param {number}
+ *          segmentFraction1 a segment fraction.
+ * @return {number} a negative integer, zero, or a positive integer as this
+ *         <code>LinearLocation</code> is less than, equal to, or greater
+ *         than the specified locationValues.
+ */
+jsts.linearref.LinearLocation.prototype.compareLocationValues = function(
+    componentIndex1, segmentIndex1, segmentFraction1) {
+  return jsts.linearref.LinearLocation.compareLocationValues(
+      this.componentIndex, this.segmentIndex, this.segmentFraction,
+      componentIndex1, segmentIndex1, segmentFraction1);
+};
+
+
+/**
+ * Tests whether two locations are on the same segment in the parent
+ * {@link Geometry}.
+ *
+ * @param {jsts.linearref.LinearLocation}
+ *          loc a location on the same geometry.
+ * @return {boolean} true if the locations are on the same segment of the
+ *         parent geometry.
+ */
+jsts.linearref.LinearLocation.prototype.isOnSameSegment = function(loc) {
+  if (this.componentIndex !== loc.componentIndex)
+    return false;
+  if (this.segmentIndex === loc.segmentIndex)
+    return true;
+  if (loc.segmentIndex - this.segmentIndex === 1 &&
+      loc.segmentFraction === 0.0)
+    return true;
+  if (this.segmentIndex - loc.segmentIndex === 1 &&
+      this.segmentFraction === 0.0)
+    return true;
+  return false;
+};
+
+
+/**
+ * Tests whether this location is an endpoint of the linear component it
+ * refers to.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry referenced by this location.
+ * @return {boolean} true if the location is a component endpoint.
+ */
+jsts.linearref.LinearLocation.prototype.isEndpoint = function(linearGeom) {
+  var lineComp = linearGeom.getGeometryN(this.componentIndex);
+  // check for endpoint
+  var nseg = lineComp.getNumPoints() - 1;
+  return this.segmentIndex >= nseg ||
+      (this.segmentIndex === nseg && this.segmentFraction >= 1.0);
+};
+
+
+/**
+ * Converts a linear location to the lowest equivalent location index. The
+ * lowest index has the lowest possible component and segment indices.
+ * <p>
+ * Specifically:
+ * <ul>
+ * <li>if the location point is an endpoint, a location value is returned as
+ * (nseg-1, 1.0)
+ * <li>if the location point is ambiguous (i.e. an endpoint and a startpoint),
+ * the lowest endpoint location is returned
+ * </ul>
+ * If the location index is already the lowest possible value, the original
+ * location is returned.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry referenced by this location.
+ * @return {jsts.linearref.LinearLocation} the lowest equivalent location.
+ */
+jsts.linearref.LinearLocation.prototype.toLowest = function(linearGeom) {
+  var lineComp = linearGeom.getGeometryN(this.componentIndex);
+  var nseg = lineComp.getNumPoints() - 1;
+  // if not an endpoint can be returned directly
+  if (this.segmentIndex < nseg)
+    return this;
+  return new jsts.linearref.LinearLocation(this.componentIndex, nseg, 1.0,
+      false);
+};
+
+
+/**
+ * Copies this location
+ *
+ * @return {jsts.linearref.LinearLocation} a copy of this location.
+ */
+jsts.linearref.LinearLocation.prototype.clone = function() {
+  return new jsts.linearref.LinearLocation(this);
+};
+
+
+/**
+ * @return {string} a string representation of this location.
+ */
+jsts.linearref.LinearLocation.prototype.toString = function() {
+  return 'LinearLoc[' + this.componentIndex + ', ' + this.segmentIndex +
+      ', ' + this.segmentFraction + ']';
+};
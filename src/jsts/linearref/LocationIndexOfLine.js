@@ -0,0 +1,76 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/linearref/LocationIndexOfPoint.js
+ */
+
+
+
+/**
+ * Determines the location of a subline along a linear {@link Geometry}. The
+ * location is reported as a pair of {@link LinearLocation}s.
+ * <p>
+ * <b>Note:</b> Currently this algorithm is not guaranteed to return the
+ * correct substring in some situations where an endpoint of the test line
+ * occurs more than once in the input line. (However, the common case of a
+ * ring is always handled correctly).
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry.
+ * @constructor
+ */
+jsts.linearref.LocationIndexOfLine = function(linearGeom) {
+  this.linearGeom = linearGeom;
+};
+
+
+/**
+ * Computes the locations of the start and end of a subline.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry.
+ * @param {jsts.geom.Geometry}
+ *          subLine the subline to locate.
+ * @return {Array.<jsts.linearref.LinearLocation>} the start and end
+ *         locations of the subline.
+ */
+jsts.linearref.LocationIndexOfLine.indicesOf = function(linearGeom, subLine) {
+  var locater = new jsts.linearref.LocationIndexOfLine(linearGeom);
+  return locater.indicesOf(subLine);
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.linearref.LocationIndexOfLine.prototype.linearGeom = null;
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          subLine the subline to locate.
+ * @return {Array.<jsts.linearref.LinearLocation>} the start and end
+ *         locations of the subline.
+ */
+jsts.linearref.LocationIndexOfLine.prototype.indicesOf = function(subLine) {
+  var startPt = subLine.getGeometryN(0).getCoordinateN(0);
+  var lastLine = subLine.getGeometryN(subLine.getNumGeometries() - 1);
+  var endPt = lastLine.getCoordinateN(lastLine.getNumPoints() - 1);
+
+  var locPt = new jsts.linearref.LocationIndexOfPoint(this.linearGeom);
+  var subLineLoc = [];
+  subLineLoc[0] = locPt.indexOf(startPt);
+
+  // check for case where subline is zero length
+  if (subLine.getLength() === 0.0) {
+    subLineLoc[1] = subLineLoc[0].clone();
+  } else {
+    subLineLoc[1] = locPt.indexOfAfter(endPt, subLineLoc[0]);
+  }
+  return subLineLoc;
+};
@@ -0,0 +1,160 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/LineSegment.js
+ * @requires jsts/linearref/LinearIterator.js
+ * @requires jsts/linearref/LinearLocation.js
+ */
+
+
+
+/**
+ * Computes the {@link LinearLocation} of the point on a linear
+ * {@link Geometry} nearest a given {@link Coordinate}. The nearest point is
+ * not necessarily unique; this class always computes the nearest point
+ * closest to the start of the geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry.
+ * @constructor
+ */
+jsts.linearref.LocationIndexOfPoint = function(linearGeom) {
+  this.linearGeom = linearGeom;
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry.
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @return {jsts.linearref.LinearLocation} the location of the nearest point.
+ */
+jsts.linearref.LocationIndexOfPoint.indexOf = function(linearGeom, inputPt) {
+  var locater = new jsts.linearref.LocationIndexOfPoint(linearGeom);
+  return locater.indexOf(inputPt);
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry.
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @param {jsts.linearref.LinearLocation}
+ *          minIndex the minimum location to return.
+ * @return {jsts.linearref.LinearLocation} the location of the nearest point
+ *         after <code>minIndex</code>.
+ */
+jsts.linearref.LocationIndexOfPoint.indexOfAfter = function(linearGeom,
+    inputPt, minIndex) {
+  var locater = new jsts.linearref.LocationIndexOfPoint(linearGeom);
+  return locater.indexOfAfter(inputPt, minIndex);
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.linearref.LocationIndexOfPoint.prototype.linearGeom = null;
+
+
+/**
+ * Find the nearest location along a linear {@link Geometry} to a given point.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @return {jsts.linearref.LinearLocation} the location of the nearest point.
+ */
+jsts.linearref.LocationIndexOfPoint.prototype.indexOf = function(inputPt) {
+  return this.indexOfFromStart(inputPt, null);
+};
+
+
+/**
+ * Find the nearest {@link LinearLocation} along the linear {@link Geometry}
+ * to a given {@link Coordinate} after the specified minimum
+ * {@link LinearLocation}. If possible the location returned will be strictly
+ * greater than the <code>minLocation</code>. If this is not possible, the
+ * value returned will equal <code>minLocation</code>. (An example where this
+ * is not possible is when minLocation = [end of line] ).
+ *
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @param {jsts.linearref.LinearLocation}
+ *          minIndex the minimum location for the point location.
+ * @return {jsts.linearref.LinearLocation} the location of the nearest point.
+ */
+jsts.linearref.LocationIndexOfPoint.prototype.indexOfAfter = function(
+    inputPt, minIndex) {
+  if (minIndex === null || minIndex === undefined)
+    return this.indexOf(inputPt);
+
+  // sanity check for minLocation at or past end of line
+  var endLoc = jsts.linearref.LinearLocation.getEndLocation(this.linearGeom);
+  if (endLoc.compareTo(minIndex) <= 0)
+    return endLoc;
+
+  var closestAfter = this.indexOfFromStart(inputPt, minIndex);
+  // Return the minDistanceLocation found. This will not be null, since it
+  // was initialized to minLocation
+  jsts.util.Assert.isTrue(closestAfter.compareTo(minIndex) >= 0,
+      'computed location is before specified minimum location');
+  return closestAfter;
+};
+
+
+/**
+ * @param {jsts.geom.Coordinate}
+ *          inputPt the coordinate to locate.
+ * @param {jsts.linearref.LinearLocation}
+ *          minIndex the minimum location, or <code>null</code> if there is
+ *          none.
+ * @return {jsts.linearref.LinearLocation} the location of the nearest point.
+ * @private
+ */
+jsts.linearref.LocationIndexOfPoint.prototype.indexOfFromStart = function(
+    inputPt, minIndex) {
+  var minDistance = Number.MAX_VALUE;
+  var minComponentIndex = 0;
+  var minSegmentIndex = 0;
+  var minFrac = -1.0;
+
+  var seg = new jsts.geom.LineSegment();
+  var it = new jsts.linearref.LinearIterator(this.linearGeom);
+  for (; it.hasNext(); it.next()) {
+    if (!it.isEndOfLine()) {
+      seg.p0 = it.getSegmentStart();
+      seg.p1 = it.getSegmentEnd();
+      var segDistance = seg.distance(inputPt);
+      var segFrac = seg.segmentFraction(inputPt);
+
+      var candidateComponentIndex = it.getComponentIndex();
+      var candidateSegmentIndex = it.getVertexIndex();
+      if (segDistance < minDistance) {
+        // ensure after minLocation, if any
+        if (minIndex === null ||
+            minIndex.compareLocationValues(candidateComponentIndex,
+                candidateSegmentIndex, segFrac) < 0) {
+          // otherwise, save this as new minimum
+          minComponentIndex = candidateComponentIndex;
+          minSegmentIndex = candidateSegmentIndex;
+          minFrac = segFrac;
+          minDistance = segDistance;
+        }
+      }
+    }
+  }
+  if (minDistance === Number.MAX_VALUE) {
+    // no minimum was found past minLocation, so return it
+    return new jsts.linearref.LinearLocation(minIndex);
+  }
+  // otherwise, return computed location
+  return new jsts.linearref.LinearLocation(minComponentIndex,
+      minSegmentIndex, minFrac);
+};
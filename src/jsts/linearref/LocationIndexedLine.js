@@ -0,0 +1,202 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/linearref/ExtractLineByLocation.js
+ * @requires jsts/linearref/LinearLocation.js
+ * @requires jsts/linearref/LocationIndexOfLine.js
+ * @requires jsts/linearref/LocationIndexOfPoint.js
+ */
+
+
+
+/**
+ * Supports linear referencing along a linear {@link Geometry} using
+ * {@link LinearLocation}s as the index.
+ *
+ * @param {jsts.geom.Geometry}
+ *          linearGeom the linear geometry to reference along.
+ * @constructor
+ * @throws {jsts.error.IllegalArgumentError}
+ *           if <code>linearGeom</code> is not a {@link LineString} or
+ *           {@link MultiLineString}.
+ */
+jsts.linearref.LocationIndexedLine = function(linearGeom) {
+  if (!(linearGeom instanceof jsts.geom.LineString ||
+      linearGeom instanceof jsts.geom.MultiLineString)) {
+    throw new jsts.error.IllegalArgumentError(
+        'Input geometry must be linear');
+  }
+  this.linearGeom = linearGeom;
+};
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.linearref.LocationIndexedLine.prototype.linearGeom = null;
+
+
+/**
+ * Computes the {@link Coordinate} for the point on the line at the given
+ * index, optionally offset perpendicular to the line. If the index is out of
+ * range the first or last point on the line will be returned.
+ * <p>
+ * A positive offset places the point to the left of the line, a negative one
+ * to the right. At an interior vertex the offset is computed relative to
+ * the segment starting there; at the end of a component it is computed
+ * relative to the last segment.
+ *
+ * @param {jsts.linearref.LinearLocation}
+ *          index the index of the desired point.
+ * @param {number=}
+ *          offsetDistance the distance the point is offset from the line.
+ * @return {jsts.geom.Coordinate} the Coordinate at the given index.
+ */
+jsts.linearref.LocationIndexedLine.prototype.extractPoint = function(index,
+    offsetDistance) {
+  if (offsetDistance === undefined) {
+    return index.getCoordinate(this.linearGeom);
+  }
+  var indexLow = index.toLowest(this.linearGeom);
+  return indexLow.getSegment(this.linearGeom).pointAlongOffset(
+      indexLow.getSegmentFraction(), offsetDistance);
+};
+
+
+/**
+ * Computes the {@link LineString} for the interval on the line between the
+ * given indices. If the start location is after the end location, the
+ * computed linear geometry has reverse orientation to the input line.
+ *
+ * @param {jsts.linearref.LinearLocation}
+ *          startIndex the index of the start of the interval.
+ * @param {jsts.linearref.LinearLocation}
+ *          endIndex the index of the end of the interval.
+ * @return {jsts.geom.Geometry} the linear interval between the indices.
+ */
+jsts.linearref.LocationIndexedLine.prototype.extractLine = function(
+    startIndex, endIndex) {
+  return jsts.linearref.ExtractLineByLocation.extract(this.linearGeom,
+      startIndex, endIndex);
+};
+
+
+/**
+ * Computes the index for a given point on the line.
+ * <p>
+ * The supplied point does not <i>necessarily</i> have to lie precisely on
+ * the line, but if it is far from the line the accuracy and performance of
+ * this function is not guaranteed. Use {@link #project} to compute a
+ * guaranteed result for points which may be far from the line.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt a point on the line.
+ * @return {jsts.linearref.LinearLocation} the index of the point.
+ */
+jsts.linearref.LocationIndexedLine.prototype.indexOf = function(pt) {
+  return jsts.linearref.LocationIndexOfPoint.indexOf(this.linearGeom, pt);
+};
+
+
+/**
+ * Finds the index for a point on the line which is greater than the given
+ * index. If no such index exists, returns <tt>minIndex</tt>. This method can
+ * be used to determine all indexes for a point which occurs more than once
+ * on a non-simple line.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt a point on the line.
+ * @param {jsts.linearref.LinearLocation}
+ *          minIndex the value the returned index must be greater than.
+ * @return {jsts.linearref.LinearLocation} the index of the point greater
+ *         than the given minimum index.
+ */
+jsts.linearref.LocationIndexedLine.prototype.indexOfAfter = function(pt,
+    minIndex) {
+  return jsts.linearref.LocationIndexOfPoint.indexOfAfter(this.linearGeom,
+      pt, minIndex);
+};
+
+
+/**
+ * Computes the indices for a subline of the line. (The subline must
+ * <b>conform</b> to the line; that is, all vertices in the subline (except
+ * possibly the first and last) must be vertices of the line and occur in the
+ * same order).
+ *
+ * @param {jsts.geom.Geometry}
+ *          subLine a subLine of the line.
+ * @return {Array.<jsts.linearref.LinearLocation>} a pair of indices for the
+ *         start and end of the subline.
+ */
+jsts.linearref.LocationIndexedLine.prototype.indicesOf = function(subLine) {
+  return jsts.linearref.LocationIndexOfLine.indicesOf(this.linearGeom,
+      subLine);
+};
+
+
+/**
+ * Computes the index for the closest point on the line to the given point.
+ * If more than one point has the closest distance the first one along the
+ * line is returned. (The point does not necessarily have to lie precisely on
+ * the line.)
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt a point on the line.
+ * @return {jsts.linearref.LinearLocation} the index of the point.
+ */
+jsts.linearref.LocationIndexedLine.prototype.project = function(pt) {
+  return jsts.linearref.LocationIndexOfPoint.indexOf(this.linearGeom, pt);
+};
+
+
+/**
+ * Returns the index of the start of the line
+ *
+ * @return {jsts.linearref.LinearLocation} the start index.
+ */
+jsts.linearref.LocationIndexedLine.prototype.getStartIndex = function() {
+  return new jsts.linearref.LinearLocation();
+};
+
+
+/**
+ * Returns the index of the end of the line
+ *
+ * @return {jsts.linearref.LinearLocation} the end index.
+ */
+jsts.linearref.LocationIndexedLine.prototype.getEndIndex = function() {
+  return jsts.linearref.LinearLocation.getEndLocation(this.linearGeom);
+};
+
+
+/**
+ * Tests whether an index is in the valid index range for the line.
+ *
+ * @param {jsts.linearref.LinearLocation}
+ *          index the index to test.
+ * @return {boolean} <code>true</code> if the index is in the valid range.
+ */
+jsts.linearref.LocationIndexedLine.prototype.isValidIndex = function(index) {
+  return index.isValid(this.linearGeom);
+};
+
+
+/**
+ * Computes a valid index for this line by clamping the given index to the
+ * valid range of index values
+ *
+ * @param {jsts.linearref.LinearLocation}
+ *          index the index to clamp.
+ * @return {jsts.linearref.LinearLocation} a valid index value.
+ */
+jsts.linearref.LocationIndexedLine.prototype.clampIndex = function(index) {
+  var loc = index.clone();
+  loc.clamp(this.linearGeom);
+  return loc;
+};
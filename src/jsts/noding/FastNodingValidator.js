@@ -52,7 +52,7 @@
   };
 
   jsts.noding.FastNodingValidator.prototype.getIntersections = function() {
-    return segInt.getIntersections();
+    return this.segInt.getIntersections();
   };
 
   /**
@@ -0,0 +1,67 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/noding/MCIndexSegmentSetMutualIntersector.js
+ * @requires jsts/noding/SegmentIntersectionDetector.js
+ */
+
+
+
+/**
+ * Finds if two sets of {@link SegmentString}s intersect. Uses indexing for
+ * fast performance and to optimize repeated tests against a target set of
+ * lines. Short-circuited to return as soon an intersection is found.
+ *
+ * @param {jsts.noding.SegmentString[]}
+ *          baseSegStrings the segment strings to test against.
+ * @constructor
+ */
+jsts.noding.FastSegmentSetIntersectionFinder = function(baseSegStrings) {
+  this.segSetMutInt = new jsts.noding.MCIndexSegmentSetMutualIntersector();
+  this.segSetMutInt.setBaseSegments(baseSegStrings);
+};
+
+
+/**
+ * @type {jsts.noding.SegmentSetMutualIntersector}
+ * @private
+ */
+jsts.noding.FastSegmentSetIntersectionFinder.prototype.segSetMutInt = null;
+
+
+/**
+ * Gets the segment set intersector used by this class. This allows other
+ * uses of the same underlying indexed structure.
+ *
+ * @return {jsts.noding.SegmentSetMutualIntersector} the segment set
+ *         intersector used.
+ */
+jsts.noding.FastSegmentSetIntersectionFinder.prototype.getSegmentSetIntersector = function() {
+  return this.segSetMutInt;
+};
+
+
+/**
+ * Tests whether the given segment strings intersect the base segment strings.
+ *
+ * @param {jsts.noding.SegmentString[]}
+ *          segStrings the segment strings to test.
+ * @param {jsts.noding.SegmentIntersectionDetector}
+ *          [intDetector] the detector to use, which records the kinds of
+ *          intersections found.
+ * @return {boolean} true if an intersection is found.
+ */
+jsts.noding.FastSegmentSetIntersectionFinder.prototype.intersects = function(
+    segStrings, intDetector) {
+  if (!intDetector) {
+    intDetector = new jsts.noding.SegmentIntersectionDetector(
+        new jsts.algorithm.RobustLineIntersector());
+  }
+  this.segSetMutInt.setSegmentIntersector(intDetector);
+  this.segSetMutInt.process(segStrings);
+  return intDetector.hasIntersection();
+};
@@ -47,7 +47,7 @@
   };
 
   jsts.noding.InteriorIntersectionFinder.prototype.getIntersections = function() {
-    return intersections;
+    return this.intersections;
   };
 
   /**
@@ -102,7 +102,7 @@
   jsts.noding.InteriorIntersectionFinder.prototype.processIntersections = function(
       e0, segIndex0, e1, segIndex1) {
     // short-circuit if intersection already found
-    if (this.hasIntersection())
+    if (!this.findAllIntersections && this.hasIntersection())
       return;
 
     // don't bother intersecting a segment with itself
@@ -115,7 +115,7 @@
      */
     if (this.isCheckEndSegmentsOnly) {
       var isEndSegPresent = this.isEndSegment(e0, segIndex0) ||
-          isEndSegment(e1, segIndex1);
+          this.isEndSegment(e1, segIndex1);
       if (!isEndSegPresent)
         return;
     }
@@ -136,8 +136,8 @@
         this.intSegments[2] = p10;
         this.intSegments[3] = p11;
 
-        this.interiorIntersection = li.getIntersection(0);
-        this.intersections.add(interiorIntersection);
+        this.interiorIntersection = this.li.getIntersection(0);
+        this.intersections.add(this.interiorIntersection);
       }
     }
   };
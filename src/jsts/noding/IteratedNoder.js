@@ -0,0 +1,174 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/noding/Noder.js
+   * @requires jsts/noding/MCIndexNoder.js
+   * @requires jsts/noding/IntersectionAdder.js
+   * @requires jsts/noding/InteriorIntersectionFinder.js
+   * @requires jsts/algorithm/RobustLineIntersector.js
+   */
+
+  var Noder = jsts.noding.Noder;
+  var MCIndexNoder = jsts.noding.MCIndexNoder;
+  var IntersectionAdder = jsts.noding.IntersectionAdder;
+  var InteriorIntersectionFinder = jsts.noding.InteriorIntersectionFinder;
+
+
+
+  /**
+   * Nodes a set of {@link SegmentString}s completely. The set of segment
+   * strings is fully noded; i.e. noding is repeated until no further
+   * intersections are detected.
+   * <p>
+   * Iterated noding using a FLOATING precision model is not guaranteed to
+   * converge, due to roundoff error. This problem is detected and a
+   * {@link jsts.error.NodingError} listing the unresolved intersections is
+   * thrown. Clients can choose to rerun the noding using a lower precision
+   * model.
+   *
+   * @param {jsts.geom.PrecisionModel}
+   *          pm the precision model to compute intersections in.
+   * @constructor
+   */
+  jsts.noding.IteratedNoder = function(pm) {
+    this.li = new jsts.algorithm.RobustLineIntersector();
+    this.pm = pm;
+    this.li.setPrecisionModel(pm);
+  };
+
+  jsts.noding.IteratedNoder.prototype = new Noder();
+  jsts.noding.IteratedNoder.constructor = jsts.noding.IteratedNoder;
+
+
+  /**
+   * The default maximum number of iterations.
+   *
+   * @type {number}
+   */
+  jsts.noding.IteratedNoder.MAX_ITER = 5;
+
+
+  /**
+   * @type {jsts.geom.PrecisionModel}
+   * @private
+   */
+  jsts.noding.IteratedNoder.prototype.pm = null;
+
+
+  /**
+   * @type {jsts.algorithm.LineIntersector}
+   * @private
+   */
+  jsts.noding.IteratedNoder.prototype.li = null;
+
+
+  /**
+   * @type {javascript.util.Collection}
+   * @private
+   */
+  jsts.noding.IteratedNoder.prototype.nodedSegStrings = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.noding.IteratedNoder.prototype.maxIter = jsts.noding.IteratedNoder.MAX_ITER;
+
+
+  /**
+   * Sets the maximum number of noding iterations performed before the noding
+   * is aborted. Experimentally the default value of 5 iterations is enough to
+   * ensure that nodes are computed correctly, but this can be increased if
+   * necessary.
+   *
+   * @param {number}
+   *          maxIter the maximum number of iterations to perform.
+   */
+  jsts.noding.IteratedNoder.prototype.setMaximumIterations = function(maxIter) {
+    this.maxIter = maxIter;
+  };
+
+
+  /**
+   * @return {javascript.util.Collection} the fully noded substrings.
+   */
+  jsts.noding.IteratedNoder.prototype.getNodedSubstrings = function() {
+    return this.nodedSegStrings;
+  };
+
+
+  /**
+   * Fully nodes a list of {@link SegmentString}s, i.e. performs noding
+   * iteratively until no intersections are found between segments. Maintains
+   * labelling of edges correctly through the noding.
+   *
+   * @param {javascript.util.Collection}
+   *          segStrings a collection of SegmentStrings to be noded.
+   * @throws {jsts.error.NodingError}
+   *           if the iterated noding fails to converge.
+   */
+  jsts.noding.IteratedNoder.prototype.computeNodes = function(segStrings) {
+    this.nodedSegStrings = segStrings;
+    var nodingIterationCount = 0;
+    var lastNodesCreated = -1;
+    do {
+      var nodesCreated = this.node(this.nodedSegStrings);
+      nodingIterationCount++;
+
+      /**
+       * Fail if the number of nodes created is not declining. However, allow a
+       * few iterations at least before doing this
+       */
+      if (lastNodesCreated > 0 && nodesCreated >= lastNodesCreated &&
+          nodingIterationCount > this.maxIter) {
+        throw new jsts.error.NodingError(
+            'Iterated noding failed to converge after ' +
+            nodingIterationCount + ' iterations', this
+                .findInteriorIntersections(this.nodedSegStrings));
+      }
+      lastNodesCreated = nodesCreated;
+
+    } while (lastNodesCreated > 0);
+  };
+
+
+  /**
+   * Node the input segment strings once and create the split edges between
+   * the nodes.
+   *
+   * @return {number} the number of interior intersections found.
+   * @private
+   */
+  jsts.noding.IteratedNoder.prototype.node = function(segStrings) {
+    var si = new IntersectionAdder(this.li);
+    var noder = new MCIndexNoder();
+    noder.setSegmentIntersector(si);
+    noder.computeNodes(segStrings);
+    this.nodedSegStrings = noder.getNodedSubstrings();
+    return si.numInteriorIntersections;
+  };
+
+
+  /**
+   * @return {jsts.geom.Coordinate[]} the interior intersections remaining
+   *         between the segment strings.
+   * @private
+   */
+  jsts.noding.IteratedNoder.prototype.findInteriorIntersections = function(
+      segStrings) {
+    var intFinder = new InteriorIntersectionFinder(this.li);
+    intFinder.setFindAllIntersections(true);
+    var noder = new MCIndexNoder();
+    noder.setSegmentIntersector(intFinder);
+    noder.computeNodes(segStrings);
+    return intFinder.getIntersections().toArray();
+  };
+
+})();
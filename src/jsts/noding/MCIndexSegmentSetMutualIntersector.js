@@ -0,0 +1,191 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/noding/SegmentSetMutualIntersector.js
+   * @requires jsts/index/strtree/STRtree.js
+   * @requires jsts/index/chain/MonotoneChainBuilder.js
+   * @requires jsts/index/chain/MonotoneChainOverlapAction.js
+   */
+
+  var MonotoneChainOverlapAction = jsts.index.chain.MonotoneChainOverlapAction;
+  var MonotoneChainBuilder = jsts.index.chain.MonotoneChainBuilder;
+  var STRtree = jsts.index.strtree.STRtree;
+
+
+  /**
+   * @constructor
+   * @private
+   */
+  var SegmentOverlapAction = function(si) {
+    MonotoneChainOverlapAction.call(this);
+    this.si = si;
+  };
+  jsts.inherit(SegmentOverlapAction, MonotoneChainOverlapAction);
+
+  /**
+   * @type {SegmentIntersector}
+   * @private
+   */
+  SegmentOverlapAction.prototype.si = null;
+
+  SegmentOverlapAction.prototype.overlap = function(mc1, start1, mc2, start2) {
+    var ss1 = mc1.getContext();
+    var ss2 = mc2.getContext();
+    this.si.processIntersections(ss1, start1, ss2, start2);
+  };
+
+
+
+  /**
+   * Intersects two sets of {@link SegmentString}s using an index based on
+   * {@link MonotoneChain}s and a {@link SpatialIndex}. The base segments are
+   * indexed once, so the intersector can be used to process several sets of
+   * segments against them.
+   *
+   * @constructor
+   * @extends {jsts.noding.SegmentSetMutualIntersector}
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector = function() {
+    this.monoChains = [];
+    this.index = new STRtree();
+  };
+  jsts.inherit(jsts.noding.MCIndexSegmentSetMutualIntersector,
+      jsts.noding.SegmentSetMutualIntersector);
+
+
+  /**
+   * The monotone chains of the segments being processed.
+   *
+   * @type {Array}
+   * @private
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.monoChains = null;
+
+
+  /**
+   * The index of the monotone chains of the base segments.
+   *
+   * @type {SpatialIndex}
+   * @private
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.index = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.indexCounter = 0;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.processCounter = 0;
+
+
+  /**
+   * statistics
+   *
+   * @type {number}
+   * @private
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.nOverlaps = 0;
+
+
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.getMonotoneChains = function() {
+    return this.monoChains;
+  };
+
+
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.getIndex = function() {
+    return this.index;
+  };
+
+
+  /**
+   * @param {jsts.noding.SegmentString[]}
+   *          segStrings the segment strings to index.
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.setBaseSegments = function(
+      segStrings) {
+    for (var i = 0; i < segStrings.length; i++) {
+      this.addToIndex(segStrings[i]);
+    }
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.addToIndex = function(
+      segStr) {
+    var segChains = MonotoneChainBuilder.getChains(segStr.getCoordinates(),
+        segStr);
+    for (var i = 0; i < segChains.length; i++) {
+      var mc = segChains[i];
+      mc.setId(this.indexCounter++);
+      this.index.insert(mc.getEnvelope(), mc);
+    }
+  };
+
+
+  /**
+   * @param {jsts.noding.SegmentString[]}
+   *          segStrings the segment strings to intersect with the base
+   *          segments.
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.process = function(
+      segStrings) {
+    this.processCounter = this.indexCounter + 1;
+    this.nOverlaps = 0;
+    this.monoChains = [];
+    for (var i = 0; i < segStrings.length; i++) {
+      this.addToMonoChains(segStrings[i]);
+    }
+    this.intersectChains();
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.intersectChains = function() {
+    var overlapAction = new SegmentOverlapAction(this.segInt);
+
+    for (var i = 0; i < this.monoChains.length; i++) {
+      var queryChain = this.monoChains[i];
+      var overlapChains = this.index.query(queryChain.getEnvelope());
+      for (var j = 0; j < overlapChains.length; j++) {
+        var testChain = overlapChains[j];
+        queryChain.computeOverlaps(testChain, overlapAction);
+        this.nOverlaps++;
+        if (this.segInt.isDone())
+          return;
+      }
+    }
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.MCIndexSegmentSetMutualIntersector.prototype.addToMonoChains = function(
+      segStr) {
+    var segChains = MonotoneChainBuilder.getChains(segStr.getCoordinates(),
+        segStr);
+    for (var i = 0; i < segChains.length; i++) {
+      var mc = segChains[i];
+      mc.setId(this.processCounter++);
+      this.monoChains.push(mc);
+    }
+  };
+
+})();
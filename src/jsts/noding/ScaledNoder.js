@@ -0,0 +1,158 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/noding/Noder.js
+   * @requires jsts/noding/NodedSegmentString.js
+   */
+
+  var Noder = jsts.noding.Noder;
+  var ArrayList = javascript.util.ArrayList;
+
+
+
+  /**
+   * Wraps a {@link Noder} and transforms its input into the integer domain.
+   * This is intended for use with Snap-Rounding noders, which typically are
+   * only intended to work in the integer domain. Offsets can be provided to
+   * increase the number of digits of available precision.
+   * <p>
+   * Clients should be aware that rescaling can involve loss of precision,
+   * which can cause zero-length line segments to be created. These in turn can
+   * cause problems when used to build a planar graph. This situation should be
+   * checked for and collapsed segments removed if necessary.
+   * <p>
+   * The input is always rounded to the integer domain, even if the scale
+   * factor is 1, since a snap-rounding noder requires integral input.
+   *
+   * @param {jsts.noding.Noder}
+   *          noder the noder to wrap.
+   * @param {number}
+   *          scaleFactor the factor which scales input coordinates to the
+   *          integer domain.
+   * @param {number}
+   *          [offsetX] the offset subtracted from x ordinates before scaling.
+   * @param {number}
+   *          [offsetY] the offset subtracted from y ordinates before scaling.
+   * @constructor
+   */
+  jsts.noding.ScaledNoder = function(noder, scaleFactor, offsetX, offsetY) {
+    this.noder = noder;
+    this.scaleFactor = scaleFactor;
+    this.offsetX = offsetX || 0;
+    this.offsetY = offsetY || 0;
+  };
+
+  jsts.noding.ScaledNoder.prototype = new Noder();
+  jsts.noding.ScaledNoder.constructor = jsts.noding.ScaledNoder;
+
+
+  /**
+   * @type {jsts.noding.Noder}
+   * @private
+   */
+  jsts.noding.ScaledNoder.prototype.noder = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.noding.ScaledNoder.prototype.scaleFactor = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.noding.ScaledNoder.prototype.offsetX = 0;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.noding.ScaledNoder.prototype.offsetY = 0;
+
+
+  /**
+   * @return {javascript.util.ArrayList} the noded substrings, in the original
+   *         coordinate domain.
+   */
+  jsts.noding.ScaledNoder.prototype.getNodedSubstrings = function() {
+    var splitSS = this.noder.getNodedSubstrings();
+    this.rescale(splitSS);
+    return splitSS;
+  };
+
+
+  /**
+   * @param {javascript.util.ArrayList}
+   *          inputSegStrings the segment strings to node.
+   */
+  jsts.noding.ScaledNoder.prototype.computeNodes = function(inputSegStrings) {
+    this.noder.computeNodes(this.scale(inputSegStrings));
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.ScaledNoder.prototype.scale = function(segStrings) {
+    var nodedSegmentStrings = new ArrayList();
+    for (var i = segStrings.iterator(); i.hasNext();) {
+      var ss = i.next();
+      nodedSegmentStrings.add(new jsts.noding.NodedSegmentString(this
+          .scaleCoordinates(ss.getCoordinates()), ss.getData()));
+    }
+    return nodedSegmentStrings;
+  };
+
+
+  /**
+   * Scales coordinates to the integer domain, removing any repeated points
+   * created by the rounding.
+   *
+   * @private
+   */
+  jsts.noding.ScaledNoder.prototype.scaleCoordinates = function(pts) {
+    var roundPts = [];
+    for (var i = 0; i < pts.length; i++) {
+      var roundPt = new jsts.geom.Coordinate(Math.round((pts[i].x - this.offsetX) *
+          this.scaleFactor), Math.round((pts[i].y - this.offsetY) *
+          this.scaleFactor), pts[i].z);
+      if (roundPts.length === 0 ||
+          !roundPt.equals2D(roundPts[roundPts.length - 1]))
+        roundPts.push(roundPt);
+    }
+    return roundPts;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.ScaledNoder.prototype.rescale = function(segStrings) {
+    for (var i = segStrings.iterator(); i.hasNext();) {
+      var ss = i.next();
+      this.rescaleCoordinates(ss.getCoordinates());
+    }
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.ScaledNoder.prototype.rescaleCoordinates = function(pts) {
+    for (var i = 0; i < pts.length; i++) {
+      pts[i].x = pts[i].x / this.scaleFactor + this.offsetX;
+      pts[i].y = pts[i].y / this.scaleFactor + this.offsetY;
+    }
+  };
+
+})();
@@ -0,0 +1,240 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/noding/SegmentIntersector.js
+ */
+
+
+
+/**
+ * Detects and records an intersection between two {@link SegmentString}s, if
+ * one exists. Only a single intersection is recorded. This strategy can be
+ * configured to search for proper intersections. In this case, the presence
+ * of <i>any</i> kind of intersection will still be recorded, but searching
+ * will continue until either a proper intersection has been found or no
+ * intersections are detected.
+ *
+ * @param {jsts.algorithm.LineIntersector}
+ *          li the LineIntersector to use.
+ * @constructor
+ * @extends {jsts.noding.SegmentIntersector}
+ */
+jsts.noding.SegmentIntersectionDetector = function(li) {
+  this.li = li;
+};
+jsts.inherit(jsts.noding.SegmentIntersectionDetector,
+    jsts.noding.SegmentIntersector);
+
+
+/**
+ * @type {jsts.algorithm.LineIntersector}
+ * @private
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.li = null;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.findProper = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.findAllTypes = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.noding.SegmentIntersectionDetector.prototype._hasIntersection = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.noding.SegmentIntersectionDetector.prototype._hasProperIntersection = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.noding.SegmentIntersectionDetector.prototype._hasNonProperIntersection = false;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.intPt = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate[]}
+ * @private
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.intSegments = null;
+
+
+/**
+ * Sets whether processing must continue until a proper intersection is found.
+ *
+ * @param {boolean}
+ *          findProper true if processing should continue until a proper
+ *          intersection is found.
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.setFindProper = function(
+    findProper) {
+  this.findProper = findProper;
+};
+
+
+/**
+ * Sets whether processing can terminate once any intersection is found.
+ *
+ * @param {boolean}
+ *          findAllTypes true if processing can terminate once any
+ *          intersection is found.
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.setFindAllIntersectionTypes = function(
+    findAllTypes) {
+  this.findAllTypes = findAllTypes;
+};
+
+
+/**
+ * Tests whether an intersection was found.
+ *
+ * @return {boolean} true if an intersection was found.
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.hasIntersection = function() {
+  return this._hasIntersection;
+};
+
+
+/**
+ * Tests whether a proper intersection was found.
+ *
+ * @return {boolean} true if a proper intersection was found.
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.hasProperIntersection = function() {
+  return this._hasProperIntersection;
+};
+
+
+/**
+ * Tests whether a non-proper intersection was found.
+ *
+ * @return {boolean} true if a non-proper intersection was found.
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.hasNonProperIntersection = function() {
+  return this._hasNonProperIntersection;
+};
+
+
+/**
+ * Gets the computed location of the intersection. Due to round-off, the
+ * location may not be exact.
+ *
+ * @return {jsts.geom.Coordinate} the coordinate for the intersection
+ *         location.
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.getIntersection = function() {
+  return this.intPt;
+};
+
+
+/**
+ * Gets the endpoints of the intersecting segments.
+ *
+ * @return {jsts.geom.Coordinate[]} an array of the segment endpoints (p00,
+ *         p01, p10, p11).
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.getIntersectionSegments = function() {
+  return this.intSegments;
+};
+
+
+/**
+ * This method is called by clients of the {@link SegmentIntersector} class to
+ * process intersections for two segments of the {@link SegmentString}s being
+ * intersected. Note that some clients (such as <code>MonotoneChain</code>s)
+ * may optimize away this call for segment pairs which they have determined do
+ * not intersect (e.g. by an disjoint envelope test).
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.processIntersections = function(
+    e0, segIndex0, e1, segIndex1) {
+  // don't bother intersecting a segment with itself
+  if (e0 === e1 && segIndex0 === segIndex1)
+    return;
+
+  var p00 = e0.getCoordinates()[segIndex0];
+  var p01 = e0.getCoordinates()[segIndex0 + 1];
+  var p10 = e1.getCoordinates()[segIndex1];
+  var p11 = e1.getCoordinates()[segIndex1 + 1];
+
+  this.li.computeIntersection(p00, p01, p10, p11);
+
+  if (this.li.hasIntersection()) {
+    // record intersection info
+    this._hasIntersection = true;
+
+    var isProper = this.li.isProper();
+    if (isProper)
+      this._hasProperIntersection = true;
+    if (!isProper)
+      this._hasNonProperIntersection = true;
+
+    /**
+     * If this is the kind of intersection we are searching for OR no location
+     * has yet been recorded save the location data
+     */
+    var saveLocation = true;
+    if (this.findProper && !isProper)
+      saveLocation = false;
+
+    if (this.intPt === null || saveLocation) {
+      // record intersection location (approximate)
+      this.intPt = this.li.getIntersection(0);
+
+      // record intersecting segments
+      this.intSegments = [p00, p01, p10, p11];
+    }
+  }
+};
+
+
+/**
+ * Tests whether processing can terminate, because all required information
+ * has been obtained (e.g. an intersection of the desired type has been
+ * detected).
+ *
+ * @return {boolean} true if processing can terminate.
+ */
+jsts.noding.SegmentIntersectionDetector.prototype.isDone = function() {
+  /**
+   * If finding all types, we can stop when both possible types have been
+   * found.
+   */
+  if (this.findAllTypes) {
+    return this._hasProperIntersection && this._hasNonProperIntersection;
+  }
+
+  /**
+   * If searching for a proper intersection, only stop if one is found
+   */
+  if (this.findProper) {
+    return this._hasProperIntersection;
+  }
+  return this._hasIntersection;
+};
@@ -0,0 +1,61 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * An intersector for the red-blue intersection problem. In this class of
+ * line arrangement problem, two disjoint sets of linestrings are provided. It
+ * is assumed that within each set, no two linestrings intersect. The task is
+ * to find all the intersections between the two sets.
+ * <p>
+ * The intersector is used by calling {@link #setBaseSegments} to provide one
+ * set of segments, and then calling {@link #process} with the other set.
+ * Intersections are reported to the {@link SegmentIntersector} set with
+ * {@link #setSegmentIntersector}.
+ *
+ * @constructor
+ */
+jsts.noding.SegmentSetMutualIntersector = function() {
+
+};
+
+
+/**
+ * @type {jsts.noding.SegmentIntersector}
+ * @protected
+ */
+jsts.noding.SegmentSetMutualIntersector.prototype.segInt = null;
+
+
+/**
+ * Sets the {@link SegmentIntersector} to use with this intersector. The
+ * SegmentIntersector will either rocord or add intersection nodes for the
+ * input segment strings.
+ *
+ * @param {jsts.noding.SegmentIntersector}
+ *          segInt the segment intersector to use.
+ */
+jsts.noding.SegmentSetMutualIntersector.prototype.setSegmentIntersector = function(
+    segInt) {
+  this.segInt = segInt;
+};
+
+
+/**
+ * @param {jsts.noding.SegmentString[]}
+ *          segStrings a collection of {@link SegmentString}s to node.
+ */
+jsts.noding.SegmentSetMutualIntersector.prototype.setBaseSegments = jsts.abstractFunc;
+
+
+/**
+ * Computes the intersections for two collections of {@link SegmentString}s.
+ *
+ * @param {jsts.noding.SegmentString[]}
+ *          segStrings a collection of {@link SegmentString}s to node.
+ */
+jsts.noding.SegmentSetMutualIntersector.prototype.process = jsts.abstractFunc;
@@ -0,0 +1,41 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/noding/BasicSegmentString.js
+ * @requires jsts/geom/util/LinearComponentExtracter.js
+ */
+
+
+
+/**
+ * Utility methods for processing {@link SegmentString}s.
+ *
+ * @constructor
+ */
+jsts.noding.SegmentStringUtil = function() {
+
+};
+
+
+/**
+ * Extracts all linear components from a given {@link Geometry} to
+ * {@link SegmentString}s. The SegmentString data item is set to be the
+ * source Geometry.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry to extract from.
+ * @return {jsts.noding.SegmentString[]} the segment strings.
+ */
+jsts.noding.SegmentStringUtil.extractSegmentStrings = function(geom) {
+  var segStr = [];
+  var lines = jsts.geom.util.LinearComponentExtracter.getLines(geom);
+  for (var i = 0; i < lines.length; i++) {
+    var pts = lines[i].getCoordinates();
+    segStr.push(new jsts.noding.BasicSegmentString(pts, geom));
+  }
+  return segStr;
+};
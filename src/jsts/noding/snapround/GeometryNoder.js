@@ -0,0 +1,148 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/PrecisionModel.js
+   * @requires jsts/geom/util/LinearComponentExtracter.js
+   * @requires jsts/noding/NodedSegmentString.js
+   * @requires jsts/noding/ScaledNoder.js
+   * @requires jsts/noding/FastNodingValidator.js
+   * @requires jsts/noding/snapround/MCIndexSnapRounder.js
+   */
+
+  var ArrayList = javascript.util.ArrayList;
+
+
+
+  /**
+   * Nodes the linework in a list of {@link Geometry}s using Snap-Rounding to a
+   * given {@link PrecisionModel}.
+   * <p>
+   * The input coordinates are rounded to the given precision model by scaling
+   * them into the integer domain, so they do not need to be precise already.
+   * The output coordinates are rounded to the precision model.
+   * <p>
+   * This can be used to compute a fully noded arrangement of the linework of
+   * the inputs to an overlay, e.g. before polygonizing it or when the regular
+   * overlay noding fails with a {@link jsts.error.TopologyError}.
+   *
+   * @param {jsts.geom.PrecisionModel}
+   *          pm the fixed precision model to snap-round to.
+   * @constructor
+   */
+  jsts.noding.snapround.GeometryNoder = function(pm) {
+    this.pm = pm;
+  };
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.noding.snapround.GeometryNoder.prototype.geomFact = null;
+
+
+  /**
+   * @type {jsts.geom.PrecisionModel}
+   * @private
+   */
+  jsts.noding.snapround.GeometryNoder.prototype.pm = null;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.noding.snapround.GeometryNoder.prototype.isValidityChecked = false;
+
+
+  /**
+   * Sets whether noding validity is checked after noding is performed.
+   *
+   * @param {boolean}
+   *          isValidityChecked whether to check the noded output.
+   */
+  jsts.noding.snapround.GeometryNoder.prototype.setValidate = function(
+      isValidityChecked) {
+    this.isValidityChecked = isValidityChecked;
+  };
+
+
+  /**
+   * Nodes the linework of a set of Geometrys using SnapRounding.
+   *
+   * @param {jsts.geom.Geometry[]}
+   *          geoms the geometries to node.
+   * @return {jsts.geom.LineString[]} the noded lines.
+   * @throws {jsts.error.TopologyError}
+   *           if validation is enabled and the result is not fully noded.
+   */
+  jsts.noding.snapround.GeometryNoder.prototype.node = function(geoms) {
+    // get geometry factory
+    this.geomFact = geoms[0].getFactory();
+
+    var segStrings = this.toSegmentStrings(this.extractLines(geoms));
+    var noder = new jsts.noding.ScaledNoder(
+        new jsts.noding.snapround.MCIndexSnapRounder(
+            new jsts.geom.PrecisionModel(1.0)), this.pm.getScale());
+    noder.computeNodes(segStrings);
+    var nodedLines = noder.getNodedSubstrings();
+
+    if (this.isValidityChecked) {
+      var nv = new jsts.noding.FastNodingValidator(nodedLines);
+      nv.checkValid();
+    }
+
+    return this.toLineStrings(nodedLines);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.snapround.GeometryNoder.prototype.toLineStrings = function(
+      segStrings) {
+    var lines = [];
+    for (var it = segStrings.iterator(); it.hasNext();) {
+      var ss = it.next();
+      // skip collapsed lines
+      if (ss.size() < 2)
+        continue;
+      lines.push(this.geomFact.createLineString(ss.getCoordinates()));
+    }
+    return lines;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.snapround.GeometryNoder.prototype.extractLines = function(geoms) {
+    var lines = [];
+    for (var i = 0; i < geoms.length; i++) {
+      lines = lines.concat(jsts.geom.util.LinearComponentExtracter
+          .getLines(geoms[i]));
+    }
+    return lines;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.snapround.GeometryNoder.prototype.toSegmentStrings = function(
+      lines) {
+    var segStrings = new ArrayList();
+    for (var i = 0; i < lines.length; i++) {
+      segStrings.add(new jsts.noding.NodedSegmentString(lines[i]
+          .getCoordinates(), null));
+    }
+    return segStrings;
+  };
+
+})();
@@ -0,0 +1,116 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/index/chain/MonotoneChainSelectAction.js
+   * @requires jsts/noding/snapround/HotPixel.js
+   */
+
+  var MonotoneChainSelectAction = jsts.index.chain.MonotoneChainSelectAction;
+
+
+  /**
+   * @constructor
+   * @private
+   */
+  var HotPixelSnapAction = function(hotPixel, parentEdge, vertexIndex) {
+    MonotoneChainSelectAction.apply(this);
+    this.hotPixel = hotPixel;
+    this.parentEdge = parentEdge;
+    this.vertexIndex = vertexIndex;
+  };
+
+  HotPixelSnapAction.prototype = new MonotoneChainSelectAction();
+  HotPixelSnapAction.constructor = HotPixelSnapAction;
+
+  /**
+   * @type {jsts.noding.snapround.HotPixel}
+   * @private
+   */
+  HotPixelSnapAction.prototype.hotPixel = null;
+  /**
+   * @type {jsts.noding.SegmentString}
+   * @private
+   */
+  HotPixelSnapAction.prototype.parentEdge = null;
+  /**
+   * @type {number}
+   * @private
+   */
+  HotPixelSnapAction.prototype.vertexIndex = -1;
+  /**
+   * @type {boolean}
+   * @private
+   */
+  HotPixelSnapAction.prototype.isNodeAdded = false;
+
+  HotPixelSnapAction.prototype.select = function(mc, startIndex) {
+    var ss = mc.getContext();
+    // don't snap a vertex to itself
+    if (this.parentEdge !== null) {
+      if (ss === this.parentEdge && startIndex === this.vertexIndex)
+        return;
+    }
+    this.isNodeAdded = this.hotPixel.addSnappedNode(ss, startIndex) ||
+        this.isNodeAdded;
+  };
+
+
+
+  /**
+   * "Snaps" all {@link SegmentString}s in a {@link SpatialIndex} containing
+   * {@link MonotoneChain}s to a given {@link HotPixel}.
+   *
+   * @param {jsts.index.strtree.STRtree}
+   *          index the index of the monotone chains of the segment strings.
+   * @constructor
+   */
+  jsts.noding.snapround.MCIndexPointSnapper = function(index) {
+    this.index = index;
+  };
+
+
+  /**
+   * @type {jsts.index.strtree.STRtree}
+   * @private
+   */
+  jsts.noding.snapround.MCIndexPointSnapper.prototype.index = null;
+
+
+  /**
+   * Snaps (nodes) all interacting segments to this hot pixel. The hot pixel
+   * may represent a vertex of an edge, in which case this routine uses the
+   * optimization of not noding the vertex itself
+   *
+   * @param {jsts.noding.snapround.HotPixel}
+   *          hotPixel the hot pixel to snap to.
+   * @param {jsts.noding.SegmentString}
+   *          [parentEdge] the edge containing the vertex, if applicable.
+   * @param {number}
+   *          [vertexIndex] the index of the hot pixel vertex, if applicable.
+   * @return {boolean} true if a node was added for this pixel.
+   */
+  jsts.noding.snapround.MCIndexPointSnapper.prototype.snap = function(
+      hotPixel, parentEdge, vertexIndex) {
+    if (parentEdge === undefined) {
+      parentEdge = null;
+      vertexIndex = -1;
+    }
+
+    var pixelEnv = hotPixel.getSafeEnvelope();
+    var hotPixelSnapAction = new HotPixelSnapAction(hotPixel, parentEdge,
+        vertexIndex);
+
+    var chains = this.index.query(pixelEnv);
+    for (var i = 0; i < chains.length; i++) {
+      chains[i].select(pixelEnv, hotPixelSnapAction);
+    }
+    return hotPixelSnapAction.isNodeAdded;
+  };
+
+})();
@@ -0,0 +1,202 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/noding/Noder.js
+   * @requires jsts/noding/MCIndexNoder.js
+   * @requires jsts/noding/NodedSegmentString.js
+   * @requires jsts/noding/IntersectionFinderAdder.js
+   * @requires jsts/noding/snapround/HotPixel.js
+   * @requires jsts/noding/snapround/MCIndexPointSnapper.js
+   * @requires jsts/algorithm/RobustLineIntersector.js
+   */
+
+  var Noder = jsts.noding.Noder;
+  var MCIndexNoder = jsts.noding.MCIndexNoder;
+  var NodedSegmentString = jsts.noding.NodedSegmentString;
+  var IntersectionFinderAdder = jsts.noding.IntersectionFinderAdder;
+  var HotPixel = jsts.noding.snapround.HotPixel;
+  var MCIndexPointSnapper = jsts.noding.snapround.MCIndexPointSnapper;
+
+
+
+  /**
+   * Uses Snap Rounding to compute a rounded, fully noded arrangement from a set
+   * of {@link SegmentString}s. Implements the Snap Rounding technique described
+   * in papers by Hobby, Guibas & Marimont, and Goodrich et al. Snap Rounding
+   * assumes that all vertices lie on a uniform grid; hence the precision model
+   * of the input must be fixed precision, and all the input vertices must be
+   * rounded to that precision.
+   * <p>
+   * This implementation uses a monotone chains and a spatial index to speed up
+   * the intersection tests.
+   * <p>
+   * This implementation appears to be fully robust using an integer precision
+   * model. It will function with non-integer precision models, but the results
+   * are not 100% guaranteed to be correctly noded. Wrap it in a
+   * {@link jsts.noding.ScaledNoder} to work in the integer domain.
+   *
+   * @param {jsts.geom.PrecisionModel}
+   *          pm the fixed precision model to round to.
+   * @constructor
+   */
+  jsts.noding.snapround.MCIndexSnapRounder = function(pm) {
+    this.pm = pm;
+    this.li = new jsts.algorithm.RobustLineIntersector();
+    this.li.setPrecisionModel(pm);
+    this.scaleFactor = pm.getScale();
+  };
+
+  jsts.noding.snapround.MCIndexSnapRounder.prototype = new Noder();
+  jsts.noding.snapround.MCIndexSnapRounder.constructor = jsts.noding.snapround.MCIndexSnapRounder;
+
+
+  /**
+   * @type {jsts.geom.PrecisionModel}
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.pm = null;
+
+
+  /**
+   * @type {jsts.algorithm.LineIntersector}
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.li = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.scaleFactor = null;
+
+
+  /**
+   * @type {jsts.noding.MCIndexNoder}
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.noder = null;
+
+
+  /**
+   * @type {jsts.noding.snapround.MCIndexPointSnapper}
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.pointSnapper = null;
+
+
+  /**
+   * @type {javascript.util.Collection}
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.nodedSegStrings = null;
+
+
+  /**
+   * @return {javascript.util.ArrayList} the fully noded substrings.
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.getNodedSubstrings = function() {
+    return NodedSegmentString.getNodedSubstrings(this.nodedSegStrings);
+  };
+
+
+  /**
+   * @param {javascript.util.Collection}
+   *          inputSegmentStrings a collection of NodedSegmentStrings.
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.computeNodes = function(
+      inputSegmentStrings) {
+    this.nodedSegStrings = inputSegmentStrings;
+    this.noder = new MCIndexNoder();
+    this.pointSnapper = new MCIndexPointSnapper(this.noder.getIndex());
+    this.snapRound(inputSegmentStrings, this.li);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.snapRound = function(
+      segStrings, li) {
+    var intersections = this.findInteriorIntersections(segStrings, li);
+    this.computeIntersectionSnaps(intersections);
+    this.computeVertexSnaps(segStrings);
+  };
+
+
+  /**
+   * Computes all interior intersections in the collection of
+   * {@link SegmentString}s, and returns their {@link Coordinate}s. Does NOT
+   * node the segStrings.
+   *
+   * @return {javascript.util.ArrayList} a list of Coordinates for the
+   *         intersections.
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.findInteriorIntersections = function(
+      segStrings, li) {
+    var intFinderAdder = new IntersectionFinderAdder(li);
+    this.noder.setSegmentIntersector(intFinderAdder);
+    this.noder.computeNodes(segStrings);
+    return intFinderAdder.getInteriorIntersections();
+  };
+
+
+  /**
+   * Computes nodes introduced as a result of snapping segments to snap points
+   * (hot pixels)
+   *
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.computeIntersectionSnaps = function(
+      snapPts) {
+    for (var it = snapPts.iterator(); it.hasNext();) {
+      var snapPt = it.next();
+      var hotPixel = new HotPixel(snapPt, this.scaleFactor, this.li);
+      this.pointSnapper.snap(hotPixel);
+    }
+  };
+
+
+  /**
+   * Computes nodes introduced as a result of snapping segments to vertices of
+   * other segments
+   *
+   * @param {javascript.util.Collection}
+   *          edges the list of segment strings to snap together.
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.computeVertexSnaps = function(
+      edges) {
+    for (var i0 = edges.iterator(); i0.hasNext();) {
+      var edge0 = i0.next();
+      this.computeEdgeVertexSnaps(edge0);
+    }
+  };
+
+
+  /**
+   * Performs snapping of vertices of a segment string to the segments of the
+   * other segment strings.
+   *
+   * @private
+   */
+  jsts.noding.snapround.MCIndexSnapRounder.prototype.computeEdgeVertexSnaps = function(
+      e) {
+    var pts0 = e.getCoordinates();
+    for (var i = 0; i < pts0.length - 1; i++) {
+      var hotPixel = new HotPixel(pts0[i], this.scaleFactor, this.li);
+      var isNodeAdded = this.pointSnapper.snap(hotPixel, e, i);
+      // if a node is created for a vertex, that vertex must be noded too
+      if (isNodeAdded) {
+        e.addIntersection(pts0[i], i);
+      }
+    }
+  };
+
+})();
@@ -68,9 +68,13 @@ jsts.operation.buffer.BufferOp.MAX_PRECISION_DIGITS = 12;
 
 /**
  * Compute a scale factor to limit the precision of a given combination of
- * Geometry and buffer distance. The scale factor is determined by a combination
- * of the number of digits of precision in the (geometry + buffer distance),
- * limited by the supplied <code>maxPrecisionDigits</code> value.
+ * Geometry and buffer distance. The scale factor is determined by the number
+ * of digits of precision in the (geometry + buffer distance), limited by the
+ * supplied <code>maxPrecisionDigits</code> value.
+ * <p>
+ * The scale factor is based on the absolute magnitude of the (geometry +
+ * buffer distance), since this determines the number of digits of precision
+ * which must be handled.
  *
  * @param {Geometry}
  *          g the Geometry being buffered.
@@ -85,15 +89,16 @@ jsts.operation.buffer.BufferOp.MAX_PRECISION_DIGITS = 12;
 jsts.operation.buffer.BufferOp.precisionScaleFactor = function(g, distance,
     maxPrecisionDigits) {
   var env = g.getEnvelopeInternal();
-  var envSize = Math.max(env.getHeight(), env.getWidth());
+  var envMax = Math.max(Math.abs(env.getMaxX()), Math.abs(env.getMaxY()),
+      Math.abs(env.getMinX()), Math.abs(env.getMinY()));
   var expandByDistance = distance > 0.0 ? distance : 0.0;
-  var bufEnvSize = envSize + 2 * expandByDistance;
+  var bufEnvMax = envMax + 2 * expandByDistance;
 
   // the smallest power of 10 greater than the buffer envelope
-  var bufEnvLog10 = (Math.log(bufEnvSize) / Math.log(10) + 1.0);
-  var minUnitLog10 = bufEnvLog10 - maxPrecisionDigits;
-  // scale factor is inverse of min Unit size, so flip sign of exponent
-  var scaleFactor = Math.pow(10.0, -minUnitLog10);
+  var bufEnvPrecisionDigits = Math.floor(Math.log(bufEnvMax) / Math.log(10) +
+      1.0);
+  var minUnitLog10 = maxPrecisionDigits - bufEnvPrecisionDigits;
+  var scaleFactor = Math.pow(10.0, minUnitLog10);
   return scaleFactor;
 };
 
@@ -219,6 +224,12 @@ jsts.operation.buffer.BufferOp.prototype.bufParams = null;
 jsts.operation.buffer.BufferOp.prototype.resultGeometry = null;
 
 
+/**
+ * @type {Error}
+ */
+jsts.operation.buffer.BufferOp.prototype.saveException = null;
+
+
 /**
  * Specifies the end cap style of the generated buffer. The styles supported are
  * {@link #CAP_ROUND}, {@link #CAP_BUTT}, and {@link #CAP_SQUARE}. The
@@ -263,6 +274,12 @@ jsts.operation.buffer.BufferOp.prototype.computeGeometry = function() {
     return;
   }
 
+  // retry with full noding before reducing the precision
+  this.bufferIteratedNoding();
+  if (this.resultGeometry !== null) {
+    return;
+  }
+
   var argPM = this.argGeom.getPrecisionModel();
   if (argPM.getType() === jsts.geom.PrecisionModel.FIXED) {
     this.bufferFixedPrecision(argPM);
@@ -296,9 +313,33 @@ jsts.operation.buffer.BufferOp.prototype.bufferReducedPrecision = function() {
 
 
 jsts.operation.buffer.BufferOp.prototype.bufferOriginalPrecision = function() {
-  // use fast noding by default
-  var bufBuilder = new jsts.operation.buffer.BufferBuilder(this.bufParams);
-  this.resultGeometry = bufBuilder.buffer(this.argGeom, this.distance);
+  try {
+    // use fast noding by default
+    var bufBuilder = new jsts.operation.buffer.BufferBuilder(this.bufParams);
+    this.resultGeometry = bufBuilder.buffer(this.argGeom, this.distance);
+  } catch (ex) {
+    this.saveException = ex;
+    // don't propagate the exception - it will be detected by fact that
+    // resultGeometry is null
+  }
+};
+
+
+/**
+ * Computes the buffer at the original precision, using an
+ * {@link jsts.noding.IteratedNoder} to fully node the offset curves.
+ */
+jsts.operation.buffer.BufferOp.prototype.bufferIteratedNoding = function() {
+  try {
+    var bufBuilder = new jsts.operation.buffer.BufferBuilder(this.bufParams);
+    bufBuilder.setNoder(new jsts.noding.IteratedNoder(this.argGeom
+        .getPrecisionModel()));
+    this.resultGeometry = bufBuilder.buffer(this.argGeom, this.distance);
+  } catch (ex) {
+    this.saveException = ex;
+    // don't propagate the exception - it will be detected by fact that
+    // resultGeometry is null
+  }
 };
 
 
@@ -326,7 +367,7 @@ jsts.operation.buffer.BufferOp.prototype.bufferFixedPrecision = function(
   var noder = new jsts.noding.ScaledNoder(new jsts.noding.snapround.MCIndexSnapRounder(new jsts.geom.PrecisionModel(1.0)),
       fixedPM.getScale());
 
-  var bufBuilder = new jsts.operation.buffer.BufferBuilder(bufParams);
+  var bufBuilder = new jsts.operation.buffer.BufferBuilder(this.bufParams);
   bufBuilder.setWorkingPrecisionModel(fixedPM);
   bufBuilder.setNoder(noder);
   // this may throw an exception, if robustness errors are encountered
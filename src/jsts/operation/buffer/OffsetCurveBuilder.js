@@ -145,7 +145,7 @@ jsts.operation.buffer.OffsetCurveBuilder.prototype.getOffsetCurve = function(
  */
 jsts.operation.buffer.OffsetCurveBuilder.copyCoordinates = function(pts) {
   var copy = [];
-  for (var i = 0; i < copy.length; i++) {
+  for (var i = 0; i < pts.length; i++) {
     copy[i] = new jsts.geom.Coordinate(pts[i]);
   }
   return copy;
@@ -27,8 +27,11 @@ jsts.operation.buffer.SubgraphDepthLocater.prototype.getDepth = function(p) {
   // if no segments on stabbing line subgraph must be outside all others.
   if (stabbedSegments.length === 0)
     return 0;
-  stabbedSegments.sort();
   var ds = stabbedSegments[0];
+  for (var i = 1; i < stabbedSegments.length; i++) {
+    if (stabbedSegments[i].compareTo(ds) < 0)
+      ds = stabbedSegments[i];
+  }
   return ds.leftDepth;
 };
 
@@ -154,7 +157,7 @@ jsts.operation.buffer.SubgraphDepthLocater.prototype.findStabbedSegments3 = func
  */
 jsts.operation.buffer.SubgraphDepthLocater.DepthSegment = function(seg, depth) {
   // input seg is assumed to be normalized
-  this.upwardSeg = new jsts.geom.LineSegment(seg);
+  this.upwardSeg = new jsts.geom.LineSegment(seg.p0, seg.p1);
   // upwardSeg.normalize();
   this.leftDepth = depth;
 };
@@ -188,7 +191,7 @@ jsts.operation.buffer.SubgraphDepthLocater.DepthSegment.prototype.compareTo = fu
    * to flip sign to get proper comparison value of -1 if this is leftmost
    */
   if (orientIndex === 0)
-    orientIndex = -1 * other.upwardSeg.orientationIndex(upwardSeg);
+    orientIndex = -1 * other.upwardSeg.orientationIndex(this.upwardSeg);
 
   // if orientation is determinate, return it
   if (orientIndex !== 0)
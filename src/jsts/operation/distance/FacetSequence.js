@@ -0,0 +1,89 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/Envelope.js
+ */
+
+
+
+/**
+ * Represents a sequence of facets (points or line segments) of a
+ * {@link Geometry} specified by a subsequence of a coordinate array.
+ *
+ * @param {Array.<jsts.geom.Coordinate>}
+ *          pts the coordinates of the geometry component.
+ * @param {number}
+ *          start the index of the start point.
+ * @param {number}
+ *          end the index of the end point + 1.
+ * @constructor
+ */
+jsts.operation.distance.FacetSequence = function(pts, start, end) {
+  this.pts = pts;
+  this.start = start;
+  this.end = end;
+};
+
+
+/**
+ * @type {Array.<jsts.geom.Coordinate>}
+ * @private
+ */
+jsts.operation.distance.FacetSequence.prototype.pts = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.operation.distance.FacetSequence.prototype.start = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.operation.distance.FacetSequence.prototype.end = 0;
+
+
+/**
+ * @return {jsts.geom.Envelope} the envelope of the facets.
+ */
+jsts.operation.distance.FacetSequence.prototype.getEnvelope = function() {
+  var env = new jsts.geom.Envelope();
+  for (var i = this.start; i < this.end; i++) {
+    env.expandToInclude(this.pts[i]);
+  }
+  return env;
+};
+
+
+/**
+ * @return {number} the number of coordinates in the sequence.
+ */
+jsts.operation.distance.FacetSequence.prototype.size = function() {
+  return this.end - this.start;
+};
+
+
+/**
+ * @param {number}
+ *          index the index of the coordinate within the sequence.
+ * @return {jsts.geom.Coordinate} the coordinate.
+ */
+jsts.operation.distance.FacetSequence.prototype.getCoordinate = function(
+    index) {
+  return this.pts[this.start + index];
+};
+
+
+/**
+ * @return {boolean} true if the sequence is a single point.
+ */
+jsts.operation.distance.FacetSequence.prototype.isPoint = function() {
+  return this.end - this.start === 1;
+};
@@ -0,0 +1,121 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/GeometryComponentFilter.js
+   * @requires jsts/index/strtree/STRtree.js
+   * @requires jsts/operation/distance/FacetSequence.js
+   */
+
+  var FacetSequence = jsts.operation.distance.FacetSequence;
+
+
+  /**
+   * Builds an {@link STRtree} of the {@link FacetSequence}s of a geometry.
+   *
+   * @constructor
+   */
+  jsts.operation.distance.FacetSequenceTreeBuilder = function() {};
+
+
+  /**
+   * 6 seems to be a good facet sequence size.
+   *
+   * @type {number}
+   * @private
+   */
+  jsts.operation.distance.FacetSequenceTreeBuilder.FACET_SEQUENCE_SIZE = 6;
+
+
+  /**
+   * Seems to be better to use a minimum node capacity.
+   *
+   * @type {number}
+   * @private
+   */
+  jsts.operation.distance.FacetSequenceTreeBuilder.STR_TREE_NODE_CAPACITY = 4;
+
+
+  /**
+   * Builds a tree containing the facet sequences of the linear and point
+   * components of a geometry.
+   *
+   * @param {jsts.geom.Geometry}
+   *          g the geometry to index.
+   * @return {jsts.index.strtree.STRtree} a tree of {@link FacetSequence}s.
+   */
+  jsts.operation.distance.FacetSequenceTreeBuilder.build = function(g) {
+    var tree = new jsts.index.strtree.STRtree(
+        jsts.operation.distance.FacetSequenceTreeBuilder.STR_TREE_NODE_CAPACITY);
+    var sections = computeFacetSequences(g);
+    for (var i = 0; i < sections.length; i++) {
+      var section = sections[i];
+      tree.insert(section.getEnvelope(), section);
+    }
+    tree.build();
+    return tree;
+  };
+
+
+  /**
+   * Collects the facet sequences of every point and linear component.
+   *
+   * @param {Array.<jsts.operation.distance.FacetSequence>}
+   *          sections the array to add the sequences to.
+   * @constructor
+   * @private
+   */
+  var FacetSequenceFilter = function(sections) {
+    this.sections = sections;
+  };
+  jsts.inherit(FacetSequenceFilter, jsts.geom.GeometryComponentFilter);
+
+  FacetSequenceFilter.prototype.filter = function(geom) {
+    if (geom instanceof jsts.geom.LineString ||
+        geom instanceof jsts.geom.Point) {
+      addFacetSequences(geom.getCoordinates(), this.sections);
+    }
+  };
+
+
+  /**
+   * @param {jsts.geom.Geometry}
+   *          g the geometry to split into facet sequences.
+   * @return {Array.<jsts.operation.distance.FacetSequence>} the sequences.
+   */
+  var computeFacetSequences = function(g) {
+    var sections = [];
+    g.apply(new FacetSequenceFilter(sections));
+    return sections;
+  };
+
+
+  /**
+   * Splits a coordinate array into overlapping facet sequences of at most
+   * FACET_SEQUENCE_SIZE segments.
+   *
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the coordinates of a component.
+   * @param {Array.<jsts.operation.distance.FacetSequence>}
+   *          sections the array to add the sequences to.
+   */
+  var addFacetSequences = function(pts, sections) {
+    var size = jsts.operation.distance.FacetSequenceTreeBuilder.FACET_SEQUENCE_SIZE;
+    var i = 0;
+    while (i <= pts.length - 1) {
+      var end = i + size + 1;
+      // if only one point remains after this section, include it in this
+      // section
+      if (end >= pts.length - 1)
+        end = pts.length;
+      sections.push(new FacetSequence(pts, i, end));
+      i = i + size;
+    }
+  };
+
+})();
@@ -0,0 +1,95 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/CoordinateList.js
+ */
+
+
+
+/**
+ * A sequence of {@link LineMergeDirectedEdge}s forming one of the lines that
+ * will be output by the line-merging process.
+ *
+ * @param {jsts.geom.GeometryFactory}
+ *          factory the GeometryFactory to use to create the LineString.
+ * @constructor
+ */
+jsts.operation.linemerge.EdgeString = function(factory) {
+  this.factory = factory;
+  this.directedEdges = [];
+};
+
+
+/**
+ * @type {jsts.geom.GeometryFactory}
+ * @private
+ */
+jsts.operation.linemerge.EdgeString.prototype.factory = null;
+
+
+/**
+ * @type {Array.<jsts.operation.linemerge.LineMergeDirectedEdge>}
+ * @private
+ */
+jsts.operation.linemerge.EdgeString.prototype.directedEdges = null;
+
+
+/**
+ * @type {Array.<jsts.geom.Coordinate>}
+ * @private
+ */
+jsts.operation.linemerge.EdgeString.prototype.coordinates = null;
+
+
+/**
+ * Adds a directed edge which is known to form part of this line.
+ *
+ * @param {jsts.operation.linemerge.LineMergeDirectedEdge}
+ *          directedEdge the edge to add.
+ */
+jsts.operation.linemerge.EdgeString.prototype.add = function(directedEdge) {
+  this.directedEdges.push(directedEdge);
+};
+
+
+/**
+ * @return {Array.<jsts.geom.Coordinate>} the coordinates of the edges, in
+ *         the direction of the majority of the input lines.
+ * @private
+ */
+jsts.operation.linemerge.EdgeString.prototype.getCoordinates = function() {
+  if (this.coordinates === null) {
+    var forwardDirectedEdges = 0;
+    var reverseDirectedEdges = 0;
+    var coordinateList = new jsts.geom.CoordinateList([], false);
+    for (var i = 0; i < this.directedEdges.length; i++) {
+      var directedEdge = this.directedEdges[i];
+      if (directedEdge.getEdgeDirection()) {
+        forwardDirectedEdges++;
+      } else {
+        reverseDirectedEdges++;
+      }
+      coordinateList.add(directedEdge.getEdge().getLine().getCoordinates(),
+          false, directedEdge.getEdgeDirection());
+    }
+    this.coordinates = coordinateList.toArray();
+    if (reverseDirectedEdges > forwardDirectedEdges) {
+      this.coordinates.reverse();
+    }
+  }
+  return this.coordinates;
+};
+
+
+/**
+ * Converts this EdgeString into a LineString.
+ *
+ * @return {jsts.geom.LineString}
+ */
+jsts.operation.linemerge.EdgeString.prototype.toLineString = function() {
+  return this.factory.createLineString(this.getCoordinates());
+};
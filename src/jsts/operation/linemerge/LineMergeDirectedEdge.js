@@ -0,0 +1,58 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/planargraph/DirectedEdge.js
+ */
+
+
+
+/**
+ * A {@link jsts.planargraph.DirectedEdge} of a {@link LineMergeGraph}.
+ *
+ * @param {jsts.planargraph.Node}
+ *          from the start node.
+ * @param {jsts.planargraph.Node}
+ *          to the end node.
+ * @param {jsts.geom.Coordinate}
+ *          directionPt the point used to compute the direction of the edge.
+ * @param {boolean}
+ *          edgeDirection whether the edge runs in the direction of its
+ *          LineString.
+ * @constructor
+ * @extends {jsts.planargraph.DirectedEdge}
+ */
+jsts.operation.linemerge.LineMergeDirectedEdge = function(from, to,
+    directionPt, edgeDirection) {
+  jsts.planargraph.DirectedEdge.call(this, from, to, directionPt,
+      edgeDirection);
+};
+jsts.inherit(jsts.operation.linemerge.LineMergeDirectedEdge,
+    jsts.planargraph.DirectedEdge);
+
+
+/**
+ * Returns the directed edge that starts at this directed edge's end point,
+ * or null if there are zero or multiple directed edges starting there.
+ *
+ * @param {boolean=}
+ *          checkDirection if <code>true</code>, the next edge must also run
+ *          in the direction of its LineString.
+ * @return {jsts.operation.linemerge.LineMergeDirectedEdge} the next edge, or
+ *         <code>null</code>.
+ */
+jsts.operation.linemerge.LineMergeDirectedEdge.prototype.getNext = function(
+    checkDirection) {
+  if (this.getToNode().getDegree() !== 2) {
+    return null;
+  }
+  var outEdges = this.getToNode().getOutEdges().getEdges();
+  var next = outEdges[0] === this.getSym() ? outEdges[1] : outEdges[0];
+  if (checkDirection && !next.getEdgeDirection()) {
+    return null;
+  }
+  return next;
+};
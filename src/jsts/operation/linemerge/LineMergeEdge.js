@@ -0,0 +1,42 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/planargraph/Edge.js
+ */
+
+
+
+/**
+ * An edge of a {@link LineMergeGraph}. The <code>marked</code> field
+ * indicates whether this Edge has been logically deleted from the graph.
+ *
+ * @param {jsts.geom.LineString}
+ *          line the line the edge is created from.
+ * @constructor
+ * @extends {jsts.planargraph.Edge}
+ */
+jsts.operation.linemerge.LineMergeEdge = function(line) {
+  this.line = line;
+};
+jsts.inherit(jsts.operation.linemerge.LineMergeEdge, jsts.planargraph.Edge);
+
+
+/**
+ * @type {jsts.geom.LineString}
+ * @private
+ */
+jsts.operation.linemerge.LineMergeEdge.prototype.line = null;
+
+
+/**
+ * Returns the LineString specifying the vertices of this edge.
+ *
+ * @return {jsts.geom.LineString}
+ */
+jsts.operation.linemerge.LineMergeEdge.prototype.getLine = function() {
+  return this.line;
+};
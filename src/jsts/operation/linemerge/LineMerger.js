@@ -0,0 +1,248 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/util/LinearComponentExtracter.js
+   * @requires jsts/planargraph/GraphComponent.js
+   * @requires jsts/operation/linemerge/EdgeString.js
+   * @requires jsts/operation/linemerge/LineMergeGraph.js
+   */
+
+  var GraphComponent = jsts.planargraph.GraphComponent;
+  var EdgeString = jsts.operation.linemerge.EdgeString;
+  var LineMergeGraph = jsts.operation.linemerge.LineMergeGraph;
+
+
+
+  /**
+   * Merges a collection of linear components to form maximal-length
+   * linestrings.
+   * <p>
+   * Merging stops at nodes of degree 1 or degree 3 or more. In other words,
+   * all nodes of degree 2 are merged together. The exception is in the case of
+   * an isolated loop, which only has degree-2 nodes. In this case one of the
+   * nodes is chosen as a starting point.
+   * <p>
+   * The direction of each merged LineString will be that of the majority of
+   * the LineStrings from which it was derived, unless the merger is directed.
+   * A directed merger only joins lines which run end to start, so every merged
+   * LineString keeps the direction of all of its parts; a degree-2 node where
+   * the directions of its lines disagree ends a merged line.
+   * <p>
+   * Any dimension of Geometry is handled - the constituent linework is
+   * extracted to form the edges. The edges must be correctly noded; that is,
+   * they must only meet at their endpoints. The LineMerger will accept
+   * non-noded input but will not merge non-noded edges.
+   * <p>
+   * Input lines which are empty or contain only a single unique coordinate are
+   * not included in the merging.
+   *
+   * @param {boolean=}
+   *          isDirected whether the direction of the input lines must be
+   *          kept; defaults to <code>false</code>.
+   * @constructor
+   */
+  jsts.operation.linemerge.LineMerger = function(isDirected) {
+    this.isDirected = isDirected === true;
+    this.graph = new LineMergeGraph();
+  };
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.isDirected = false;
+
+
+  /**
+   * @type {jsts.operation.linemerge.LineMergeGraph}
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.graph = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.LineString>}
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.mergedLineStrings = null;
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.factory = null;
+
+
+  /**
+   * @type {Array.<jsts.operation.linemerge.EdgeString>}
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.edgeStrings = null;
+
+
+  /**
+   * Adds a Geometry, or a collection of Geometries, to be processed. May be
+   * called multiple times. Any dimension of Geometry may be added; the
+   * constituent linework will be extracted.
+   *
+   * @param {jsts.geom.Geometry|Array.<jsts.geom.Geometry>|javascript.util.Collection}
+   *          geometry geometry or geometries to be line-merged.
+   */
+  jsts.operation.linemerge.LineMerger.prototype.add = function(geometry) {
+    if (geometry instanceof jsts.geom.Geometry) {
+      var lines = jsts.geom.util.LinearComponentExtracter.getLines(geometry);
+      for (var i = 0; i < lines.length; i++) {
+        this.addLineString(lines[i]);
+      }
+      return;
+    }
+
+    this.mergedLineStrings = null;
+    var geometries = geometry instanceof Array ? geometry : geometry.toArray();
+    for (var j = 0; j < geometries.length; j++) {
+      this.add(geometries[j]);
+    }
+  };
+
+
+  /**
+   * @param {jsts.geom.LineString}
+   *          lineString the line to add to the graph.
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.addLineString = function(
+      lineString) {
+    if (this.factory === null) {
+      this.factory = lineString.getFactory();
+    }
+    this.graph.addEdge(lineString);
+    this.mergedLineStrings = null;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.merge = function() {
+    if (this.mergedLineStrings !== null) {
+      return;
+    }
+
+    // reset marks (this allows incremental processing)
+    GraphComponent.setMarked(this.graph.getNodes(), false);
+    GraphComponent.setMarked(this.graph.getEdges(), false);
+
+    this.edgeStrings = [];
+    this.buildEdgeStringsForObviousStartNodes();
+    this.buildEdgeStringsForIsolatedLoops();
+    this.mergedLineStrings = [];
+    for (var i = 0; i < this.edgeStrings.length; i++) {
+      this.mergedLineStrings.push(this.edgeStrings[i].toLineString());
+    }
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.buildEdgeStringsForObviousStartNodes = function() {
+    var nodes = this.graph.getNodes();
+    for (var i = 0; i < nodes.length; i++) {
+      var node = nodes[i];
+      if (node.getDegree() !== 2 || (this.isDirected && !isThroughNode(node))) {
+        this.buildEdgeStringsStartingAt(node);
+        node.setMarked(true);
+      }
+    }
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.buildEdgeStringsForIsolatedLoops = function() {
+    var nodes = this.graph.getNodes();
+    for (var i = 0; i < nodes.length; i++) {
+      var node = nodes[i];
+      if (node.isMarked()) {
+        continue;
+      }
+      this.buildEdgeStringsStartingAt(node);
+      node.setMarked(true);
+    }
+  };
+
+
+  /**
+   * @param {jsts.planargraph.Node}
+   *          node the node to start the edge strings at.
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.buildEdgeStringsStartingAt = function(
+      node) {
+    var outEdges = node.getOutEdges().getEdges();
+    for (var i = 0; i < outEdges.length; i++) {
+      var directedEdge = outEdges[i];
+      if (directedEdge.getEdge().isMarked()) {
+        continue;
+      }
+      if (this.isDirected && !directedEdge.getEdgeDirection()) {
+        continue;
+      }
+      this.edgeStrings.push(this.buildEdgeStringStartingWith(directedEdge));
+    }
+  };
+
+
+  /**
+   * @param {jsts.operation.linemerge.LineMergeDirectedEdge}
+   *          start the first edge of the edge string.
+   * @return {jsts.operation.linemerge.EdgeString}
+   * @private
+   */
+  jsts.operation.linemerge.LineMerger.prototype.buildEdgeStringStartingWith = function(
+      start) {
+    var edgeString = new EdgeString(this.factory);
+    var current = start;
+    do {
+      edgeString.add(current);
+      current.getEdge().setMarked(true);
+      current = current.getNext(this.isDirected);
+    } while (current !== null && current !== start);
+    return edgeString;
+  };
+
+
+  /**
+   * Gets the LineStrings created by the merging process.
+   *
+   * @return {Array.<jsts.geom.LineString>} the merged lines.
+   */
+  jsts.operation.linemerge.LineMerger.prototype.getMergedLineStrings = function() {
+    this.merge();
+    return this.mergedLineStrings;
+  };
+
+
+  /**
+   * Tests whether a degree-2 node joins an incoming and an outgoing line, so
+   * that a directed merge can pass through it.
+   *
+   * @param {jsts.planargraph.Node}
+   *          node a node of degree 2.
+   * @return {boolean}
+   */
+  var isThroughNode = function(node) {
+    var outEdges = node.getOutEdges().getEdges();
+    return outEdges[0].getEdgeDirection() !== outEdges[1].getEdgeDirection();
+  };
+
+})();
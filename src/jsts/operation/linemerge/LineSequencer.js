@@ -0,0 +1,553 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/GeometryFactory.js
+   * @requires jsts/geom/util/LinearComponentExtracter.js
+   * @requires jsts/planargraph/GraphComponent.js
+   * @requires jsts/planargraph/algorithm/ConnectedSubgraphFinder.js
+   * @requires jsts/operation/linemerge/LineMergeGraph.js
+   */
+
+  var GraphComponent = jsts.planargraph.GraphComponent;
+  var ConnectedSubgraphFinder = jsts.planargraph.algorithm.ConnectedSubgraphFinder;
+  var LineMergeGraph = jsts.operation.linemerge.LineMergeGraph;
+  var ArrayList = javascript.util.ArrayList;
+
+
+
+  /**
+   * Builds a sequence from a set of LineStrings so that they are ordered end
+   * to end. A sequence is a complete non-repeating list of the linear
+   * components of the input. Each linestring is oriented so that identical
+   * endpoints are adjacent in the list.
+   * <p>
+   * The input linestrings may form one or more connected sets. The input
+   * linestrings should be correctly noded, or the results may not be what is
+   * expected. The computed output is a single {@link MultiLineString}
+   * containing the ordered linestrings in the sequence.
+   * <p>
+   * The sequencing employs the classic <b>Eulerian path</b> graph algorithm.
+   * Since Eulerian paths are not uniquely determined, further rules are used
+   * to make the computed sequence preserve as much as possible of the input
+   * ordering. Within a connected subset of lines, the ordering rules are:
+   * <ul>
+   * <li>If there is degree-1 node which is the start node of an linestring,
+   * use that node as the start of the sequence
+   * <li>If there is a degree-1 node which is the end node of an linestring,
+   * use that node as the end of the sequence
+   * <li>If the sequence has no degree-1 nodes, use any node as the start
+   * </ul>
+   * Note that not all arrangements of lines can be sequenced. For a connected
+   * set of edges in a graph, Euler's Theorem states that there is a sequence
+   * containing each edge once <b>if and only if</b> there are no more than 2
+   * nodes of odd degree. If it is not possible to find a sequence, the
+   * {@link #isSequenceable} method will return <code>false</code>.
+   *
+   * @constructor
+   */
+  jsts.operation.linemerge.LineSequencer = function() {
+    this.graph = new LineMergeGraph();
+  };
+
+
+  /**
+   * Sequences the linework of a geometry.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to sequence.
+   * @return {jsts.geom.Geometry} the sequenced linework, or
+   *         <code>null</code> if it can not be sequenced.
+   */
+  jsts.operation.linemerge.LineSequencer.sequence = function(geom) {
+    var sequencer = new jsts.operation.linemerge.LineSequencer();
+    sequencer.add(geom);
+    return sequencer.getSequencedLineStrings();
+  };
+
+
+  /**
+   * Tests whether a {@link Geometry} is sequenced correctly.
+   * {@link LineString}s are trivially sequenced. {@link MultiLineString}s
+   * are checked for correct sequencing. Otherwise, <code>isSequenced</code>
+   * is defined to be <code>true</code> for geometries that are not lineal.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to test.
+   * @return {boolean} <code>true</code> if the geometry is sequenced or is
+   *         not lineal.
+   */
+  jsts.operation.linemerge.LineSequencer.isSequenced = function(geom) {
+    if (!(geom instanceof jsts.geom.MultiLineString)) {
+      return true;
+    }
+
+    // the nodes in all subgraphs which have been completely scanned
+    var prevSubgraphNodes = {};
+    var lastNode = null;
+    var currNodes = [];
+    for (var i = 0; i < geom.getNumGeometries(); i++) {
+      var line = geom.getGeometryN(i);
+      var startNode = line.getCoordinateN(0);
+      var endNode = line.getCoordinateN(line.getNumPoints() - 1);
+
+      // if this linestring is connected to a previous subgraph, geom is not
+      // sequenced
+      if (prevSubgraphNodes[nodeKey(startNode)])
+        return false;
+      if (prevSubgraphNodes[nodeKey(endNode)])
+        return false;
+
+      if (lastNode !== null && !startNode.equals(lastNode)) {
+        // start new connected sequence
+        for (var j = 0; j < currNodes.length; j++) {
+          prevSubgraphNodes[nodeKey(currNodes[j])] = true;
+        }
+        currNodes = [];
+      }
+      currNodes.push(startNode);
+      currNodes.push(endNode);
+      lastNode = endNode;
+    }
+    return true;
+  };
+
+
+  /**
+   * @type {jsts.operation.linemerge.LineMergeGraph}
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.graph = null;
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.factory = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.lineCount = 0;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.isRun = false;
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.sequencedGeometry = null;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype._isSequenceable = false;
+
+
+  /**
+   * Adds a Geometry, or a collection of Geometries, to be sequenced. May be
+   * called multiple times. Any dimension of Geometry may be added; the
+   * constituent linework will be extracted.
+   *
+   * @param {jsts.geom.Geometry|Array.<jsts.geom.Geometry>|javascript.util.Collection}
+   *          geometry the geometry or geometries to add.
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.add = function(geometry) {
+    if (geometry instanceof jsts.geom.Geometry) {
+      var lines = jsts.geom.util.LinearComponentExtracter.getLines(geometry);
+      for (var i = 0; i < lines.length; i++) {
+        this.addLine(lines[i]);
+      }
+      return;
+    }
+
+    var geometries = geometry instanceof Array ? geometry : geometry.toArray();
+    for (var j = 0; j < geometries.length; j++) {
+      this.add(geometries[j]);
+    }
+  };
+
+
+  /**
+   * @param {jsts.geom.LineString}
+   *          lineString the line to add to the graph.
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.addLine = function(
+      lineString) {
+    if (this.factory === null) {
+      this.factory = lineString.getFactory();
+    }
+    this.graph.addEdge(lineString);
+    this.lineCount++;
+  };
+
+
+  /**
+   * Tests whether the arrangement of linestrings has a valid sequence.
+   *
+   * @return {boolean} <code>true</code> if a valid sequence exists.
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.isSequenceable = function() {
+    this.computeSequence();
+    return this._isSequenceable;
+  };
+
+
+  /**
+   * Returns the {@link LineString} or {@link MultiLineString} built by the
+   * sequencing process, if one exists.
+   *
+   * @return {jsts.geom.Geometry} the sequenced linestrings, or
+   *         <code>null</code> if a valid sequence does not exist.
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.getSequencedLineStrings = function() {
+    this.computeSequence();
+    return this.sequencedGeometry;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.computeSequence = function() {
+    if (this.isRun) {
+      return;
+    }
+    this.isRun = true;
+
+    var sequences = this.findSequences();
+    if (sequences === null) {
+      return;
+    }
+
+    this.sequencedGeometry = this.buildSequencedGeometry(sequences);
+    this._isSequenceable = true;
+
+    var finalLineCount = this.sequencedGeometry.getNumGeometries();
+    jsts.util.Assert.isTrue(this.lineCount === finalLineCount,
+        'Lines were missing from result');
+    jsts.util.Assert.isTrue(
+        this.sequencedGeometry instanceof jsts.geom.LineString ||
+        this.sequencedGeometry instanceof jsts.geom.MultiLineString,
+        'Result is not lineal');
+  };
+
+
+  /**
+   * @return {Array.<Array.<jsts.planargraph.DirectedEdge>>} the sequence for
+   *         each connected subgraph, or <code>null</code> if any of them can
+   *         not be sequenced.
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.findSequences = function() {
+    var sequences = [];
+    var csFinder = new ConnectedSubgraphFinder(this.graph);
+    var subgraphs = csFinder.getConnectedSubgraphs();
+    for (var i = 0; i < subgraphs.length; i++) {
+      var subgraph = subgraphs[i];
+      if (!hasSequence(subgraph)) {
+        // if any subgraph cannot be sequenced, abort
+        return null;
+      }
+      sequences.push(findSequence(subgraph));
+    }
+    return sequences;
+  };
+
+
+  /**
+   * Builds a geometry ({@link LineString} or {@link MultiLineString})
+   * representing the sequence.
+   *
+   * @param {Array.<Array.<jsts.planargraph.DirectedEdge>>}
+   *          sequences the sequences of DirectedEdges with LineMergeEdges as
+   *          their parent edges.
+   * @return {jsts.geom.Geometry} the sequenced geometry, or
+   *         <code>null</code> if no sequence exists.
+   * @private
+   */
+  jsts.operation.linemerge.LineSequencer.prototype.buildSequencedGeometry = function(
+      sequences) {
+    if (this.factory === null) {
+      this.factory = new jsts.geom.GeometryFactory();
+    }
+
+    var lines = new ArrayList();
+    for (var i = 0; i < sequences.length; i++) {
+      var seq = sequences[i];
+      for (var j = 0; j < seq.length; j++) {
+        var de = seq[j];
+        var line = de.getEdge().getLine();
+
+        var lineToAdd = line;
+        if (!de.getEdgeDirection() && !line.isClosed()) {
+          lineToAdd = line.reverse();
+        }
+        lines.add(lineToAdd);
+      }
+    }
+    if (lines.size() === 0) {
+      return this.factory.createMultiLineString([]);
+    }
+    return this.factory.buildGeometry(lines);
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate}
+   *          pt a line endpoint.
+   * @return {string} the key identifying the endpoint.
+   */
+  var nodeKey = function(pt) {
+    return pt.x + ',' + pt.y;
+  };
+
+
+  /**
+   * Tests whether a complete unique path exists in a graph using Euler's
+   * Theorem.
+   *
+   * @param {jsts.planargraph.Subgraph}
+   *          graph the subgraph containing the edges.
+   * @return {boolean} <code>true</code> if a sequence exists.
+   */
+  var hasSequence = function(graph) {
+    var oddDegreeCount = 0;
+    var nodes = graph.getNodes();
+    for (var i = 0; i < nodes.length; i++) {
+      if (nodes[i].getDegree() % 2 === 1) {
+        oddDegreeCount++;
+      }
+    }
+    return oddDegreeCount <= 2;
+  };
+
+
+  /**
+   * @param {jsts.planargraph.Subgraph}
+   *          graph the subgraph to sequence.
+   * @return {Array.<jsts.planargraph.DirectedEdge>} the sequence.
+   */
+  var findSequence = function(graph) {
+    GraphComponent.setVisited(graph.getEdges(), false);
+
+    var startNode = findLowestDegreeNode(graph);
+    var startDE = startNode.getOutEdges().getEdges()[0];
+    var startDESym = startDE.getSym();
+
+    var seq = [];
+    // the position new edges are inserted at, walking back towards the start
+    var pos = addReverseSubpath(startDESym, seq, 0, false);
+    while (pos > 0) {
+      pos--;
+      var prev = seq[pos];
+      var unvisitedOutDE = findUnvisitedBestOrientedDE(prev.getFromNode());
+      if (unvisitedOutDE !== null) {
+        pos = addReverseSubpath(unvisitedOutDE.getSym(), seq, pos, true);
+      }
+    }
+
+    // At this point, we have a valid sequence of graph DirectedEdges, but it
+    // is not necessarily appropriately oriented relative to the underlying
+    // geometry.
+    return orient(seq);
+  };
+
+
+  /**
+   * Finds an {@link DirectedEdge} for an unvisited edge (if any), choosing
+   * the dirEdge which preserves orientation, if possible.
+   *
+   * @param {jsts.planargraph.Node}
+   *          node the node to examine.
+   * @return {jsts.planargraph.DirectedEdge} the dirEdge found, or
+   *         <code>null</code> if none were unvisited.
+   */
+  var findUnvisitedBestOrientedDE = function(node) {
+    var wellOrientedDE = null;
+    var unvisitedDE = null;
+    var outEdges = node.getOutEdges().getEdges();
+    for (var i = 0; i < outEdges.length; i++) {
+      var de = outEdges[i];
+      if (!de.getEdge().isVisited()) {
+        unvisitedDE = de;
+        if (de.getEdgeDirection()) {
+          wellOrientedDE = de;
+        }
+      }
+    }
+    if (wellOrientedDE !== null) {
+      return wellOrientedDE;
+    }
+    return unvisitedDE;
+  };
+
+
+  /**
+   * Traces an unvisited path backwards from a directed edge, inserting the
+   * edges of the path into the sequence at the given position.
+   *
+   * @param {jsts.planargraph.DirectedEdge}
+   *          de the edge to trace back from.
+   * @param {Array.<jsts.planargraph.DirectedEdge>}
+   *          seq the sequence being built.
+   * @param {number}
+   *          pos the position to insert the path at.
+   * @param {boolean}
+   *          expectedClosed whether the path must end where it started.
+   * @return {number} the position following the inserted path.
+   */
+  var addReverseSubpath = function(de, seq, pos, expectedClosed) {
+    // trace an unvisited path *backwards* from this de
+    var endNode = de.getToNode();
+
+    var fromNode = null;
+    while (true) {
+      seq.splice(pos, 0, de.getSym());
+      pos++;
+      de.getEdge().setVisited(true);
+      fromNode = de.getFromNode();
+      var unvisitedOutDE = findUnvisitedBestOrientedDE(fromNode);
+      // this must terminate, since we are continually marking edges as
+      // visited
+      if (unvisitedOutDE === null) {
+        break;
+      }
+      de = unvisitedOutDE.getSym();
+    }
+    if (expectedClosed) {
+      // the path should end at the toNode of this de, otherwise we have an
+      // error
+      jsts.util.Assert.isTrue(fromNode === endNode, 'path not contiguous');
+    }
+    return pos;
+  };
+
+
+  /**
+   * Finds the node to start the sequence from. A path which covers every
+   * edge must start at a node of odd degree if there is one, so odd-degree
+   * nodes are preferred over nodes of lower degree.
+   *
+   * @param {jsts.planargraph.Subgraph}
+   *          graph the subgraph to search.
+   * @return {jsts.planargraph.Node} an odd-degree node of the lowest degree,
+   *         or a node of the lowest degree if all degrees are even.
+   */
+  var findLowestDegreeNode = function(graph) {
+    var minDegree = Number.MAX_VALUE;
+    var minDegreeNode = null;
+    var isMinOdd = false;
+    var nodes = graph.getNodes();
+    for (var i = 0; i < nodes.length; i++) {
+      var node = nodes[i];
+      var degree = node.getDegree();
+      var isOdd = degree % 2 === 1;
+      if (minDegreeNode === null || isOdd && !isMinOdd ||
+          isOdd === isMinOdd && degree < minDegree) {
+        minDegree = degree;
+        minDegreeNode = node;
+        isMinOdd = isOdd;
+      }
+    }
+    return minDegreeNode;
+  };
+
+
+  /**
+   * Computes a version of the sequence which is optimally oriented relative
+   * to the underlying geometry.
+   * <p>
+   * Heuristics used are:
+   * <ul>
+   * <li>If the path has a degree-1 node which is the start node of an
+   * linestring, use that node as the start of the sequence
+   * <li>If the path has a degree-1 node which is the end node of an
+   * linestring, use that node as the end of the sequence
+   * <li>If the sequence has no degree-1 nodes, use any node as the start
+   * (NOTE: in this case could orient the sequence according to the majority
+   * of the linestring orientations)
+   * </ul>
+   *
+   * @param {Array.<jsts.planargraph.DirectedEdge>}
+   *          seq a sequence of DirectedEdges.
+   * @return {Array.<jsts.planargraph.DirectedEdge>} the oriented sequence.
+   */
+  var orient = function(seq) {
+    var startEdge = seq[0];
+    var endEdge = seq[seq.length - 1];
+    var startNode = startEdge.getFromNode();
+    var endNode = endEdge.getToNode();
+
+    var flipSeq = false;
+    var hasDegree1Node = startNode.getDegree() === 1 ||
+        endNode.getDegree() === 1;
+
+    if (hasDegree1Node) {
+      var hasObviousStartNode = false;
+
+      // test end edge before start edge, to make result stable
+      // (ie. if both are good starts, pick the actual start
+      if (endEdge.getToNode().getDegree() === 1 &&
+          endEdge.getEdgeDirection() === false) {
+        hasObviousStartNode = true;
+        flipSeq = true;
+      }
+      if (startEdge.getFromNode().getDegree() === 1 &&
+          startEdge.getEdgeDirection() === true) {
+        hasObviousStartNode = true;
+        flipSeq = false;
+      }
+
+      // since there is no obvious start node, use any node of degree 1
+      if (!hasObviousStartNode) {
+        // check if the start node should actually be the end node
+        if (startEdge.getFromNode().getDegree() === 1) {
+          flipSeq = true;
+        }
+        // if the end node is of degree 1, it is properly the end node
+      }
+    }
+
+    // if there is no degree 1 node, just use the sequence as is
+    if (flipSeq) {
+      return reverse(seq);
+    }
+    return seq;
+  };
+
+
+  /**
+   * Reverse the sequence. This requires reversing the order of the dirEdges,
+   * and flipping each dirEdge as well
+   *
+   * @param {Array.<jsts.planargraph.DirectedEdge>}
+   *          seq a sequence of DirectedEdges, in order.
+   * @return {Array.<jsts.planargraph.DirectedEdge>} the reversed sequence.
+   */
+  var reverse = function(seq) {
+    var newSeq = [];
+    for (var i = seq.length - 1; i >= 0; i--) {
+      newSeq.push(seq[i].getSym());
+    }
+    return newSeq;
+  };
+
+})();
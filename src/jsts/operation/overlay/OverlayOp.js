@@ -9,11 +9,13 @@
   /**
    * @requires jsts/algorithm/PointLocator.js
    * @requires jsts/geom/Location.js
+   * @requires jsts/geomgraph/Edge.js
    * @requires jsts/geomgraph/EdgeList.js
    * @requires jsts/geomgraph/Label.js
    * @requires jsts/geomgraph/PlanarGraph.js
    * @requires jsts/geomgraph/Position.js
    * @requires jsts/geomgraph/EdgeNodingValidator.js
+   * @requires jsts/noding/NodedSegmentString.js
    * @requires jsts/operation/GeometryGraphOperation.js
    * @requires jsts/operation/overlay/OverlayNodeFactory.js
    * @requires jsts/operation/overlay/PolygonBuilder.js
@@ -24,11 +26,13 @@
 
   var PointLocator = jsts.algorithm.PointLocator;
   var Location = jsts.geom.Location;
+  var Edge = jsts.geomgraph.Edge;
   var EdgeList = jsts.geomgraph.EdgeList;
   var Label = jsts.geomgraph.Label;
   var PlanarGraph = jsts.geomgraph.PlanarGraph;
   var Position = jsts.geomgraph.Position;
   var EdgeNodingValidator = jsts.geomgraph.EdgeNodingValidator;
+  var NodedSegmentString = jsts.noding.NodedSegmentString;
   var GeometryGraphOperation = jsts.operation.GeometryGraphOperation;
   var OverlayNodeFactory = jsts.operation.overlay.OverlayNodeFactory;
   var PolygonBuilder = jsts.operation.overlay.PolygonBuilder;
@@ -120,6 +124,29 @@
   jsts.operation.overlay.OverlayOp.prototype.resultLineList = null;
   jsts.operation.overlay.OverlayOp.prototype.resultPointList = null;
 
+  /**
+   * @type {jsts.noding.Noder}
+   * @private
+   */
+  jsts.operation.overlay.OverlayOp.prototype.noder = null;
+
+
+  /**
+   * Sets the {@link jsts.noding.Noder} used to node the linework of the input
+   * geometries, e.g. a {@link jsts.noding.ScaledNoder} wrapping a
+   * {@link jsts.noding.snapround.MCIndexSnapRounder}. If no noder is set the
+   * linework is noded by the geometry graphs of the inputs.
+   * <p>
+   * A snap-rounding noder rounds the result to its precision grid, so the
+   * input coordinates should already lie on that grid.
+   *
+   * @param {jsts.noding.Noder}
+   *          noder the noder to use.
+   */
+  jsts.operation.overlay.OverlayOp.prototype.setNoder = function(noder) {
+    this.noder = noder;
+  };
+
 
   jsts.operation.overlay.OverlayOp.prototype.getResultGeometry = function(
       funcCode) {
@@ -141,16 +168,20 @@
     this.copyPoints(0);
     this.copyPoints(1);
 
-    // node the input Geometries
-    this.arg[0].computeSelfNodes(this.li, false);
-    this.arg[1].computeSelfNodes(this.li, false);
-
-    // compute intersections between edges of the two input geometries
-    this.arg[0].computeEdgeIntersections(this.arg[1], this.li, true);
-
     var baseSplitEdges = new ArrayList();
-    this.arg[0].computeSplitEdges(baseSplitEdges);
-    this.arg[1].computeSplitEdges(baseSplitEdges);
+    if (this.noder !== null) {
+      this.computeNodedEdges(baseSplitEdges);
+    } else {
+      // node the input Geometries
+      this.arg[0].computeSelfNodes(this.li, false);
+      this.arg[1].computeSelfNodes(this.li, false);
+
+      // compute intersections between edges of the two input geometries
+      this.arg[0].computeEdgeIntersections(this.arg[1], this.li, true);
+
+      this.arg[0].computeSplitEdges(baseSplitEdges);
+      this.arg[1].computeSplitEdges(baseSplitEdges);
+    }
     var splitEdges = baseSplitEdges;
     // add the noded edges to this result graph
     this.insertUniqueEdges(baseSplitEdges);
@@ -198,6 +229,37 @@
         this.resultLineList, this.resultPolyList, opCode);
   }
 
+  /**
+   * Nodes the edges of both input graphs with the noder given by
+   * {@link #setNoder}. The noded edges keep the labels of the edges they were
+   * split from.
+   *
+   * @param {javascript.util.ArrayList}
+   *          edgelist the list to add the noded edges to.
+   * @private
+   */
+  jsts.operation.overlay.OverlayOp.prototype.computeNodedEdges = function(
+      edgelist) {
+    var segStrings = new ArrayList();
+    for (var i = 0; i < 2; i++) {
+      for (var it = this.arg[i].getEdgeIterator(); it.hasNext();) {
+        var e = it.next();
+        segStrings.add(new NodedSegmentString(e.getCoordinates(), e
+            .getLabel()));
+      }
+    }
+    this.noder.computeNodes(segStrings);
+
+    for (var it = this.noder.getNodedSubstrings().iterator(); it.hasNext();) {
+      var segStr = it.next();
+      // skip linework collapsed by rounding
+      if (segStr.size() < 2)
+        continue;
+      edgelist.add(new Edge(segStr.getCoordinates(), new Label(segStr
+          .getData())));
+    }
+  };
+
   /**
    * @private
    */
@@ -55,6 +55,25 @@
    */
   SnapIfNeededOverlayOp.prototype.geom = null;
 
+  /**
+   * @private
+   * @type {jsts.noding.Noder}
+   */
+  SnapIfNeededOverlayOp.prototype.noder = null;
+
+
+  /**
+   * Sets a {@link jsts.noding.Noder} to retry the overlay with if snapping
+   * fails as well, e.g. a snap-rounding {@link jsts.noding.ScaledNoder} for
+   * inputs on a fixed precision grid.
+   *
+   * @param {jsts.noding.Noder}
+   *          noder the noder to fall back to.
+   */
+  SnapIfNeededOverlayOp.prototype.setNoder = function(noder) {
+    this.noder = noder;
+  };
+
 
   SnapIfNeededOverlayOp.prototype.getResultGeometry = function(opCode) {
     var result = null;
@@ -75,12 +94,32 @@
       try {
         result = SnapOverlayOp.overlayOp(this.geom[0], this.geom[1], opCode);
       } catch (ex) {
-        throw savedException;
+        result = this.overlayNoded(opCode, savedException);
       }
     }
     return result;
   }
 
+  /**
+   * Computes the overlay with the noder given by {@link #setNoder}.
+   *
+   * @private
+   * @throws the saved exception if no noder is set or the overlay fails.
+   */
+  SnapIfNeededOverlayOp.prototype.overlayNoded = function(opCode,
+      savedException) {
+    if (this.noder === null) {
+      throw savedException;
+    }
+    try {
+      var op = new OverlayOp(this.geom[0], this.geom[1]);
+      op.setNoder(this.noder);
+      return op.getResultGeometry(opCode);
+    } catch (ex) {
+      throw savedException;
+    }
+  };
+
   jsts.operation.overlay.snap.SnapIfNeededOverlayOp = SnapIfNeededOverlayOp;
 
 })();
@@ -0,0 +1,480 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/CoordinateList.js
+   * @requires jsts/algorithm/CGAlgorithms.js
+   */
+
+
+
+  /**
+   * Represents a ring of {@link PolygonizeDirectedEdge}s which form a ring of
+   * a polygon. The ring may be either an outer shell or a hole.
+   *
+   * @param {jsts.geom.GeometryFactory}
+   *          factory the factory used to create the ring geometries.
+   * @constructor
+   */
+  jsts.operation.polygonize.EdgeRing = function(factory) {
+    this.factory = factory;
+    this.deList = [];
+  };
+
+
+  /**
+   * Finds the innermost enclosing shell EdgeRing containing the argument
+   * EdgeRing, if any. The innermost enclosing ring is the <i>smallest</i>
+   * enclosing ring. The algorithm used depends on the fact that:
+   * <br>
+   * ring A contains ring B iff envelope(ring A) contains envelope(ring B)
+   * <br>
+   * This routine is only safe to use if the chosen point of the hole is known
+   * to be properly contained in a shell (which is guaranteed to be the case
+   * if the hole does not touch its shell).
+   *
+   * @param {jsts.operation.polygonize.EdgeRing}
+   *          testEr the ring to find a shell for.
+   * @param {Array.<jsts.operation.polygonize.EdgeRing>}
+   *          shellList the shells to search.
+   * @return {jsts.operation.polygonize.EdgeRing} the containing EdgeRing, if
+   *         there is one, or <code>null</code> if no containing EdgeRing is
+   *         found.
+   */
+  jsts.operation.polygonize.EdgeRing.findEdgeRingContaining = function(
+      testEr, shellList) {
+    var testRing = testEr.getRing();
+    var testEnv = testRing.getEnvelopeInternal();
+
+    var minShell = null;
+    var minShellEnv = null;
+    for (var i = 0; i < shellList.length; i++) {
+      var tryShell = shellList[i];
+      var tryShellRing = tryShell.getRing();
+      var tryShellEnv = tryShellRing.getEnvelopeInternal();
+      // the hole envelope cannot equal the shell envelope
+      // (also guards against testing rings against themselves)
+      if (tryShellEnv.equals(testEnv))
+        continue;
+      // hole must be contained in shell
+      if (!tryShellEnv.contains(testEnv))
+        continue;
+
+      var testPt = ptNotInList(testRing.getCoordinates(), tryShellRing
+          .getCoordinates());
+      if (testPt === null)
+        continue;
+
+      if (jsts.algorithm.CGAlgorithms.isPointInRing(testPt, tryShellRing
+          .getCoordinates())) {
+        // check if this new containing ring is smaller than the current
+        // minimum ring
+        if (minShell === null || minShellEnv.contains(tryShellEnv)) {
+          minShell = tryShell;
+          minShellEnv = minShell.getRing().getEnvelopeInternal();
+        }
+      }
+    }
+    return minShell;
+  };
+
+
+  /**
+   * Compares EdgeRings based on their envelope, using the standard
+   * lexicographic ordering. This ordering is sufficient to make edge ring
+   * sorting deterministic.
+   *
+   * @param {jsts.operation.polygonize.EdgeRing}
+   *          r0 the first ring.
+   * @param {jsts.operation.polygonize.EdgeRing}
+   *          r1 the second ring.
+   * @return {number}
+   */
+  jsts.operation.polygonize.EdgeRing.envelopeComparator = function(r0, r1) {
+    return r0.getRing().getEnvelope().compareTo(r1.getRing().getEnvelope());
+  };
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.factory = null;
+
+
+  /**
+   * @type {Array.<jsts.operation.polygonize.PolygonizeDirectedEdge>}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.deList = null;
+
+
+  /**
+   * @type {jsts.geom.LinearRing}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.ring = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.Coordinate>}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.ringPts = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.LinearRing>}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.holes = null;
+
+
+  /**
+   * @type {jsts.operation.polygonize.EdgeRing}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.shell = null;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype._isHole = false;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype._isProcessed = false;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype._isIncludedSet = false;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype._isIncluded = false;
+
+
+  /**
+   * Adds the directed edges of the ring starting at <code>startDE</code> to
+   * this EdgeRing, and records this ring on each of them.
+   *
+   * @param {jsts.operation.polygonize.PolygonizeDirectedEdge}
+   *          startDE the first edge of the ring.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.build = function(startDE) {
+    var de = startDE;
+    do {
+      this.add(de);
+      de.setRing(this);
+      de = de.getNext();
+      jsts.util.Assert.isTrue(de !== null, 'found null DE in ring');
+      jsts.util.Assert.isTrue(de === startDE || !de.isInRing(),
+          'found DE already in ring');
+    } while (de !== startDE);
+  };
+
+
+  /**
+   * Adds a {@link DirectedEdge} which is known to form part of this ring.
+   *
+   * @param {jsts.planargraph.DirectedEdge}
+   *          de the directed edge to add.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.add = function(de) {
+    this.deList.push(de);
+  };
+
+
+  /**
+   * Tests whether this ring is a hole. {@link #computeHole} must be called
+   * first.
+   *
+   * @return {boolean} <code>true</code> if this ring is a hole.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.isHole = function() {
+    return this._isHole;
+  };
+
+
+  /**
+   * Computes whether this ring is a hole. Due to the way the edges in the
+   * polygonization graph are linked, a ring is a hole if it is oriented
+   * counter-clockwise.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.computeHole = function() {
+    var ring = this.getRing();
+    this._isHole = jsts.algorithm.CGAlgorithms.isCCW(ring.getCoordinates());
+  };
+
+
+  /**
+   * Adds a hole to the polygon formed by this ring.
+   *
+   * @param {jsts.operation.polygonize.EdgeRing}
+   *          holeER the EdgeRing forming the hole.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.addHole = function(holeER) {
+    holeER.setShell(this);
+    if (this.holes === null)
+      this.holes = [];
+    this.holes.push(holeER.getRing());
+  };
+
+
+  /**
+   * Computes the {@link Polygon} formed by this ring and any contained holes.
+   *
+   * @return {jsts.geom.Polygon} the {@link Polygon} formed by this ring and
+   *         its holes.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.getPolygon = function() {
+    return this.factory.createPolygon(this.ring, this.holes);
+  };
+
+
+  /**
+   * Tests if the {@link LinearRing} ring formed by this edge ring is
+   * topologically valid.
+   *
+   * @return {boolean} <code>true</code> if the ring is valid.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.isValid = function() {
+    this.getCoordinates();
+    if (this.ringPts.length <= 3)
+      return false;
+    this.getRing();
+    return this.ring.isValid();
+  };
+
+
+  /**
+   * @return {boolean} whether {@link #setIncluded} has been called.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.isIncludedSet = function() {
+    return this._isIncludedSet;
+  };
+
+
+  /**
+   * @return {boolean} whether this ring is included in a polygonal result.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.isIncluded = function() {
+    return this._isIncluded;
+  };
+
+
+  /**
+   * @param {boolean}
+   *          isIncluded whether this ring is included in a polygonal result.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.setIncluded = function(
+      isIncluded) {
+    this._isIncluded = isIncluded;
+    this._isIncludedSet = true;
+  };
+
+
+  /**
+   * Computes the list of coordinates which are contained in this ring. The
+   * coordinates are computed once only and cached.
+   *
+   * @return {Array.<jsts.geom.Coordinate>} the coordinates of this ring.
+   * @private
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.getCoordinates = function() {
+    if (this.ringPts === null) {
+      var coordList = new jsts.geom.CoordinateList([], false);
+      for (var i = 0; i < this.deList.length; i++) {
+        var de = this.deList[i];
+        coordList.add(de.getEdge().getLine().getCoordinates(), false, de
+            .getEdgeDirection());
+      }
+      this.ringPts = coordList.toArray();
+    }
+    return this.ringPts;
+  };
+
+
+  /**
+   * Gets the coordinates for this ring as a {@link LineString}. Used to
+   * return the coordinates in this ring as a valid geometry, when it has been
+   * detected that the ring is topologically invalid.
+   *
+   * @return {jsts.geom.LineString} a {@link LineString} containing the
+   *         coordinates in this ring.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.getLineString = function() {
+    this.getCoordinates();
+    return this.factory.createLineString(this.ringPts);
+  };
+
+
+  /**
+   * Returns this ring as a {@link LinearRing}, or null if an Exception
+   * occurs while creating it (such as a topology problem).
+   *
+   * @return {jsts.geom.LinearRing}
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.getRing = function() {
+    if (this.ring !== null)
+      return this.ring;
+    this.getCoordinates();
+    try {
+      this.ring = this.factory.createLinearRing(this.ringPts);
+    } catch (e) {
+      this.ring = null;
+    }
+    return this.ring;
+  };
+
+
+  /**
+   * Sets the containing shell ring of a ring that has been determined to be a
+   * hole.
+   *
+   * @param {jsts.operation.polygonize.EdgeRing}
+   *          shell the shell ring.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.setShell = function(shell) {
+    this.shell = shell;
+  };
+
+
+  /**
+   * Tests whether this ring has a shell assigned to it.
+   *
+   * @return {boolean} <code>true</code> if the ring has a shell.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.hasShell = function() {
+    return this.shell !== null;
+  };
+
+
+  /**
+   * Gets the shell for this ring. The shell is the ring itself if it is not a
+   * hole, otherwise its parent shell.
+   *
+   * @return {jsts.operation.polygonize.EdgeRing} the shell for this ring.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.getShell = function() {
+    if (this.isHole())
+      return this.shell;
+    return this;
+  };
+
+
+  /**
+   * Tests whether this ring is an outer hole. A hole is an outer hole if it
+   * is not contained by a shell.
+   *
+   * @return {boolean} <code>true</code> if the ring is an outer hole.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.isOuterHole = function() {
+    if (!this._isHole)
+      return false;
+    return !this.hasShell();
+  };
+
+
+  /**
+   * Tests whether this ring is an outer shell.
+   *
+   * @return {boolean} <code>true</code> if the ring is an outer shell.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.isOuterShell = function() {
+    return this.getOuterHole() !== null;
+  };
+
+
+  /**
+   * Gets the outer hole adjacent to this shell, if any. A shell is an outer
+   * shell if any of its edges is also in an outer hole.
+   *
+   * @return {jsts.operation.polygonize.EdgeRing} the adjacent outer hole, or
+   *         <code>null</code>.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.getOuterHole = function() {
+    if (this.isHole())
+      return null;
+    for (var i = 0; i < this.deList.length; i++) {
+      var adjRing = this.deList[i].getSym().getRing();
+      if (adjRing.isOuterHole())
+        return adjRing;
+    }
+    return null;
+  };
+
+
+  /**
+   * Updates the included status for currently non-included shells based on
+   * whether they are adjacent to an included shell.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.updateIncluded = function() {
+    if (this.isHole())
+      return;
+    for (var i = 0; i < this.deList.length; i++) {
+      var adjShell = this.deList[i].getSym().getRing().getShell();
+      if (adjShell !== null && adjShell.isIncludedSet()) {
+        // adjacent ring has been processed, so set included to inverse of
+        // adjacent included
+        this.setIncluded(!adjShell.isIncluded());
+        return;
+      }
+    }
+  };
+
+
+  /**
+   * @return {boolean} whether this ring has been processed.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.isProcessed = function() {
+    return this._isProcessed;
+  };
+
+
+  /**
+   * @param {boolean}
+   *          isProcessed whether this ring has been processed.
+   */
+  jsts.operation.polygonize.EdgeRing.prototype.setProcessed = function(
+      isProcessed) {
+    this._isProcessed = isProcessed;
+  };
+
+
+  /**
+   * Finds a point in a list of points which is not contained in another list
+   * of points
+   *
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          testPts the points to test.
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts an array of points to test against.
+   * @return {jsts.geom.Coordinate} a Coordinate from <code>testPts</code>
+   *         which is not in <code>pts</code>, or <code>null</code>.
+   */
+  var ptNotInList = function(testPts, pts) {
+    for (var i = 0; i < testPts.length; i++) {
+      if (jsts.geom.CoordinateArrays.indexOf(testPts[i], pts) < 0)
+        return testPts[i];
+    }
+    return null;
+  };
+
+})();
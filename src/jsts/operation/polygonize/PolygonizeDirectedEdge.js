@@ -0,0 +1,135 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/planargraph/DirectedEdge.js
+ */
+
+
+
+/**
+ * A {@link DirectedEdge} of a {@link PolygonizeGraph}, which represents an
+ * edge of a polygon formed by the graph. May be logically deleted from the
+ * graph by setting the <code>marked</code> flag.
+ *
+ * @param {jsts.planargraph.Node}
+ *          from the start node.
+ * @param {jsts.planargraph.Node}
+ *          to the end node.
+ * @param {jsts.geom.Coordinate}
+ *          directionPt the point used to compute the direction of the edge.
+ * @param {boolean}
+ *          edgeDirection whether the edge runs in the direction of its
+ *          LineString.
+ * @constructor
+ * @extends {jsts.planargraph.DirectedEdge}
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge = function(from, to,
+    directionPt, edgeDirection) {
+  jsts.planargraph.DirectedEdge.call(this, from, to, directionPt,
+      edgeDirection);
+};
+jsts.inherit(jsts.operation.polygonize.PolygonizeDirectedEdge,
+    jsts.planargraph.DirectedEdge);
+
+
+/**
+ * @type {jsts.operation.polygonize.EdgeRing}
+ * @private
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.edgeRing = null;
+
+
+/**
+ * @type {jsts.operation.polygonize.PolygonizeDirectedEdge}
+ * @private
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.next = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.label = -1;
+
+
+/**
+ * Returns the identifier attached to this directed edge.
+ *
+ * @return {number}
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.getLabel = function() {
+  return this.label;
+};
+
+
+/**
+ * Attaches an identifier to this directed edge.
+ *
+ * @param {number}
+ *          label the label.
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.setLabel = function(
+    label) {
+  this.label = label;
+};
+
+
+/**
+ * Returns the next directed edge in the EdgeRing that this directed edge is
+ * a member of.
+ *
+ * @return {jsts.operation.polygonize.PolygonizeDirectedEdge}
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.getNext = function() {
+  return this.next;
+};
+
+
+/**
+ * Sets the next directed edge in the EdgeRing that this directed edge is a
+ * member of.
+ *
+ * @param {jsts.operation.polygonize.PolygonizeDirectedEdge}
+ *          next the next edge.
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.setNext = function(
+    next) {
+  this.next = next;
+};
+
+
+/**
+ * Tests whether this directed edge has been added to an {@link EdgeRing}.
+ *
+ * @return {boolean} <code>true</code> if this edge is in a ring.
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.isInRing = function() {
+  return this.edgeRing !== null;
+};
+
+
+/**
+ * Sets the ring of directed edges that this directed edge is a member of.
+ *
+ * @param {jsts.operation.polygonize.EdgeRing}
+ *          edgeRing the ring.
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.setRing = function(
+    edgeRing) {
+  this.edgeRing = edgeRing;
+};
+
+
+/**
+ * Gets the {@link EdgeRing} this edge is a member of.
+ *
+ * @return {jsts.operation.polygonize.EdgeRing} the ring, or null.
+ */
+jsts.operation.polygonize.PolygonizeDirectedEdge.prototype.getRing = function() {
+  return this.edgeRing;
+};
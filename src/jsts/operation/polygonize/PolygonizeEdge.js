@@ -0,0 +1,39 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/planargraph/Edge.js
+ */
+
+
+
+/**
+ * An edge of a polygonization graph.
+ *
+ * @param {jsts.geom.LineString}
+ *          line the line the edge is created from.
+ * @constructor
+ * @extends {jsts.planargraph.Edge}
+ */
+jsts.operation.polygonize.PolygonizeEdge = function(line) {
+  this.line = line;
+};
+jsts.inherit(jsts.operation.polygonize.PolygonizeEdge, jsts.planargraph.Edge);
+
+
+/**
+ * @type {jsts.geom.LineString}
+ * @private
+ */
+jsts.operation.polygonize.PolygonizeEdge.prototype.line = null;
+
+
+/**
+ * @return {jsts.geom.LineString} the line of this edge.
+ */
+jsts.operation.polygonize.PolygonizeEdge.prototype.getLine = function() {
+  return this.line;
+};
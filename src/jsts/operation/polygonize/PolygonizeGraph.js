@@ -0,0 +1,456 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/planargraph/PlanarGraph.js
+   * @requires jsts/planargraph/Node.js
+   * @requires jsts/geom/CoordinateArrays.js
+   * @requires jsts/operation/polygonize/EdgeRing.js
+   * @requires jsts/operation/polygonize/PolygonizeEdge.js
+   * @requires jsts/operation/polygonize/PolygonizeDirectedEdge.js
+   * @requires jsts/util/Assert.js
+   */
+
+  var Assert = jsts.util.Assert;
+
+
+
+  /**
+   * Represents a planar graph of edges that can be used to compute a
+   * polygonization, and implements the algorithms to compute the
+   * {@link EdgeRing}s formed by the graph.
+   * <p>
+   * The marked flag on {@link DirectedEdge}s is used to indicate that a
+   * directed edge has been logically deleted from the graph.
+   *
+   * @param {jsts.geom.GeometryFactory}
+   *          factory the factory used to create the ring geometries.
+   * @constructor
+   * @extends {jsts.planargraph.PlanarGraph}
+   */
+  jsts.operation.polygonize.PolygonizeGraph = function(factory) {
+    jsts.planargraph.PlanarGraph.call(this);
+    this.factory = factory;
+  };
+  jsts.inherit(jsts.operation.polygonize.PolygonizeGraph,
+      jsts.planargraph.PlanarGraph);
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.operation.polygonize.PolygonizeGraph.prototype.factory = null;
+
+
+  /**
+   * Adds an edge to the polygonization graph. Empty lines or lines with all
+   * coordinates equal are not added.
+   *
+   * @param {jsts.geom.LineString}
+   *          line the line to add.
+   */
+  jsts.operation.polygonize.PolygonizeGraph.prototype.addEdge = function(line) {
+    if (line.isEmpty()) {
+      return;
+    }
+    var linePts = jsts.geom.CoordinateArrays.removeRepeatedPoints(line
+        .getCoordinates());
+
+    if (linePts.length < 2) {
+      return;
+    }
+
+    var startPt = linePts[0];
+    var endPt = linePts[linePts.length - 1];
+
+    var nStart = this.getNode(startPt);
+    var nEnd = this.getNode(endPt);
+
+    var de0 = new jsts.operation.polygonize.PolygonizeDirectedEdge(nStart,
+        nEnd, linePts[1], true);
+    var de1 = new jsts.operation.polygonize.PolygonizeDirectedEdge(nEnd,
+        nStart, linePts[linePts.length - 2], false);
+    var edge = new jsts.operation.polygonize.PolygonizeEdge(line);
+    edge.setDirectedEdges(de0, de1);
+    this.add(edge);
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate}
+   *          pt the location of the node.
+   * @return {jsts.planargraph.Node} the existing or newly added node.
+   * @private
+   */
+  jsts.operation.polygonize.PolygonizeGraph.prototype.getNode = function(pt) {
+    var node = this.findNode(pt);
+    if (node === null) {
+      node = new jsts.planargraph.Node(pt);
+      // ensure node is only added once to graph
+      this.add(node);
+    }
+    return node;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.polygonize.PolygonizeGraph.prototype.computeNextCWEdges = function() {
+    // set the next pointers for the edges around each node
+    var nodes = this.getNodes();
+    for (var i = 0; i < nodes.length; i++) {
+      computeNextCWEdges(nodes[i]);
+    }
+  };
+
+
+  /**
+   * Convert the maximal edge rings found by the initial graph traversal into
+   * the minimal edge rings required by JTS polygon topology rules.
+   *
+   * @param {Array.<jsts.operation.polygonize.PolygonizeDirectedEdge>}
+   *          ringEdges the list of start edges for the edgeRings to convert.
+   * @private
+   */
+  jsts.operation.polygonize.PolygonizeGraph.prototype.convertMaximalToMinimalEdgeRings = function(
+      ringEdges) {
+    for (var i = 0; i < ringEdges.length; i++) {
+      var de = ringEdges[i];
+      var label = de.getLabel();
+      var intNodes = findIntersectionNodes(de, label);
+
+      if (intNodes === null)
+        continue;
+      // flip the next pointers on the intersection nodes to create minimal
+      // edge rings
+      for (var j = 0; j < intNodes.length; j++) {
+        computeNextCCWEdges(intNodes[j], label);
+      }
+    }
+  };
+
+
+  /**
+   * Computes the minimal EdgeRings formed by the edges in this graph.
+   *
+   * @return {Array.<jsts.operation.polygonize.EdgeRing>} a list of the
+   *         {@link EdgeRing}s found by the polygonization process.
+   */
+  jsts.operation.polygonize.PolygonizeGraph.prototype.getEdgeRings = function() {
+    // maybe could optimize this, since most of these pointers should be set
+    // correctly already by deleteCutEdges()
+    this.computeNextCWEdges();
+    // clear labels of all edges in graph
+    label(this.dirEdges, -1);
+    var maximalRings = findLabeledEdgeRings(this.dirEdges);
+    this.convertMaximalToMinimalEdgeRings(maximalRings);
+
+    // find all edgerings (which will now be minimal ones, as required)
+    var edgeRingList = [];
+    for (var i = 0; i < this.dirEdges.length; i++) {
+      var de = this.dirEdges[i];
+      if (de.isMarked())
+        continue;
+      if (de.isInRing())
+        continue;
+
+      var er = new jsts.operation.polygonize.EdgeRing(this.factory);
+      er.build(de);
+      edgeRingList.push(er);
+    }
+    return edgeRingList;
+  };
+
+
+  /**
+   * Finds and removes all cut edges from the graph.
+   *
+   * @return {Array.<jsts.geom.LineString>} a list of the
+   *         {@link LineString}s forming the removed cut edges.
+   */
+  jsts.operation.polygonize.PolygonizeGraph.prototype.deleteCutEdges = function() {
+    this.computeNextCWEdges();
+    // label the current set of edgerings
+    findLabeledEdgeRings(this.dirEdges);
+
+    /**
+     * Cut Edges are edges where both dirEdges have the same label. Delete
+     * them, and record them
+     */
+    var cutLines = [];
+    for (var i = 0; i < this.dirEdges.length; i++) {
+      var de = this.dirEdges[i];
+      if (de.isMarked())
+        continue;
+
+      var sym = de.getSym();
+
+      if (de.getLabel() === sym.getLabel()) {
+        de.setMarked(true);
+        sym.setMarked(true);
+
+        // save the line as a cut edge
+        cutLines.push(de.getEdge().getLine());
+      }
+    }
+    return cutLines;
+  };
+
+
+  /**
+   * Marks all edges from the graph which are "dangles". Dangles are edges
+   * which are incident on a node with degree 1. This process is recursive,
+   * since removing a dangling edge may result in another edge becoming a
+   * dangle. In order to handle large recursion depths efficiently, an explicit
+   * recursion stack is used.
+   *
+   * @return {Array.<jsts.geom.LineString>} a list containing the
+   *         {@link LineString}s that formed dangles.
+   */
+  jsts.operation.polygonize.PolygonizeGraph.prototype.deleteDangles = function() {
+    var nodeStack = this.findNodesOfDegree(1);
+    var dangleLines = [];
+
+    while (nodeStack.length > 0) {
+      var node = nodeStack.pop();
+      var nodeOutEdges = node.getOutEdges().getEdges();
+      for (var i = 0; i < nodeOutEdges.length; i++) {
+        var de = nodeOutEdges[i];
+        // a dangle reached from both of its ends is only reported once
+        if (de.isMarked())
+          continue;
+        // delete this edge and its sym
+        de.setMarked(true);
+        de.getSym().setMarked(true);
+
+        // save the line as a dangle
+        dangleLines.push(de.getEdge().getLine());
+
+        var toNode = de.getToNode();
+        // add the toNode to the list to be processed, if it is now a dangle
+        if (getDegreeNonDeleted(toNode) === 1)
+          nodeStack.push(toNode);
+      }
+    }
+    return dangleLines;
+  };
+
+
+  /**
+   * @param {jsts.planargraph.Node}
+   *          node a node of the graph.
+   * @return {number} the number of out edges which are not deleted.
+   */
+  var getDegreeNonDeleted = function(node) {
+    var edges = node.getOutEdges().getEdges();
+    var degree = 0;
+    for (var i = 0; i < edges.length; i++) {
+      if (!edges[i].isMarked())
+        degree++;
+    }
+    return degree;
+  };
+
+
+  /**
+   * @param {jsts.planargraph.Node}
+   *          node a node of the graph.
+   * @param {number}
+   *          label the ring label to count.
+   * @return {number} the number of out edges with the given label.
+   */
+  var getDegree = function(node, label) {
+    var edges = node.getOutEdges().getEdges();
+    var degree = 0;
+    for (var i = 0; i < edges.length; i++) {
+      if (edges[i].getLabel() === label)
+        degree++;
+    }
+    return degree;
+  };
+
+
+  /**
+   * Finds all nodes in a maximal edgering which are self-intersection nodes
+   *
+   * @param {jsts.operation.polygonize.PolygonizeDirectedEdge}
+   *          startDE the first edge of the ring.
+   * @param {number}
+   *          label the label of the ring.
+   * @return {Array.<jsts.planargraph.Node>} the list of intersection nodes
+   *         found, or <code>null</code> if no intersection nodes were found.
+   */
+  var findIntersectionNodes = function(startDE, label) {
+    var de = startDE;
+    var intNodes = null;
+    do {
+      var node = de.getFromNode();
+      if (getDegree(node, label) > 1) {
+        if (intNodes === null)
+          intNodes = [];
+        intNodes.push(node);
+      }
+
+      de = de.getNext();
+      Assert.isTrue(de !== null, 'found null DE in ring');
+      Assert.isTrue(de === startDE || !de.isInRing(),
+          'found DE already in ring');
+    } while (de !== startDE);
+
+    return intNodes;
+  };
+
+
+  /**
+   * Finds and labels all edgerings in the graph. The edge rings are labelled
+   * with unique integers. The labelling allows detecting cut edges.
+   *
+   * @param {Array.<jsts.operation.polygonize.PolygonizeDirectedEdge>}
+   *          dirEdges a list of the DirectedEdges in the graph.
+   * @return {Array.<jsts.operation.polygonize.PolygonizeDirectedEdge>} a
+   *         list of DirectedEdges, one for each edge ring found.
+   */
+  var findLabeledEdgeRings = function(dirEdges) {
+    var edgeRingStarts = [];
+    // label the edge rings formed
+    var currLabel = 1;
+    for (var i = 0; i < dirEdges.length; i++) {
+      var de = dirEdges[i];
+      if (de.isMarked())
+        continue;
+      if (de.getLabel() >= 0)
+        continue;
+
+      edgeRingStarts.push(de);
+      label(findDirEdgesInRing(de), currLabel);
+      currLabel++;
+    }
+    return edgeRingStarts;
+  };
+
+
+  /**
+   * @param {Array.<jsts.operation.polygonize.PolygonizeDirectedEdge>}
+   *          dirEdges the edges to label.
+   * @param {number}
+   *          edgeLabel the label to set.
+   */
+  var label = function(dirEdges, edgeLabel) {
+    for (var i = 0; i < dirEdges.length; i++) {
+      dirEdges[i].setLabel(edgeLabel);
+    }
+  };
+
+
+  /**
+   * Links the non-deleted edges around a node in clockwise order.
+   *
+   * @param {jsts.planargraph.Node}
+   *          node the node to process.
+   */
+  var computeNextCWEdges = function(node) {
+    var edges = node.getOutEdges().getEdges();
+    var startDE = null;
+    var prevDE = null;
+
+    // the edges are stored in CCW order around the star
+    for (var i = 0; i < edges.length; i++) {
+      var outDE = edges[i];
+      if (outDE.isMarked())
+        continue;
+
+      if (startDE === null)
+        startDE = outDE;
+      if (prevDE !== null) {
+        prevDE.getSym().setNext(outDE);
+      }
+      prevDE = outDE;
+    }
+    if (prevDE !== null) {
+      prevDE.getSym().setNext(startDE);
+    }
+  };
+
+
+  /**
+   * Computes the next edge pointers going CCW around the given node, for the
+   * given edgering label. This algorithm has the effect of converting maximal
+   * edgerings into minimal edgerings
+   *
+   * @param {jsts.planargraph.Node}
+   *          node the node to process.
+   * @param {number}
+   *          label the label of the ring.
+   */
+  var computeNextCCWEdges = function(node, label) {
+    var edges = node.getOutEdges().getEdges();
+    var firstOutDE = null;
+    var prevInDE = null;
+
+    // the edges are stored in CCW order around the star
+    for (var i = edges.length - 1; i >= 0; i--) {
+      var de = edges[i];
+      var sym = de.getSym();
+
+      var outDE = null;
+      if (de.getLabel() === label)
+        outDE = de;
+      var inDE = null;
+      if (sym.getLabel() === label)
+        inDE = sym;
+
+      if (outDE === null && inDE === null)
+        continue; // this edge is not in edgering
+
+      if (inDE !== null) {
+        prevInDE = inDE;
+      }
+
+      if (outDE !== null) {
+        if (prevInDE !== null) {
+          prevInDE.setNext(outDE);
+          prevInDE = null;
+        }
+        if (firstOutDE === null)
+          firstOutDE = outDE;
+      }
+    }
+    if (prevInDE !== null) {
+      Assert.isTrue(firstOutDE !== null);
+      prevInDE.setNext(firstOutDE);
+    }
+  };
+
+
+  /**
+   * Traverses a ring of DirectedEdges, accumulating them into a list. This
+   * assumes that all dangling directed edges have been removed from the
+   * graph, so that there is always a next dirEdge.
+   *
+   * @param {jsts.operation.polygonize.PolygonizeDirectedEdge}
+   *          startDE the DirectedEdge to start traversing at.
+   * @return {Array.<jsts.operation.polygonize.PolygonizeDirectedEdge>} a list
+   *         of DirectedEdges that form a ring.
+   */
+  var findDirEdgesInRing = function(startDE) {
+    var de = startDE;
+    var edges = [];
+    do {
+      edges.push(de);
+      de = de.getNext();
+      Assert.isTrue(de !== null, 'found null DE in ring');
+      Assert.isTrue(de === startDE || !de.isInRing(),
+          'found DE already in ring');
+    } while (de !== startDE);
+
+    return edges;
+  };
+
+})();
@@ -0,0 +1,431 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/GeometryFactory.js
+   * @requires jsts/geom/util/LinearComponentExtracter.js
+   * @requires jsts/operation/polygonize/EdgeRing.js
+   * @requires jsts/operation/polygonize/PolygonizeGraph.js
+   */
+
+  var EdgeRing = jsts.operation.polygonize.EdgeRing;
+  var PolygonizeGraph = jsts.operation.polygonize.PolygonizeGraph;
+  var ArrayList = javascript.util.ArrayList;
+
+
+
+  /**
+   * Polygonizes a set of {@link Geometry}s which contain linework that
+   * represents the edges of a planar graph. All types of Geometry are
+   * accepted as input; the constituent linework is extracted as the edges to
+   * be polygonized. The processed edges must be correctly noded; that is,
+   * they must only meet at their endpoints. The Polygonizer will run on
+   * incorrectly noded input but will not form polygons from non-noded edges,
+   * and will report them as errors.
+   * <p>
+   * The Polygonizer reports the follow kinds of errors:
+   * <ul>
+   * <li><b>Dangles</b> - edges which have one or both ends which are not
+   * incident on another edge endpoint
+   * <li><b>Cut Edges</b> - edges which are connected at both ends but which
+   * do not form part of polygon
+   * <li><b>Invalid Ring Lines</b> - edges which form rings which are invalid
+   * (e.g. the component lines contain a self-intersection)
+   * </ul>
+   * The Polygonizer constructor allows extracting only polygons which form a
+   * valid polygonal geometry. The set of extracted polygons is guaranteed to
+   * be edge-disjoint. This is useful for situations where it is known that
+   * the input lines form a valid polygonal geometry.
+   *
+   * @param {boolean=}
+   *          extractOnlyPolygonal true if only polygons which form a valid
+   *          polygonal geometry should be extracted.
+   * @constructor
+   */
+  jsts.operation.polygonize.Polygonizer = function(extractOnlyPolygonal) {
+    this.extractOnlyPolygonal = extractOnlyPolygonal === true;
+    this.lines = [];
+    this.dangles = [];
+    this.cutEdges = [];
+    this.invalidRingLines = [];
+  };
+
+
+  /**
+   * The lines added so far.
+   *
+   * @type {Array.<jsts.geom.LineString>}
+   * @private
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.lines = null;
+
+
+  /**
+   * @type {jsts.operation.polygonize.PolygonizeGraph}
+   * @protected
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.graph = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.LineString>}
+   * @protected
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.dangles = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.LineString>}
+   * @protected
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.cutEdges = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.LineString>}
+   * @protected
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.invalidRingLines = null;
+
+
+  /**
+   * @type {Array.<jsts.operation.polygonize.EdgeRing>}
+   * @protected
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.holeList = null;
+
+
+  /**
+   * @type {Array.<jsts.operation.polygonize.EdgeRing>}
+   * @protected
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.shellList = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.Polygon>}
+   * @protected
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.polyList = null;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.isCheckingRingsValid = true;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.extractOnlyPolygonal = false;
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.geomFactory = null;
+
+
+  /**
+   * Adds a Geometry, or a collection of Geometries, whose linework is to be
+   * polygonized. May be called multiple times. Any dimension of Geometry may
+   * be added; the constituent linework will be extracted and used. Adding
+   * linework after the polygons have been computed causes them to be
+   * recomputed from all the linework added.
+   *
+   * @param {jsts.geom.Geometry|Array.<jsts.geom.Geometry>|javascript.util.Collection}
+   *          geometry a geometry or collection of geometries with linework to
+   *          be polygonized.
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.add = function(geometry) {
+    if (geometry instanceof jsts.geom.Geometry) {
+      var lines = jsts.geom.util.LinearComponentExtracter.getLines(geometry);
+      for (var i = 0; i < lines.length; i++) {
+        this.addLineString(lines[i]);
+      }
+      return;
+    }
+
+    var geometries = geometry instanceof Array ? geometry : geometry.toArray();
+    for (var j = 0; j < geometries.length; j++) {
+      this.add(geometries[j]);
+    }
+  };
+
+
+  /**
+   * Adds a linestring to the polygon edges.
+   *
+   * @param {jsts.geom.LineString}
+   *          line the LineString to add.
+   * @private
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.addLineString = function(
+      line) {
+    // record the geometry factory for later use
+    this.geomFactory = line.getFactory();
+    this.lines.push(line);
+    // polygonizing removes dangles and cut edges from the graph, so it is
+    // rebuilt from all the lines when the polygons are next computed
+    this.polyList = null;
+  };
+
+
+  /**
+   * Allows disabling the valid ring checking, to optimize situations where
+   * invalid rings are not expected.
+   * <p>
+   * The default is <code>true</code>.
+   *
+   * @param {boolean}
+   *          isCheckingRingsValid true if generated rings should be checked
+   *          for validity.
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.setCheckRingsValid = function(
+      isCheckingRingsValid) {
+    this.isCheckingRingsValid = isCheckingRingsValid;
+  };
+
+
+  /**
+   * Gets the list of polygons formed by the polygonization.
+   *
+   * @return {Array.<jsts.geom.Polygon>} the polygons formed.
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.getPolygons = function() {
+    this.polygonize();
+    return this.polyList;
+  };
+
+
+  /**
+   * Gets a geometry representing the polygons formed by the polygonization.
+   * If a valid polygonal geometry was extracted the result is a
+   * {@link Polygonal} geometry.
+   *
+   * @return {jsts.geom.Geometry} a geometry containing the polygons.
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.getGeometry = function() {
+    if (this.geomFactory === null)
+      this.geomFactory = new jsts.geom.GeometryFactory();
+    this.polygonize();
+    if (this.extractOnlyPolygonal) {
+      var polys = new ArrayList();
+      for (var i = 0; i < this.polyList.length; i++) {
+        polys.add(this.polyList[i]);
+      }
+      return this.geomFactory.buildGeometry(polys);
+    }
+    // result may not be valid Polygonal, so return as a GeometryCollection
+    return this.geomFactory.createGeometryCollection(this.polyList);
+  };
+
+
+  /**
+   * Gets the list of dangling lines found during polygonization.
+   *
+   * @return {Array.<jsts.geom.LineString>} the dangles.
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.getDangles = function() {
+    this.polygonize();
+    return this.dangles;
+  };
+
+
+  /**
+   * Gets the list of cut edges found during polygonization.
+   *
+   * @return {Array.<jsts.geom.LineString>} the cut edges.
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.getCutEdges = function() {
+    this.polygonize();
+    return this.cutEdges;
+  };
+
+
+  /**
+   * Gets the list of lines forming invalid rings found during
+   * polygonization.
+   *
+   * @return {Array.<jsts.geom.LineString>} the invalid ring lines.
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.getInvalidRingLines = function() {
+    this.polygonize();
+    return this.invalidRingLines;
+  };
+
+
+  /**
+   * Performs the polygonization, if it has not already been carried out.
+   *
+   * @private
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.polygonize = function() {
+    // check if already computed
+    if (this.polyList !== null)
+      return;
+    this.polyList = [];
+
+    if (this.lines.length === 0)
+      return;
+
+    // create a new graph using the factory from the input Geometry
+    this.graph = new PolygonizeGraph(this.geomFactory);
+    for (var i = 0; i < this.lines.length; i++) {
+      this.graph.addEdge(this.lines[i]);
+    }
+
+    this.dangles = this.graph.deleteDangles();
+    this.cutEdges = this.graph.deleteCutEdges();
+    var edgeRingList = this.graph.getEdgeRings();
+
+    var validEdgeRingList = [];
+    this.invalidRingLines = [];
+    if (this.isCheckingRingsValid) {
+      this.findValidRings(edgeRingList, validEdgeRingList,
+          this.invalidRingLines);
+    } else {
+      validEdgeRingList = edgeRingList;
+    }
+
+    this.findShellsAndHoles(validEdgeRingList);
+    assignHolesToShells(this.holeList, this.shellList);
+
+    // order the shells to make any subsequent processing deterministic
+    this.shellList.sort(EdgeRing.envelopeComparator);
+
+    var includeAll = true;
+    if (this.extractOnlyPolygonal) {
+      findDisjointShells(this.shellList);
+      includeAll = false;
+    }
+    this.polyList = extractPolygons(this.shellList, includeAll);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.findValidRings = function(
+      edgeRingList, validEdgeRingList, invalidRingList) {
+    for (var i = 0; i < edgeRingList.length; i++) {
+      var er = edgeRingList[i];
+      if (er.isValid()) {
+        validEdgeRingList.push(er);
+      } else {
+        invalidRingList.push(er.getLineString());
+      }
+    }
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.polygonize.Polygonizer.prototype.findShellsAndHoles = function(
+      edgeRingList) {
+    this.holeList = [];
+    this.shellList = [];
+    for (var i = 0; i < edgeRingList.length; i++) {
+      var er = edgeRingList[i];
+      er.computeHole();
+      if (er.isHole()) {
+        this.holeList.push(er);
+      } else {
+        this.shellList.push(er);
+      }
+    }
+  };
+
+
+  /**
+   * @param {Array.<jsts.operation.polygonize.EdgeRing>}
+   *          holeList the holes to assign.
+   * @param {Array.<jsts.operation.polygonize.EdgeRing>}
+   *          shellList the shells to assign the holes to.
+   */
+  var assignHolesToShells = function(holeList, shellList) {
+    for (var i = 0; i < holeList.length; i++) {
+      var holeER = holeList[i];
+      var shell = EdgeRing.findEdgeRingContaining(holeER, shellList);
+      if (shell !== null) {
+        shell.addHole(holeER);
+      }
+    }
+  };
+
+
+  /**
+   * Marks the shells which form a valid polygonal coverage as included. The
+   * shells adjacent to the outer holes are included, and from there
+   * inclusion alternates across shared edges.
+   *
+   * @param {Array.<jsts.operation.polygonize.EdgeRing>}
+   *          shellList the shells to process.
+   */
+  var findDisjointShells = function(shellList) {
+    findOuterShells(shellList);
+
+    var isMoreToScan;
+    do {
+      isMoreToScan = false;
+      for (var i = 0; i < shellList.length; i++) {
+        var er = shellList[i];
+        if (er.isIncludedSet())
+          continue;
+        er.updateIncluded();
+        if (!er.isIncludedSet()) {
+          isMoreToScan = true;
+        }
+      }
+    } while (isMoreToScan);
+  };
+
+
+  /**
+   * For each outer hole finds and includes a single outer shell. This seeds
+   * the traversal algorithm for finding only polygonal shells.
+   *
+   * @param {Array.<jsts.operation.polygonize.EdgeRing>}
+   *          shellList the list of shell EdgeRings.
+   */
+  var findOuterShells = function(shellList) {
+    for (var i = 0; i < shellList.length; i++) {
+      var er = shellList[i];
+      var outerHoleER = er.getOuterHole();
+      if (outerHoleER !== null && !outerHoleER.isProcessed()) {
+        er.setIncluded(true);
+        outerHoleER.setProcessed(true);
+      }
+    }
+  };
+
+
+  /**
+   * @param {Array.<jsts.operation.polygonize.EdgeRing>}
+   *          shellList the shells to extract.
+   * @param {boolean}
+   *          includeAll whether shells which are not included are extracted.
+   * @return {Array.<jsts.geom.Polygon>} the polygons.
+   */
+  var extractPolygons = function(shellList, includeAll) {
+    var polyList = [];
+    for (var i = 0; i < shellList.length; i++) {
+      var er = shellList[i];
+      if (includeAll || er.isIncluded()) {
+        polyList.push(er.getPolygon());
+      }
+    }
+    return polyList;
+  };
+
+})();
@@ -0,0 +1,326 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/RectangleLineIntersector.js
+   * @requires jsts/algorithm/locate/SimplePointInAreaLocator.js
+   * @requires jsts/geom/util/LinearComponentExtracter.js
+   * @requires jsts/geom/util/ShortCircuitedGeometryVisitor.js
+   */
+
+  var ShortCircuitedGeometryVisitor = jsts.geom.util.ShortCircuitedGeometryVisitor;
+
+
+
+  /**
+   * Implementation of the <tt>intersects</tt> spatial predicate optimized for
+   * the case where one {@link Geometry} is a rectangle. This class works for
+   * all input geometries, including {@link GeometryCollection}s.
+   * <p>
+   * As a further optimization, this class can be used in batch style to test
+   * many geometries against a single rectangle.
+   *
+   * @param {jsts.geom.Polygon}
+   *          rectangle a rectangular Polygon.
+   * @constructor
+   */
+  jsts.operation.predicate.RectangleIntersects = function(rectangle) {
+    this.rectangle = rectangle;
+    this.rectEnv = rectangle.getEnvelopeInternal();
+  };
+
+
+  /**
+   * Tests whether a rectangle intersects a given geometry.
+   *
+   * @param {jsts.geom.Polygon}
+   *          rectangle a rectangular Polygon.
+   * @param {jsts.geom.Geometry}
+   *          b a Geometry of any type.
+   * @return {boolean} true if the geometries intersect.
+   */
+  jsts.operation.predicate.RectangleIntersects.intersects = function(
+      rectangle, b) {
+    var rp = new jsts.operation.predicate.RectangleIntersects(rectangle);
+    return rp.intersects(b);
+  };
+
+
+  /**
+   * @type {jsts.geom.Polygon}
+   * @private
+   */
+  jsts.operation.predicate.RectangleIntersects.prototype.rectangle = null;
+
+
+  /**
+   * @type {jsts.geom.Envelope}
+   * @private
+   */
+  jsts.operation.predicate.RectangleIntersects.prototype.rectEnv = null;
+
+
+  /**
+   * Tests whether the given Geometry intersects the query rectangle.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the Geometry to test (may be of any type).
+   * @return {boolean} true if the geometry intersects the query rectangle.
+   */
+  jsts.operation.predicate.RectangleIntersects.prototype.intersects = function(
+      geom) {
+    if (!this.rectEnv.intersects(geom.getEnvelopeInternal()))
+      return false;
+
+    // Test if rectangle envelope intersects any component envelope. This
+    // handles Point components as well
+    var visitor = new EnvelopeIntersectsVisitor(this.rectEnv);
+    visitor.applyTo(geom);
+    if (visitor.intersects())
+      return true;
+
+    // Test if any rectangle vertex is contained in the target geometry
+    var ecpVisitor = new GeometryContainsPointVisitor(this.rectangle);
+    ecpVisitor.applyTo(geom);
+    if (ecpVisitor.containsPoint())
+      return true;
+
+    // Test if any target geometry line segment intersects the rectangle
+    var riVisitor = new RectangleIntersectsSegmentVisitor(this.rectangle);
+    riVisitor.applyTo(geom);
+    if (riVisitor.intersects())
+      return true;
+
+    return false;
+  };
+
+
+
+  /**
+   * Tests whether it can be concluded that a rectangle intersects a geometry,
+   * based on the relationship of the envelope(s) of the geometry.
+   *
+   * @param {jsts.geom.Envelope}
+   *          rectEnv the rectangle envelope.
+   * @constructor
+   * @extends {jsts.geom.util.ShortCircuitedGeometryVisitor}
+   */
+  var EnvelopeIntersectsVisitor = function(rectEnv) {
+    this.rectEnv = rectEnv;
+    this._intersects = false;
+  };
+  jsts.inherit(EnvelopeIntersectsVisitor, ShortCircuitedGeometryVisitor);
+
+
+  /**
+   * Reports whether it can be concluded that an intersection occurs, or
+   * whether further testing is required.
+   *
+   * @return {boolean} true if an intersection must occur or false if no
+   *         conclusion about intersection can be made.
+   */
+  EnvelopeIntersectsVisitor.prototype.intersects = function() {
+    return this._intersects;
+  };
+
+
+  /**
+   * @param {jsts.geom.Geometry}
+   *          element an elemental geometry component.
+   * @protected
+   */
+  EnvelopeIntersectsVisitor.prototype.visit = function(element) {
+    var elementEnv = element.getEnvelopeInternal();
+
+    // disjoint => no intersection
+    if (!this.rectEnv.intersects(elementEnv)) {
+      return;
+    }
+    // rectangle contains target env => must intersect
+    if (this.rectEnv.contains(elementEnv)) {
+      this._intersects = true;
+      return;
+    }
+    // Since the envelopes intersect and the test element is connected, if the
+    // test envelope is completely bisected by an edge of the rectangle the
+    // element and the rectangle must touch (This is basically an application
+    // of the Jordan Curve Theorem). The alternative situation is that the
+    // test envelope is "on a corner" of the rectangle envelope, i.e. is not
+    // completely bisected. In this case it is not possible to make a
+    // conclusion about the presence of an intersection.
+    if (elementEnv.getMinX() >= this.rectEnv.getMinX() &&
+        elementEnv.getMaxX() <= this.rectEnv.getMaxX()) {
+      this._intersects = true;
+      return;
+    }
+    if (elementEnv.getMinY() >= this.rectEnv.getMinY() &&
+        elementEnv.getMaxY() <= this.rectEnv.getMaxY()) {
+      this._intersects = true;
+      return;
+    }
+  };
+
+
+  /**
+   * @return {boolean} true if an intersection has been found.
+   * @protected
+   */
+  EnvelopeIntersectsVisitor.prototype.isDone = function() {
+    return this._intersects;
+  };
+
+
+
+  /**
+   * A visitor which tests whether it can be concluded that a geometry
+   * contains a vertex of a query geometry.
+   *
+   * @param {jsts.geom.Polygon}
+   *          rectangle the query rectangle.
+   * @constructor
+   * @extends {jsts.geom.util.ShortCircuitedGeometryVisitor}
+   */
+  var GeometryContainsPointVisitor = function(rectangle) {
+    this.rectSeq = rectangle.getExteriorRing().getCoordinates();
+    this.rectEnv = rectangle.getEnvelopeInternal();
+    this._containsPoint = false;
+  };
+  jsts.inherit(GeometryContainsPointVisitor, ShortCircuitedGeometryVisitor);
+
+
+  /**
+   * Reports whether it can be concluded that a corner point of the rectangle
+   * is contained in the geometry, or whether further testing is required.
+   *
+   * @return {boolean} true if a corner point is contained.
+   */
+  GeometryContainsPointVisitor.prototype.containsPoint = function() {
+    return this._containsPoint;
+  };
+
+
+  /**
+   * @param {jsts.geom.Geometry}
+   *          geom an elemental geometry component.
+   * @protected
+   */
+  GeometryContainsPointVisitor.prototype.visit = function(geom) {
+    // if test geometry is not polygonal this check is not needed
+    if (!(geom instanceof jsts.geom.Polygon))
+      return;
+
+    // skip if envelopes do not intersect
+    var elementEnv = geom.getEnvelopeInternal();
+    if (!this.rectEnv.intersects(elementEnv))
+      return;
+
+    // test each corner of rectangle for inclusion
+    for (var i = 0; i < 4; i++) {
+      var rectPt = this.rectSeq[i];
+      if (!elementEnv.contains(rectPt))
+        continue;
+      // check rect point in poly (rect is known not to touch polygon at this
+      // point)
+      if (jsts.algorithm.locate.SimplePointInAreaLocator.containsPointInPolygon(
+          rectPt, geom)) {
+        this._containsPoint = true;
+        return;
+      }
+    }
+  };
+
+
+  /**
+   * @return {boolean} true if a contained corner has been found.
+   * @protected
+   */
+  GeometryContainsPointVisitor.prototype.isDone = function() {
+    return this._containsPoint;
+  };
+
+
+
+  /**
+   * A visitor to test for intersection between the query rectangle and the
+   * line segments of the geometry.
+   *
+   * @param {jsts.geom.Polygon}
+   *          rectangle the query rectangle.
+   * @constructor
+   * @extends {jsts.geom.util.ShortCircuitedGeometryVisitor}
+   */
+  var RectangleIntersectsSegmentVisitor = function(rectangle) {
+    this.rectEnv = rectangle.getEnvelopeInternal();
+    this.rectIntersector = new jsts.algorithm.RectangleLineIntersector(
+        this.rectEnv);
+    this.hasIntersection = false;
+  };
+  jsts.inherit(RectangleIntersectsSegmentVisitor,
+      ShortCircuitedGeometryVisitor);
+
+
+  /**
+   * Reports whether any segment intersection exists.
+   *
+   * @return {boolean} true if a segment intersection exists.
+   */
+  RectangleIntersectsSegmentVisitor.prototype.intersects = function() {
+    return this.hasIntersection;
+  };
+
+
+  /**
+   * @param {jsts.geom.Geometry}
+   *          geom an elemental geometry component.
+   * @protected
+   */
+  RectangleIntersectsSegmentVisitor.prototype.visit = function(geom) {
+    // It may be the case that the rectangle and the envelope of the geometry
+    // component are disjoint, so it is worth checking this simple condition.
+    var elementEnv = geom.getEnvelopeInternal();
+    if (!this.rectEnv.intersects(elementEnv))
+      return;
+
+    // check segment intersections
+    // get all lines from geometry component
+    // (there may be more than one if it's a multi-ring polygon)
+    var lines = jsts.geom.util.LinearComponentExtracter.getLines(geom);
+    for (var i = 0; i < lines.length; i++) {
+      this.checkIntersectionWithSegments(lines[i]);
+      if (this.hasIntersection)
+        return;
+    }
+  };
+
+
+  /**
+   * @param {jsts.geom.LineString}
+   *          testLine a line of the geometry.
+   * @private
+   */
+  RectangleIntersectsSegmentVisitor.prototype.checkIntersectionWithSegments = function(
+      testLine) {
+    var seq1 = testLine.getCoordinates();
+    for (var j = 1; j < seq1.length; j++) {
+      if (this.rectIntersector.intersects(seq1[j - 1], seq1[j])) {
+        this.hasIntersection = true;
+        return;
+      }
+    }
+  };
+
+
+  /**
+   * @return {boolean} true if a segment intersection has been found.
+   * @protected
+   */
+  RectangleIntersectsSegmentVisitor.prototype.isDone = function() {
+    return this.hasIntersection;
+  };
+
+})();
@@ -43,6 +43,11 @@
   jsts.operation.relate.RelateNodeGraph.prototype.nodes = null;
 
 
+  jsts.operation.relate.RelateNodeGraph.prototype.getNodeIterator = function() {
+    return this.nodes.iterator();
+  };
+
+
   jsts.operation.relate.RelateNodeGraph.prototype.build = function(geomGraph) {
     // compute nodes for intersections between previously noded edges
     this.computeIntersectionNodes(geomGraph, 0);
@@ -77,7 +82,7 @@
       var eLoc = e.getLabel().getLocation(argIndex);
       for (var eiIt = e.getEdgeIntersectionList().iterator(); eiIt.hasNext();) {
         var ei = eiIt.next();
-        var n = nodes.addNode(ei.coord);
+        var n = this.nodes.addNode(ei.coord);
         if (eLoc === Location.BOUNDARY)
           n.setLabelBoundary(argIndex);
         else {
@@ -99,7 +104,7 @@
   jsts.operation.relate.RelateNodeGraph.prototype.copyNodesAndLabels = function(geomGraph, argIndex) {
     for (var nodeIt = geomGraph.getNodeIterator(); nodeIt.hasNext();) {
       var graphNode = nodeIt.next();
-      var newNode = nodes.addNode(graphNode.getCoordinate());
+      var newNode = this.nodes.addNode(graphNode.getCoordinate());
       newNode.setLabel(argIndex, graphNode.getLabel().getLocation(argIndex));
     }
   };
@@ -118,7 +118,7 @@ jsts.operation.union.CascadedPolygonUnion.prototype.unionTree = function(geomTre
    * The result is a list of Geometrys only
    */
   var geoms = this.reduceToGeometries(geomTree);
-  var union = this.bindayUnion(geoms);
+  var union = this.binaryUnion(geoms);
   return union;
 };
 
@@ -145,15 +145,17 @@ jsts.operation.union.CascadedPolygonUnion.prototype.binaryUnion = function(geoms
   end = end || geoms.length;
 
   if (end - start <= 1) {
-    var g0 = this.getGeometry(geoms, start);
+    var g0 = jsts.operation.union.CascadedPolygonUnion.getGeometry(geoms, start);
     return this.unionSafe(g0, null);
   }
   else if (end - start === 2) {
-    return this.unionSafe(this.getGeometry(geoms, start), this.getGeometry(geoms, start + 1));
+    return this.unionSafe(
+        jsts.operation.union.CascadedPolygonUnion.getGeometry(geoms, start),
+        jsts.operation.union.CascadedPolygonUnion.getGeometry(geoms, start + 1));
   }
   else {
     // recurse on both halves of the list
-    var mid = (end + start) / 2;
+    var mid = Math.floor((end + start) / 2);
     var g0 = this.binaryUnion(geoms, start, mid);
     var g1 = this.binaryUnion(geoms, mid, end);
     return this.unionSafe(g0, g1);
@@ -172,7 +174,7 @@ jsts.operation.union.CascadedPolygonUnion.getGeometry = function(list, index) {
   if (index >= list.length) {
     return null;
   }
-  return list[i];
+  return list[index];
 };
 
 
@@ -224,7 +226,7 @@ jsts.operation.union.CascadedPolygonUnion.prototype.unionSafe = function(g0, g1)
 
   //what if both are null?  Maybe return empty GC?
 
-  return unionOptimized(g0, g1);
+  return this.unionOptimized(g0, g1);
 };
 
 
@@ -243,7 +245,7 @@ jsts.operation.union.CascadedPolygonUnion.prototype.unionOptimized = function(g0
     return combo;
   }
 
-  if (g0.getNumGeometries <= 1 && g1.getNumGeometries <= 1) {
+  if (g0.getNumGeometries() <= 1 && g1.getNumGeometries() <= 1) {
     return this.unionActual(g0, g1);
   }
 
@@ -290,15 +292,15 @@ jsts.operation.union.CascadedPolygonUnion.prototype.unionUsingEnvelopeIntersecti
  * @private
  */
 jsts.operation.union.CascadedPolygonUnion.prototype.extractByEnvelope = function(env, geom, disjointGeoms) {
-  var intersectingGeoms = [];
+  var intersectingGeoms = new javascript.util.ArrayList();
 
   for (var i = 0; i < geom.getNumGeometries(); i++) {
     var elem = geom.getGeometryN(i);
     if (elem.getEnvelopeInternal().intersects(env)) {
-      intersectingGeoms.push(elem);
+      intersectingGeoms.add(elem);
     }
     else {
-      disjointGeoms.add(elem);
+      disjointGeoms.push(elem);
     }
   }
 
@@ -175,7 +175,7 @@
 
     var unionPolygons = null;
     if (this.polygons.size() > 0) {
-      unionPolygons = CascadedPolygonUnion.union(this.polygons);
+      unionPolygons = CascadedPolygonUnion.union(this.polygons.toArray());
     }
 
     /**
@@ -190,7 +190,7 @@
     } else if (unionLA === null) {
       union = unionPoints;
     } else {
-      union = PointGeometryUnion(unionPoints, unionLA);
+      union = PointGeometryUnion.union(unionPoints, unionLA);
     }
 
     if (union === null) {
@@ -0,0 +1,278 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/Location.js
+   * @requires jsts/geomgraph/PlanarGraph.js
+   * @requires jsts/geomgraph/Position.js
+   * @requires jsts/operation/overlay/MaximalEdgeRing.js
+   * @requires jsts/operation/overlay/OverlayNodeFactory.js
+   * @requires jsts/util/Assert.js
+   */
+
+  var Location = jsts.geom.Location;
+  var Position = jsts.geomgraph.Position;
+  var Assert = jsts.util.Assert;
+  var ArrayList = javascript.util.ArrayList;
+
+
+
+  /**
+   * This class tests that the interior of an area {@link Geometry} (
+   * {@link Polygon} or {@link MultiPolygon} ) is connected. An area Geometry is
+   * invalid if the interior is disconnected. This can happen if:
+   * <ul>
+   * <li>a shell self-intersects
+   * <li>one or more holes form a connected chain touching a shell at two
+   * different points
+   * <li>one or more holes form a ring around a subset of the interior
+   * </ul>
+   * If a disconnected situation is found the location of the problem is
+   * recorded.
+   *
+   * @param {jsts.geomgraph.GeometryGraph}
+   *          geomGraph the topology graph of the area geometry.
+   * @constructor
+   */
+  jsts.operation.valid.ConnectedInteriorTester = function(geomGraph) {
+    this.geomGraph = geomGraph;
+    this.geometryFactory = new jsts.geom.GeometryFactory();
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate[]}
+   *          coord the coordinates to search.
+   * @param {jsts.geom.Coordinate}
+   *          pt the point to differ from.
+   * @return {jsts.geom.Coordinate} the first coordinate which is not equal to
+   *         pt, or <code>null</code> if there is none.
+   */
+  jsts.operation.valid.ConnectedInteriorTester.findDifferentPoint = function(
+      coord, pt) {
+    for (var i = 0; i < coord.length; i++) {
+      if (!coord[i].equals(pt))
+        return coord[i];
+    }
+    return null;
+  };
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.geometryFactory = null;
+
+
+  /**
+   * @type {jsts.geomgraph.GeometryGraph}
+   * @private
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.geomGraph = null;
+
+
+  /**
+   * Save a coordinate for any disconnected interior found. The coordinate will
+   * be somewhere on the ring surrounding the disconnected interior
+   *
+   * @type {jsts.geom.Coordinate}
+   * @private
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.disconnectedRingcoord = null;
+
+
+  /**
+   * @return {jsts.geom.Coordinate} a coordinate on the ring surrounding a
+   *         disconnected interior, if any.
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.getCoordinate = function() {
+    return this.disconnectedRingcoord;
+  };
+
+
+  /**
+   * @return {boolean} true if the interior of the area is connected.
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.isInteriorsConnected = function() {
+    // node the edges, in case holes touch the shell
+    var splitEdges = new ArrayList();
+    this.geomGraph.computeSplitEdges(splitEdges);
+
+    // form the edges into rings
+    var graph = new jsts.geomgraph.PlanarGraph(
+        new jsts.operation.overlay.OverlayNodeFactory());
+    graph.addEdges(splitEdges);
+    this.setInteriorEdgesInResult(graph);
+    graph.linkResultDirectedEdges();
+    var edgeRings = this.buildEdgeRings(graph.getEdgeEnds());
+
+    /**
+     * Mark all the edges for the edgeRings corresponding to the shells of the
+     * input polygons. Note only ONE ring gets marked for each shell - if there
+     * are others which remain unmarked this indicates a disconnected interior.
+     */
+    this.visitShellInteriors(this.geomGraph.getGeometry(), graph);
+
+    /**
+     * If there are any unvisited shell edges (i.e. a ring which is not a hole
+     * and which has the interior of the parent area on the RHS) this means
+     * that one or more holes must have split the interior of the polygon into
+     * at least two pieces. The polygon is thus invalid.
+     */
+    return !this.hasUnvisitedShellEdge(edgeRings);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.setInteriorEdgesInResult = function(
+      graph) {
+    for (var it = graph.getEdgeEnds().iterator(); it.hasNext();) {
+      var de = it.next();
+      if (de.getLabel().getLocation(0, Position.RIGHT) === Location.INTERIOR) {
+        de.setInResult(true);
+      }
+    }
+  };
+
+
+  /**
+   * Form DirectedEdges in graph into Minimal EdgeRings. (Minimal Edgerings
+   * must be used, because only they are guaranteed to provide a correct
+   * isHole computation)
+   *
+   * @return {jsts.geomgraph.EdgeRing[]} the minimal edge rings.
+   * @private
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.buildEdgeRings = function(
+      dirEdges) {
+    var edgeRings = [];
+    for (var it = dirEdges.iterator(); it.hasNext();) {
+      var de = it.next();
+      // if this edge has not yet been processed
+      if (de.isInResult() && de.getEdgeRing() === null) {
+        var er = new jsts.operation.overlay.MaximalEdgeRing(de,
+            this.geometryFactory);
+
+        er.linkDirectedEdgesForMinimalEdgeRings();
+        var minEdgeRings = er.buildMinimalRings();
+        edgeRings = edgeRings.concat(minEdgeRings);
+      }
+    }
+    return edgeRings;
+  };
+
+
+  /**
+   * Mark all the edges for the edgeRings corresponding to the shells of the
+   * input polygons. Only ONE ring gets marked for each shell. This is
+   * sufficient because every edge which is part of a shell ring will be
+   * visited by a single traversal of that ring.
+   *
+   * @private
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.visitShellInteriors = function(
+      g, graph) {
+    if (g instanceof jsts.geom.Polygon) {
+      this.visitInteriorRing(g.getExteriorRing(), graph);
+    }
+    if (g instanceof jsts.geom.MultiPolygon) {
+      for (var i = 0; i < g.getNumGeometries(); i++) {
+        var p = g.getGeometryN(i);
+        this.visitInteriorRing(p.getExteriorRing(), graph);
+      }
+    }
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.visitInteriorRing = function(
+      ring, graph) {
+    var pts = ring.getCoordinates();
+    var pt0 = pts[0];
+    /**
+     * Find first point in coord list different to initial point. Need special
+     * check since the first point may be repeated.
+     */
+    var pt1 = jsts.operation.valid.ConnectedInteriorTester.findDifferentPoint(
+        pts, pt0);
+    var e = graph.findEdgeInSameDirection(pt0, pt1);
+    var de = graph.findEdgeEnd(e);
+    var intDe = null;
+    if (de.getLabel().getLocation(0, Position.RIGHT) === Location.INTERIOR) {
+      intDe = de;
+    } else if (de.getSym().getLabel().getLocation(0, Position.RIGHT) ===
+        Location.INTERIOR) {
+      intDe = de.getSym();
+    }
+    Assert.isTrue(intDe !== null, 'unable to find dirEdge with Interior on RHS');
+
+    this.visitLinkedDirectedEdges(intDe);
+  };
+
+
+  /**
+   * @protected
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.visitLinkedDirectedEdges = function(
+      start) {
+    var startDe = start;
+    var de = start;
+    do {
+      Assert.isTrue(de !== null, 'found null Directed Edge');
+      de.setVisited(true);
+      de = de.getNext();
+    } while (de !== startDe);
+  };
+
+
+  /**
+   * Check if any shell ring has an unvisited edge. A shell ring is a ring
+   * which is not a hole and which has the interior of the parent area on the
+   * RHS. (Note that there may be non-hole rings with the interior on the LHS,
+   * since the interior of holes will also be polygonized into CW rings by the
+   * linkAllDirectedEdges() step)
+   *
+   * @return {boolean} true if there is an unvisited edge in a non-hole ring.
+   * @private
+   */
+  jsts.operation.valid.ConnectedInteriorTester.prototype.hasUnvisitedShellEdge = function(
+      edgeRings) {
+    for (var i = 0; i < edgeRings.length; i++) {
+      var er = edgeRings[i];
+      // don't check hole rings
+      if (er.isHole())
+        continue;
+      var edges = er.getEdges();
+      var de = edges[0];
+      // don't check CW rings which are holes
+      // (MD - this check may now be irrelevant)
+      if (de.getLabel().getLocation(0, Position.RIGHT) !== Location.INTERIOR)
+        continue;
+
+      /**
+       * the edgeRing is CW ring which surrounds the INT of the area, so check
+       * all edges have been visited. If any are unvisited, this is a
+       * disconnected part of the interior
+       */
+      for (var j = 0; j < edges.length; j++) {
+        de = edges[j];
+        if (!de.isVisited()) {
+          this.disconnectedRingcoord = de.getCoordinate();
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+
+})();
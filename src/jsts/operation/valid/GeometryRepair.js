@@ -0,0 +1,159 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * Describes a single change made by {@link MakeValidOp} while repairing a
+ * geometry, along with the location at which it was made.
+ *
+ * @param {number}
+ *          repairType the type of this repair.
+ * @param {jsts.geom.Coordinate}
+ *          [pt] the location of the repair.
+ * @param {jsts.error.TopologyValidationError}
+ *          [validationError] the validation error which caused the repair.
+ * @constructor
+ */
+jsts.operation.valid.GeometryRepair = function(repairType, pt,
+    validationError) {
+  this.repairType = repairType;
+  this.pt = pt ? new jsts.geom.Coordinate(pt) : null;
+  this.validationError = validationError || null;
+};
+
+
+/**
+ * Indicates that a coordinate with a NaN or infinite ordinate was removed
+ */
+jsts.operation.valid.GeometryRepair.INVALID_COORDINATE = 0;
+
+
+/**
+ * Indicates that a ring which was not closed was closed
+ */
+jsts.operation.valid.GeometryRepair.RING_CLOSED = 1;
+
+
+/**
+ * Indicates that an invalid area was rebuilt from its noded linework
+ */
+jsts.operation.valid.GeometryRepair.AREA_REBUILT = 2;
+
+
+/**
+ * Indicates that a self-intersecting ring was converted to a line
+ */
+jsts.operation.valid.GeometryRepair.RING_TO_LINE = 3;
+
+
+/**
+ * Indicates that a part which collapsed to a line was kept as a line
+ */
+jsts.operation.valid.GeometryRepair.COLLAPSED_TO_LINE = 4;
+
+
+/**
+ * Indicates that a part which collapsed to a point was kept as a point
+ */
+jsts.operation.valid.GeometryRepair.COLLAPSED_TO_POINT = 5;
+
+
+/**
+ * Indicates that a collapsed part was removed
+ */
+jsts.operation.valid.GeometryRepair.COLLAPSE_REMOVED = 6;
+
+
+/**
+ * Messages corresponding to repair type codes
+ */
+jsts.operation.valid.GeometryRepair.repairMsg = [
+    'Removed invalid coordinate', 'Closed ring', 'Rebuilt invalid area',
+    'Converted self-intersecting ring to line',
+    'Kept collapsed part as line', 'Kept collapsed part as point',
+    'Removed collapsed part'];
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.operation.valid.GeometryRepair.prototype.repairType = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.operation.valid.GeometryRepair.prototype.pt = null;
+
+
+/**
+ * @type {jsts.error.TopologyValidationError}
+ * @private
+ */
+jsts.operation.valid.GeometryRepair.prototype.validationError = null;
+
+
+/**
+ * Returns the location of this repair (on the input {@link Geometry}).
+ *
+ * @return {jsts.geom.Coordinate} a {@link Coordinate} describing the location
+ *         of the repair, or <code>null</code> if it is not known.
+ */
+jsts.operation.valid.GeometryRepair.prototype.getCoordinate = function() {
+  return this.pt;
+};
+
+
+/**
+ * Gets the type of this repair.
+ *
+ * @return {number} the repair type.
+ */
+jsts.operation.valid.GeometryRepair.prototype.getRepairType = function() {
+  return this.repairType;
+};
+
+
+/**
+ * Gets the validation error which made this repair necessary, if the repair
+ * was driven by one.
+ *
+ * @return {jsts.error.TopologyValidationError} the validation error, or
+ *         <code>null</code>.
+ */
+jsts.operation.valid.GeometryRepair.prototype.getValidationError = function() {
+  return this.validationError;
+};
+
+
+/**
+ * Gets a message describing the type of this repair.
+ *
+ * @return {string} a message describing the type of this repair.
+ */
+jsts.operation.valid.GeometryRepair.prototype.getMessage = function() {
+  return jsts.operation.valid.GeometryRepair.repairMsg[this.repairType];
+};
+
+
+/**
+ * Gets a message describing the type and location of this repair.
+ *
+ * @return {string} a message describing the type and location of this repair.
+ */
+jsts.operation.valid.GeometryRepair.prototype.toString = function() {
+  var locStr = '';
+  if (this.pt !== null) {
+    locStr = ' at or near point ' + this.pt;
+  }
+  if (this.validationError !== null) {
+    locStr += ' (' + this.validationError.getMessage() + ')';
+  }
+  return this.getMessage() + locStr;
+};
@@ -0,0 +1,144 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/algorithm/CGAlgorithms.js
+ * @requires jsts/geom/Envelope.js
+ * @requires jsts/index/strtree/STRtree.js
+ */
+
+
+
+/**
+ * Tests whether any of a set of {@link LinearRing}s are nested inside another
+ * ring in the set, using a spatial index to speed up the comparisons.
+ *
+ * @param {jsts.geomgraph.GeometryGraph}
+ *          graph the topology graph of the geometry containing the rings.
+ * @constructor
+ */
+jsts.operation.valid.IndexedNestedRingTester = function(graph) {
+  this.graph = graph;
+  this.rings = [];
+  this.totalEnv = new jsts.geom.Envelope();
+};
+
+
+/**
+ * the graph of the geometry containing the rings
+ *
+ * @type {jsts.geomgraph.GeometryGraph}
+ * @private
+ */
+jsts.operation.valid.IndexedNestedRingTester.prototype.graph = null;
+
+
+/**
+ * @type {jsts.geom.LinearRing[]}
+ * @private
+ */
+jsts.operation.valid.IndexedNestedRingTester.prototype.rings = null;
+
+
+/**
+ * @type {jsts.geom.Envelope}
+ * @private
+ */
+jsts.operation.valid.IndexedNestedRingTester.prototype.totalEnv = null;
+
+
+/**
+ * @type {jsts.index.strtree.STRtree}
+ * @private
+ */
+jsts.operation.valid.IndexedNestedRingTester.prototype.index = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.operation.valid.IndexedNestedRingTester.prototype.nestedPt = null;
+
+
+/**
+ * @return {jsts.geom.Coordinate} a point on a nested ring, if one was found.
+ */
+jsts.operation.valid.IndexedNestedRingTester.prototype.getNestedPoint = function() {
+  return this.nestedPt;
+};
+
+
+/**
+ * @param {jsts.geom.LinearRing}
+ *          ring the ring to add to the set being tested.
+ */
+jsts.operation.valid.IndexedNestedRingTester.prototype.add = function(ring) {
+  this.rings.push(ring);
+  this.totalEnv.expandToInclude(ring.getEnvelopeInternal());
+};
+
+
+/**
+ * @return {boolean} true if no ring is nested inside another ring of the set.
+ */
+jsts.operation.valid.IndexedNestedRingTester.prototype.isNonNested = function() {
+  this.buildIndex();
+
+  for (var i = 0; i < this.rings.length; i++) {
+    var innerRing = this.rings[i];
+    var innerRingPts = innerRing.getCoordinates();
+
+    var results = this.index.query(innerRing.getEnvelopeInternal());
+    for (var j = 0; j < results.length; j++) {
+      var searchRing = results[j];
+      var searchRingPts = searchRing.getCoordinates();
+
+      if (innerRing === searchRing)
+        continue;
+
+      if (!innerRing.getEnvelopeInternal().intersects(
+          searchRing.getEnvelopeInternal()))
+        continue;
+
+      var innerRingPt = jsts.operation.valid.IsValidOp.findPtNotNode(
+          innerRingPts, searchRing, this.graph);
+
+      /**
+       * If no non-node pts can be found, this means that the searchRing
+       * touches ALL of the innerRing vertices. This indicates an invalid
+       * polygon, since either the two holes create a disconnected interior, or
+       * they touch in an infinite number of points (i.e. along a line
+       * segment). Both of these cases are caught by other tests, so it is safe
+       * to simply skip this situation here.
+       */
+      if (innerRingPt === null)
+        continue;
+
+      var isInside = jsts.algorithm.CGAlgorithms.isPointInRing(innerRingPt,
+          searchRingPts);
+      if (isInside) {
+        this.nestedPt = innerRingPt;
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+
+/**
+ * @private
+ */
+jsts.operation.valid.IndexedNestedRingTester.prototype.buildIndex = function() {
+  this.index = new jsts.index.strtree.STRtree();
+
+  for (var i = 0; i < this.rings.length; i++) {
+    var ring = this.rings[i];
+    var env = ring.getEnvelopeInternal();
+    this.index.insert(env, ring);
+  }
+};
@@ -0,0 +1,620 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/CGAlgorithms.js
+   * @requires jsts/algorithm/RobustLineIntersector.js
+   * @requires jsts/noding/IntersectionAdder.js
+   * @requires jsts/noding/MCIndexNoder.js
+   * @requires jsts/noding/NodedSegmentString.js
+   * @requires jsts/operation/polygonize/Polygonizer.js
+   * @requires jsts/operation/union/UnaryUnionOp.js
+   * @requires jsts/operation/valid/GeometryRepair.js
+   * @requires jsts/operation/valid/IsValidOp.js
+   */
+
+  var GeometryRepair = jsts.operation.valid.GeometryRepair;
+  var IsValidOp = jsts.operation.valid.IsValidOp;
+  var CGAlgorithms = jsts.algorithm.CGAlgorithms;
+  var ArrayList = javascript.util.ArrayList;
+  var TreeMap = javascript.util.TreeMap;
+
+
+
+  /**
+   * Repairs an invalid {@link Geometry}, producing a valid geometry which
+   * covers the same area. Valid input is returned unchanged.
+   * <p>
+   * Polygonal geometries are repaired by splitting each ring into simple
+   * closed loops, noding the linework of all the loops together and
+   * polygonizing it. The faces are assigned with an even-odd rule: a face is
+   * inside the result if it is enclosed by an odd number of loops. Bow-ties
+   * thus become two polygons, and holes lying outside their shell are added
+   * to the area. The repaired
+   * parts are merged with {@link UnaryUnionOp}, so that overlapping polygons
+   * of a {@link MultiPolygon} are dissolved.
+   * <p>
+   * Coordinates with NaN or infinite ordinates are removed. Parts which
+   * collapse (for instance zero-area loops, or lines with a single distinct
+   * point) are dropped unless {@link #setKeepCollapsed} is set, in which case
+   * they are kept as lines or points.
+   * <p>
+   * Each change made is recorded as a {@link GeometryRepair}, available from
+   * {@link #getRepairs}.
+   *
+   * @param {jsts.geom.Geometry}
+   *          inputGeom the geometry to repair.
+   * @constructor
+   */
+  jsts.operation.valid.MakeValidOp = function(inputGeom) {
+    this.inputGeom = inputGeom;
+    this.geomFact = inputGeom.getFactory();
+  };
+
+
+  /**
+   * Repairs a geometry.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to repair.
+   * @param {boolean}
+   *          [keepCollapsed] whether collapsed parts are kept as lines or
+   *          points.
+   * @return {jsts.geom.Geometry} a valid geometry.
+   */
+  jsts.operation.valid.MakeValidOp.makeValid = function(geom, keepCollapsed) {
+    var op = new jsts.operation.valid.MakeValidOp(geom);
+    op.setKeepCollapsed(keepCollapsed === true);
+    return op.getResult();
+  };
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.inputGeom = null;
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.geomFact = null;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.keepCollapsed = false;
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.result = null;
+
+
+  /**
+   * @type {jsts.operation.valid.GeometryRepair[]}
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.repairs = null;
+
+
+  /**
+   * Sets whether parts which collapse during repair are kept as lines or
+   * points. The default is to remove them.
+   *
+   * @param {boolean}
+   *          keepCollapsed true if collapsed parts should be kept.
+   */
+  jsts.operation.valid.MakeValidOp.prototype.setKeepCollapsed = function(
+      keepCollapsed) {
+    this.keepCollapsed = keepCollapsed;
+  };
+
+
+  /**
+   * Gets the repaired geometry.
+   *
+   * @return {jsts.geom.Geometry} a valid geometry.
+   */
+  jsts.operation.valid.MakeValidOp.prototype.getResult = function() {
+    if (this.result === null) {
+      this.repairs = [];
+      this.result = this.repair(this.inputGeom);
+    }
+    return this.result;
+  };
+
+
+  /**
+   * Gets the changes made to the input geometry, in the order they were made.
+   * The list is empty if the input was valid.
+   *
+   * @return {jsts.operation.valid.GeometryRepair[]} the repairs made.
+   */
+  jsts.operation.valid.MakeValidOp.prototype.getRepairs = function() {
+    this.getResult();
+    return this.repairs;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.addRepair = function(repairType,
+      pt, validationError) {
+    this.repairs.push(new GeometryRepair(repairType, pt, validationError));
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.repair = function(g) {
+    if (g.isEmpty() || IsValidOp.isValid(g))
+      return g.clone();
+
+    if (g instanceof jsts.geom.Point)
+      return this.repairPoint(g);
+    else if (g instanceof jsts.geom.MultiPoint)
+      return this.repairMultiPoint(g);
+    else if (g instanceof jsts.geom.LinearRing)
+      return this.repairLinearRing(g);
+    else if (g instanceof jsts.geom.LineString)
+      return this.repairLineString(g);
+    else if (g instanceof jsts.geom.Polygon)
+      return this.repairPolygon(g);
+    else if (g instanceof jsts.geom.MultiPolygon)
+      return this.repairMultiPolygon(g);
+    else if (g instanceof jsts.geom.GeometryCollection)
+      return this.repairGeometryCollection(g);
+    throw new jsts.error.IllegalArgumentError('Geometry type not supported.');
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.repairPoint = function(p) {
+    // a non-empty point can only be invalid because of its coordinate
+    this.addRepair(GeometryRepair.INVALID_COORDINATE, p.getCoordinate());
+    return this.geomFact.createPoint(null);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.repairMultiPoint = function(mp) {
+    var points = [];
+    for (var i = 0; i < mp.getNumGeometries(); i++) {
+      var p = mp.getGeometryN(i);
+      if (IsValidOp.isValid(p.getCoordinate())) {
+        points.push(p.clone());
+      } else {
+        this.addRepair(GeometryRepair.INVALID_COORDINATE, p.getCoordinate());
+      }
+    }
+    return this.geomFact.createMultiPoint(points);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.repairLineString = function(line) {
+    var pts = this.removeInvalidCoordinates(line.getCoordinates());
+    var distinctPts = this.removeRepeatedPoints(pts);
+    if (distinctPts.length < 2)
+      return this.collapse(distinctPts) || this.geomFact.createLineString(null);
+    return this.geomFact.createLineString(pts);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.repairLinearRing = function(ring) {
+    var pts = this.closeRing(this.removeRepeatedPoints(this
+        .removeInvalidCoordinates(ring.getCoordinates())));
+    if (pts.length < 4)
+      return this.collapse(pts) || this.geomFact.createLinearRing(null);
+    var repaired = this.geomFact.createLinearRing(pts);
+    if (IsValidOp.isValid(repaired))
+      return repaired;
+    this.addRepair(GeometryRepair.RING_TO_LINE, pts[0]);
+    return this.geomFact.createLineString(pts);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.repairPolygon = function(poly) {
+    var err = new IsValidOp(poly).getValidationError();
+    this.addRepair(GeometryRepair.AREA_REBUILT, err.getCoordinate(), err);
+
+    var parts = new ArrayList();
+    this.addPolygonParts(poly, parts);
+    return this.union(parts);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.repairMultiPolygon = function(mp) {
+    var err = new IsValidOp(mp).getValidationError();
+    this.addRepair(GeometryRepair.AREA_REBUILT, err.getCoordinate(), err);
+
+    var parts = new ArrayList();
+    for (var i = 0; i < mp.getNumGeometries(); i++) {
+      var poly = mp.getGeometryN(i);
+      if (IsValidOp.isValid(poly)) {
+        parts.add(poly.clone());
+      } else {
+        this.addPolygonParts(poly, parts);
+      }
+    }
+    return this.union(parts);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.repairGeometryCollection = function(
+      gc) {
+    var geoms = [];
+    for (var i = 0; i < gc.getNumGeometries(); i++) {
+      var g = this.repair(gc.getGeometryN(i));
+      if (!g.isEmpty())
+        geoms.push(g);
+    }
+    return this.geomFact.createGeometryCollection(geoms);
+  };
+
+
+  /**
+   * Combines the simple loops of all rings of a polygon with the even-odd
+   * rule, and adds the resulting faces and any kept collapses to a list.
+   *
+   * @param {jsts.geom.Polygon}
+   *          poly the polygon to rebuild.
+   * @param {javascript.util.ArrayList}
+   *          parts the list to add the rebuilt parts to.
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.addPolygonParts = function(poly,
+      parts) {
+    var rings = [poly.getExteriorRing()];
+    for (var i = 0; i < poly.getNumInteriorRing(); i++) {
+      rings.push(poly.getInteriorRingN(i));
+    }
+
+    var areaLoops = [];
+    for (i = 0; i < rings.length; i++) {
+      var pts = this.closeRing(this.removeRepeatedPoints(this
+          .removeInvalidCoordinates(rings[i].getCoordinates())));
+      if (pts.length === 0)
+        continue;
+      if (pts.length < 4) {
+        this.addCollapse(pts, parts);
+        continue;
+      }
+
+      var loops = this.splitRing(pts);
+      for (var j = 0; j < loops.length; j++) {
+        var loop = loops[j];
+        if (loop.length < 4 || CGAlgorithms.signedArea(loop) === 0) {
+          this.addCollapse(loop, parts);
+          continue;
+        }
+        areaLoops.push(loop);
+      }
+    }
+
+    var faces = this.buildFaces(areaLoops);
+    for (i = 0; i < faces.length; i++) {
+      parts.add(faces[i]);
+    }
+  };
+
+
+  /**
+   * Nodes the linework of a set of loops and polygonizes it, keeping the
+   * faces which are enclosed by an odd number of loops.
+   * <p>
+   * Segments which occur an even number of times in the noded linework have
+   * faces of the same parity on both sides, so they are dropped before
+   * polygonizing. The faces kept thus never share an edge.
+   *
+   * @param {Array.<jsts.geom.Coordinate[]>}
+   *          loops the closed loops of the rings of a polygon.
+   * @return {Array.<jsts.geom.Polygon>} the faces inside the area.
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.buildFaces = function(loops) {
+    if (loops.length === 0)
+      return [];
+
+    var segStrings = new ArrayList();
+    for (var i = 0; i < loops.length; i++) {
+      segStrings.add(new jsts.noding.NodedSegmentString(loops[i], null));
+    }
+    var noder = new jsts.noding.MCIndexNoder();
+    noder.setSegmentIntersector(new jsts.noding.IntersectionAdder(
+        new jsts.algorithm.RobustLineIntersector()));
+    noder.computeNodes(segStrings);
+
+    var segments = {};
+    for (var it = noder.getNodedSubstrings().iterator(); it.hasNext();) {
+      var pts = it.next().getCoordinates();
+      for (i = 0; i < pts.length - 1; i++) {
+        var p0 = pts[i];
+        var p1 = pts[i + 1];
+        if (p0.equals2D(p1))
+          continue;
+        if (p1.compareTo(p0) < 0) {
+          p0 = pts[i + 1];
+          p1 = pts[i];
+        }
+        var key = p0.x + ' ' + p0.y + ',' + p1.x + ' ' + p1.y;
+        if (segments.hasOwnProperty(key)) {
+          delete segments[key];
+        } else {
+          segments[key] = [p0, p1];
+        }
+      }
+    }
+
+    var polygonizer = new jsts.operation.polygonize.Polygonizer();
+    for (key in segments) {
+      if (segments.hasOwnProperty(key))
+        polygonizer.add(this.geomFact.createLineString(segments[key]));
+    }
+
+    var faces = [];
+    var polys = polygonizer.getPolygons();
+    for (i = 0; i < polys.length; i++) {
+      var pt = this.findFacePoint(polys[i], loops);
+      var count = 0;
+      for (var j = 0; j < loops.length; j++) {
+        if (CGAlgorithms.isPointInRing(pt, loops[j]))
+          count++;
+      }
+      if (count % 2 === 1)
+        faces.push(polys[i]);
+    }
+    return faces;
+  };
+
+
+  /**
+   * Finds a point in the interior of a face which does not lie on the
+   * linework of any loop, so that it can be located against the loops
+   * unambiguously. Interior points of the face geometry may lie on a loop
+   * segment dropped from the linework, so the point is found on a scan line
+   * just above the lowest vertex of the face, which passes through no loop
+   * vertex, between the leftmost crossing of the face shell and the next
+   * crossing of any loop.
+   *
+   * @param {jsts.geom.Polygon}
+   *          face a face of the polygonized linework.
+   * @param {Array.<jsts.geom.Coordinate[]>}
+   *          loops the loops the linework was built from.
+   * @return {jsts.geom.Coordinate} a point inside the face.
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.findFacePoint = function(face,
+      loops) {
+    var shellPts = face.getExteriorRing().getCoordinates();
+    var minY = face.getEnvelopeInternal().getMinY();
+    var nextY = face.getEnvelopeInternal().getMaxY();
+    var i, j;
+    for (i = 0; i < loops.length; i++) {
+      for (j = 0; j < loops[i].length; j++) {
+        var y = loops[i][j].y;
+        if (y > minY && y < nextY)
+          nextY = y;
+      }
+    }
+    var scanY = (minY + nextY) / 2;
+
+    var shellX = Infinity;
+    var crossings = scanCrossings(shellPts, scanY);
+    for (i = 0; i < crossings.length; i++) {
+      shellX = Math.min(shellX, crossings[i]);
+    }
+    var nextX = Infinity;
+    for (i = 0; i < loops.length; i++) {
+      crossings = scanCrossings(loops[i], scanY);
+      for (j = 0; j < crossings.length; j++) {
+        if (crossings[j] > shellX && crossings[j] < nextX)
+          nextX = crossings[j];
+      }
+    }
+    return new jsts.geom.Coordinate((shellX + nextX) / 2, scanY);
+  };
+
+
+  /**
+   * Computes the x-ordinates where a horizontal line through no vertex of a
+   * ring crosses it.
+   *
+   * @param {jsts.geom.Coordinate[]}
+   *          pts the ring coordinates.
+   * @param {number}
+   *          y the y-ordinate of the line.
+   * @return {number[]} the crossing x-ordinates.
+   */
+  var scanCrossings = function(pts, y) {
+    var crossings = [];
+    for (var i = 0; i < pts.length - 1; i++) {
+      var p0 = pts[i];
+      var p1 = pts[i + 1];
+      if ((p0.y > y) !== (p1.y > y)) {
+        crossings.push(p0.x + (y - p0.y) * (p1.x - p0.x) / (p1.y - p0.y));
+      }
+    }
+    return crossings;
+  };
+
+
+  /**
+   * Nodes a ring against itself and splits it at every repeated node into
+   * loops which do not self-intersect.
+   *
+   * @param {jsts.geom.Coordinate[]}
+   *          pts the coordinates of a closed ring without repeated points.
+   * @return {Array.<jsts.geom.Coordinate[]>} the closed loops of the ring.
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.splitRing = function(pts) {
+    var segStrings = new ArrayList();
+    segStrings.add(new jsts.noding.NodedSegmentString(pts, null));
+    var noder = new jsts.noding.MCIndexNoder();
+    noder.setSegmentIntersector(new jsts.noding.IntersectionAdder(
+        new jsts.algorithm.RobustLineIntersector()));
+    noder.computeNodes(segStrings);
+
+    var nodedPts = [];
+    for (var it = noder.getNodedSubstrings().iterator(); it.hasNext();) {
+      var ssPts = it.next().getCoordinates();
+      for (var i = nodedPts.length === 0 ? 0 : 1; i < ssPts.length; i++) {
+        nodedPts.push(ssPts[i]);
+      }
+    }
+
+    /**
+     * Walk the noded ring keeping the open path on a stack. Revisiting a point
+     * on the stack closes a loop, which is popped off. The map only ever gains
+     * entries, so indexes of popped points are checked against the stack.
+     */
+    var loops = [];
+    var path = [];
+    var pathIndex = new TreeMap();
+    for (i = 0; i < nodedPts.length - 1; i++) {
+      var pt = nodedPts[i];
+      var index = pathIndex.get(pt);
+      if (index !== null && index !== undefined && index < path.length &&
+          path[index].equals2D(pt)) {
+        var loop = path.slice(index);
+        loop.push(pt);
+        loops.push(loop);
+        path.length = index + 1;
+      } else {
+        pathIndex.put(pt, path.length);
+        path.push(pt);
+      }
+    }
+    if (path.length > 1) {
+      path.push(path[0]);
+      loops.push(path);
+    }
+    return loops;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.addCollapse = function(pts,
+      parts) {
+    var collapsed = this.collapse(pts);
+    if (collapsed !== null)
+      parts.add(collapsed);
+  };
+
+
+  /**
+   * Creates the geometry a part collapses to, if collapses are kept, and
+   * records the repair.
+   *
+   * @param {jsts.geom.Coordinate[]}
+   *          pts the coordinates of the collapsed part.
+   * @return {jsts.geom.Geometry} a line or a point, or <code>null</code> if
+   *         the part is removed.
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.collapse = function(pts) {
+    if (pts.length === 0)
+      return null;
+    if (!this.keepCollapsed) {
+      this.addRepair(GeometryRepair.COLLAPSE_REMOVED, pts[0]);
+      return null;
+    }
+    var distinctPts = this.removeRepeatedPoints(pts);
+    if (distinctPts.length === 1) {
+      this.addRepair(GeometryRepair.COLLAPSED_TO_POINT, pts[0]);
+      return this.geomFact.createPoint(new jsts.geom.Coordinate(pts[0]));
+    }
+    this.addRepair(GeometryRepair.COLLAPSED_TO_LINE, pts[0]);
+    return this.geomFact.createLineString(distinctPts);
+  };
+
+
+  /**
+   * Unions the rebuilt parts of an area, dissolving any overlaps between them.
+   *
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.union = function(parts) {
+    if (parts.size() === 0)
+      return this.geomFact.createPolygon(null, null);
+    return jsts.operation.union.UnaryUnionOp.union(parts, this.geomFact);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.removeInvalidCoordinates = function(
+      pts) {
+    var validPts = [];
+    for (var i = 0; i < pts.length; i++) {
+      if (IsValidOp.isValid(pts[i])) {
+        validPts.push(pts[i]);
+      } else {
+        this.addRepair(GeometryRepair.INVALID_COORDINATE, pts[i]);
+      }
+    }
+    return validPts;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.removeRepeatedPoints = function(
+      pts) {
+    var distinctPts = [];
+    for (var i = 0; i < pts.length; i++) {
+      if (i === 0 || !pts[i].equals2D(pts[i - 1]))
+        distinctPts.push(pts[i]);
+    }
+    return distinctPts;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.operation.valid.MakeValidOp.prototype.closeRing = function(pts) {
+    if (pts.length === 0 || pts[0].equals2D(pts[pts.length - 1]))
+      return pts;
+    this.addRepair(GeometryRepair.RING_CLOSED, pts[0]);
+    return pts.concat([new jsts.geom.Coordinate(pts[0])]);
+  };
+
+})();
@@ -0,0 +1,300 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/planargraph/GraphComponent.js
+ * @requires jsts/geomgraph/Quadrant.js
+ * @requires jsts/algorithm/CGAlgorithms.js
+ */
+
+
+
+/**
+ * Represents a directed edge in a {@link PlanarGraph}. A DirectedEdge may or
+ * may not have a reference to a parent {@link Edge} (some applications of
+ * planar graphs may not require explicit Edge objects to be created). Usually
+ * a client using a <code>PlanarGraph</code> will subclass
+ * <code>DirectedEdge</code> to add its own application-specific data and
+ * methods.
+ *
+ * @param {jsts.planargraph.Node}
+ *          from the origin Node.
+ * @param {jsts.planargraph.Node}
+ *          to the destination Node.
+ * @param {jsts.geom.Coordinate}
+ *          directionPt specifies this DirectedEdge's direction vector
+ *          (determined by the vector from the <code>from</code> node to
+ *          <code>directionPt</code>).
+ * @param {boolean}
+ *          edgeDirection whether this DirectedEdge's direction is the same as
+ *          or opposite to that of the parent Edge (if any).
+ * @constructor
+ * @extends {jsts.planargraph.GraphComponent}
+ */
+jsts.planargraph.DirectedEdge = function(from, to, directionPt,
+    edgeDirection) {
+  this.from = from;
+  this.to = to;
+  this.edgeDirection = edgeDirection;
+  this.p0 = from.getCoordinate();
+  this.p1 = directionPt;
+  var dx = this.p1.x - this.p0.x;
+  var dy = this.p1.y - this.p0.y;
+  this.quadrant = jsts.geomgraph.Quadrant.quadrant(dx, dy);
+  this.angle = Math.atan2(dy, dx);
+};
+jsts.inherit(jsts.planargraph.DirectedEdge, jsts.planargraph.GraphComponent);
+
+
+/**
+ * Returns an array containing the parent Edges of the given DirectedEdges.
+ *
+ * @param {Array.<jsts.planargraph.DirectedEdge>}
+ *          dirEdges the directed edges.
+ * @return {Array.<jsts.planargraph.Edge>} the parent edges.
+ */
+jsts.planargraph.DirectedEdge.toEdges = function(dirEdges) {
+  var edges = [];
+  for (var i = 0; i < dirEdges.length; i++) {
+    edges.push(dirEdges[i].parentEdge);
+  }
+  return edges;
+};
+
+
+/**
+ * @type {jsts.planargraph.Edge}
+ * @protected
+ */
+jsts.planargraph.DirectedEdge.prototype.parentEdge = null;
+
+
+/**
+ * @type {jsts.planargraph.Node}
+ * @protected
+ */
+jsts.planargraph.DirectedEdge.prototype.from = null;
+
+
+/**
+ * @type {jsts.planargraph.Node}
+ * @protected
+ */
+jsts.planargraph.DirectedEdge.prototype.to = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @protected
+ */
+jsts.planargraph.DirectedEdge.prototype.p0 = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @protected
+ */
+jsts.planargraph.DirectedEdge.prototype.p1 = null;
+
+
+/**
+ * @type {jsts.planargraph.DirectedEdge}
+ * @protected
+ */
+jsts.planargraph.DirectedEdge.prototype.sym = null;
+
+
+/**
+ * @type {boolean}
+ * @protected
+ */
+jsts.planargraph.DirectedEdge.prototype.edgeDirection = null;
+
+
+/**
+ * @type {number}
+ * @protected
+ */
+jsts.planargraph.DirectedEdge.prototype.quadrant = null;
+
+
+/**
+ * @type {number}
+ * @protected
+ */
+jsts.planargraph.DirectedEdge.prototype.angle = null;
+
+
+/**
+ * Returns this DirectedEdge's parent Edge, or null if it has none.
+ *
+ * @return {jsts.planargraph.Edge}
+ */
+jsts.planargraph.DirectedEdge.prototype.getEdge = function() {
+  return this.parentEdge;
+};
+
+
+/**
+ * Associates this DirectedEdge with an Edge (possibly null, indicating no
+ * associated Edge).
+ *
+ * @param {jsts.planargraph.Edge}
+ *          parentEdge the parent edge.
+ */
+jsts.planargraph.DirectedEdge.prototype.setEdge = function(parentEdge) {
+  this.parentEdge = parentEdge;
+};
+
+
+/**
+ * Returns 0, 1, 2, or 3, indicating the quadrant in which this
+ * DirectedEdge's orientation lies.
+ *
+ * @return {number}
+ */
+jsts.planargraph.DirectedEdge.prototype.getQuadrant = function() {
+  return this.quadrant;
+};
+
+
+/**
+ * Returns a point to which an imaginary line is drawn from the from-node to
+ * specify this DirectedEdge's orientation.
+ *
+ * @return {jsts.geom.Coordinate}
+ */
+jsts.planargraph.DirectedEdge.prototype.getDirectionPt = function() {
+  return this.p1;
+};
+
+
+/**
+ * Returns whether the direction of the parent Edge (if any) is the same as
+ * that of this Directed Edge.
+ *
+ * @return {boolean}
+ */
+jsts.planargraph.DirectedEdge.prototype.getEdgeDirection = function() {
+  return this.edgeDirection;
+};
+
+
+/**
+ * Returns the node from which this DirectedEdge leaves.
+ *
+ * @return {jsts.planargraph.Node}
+ */
+jsts.planargraph.DirectedEdge.prototype.getFromNode = function() {
+  return this.from;
+};
+
+
+/**
+ * Returns the node to which this DirectedEdge goes.
+ *
+ * @return {jsts.planargraph.Node}
+ */
+jsts.planargraph.DirectedEdge.prototype.getToNode = function() {
+  return this.to;
+};
+
+
+/**
+ * Returns the coordinate of the from-node.
+ *
+ * @return {jsts.geom.Coordinate}
+ */
+jsts.planargraph.DirectedEdge.prototype.getCoordinate = function() {
+  return this.from.getCoordinate();
+};
+
+
+/**
+ * Returns the angle that the start of this DirectedEdge makes with the
+ * positive x-axis, in radians.
+ *
+ * @return {number}
+ */
+jsts.planargraph.DirectedEdge.prototype.getAngle = function() {
+  return this.angle;
+};
+
+
+/**
+ * Returns the symmetric DirectedEdge -- the other DirectedEdge associated
+ * with this DirectedEdge's parent Edge.
+ *
+ * @return {jsts.planargraph.DirectedEdge}
+ */
+jsts.planargraph.DirectedEdge.prototype.getSym = function() {
+  return this.sym;
+};
+
+
+/**
+ * Sets this DirectedEdge's symmetric DirectedEdge, which runs in the opposite
+ * direction.
+ *
+ * @param {jsts.planargraph.DirectedEdge}
+ *          sym the symmetric edge.
+ */
+jsts.planargraph.DirectedEdge.prototype.setSym = function(sym) {
+  this.sym = sym;
+};
+
+
+/**
+ * Removes this directed edge from its containing graph.
+ */
+jsts.planargraph.DirectedEdge.prototype.remove = function() {
+  this.sym = null;
+  this.parentEdge = null;
+};
+
+
+/**
+ * Tests whether this directed edge has been removed from its containing
+ * graph
+ *
+ * @return {boolean} <code>true</code> if this directed edge is removed.
+ */
+jsts.planargraph.DirectedEdge.prototype.isRemoved = function() {
+  return this.parentEdge === null;
+};
+
+
+/**
+ * Returns 1 if this DirectedEdge has a greater angle with the positive x-axis
+ * than b, 0 if the DirectedEdges are collinear, and -1 otherwise.
+ * <p>
+ * Using the obvious algorithm of simply computing the angle is not robust,
+ * since the angle calculation is susceptible to roundoff. A robust algorithm
+ * is:
+ * <ul>
+ * <li>first compare the quadrants. If the quadrants are different, it is
+ * trivial to determine which vector is "greater".
+ * <li>if the vectors lie in the same quadrant, the robust
+ * {@link CGAlgorithms#computeOrientation(Coordinate, Coordinate, Coordinate)}
+ * function can be used to decide the relative orientation of the vectors.
+ * </ul>
+ *
+ * @param {jsts.planargraph.DirectedEdge}
+ *          e the edge to compare to.
+ * @return {number}
+ */
+jsts.planargraph.DirectedEdge.prototype.compareTo = function(e) {
+  // if the rays are in different quadrants, determining the ordering is
+  // trivial
+  if (this.quadrant > e.quadrant)
+    return 1;
+  if (this.quadrant < e.quadrant)
+    return -1;
+  // vectors are in the same quadrant - check relative orientation of
+  // direction vectors
+  // this is > e if it is CCW of e
+  return jsts.algorithm.CGAlgorithms.computeOrientation(e.p0, e.p1, this.p1);
+};
@@ -0,0 +1,167 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * A sorted collection of {@link DirectedEdge}s which leave a {@link Node} in
+ * a {@link PlanarGraph}.
+ *
+ * @constructor
+ */
+jsts.planargraph.DirectedEdgeStar = function() {
+  this.outEdges = [];
+};
+
+
+/**
+ * The underlying list of outgoing DirectedEdges
+ *
+ * @type {Array.<jsts.planargraph.DirectedEdge>}
+ * @protected
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.outEdges = null;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.sorted = false;
+
+
+/**
+ * Adds a new member to this DirectedEdgeStar.
+ *
+ * @param {jsts.planargraph.DirectedEdge}
+ *          de the edge to add.
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.add = function(de) {
+  this.outEdges.push(de);
+  this.sorted = false;
+};
+
+
+/**
+ * Drops a member of this DirectedEdgeStar.
+ *
+ * @param {jsts.planargraph.DirectedEdge}
+ *          de the edge to remove.
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.remove = function(de) {
+  var i = this.outEdges.indexOf(de);
+  if (i >= 0) {
+    this.outEdges.splice(i, 1);
+  }
+};
+
+
+/**
+ * Returns the number of edges around the Node associated with this
+ * DirectedEdgeStar.
+ *
+ * @return {number}
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.getDegree = function() {
+  return this.outEdges.length;
+};
+
+
+/**
+ * Returns the coordinate for the node at wich this star is based
+ *
+ * @return {jsts.geom.Coordinate} the coordinate, or <code>null</code> if
+ *         the star is empty.
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.getCoordinate = function() {
+  if (this.outEdges.length === 0)
+    return null;
+  return this.outEdges[0].getCoordinate();
+};
+
+
+/**
+ * Returns the DirectedEdges, in ascending order by angle with the positive
+ * x-axis.
+ *
+ * @return {Array.<jsts.planargraph.DirectedEdge>}
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.getEdges = function() {
+  this.sortEdges();
+  return this.outEdges;
+};
+
+
+/**
+ * @private
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.sortEdges = function() {
+  if (!this.sorted) {
+    this.outEdges.sort(function(a, b) {
+      return a.compareTo(b);
+    });
+    this.sorted = true;
+  }
+};
+
+
+/**
+ * Returns the zero-based index of the given Edge or DirectedEdge, after
+ * sorting in ascending order by angle with the positive x-axis. If given a
+ * number, returns the value of i modulo the number of edges in this
+ * DirectedEdgeStar, which is useful for stepping around the star.
+ *
+ * @param {jsts.planargraph.Edge|jsts.planargraph.DirectedEdge|number}
+ *          edge the edge or directed edge to find, or an index.
+ * @return {number} the index, or -1 if the edge was not found.
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.getIndex = function(edge) {
+  if (typeof edge === 'number') {
+    var modi = edge % this.outEdges.length;
+    // I don't think modi can be 0 (assuming i is positive) [Jon Aquino
+    // 10/28/2003]
+    if (modi < 0)
+      modi += this.outEdges.length;
+    return modi;
+  }
+
+  this.sortEdges();
+  for (var i = 0; i < this.outEdges.length; i++) {
+    var de = this.outEdges[i];
+    if (de === edge || de.getEdge() === edge)
+      return i;
+  }
+  return -1;
+};
+
+
+/**
+ * Returns the {@link DirectedEdge} on the left-hand (CCW) side of the given
+ * DirectedEdge (which must be a member of this DirectedEdgeStar).
+ *
+ * @param {jsts.planargraph.DirectedEdge}
+ *          dirEdge a member of this star.
+ * @return {jsts.planargraph.DirectedEdge}
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.getNextEdge = function(dirEdge) {
+  var i = this.getIndex(dirEdge);
+  return this.outEdges[this.getIndex(i + 1)];
+};
+
+
+/**
+ * Returns the {@link DirectedEdge} on the right-hand (CW) side of the given
+ * DirectedEdge (which must be a member of this DirectedEdgeStar).
+ *
+ * @param {jsts.planargraph.DirectedEdge}
+ *          dirEdge a member of this star.
+ * @return {jsts.planargraph.DirectedEdge}
+ */
+jsts.planargraph.DirectedEdgeStar.prototype.getNextCWEdge = function(
+    dirEdge) {
+  var i = this.getIndex(dirEdge);
+  return this.outEdges[this.getIndex(i - 1)];
+};
@@ -0,0 +1,125 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/planargraph/GraphComponent.js
+ */
+
+
+
+/**
+ * Represents an undirected edge of a {@link PlanarGraph}. An undirected edge
+ * in fact simply acts as a central point of reference for two opposite
+ * {@link DirectedEdge}s.
+ * <p>
+ * Usually a client using a <code>PlanarGraph</code> will subclass
+ * <code>Edge</code> to add its own application-specific data and methods.
+ *
+ * @param {jsts.planargraph.DirectedEdge=}
+ *          de0 the forward DirectedEdge.
+ * @param {jsts.planargraph.DirectedEdge=}
+ *          de1 the reverse DirectedEdge.
+ * @constructor
+ * @extends {jsts.planargraph.GraphComponent}
+ */
+jsts.planargraph.Edge = function(de0, de1) {
+  if (de0 !== undefined) {
+    this.setDirectedEdges(de0, de1);
+  }
+};
+jsts.inherit(jsts.planargraph.Edge, jsts.planargraph.GraphComponent);
+
+
+/**
+ * The two DirectedEdges associated with this Edge. Index 0 is forward, 1 is
+ * reverse.
+ *
+ * @type {Array.<jsts.planargraph.DirectedEdge>}
+ * @protected
+ */
+jsts.planargraph.Edge.prototype.dirEdge = null;
+
+
+/**
+ * Initializes this Edge's two DirectedEdges, and for each DirectedEdge: sets
+ * the Edge, sets the symmetric DirectedEdge, and adds this Edge to its
+ * from-Node.
+ *
+ * @param {jsts.planargraph.DirectedEdge}
+ *          de0 the forward DirectedEdge.
+ * @param {jsts.planargraph.DirectedEdge}
+ *          de1 the reverse DirectedEdge.
+ */
+jsts.planargraph.Edge.prototype.setDirectedEdges = function(de0, de1) {
+  this.dirEdge = [de0, de1];
+  de0.setEdge(this);
+  de1.setEdge(this);
+  de0.setSym(de1);
+  de1.setSym(de0);
+  de0.getFromNode().addOutEdge(de0);
+  de1.getFromNode().addOutEdge(de1);
+};
+
+
+/**
+ * Returns one of the DirectedEdges associated with this Edge, either by index
+ * (0 for forward, 1 for reverse) or as the one whose from-Node is the given
+ * node.
+ *
+ * @param {number|jsts.planargraph.Node}
+ *          i the index, or the from-node of the requested DirectedEdge.
+ * @return {jsts.planargraph.DirectedEdge} the DirectedEdge, or
+ *         <code>null</code> if the node is not incident on this Edge.
+ */
+jsts.planargraph.Edge.prototype.getDirEdge = function(i) {
+  if (i instanceof jsts.planargraph.Node) {
+    if (this.dirEdge[0].getFromNode() === i)
+      return this.dirEdge[0];
+    if (this.dirEdge[1].getFromNode() === i)
+      return this.dirEdge[1];
+    // node not found
+    // possibly should throw an exception here?
+    return null;
+  }
+  return this.dirEdge[i];
+};
+
+
+/**
+ * If <code>node</code> is one of the two nodes associated with this Edge,
+ * returns the other node; otherwise returns null.
+ *
+ * @param {jsts.planargraph.Node}
+ *          node a node incident on this Edge.
+ * @return {jsts.planargraph.Node} the opposite node.
+ */
+jsts.planargraph.Edge.prototype.getOppositeNode = function(node) {
+  if (this.dirEdge[0].getFromNode() === node)
+    return this.dirEdge[0].getToNode();
+  if (this.dirEdge[1].getFromNode() === node)
+    return this.dirEdge[1].getToNode();
+  // node not found
+  // possibly should throw an exception here?
+  return null;
+};
+
+
+/**
+ * Removes this edge from its containing graph.
+ */
+jsts.planargraph.Edge.prototype.remove = function() {
+  this.dirEdge = null;
+};
+
+
+/**
+ * Tests whether this edge has been removed from its containing graph
+ *
+ * @return {boolean} <code>true</code> if this edge is removed.
+ */
+jsts.planargraph.Edge.prototype.isRemoved = function() {
+  return this.dirEdge === null;
+};
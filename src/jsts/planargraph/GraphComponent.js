@@ -0,0 +1,197 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * The base class for all graph component classes. Maintains flags of use in
+ * generic graph algorithms. Provides two flags:
+ * <ul>
+ * <li><b>marked</b> - typically this is used to indicate a state that
+ * persists for the course of the graph's lifetime. For instance, it can be
+ * used to indicate that a component has been logically deleted from the
+ * graph.
+ * <li><b>visited</b> - this is used to indicate that a component has been
+ * processed or visited by an single graph algorithm. For instance, a
+ * breadth-first traversal of the graph might use this to indicate that a node
+ * has already been traversed. The visited flag may be set and cleared many
+ * times during the lifetime of a graph.
+ * </ul>
+ * <p>
+ * Graph components support storing user context data. This will typically be
+ * used by client algorithms which use planar graphs.
+ *
+ * @constructor
+ */
+jsts.planargraph.GraphComponent = function() {
+
+};
+
+
+/**
+ * Sets the Visited state for all {@link GraphComponent}s in an array.
+ *
+ * @param {Array.<jsts.planargraph.GraphComponent>}
+ *          comps the components to update.
+ * @param {boolean}
+ *          visited the state to set the visited flag to.
+ */
+jsts.planargraph.GraphComponent.setVisited = function(comps, visited) {
+  for (var i = 0; i < comps.length; i++) {
+    comps[i].setVisited(visited);
+  }
+};
+
+
+/**
+ * Sets the Marked state for all {@link GraphComponent}s in an array.
+ *
+ * @param {Array.<jsts.planargraph.GraphComponent>}
+ *          comps the components to update.
+ * @param {boolean}
+ *          marked the state to set the marked flag to.
+ */
+jsts.planargraph.GraphComponent.setMarked = function(comps, marked) {
+  for (var i = 0; i < comps.length; i++) {
+    comps[i].setMarked(marked);
+  }
+};
+
+
+/**
+ * Finds the first {@link GraphComponent} in an array which has the specified
+ * visited state.
+ *
+ * @param {Array.<jsts.planargraph.GraphComponent>}
+ *          comps the components to search.
+ * @param {boolean}
+ *          visitedState the visited state to test.
+ * @return {jsts.planargraph.GraphComponent} the first component found, or
+ *         <code>null</code> if none found.
+ */
+jsts.planargraph.GraphComponent.getComponentWithVisitedState = function(
+    comps, visitedState) {
+  for (var i = 0; i < comps.length; i++) {
+    if (comps[i].isVisited() === visitedState)
+      return comps[i];
+  }
+  return null;
+};
+
+
+/**
+ * @type {boolean}
+ * @protected
+ */
+jsts.planargraph.GraphComponent.prototype._isMarked = false;
+
+
+/**
+ * @type {boolean}
+ * @protected
+ */
+jsts.planargraph.GraphComponent.prototype._isVisited = false;
+
+
+/**
+ * @type {Object}
+ * @private
+ */
+jsts.planargraph.GraphComponent.prototype.data = null;
+
+
+/**
+ * Tests if a component has been visited during the course of a graph
+ * algorithm
+ *
+ * @return {boolean} <code>true</code> if the component has been visited.
+ */
+jsts.planargraph.GraphComponent.prototype.isVisited = function() {
+  return this._isVisited;
+};
+
+
+/**
+ * Sets the visited flag for this component.
+ *
+ * @param {boolean}
+ *          isVisited the desired value of the visited flag.
+ */
+jsts.planargraph.GraphComponent.prototype.setVisited = function(isVisited) {
+  this._isVisited = isVisited;
+};
+
+
+/**
+ * Tests if a component has been marked at some point during the processing
+ * involving this graph.
+ *
+ * @return {boolean} <code>true</code> if the component has been marked.
+ */
+jsts.planargraph.GraphComponent.prototype.isMarked = function() {
+  return this._isMarked;
+};
+
+
+/**
+ * Sets the marked flag for this component.
+ *
+ * @param {boolean}
+ *          isMarked the desired value of the marked flag.
+ */
+jsts.planargraph.GraphComponent.prototype.setMarked = function(isMarked) {
+  this._isMarked = isMarked;
+};
+
+
+/**
+ * Sets the user-defined data for this component.
+ *
+ * @param {Object}
+ *          data an Object containing user-defined data.
+ */
+jsts.planargraph.GraphComponent.prototype.setContext = function(data) {
+  this.data = data;
+};
+
+
+/**
+ * Gets the user-defined data for this component.
+ *
+ * @return {Object} the user-defined data.
+ */
+jsts.planargraph.GraphComponent.prototype.getContext = function() {
+  return this.data;
+};
+
+
+/**
+ * Sets the user-defined data for this component.
+ *
+ * @param {Object}
+ *          data an Object containing user-defined data.
+ */
+jsts.planargraph.GraphComponent.prototype.setData = function(data) {
+  this.data = data;
+};
+
+
+/**
+ * Gets the user-defined data for this component.
+ *
+ * @return {Object} the user-defined data.
+ */
+jsts.planargraph.GraphComponent.prototype.getData = function() {
+  return this.data;
+};
+
+
+/**
+ * Tests whether this component has been removed from its containing graph
+ *
+ * @return {boolean} <code>true</code> if this component is removed.
+ */
+jsts.planargraph.GraphComponent.prototype.isRemoved = jsts.abstractFunc;
@@ -0,0 +1,161 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/planargraph/GraphComponent.js
+ * @requires jsts/planargraph/DirectedEdgeStar.js
+ */
+
+
+
+/**
+ * A node in a {@link PlanarGraph}is a location where 0 or more {@link Edge}s
+ * meet. A node is connected to each of its incident Edges via an outgoing
+ * DirectedEdge. Some clients using a <code>PlanarGraph</code> may want to
+ * subclass <code>Node</code> to add their own application-specific data and
+ * methods.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt the location of the node.
+ * @param {jsts.planargraph.DirectedEdgeStar=}
+ *          deStar the collection of outgoing edges, if it is already known.
+ * @constructor
+ * @extends {jsts.planargraph.GraphComponent}
+ */
+jsts.planargraph.Node = function(pt, deStar) {
+  this.pt = pt;
+  this.deStar = deStar || new jsts.planargraph.DirectedEdgeStar();
+};
+jsts.inherit(jsts.planargraph.Node, jsts.planargraph.GraphComponent);
+
+
+/**
+ * Returns all Edges that connect the two nodes (which are assumed to be
+ * different).
+ *
+ * @param {jsts.planargraph.Node}
+ *          node0 the first node.
+ * @param {jsts.planargraph.Node}
+ *          node1 the second node.
+ * @return {Array.<jsts.planargraph.Edge>} the edges connecting the nodes.
+ */
+jsts.planargraph.Node.getEdgesBetween = function(node0, node1) {
+  var edges0 = jsts.planargraph.DirectedEdge.toEdges(node0.getOutEdges()
+      .getEdges());
+  var edges1 = jsts.planargraph.DirectedEdge.toEdges(node1.getOutEdges()
+      .getEdges());
+  var commonEdges = [];
+  for (var i = 0; i < edges0.length; i++) {
+    if (edges1.indexOf(edges0[i]) >= 0 && commonEdges.indexOf(edges0[i]) < 0)
+      commonEdges.push(edges0[i]);
+  }
+  return commonEdges;
+};
+
+
+/**
+ * The location of this Node
+ *
+ * @type {jsts.geom.Coordinate}
+ * @protected
+ */
+jsts.planargraph.Node.prototype.pt = null;
+
+
+/**
+ * The collection of DirectedEdges that leave this Node
+ *
+ * @type {jsts.planargraph.DirectedEdgeStar}
+ * @protected
+ */
+jsts.planargraph.Node.prototype.deStar = null;
+
+
+/**
+ * @return {jsts.geom.Coordinate} the location of this Node.
+ */
+jsts.planargraph.Node.prototype.getCoordinate = function() {
+  return this.pt;
+};
+
+
+/**
+ * Adds an outgoing DirectedEdge to this Node.
+ *
+ * @param {jsts.planargraph.DirectedEdge}
+ *          de the edge to add.
+ */
+jsts.planargraph.Node.prototype.addOutEdge = function(de) {
+  this.deStar.add(de);
+};
+
+
+/**
+ * @return {jsts.planargraph.DirectedEdgeStar} the collection of
+ *         DirectedEdges that leave this Node.
+ */
+jsts.planargraph.Node.prototype.getOutEdges = function() {
+  return this.deStar;
+};
+
+
+/**
+ * @return {number} the number of edges around this Node.
+ */
+jsts.planargraph.Node.prototype.getDegree = function() {
+  return this.deStar.getDegree();
+};
+
+
+/**
+ * Returns the zero-based index of the given Edge, after sorting in ascending
+ * order by angle with the positive x-axis.
+ *
+ * @param {jsts.planargraph.Edge}
+ *          edge the edge to find.
+ * @return {number} the index of the edge, or -1 if it is not incident.
+ */
+jsts.planargraph.Node.prototype.getIndex = function(edge) {
+  return this.deStar.getIndex(edge);
+};
+
+
+/**
+ * Removes a {@link DirectedEdge} incident on this node. Does not change the
+ * state of the directed edge.
+ *
+ * @param {jsts.planargraph.DirectedEdge}
+ *          de the edge to remove.
+ */
+jsts.planargraph.Node.prototype.remove = function(de) {
+  if (de === undefined) {
+    this.pt = null;
+    return;
+  }
+  this.deStar.remove(de);
+};
+
+
+/**
+ * Tests whether this node has been removed from its containing graph
+ *
+ * @return {boolean} <code>true</code> if this node is removed.
+ */
+jsts.planargraph.Node.prototype.isRemoved = function() {
+  return this.pt === null;
+};
+
+
+/**
+ * Compares this node with another by their coordinates.
+ *
+ * @param {jsts.planargraph.Node}
+ *          other the node to compare to.
+ * @return {number} -1, 0 or 1 following the coordinate ordering.
+ */
+jsts.planargraph.Node.prototype.compareTo = function(other) {
+  return this.pt.compareTo(other.pt);
+};
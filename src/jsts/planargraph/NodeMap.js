@@ -0,0 +1,102 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+
+
+/**
+ * A map of {@link Node}s, indexed by the coordinate of the node.
+ *
+ * In JSTS the nodes are kept in an object keyed on the coordinate values
+ * instead of a TreeMap, which gives constant time lookups. Sorting is done
+ * when the values are requested.
+ *
+ * @constructor
+ */
+jsts.planargraph.NodeMap = function() {
+  this.nodeMap = {};
+};
+
+
+/**
+ * @type {Object}
+ * @private
+ */
+jsts.planargraph.NodeMap.prototype.nodeMap = null;
+
+
+/**
+ * @param {jsts.geom.Coordinate}
+ *          coord a coordinate.
+ * @return {string} the key of the coordinate in the map.
+ * @private
+ */
+jsts.planargraph.NodeMap.prototype.key = function(coord) {
+  return coord.x + ',' + coord.y;
+};
+
+
+/**
+ * Adds a node to the map, replacing any that is already at that location.
+ *
+ * @param {jsts.planargraph.Node}
+ *          n the node to add.
+ * @return {jsts.planargraph.Node} the added node.
+ */
+jsts.planargraph.NodeMap.prototype.add = function(n) {
+  this.nodeMap[this.key(n.getCoordinate())] = n;
+  return n;
+};
+
+
+/**
+ * Removes the Node at the given location, and returns it (or null if no Node
+ * was there).
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt the location of the node.
+ * @return {jsts.planargraph.Node} the removed node.
+ */
+jsts.planargraph.NodeMap.prototype.remove = function(pt) {
+  var key = this.key(pt);
+  var node = this.nodeMap.hasOwnProperty(key) ? this.nodeMap[key] : null;
+  delete this.nodeMap[key];
+  return node;
+};
+
+
+/**
+ * Returns the Node at the given location, or null if no Node was there.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          coord the location to search.
+ * @return {jsts.planargraph.Node} the node found.
+ */
+jsts.planargraph.NodeMap.prototype.find = function(coord) {
+  var key = this.key(coord);
+  return this.nodeMap.hasOwnProperty(key) ? this.nodeMap[key] : null;
+};
+
+
+/**
+ * Returns the Nodes in this NodeMap, sorted in ascending order by location.
+ *
+ * @return {Array.<jsts.planargraph.Node>}
+ */
+jsts.planargraph.NodeMap.prototype.values = function() {
+  var array = [];
+  for (var key in this.nodeMap) {
+    if (this.nodeMap.hasOwnProperty(key)) {
+      array.push(this.nodeMap[key]);
+    }
+  }
+
+  var compare = function(a, b) {
+    return a.compareTo(b);
+  };
+  array.sort(compare);
+
+  return array;
+};
@@ -4,6 +4,13 @@
  * See /license.txt for the full text of the license.
  */
 
+/**
+ * @requires jsts/planargraph/NodeMap.js
+ * @requires jsts/planargraph/Node.js
+ * @requires jsts/planargraph/Edge.js
+ * @requires jsts/planargraph/DirectedEdge.js
+ */
+
 
 
 /**
@@ -20,36 +27,227 @@
  * @constructor
  */
 jsts.planargraph.PlanarGraph = function() {
-  this.nodeMap = {};
+  this.nodeMap = new jsts.planargraph.NodeMap();
 
   this.edges = [];
   this.dirEdges = [];
 };
 
+
+/**
+ * @type {Array.<jsts.planargraph.Edge>}
+ * @protected
+ */
 jsts.planargraph.PlanarGraph.prototype.edges = null;
+
+
+/**
+ * @type {Array.<jsts.planargraph.DirectedEdge>}
+ * @protected
+ */
 jsts.planargraph.PlanarGraph.prototype.dirEdges = null;
 
 
 /**
- * @type {Object}
+ * @type {jsts.planargraph.NodeMap}
+ * @protected
  */
 jsts.planargraph.PlanarGraph.prototype.nodeMap = null;
 
+
+/**
+ * Returns the {@link Node} at the given location, or null if no
+ * {@link Node} was there.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt the location to query.
+ * @return {jsts.planargraph.Node} the node found.
+ */
+jsts.planargraph.PlanarGraph.prototype.findNode = function(pt) {
+  return this.nodeMap.find(pt);
+};
+
+
+/**
+ * Adds a node, an edge or a directed edge to the graph. Adding an
+ * {@link Edge} also adds its two {@link DirectedEdge}s, but not their
+ * {@link Node}s; those must be added separately.
+ *
+ * @param {jsts.planargraph.Node|jsts.planargraph.Edge|jsts.planargraph.DirectedEdge}
+ *          component the graph component to add.
+ * @protected
+ */
+jsts.planargraph.PlanarGraph.prototype.add = function(component) {
+  if (component instanceof jsts.planargraph.Node) {
+    this.nodeMap.add(component);
+  } else if (component instanceof jsts.planargraph.Edge) {
+    this.edges.push(component);
+    this.add(component.getDirEdge(0));
+    this.add(component.getDirEdge(1));
+  } else {
+    this.dirEdges.push(component);
+  }
+};
+
+
 /**
- * @return {Array.<Node>}
+ * Returns the Nodes in this PlanarGraph, sorted in ascending order by
+ * location.
+ *
+ * @return {Array.<jsts.planargraph.Node>}
  */
 jsts.planargraph.PlanarGraph.prototype.getNodes = function() {
-  var array = [];
-  for (var key in this.nodeMap) {
-    if (this.nodeMap.hasOwnProperty(key)) {
-      array.push(this.nodeMap[key]);
+  return this.nodeMap.values();
+};
+
+
+/**
+ * Returns the Edges that have been added to this PlanarGraph
+ *
+ * @return {Array.<jsts.planargraph.Edge>}
+ */
+jsts.planargraph.PlanarGraph.prototype.getEdges = function() {
+  return this.edges;
+};
+
+
+/**
+ * Returns the DirectedEdges that have been added to this PlanarGraph
+ *
+ * @return {Array.<jsts.planargraph.DirectedEdge>}
+ */
+jsts.planargraph.PlanarGraph.prototype.getDirEdges = function() {
+  return this.dirEdges;
+};
+
+
+/**
+ * Tests whether this graph contains the given {@link Edge} or
+ * {@link DirectedEdge}
+ *
+ * @param {jsts.planargraph.Edge|jsts.planargraph.DirectedEdge}
+ *          e the edge to query.
+ * @return {boolean} <code>true</code> if the graph contains the edge.
+ */
+jsts.planargraph.PlanarGraph.prototype.contains = function(e) {
+  if (e instanceof jsts.planargraph.DirectedEdge) {
+    return this.dirEdges.indexOf(e) >= 0;
+  }
+  return this.edges.indexOf(e) >= 0;
+};
+
+
+/**
+ * Removes a component from this graph:
+ * <ul>
+ * <li>an {@link Edge} is removed together with its associated
+ * {@link DirectedEdge}s, and its from- and to-nodes are left alone.
+ * <li>a {@link DirectedEdge} is removed and its symmetric edge is unlinked,
+ * which leaves the parent Edge inconsistent.
+ * <li>a {@link Node} is removed together with all its associated
+ * DirectedEdges and their symmetric edges and parent Edges.
+ * </ul>
+ *
+ * @param {jsts.planargraph.Node|jsts.planargraph.Edge|jsts.planargraph.DirectedEdge}
+ *          component the graph component to remove.
+ */
+jsts.planargraph.PlanarGraph.prototype.remove = function(component) {
+  if (component instanceof jsts.planargraph.Edge) {
+    this.removeEdge(component);
+  } else if (component instanceof jsts.planargraph.DirectedEdge) {
+    this.removeDirEdge(component);
+  } else {
+    this.removeNode(component);
+  }
+};
+
+
+/**
+ * @param {jsts.planargraph.Edge}
+ *          edge the edge to remove.
+ * @private
+ */
+jsts.planargraph.PlanarGraph.prototype.removeEdge = function(edge) {
+  this.removeDirEdge(edge.getDirEdge(0));
+  this.removeDirEdge(edge.getDirEdge(1));
+  this.removeFromArray(this.edges, edge);
+  edge.remove();
+};
+
+
+/**
+ * @param {jsts.planargraph.DirectedEdge}
+ *          de the directed edge to remove.
+ * @private
+ */
+jsts.planargraph.PlanarGraph.prototype.removeDirEdge = function(de) {
+  var sym = de.getSym();
+  if (sym !== null)
+    sym.setSym(null);
+
+  de.getFromNode().remove(de);
+  de.remove();
+  this.removeFromArray(this.dirEdges, de);
+};
+
+
+/**
+ * @param {jsts.planargraph.Node}
+ *          node the node to remove.
+ * @private
+ */
+jsts.planargraph.PlanarGraph.prototype.removeNode = function(node) {
+  // unhook all directed edges
+  var outEdges = node.getOutEdges().getEdges().slice();
+  for (var i = 0; i < outEdges.length; i++) {
+    var de = outEdges[i];
+    var sym = de.getSym();
+    // remove the diredge that points to this node
+    if (sym !== null)
+      this.removeDirEdge(sym);
+    // remove this diredge from the graph collection
+    this.removeFromArray(this.dirEdges, de);
+
+    var edge = de.getEdge();
+    if (edge !== null) {
+      this.removeFromArray(this.edges, edge);
     }
   }
+  // remove the node from the graph
+  this.nodeMap.remove(node.getCoordinate());
+  node.remove();
+};
 
-  var compare = function(a,b) {
-    return a.compareTo(b);
-  };
-  array.sort(compare);
 
-  return array;
+/**
+ * @param {Array}
+ *          array the array to remove from.
+ * @param {Object}
+ *          item the item to remove.
+ * @private
+ */
+jsts.planargraph.PlanarGraph.prototype.removeFromArray = function(array,
+    item) {
+  var i = array.indexOf(item);
+  if (i >= 0) {
+    array.splice(i, 1);
+  }
+};
+
+
+/**
+ * Returns all Nodes with the given number of Edges around it.
+ *
+ * @param {number}
+ *          degree the degree to search for.
+ * @return {Array.<jsts.planargraph.Node>} the nodes found.
+ */
+jsts.planargraph.PlanarGraph.prototype.findNodesOfDegree = function(degree) {
+  var nodesFound = [];
+  var nodes = this.getNodes();
+  for (var i = 0; i < nodes.length; i++) {
+    if (nodes[i].getDegree() === degree)
+      nodesFound.push(nodes[i]);
+  }
+  return nodesFound;
 };
@@ -0,0 +1,132 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/planargraph/NodeMap.js
+ */
+
+
+
+/**
+ * A subgraph of a {@link PlanarGraph}. A subgraph may contain any subset of
+ * {@link Edge}s from the parent graph. It will also automatically contain all
+ * {@link DirectedEdge}s and {@link Node}s associated with those edges. No
+ * new objects are created when edges are added - all associated components
+ * must already exist in the parent graph.
+ *
+ * @param {jsts.planargraph.PlanarGraph}
+ *          parentGraph the parent graph.
+ * @constructor
+ */
+jsts.planargraph.Subgraph = function(parentGraph) {
+  this.parentGraph = parentGraph;
+  this.edges = [];
+  this.dirEdges = [];
+  this.nodeMap = new jsts.planargraph.NodeMap();
+};
+
+
+/**
+ * @type {jsts.planargraph.PlanarGraph}
+ * @protected
+ */
+jsts.planargraph.Subgraph.prototype.parentGraph = null;
+
+
+/**
+ * @type {Array.<jsts.planargraph.Edge>}
+ * @protected
+ */
+jsts.planargraph.Subgraph.prototype.edges = null;
+
+
+/**
+ * @type {Array.<jsts.planargraph.DirectedEdge>}
+ * @protected
+ */
+jsts.planargraph.Subgraph.prototype.dirEdges = null;
+
+
+/**
+ * @type {jsts.planargraph.NodeMap}
+ * @protected
+ */
+jsts.planargraph.Subgraph.prototype.nodeMap = null;
+
+
+/**
+ * Gets the {@link PlanarGraph} which this subgraph is part of.
+ *
+ * @return {jsts.planargraph.PlanarGraph} the parent PlanarGraph.
+ */
+jsts.planargraph.Subgraph.prototype.getParent = function() {
+  return this.parentGraph;
+};
+
+
+/**
+ * Adds an {@link Edge} to the subgraph. The associated {@link DirectedEdge}s
+ * and {@link Node}s are also added.
+ *
+ * @param {jsts.planargraph.Edge}
+ *          e the edge to add.
+ */
+jsts.planargraph.Subgraph.prototype.add = function(e) {
+  if (this.edges.indexOf(e) >= 0)
+    return;
+
+  this.edges.push(e);
+  this.dirEdges.push(e.getDirEdge(0));
+  this.dirEdges.push(e.getDirEdge(1));
+  this.nodeMap.add(e.getDirEdge(0).getFromNode());
+  this.nodeMap.add(e.getDirEdge(1).getFromNode());
+};
+
+
+/**
+ * Returns the {@link DirectedEdge}s in this graph, in the order in which
+ * they were added.
+ *
+ * @return {Array.<jsts.planargraph.DirectedEdge>}
+ */
+jsts.planargraph.Subgraph.prototype.getDirEdges = function() {
+  return this.dirEdges;
+};
+
+
+/**
+ * Returns the {@link Edge}s in this graph, in the order in which they were
+ * added.
+ *
+ * @return {Array.<jsts.planargraph.Edge>}
+ */
+jsts.planargraph.Subgraph.prototype.getEdges = function() {
+  return this.edges;
+};
+
+
+/**
+ * Returns the {@link Node}s in this graph, sorted in ascending order by
+ * location.
+ *
+ * @return {Array.<jsts.planargraph.Node>}
+ */
+jsts.planargraph.Subgraph.prototype.getNodes = function() {
+  return this.nodeMap.values();
+};
+
+
+/**
+ * Tests whether an {@link Edge} is contained in this subgraph
+ *
+ * @param {jsts.planargraph.Edge}
+ *          e the edge to test.
+ * @return {boolean} <code>true</code> if the edge is contained in this
+ *         subgraph.
+ */
+jsts.planargraph.Subgraph.prototype.contains = function(e) {
+  return this.edges.indexOf(e) >= 0;
+};
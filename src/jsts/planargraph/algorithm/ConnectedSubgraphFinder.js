@@ -0,0 +1,111 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/planargraph/GraphComponent.js
+ * @requires jsts/planargraph/Subgraph.js
+ */
+
+
+
+/**
+ * Finds all connected {@link Subgraph}s of a {@link PlanarGraph}.
+ * <p>
+ * <b>Note:</b> uses the <code>isVisited</code> flag on the nodes.
+ *
+ * @param {jsts.planargraph.PlanarGraph}
+ *          graph the graph to search.
+ * @constructor
+ */
+jsts.planargraph.algorithm.ConnectedSubgraphFinder = function(graph) {
+  this.graph = graph;
+};
+
+
+/**
+ * @type {jsts.planargraph.PlanarGraph}
+ * @private
+ */
+jsts.planargraph.algorithm.ConnectedSubgraphFinder.prototype.graph = null;
+
+
+/**
+ * @return {Array.<jsts.planargraph.Subgraph>} the connected subgraphs of the
+ *         graph.
+ */
+jsts.planargraph.algorithm.ConnectedSubgraphFinder.prototype.getConnectedSubgraphs = function() {
+  var subgraphs = [];
+
+  jsts.planargraph.GraphComponent.setVisited(this.graph.getNodes(), false);
+  var edges = this.graph.getEdges();
+  for (var i = 0; i < edges.length; i++) {
+    var node = edges[i].getDirEdge(0).getFromNode();
+    if (!node.isVisited()) {
+      subgraphs.push(this.findSubgraph(node));
+    }
+  }
+  return subgraphs;
+};
+
+
+/**
+ * @param {jsts.planargraph.Node}
+ *          node a node of the subgraph.
+ * @return {jsts.planargraph.Subgraph} the subgraph connected to the node.
+ * @private
+ */
+jsts.planargraph.algorithm.ConnectedSubgraphFinder.prototype.findSubgraph = function(
+    node) {
+  var subgraph = new jsts.planargraph.Subgraph(this.graph);
+  this.addReachable(node, subgraph);
+  return subgraph;
+};
+
+
+/**
+ * Adds all nodes and edges reachable from this node to the subgraph. Uses an
+ * explicit stack to avoid a large depth of recursion.
+ *
+ * @param {jsts.planargraph.Node}
+ *          startNode a node known to be in the subgraph.
+ * @param {jsts.planargraph.Subgraph}
+ *          subgraph the subgraph to add to.
+ * @private
+ */
+jsts.planargraph.algorithm.ConnectedSubgraphFinder.prototype.addReachable = function(
+    startNode, subgraph) {
+  var nodeStack = [startNode];
+  while (nodeStack.length > 0) {
+    var node = nodeStack.pop();
+    this.addEdges(node, nodeStack, subgraph);
+  }
+};
+
+
+/**
+ * Adds the argument node and all its out edges to the subgraph.
+ *
+ * @param {jsts.planargraph.Node}
+ *          node the node to add.
+ * @param {Array.<jsts.planargraph.Node>}
+ *          nodeStack the current set of nodes being traversed.
+ * @param {jsts.planargraph.Subgraph}
+ *          subgraph the subgraph to add to.
+ * @private
+ */
+jsts.planargraph.algorithm.ConnectedSubgraphFinder.prototype.addEdges = function(
+    node, nodeStack, subgraph) {
+  node.setVisited(true);
+  var outEdges = node.getOutEdges().getEdges();
+  for (var i = 0; i < outEdges.length; i++) {
+    var de = outEdges[i];
+    subgraph.add(de.getEdge());
+    var toNode = de.getToNode();
+    if (!toNode.isVisited()) {
+      nodeStack.push(toNode);
+    }
+  }
+};
@@ -0,0 +1,321 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/CGAlgorithms.js
+   * @requires jsts/geom/LineSegment.js
+   * @requires jsts/index/strtree/ItemDistance.js
+   * @requires jsts/operation/distance/FacetSequenceTreeBuilder.js
+   */
+
+  var ItemDistance = jsts.index.strtree.ItemDistance;
+
+
+
+  /**
+   * Computes the Minimum Clearance of a {@link Geometry}.
+   * <p>
+   * The <b>Minimum Clearance</b> is a measure of what magnitude of
+   * perturbation of the vertices of a geometry can be tolerated before the
+   * geometry becomes topologically invalid. The smaller the Minimum Clearance
+   * distance, the less vertex perturbation the geometry can tolerate before
+   * becoming invalid.
+   * <p>
+   * The concept was introduced by Thompson and Van Oosterom [TV06], based on
+   * earlier work by Milenkovic [Mi88].
+   * <p>
+   * The Minimum Clearance of a geometry G is defined to be the value <i>r</i>
+   * such that "the movement of all points by a distance of <i>r</i> in any
+   * direction will guarantee to leave the geometry valid". An equivalent
+   * constructive definition [Mi88] is that <i>r</i> is the largest value
+   * such:
+   * <ol>
+   * <li>No two distinct vertices of G are closer than <i>r</i>
+   * <li>No vertex of G is closer than <i>r</i> to an edge of G of which the
+   * vertex is not an endpoint
+   * </ol>
+   * The following image shows an example of the Minimum Clearance of a
+   * polygon.
+   * <p>
+   * If G has only a single vertex (i.e. is a {@link Point}), or if it has no
+   * vertices (i.e. is empty), the Minimum Clearance is defined to be
+   * <tt>Number.MAX_VALUE</tt>, and the Minimum Clearance line is empty.
+   * <p>
+   * The Minimum Clearance is a useful measure of the robustness of a geometry
+   * to precision reduction, for example before storing it in a
+   * fixed-precision format.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the input geometry.
+   * @constructor
+   */
+  jsts.precision.MinimumClearance = function(geom) {
+    this.inputGeom = geom;
+  };
+
+
+  /**
+   * Computes the Minimum Clearance distance for the given Geometry.
+   *
+   * @param {jsts.geom.Geometry}
+   *          g the input geometry.
+   * @return {number} the Minimum Clearance distance.
+   */
+  jsts.precision.MinimumClearance.getDistance = function(g) {
+    var rp = new jsts.precision.MinimumClearance(g);
+    return rp.getDistance();
+  };
+
+
+  /**
+   * Gets a LineString containing two points which are at the Minimum
+   * Clearance distance for the given Geometry.
+   *
+   * @param {jsts.geom.Geometry}
+   *          g the input geometry.
+   * @return {jsts.geom.LineString} the value of the minimum clearance
+   *         distance, or an empty LineString if no Minimum Clearance distance
+   *         exists.
+   */
+  jsts.precision.MinimumClearance.getLine = function(g) {
+    var rp = new jsts.precision.MinimumClearance(g);
+    return rp.getLine();
+  };
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.precision.MinimumClearance.prototype.inputGeom = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.precision.MinimumClearance.prototype.minClearance = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.Coordinate>}
+   * @private
+   */
+  jsts.precision.MinimumClearance.prototype.minClearancePts = null;
+
+
+  /**
+   * Gets the Minimum Clearance distance.
+   * <p>
+   * If no distance exists (e.g. in the case of two identical points)
+   * <tt>Number.MAX_VALUE</tt> is returned.
+   *
+   * @return {number} the value of the minimum clearance distance, or
+   *         <tt>Number.MAX_VALUE</tt> if no Minimum Clearance distance
+   *         exists.
+   */
+  jsts.precision.MinimumClearance.prototype.getDistance = function() {
+    this.compute();
+    return this.minClearance;
+  };
+
+
+  /**
+   * Gets a LineString containing two points which are at the Minimum
+   * Clearance distance.
+   * <p>
+   * If no distance could be found (e.g. in the case of two identical points)
+   * an empty LineString is returned.
+   *
+   * @return {jsts.geom.LineString} the value of the minimum clearance
+   *         distance, or an empty LineString if no Minimum Clearance distance
+   *         exists.
+   */
+  jsts.precision.MinimumClearance.prototype.getLine = function() {
+    this.compute();
+    var factory = this.inputGeom.getFactory();
+    // return empty line string if no min pts were found
+    if (this.minClearancePts === null || this.minClearancePts[0] === null)
+      return factory.createLineString([]);
+    return factory.createLineString(this.minClearancePts);
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.precision.MinimumClearance.prototype.compute = function() {
+    // already computed
+    if (this.minClearancePts !== null)
+      return;
+
+    // initialize to "No Distance Exists" state
+    this.minClearancePts = [null, null];
+    this.minClearance = Number.MAX_VALUE;
+
+    // handle empty geometries
+    if (this.inputGeom.isEmpty())
+      return;
+
+    var geomTree = jsts.operation.distance.FacetSequenceTreeBuilder.build(
+        this.inputGeom);
+
+    var nearest = geomTree.nearestNeighbour(new MinClearanceDistance());
+    var mcd = new MinClearanceDistance();
+    this.minClearance = mcd.facetDistance(nearest[0], nearest[1]);
+    this.minClearancePts = mcd.getCoordinates();
+  };
+
+
+
+  /**
+   * Implements the MinimumClearance distance function:
+   * <ul>
+   * <li>dist(p1, p2) =
+   * <ul>
+   * <li>p1 != p2 : p1.distance(p2)
+   * <li>p1 == p2 : Number.MAX_VALUE
+   * </ul>
+   * <li>dist(p, seg) =
+   * <ul>
+   * <li>p != seq.p1 && p != seg.p2 : seg.distance(p)
+   * <li>ELSE : Number.MAX_VALUE
+   * </ul>
+   * </ul>
+   * Also computes the values of the nearest points, if any.
+   *
+   * @constructor
+   * @extends {jsts.index.strtree.ItemDistance}
+   * @private
+   */
+  var MinClearanceDistance = function() {
+    this.minDist = Number.MAX_VALUE;
+    this.minPts = [null, null];
+  };
+  jsts.inherit(MinClearanceDistance, ItemDistance);
+
+
+  /**
+   * @return {Array.<jsts.geom.Coordinate>} the nearest points found.
+   */
+  MinClearanceDistance.prototype.getCoordinates = function() {
+    return this.minPts;
+  };
+
+
+  /**
+   * @param {jsts.index.strtree.ItemBoundable}
+   *          b1 an item wrapping a FacetSequence.
+   * @param {jsts.index.strtree.ItemBoundable}
+   *          b2 an item wrapping a FacetSequence.
+   * @return {number} the clearance distance between the facet sequences.
+   */
+  MinClearanceDistance.prototype.distance = function(b1, b2) {
+    this.minDist = Number.MAX_VALUE;
+    return this.facetDistance(b1.getItem(), b2.getItem());
+  };
+
+
+  /**
+   * @param {jsts.operation.distance.FacetSequence}
+   *          fs1 a facet sequence.
+   * @param {jsts.operation.distance.FacetSequence}
+   *          fs2 a facet sequence.
+   * @return {number} the clearance distance between the facet sequences.
+   */
+  MinClearanceDistance.prototype.facetDistance = function(fs1, fs2) {
+    // compute MinClearance distance metric
+    this.vertexDistance(fs1, fs2);
+    if (fs1.size() === 1 && fs2.size() === 1)
+      return this.minDist;
+    if (this.minDist <= 0.0)
+      return this.minDist;
+    this.segmentDistance(fs1, fs2);
+    if (this.minDist <= 0.0)
+      return this.minDist;
+    this.segmentDistance(fs2, fs1);
+    return this.minDist;
+  };
+
+
+  /**
+   * @param {jsts.operation.distance.FacetSequence}
+   *          fs1 a facet sequence.
+   * @param {jsts.operation.distance.FacetSequence}
+   *          fs2 a facet sequence.
+   * @return {number} the minimum distance found so far.
+   * @private
+   */
+  MinClearanceDistance.prototype.vertexDistance = function(fs1, fs2) {
+    for (var i1 = 0; i1 < fs1.size(); i1++) {
+      for (var i2 = 0; i2 < fs2.size(); i2++) {
+        var p1 = fs1.getCoordinate(i1);
+        var p2 = fs2.getCoordinate(i2);
+        if (!p1.equals2D(p2)) {
+          var d = p1.distance(p2);
+          if (d < this.minDist) {
+            this.minDist = d;
+            this.minPts[0] = p1;
+            this.minPts[1] = p2;
+            if (d === 0.0)
+              return d;
+          }
+        }
+      }
+    }
+    return this.minDist;
+  };
+
+
+  /**
+   * @param {jsts.operation.distance.FacetSequence}
+   *          fs1 the facet sequence providing the vertices.
+   * @param {jsts.operation.distance.FacetSequence}
+   *          fs2 the facet sequence providing the segments.
+   * @return {number} the minimum distance found so far.
+   * @private
+   */
+  MinClearanceDistance.prototype.segmentDistance = function(fs1, fs2) {
+    for (var i1 = 0; i1 < fs1.size(); i1++) {
+      for (var i2 = 1; i2 < fs2.size(); i2++) {
+        var p = fs1.getCoordinate(i1);
+
+        var seg0 = fs2.getCoordinate(i2 - 1);
+        var seg1 = fs2.getCoordinate(i2);
+
+        if (!(p.equals2D(seg0) || p.equals2D(seg1))) {
+          var d = jsts.algorithm.CGAlgorithms.distancePointLine(p, seg0, seg1);
+          if (d < this.minDist) {
+            this.minDist = d;
+            this.updatePts(p, seg0, seg1);
+            if (d === 0.0)
+              return d;
+          }
+        }
+      }
+    }
+    return this.minDist;
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate}
+   *          p the vertex.
+   * @param {jsts.geom.Coordinate}
+   *          seg0 the segment start.
+   * @param {jsts.geom.Coordinate}
+   *          seg1 the segment end.
+   * @private
+   */
+  MinClearanceDistance.prototype.updatePts = function(p, seg0, seg1) {
+    this.minPts[0] = p;
+    var seg = new jsts.geom.LineSegment(seg0, seg1);
+    this.minPts[1] = new jsts.geom.Coordinate(seg.closestPoint(p));
+  };
+
+})();
@@ -0,0 +1,136 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/LineSegment.js
+ */
+
+
+
+/**
+ * Simplifies a linestring (sequence of points) using the standard
+ * Douglas-Peucker algorithm.
+ *
+ * @param {jsts.geom.Coordinate[]}
+ *          pts the points of the line to simplify.
+ * @constructor
+ */
+jsts.simplify.DouglasPeuckerLineSimplifier = function(pts) {
+  this.pts = pts;
+  this.seg = new jsts.geom.LineSegment();
+};
+
+
+/**
+ * Simplifies a sequence of points using the given distance tolerance.
+ *
+ * @param {jsts.geom.Coordinate[]}
+ *          pts the points to simplify.
+ * @param {number}
+ *          distanceTolerance the simplification tolerance.
+ * @return {jsts.geom.Coordinate[]} the simplified points.
+ */
+jsts.simplify.DouglasPeuckerLineSimplifier.simplify = function(pts,
+    distanceTolerance) {
+  var simp = new jsts.simplify.DouglasPeuckerLineSimplifier(pts);
+  simp.setDistanceTolerance(distanceTolerance);
+  return simp.simplify();
+};
+
+
+/**
+ * @type {jsts.geom.Coordinate[]}
+ * @private
+ */
+jsts.simplify.DouglasPeuckerLineSimplifier.prototype.pts = null;
+
+
+/**
+ * @type {boolean[]}
+ * @private
+ */
+jsts.simplify.DouglasPeuckerLineSimplifier.prototype.usePt = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.simplify.DouglasPeuckerLineSimplifier.prototype.distanceTolerance = 0.0;
+
+
+/**
+ * @type {jsts.geom.LineSegment}
+ * @private
+ */
+jsts.simplify.DouglasPeuckerLineSimplifier.prototype.seg = null;
+
+
+/**
+ * Sets the distance tolerance for the simplification. All vertices in the
+ * simplified linestring will be within this distance of the original
+ * linestring.
+ *
+ * @param {number}
+ *          distanceTolerance the approximation tolerance to use.
+ */
+jsts.simplify.DouglasPeuckerLineSimplifier.prototype.setDistanceTolerance = function(
+    distanceTolerance) {
+  this.distanceTolerance = distanceTolerance;
+};
+
+
+/**
+ * @return {jsts.geom.Coordinate[]} the simplified points.
+ */
+jsts.simplify.DouglasPeuckerLineSimplifier.prototype.simplify = function() {
+  this.usePt = [];
+  for (var i = 0; i < this.pts.length; i++) {
+    this.usePt[i] = true;
+  }
+  this.simplifySection(0, this.pts.length - 1);
+
+  var coordList = [];
+  for (var i = 0; i < this.pts.length; i++) {
+    if (this.usePt[i])
+      coordList.push(new jsts.geom.Coordinate(this.pts[i]));
+  }
+  return coordList;
+};
+
+
+/**
+ * @param {number}
+ *          i the index of the section start.
+ * @param {number}
+ *          j the index of the section end.
+ * @private
+ */
+jsts.simplify.DouglasPeuckerLineSimplifier.prototype.simplifySection = function(
+    i, j) {
+  if ((i + 1) === j) {
+    return;
+  }
+  this.seg.p0 = this.pts[i];
+  this.seg.p1 = this.pts[j];
+  var maxDistance = -1.0;
+  var maxIndex = i;
+  for (var k = i + 1; k < j; k++) {
+    var distance = this.seg.distance(this.pts[k]);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      maxIndex = k;
+    }
+  }
+  if (maxDistance <= this.distanceTolerance) {
+    for (var k = i + 1; k < j; k++) {
+      this.usePt[k] = false;
+    }
+  } else {
+    this.simplifySection(i, maxIndex);
+    this.simplifySection(maxIndex, j);
+  }
+};
@@ -0,0 +1,222 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/util/GeometryTransformer.js
+   * @requires jsts/simplify/DouglasPeuckerLineSimplifier.js
+   */
+
+  var GeometryTransformer = jsts.geom.util.GeometryTransformer;
+
+
+  /**
+   * Simplifies the coordinates of each component with the Douglas-Peucker
+   * algorithm, optionally repairing areal results.
+   *
+   * @param {number}
+   *          distanceTolerance the simplification tolerance.
+   * @param {boolean}
+   *          isEnsureValidTopology whether to repair areal results.
+   * @constructor
+   * @private
+   */
+  var DPTransformer = function(distanceTolerance, isEnsureValidTopology) {
+    GeometryTransformer.call(this);
+    this.distanceTolerance = distanceTolerance;
+    this.isEnsureValidTopology = isEnsureValidTopology;
+    // collapsed rings must become LineStrings so that they can be removed
+    this.preserveType = false;
+  };
+  jsts.inherit(DPTransformer, GeometryTransformer);
+
+  DPTransformer.prototype.distanceTolerance = null;
+  DPTransformer.prototype.isEnsureValidTopology = true;
+
+  DPTransformer.prototype.transformCoordinates = function(coords, parent) {
+    if (coords.length === 0) {
+      return [];
+    }
+    return jsts.simplify.DouglasPeuckerLineSimplifier.simplify(coords,
+        this.distanceTolerance);
+  };
+
+  /**
+   * Simplifies a polygon, fixing it if required.
+   */
+  DPTransformer.prototype.transformPolygon = function(geom, parent) {
+    // empty geometries are simply removed
+    if (geom.isEmpty())
+      return null;
+    var rawGeom = GeometryTransformer.prototype.transformPolygon.call(this,
+        geom, parent);
+    // don't try and correct if the parent is going to do this
+    if (parent instanceof jsts.geom.MultiPolygon) {
+      return rawGeom;
+    }
+    return this.createValidArea(rawGeom);
+  };
+
+  /**
+   * Simplifies a LinearRing. If the simplification results in a degenerate
+   * ring, remove the component.
+   *
+   * @return {jsts.geom.Geometry} null if the simplification results in a
+   *         degenerate ring.
+   */
+  DPTransformer.prototype.transformLinearRing = function(geom, parent) {
+    var removeDegenerateRings = parent instanceof jsts.geom.Polygon;
+    var simpResult = GeometryTransformer.prototype.transformLinearRing.call(
+        this, geom, parent);
+    if (removeDegenerateRings && !(simpResult instanceof jsts.geom.LinearRing))
+      return null;
+    return simpResult;
+  };
+
+  /**
+   * Simplifies a MultiPolygon, fixing it if required.
+   */
+  DPTransformer.prototype.transformMultiPolygon = function(geom, parent) {
+    var rawGeom = GeometryTransformer.prototype.transformMultiPolygon.call(
+        this, geom, parent);
+    return this.createValidArea(rawGeom);
+  };
+
+  /**
+   * Creates a valid area geometry from one that possibly has bad topology
+   * (i.e. self-intersections). Since buffer can handle invalid topology, but
+   * always returns valid geometry, constructing a 0-width buffer "corrects"
+   * the topology. Note this only works for area geometries, since buffer
+   * always returns areas. This also may return empty geometries, if the input
+   * has no actual area.
+   *
+   * @param {jsts.geom.Geometry}
+   *          rawAreaGeom an area geometry possibly containing
+   *          self-intersections.
+   * @return {jsts.geom.Geometry} a valid area geometry.
+   */
+  DPTransformer.prototype.createValidArea = function(rawAreaGeom) {
+    if (this.isEnsureValidTopology)
+      return rawAreaGeom.buffer(0.0);
+    return rawAreaGeom;
+  };
+
+
+
+  /**
+   * Simplifies a {@link Geometry} using the standard Douglas-Peucker
+   * algorithm. Ensures that any polygonal geometries returned are valid.
+   * Simple lines are not guaranteed to remain simple after simplification.
+   * <p>
+   * Note that in general D-P does not preserve topology - e.g. polygons can
+   * be split, collapse to lines or disappear, holes can be created or
+   * disappear, and lines can cross. To simplify geometry while preserving
+   * topology use {@link TopologyPreservingSimplifier}. (However, using D-P is
+   * significantly faster).
+   *
+   * @param {jsts.geom.Geometry}
+   *          inputGeom the geometry to simplify.
+   * @constructor
+   */
+  jsts.simplify.DouglasPeuckerSimplifier = function(inputGeom) {
+    this.inputGeom = inputGeom;
+  };
+
+
+  /**
+   * Simplifies a geometry using a given tolerance.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to simplify.
+   * @param {number}
+   *          distanceTolerance the tolerance to use.
+   * @return {jsts.geom.Geometry} a simplified version of the geometry.
+   */
+  jsts.simplify.DouglasPeuckerSimplifier.simplify = function(geom,
+      distanceTolerance) {
+    var tss = new jsts.simplify.DouglasPeuckerSimplifier(geom);
+    tss.setDistanceTolerance(distanceTolerance);
+    return tss.getResultGeometry();
+  };
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.simplify.DouglasPeuckerSimplifier.prototype.inputGeom = null;
+
+
+  /**
+   * @type {number}
+   * @private
+   */
+  jsts.simplify.DouglasPeuckerSimplifier.prototype.distanceTolerance = null;
+
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  jsts.simplify.DouglasPeuckerSimplifier.prototype.isEnsureValidTopology = true;
+
+
+  /**
+   * Sets the distance tolerance for the simplification. All vertices in the
+   * simplified geometry will be within this distance of the original geometry.
+   * The tolerance value must be non-negative. A tolerance value of zero is
+   * effectively a no-op.
+   *
+   * @param {number}
+   *          distanceTolerance the approximation tolerance to use.
+   */
+  jsts.simplify.DouglasPeuckerSimplifier.prototype.setDistanceTolerance = function(
+      distanceTolerance) {
+    if (distanceTolerance < 0.0) {
+      throw new jsts.error.IllegalArgumentError(
+          'Tolerance must be non-negative');
+    }
+    this.distanceTolerance = distanceTolerance;
+  };
+
+
+  /**
+   * Controls whether simplified polygons will be "fixed" to have valid
+   * topology. The caller may choose to disable this because:
+   * <ul>
+   * <li>valid topology is not required
+   * <li>fixing topology is a relative expensive operation
+   * <li>in some pathological cases the topology fixing operation may either
+   * fail or run for too long
+   * </ul>
+   *
+   * The default is to fix polygon topology.
+   *
+   * @param {boolean}
+   *          isEnsureValidTopology whether to ensure valid polygon topology.
+   */
+  jsts.simplify.DouglasPeuckerSimplifier.prototype.setEnsureValid = function(
+      isEnsureValidTopology) {
+    this.isEnsureValidTopology = isEnsureValidTopology;
+  };
+
+
+  /**
+   * Gets the simplified geometry.
+   *
+   * @return {jsts.geom.Geometry} the simplified geometry.
+   */
+  jsts.simplify.DouglasPeuckerSimplifier.prototype.getResultGeometry = function() {
+    // empty input produces an empty result
+    if (this.inputGeom.isEmpty())
+      return this.inputGeom.clone();
+
+    return new DPTransformer(this.distanceTolerance,
+        this.isEnsureValidTopology).transform(this.inputGeom);
+  };
+
+})();
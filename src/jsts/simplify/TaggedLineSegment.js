@@ -0,0 +1,64 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/LineSegment.js
+ */
+
+
+
+/**
+ * A {@link LineSegment} which is tagged with its location in a parent
+ * {@link Geometry}. Used to index the segments in a geometry and recover the
+ * segment locations from the index.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          p0 the start point.
+ * @param {jsts.geom.Coordinate}
+ *          p1 the end point.
+ * @param {jsts.geom.Geometry}
+ *          [parent] the geometry the segment belongs to.
+ * @param {number}
+ *          [index] the index of the segment in its parent.
+ * @constructor
+ * @extends {jsts.geom.LineSegment}
+ */
+jsts.simplify.TaggedLineSegment = function(p0, p1, parent, index) {
+  jsts.geom.LineSegment.call(this, p0, p1);
+  this.parent = parent === undefined ? null : parent;
+  this.index = index === undefined ? -1 : index;
+};
+jsts.inherit(jsts.simplify.TaggedLineSegment, jsts.geom.LineSegment);
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.simplify.TaggedLineSegment.prototype.parent = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.simplify.TaggedLineSegment.prototype.index = -1;
+
+
+/**
+ * @return {jsts.geom.Geometry} the geometry the segment belongs to.
+ */
+jsts.simplify.TaggedLineSegment.prototype.getParent = function() {
+  return this.parent;
+};
+
+
+/**
+ * @return {number} the index of the segment in its parent.
+ */
+jsts.simplify.TaggedLineSegment.prototype.getIndex = function() {
+  return this.index;
+};
@@ -0,0 +1,178 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/simplify/TaggedLineSegment.js
+ */
+
+
+
+/**
+ * Represents a {@link LineString} which can be modified to a simplified shape.
+ * This class provides an attribute which specifies the minimum allowable
+ * length for the modified result.
+ *
+ * @param {jsts.geom.LineString}
+ *          parentLine the line to simplify.
+ * @param {number}
+ *          minimumSize the minimum number of points in the result.
+ * @constructor
+ */
+jsts.simplify.TaggedLineString = function(parentLine, minimumSize) {
+  this.parentLine = parentLine;
+  this.minimumSize = minimumSize === undefined ? 2 : minimumSize;
+  this.resultSegs = [];
+  this.init();
+};
+
+
+/**
+ * @type {jsts.geom.LineString}
+ * @private
+ */
+jsts.simplify.TaggedLineString.prototype.parentLine = null;
+
+
+/**
+ * @type {jsts.simplify.TaggedLineSegment[]}
+ * @private
+ */
+jsts.simplify.TaggedLineString.prototype.segs = null;
+
+
+/**
+ * @type {jsts.geom.LineSegment[]}
+ * @private
+ */
+jsts.simplify.TaggedLineString.prototype.resultSegs = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.simplify.TaggedLineString.prototype.minimumSize = 2;
+
+
+/**
+ * @private
+ */
+jsts.simplify.TaggedLineString.prototype.init = function() {
+  var pts = this.parentLine.getCoordinates();
+  this.segs = [];
+  for (var i = 0; i < pts.length - 1; i++) {
+    var seg = new jsts.simplify.TaggedLineSegment(pts[i], pts[i + 1],
+        this.parentLine, i);
+    this.segs.push(seg);
+  }
+};
+
+
+/**
+ * @return {number} the minimum number of points in the result.
+ */
+jsts.simplify.TaggedLineString.prototype.getMinimumSize = function() {
+  return this.minimumSize;
+};
+
+
+/**
+ * @return {jsts.geom.LineString} the line being simplified.
+ */
+jsts.simplify.TaggedLineString.prototype.getParent = function() {
+  return this.parentLine;
+};
+
+
+/**
+ * @return {jsts.geom.Coordinate[]} the coordinates of the line being
+ *         simplified.
+ */
+jsts.simplify.TaggedLineString.prototype.getParentCoordinates = function() {
+  return this.parentLine.getCoordinates();
+};
+
+
+/**
+ * @return {jsts.geom.Coordinate[]} the coordinates of the simplified line.
+ */
+jsts.simplify.TaggedLineString.prototype.getResultCoordinates = function() {
+  return jsts.simplify.TaggedLineString.extractCoordinates(this.resultSegs);
+};
+
+
+/**
+ * @return {number} the number of points in the simplified line.
+ */
+jsts.simplify.TaggedLineString.prototype.getResultSize = function() {
+  var resultSegsSize = this.resultSegs.length;
+  return resultSegsSize === 0 ? 0 : resultSegsSize + 1;
+};
+
+
+/**
+ * @param {number}
+ *          i the index of a segment.
+ * @return {jsts.simplify.TaggedLineSegment} the segment.
+ */
+jsts.simplify.TaggedLineString.prototype.getSegment = function(i) {
+  return this.segs[i];
+};
+
+
+/**
+ * @return {jsts.simplify.TaggedLineSegment[]} the segments of the line.
+ */
+jsts.simplify.TaggedLineString.prototype.getSegments = function() {
+  return this.segs;
+};
+
+
+/**
+ * @param {jsts.geom.LineSegment}
+ *          seg a segment to append to the simplified line.
+ */
+jsts.simplify.TaggedLineString.prototype.addToResult = function(seg) {
+  this.resultSegs.push(seg);
+};
+
+
+/**
+ * @return {jsts.geom.LineString} the simplified line.
+ */
+jsts.simplify.TaggedLineString.prototype.asLineString = function() {
+  return this.parentLine.getFactory().createLineString(
+      jsts.simplify.TaggedLineString.extractCoordinates(this.resultSegs));
+};
+
+
+/**
+ * @return {jsts.geom.LinearRing} the simplified line as a ring.
+ */
+jsts.simplify.TaggedLineString.prototype.asLinearRing = function() {
+  return this.parentLine.getFactory().createLinearRing(
+      jsts.simplify.TaggedLineString.extractCoordinates(this.resultSegs));
+};
+
+
+/**
+ * @param {jsts.geom.LineSegment[]}
+ *          segs a chain of segments.
+ * @return {jsts.geom.Coordinate[]} the vertices of the chain.
+ * @private
+ */
+jsts.simplify.TaggedLineString.extractCoordinates = function(segs) {
+  var pts = [];
+  if (segs.length === 0)
+    return pts;
+
+  for (var i = 0; i < segs.length; i++) {
+    pts.push(segs[i].p0);
+  }
+  // add last point
+  pts.push(segs[segs.length - 1].p1);
+  return pts;
+};
@@ -0,0 +1,297 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/algorithm/RobustLineIntersector.js
+ * @requires jsts/simplify/LineSegmentIndex.js
+ */
+
+
+
+/**
+ * Simplifies a TaggedLineString, preserving topology (in the sense that no
+ * new intersections are introduced). Uses the recursive Douglas-Peucker
+ * algorithm.
+ *
+ * @param {jsts.simplify.LineSegmentIndex}
+ *          inputIndex the index of the remaining input segments.
+ * @param {jsts.simplify.LineSegmentIndex}
+ *          outputIndex the index of the simplified segments.
+ * @constructor
+ */
+jsts.simplify.TaggedLineStringSimplifier = function(inputIndex, outputIndex) {
+  this.li = new jsts.algorithm.RobustLineIntersector();
+  this.inputIndex = inputIndex;
+  this.outputIndex = outputIndex;
+};
+
+
+/**
+ * @type {jsts.algorithm.LineIntersector}
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.li = null;
+
+
+/**
+ * @type {jsts.simplify.LineSegmentIndex}
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.inputIndex = null;
+
+
+/**
+ * @type {jsts.simplify.LineSegmentIndex}
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.outputIndex = null;
+
+
+/**
+ * @type {jsts.simplify.TaggedLineString}
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.line = null;
+
+
+/**
+ * @type {jsts.geom.Coordinate[]}
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.linePts = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.distanceTolerance = 0.0;
+
+
+/**
+ * Sets the distance tolerance for the simplification. All vertices in the
+ * simplified geometry will be within this distance of the original geometry.
+ *
+ * @param {number}
+ *          distanceTolerance the approximation tolerance to use.
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.setDistanceTolerance = function(
+    distanceTolerance) {
+  this.distanceTolerance = distanceTolerance;
+};
+
+
+/**
+ * Simplifies the given {@link TaggedLineString} using the distance tolerance
+ * specified.
+ *
+ * @param {jsts.simplify.TaggedLineString}
+ *          line the linestring to simplify.
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.simplify = function(line) {
+  this.line = line;
+  this.linePts = line.getParentCoordinates();
+  this.simplifySection(0, this.linePts.length - 1, 0);
+};
+
+
+/**
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.simplifySection = function(
+    i, j, depth) {
+  depth += 1;
+  var sectionIndex = [];
+  if ((i + 1) === j) {
+    var newSeg = this.line.getSegment(i);
+    this.line.addToResult(newSeg);
+    // leave this segment in the input index, for efficiency
+    return;
+  }
+
+  var isValidToSimplify = true;
+
+  /**
+   * Following logic ensures that there is enough points in the output line.
+   * If there is already more points than the minimum, there's nothing to
+   * check. Otherwise, if in the worst case there wouldn't be enough points,
+   * don't flatten this segment (which avoids the worst case scenario)
+   */
+  if (this.line.getResultSize() < this.line.getMinimumSize()) {
+    var worstCaseSize = depth + 1;
+    if (worstCaseSize < this.line.getMinimumSize())
+      isValidToSimplify = false;
+  }
+
+  var distance = [];
+  var furthestPtIndex = this.findFurthestPoint(this.linePts, i, j, distance);
+  // flattening must be less than distanceTolerance
+  if (distance[0] > this.distanceTolerance)
+    isValidToSimplify = false;
+  // test if flattened section would cause intersection
+  var candidateSeg = new jsts.geom.LineSegment();
+  candidateSeg.p0 = this.linePts[i];
+  candidateSeg.p1 = this.linePts[j];
+  sectionIndex[0] = i;
+  sectionIndex[1] = j;
+  if (this.hasBadIntersection(this.line, sectionIndex, candidateSeg))
+    isValidToSimplify = false;
+
+  if (isValidToSimplify) {
+    var newSeg = this.flatten(i, j);
+    this.line.addToResult(newSeg);
+    return;
+  }
+  this.simplifySection(i, furthestPtIndex, depth);
+  this.simplifySection(furthestPtIndex, j, depth);
+};
+
+
+/**
+ * @param {number[]}
+ *          maxDistance receives the distance of the furthest point.
+ * @return {number} the index of the furthest point.
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.findFurthestPoint = function(
+    pts, i, j, maxDistance) {
+  var seg = new jsts.geom.LineSegment();
+  seg.p0 = pts[i];
+  seg.p1 = pts[j];
+  var maxDist = -1.0;
+  var maxIndex = i;
+  for (var k = i + 1; k < j; k++) {
+    var midPt = pts[k];
+    var distance = seg.distance(midPt);
+    if (distance > maxDist) {
+      maxDist = distance;
+      maxIndex = k;
+    }
+  }
+  maxDistance[0] = maxDist;
+  return maxIndex;
+};
+
+
+/**
+ * @return {jsts.geom.LineSegment} the flattened segment.
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.flatten = function(start,
+    end) {
+  // make a new segment for the simplified geometry
+  var p0 = this.linePts[start];
+  var p1 = this.linePts[end];
+  var newSeg = new jsts.geom.LineSegment(p0, p1);
+  // update the indexes
+  this.remove(this.line, start, end);
+  this.outputIndex.add(newSeg);
+  return newSeg;
+};
+
+
+/**
+ * @param {jsts.simplify.TaggedLineString}
+ *          parentLine the line being simplified.
+ * @param {number[]}
+ *          sectionIndex the start and end indices of the section.
+ * @param {jsts.geom.LineSegment}
+ *          candidateSeg the candidate flattened segment.
+ * @return {boolean} true if there is an intersection which prevents the
+ *         flattening.
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.hasBadIntersection = function(
+    parentLine, sectionIndex, candidateSeg) {
+  if (this.hasBadOutputIntersection(candidateSeg))
+    return true;
+  if (this.hasBadInputIntersection(parentLine, sectionIndex, candidateSeg))
+    return true;
+  return false;
+};
+
+
+/**
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.hasBadOutputIntersection = function(
+    candidateSeg) {
+  var querySegs = this.outputIndex.query(candidateSeg);
+  for (var i = 0; i < querySegs.length; i++) {
+    var querySeg = querySegs[i];
+    if (this.hasInteriorIntersection(querySeg, candidateSeg)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.hasBadInputIntersection = function(
+    parentLine, sectionIndex, candidateSeg) {
+  var querySegs = this.inputIndex.query(candidateSeg);
+  for (var i = 0; i < querySegs.length; i++) {
+    var querySeg = querySegs[i];
+    if (this.hasInteriorIntersection(querySeg, candidateSeg)) {
+      if (jsts.simplify.TaggedLineStringSimplifier.isInLineSection(
+          parentLine, sectionIndex, querySeg))
+        continue;
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Tests whether a segment is in a section of a TaggedLineString
+ *
+ * @param {jsts.simplify.TaggedLineString}
+ *          line the line being simplified.
+ * @param {number[]}
+ *          sectionIndex the start and end indices of the section.
+ * @param {jsts.simplify.TaggedLineSegment}
+ *          seg the segment to test.
+ * @return {boolean} true if the segment lies in the section.
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.isInLineSection = function(line,
+    sectionIndex, seg) {
+  // not in this line
+  if (seg.getParent() !== line.getParent())
+    return false;
+  var segIndex = seg.getIndex();
+  if (segIndex >= sectionIndex[0] && segIndex < sectionIndex[1])
+    return true;
+  return false;
+};
+
+
+/**
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.hasInteriorIntersection = function(
+    seg0, seg1) {
+  this.li.computeIntersection(seg0.p0, seg0.p1, seg1.p0, seg1.p1);
+  return this.li.isInteriorIntersection();
+};
+
+
+/**
+ * Remove the segs in the section of the line
+ *
+ * @private
+ */
+jsts.simplify.TaggedLineStringSimplifier.prototype.remove = function(line,
+    start, end) {
+  for (var i = start; i < end; i++) {
+    var seg = line.getSegment(i);
+    this.inputIndex.remove(seg);
+  }
+};
@@ -0,0 +1,77 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/simplify/LineSegmentIndex.js
+ * @requires jsts/simplify/TaggedLineStringSimplifier.js
+ */
+
+
+
+/**
+ * Simplifies a collection of TaggedLineStrings, preserving topology (in the
+ * sense that no new intersections are introduced).
+ *
+ * @constructor
+ */
+jsts.simplify.TaggedLinesSimplifier = function() {
+  this.inputIndex = new jsts.simplify.LineSegmentIndex();
+  this.outputIndex = new jsts.simplify.LineSegmentIndex();
+};
+
+
+/**
+ * @type {jsts.simplify.LineSegmentIndex}
+ * @private
+ */
+jsts.simplify.TaggedLinesSimplifier.prototype.inputIndex = null;
+
+
+/**
+ * @type {jsts.simplify.LineSegmentIndex}
+ * @private
+ */
+jsts.simplify.TaggedLinesSimplifier.prototype.outputIndex = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.simplify.TaggedLinesSimplifier.prototype.distanceTolerance = 0.0;
+
+
+/**
+ * Sets the distance tolerance for the simplification. All vertices in the
+ * simplified geometry will be within this distance of the original geometry.
+ *
+ * @param {number}
+ *          distanceTolerance the approximation tolerance to use.
+ */
+jsts.simplify.TaggedLinesSimplifier.prototype.setDistanceTolerance = function(
+    distanceTolerance) {
+  this.distanceTolerance = distanceTolerance;
+};
+
+
+/**
+ * Simplify a collection of TaggedLineStrings
+ *
+ * @param {jsts.simplify.TaggedLineString[]}
+ *          taggedLines the collection of lines to simplify.
+ */
+jsts.simplify.TaggedLinesSimplifier.prototype.simplify = function(
+    taggedLines) {
+  for (var i = 0; i < taggedLines.length; i++) {
+    this.inputIndex.add(taggedLines[i]);
+  }
+  for (var i = 0; i < taggedLines.length; i++) {
+    var tlss = new jsts.simplify.TaggedLineStringSimplifier(this.inputIndex,
+        this.outputIndex);
+    tlss.setDistanceTolerance(this.distanceTolerance);
+    tlss.simplify(taggedLines[i]);
+  }
+};
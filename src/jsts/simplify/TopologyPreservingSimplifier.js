@@ -0,0 +1,213 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/geom/GeometryComponentFilter.js
+   * @requires jsts/geom/util/GeometryTransformer.js
+   * @requires jsts/simplify/TaggedLineString.js
+   * @requires jsts/simplify/TaggedLinesSimplifier.js
+   */
+
+  var GeometryTransformer = jsts.geom.util.GeometryTransformer;
+
+
+  /**
+   * Replaces the coordinates of each linear component with those of its
+   * simplified {@link TaggedLineString}.
+   *
+   * @param {jsts.simplify.TopologyPreservingSimplifier}
+   *          simplifier the simplifier holding the tagged lines.
+   * @constructor
+   * @private
+   */
+  var LineStringTransformer = function(simplifier) {
+    GeometryTransformer.call(this);
+    this.simplifier = simplifier;
+  };
+  jsts.inherit(LineStringTransformer, GeometryTransformer);
+
+  LineStringTransformer.prototype.transformCoordinates = function(coords,
+      parent) {
+    if (coords.length === 0)
+      return null;
+    // for linear components (including LinearRings)
+    if (parent instanceof jsts.geom.LineString) {
+      var taggedLine = this.simplifier.getTaggedLine(parent);
+      return taggedLine.getResultCoordinates();
+    }
+    // for anything else (e.g. points) just copy the coordinates
+    return GeometryTransformer.prototype.transformCoordinates.call(this,
+        coords, parent);
+  };
+
+
+  /**
+   * Creates a {@link TaggedLineString} for each non-empty linear component.
+   *
+   * @param {jsts.simplify.TopologyPreservingSimplifier}
+   *          simplifier the simplifier to register the tagged lines with.
+   * @constructor
+   * @private
+   */
+  var LineStringMapBuilderFilter = function(simplifier) {
+    this.simplifier = simplifier;
+  };
+  jsts.inherit(LineStringMapBuilderFilter, jsts.geom.GeometryComponentFilter);
+
+  LineStringMapBuilderFilter.prototype.filter = function(geom) {
+    if (geom instanceof jsts.geom.LineString) {
+      if (geom.isEmpty())
+        return;
+      var minSize = geom.isClosed() ? 4 : 2;
+      var taggedLine = new jsts.simplify.TaggedLineString(geom, minSize);
+      this.simplifier.lines.push(geom);
+      this.simplifier.taggedLines.push(taggedLine);
+    }
+  };
+
+
+
+  /**
+   * Simplifies a geometry, ensuring that the result is a valid geometry having
+   * the same dimension and number of components as the input. The
+   * simplification uses a maximum distance difference algorithm similar to the
+   * one used in the Douglas-Peucker algorithm.
+   * <p>
+   * In particular, if the input is an areal geometry ( {@link Polygon} or
+   * {@link MultiPolygon} )
+   * <ul>
+   * <li>The result has the same number of shells and holes (rings) as the
+   * input, in the same order
+   * <li>The result rings touch at <b>no more</b> than the number of touching
+   * point in the input (although they may touch at fewer points). The key
+   * implication of this constraint is that the output will be topologically
+   * valid if the input was.
+   * </ul>
+   * For linear geometries, if the input does not contain any intersecting line
+   * segments, this property will be preserved in the output.
+   * <p>
+   * For all geometry types, the result will contain enough vertices to ensure
+   * validity. For polygons and closed linear geometries, the result will have
+   * at least 4 vertices; for open linestrings the result will have at least 2
+   * vertices.
+   * <p>
+   * All geometry types are handled. Empty and point geometries are returned
+   * unchanged.
+   * <p>
+   * The simplification uses a maximum distance difference algorithm similar to
+   * the Douglas-Peucker algorithm. In particular, if a component has a large
+   * extent compared to the tolerance, it will be left unchanged rather than
+   * being flattened.
+   *
+   * @param {jsts.geom.Geometry}
+   *          inputGeom the geometry to simplify.
+   * @constructor
+   */
+  jsts.simplify.TopologyPreservingSimplifier = function(inputGeom) {
+    this.inputGeom = inputGeom;
+    this.lineSimplifier = new jsts.simplify.TaggedLinesSimplifier();
+  };
+
+
+  /**
+   * Simplifies a geometry using a given tolerance, preserving its topology.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom the geometry to simplify.
+   * @param {number}
+   *          distanceTolerance the tolerance to use.
+   * @return {jsts.geom.Geometry} a simplified version of the geometry.
+   */
+  jsts.simplify.TopologyPreservingSimplifier.simplify = function(geom,
+      distanceTolerance) {
+    var tss = new jsts.simplify.TopologyPreservingSimplifier(geom);
+    tss.setDistanceTolerance(distanceTolerance);
+    return tss.getResultGeometry();
+  };
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.simplify.TopologyPreservingSimplifier.prototype.inputGeom = null;
+
+
+  /**
+   * @type {jsts.simplify.TaggedLinesSimplifier}
+   * @private
+   */
+  jsts.simplify.TopologyPreservingSimplifier.prototype.lineSimplifier = null;
+
+
+  /**
+   * The linear components of the input, parallel to {@link #taggedLines}.
+   *
+   * @type {jsts.geom.LineString[]}
+   * @private
+   */
+  jsts.simplify.TopologyPreservingSimplifier.prototype.lines = null;
+
+
+  /**
+   * @type {jsts.simplify.TaggedLineString[]}
+   * @private
+   */
+  jsts.simplify.TopologyPreservingSimplifier.prototype.taggedLines = null;
+
+
+  /**
+   * Sets the distance tolerance for the simplification. All vertices in the
+   * simplified geometry will be within this distance of the original geometry.
+   * The tolerance value must be non-negative. A tolerance value of zero is
+   * effectively a no-op.
+   *
+   * @param {number}
+   *          distanceTolerance the approximation tolerance to use.
+   */
+  jsts.simplify.TopologyPreservingSimplifier.prototype.setDistanceTolerance = function(
+      distanceTolerance) {
+    if (distanceTolerance < 0.0) {
+      throw new jsts.error.IllegalArgumentError(
+          'Tolerance must be non-negative');
+    }
+    this.lineSimplifier.setDistanceTolerance(distanceTolerance);
+  };
+
+
+  /**
+   * Gets the simplified geometry.
+   *
+   * @return {jsts.geom.Geometry} the simplified geometry.
+   */
+  jsts.simplify.TopologyPreservingSimplifier.prototype.getResultGeometry = function() {
+    // empty input produces an empty result
+    if (this.inputGeom.isEmpty())
+      return this.inputGeom.clone();
+
+    this.lines = [];
+    this.taggedLines = [];
+    this.inputGeom.apply(new LineStringMapBuilderFilter(this));
+    this.lineSimplifier.simplify(this.taggedLines);
+    return new LineStringTransformer(this).transform(this.inputGeom);
+  };
+
+
+  /**
+   * @param {jsts.geom.LineString}
+   *          line a linear component of the input.
+   * @return {jsts.simplify.TaggedLineString} the tagged line for the
+   *         component.
+   * @private
+   */
+  jsts.simplify.TopologyPreservingSimplifier.prototype.getTaggedLine = function(
+      line) {
+    return this.taggedLines[this.lines.indexOf(line)];
+  };
+
+})();
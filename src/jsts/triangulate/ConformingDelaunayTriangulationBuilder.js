@@ -0,0 +1,256 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/algorithm/locate/IndexedPointInAreaLocator.js
+ * @requires jsts/geom/util/LinearComponentExtracter.js
+ * @requires jsts/geom/util/PolygonExtracter.js
+ * @requires jsts/triangulate/ConformingDelaunayTriangulator.js
+ * @requires jsts/triangulate/ConstraintVertex.js
+ * @requires jsts/triangulate/DelaunayTriangulationBuilder.js
+ * @requires jsts/triangulate/Segment.js
+ */
+
+
+
+/**
+ * A utility class which creates Conforming Delaunay Trianglulations from
+ * collections of points and linear constraints, and extract the resulting
+ * triangulation edges or triangles as geometries.
+ * <p>
+ * The constraint segments are split as needed by inserting additional
+ * (Steiner) points, so that each constraint appears in the triangulation as
+ * a chain of triangulation edges. If the constraints are polygons, the
+ * triangles lying inside them can be extracted with
+ * {@link #getInteriorTriangles}.
+ *
+ * @constructor
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder = function() {
+  this.siteCoords = [];
+  this.constraintLines = null;
+  this.tolerance = 0.0;
+  this.subdiv = null;
+  this.constraintVertexMap = new javascript.util.TreeMap();
+};
+
+
+/**
+ * Sets the sites (point or vertices) which will be triangulated. All vertices
+ * of the given geometry will be used as sites. The site vertices do not have
+ * to contain the constraint vertices as well; any site vertices which are
+ * identical to a constraint vertex will be removed from the site vertex set.
+ *
+ * @param {jsts.geom.Geometry}
+ *          geom the geometry from which the sites will be extracted.
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.setSites = function(
+    geom) {
+  this.siteCoords = jsts.triangulate.DelaunayTriangulationBuilder
+      .extractUniqueCoordinates(geom);
+};
+
+
+/**
+ * Sets the linear constraints to be conformed to. All linear components in
+ * the input will be used as constraints. The constraint vertices do not have
+ * to be disjoint from the site vertices. The constraints must not contain
+ * duplicate segments (up to orientation).
+ *
+ * @param {jsts.geom.Geometry}
+ *          constraintLines the lines to constrain.
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.setConstraints = function(
+    constraintLines) {
+  this.constraintLines = constraintLines;
+};
+
+
+/**
+ * Sets the snapping tolerance which will be used to improved the robustness
+ * of the triangulation computation. A tolerance of 0.0 specifies that no
+ * snapping will take place.
+ *
+ * @param {number}
+ *          tolerance the tolerance distance to use.
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.setTolerance = function(
+    tolerance) {
+  this.tolerance = tolerance;
+};
+
+
+/**
+ * Creates the conforming Delaunay triangulation.
+ *
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.create = function() {
+  if (this.subdiv !== null)
+    return;
+
+  var segments = [];
+  if (this.constraintLines !== null) {
+    this.createVertices(this.constraintLines);
+    segments = this.createConstraintSegments(this.constraintLines);
+  }
+  var sites = this.createSiteVertices(this.siteCoords);
+
+  var cdt = new jsts.triangulate.ConformingDelaunayTriangulator(sites,
+      this.tolerance);
+  cdt.setConstraints(segments, this.constraintVertexMap.values().toArray());
+  cdt.formInitialDelaunay();
+  cdt.enforceConstraints();
+  this.subdiv = cdt.getSubdivision();
+};
+
+
+/**
+ * @param {Array.<jsts.geom.Coordinate>}
+ *          coords the site coordinates.
+ * @return {Array.<jsts.triangulate.ConstraintVertex>} vertices for the sites
+ *         which are not constraint vertices.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.createSiteVertices = function(
+    coords) {
+  var verts = [];
+  for (var i = 0; i < coords.length; i++) {
+    if (this.constraintVertexMap.get(coords[i]))
+      continue;
+    verts.push(new jsts.triangulate.ConstraintVertex(coords[i]));
+  }
+  return verts;
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          geom the constraint geometry.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.createVertices = function(
+    geom) {
+  var coords = geom.getCoordinates();
+  for (var i = 0; i < coords.length; i++) {
+    var v = new jsts.triangulate.ConstraintVertex(coords[i]);
+    this.constraintVertexMap.put(coords[i], v);
+  }
+};
+
+
+/**
+ * @param {jsts.geom.Geometry}
+ *          geom the constraint geometry.
+ * @return {Array.<jsts.triangulate.Segment>} the segments of the linear
+ *         components of the geometry.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.createConstraintSegments = function(
+    geom) {
+  var lines = jsts.geom.util.LinearComponentExtracter.getLines(geom);
+  var constraintSegs = [];
+  for (var i = 0; i < lines.length; i++) {
+    var coords = lines[i].getCoordinates();
+    for (var j = 1; j < coords.length; j++) {
+      // skip repeated points, which would form zero-length constraints
+      if (coords[j - 1].equals2D(coords[j]))
+        continue;
+      constraintSegs.push(new jsts.triangulate.Segment(coords[j - 1],
+          coords[j]));
+    }
+  }
+  return constraintSegs;
+};
+
+
+/**
+ * Gets the QuadEdgeSubdivision which models the computed triangulation.
+ *
+ * @return {jsts.triangulate.quadedge.QuadEdgeSubdivision} the subdivision
+ *         containing the triangulation.
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.getSubdivision = function() {
+  this.create();
+  return this.subdiv;
+};
+
+
+/**
+ * Gets the edges of the computed triangulation as a {@link MultiLineString}.
+ *
+ * @param {jsts.geom.GeometryFactory}
+ *          geomFact the geometry factory to use to create the output.
+ * @return {jsts.geom.Geometry} the edges of the triangulation.
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.getEdges = function(
+    geomFact) {
+  this.create();
+  return this.subdiv.getEdges(geomFact);
+};
+
+
+/**
+ * Gets the faces of the computed triangulation as a
+ * {@link GeometryCollection} of {@link Polygon}.
+ *
+ * @param {jsts.geom.GeometryFactory}
+ *          geomFact the geometry factory to use to create the output.
+ * @return {jsts.geom.Geometry} the faces of the triangulation.
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.getTriangles = function(
+    geomFact) {
+  this.create();
+  return this.subdiv.getTriangles(geomFact);
+};
+
+
+/**
+ * Gets the faces of the computed triangulation which lie inside the
+ * polygonal components of the constraints, as a {@link GeometryCollection}
+ * of {@link Polygon}. Since every constraint edge is present in the
+ * triangulation, each triangle lies either entirely inside or entirely
+ * outside the polygons, so the union of the result is the polygonal area of
+ * the constraints (holes excluded). If the constraints contain no polygons
+ * the result is empty.
+ *
+ * @param {jsts.geom.GeometryFactory}
+ *          geomFact the geometry factory to use to create the output.
+ * @return {jsts.geom.Geometry} the faces of the triangulation inside the
+ *         constraint polygons.
+ */
+jsts.triangulate.ConformingDelaunayTriangulationBuilder.prototype.getInteriorTriangles = function(
+    geomFact) {
+  this.create();
+
+  var locators = [];
+  if (this.constraintLines !== null) {
+    var polys = jsts.geom.util.PolygonExtracter
+        .getPolygons(this.constraintLines);
+    for (var i = 0; i < polys.length; i++) {
+      if (!polys[i].isEmpty())
+        locators.push(new jsts.algorithm.locate.IndexedPointInAreaLocator(
+            polys[i]));
+    }
+  }
+
+  var triPtsList = this.subdiv.getTriangleCoordinates(false);
+  var tris = [];
+  for (var i = 0; i < triPtsList.length; i++) {
+    var triPt = triPtsList[i];
+    var centroid = new jsts.geom.Coordinate(
+        (triPt[0].x + triPt[1].x + triPt[2].x) / 3,
+        (triPt[0].y + triPt[1].y + triPt[2].y) / 3);
+    for (var j = 0; j < locators.length; j++) {
+      if (locators[j].locate(centroid) === jsts.geom.Location.INTERIOR) {
+        tris.push(geomFact.createPolygon(geomFact.createLinearRing(triPt),
+            null));
+        break;
+      }
+    }
+  }
+  return geomFact.createGeometryCollection(tris);
+};
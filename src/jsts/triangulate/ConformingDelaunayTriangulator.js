@@ -0,0 +1,523 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/algorithm/ConvexHull.js
+ * @requires jsts/index/kdtree/KdTree.js
+ * @requires jsts/triangulate/ConstraintVertex.js
+ * @requires jsts/triangulate/IncrementalDelaunayTriangulator.js
+ * @requires jsts/triangulate/NonEncroachingSplitPointFinder.js
+ * @requires jsts/triangulate/Segment.js
+ * @requires jsts/triangulate/quadedge/QuadEdgeSubdivision.js
+ */
+
+
+
+/**
+ * Computes a Conforming Delaunay Triangulation over a set of sites and a set
+ * of linear constraints.
+ * <p>
+ * A conforming Delaunay triangulation is a true Delaunay triangulation. In
+ * it each constraint segment is present as a union of one or more
+ * triangulation edges. Constraint segments may be subdivided into two or more
+ * triangulation edges by the insertion of additional sites. The additional
+ * sites are called Steiner points, and are necessary to allow the segments to
+ * be faithfully reflected in the triangulation while maintaining the Delaunay
+ * property. Another way of stating this is that in a conforming Delaunay
+ * triangulation every constraint segment will be the union of a subset of the
+ * triangulation edges (up to tolerance).
+ * <p>
+ * A Conforming Delaunay triangulation is distinct from a Constrained Delaunay
+ * triangulation. A Constrained Delaunay triangulation is not necessarily
+ * fully Delaunay, and it contains the constraint segments exactly as edges of
+ * the triangulation.
+ * <p>
+ * A typical usage pattern for the triangulator is:
+ *
+ * <pre>
+ * var cdt = new ConformingDelaunayTriangulator(sites, tolerance);
+ * // optional
+ * cdt.setSplitPointFinder(splitPointFinder);
+ * cdt.setConstraints(segments, vertices);
+ * cdt.formInitialDelaunay();
+ * cdt.enforceConstraints();
+ * var subdiv = cdt.getSubdivision();
+ * </pre>
+ *
+ * @param {Array.<jsts.triangulate.ConstraintVertex>}
+ *          initialVertices the sites to triangulate.
+ * @param {number}
+ *          tolerance the distance tolerance below which points are
+ *          considered identical.
+ * @constructor
+ */
+jsts.triangulate.ConformingDelaunayTriangulator = function(initialVertices,
+    tolerance) {
+  this.initialVertices = initialVertices.slice();
+  this.tolerance = tolerance;
+  this.segVertices = [];
+  this.segments = [];
+  this.splitFinder = new jsts.triangulate.NonEncroachingSplitPointFinder();
+  this.kdt = new jsts.index.kdtree.KdTree(tolerance);
+};
+
+
+/**
+ * The maximum number of passes over the constraint segments before
+ * enforcement is abandoned.
+ *
+ * @type {number}
+ * @const
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.MAX_SPLIT_ITER = 99;
+
+
+/**
+ * @param {Array.<jsts.triangulate.quadedge.Vertex>}
+ *          vertices the vertices.
+ * @return {jsts.geom.Envelope} the envelope of the vertices.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.computeVertexEnvelope = function(
+    vertices) {
+  var env = new jsts.geom.Envelope();
+  for (var i = 0; i < vertices.length; i++) {
+    env.expandToInclude(vertices[i].getCoordinate());
+  }
+  return env;
+};
+
+
+/**
+ * @type {Array.<jsts.triangulate.ConstraintVertex>}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.initialVertices = null;
+
+
+/**
+ * @type {Array.<jsts.triangulate.ConstraintVertex>}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.segVertices = null;
+
+
+/**
+ * @type {Array.<jsts.triangulate.Segment>}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.segments = null;
+
+
+/**
+ * @type {jsts.triangulate.quadedge.QuadEdgeSubdivision}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.subdiv = null;
+
+
+/**
+ * @type {jsts.triangulate.IncrementalDelaunayTriangulator}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.incDel = null;
+
+
+/**
+ * @type {jsts.geom.Geometry}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.convexHull = null;
+
+
+/**
+ * @type {jsts.triangulate.ConstraintSplitPointFinder}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.splitFinder = null;
+
+
+/**
+ * @type {jsts.index.kdtree.KdTree}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.kdt = null;
+
+
+/**
+ * @type {jsts.geom.Envelope}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.computeAreaEnv = null;
+
+
+/**
+ * The last split point computed, for reporting enforcement failures.
+ *
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.splitPt = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.tolerance = 0.0;
+
+
+/**
+ * Sets the constraints to be conformed to by the computed triangulation. The
+ * constraints must not contain duplicate segments (up to orientation). The
+ * unique set of vertices (as {@link ConstraintVertex}es) forming the
+ * constraints must also be supplied. Supplying it explicitly allows the
+ * ConstraintVertexes to be initialized appropriately (e.g. with external
+ * data), and avoids re-computing the unique set if it is already available.
+ *
+ * @param {Array.<jsts.triangulate.Segment>}
+ *          segments the constraint segments.
+ * @param {Array.<jsts.triangulate.ConstraintVertex>}
+ *          segVertices the set of unique constraint vertices referenced by
+ *          the segments.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.setConstraints = function(
+    segments, segVertices) {
+  this.segments = segments;
+  this.segVertices = segVertices;
+};
+
+
+/**
+ * Sets the {@link ConstraintSplitPointFinder} to be used during constraint
+ * enforcement. Different splitting strategies may be appropriate for
+ * special situations.
+ *
+ * @param {jsts.triangulate.ConstraintSplitPointFinder}
+ *          splitFinder the ConstraintSplitPointFinder to be used.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.setSplitPointFinder = function(
+    splitFinder) {
+  this.splitFinder = splitFinder;
+};
+
+
+/**
+ * Gets the tolerance value used to construct the triangulation.
+ *
+ * @return {number} a tolerance value.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.getTolerance = function() {
+  return this.tolerance;
+};
+
+
+/**
+ * Gets the {@link QuadEdgeSubdivision} which represents the triangulation.
+ *
+ * @return {jsts.triangulate.quadedge.QuadEdgeSubdivision} a subdivision.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.getSubdivision = function() {
+  return this.subdiv;
+};
+
+
+/**
+ * Gets the {@link KdTree} which contains the vertices of the triangulation.
+ *
+ * @return {jsts.index.kdtree.KdTree} a KdTree.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.getKDT = function() {
+  return this.kdt;
+};
+
+
+/**
+ * Gets the sites (vertices) used to initialize the triangulation.
+ *
+ * @return {Array.<jsts.triangulate.ConstraintVertex>} the initial vertices.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.getInitialVertices = function() {
+  return this.initialVertices;
+};
+
+
+/**
+ * Gets the {@link Segment}s which represent the constraints. After
+ * enforcement these are the (possibly split) segments present in the
+ * triangulation.
+ *
+ * @return {Array.<jsts.triangulate.Segment>} the constraint segments.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.getConstraintSegments = function() {
+  return this.segments;
+};
+
+
+/**
+ * Gets the convex hull of all the sites in the triangulation, including
+ * constraint vertices. Only valid after the constraints have been enforced.
+ *
+ * @return {jsts.geom.Geometry} the convex hull of the sites.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.getConvexHull = function() {
+  return this.convexHull;
+};
+
+
+/**
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.computeBoundingBox = function() {
+  var vertexEnv = jsts.triangulate.ConformingDelaunayTriangulator
+      .computeVertexEnvelope(this.initialVertices);
+  var segEnv = jsts.triangulate.ConformingDelaunayTriangulator
+      .computeVertexEnvelope(this.segVertices);
+
+  var allPointsEnv = new jsts.geom.Envelope(vertexEnv);
+  allPointsEnv.expandToInclude(segEnv);
+
+  var deltaX = allPointsEnv.getWidth() * 0.2;
+  var deltaY = allPointsEnv.getHeight() * 0.2;
+  var delta = Math.max(deltaX, deltaY);
+
+  this.computeAreaEnv = new jsts.geom.Envelope(allPointsEnv);
+  this.computeAreaEnv.expandBy(delta);
+};
+
+
+/**
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.computeConvexHull = function() {
+  var fact = new jsts.geom.GeometryFactory();
+  var hull = new jsts.algorithm.ConvexHull(this.getPointArray(), fact);
+  this.convexHull = hull.getConvexHull();
+};
+
+
+/**
+ * @return {Array.<jsts.geom.Coordinate>} the locations of all the sites.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.getPointArray = function() {
+  var pts = [];
+  for (var i = 0; i < this.initialVertices.length; i++) {
+    pts.push(this.initialVertices[i].getCoordinate());
+  }
+  for (var i = 0; i < this.segVertices.length; i++) {
+    pts.push(this.segVertices[i].getCoordinate());
+  }
+  return pts;
+};
+
+
+/**
+ * Creates a vertex for a split point on a constraint segment.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          p the split point.
+ * @param {jsts.triangulate.Segment}
+ *          seg the constraint segment being split.
+ * @return {jsts.triangulate.ConstraintVertex} the new vertex.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.createVertex = function(
+    p, seg) {
+  var v = new jsts.triangulate.ConstraintVertex(p);
+  v.setConstraint(seg.getData());
+  return v;
+};
+
+
+/**
+ * Inserts all sites in a collection
+ *
+ * @param {Array.<jsts.triangulate.ConstraintVertex>}
+ *          vertices the vertices to insert.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.insertSites = function(
+    vertices) {
+  for (var i = 0; i < vertices.length; i++) {
+    this.insertSite(vertices[i]);
+  }
+};
+
+
+/**
+ * Inserts a site into the triangulation, unless it snaps to an existing
+ * site.
+ *
+ * @param {jsts.triangulate.ConstraintVertex}
+ *          v the vertex to insert.
+ * @return {jsts.triangulate.ConstraintVertex} the inserted vertex, or the
+ *         existing vertex it was snapped to.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.insertSite = function(
+    v) {
+  var kdnode = this.kdt.insert(v.getCoordinate(), v);
+  if (kdnode.isRepeated()) {
+    var snappedV = kdnode.getData();
+    snappedV.merge(v);
+    return snappedV;
+  }
+  this.incDel.insertSite(v);
+  return v;
+};
+
+
+/**
+ * Computes the Delaunay triangulation of the initial sites.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.formInitialDelaunay = function() {
+  this.computeBoundingBox();
+  this.subdiv = new jsts.triangulate.quadedge.QuadEdgeSubdivision(
+      this.computeAreaEnv, this.tolerance);
+  this.incDel = new jsts.triangulate.IncrementalDelaunayTriangulator(
+      this.subdiv);
+  this.insertSites(this.initialVertices);
+};
+
+
+/**
+ * Enforces the supplied constraints into the triangulation.
+ *
+ * @throws {jsts.error.ConstraintEnforcementError} if the constraints cannot
+ *           be enforced.
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.enforceConstraints = function() {
+  this.addConstraintVertices();
+
+  var count = 0;
+  var splits = 0;
+  do {
+    splits = this.enforceGabriel(this.segments);
+    count++;
+  } while (splits > 0 &&
+      count < jsts.triangulate.ConformingDelaunayTriangulator.MAX_SPLIT_ITER);
+
+  if (splits > 0)
+    throw new jsts.error.ConstraintEnforcementError(
+        'Too many splitting iterations while enforcing constraints. ' +
+        'Last split point was at', this.splitPt);
+};
+
+
+/**
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.addConstraintVertices = function() {
+  this.computeConvexHull();
+  // insert constraint vertices as sites
+  this.insertSites(this.segVertices);
+};
+
+
+/**
+ * Splits every constraint segment which is not a Gabriel segment, i.e. which
+ * has a site inside its diametral circle. A Gabriel segment is guaranteed to
+ * be an edge of the Delaunay triangulation.
+ *
+ * @param {Array.<jsts.triangulate.Segment>}
+ *          segsToInsert the constraint segments, which are replaced by their
+ *          split halves in place.
+ * @return {number} the number of segments split.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.enforceGabriel = function(
+    segsToInsert) {
+  var newSegments = [];
+  var splits = 0;
+
+  /**
+   * On each iteration must always scan all constraint (sub)segments, since
+   * some constraints may be rebroken by Delaunay triangle flipping caused by
+   * insertion of another constraint. However, this process must converge
+   * eventually, with no splits remaining to find.
+   */
+  for (var i = 0; i < segsToInsert.length; i++) {
+    var seg = segsToInsert[i];
+
+    var encroachPt = this.findNonGabrielPoint(seg);
+    // no encroachment found - segment must already be in subdivision
+    if (encroachPt === null) {
+      newSegments.push(seg);
+      continue;
+    }
+
+    // compute split point
+    this.splitPt = this.splitFinder.findSplitPoint(seg, encroachPt);
+    var splitVertex = this.createVertex(this.splitPt, seg);
+
+    // if the split point snaps to an existing site the triangulation will
+    // not respect the constraint exactly, but that site is used from here on
+    var insertedVertex = this.insertSite(splitVertex);
+    var splitCoord = insertedVertex.getCoordinate();
+
+    // split segment and record the new halves
+    newSegments.push(new jsts.triangulate.Segment(seg.getStart(), splitCoord,
+        seg.getData()));
+    newSegments.push(new jsts.triangulate.Segment(splitCoord, seg.getEnd(),
+        seg.getData()));
+    splits++;
+  }
+
+  segsToInsert.length = 0;
+  Array.prototype.push.apply(segsToInsert, newSegments);
+  return splits;
+};
+
+
+/**
+ * Given a set of points stored in the kd-tree and a line segment defined by
+ * two points in this set, finds a {@link Coordinate} in the circumcircle of
+ * the line segment, if one exists. This is called the Gabriel point - if none
+ * exists then the segment is said to have the Gabriel condition. Uses the
+ * heuristic of finding the non-Gabriel point closest to the midpoint of the
+ * segment.
+ *
+ * @param {jsts.triangulate.Segment}
+ *          seg the line segment.
+ * @return {jsts.geom.Coordinate} a point which is non-Gabriel, or null if no
+ *         point is non-Gabriel.
+ * @private
+ */
+jsts.triangulate.ConformingDelaunayTriangulator.prototype.findNonGabrielPoint = function(
+    seg) {
+  var p = seg.getStart();
+  var q = seg.getEnd();
+  // find the mid point on the line and compute the radius of enclosing circle
+  var midPt = new jsts.geom.Coordinate((p.x + q.x) / 2.0, (p.y + q.y) / 2.0);
+  var segRadius = p.distance(midPt);
+
+  // compute envelope of circumcircle
+  var env = new jsts.geom.Envelope(midPt);
+  env.expandBy(segRadius);
+  // find all points in envelope
+  var result = this.kdt.query(env);
+
+  // for each point found, test if it falls strictly in the circle and find
+  // the closest one
+  var closestNonGabriel = null;
+  var minDist = Number.MAX_VALUE;
+  for (var i = 0; i < result.length; i++) {
+    var testPt = result[i].getCoordinate();
+    // ignore segment endpoints
+    if (testPt.equals2D(p) || testPt.equals2D(q))
+      continue;
+
+    var testRadius = midPt.distance(testPt);
+    if (testRadius < segRadius) {
+      if (closestNonGabriel === null || testRadius < minDist) {
+        closestNonGabriel = testPt;
+        minDist = testRadius;
+      }
+    }
+  }
+  return closestNonGabriel;
+};
@@ -0,0 +1,39 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * An interface for strategies for determining the location of split points on
+ * constraint segments. The location of split points has a large effect on the
+ * performance and robustness of enforcing a constrained Delaunay
+ * triangulation. Poorly chosen split points can cause repeated splitting,
+ * especially at narrow constraint angles, since the split point will end up
+ * encroaching on the segment containing the original encroaching point. With
+ * detailed knowledge of the geometry of the constraints, it is sometimes
+ * possible to choose better locations for splitting.
+ *
+ * @interface
+ */
+jsts.triangulate.ConstraintSplitPointFinder = function() {
+
+};
+
+
+/**
+ * Finds a point at which to split an encroached segment to allow the original
+ * segment to appear as edges in a constrained Delaunay triangulation.
+ *
+ * @param {jsts.triangulate.Segment}
+ *          seg the encroached segment.
+ * @param {jsts.geom.Coordinate}
+ *          encroachPt the encroaching point.
+ * @return {jsts.geom.Coordinate} the point at which to split the encroached
+ *         segment.
+ * @public
+ */
+jsts.triangulate.ConstraintSplitPointFinder.prototype.findSplitPoint = function(
+    seg, encroachPt) {
+  throw new jsts.error.AbstractMethodInvocationError();
+};
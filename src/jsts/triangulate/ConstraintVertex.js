@@ -0,0 +1,103 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/triangulate/quadedge/Vertex.js
+ */
+
+
+
+/**
+ * A vertex in a Constrained Delaunay Triangulation. The vertex may or may not
+ * lie on a constraint. If it does it may carry extra information about the
+ * original constraint.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          p the location of the vertex.
+ * @constructor
+ * @extends {jsts.triangulate.quadedge.Vertex}
+ */
+jsts.triangulate.ConstraintVertex = function(p) {
+  jsts.triangulate.quadedge.Vertex.call(this, p);
+};
+jsts.inherit(jsts.triangulate.ConstraintVertex,
+    jsts.triangulate.quadedge.Vertex);
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+jsts.triangulate.ConstraintVertex.prototype.onConstraint = false;
+
+
+/**
+ * @type {Object}
+ * @private
+ */
+jsts.triangulate.ConstraintVertex.prototype.constraint = null;
+
+
+/**
+ * Sets whether this vertex lies on a constraint.
+ *
+ * @param {boolean}
+ *          isOnConstraint true if this vertex lies on a constraint.
+ */
+jsts.triangulate.ConstraintVertex.prototype.setOnConstraint = function(
+    isOnConstraint) {
+  this.onConstraint = isOnConstraint;
+};
+
+
+/**
+ * Tests whether this vertex lies on a constraint.
+ *
+ * @return {boolean} true if the vertex lies on a constraint.
+ */
+jsts.triangulate.ConstraintVertex.prototype.isOnConstraint = function() {
+  return this.onConstraint;
+};
+
+
+/**
+ * Sets the external constraint information
+ *
+ * @param {Object}
+ *          constraint an object which carries information about the
+ *          constraint this vertex lies on.
+ */
+jsts.triangulate.ConstraintVertex.prototype.setConstraint = function(
+    constraint) {
+  this.onConstraint = true;
+  this.constraint = constraint;
+};
+
+
+/**
+ * Gets the external constraint object
+ *
+ * @return {Object} the external constraint object.
+ */
+jsts.triangulate.ConstraintVertex.prototype.getConstraint = function() {
+  return this.constraint;
+};
+
+
+/**
+ * Merges the constraint data in the vertex <tt>other</tt> into this vertex.
+ * This method is called when an inserted vertex is very close to an existing
+ * vertex in the triangulation.
+ *
+ * @param {jsts.triangulate.ConstraintVertex}
+ *          other the constraint vertex to merge.
+ */
+jsts.triangulate.ConstraintVertex.prototype.merge = function(other) {
+  if (other.onConstraint) {
+    this.onConstraint = true;
+    this.constraint = other.constraint;
+  }
+};
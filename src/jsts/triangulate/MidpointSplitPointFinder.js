@@ -0,0 +1,50 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/triangulate/ConstraintSplitPointFinder.js
+ */
+
+
+
+/**
+ * A simple split point finder which returns the midpoint of the split
+ * segment. This is a default strategy only. Usually a more sophisticated
+ * strategy is required to prevent repeated splitting. Other points which
+ * could be used are:
+ * <ul>
+ * <li>The projection of the encroaching point on the segment
+ * <li>A point on the segment which will produce two segments which will not
+ * be further encroached
+ * <li>The point on the segment which is the same distance from an endpoint
+ * as the encroaching point
+ * </ul>
+ *
+ * @constructor
+ * @extends {jsts.triangulate.ConstraintSplitPointFinder}
+ */
+jsts.triangulate.MidpointSplitPointFinder = function() {
+
+};
+jsts.inherit(jsts.triangulate.MidpointSplitPointFinder,
+    jsts.triangulate.ConstraintSplitPointFinder);
+
+
+/**
+ * Gets the midpoint of the split segment.
+ *
+ * @param {jsts.triangulate.Segment}
+ *          seg the encroached segment.
+ * @param {jsts.geom.Coordinate}
+ *          encroachPt the encroaching point.
+ * @return {jsts.geom.Coordinate} the midpoint of the segment.
+ */
+jsts.triangulate.MidpointSplitPointFinder.prototype.findSplitPoint = function(
+    seg, encroachPt) {
+  var p0 = seg.getStart();
+  var p1 = seg.getEnd();
+  return new jsts.geom.Coordinate((p0.x + p1.x) / 2, (p0.y + p1.y) / 2);
+};
@@ -0,0 +1,80 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/triangulate/ConstraintSplitPointFinder.js
+ * @requires jsts/triangulate/SplitSegment.js
+ */
+
+
+
+/**
+ * A strategy for finding constraint split points which attempts to maximise
+ * the length of the split segments while preventing further encroachment.
+ * (This is not always possible for narrow angles).
+ *
+ * @constructor
+ * @extends {jsts.triangulate.ConstraintSplitPointFinder}
+ */
+jsts.triangulate.NonEncroachingSplitPointFinder = function() {
+
+};
+jsts.inherit(jsts.triangulate.NonEncroachingSplitPointFinder,
+    jsts.triangulate.ConstraintSplitPointFinder);
+
+
+/**
+ * Computes a split point which is the projection of the encroaching point on
+ * the segment
+ *
+ * @param {jsts.triangulate.Segment}
+ *          seg the encroached segment.
+ * @param {jsts.geom.Coordinate}
+ *          encroachPt the encroaching point.
+ * @return {jsts.geom.Coordinate} a split point on the segment.
+ */
+jsts.triangulate.NonEncroachingSplitPointFinder.projectedSplitPoint = function(
+    seg, encroachPt) {
+  return seg.getLineSegment().project(encroachPt);
+};
+
+
+/**
+ * A basic strategy for finding split points when nothing extra is known about
+ * the geometry of the situation.
+ *
+ * @param {jsts.triangulate.Segment}
+ *          seg the encroached segment.
+ * @param {jsts.geom.Coordinate}
+ *          encroachPt the encroaching point.
+ * @return {jsts.geom.Coordinate} the point at which to split the encroached
+ *         segment.
+ */
+jsts.triangulate.NonEncroachingSplitPointFinder.prototype.findSplitPoint = function(
+    seg, encroachPt) {
+  var lineSeg = seg.getLineSegment();
+  var segLen = lineSeg.getLength();
+  var midPtLen = segLen / 2;
+  var splitSeg = new jsts.triangulate.SplitSegment(lineSeg);
+
+  var projPt = jsts.triangulate.NonEncroachingSplitPointFinder
+      .projectedSplitPoint(seg, encroachPt);
+  /**
+   * Compute the largest diameter (length) that will produce a split segment
+   * which is not still encroached upon by the encroaching point (The length is
+   * reduced slightly by a safety factor)
+   */
+  var nonEncroachDiam = projPt.distance(encroachPt) * 2 * 0.8;
+  var maxSplitLen = nonEncroachDiam;
+  if (maxSplitLen > midPtLen) {
+    maxSplitLen = midPtLen;
+  }
+  splitSeg.setMinimumLength(maxSplitLen);
+
+  splitSeg.splitAt(projPt);
+
+  return splitSeg.getSplitPoint();
+};
@@ -0,0 +1,134 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/LineSegment.js
+ * @requires jsts/io/WKTWriter.js
+ */
+
+
+
+/**
+ * Models a constraint segment in a triangulation. A constraint segment is an
+ * oriented straight line segment between a start point and an end point.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          p0 the start point.
+ * @param {jsts.geom.Coordinate}
+ *          p1 the end point.
+ * @param {Object}
+ *          [data] an external data object to attach to the segment.
+ * @constructor
+ */
+jsts.triangulate.Segment = function(p0, p1, data) {
+  this.ls = new jsts.geom.LineSegment(p0, p1);
+  this.data = data === undefined ? null : data;
+};
+
+
+/**
+ * @type {jsts.geom.LineSegment}
+ * @private
+ */
+jsts.triangulate.Segment.prototype.ls = null;
+
+
+/**
+ * @type {Object}
+ * @private
+ */
+jsts.triangulate.Segment.prototype.data = null;
+
+
+/**
+ * Gets the start coordinate of the segment
+ *
+ * @return {jsts.geom.Coordinate} the start coordinate.
+ */
+jsts.triangulate.Segment.prototype.getStart = function() {
+  return this.ls.p0;
+};
+
+
+/**
+ * Gets the end coordinate of the segment
+ *
+ * @return {jsts.geom.Coordinate} the end coordinate.
+ */
+jsts.triangulate.Segment.prototype.getEnd = function() {
+  return this.ls.p1;
+};
+
+
+/**
+ * Gets a <tt>LineSegment</tt> modelling this segment.
+ *
+ * @return {jsts.geom.LineSegment} a LineSegment.
+ */
+jsts.triangulate.Segment.prototype.getLineSegment = function() {
+  return this.ls;
+};
+
+
+/**
+ * Gets the external data associated with this segment
+ *
+ * @return {Object} a data object.
+ */
+jsts.triangulate.Segment.prototype.getData = function() {
+  return this.data;
+};
+
+
+/**
+ * Sets an external data object associated with this segment
+ *
+ * @param {Object}
+ *          data a data object.
+ */
+jsts.triangulate.Segment.prototype.setData = function(data) {
+  this.data = data;
+};
+
+
+/**
+ * Determines whether two segments are topologically equal. I.e. equal up to
+ * orientation.
+ *
+ * @param {jsts.triangulate.Segment}
+ *          s a segment.
+ * @return {boolean} true if the segments are topologically equal.
+ */
+jsts.triangulate.Segment.prototype.equalsTopo = function(s) {
+  var p0 = this.ls.p0;
+  var p1 = this.ls.p1;
+  var other = s.getLineSegment();
+  return p0.equals2D(other.p0) && p1.equals2D(other.p1) ||
+      p0.equals2D(other.p1) && p1.equals2D(other.p0);
+};
+
+
+/**
+ * Computes the intersection point between this segment and another one.
+ *
+ * @param {jsts.triangulate.Segment}
+ *          s a segment.
+ * @return {jsts.geom.Coordinate} the intersection point, or
+ *         <code>null</code> if there is none.
+ */
+jsts.triangulate.Segment.prototype.intersection = function(s) {
+  return this.ls.intersection(s.getLineSegment());
+};
+
+
+/**
+ * Computes a string representation of this segment.
+ *
+ * @return {string} a string.
+ */
+jsts.triangulate.Segment.prototype.toString = function() {
+  return jsts.io.WKTWriter.toLineString(this.ls.p0, this.ls.p1);
+};
@@ -0,0 +1,149 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+/**
+ * @requires jsts/geom/LineSegment.js
+ */
+
+
+
+/**
+ * Models a constraint segment which can be split in two in various ways,
+ * according to certain geometric constraints.
+ *
+ * @param {jsts.geom.LineSegment}
+ *          seg the segment to split.
+ * @constructor
+ */
+jsts.triangulate.SplitSegment = function(seg) {
+  this.seg = seg;
+  this.segLen = seg.getLength();
+};
+
+
+/**
+ * Computes the {@link Coordinate} that lies a given fraction along the line
+ * segment defined by <code>seg</code>, measured from its end point.
+ *
+ * @param {jsts.geom.LineSegment}
+ *          seg the segment.
+ * @param {number}
+ *          segmentLengthFraction the fraction of the segment length along the
+ *          line.
+ * @return {jsts.geom.Coordinate} the point at that distance.
+ * @private
+ */
+jsts.triangulate.SplitSegment.pointAlongReverse = function(seg,
+    segmentLengthFraction) {
+  var x = seg.p1.x - segmentLengthFraction * (seg.p1.x - seg.p0.x);
+  var y = seg.p1.y - segmentLengthFraction * (seg.p1.y - seg.p0.y);
+  return new jsts.geom.Coordinate(x, y);
+};
+
+
+/**
+ * @type {jsts.geom.LineSegment}
+ * @private
+ */
+jsts.triangulate.SplitSegment.prototype.seg = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.triangulate.SplitSegment.prototype.segLen = 0.0;
+
+
+/**
+ * @type {jsts.geom.Coordinate}
+ * @private
+ */
+jsts.triangulate.SplitSegment.prototype.splitPt = null;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+jsts.triangulate.SplitSegment.prototype.minimumLen = 0.0;
+
+
+/**
+ * Sets the minimum length of the split parts, measured from either end.
+ *
+ * @param {number}
+ *          minLen the minimum length.
+ */
+jsts.triangulate.SplitSegment.prototype.setMinimumLength = function(minLen) {
+  this.minimumLen = minLen;
+};
+
+
+/**
+ * @return {jsts.geom.Coordinate} the computed split point.
+ */
+jsts.triangulate.SplitSegment.prototype.getSplitPoint = function() {
+  return this.splitPt;
+};
+
+
+/**
+ * Splits the segment at a given length from one of its endpoints, respecting
+ * the minimum length.
+ *
+ * @param {number}
+ *          length the distance of the split point from the endpoint.
+ * @param {jsts.geom.Coordinate}
+ *          endPt the endpoint to measure from.
+ */
+jsts.triangulate.SplitSegment.prototype.splitAtLength = function(length,
+    endPt) {
+  var actualLen = this.getConstrainedLength(length);
+  var frac = actualLen / this.segLen;
+  if (endPt.equals2D(this.seg.p0))
+    this.splitPt = this.seg.pointAlong(frac);
+  else
+    this.splitPt = jsts.triangulate.SplitSegment.pointAlongReverse(this.seg,
+        frac);
+};
+
+
+/**
+ * Splits the segment at a point on it, moved away from the endpoints if it
+ * is closer to them than the minimum length.
+ *
+ * @param {jsts.geom.Coordinate}
+ *          pt the proposed split point.
+ */
+jsts.triangulate.SplitSegment.prototype.splitAt = function(pt) {
+  // check that given pt doesn't violate min length
+  var minFrac = this.minimumLen / this.segLen;
+  if (pt.distance(this.seg.p0) < this.minimumLen) {
+    this.splitPt = this.seg.pointAlong(minFrac);
+    return;
+  }
+  if (pt.distance(this.seg.p1) < this.minimumLen) {
+    this.splitPt = jsts.triangulate.SplitSegment.pointAlongReverse(this.seg,
+        minFrac);
+    return;
+  }
+  // passes minimum distance check - use provided point as split pt
+  this.splitPt = pt;
+};
+
+
+/**
+ * @param {number}
+ *          len a length.
+ * @return {number} the length, raised to the minimum length if required.
+ * @private
+ */
+jsts.triangulate.SplitSegment.prototype.getConstrainedLength = function(len) {
+  if (len < this.minimumLen)
+    return this.minimumLen;
+  return len;
+};
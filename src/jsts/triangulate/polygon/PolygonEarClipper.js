@@ -0,0 +1,262 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/CGAlgorithms.js
+   */
+
+  var CGAlgorithms = jsts.algorithm.CGAlgorithms;
+
+
+
+  /**
+   * Triangulates a ring by repeatedly clipping "ears". An ear is a convex
+   * corner of the ring whose triangle contains no other ring vertex; cutting
+   * it off leaves a ring with one vertex fewer.
+   * <p>
+   * The ring is given as an array of indices into a list of vertices, and
+   * must be oriented counter-clockwise. It may contain repeated vertices,
+   * such as those at the ends of the bridges created by
+   * {@link PolygonHoleJoiner} or where a hole touches the shell. A vertex
+   * which is collinear with its neighbours is removed without producing a
+   * triangle, so no zero-area triangles are output.
+   * <p>
+   * If no ear can be found (which can happen due to numerical precision or an
+   * invalid input ring), a {@link jsts.error.TopologyError} is thrown rather
+   * than returning triangles which do not cover the ring.
+   *
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the vertices.
+   * @param {Array.<number>}
+   *          ring the indices of the ring vertices, in counter-clockwise order
+   *          and without a closing vertex.
+   * @constructor
+   */
+  jsts.triangulate.polygon.PolygonEarClipper = function(pts, ring) {
+    this.pts = pts;
+    this.ring = ring;
+  };
+
+
+  /**
+   * Triangulates a ring.
+   *
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the vertices.
+   * @param {Array.<number>}
+   *          ring the indices of the ring vertices.
+   * @return {Array.<number>} the vertex indices of the triangles, three per
+   *         triangle, each triangle in counter-clockwise order.
+   */
+  jsts.triangulate.polygon.PolygonEarClipper.clip = function(pts, ring) {
+    var clipper = new jsts.triangulate.polygon.PolygonEarClipper(pts, ring);
+    return clipper.compute();
+  };
+
+
+  /**
+   * @type {Array.<jsts.geom.Coordinate>}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonEarClipper.prototype.pts = null;
+
+
+  /**
+   * @type {Array.<number>}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonEarClipper.prototype.ring = null;
+
+
+  /**
+   * Positions of the next remaining ring vertex, indexed by ring position.
+   *
+   * @type {Array.<number>}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonEarClipper.prototype.next = null;
+
+
+  /**
+   * Positions of the previous remaining ring vertex, indexed by ring
+   * position.
+   *
+   * @type {Array.<number>}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonEarClipper.prototype.prev = null;
+
+
+  /**
+   * Computes the triangulation.
+   *
+   * @return {Array.<number>} the vertex indices of the triangles.
+   */
+  jsts.triangulate.polygon.PolygonEarClipper.prototype.compute = function() {
+    var n = this.ring.length;
+    this.next = [];
+    this.prev = [];
+    for (var i = 0; i < n; i++) {
+      this.next[i] = (i + 1) % n;
+      this.prev[i] = (i + n - 1) % n;
+    }
+
+    var tris = [];
+    var remaining = n;
+    var curr = 0;
+    // the number of corners examined since the last one was removed
+    var attempts = 0;
+    while (remaining > 3) {
+      var prev = this.prev[curr];
+      var next = this.next[curr];
+      var orient = this.orientation(prev, curr, next);
+
+      var isEar = orient === CGAlgorithms.COUNTERCLOCKWISE &&
+          !this.hasVertexInside(prev, curr, next);
+      if (isEar)
+        tris.push(this.ring[prev], this.ring[curr], this.ring[next]);
+
+      if (isEar || orient === CGAlgorithms.COLLINEAR) {
+        this.next[prev] = next;
+        this.prev[next] = prev;
+        remaining--;
+        attempts = 0;
+      } else if (++attempts >= remaining) {
+        throw new jsts.error.TopologyError('Unable to find an ear to clip',
+            this.pts[this.ring[curr]]);
+      }
+      curr = next;
+    }
+
+    if (remaining === 3) {
+      orient = this.orientation(this.prev[curr], curr, this.next[curr]);
+      if (orient === CGAlgorithms.CLOCKWISE)
+        throw new jsts.error.TopologyError('Unable to find an ear to clip',
+            this.pts[this.ring[curr]]);
+      if (orient === CGAlgorithms.COUNTERCLOCKWISE)
+        tris.push(this.ring[this.prev[curr]], this.ring[curr],
+            this.ring[this.next[curr]]);
+    }
+    return tris;
+  };
+
+
+  /**
+   * @param {number}
+   *          a a ring position.
+   * @param {number}
+   *          b a ring position.
+   * @param {number}
+   *          c a ring position.
+   * @return {number} the orientation of the corner at b.
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonEarClipper.prototype.orientation = function(
+      a, b, c) {
+    return CGAlgorithms.orientationIndex(this.pts[this.ring[a]],
+        this.pts[this.ring[b]], this.pts[this.ring[c]]);
+  };
+
+
+  /**
+   * Tests whether any other remaining ring vertex lies in or on the triangle
+   * of a corner. A vertex which coincides with a corner of the triangle but
+   * occurs at a different ring position (at the end of a bridge, or where a
+   * hole touches the shell) lies on the triangle without preventing the ear,
+   * unless one of its ring edges enters the triangle, or it is the apex and
+   * its ring edges run back along the sides of the triangle.
+   *
+   * @param {number}
+   *          prev the ring position before the corner.
+   * @param {number}
+   *          curr the ring position of the corner.
+   * @param {number}
+   *          next the ring position after the corner.
+   * @return {boolean} true if a vertex lies in the triangle.
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonEarClipper.prototype.hasVertexInside = function(
+      prev, curr, next) {
+    var a = this.pts[this.ring[prev]];
+    var b = this.pts[this.ring[curr]];
+    var c = this.pts[this.ring[next]];
+    for (var i = this.next[next]; i !== prev; i = this.next[i]) {
+      var q = this.pts[this.ring[i]];
+      // a repeated apex which runs back along both sides of the triangle
+      // closes a spike, and clipping the corner would invert the rest of
+      // the ring
+      if (q.equals2D(b) &&
+          isOnRay(b, a, this.pts[this.ring[this.next[i]]]) &&
+          isOnRay(b, c, this.pts[this.ring[this.prev[i]]]))
+        return true;
+      if (q.equals2D(a) || q.equals2D(b) || q.equals2D(c)) {
+        if (this.isEdgeInside(i, this.prev[i], a, b, c) ||
+            this.isEdgeInside(i, this.next[i], a, b, c))
+          return true;
+        continue;
+      }
+      if (CGAlgorithms.orientationIndex(a, b, q) >= 0 &&
+          CGAlgorithms.orientationIndex(b, c, q) >= 0 &&
+          CGAlgorithms.orientationIndex(c, a, q) >= 0)
+        return true;
+    }
+    return false;
+  };
+
+
+  /**
+   * Tests whether a ring edge which starts at a corner of a triangle runs
+   * into the interior of the triangle.
+   *
+   * @param {number}
+   *          from the ring position of the edge start, which coincides with a
+   *          corner of the triangle.
+   * @param {number}
+   *          to the ring position of the edge end.
+   * @param {jsts.geom.Coordinate}
+   *          a a vertex of the triangle.
+   * @param {jsts.geom.Coordinate}
+   *          b a vertex of the triangle.
+   * @param {jsts.geom.Coordinate}
+   *          c a vertex of the triangle.
+   * @return {boolean} true if the edge enters the triangle.
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonEarClipper.prototype.isEdgeInside = function(
+      from, to, a, b, c) {
+    var p = this.pts[this.ring[from]];
+    var q = this.pts[this.ring[to]];
+    // the edge enters the triangle if it lies strictly between the two
+    // triangle sides at the corner
+    if (p.equals2D(a))
+      return CGAlgorithms.orientationIndex(a, b, q) > 0 &&
+          CGAlgorithms.orientationIndex(c, a, q) > 0;
+    if (p.equals2D(b))
+      return CGAlgorithms.orientationIndex(a, b, q) > 0 &&
+          CGAlgorithms.orientationIndex(b, c, q) > 0;
+    return CGAlgorithms.orientationIndex(b, c, q) > 0 &&
+        CGAlgorithms.orientationIndex(c, a, q) > 0;
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate}
+   *          p the ray origin.
+   * @param {jsts.geom.Coordinate}
+   *          q a point giving the ray direction.
+   * @param {jsts.geom.Coordinate}
+   *          r the point to test.
+   * @return {boolean} true if r lies on the ray from p through q, excluding
+   *         p.
+   */
+  var isOnRay = function(p, q, r) {
+    return CGAlgorithms.orientationIndex(p, q, r) === CGAlgorithms.COLLINEAR &&
+        (r.x - p.x) * (q.x - p.x) + (r.y - p.y) * (q.y - p.y) > 0;
+  };
+
+})();
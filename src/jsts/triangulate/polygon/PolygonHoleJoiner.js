@@ -0,0 +1,312 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/CGAlgorithms.js
+   */
+
+  var CGAlgorithms = jsts.algorithm.CGAlgorithms;
+
+
+
+  /**
+   * Joins the holes of a polygon to its shell, producing a single ring which
+   * traces the boundary of the polygon. Each hole is connected to the ring by
+   * a pair of coincident "bridge" edges, running from the rightmost vertex of
+   * the hole to a vertex of the ring which is visible from it. The holes are
+   * joined from right to left, so that a bridge never crosses a hole which is
+   * still to be joined.
+   * <p>
+   * Rings are given as arrays of indices into a list of vertices. The shell
+   * must be oriented counter-clockwise and the holes clockwise, so that the
+   * interior of the polygon lies to the left of the joined ring. The joined
+   * ring contains the vertices at the ends of each bridge twice.
+   *
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the vertices of the polygon.
+   * @param {Array.<number>}
+   *          shell the indices of the shell vertices, in counter-clockwise
+   *          order and without a closing vertex.
+   * @param {Array.<Array.<number>>}
+   *          holes the indices of the vertices of each hole, in clockwise
+   *          order and without a closing vertex.
+   * @constructor
+   */
+  jsts.triangulate.polygon.PolygonHoleJoiner = function(pts, shell, holes) {
+    this.pts = pts;
+    this.shell = shell;
+    this.holes = holes;
+  };
+
+
+  /**
+   * Joins the holes of a polygon to its shell.
+   *
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the vertices of the polygon.
+   * @param {Array.<number>}
+   *          shell the indices of the shell vertices.
+   * @param {Array.<Array.<number>>}
+   *          holes the indices of the vertices of each hole.
+   * @return {Array.<number>} the indices of the vertices of the joined ring.
+   */
+  jsts.triangulate.polygon.PolygonHoleJoiner.join = function(pts, shell,
+      holes) {
+    var joiner = new jsts.triangulate.polygon.PolygonHoleJoiner(pts, shell,
+        holes);
+    return joiner.compute();
+  };
+
+
+  /**
+   * @type {Array.<jsts.geom.Coordinate>}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonHoleJoiner.prototype.pts = null;
+
+
+  /**
+   * @type {Array.<number>}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonHoleJoiner.prototype.shell = null;
+
+
+  /**
+   * @type {Array.<Array.<number>>}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonHoleJoiner.prototype.holes = null;
+
+
+  /**
+   * Computes the joined ring.
+   *
+   * @return {Array.<number>} the indices of the vertices of the joined ring.
+   */
+  jsts.triangulate.polygon.PolygonHoleJoiner.prototype.compute = function() {
+    var pts = this.pts;
+    var holes = this.holes.slice();
+    holes.sort(function(a, b) {
+      return pts[b[indexOfMaxX(pts, b)]].x - pts[a[indexOfMaxX(pts, a)]].x;
+    });
+
+    var ring = this.shell.slice();
+    for (var i = 0; i < holes.length; i++) {
+      ring = this.joinHole(ring, holes[i]);
+    }
+    return ring;
+  };
+
+
+  /**
+   * Joins a hole to the ring with a bridge from its rightmost vertex.
+   *
+   * @param {Array.<number>}
+   *          ring the ring joined so far.
+   * @param {Array.<number>}
+   *          hole the hole to join.
+   * @return {Array.<number>} the ring with the hole joined.
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonHoleJoiner.prototype.joinHole = function(
+      ring, hole) {
+    var holePos = indexOfMaxX(this.pts, hole);
+    var m = this.pts[hole[holePos]];
+    var ringPos = this.findBridgeVertex(ring, m);
+
+    var joined = ring.slice(0, ringPos + 1);
+    for (var i = 0; i <= hole.length; i++) {
+      joined.push(hole[(holePos + i) % hole.length]);
+    }
+    joined.push(ring[ringPos]);
+    return joined.concat(ring.slice(ringPos + 1));
+  };
+
+
+  /**
+   * Finds a vertex of the ring which is visible from a hole vertex, by
+   * casting a ray from the hole vertex in the positive X direction. If the
+   * ray does not hit a vertex, the endpoint of the hit edge with the larger
+   * X ordinate is used, unless other ring vertices lie in the triangle
+   * between the hole vertex, the hit point and that endpoint. In that case
+   * the vertex in the triangle which makes the smallest angle with the ray is
+   * visible.
+   *
+   * @param {Array.<number>}
+   *          ring the ring joined so far.
+   * @param {jsts.geom.Coordinate}
+   *          m the rightmost vertex of the hole.
+   * @return {number} the position in the ring of the bridge vertex.
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonHoleJoiner.prototype.findBridgeVertex = function(
+      ring, m) {
+    var pts = this.pts;
+    var n = ring.length;
+
+    // find the nearest ring edge crossed by the ray. Since the ring has its
+    // interior on the left, the ray leaves the interior through an upward
+    // edge
+    var edgePos = -1;
+    var hitX = Number.POSITIVE_INFINITY;
+    for (var i = 0; i < n; i++) {
+      var a = pts[ring[i]];
+      var b = pts[ring[(i + 1) % n]];
+      if (a.y > m.y || b.y < m.y || a.y === b.y)
+        continue;
+      var x = a.x + (m.y - a.y) * (b.x - a.x) / (b.y - a.y);
+      if (x >= m.x && x < hitX) {
+        hitX = x;
+        edgePos = i;
+      }
+    }
+    // the hole is not inside the ring, so use the nearest vertex
+    if (edgePos < 0)
+      return indexOfNearest(pts, ring, m);
+
+    var hitPt = new jsts.geom.Coordinate(hitX, m.y);
+    var a = pts[ring[edgePos]];
+    var b = pts[ring[(edgePos + 1) % n]];
+    if (hitPt.equals2D(a))
+      return edgePos;
+    if (hitPt.equals2D(b))
+      return (edgePos + 1) % n;
+
+    var pPos = a.x > b.x ? edgePos : (edgePos + 1) % n;
+    var p = pts[ring[pPos]];
+    var isBlocked = false;
+    var minAngle = angleFromRay(m, p);
+    var minDist = m.distance(p);
+    for (var i = 0; i < n; i++) {
+      var q = pts[ring[i]];
+      if (q.equals2D(p) || !isInTriangle(q, m, hitPt, p))
+        continue;
+      var angle = angleFromRay(m, q);
+      var dist = m.distance(q);
+      if (angle < minAngle || angle === minAngle && dist < minDist) {
+        minAngle = angle;
+        minDist = dist;
+        pPos = i;
+        isBlocked = true;
+      }
+    }
+    // the visible vertex may occur in the ring more than once, at the ends
+    // of earlier bridges
+    if (isBlocked)
+      return findConeVertex(pts, ring, pPos, m);
+    return pPos;
+  };
+
+
+  /**
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the vertices.
+   * @param {Array.<number>}
+   *          ring a ring.
+   * @return {number} the position of the ring vertex with the largest X
+   *         ordinate.
+   */
+  var indexOfMaxX = function(pts, ring) {
+    var maxPos = 0;
+    for (var i = 1; i < ring.length; i++) {
+      if (pts[ring[i]].x > pts[ring[maxPos]].x)
+        maxPos = i;
+    }
+    return maxPos;
+  };
+
+
+  /**
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the vertices.
+   * @param {Array.<number>}
+   *          ring a ring.
+   * @param {jsts.geom.Coordinate}
+   *          p a point.
+   * @return {number} the position of the ring vertex nearest to the point.
+   */
+  var indexOfNearest = function(pts, ring, p) {
+    var minPos = 0;
+    for (var i = 1; i < ring.length; i++) {
+      if (p.distance(pts[ring[i]]) < p.distance(pts[ring[minPos]]))
+        minPos = i;
+    }
+    return minPos;
+  };
+
+
+  /**
+   * @param {jsts.geom.Coordinate}
+   *          m the ray origin.
+   * @param {jsts.geom.Coordinate}
+   *          q a point.
+   * @return {number} the angle between the ray and the direction to the
+   *         point.
+   */
+  var angleFromRay = function(m, q) {
+    return Math.abs(Math.atan2(q.y - m.y, q.x - m.x));
+  };
+
+
+  /**
+   * Tests whether a point lies in or on a triangle of either orientation.
+   *
+   * @param {jsts.geom.Coordinate}
+   *          q the point.
+   * @param {jsts.geom.Coordinate}
+   *          a a triangle vertex.
+   * @param {jsts.geom.Coordinate}
+   *          b a triangle vertex.
+   * @param {jsts.geom.Coordinate}
+   *          c a triangle vertex.
+   * @return {boolean} true if the point is in the triangle.
+   */
+  var isInTriangle = function(q, a, b, c) {
+    var o1 = CGAlgorithms.orientationIndex(a, b, q);
+    var o2 = CGAlgorithms.orientationIndex(b, c, q);
+    var o3 = CGAlgorithms.orientationIndex(c, a, q);
+    var hasLeft = o1 > 0 || o2 > 0 || o3 > 0;
+    var hasRight = o1 < 0 || o2 < 0 || o3 < 0;
+    return !(hasLeft && hasRight);
+  };
+
+
+  /**
+   * Finds the occurrence of a vertex in the ring whose interior angle
+   * contains the bridge to a point.
+   *
+   * @param {Array.<jsts.geom.Coordinate>}
+   *          pts the vertices.
+   * @param {Array.<number>}
+   *          ring the ring.
+   * @param {number}
+   *          pos the position of an occurrence of the vertex.
+   * @param {jsts.geom.Coordinate}
+   *          m the other end of the bridge.
+   * @return {number} the position of the vertex to bridge from.
+   */
+  var findConeVertex = function(pts, ring, pos, m) {
+    var n = ring.length;
+    var p = pts[ring[pos]];
+    for (var i = 0; i < n; i++) {
+      if (!pts[ring[i]].equals2D(p))
+        continue;
+      var prev = pts[ring[(i + n - 1) % n]];
+      var next = pts[ring[(i + 1) % n]];
+      var isLeftOfPrev = CGAlgorithms.orientationIndex(prev, p, m) >= 0;
+      var isLeftOfNext = CGAlgorithms.orientationIndex(p, next, m) >= 0;
+      var isConvex = CGAlgorithms.orientationIndex(prev, p, next) >= 0;
+      if (isConvex ? isLeftOfPrev && isLeftOfNext : isLeftOfPrev ||
+          isLeftOfNext)
+        return i;
+    }
+    return pos;
+  };
+
+})();
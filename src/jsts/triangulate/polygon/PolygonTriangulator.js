@@ -0,0 +1,228 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * @requires jsts/algorithm/CGAlgorithms.js
+   * @requires jsts/geom/util/PolygonExtracter.js
+   * @requires jsts/triangulate/polygon/PolygonEarClipper.js
+   * @requires jsts/triangulate/polygon/PolygonHoleJoiner.js
+   */
+
+  var PolygonEarClipper = jsts.triangulate.polygon.PolygonEarClipper;
+  var PolygonHoleJoiner = jsts.triangulate.polygon.PolygonHoleJoiner;
+
+
+
+  /**
+   * Computes a triangulation of each polygon in a geometry, for instance for
+   * rendering. The triangles cover the interior of each polygon exactly and
+   * respect its holes. Holes are bridged into the shell with
+   * {@link PolygonHoleJoiner} and the resulting ring is triangulated with
+   * {@link PolygonEarClipper}.
+   * <p>
+   * The triangulation is available either as a {@link GeometryCollection} of
+   * triangular {@link Polygon}s, or as a flat array of indices into the list
+   * of input vertices, which suits rendering APIs such as WebGL. The vertex
+   * list contains the vertices of every ring of every polygon, in order
+   * (shell first, then holes), without the closing vertex of each ring.
+   * <p>
+   * Repeated and collinear vertices do not produce zero-area triangles.
+   * Rings with fewer than three distinct vertices or with zero area are
+   * ignored. Non-polygonal components of the input are ignored. Holes may
+   * touch the shell. The polygons must otherwise be valid; if a ring cannot be
+   * triangulated a {@link jsts.error.TopologyError} is thrown.
+   *
+   * @param {jsts.geom.Geometry}
+   *          inputGeom the geometry to triangulate.
+   * @constructor
+   */
+  jsts.triangulate.polygon.PolygonTriangulator = function(inputGeom) {
+    this.inputGeom = inputGeom;
+    this.geomFact = inputGeom.getFactory();
+  };
+
+
+  /**
+   * Computes a triangulation of each polygon in a geometry.
+   *
+   * @param {jsts.geom.Geometry}
+   *          geom a geometry containing polygons.
+   * @return {jsts.geom.GeometryCollection} a collection of triangular
+   *         polygons.
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.triangulate = function(geom) {
+    var triangulator = new jsts.triangulate.polygon.PolygonTriangulator(geom);
+    return triangulator.getResult();
+  };
+
+
+  /**
+   * @type {jsts.geom.Geometry}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.inputGeom = null;
+
+
+  /**
+   * @type {jsts.geom.GeometryFactory}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.geomFact = null;
+
+
+  /**
+   * @type {Array.<jsts.geom.Coordinate>}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.pts = null;
+
+
+  /**
+   * @type {Array.<number>}
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.triIndices = null;
+
+
+  /**
+   * Gets the triangulation as a collection of triangular polygons.
+   *
+   * @return {jsts.geom.GeometryCollection} the triangles.
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.getResult = function() {
+    this.compute();
+    var tris = [];
+    for (var i = 0; i < this.triIndices.length; i += 3) {
+      var p0 = new jsts.geom.Coordinate(this.pts[this.triIndices[i]]);
+      var p1 = new jsts.geom.Coordinate(this.pts[this.triIndices[i + 1]]);
+      var p2 = new jsts.geom.Coordinate(this.pts[this.triIndices[i + 2]]);
+      var ring = this.geomFact.createLinearRing([p0, p1, p2,
+        new jsts.geom.Coordinate(p0)]);
+      tris.push(this.geomFact.createPolygon(ring, null));
+    }
+    return this.geomFact.createGeometryCollection(tris);
+  };
+
+
+  /**
+   * Gets the list of vertices which the triangle indices refer to. It
+   * contains the vertices of each ring of each polygon in the input, shell
+   * first, without the closing vertex of the ring.
+   *
+   * @return {Array.<jsts.geom.Coordinate>} the vertices.
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.getCoordinates = function() {
+    this.compute();
+    return this.pts;
+  };
+
+
+  /**
+   * Gets the triangulation as indices into the list of vertices returned by
+   * {@link #getCoordinates}. Each consecutive group of three indices forms a
+   * triangle, in counter-clockwise order.
+   *
+   * @return {Array.<number>} the triangle vertex indices.
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.getTriangleIndices = function() {
+    this.compute();
+    return this.triIndices;
+  };
+
+
+  /**
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.compute = function() {
+    if (this.triIndices !== null)
+      return;
+
+    this.pts = [];
+    this.triIndices = [];
+    var polys = jsts.geom.util.PolygonExtracter.getPolygons(this.inputGeom);
+    for (var i = 0; i < polys.length; i++) {
+      this.triangulatePolygon(polys[i]);
+    }
+  };
+
+
+  /**
+   * @param {jsts.geom.Polygon}
+   *          poly the polygon to triangulate.
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.triangulatePolygon = function(
+      poly) {
+    if (poly.isEmpty())
+      return;
+
+    var shell = this.addRing(poly.getExteriorRing(), true);
+    var holes = [];
+    for (var i = 0; i < poly.getNumInteriorRing(); i++) {
+      var hole = this.addRing(poly.getInteriorRingN(i), false);
+      if (hole !== null)
+        holes.push(hole);
+    }
+    if (shell === null)
+      return;
+
+    var ring = PolygonHoleJoiner.join(this.pts, shell, holes);
+    var tris = PolygonEarClipper.clip(this.pts, ring);
+    for (var i = 0; i < tris.length; i++) {
+      this.triIndices.push(tris[i]);
+    }
+  };
+
+
+  /**
+   * Adds the vertices of a ring to the vertex list, and computes the ring of
+   * indices to triangulate, without repeated vertices and with shells
+   * oriented counter-clockwise and holes clockwise.
+   *
+   * @param {jsts.geom.LinearRing}
+   *          ring a polygon ring.
+   * @param {boolean}
+   *          isShell true if the ring is a shell.
+   * @return {Array.<number>} the indices of the ring, or null if the ring is
+   *         degenerate.
+   * @private
+   */
+  jsts.triangulate.polygon.PolygonTriangulator.prototype.addRing = function(
+      ring, isShell) {
+    var coords = ring.getCoordinates();
+    var start = this.pts.length;
+    var indices = [];
+    for (var i = 0; i < coords.length - 1; i++) {
+      this.pts.push(coords[i]);
+      if (indices.length > 0 &&
+          coords[i].equals2D(this.pts[indices[indices.length - 1]]))
+        continue;
+      indices.push(start + i);
+    }
+    while (indices.length > 1 &&
+        this.pts[indices[0]].equals2D(this.pts[indices[indices.length - 1]])) {
+      indices.pop();
+    }
+    if (indices.length < 3)
+      return null;
+
+    var ringPts = [];
+    for (var i = 0; i < indices.length; i++) {
+      ringPts.push(this.pts[indices[i]]);
+    }
+    ringPts.push(ringPts[0]);
+    // the signed area is negative for counter-clockwise rings
+    var area = jsts.algorithm.CGAlgorithms.signedArea(ringPts);
+    if (area === 0)
+      return null;
+    if ((area < 0) !== isShell)
+      indices.reverse();
+    return indices;
+  };
+
+})();
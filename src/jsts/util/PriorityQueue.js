@@ -0,0 +1,139 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+(function() {
+
+  /**
+   * A priority queue over a set of items, implemented as a binary heap. Items
+   * must provide a <code>compareTo</code> method; the item which compares
+   * lowest is at the head of the queue.
+   *
+   * @constructor
+   */
+  jsts.util.PriorityQueue = function() {
+    // slot 0 is used as a sentinel by add
+    this.items = [null];
+    this._size = 0;
+  };
+
+
+  /**
+   * The queue binary heap array, starting at index 1.
+   *
+   * @type {Array.<Object>}
+   * @private
+   */
+  jsts.util.PriorityQueue.prototype.items = null;
+
+
+  /**
+   * Number of items in the queue.
+   *
+   * @type {number}
+   * @private
+   */
+  jsts.util.PriorityQueue.prototype._size = 0;
+
+
+  /**
+   * Inserts an item into the queue.
+   *
+   * @param {Object}
+   *          x the item to insert.
+   */
+  jsts.util.PriorityQueue.prototype.add = function(x) {
+    this._size += 1;
+    var hole = this._size;
+    // set the item as a sentinel at the base of the heap
+    this.items[0] = x;
+
+    // move the item up from the hole position to its correct place
+    for (; x.compareTo(this.items[Math.floor(hole / 2)]) < 0; hole = Math
+        .floor(hole / 2)) {
+      this.items[hole] = this.items[Math.floor(hole / 2)];
+    }
+    this.items[hole] = x;
+  };
+
+
+  /**
+   * @return {boolean} true if the queue contains no items.
+   */
+  jsts.util.PriorityQueue.prototype.isEmpty = function() {
+    return this._size === 0;
+  };
+
+
+  /**
+   * @return {number} the number of items in the queue.
+   */
+  jsts.util.PriorityQueue.prototype.size = function() {
+    return this._size;
+  };
+
+
+  /**
+   * Removes all items from the queue.
+   */
+  jsts.util.PriorityQueue.prototype.clear = function() {
+    this.items = [null];
+    this._size = 0;
+  };
+
+
+  /**
+   * Removes the smallest item from the queue.
+   *
+   * @return {Object} the smallest item, or null if the queue is empty.
+   */
+  jsts.util.PriorityQueue.prototype.poll = function() {
+    if (this.isEmpty())
+      return null;
+    var minItem = this.items[1];
+    var last = this.items.pop();
+    this._size -= 1;
+    if (!this.isEmpty()) {
+      this.items[1] = last;
+      this.reorder(1);
+    }
+    return minItem;
+  };
+
+
+  /**
+   * @return {Object} the smallest item, or null if the queue is empty.
+   */
+  jsts.util.PriorityQueue.prototype.peek = function() {
+    if (this.isEmpty())
+      return null;
+    return this.items[1];
+  };
+
+
+  /**
+   * Internal method to percolate down in the heap.
+   *
+   * @param {number}
+   *          hole the index at which the percolate begins.
+   * @private
+   */
+  jsts.util.PriorityQueue.prototype.reorder = function(hole) {
+    var child;
+    var tmp = this.items[hole];
+    for (; hole * 2 <= this._size; hole = child) {
+      child = hole * 2;
+      if (child !== this._size &&
+          this.items[child + 1].compareTo(this.items[child]) < 0)
+        child++;
+      if (this.items[child].compareTo(tmp) < 0)
+        this.items[hole] = this.items[child];
+      else
+        break;
+    }
+    this.items[hole] = tmp;
+  };
+
+})();
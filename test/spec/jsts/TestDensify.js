@@ -0,0 +1,56 @@
+describe('TestDensify', function() {
+  var doc = null;
+  var xmlLoaded = false;
+  var isReady = function() {
+    return xmlLoaded;
+  };
+
+  $.ajax({
+    url: '../testxml/general/TestDensify.xml',
+    success: function(response) {
+      doc = response;
+      xmlLoaded = true;
+    }
+  });
+
+  it('passes all tests in TestDensify.xml', function() {
+    waitsFor(isReady);
+    runs(function() {
+      var cases = $('case', doc);
+
+      var count = 0;
+      var passed = 0;
+
+      for (var i = 0; i < cases.length; i++) {
+        var testcase = cases[i];
+        var desc = $('desc', testcase).text();
+        var wkt = $('a', testcase).text().trim().replace(/\n/g, '');
+        var op = $('op', testcase);
+        var expected = op.text().trim().replace(/\n/g, '');
+        var tolerance = parseFloat(op.attr('arg2'));
+
+        var reader = new jsts.io.WKTReader();
+        var geometry = reader.read(wkt);
+        if (geometry === undefined) continue;
+
+        var expectedg = reader.read(expected);
+        if (expectedg === undefined) continue;
+
+        var densified = jsts.densify.Densifier.densify(geometry, tolerance);
+        densified.normalize();
+        expectedg.normalize();
+
+        count++;
+
+        if (densified.equalsExact(expectedg)) {
+          passed++;
+        }
+        else {
+          console.log('Testcase "' + desc + '" failed. (Result: ' + densified + ' / Expected: ' + expectedg + ')');
+        }
+      }
+
+      expect(passed).toEqual(count);
+    });
+  });
+});
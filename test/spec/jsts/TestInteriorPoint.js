@@ -0,0 +1,56 @@
+describe('TestInteriorPoint', function() {
+  var doc = null;
+  var xmlLoaded = false;
+  var isReady = function() {
+    return xmlLoaded; 
+  };
+
+  $.ajax({
+    url: '../testxml/general/TestInteriorPoint.xml',
+    success: function(response) {
+      doc = response;
+      xmlLoaded = true;
+    }
+  });
+  
+  it('passes all tests in TestInteriorPoint.xml', function() {
+    waitsFor(isReady);
+    runs(function() {
+      var cases = $('case', doc);
+      
+      var count = 0;
+      var passed = 0;
+      
+      for (var i = 0; i<cases.length; i++) {
+        var testcase = cases[i];
+        var desc = $("desc", testcase).text().trim();
+        var wkt = $("a", testcase).text().trim().replace(/\n/g,'');
+        var expected = $("op", testcase).text().trim();
+        
+        var reader = new jsts.io.WKTReader(new jsts.geom.GeometryFactory(new jsts.geom.PrecisionModel(1)));
+        var geometry = reader.read(wkt);
+        var expectedg = reader.read(expected);
+        
+        if (geometry === undefined) continue;
+        
+        var interiorPoint = geometry.getInteriorPoint();
+        
+        if (!interiorPoint)
+          continue;
+        
+        var result = interiorPoint.equals(expectedg);
+        
+        count++;
+        
+        if (result === true) {
+          passed++;
+        }
+        else {
+          console.log('Testcase "' + desc + '" failed. (Result: ' + interiorPoint + ' / Expected: ' + expectedg + ')');
+        }
+      }
+      
+      expect(passed).toEqual(count);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+describe('TestMinimumClearance', function() {
+  var doc = null;
+  var xmlLoaded = false;
+  var isReady = function() {
+    return xmlLoaded;
+  };
+
+  $.ajax({
+    url: '../testxml/general/TestMinimumClearance.xml',
+    success: function(response) {
+      doc = response;
+      xmlLoaded = true;
+    }
+  });
+
+  it('passes all tests in TestMinimumClearance.xml', function() {
+    waitsFor(isReady);
+    runs(function() {
+      var cases = $('case', doc);
+
+      var count = 0;
+      var passed = 0;
+
+      for (var i = 0; i < cases.length; i++) {
+        var testcase = cases[i];
+        var desc = $('desc', testcase).text().trim();
+        var a = $('a', testcase).text().trim().replace(/\n/g, '');
+
+        var tests = $('test', testcase);
+
+        for (var j = 0; j < tests.length; j++) {
+          var op = $('op', tests[j]);
+          var opname = op.attr('name');
+          var expected = op.text().trim();
+
+          var reader = new jsts.io.WKTReader();
+          var ag = reader.read(a);
+          if (ag === undefined) continue;
+
+          var result, success;
+          if (opname === 'minClearance') {
+            result = jsts.precision.MinimumClearance.getDistance(ag);
+            success = result === parseFloat(expected);
+          } else {
+            result = jsts.precision.MinimumClearance.getLine(ag);
+            var expectedg = reader.read(expected);
+            result.normalize();
+            expectedg.normalize();
+            success = result.equalsExact(expectedg);
+          }
+
+          count++;
+
+          if (success) {
+            passed++;
+          }
+          else {
+            console.log('Testcase "' + desc + '" failed for ' + opname + '. (Result: ' + result + ' / Expected: ' + expected + ')');
+          }
+        }
+      }
+
+      expect(passed).toEqual(count);
+    });
+  });
+});
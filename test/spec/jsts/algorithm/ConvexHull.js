@@ -0,0 +1,47 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.algorithm.ConvexHull', function() {
+  var reader = new jsts.io.WKTReader();
+  var factory = new jsts.geom.GeometryFactory();
+
+  it('computes the hull of a few points', function() {
+    var hull = reader.read('MULTIPOINT ((0 0), (10 0), (5 5), (10 10), (0 10))')
+        .convexHull();
+    expect(hull.equalsTopo(reader
+        .read('POLYGON ((0 0, 0 10, 10 10, 10 0, 0 0))'))).toBeTruthy();
+  });
+
+  it('reduces more than 50 points to the hull of the extreme points',
+      function() {
+        // a 10x10 grid: enough points to use the octagon reduction heuristic
+        var pts = [];
+        for (var x = 0; x < 10; x++) {
+          for (var y = 0; y < 10; y++) {
+            pts.push(new jsts.geom.Coordinate(x * 10, y * 10));
+          }
+        }
+        var hull = factory.createMultiPoint(pts).convexHull();
+        expect(hull.equalsTopo(reader
+            .read('POLYGON ((0 0, 0 90, 90 90, 90 0, 0 0))'))).toBeTruthy();
+        expect(hull.getNumPoints()).toEqual(5);
+      });
+
+  it('keeps every vertex of a large convex input', function() {
+    var pts = [];
+    for (var i = 0; i < 64; i++) {
+      var angle = 2 * Math.PI * i / 64;
+      pts.push(new jsts.geom.Coordinate(100 * Math.cos(angle),
+          100 * Math.sin(angle)));
+    }
+    pts.push(new jsts.geom.Coordinate(0, 0));
+    pts.push(new jsts.geom.Coordinate(10, -20));
+    var hull = factory.createMultiPoint(pts).convexHull();
+    expect(hull.getNumPoints()).toEqual(65);
+    expect(Math.abs(hull.getArea() -
+        32 * 100 * 100 * Math.sin(2 * Math.PI / 64)) < 1e-6).toBeTruthy();
+  });
+});
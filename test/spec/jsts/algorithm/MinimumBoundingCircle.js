@@ -0,0 +1,75 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.algorithm.MinimumBoundingCircle', function() {
+  var reader = new jsts.io.WKTReader();
+
+  var mbc = function(wkt) {
+    return new jsts.algorithm.MinimumBoundingCircle(reader.read(wkt));
+  };
+
+  var checkCircle = function(wkt, x, y, radius) {
+    var circle = mbc(wkt);
+    var centre = circle.getCentre();
+    expect(Math.abs(centre.x - x) < 1e-9).toBeTruthy();
+    expect(Math.abs(centre.y - y) < 1e-9).toBeTruthy();
+    expect(Math.abs(circle.getRadius() - radius) < 1e-9).toBeTruthy();
+    return circle;
+  };
+
+  it('handles an empty geometry', function() {
+    var circle = mbc('POINT EMPTY');
+    expect(circle.getCentre()).toBeNull();
+    expect(circle.getRadius()).toEqual(0);
+    expect(circle.getExtremalPoints().length).toEqual(0);
+    expect(circle.getCircle().isEmpty()).toBeTruthy();
+    expect(circle.getFarthestPoints().isEmpty()).toBeTruthy();
+  });
+
+  it('returns a point for a single point', function() {
+    var circle = checkCircle('POINT (10 10)', 10, 10, 0);
+    expect(circle.getCircle() instanceof jsts.geom.Point).toBeTruthy();
+    expect(circle.getFarthestPoints() instanceof jsts.geom.Point)
+        .toBeTruthy();
+  });
+
+  it('treats coincident points as a single point', function() {
+    var circle = checkCircle('MULTIPOINT ((10 10), (10 10))', 10, 10, 0);
+    expect(circle.getExtremalPoints().length).toEqual(1);
+    expect(circle.getCircle().equalsExact(reader.read('POINT (10 10)')))
+        .toBeTruthy();
+  });
+
+  it('uses two points as the diameter', function() {
+    var circle = checkCircle('MULTIPOINT ((10 10), (20 20))', 15, 15,
+        Math.sqrt(50));
+    expect(circle.getExtremalPoints().length).toEqual(2);
+    expect(circle.getDiameter().equalsExact(
+        reader.read('LINESTRING (10 10, 20 20)'))).toBeTruthy();
+  });
+
+  it('uses the longest side of an obtuse triangle as the diameter',
+      function() {
+        var circle = checkCircle('POLYGON ((0 0, 10 0, 5 1, 0 0))', 5, 0, 5);
+        expect(circle.getExtremalPoints().length).toEqual(2);
+        expect(circle.getFarthestPoints().getLength()).toEqual(10);
+      });
+
+  it('uses the circumcircle of an acute triangle', function() {
+    checkCircle('MULTIPOINT ((0 0), (10 0), (5 10))', 5, 3.75, 6.25);
+    checkCircle('MULTIPOINT ((0 0), (10 0), (5 10), (5 5), (4 2))', 5, 3.75,
+        6.25);
+    expect(mbc('MULTIPOINT ((0 0), (10 0), (5 10))').getExtremalPoints()
+        .length).toEqual(3);
+  });
+
+  it('returns a polygon approximating the circle', function() {
+    var circle = mbc('MULTIPOINT ((10 10), (20 20))').getCircle();
+    expect(circle instanceof jsts.geom.Polygon).toBeTruthy();
+    var env = circle.getEnvelopeInternal();
+    expect(Math.abs(env.getWidth() - 2 * Math.sqrt(50)) < 1e-9).toBeTruthy();
+  });
+});
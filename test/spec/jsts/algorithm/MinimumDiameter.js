@@ -0,0 +1,62 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.algorithm.MinimumDiameter', function() {
+  var reader = new jsts.io.WKTReader();
+  var MinimumDiameter = jsts.algorithm.MinimumDiameter;
+
+  var isClose = function(a, b) {
+    return Math.abs(a - b) < 1e-9;
+  };
+
+  it('computes the width of a square', function() {
+    var md = new MinimumDiameter(
+        reader.read('POLYGON ((0 0, 0 20, 20 20, 20 0, 0 0))'));
+    expect(md.getLength()).toEqual(20);
+    expect(md.getDiameter().getLength()).toEqual(20);
+  });
+
+  it('computes the width of a rotated rectangle', function() {
+    var geom = reader.read('POLYGON ((0 0, 10 10, 5 15, -5 5, 0 0))');
+    var md = new MinimumDiameter(geom);
+    expect(isClose(md.getLength(), 5 * Math.sqrt(2))).toBeTruthy();
+    expect(isClose(md.getDiameter().getLength(), md.getLength()))
+        .toBeTruthy();
+    expect(isClose(md.getSupportingSegment().getLength(), 10 * Math.sqrt(2)))
+        .toBeTruthy();
+  });
+
+  it('computes the minimum rectangle of a rotated rectangle', function() {
+    var geom = reader.read('POLYGON ((0 0, 10 10, 5 15, -5 5, 0 0))');
+    var rect = MinimumDiameter.getMinimumRectangle(geom);
+    expect(rect instanceof jsts.geom.Polygon).toBeTruthy();
+    expect(isClose(rect.getArea(), 100)).toBeTruthy();
+  });
+
+  it('computes an enclosing rectangle built on the convex hull', function() {
+    var geom = reader.read('MULTIPOINT ((0 0), (10 10), (5 15), (-5 5), (3 6))');
+    var rect = MinimumDiameter.getMinimumRectangle(geom);
+    expect(isClose(rect.getArea(), 100)).toBeTruthy();
+    expect(isClose(MinimumDiameter.getMinimumDiameter(geom).getLength(),
+        5 * Math.sqrt(2))).toBeTruthy();
+  });
+
+  it('returns degenerate results for lines and points', function() {
+    var line = reader.read('LINESTRING (0 0, 10 10)');
+    expect(new MinimumDiameter(line).getLength()).toEqual(0);
+    expect(MinimumDiameter.getMinimumRectangle(line) instanceof
+        jsts.geom.LineString).toBeTruthy();
+    var point = reader.read('POINT (10 10)');
+    expect(MinimumDiameter.getMinimumRectangle(point) instanceof
+        jsts.geom.Point).toBeTruthy();
+  });
+
+  it('returns an empty diameter for an empty geometry', function() {
+    var md = new MinimumDiameter(reader.read('LINESTRING EMPTY'));
+    expect(md.getLength()).toEqual(0);
+    expect(md.getDiameter().isEmpty()).toBeTruthy();
+  });
+});
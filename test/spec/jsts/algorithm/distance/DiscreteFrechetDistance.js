@@ -0,0 +1,53 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.algorithm.distance.DiscreteFrechetDistance', function() {
+  var reader = new jsts.io.WKTReader();
+  var DiscreteFrechetDistance = jsts.algorithm.distance.DiscreteFrechetDistance;
+
+  var distance = function(wkt0, wkt1) {
+    return DiscreteFrechetDistance.distance(reader.read(wkt0),
+        reader.read(wkt1));
+  };
+
+  it('computes the distance between lines', function() {
+    expect(distance('LINESTRING (0 0, 1 0, 2 0, 3 0, 4 0)',
+        'LINESTRING (0 2, 1 1.1, 2 1.2, 3 1.1, 4 2)')).toEqual(2.0);
+    expect(distance('LINESTRING (1 1, 2 2)', 'LINESTRING (1 4, 2 3)'))
+        .toEqual(3.0);
+  });
+
+  it('takes the direction of the lines into account', function() {
+    var a = 'LINESTRING (0 0, 10 0)';
+    var b = 'LINESTRING (10 0, 0 0)';
+    expect(jsts.algorithm.distance.DiscreteHausdorffDistance.distance(
+        reader.read(a), reader.read(b))).toEqual(0);
+    expect(distance(a, b)).toEqual(10);
+  });
+
+  it('works on non-lineal geometries', function() {
+    expect(distance('MULTIPOINT ((0 0), (10 0))', 'POINT (0 1)'))
+        .toEqual(Math.sqrt(101));
+    expect(distance('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))',
+        'POLYGON ((0 1, 10 1, 10 11, 0 11, 0 1))')).toEqual(1);
+  });
+
+  it('reports the points at which the distance occurs', function() {
+    var dist = new DiscreteFrechetDistance(
+        reader.read('LINESTRING (1 1, 2 2)'),
+        reader.read('LINESTRING (1 4, 2 3)'));
+    expect(dist.distance()).toEqual(3.0);
+    var pts = dist.getCoordinates();
+    expect(pts[0].equals2D(new jsts.geom.Coordinate(1, 1))).toBeTruthy();
+    expect(pts[1].equals2D(new jsts.geom.Coordinate(1, 4))).toBeTruthy();
+  });
+
+  it('throws for empty geometries', function() {
+    expect(function() {
+      distance('LINESTRING EMPTY', 'LINESTRING (0 0, 1 1)');
+    }).toThrow();
+  });
+});
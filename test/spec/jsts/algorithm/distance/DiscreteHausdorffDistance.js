@@ -0,0 +1,73 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.algorithm.distance.DiscreteHausdorffDistance', function() {
+  var reader = new jsts.io.WKTReader();
+  var DiscreteHausdorffDistance = jsts.algorithm.distance.DiscreteHausdorffDistance;
+
+  var distance = function(wkt0, wkt1, densifyFrac) {
+    return DiscreteHausdorffDistance.distance(reader.read(wkt0),
+        reader.read(wkt1), densifyFrac);
+  };
+
+  it('computes the distance between line segments', function() {
+    expect(distance('LINESTRING (0 0, 2 1)', 'LINESTRING (0 0, 2 0)'))
+        .toEqual(1.0);
+    expect(distance('LINESTRING (0 0, 2 0)', 'LINESTRING (0 1, 1 2, 2 1)'))
+        .toEqual(2.0);
+  });
+
+  it('computes the distance between a line and points', function() {
+    expect(distance('LINESTRING (0 0, 2 0)', 'MULTIPOINT (0 1, 1 0, 2 1)'))
+        .toEqual(1.0);
+  });
+
+  it('approaches the true distance when densified', function() {
+    var a = 'LINESTRING (130 0, 0 0, 0 150)';
+    var b = 'LINESTRING (10 10, 10 150, 130 10)';
+    expect(distance(a, b)).toEqual(14.142135623730951);
+    expect(distance(a, b, 0.5)).toEqual(70.0);
+  });
+
+  it('reports the points at which the distance occurs', function() {
+    var dist = new DiscreteHausdorffDistance(
+        reader.read('LINESTRING (0 0, 2 0)'),
+        reader.read('LINESTRING (0 1, 1 2, 2 1)'));
+    expect(dist.distance()).toEqual(2.0);
+    var ptDist = dist.getPointPairDistance();
+    expect(ptDist.getDistance()).toEqual(2.0);
+    expect(ptDist.getCoordinate(0).distance(ptDist.getCoordinate(1)))
+        .toEqual(2.0);
+    var pts = dist.getCoordinates();
+    expect(pts[0].equals2D(new jsts.geom.Coordinate(1, 2)) ||
+        pts[1].equals2D(new jsts.geom.Coordinate(1, 2))).toBeTruthy();
+  });
+
+  it('throws for empty geometries', function() {
+    expect(function() {
+      distance('LINESTRING EMPTY', 'LINESTRING (0 0, 1 1)');
+    }).toThrow();
+    expect(function() {
+      distance('POINT (0 0)', 'POINT EMPTY');
+    }).toThrow();
+    expect(function() {
+      new DiscreteHausdorffDistance(reader.read('LINESTRING (0 0, 1 1)'),
+          reader.read('POLYGON EMPTY')).orientedDistance();
+    }).toThrow();
+  });
+
+  it('rejects densify fractions outside (0, 1]', function() {
+    var dist = new DiscreteHausdorffDistance(
+        reader.read('LINESTRING (0 0, 2 0)'),
+        reader.read('LINESTRING (0 1, 2 1)'));
+    expect(function() {
+      dist.setDensifyFraction(0);
+    }).toThrow();
+    expect(function() {
+      dist.setDensifyFraction(1.5);
+    }).toThrow();
+  });
+});
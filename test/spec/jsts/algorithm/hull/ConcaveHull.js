@@ -0,0 +1,115 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.algorithm.hull.ConcaveHull', function() {
+  var reader = new jsts.io.WKTReader();
+  var ConcaveHull = jsts.algorithm.hull.ConcaveHull;
+
+  /**
+   * A 10x10 grid of points with the cells matching the filter left out.
+   */
+  var grid = function(isOmitted) {
+    var pts = [];
+    for (var x = 0; x <= 10; x++) {
+      for (var y = 0; y <= 10; y++) {
+        if (!isOmitted(x, y))
+          pts.push('(' + x + ' ' + y + ')');
+      }
+    }
+    return reader.read('MULTIPOINT (' + pts.join(', ') + ')');
+  };
+
+  var uShape = grid(function(x, y) {
+    return x >= 3 && x <= 7 && y >= 3;
+  });
+
+  var ring = grid(function(x, y) {
+    return x >= 3 && x <= 7 && y >= 3 && y <= 7;
+  });
+
+  it('erodes a concave point set by edge length', function() {
+    var hull = ConcaveHull.concaveHullByLength(uShape, 1.5);
+    expect(hull instanceof jsts.geom.Polygon).toBeTruthy();
+    expect(hull.getArea()).toEqual(53);
+    expect(hull.getArea() < uShape.convexHull().getArea()).toBeTruthy();
+  });
+
+  it('returns the convex hull for a long edge length', function() {
+    var hull = ConcaveHull.concaveHullByLength(uShape, 100);
+    expect(hull.getArea()).toEqual(100);
+  });
+
+  it('erodes by edge length ratio', function() {
+    expect(ConcaveHull.concaveHullByLengthRatio(uShape, 1).getArea())
+        .toEqual(100);
+    var hull = ConcaveHull.concaveHullByLengthRatio(uShape, 0);
+    expect(hull instanceof jsts.geom.Polygon).toBeTruthy();
+    expect(hull.getArea() < 53).toBeTruthy();
+  });
+
+  it('creates holes only when allowed', function() {
+    var hull = ConcaveHull.concaveHullByLength(ring, 1.5, true);
+    expect(hull instanceof jsts.geom.Polygon).toBeTruthy();
+    expect(hull.getNumInteriorRing()).toEqual(1);
+    expect(hull.getArea()).toEqual(66);
+
+    hull = ConcaveHull.concaveHullByLength(ring, 1.5);
+    expect(hull.getNumInteriorRing()).toEqual(0);
+    expect(hull.getArea()).toEqual(100);
+  });
+
+  it('keeps a single polygon unless told otherwise', function() {
+    var hull = new ConcaveHull(uShape);
+    hull.setMaximumEdgeLength(0);
+    expect(hull.getHull() instanceof jsts.geom.Polygon).toBeTruthy();
+
+    hull.setSinglePolygon(false);
+    expect(hull.getHull() instanceof jsts.geom.MultiPolygon).toBeTruthy();
+  });
+
+  it('builds a valid hull of many scattered points', function() {
+    // a deterministic pseudo-random point set
+    var seed = 1;
+    var random = function() {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    var pts = [];
+    for (var i = 0; i < 1000; i++) {
+      pts.push('(' + random() * 1000 + ' ' + random() * 1000 + ')');
+    }
+    var geom = reader.read('MULTIPOINT (' + pts.join(', ') + ')');
+
+    var hull = ConcaveHull.concaveHullByLengthRatio(geom, 0.1, true);
+    expect(hull instanceof jsts.geom.Polygon).toBeTruthy();
+    expect(hull.isValid()).toBeTruthy();
+    expect(hull.getArea() < geom.convexHull().getArea()).toBeTruthy();
+
+    var parts = new ConcaveHull(geom);
+    parts.setMaximumEdgeLength(40);
+    parts.setSinglePolygon(false);
+    expect(parts.getHull().isValid()).toBeTruthy();
+  });
+
+  it('handles degenerate input', function() {
+    expect(ConcaveHull.concaveHullByLength(
+        reader.read('MULTIPOINT EMPTY'), 1).isEmpty()).toBeTruthy();
+    var line = ConcaveHull.concaveHullByLength(
+        reader.read('MULTIPOINT ((0 0), (1 1), (2 2))'), 1);
+    expect(line.equalsExact(reader.read('LINESTRING (0 0, 2 2)')))
+        .toBeTruthy();
+  });
+
+  it('rejects invalid parameters', function() {
+    var hull = new ConcaveHull(uShape);
+    expect(function() {
+      hull.setMaximumEdgeLength(-1);
+    }).toThrow();
+    expect(function() {
+      hull.setMaximumEdgeLengthRatio(1.5);
+    }).toThrow();
+  });
+});
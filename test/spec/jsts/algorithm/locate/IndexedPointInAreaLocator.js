@@ -0,0 +1,59 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.algorithm.locate.IndexedPointInAreaLocator', function() {
+  var reader = new jsts.io.WKTReader();
+  var Location = jsts.geom.Location;
+
+  var polygon = reader
+      .read('POLYGON((0 0, 100 0, 100 100, 0 100, 0 0), (20 20, 20 40, 40 40, 40 20, 20 20))');
+  var multiPolygon = reader
+      .read('MULTIPOLYGON(((0 0, 10 0, 10 10, 0 10, 0 0)), ((20 0, 30 10, 40 0, 20 0)))');
+
+  it('can be created for a polygonal geometry', function() {
+    var locator = new jsts.algorithm.locate.IndexedPointInAreaLocator(polygon);
+    expect(locator).toBeDefined();
+  });
+
+  it('throws for a non-polygonal geometry', function() {
+    var line = reader.read('LINESTRING(0 0, 10 10)');
+    expect(function() {
+      new jsts.algorithm.locate.IndexedPointInAreaLocator(line);
+    }).toThrow();
+  });
+
+  it('locates points in the interior, on the boundary and in the exterior',
+      function() {
+        var locator = new jsts.algorithm.locate.IndexedPointInAreaLocator(
+            polygon);
+        expect(locator.locate(new jsts.geom.Coordinate(50, 50))).toEqual(
+            Location.INTERIOR);
+        expect(locator.locate(new jsts.geom.Coordinate(100, 50))).toEqual(
+            Location.BOUNDARY);
+        expect(locator.locate(new jsts.geom.Coordinate(30, 20))).toEqual(
+            Location.BOUNDARY);
+        expect(locator.locate(new jsts.geom.Coordinate(30, 30))).toEqual(
+            Location.EXTERIOR);
+        expect(locator.locate(new jsts.geom.Coordinate(150, 50))).toEqual(
+            Location.EXTERIOR);
+      });
+
+  it('gives the same results as SimplePointInAreaLocator', function() {
+    var geoms = [polygon, multiPolygon];
+    for (var i = 0; i < geoms.length; i++) {
+      var indexed = new jsts.algorithm.locate.IndexedPointInAreaLocator(
+          geoms[i]);
+      var simple = new jsts.algorithm.locate.SimplePointInAreaLocator(
+          geoms[i]);
+      for (var x = -5; x <= 105; x += 5) {
+        for (var y = -5; y <= 105; y += 5) {
+          var p = new jsts.geom.Coordinate(x, y);
+          expect(indexed.locate(p)).toEqual(simple.locate(p));
+        }
+      }
+    }
+  });
+});
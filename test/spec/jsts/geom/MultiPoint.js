@@ -0,0 +1,24 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.geom.MultiPoint', function() {
+
+  var reader = new jsts.io.WKTReader();
+
+  it('has no boundary dimension', function() {
+    var mp = reader.read('MULTIPOINT ((0 0), (1 1))');
+    expect(mp.getBoundaryDimension()).toEqual(jsts.geom.Dimension.FALSE);
+  });
+
+  it('can be related to a disjoint polygon', function() {
+    var mp = reader.read('MULTIPOINT ((0 0), (1 1))');
+    var poly = reader.read('POLYGON ((10 10, 20 10, 20 20, 10 20, 10 10))');
+    expect(mp.relate(poly).toString()).toEqual('FF0FFF212');
+    expect(poly.relate(mp).toString()).toEqual('FF2FF10F2');
+    expect(mp.disjoint(poly)).toBeTruthy();
+  });
+
+});
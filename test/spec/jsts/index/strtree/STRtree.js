@@ -0,0 +1,38 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.index.strtree.STRtree', function() {
+  var NUM_ITEMS = 100;
+
+  var createTree = function() {
+    var tree = new jsts.index.strtree.STRtree(4);
+    for (var i = 0; i < NUM_ITEMS; i++) {
+      var x = i % 10;
+      var y = Math.floor(i / 10);
+      tree.insert(new jsts.geom.Envelope(x, x + 0.5, y, y + 0.5), i);
+    }
+    return tree;
+  };
+
+  it('returns every item exactly once when querying the full extent',
+      function() {
+        var tree = createTree();
+        var items = tree.query(new jsts.geom.Envelope(-1, 11, -1, 11));
+        expect(items.length).toEqual(NUM_ITEMS);
+
+        var seen = {};
+        for (var i = 0; i < items.length; i++) {
+          expect(seen[items[i]]).toBeUndefined();
+          seen[items[i]] = true;
+        }
+      });
+
+  it('finds items in the last vertical slice', function() {
+    var tree = createTree();
+    var items = tree.query(new jsts.geom.Envelope(9.1, 9.2, 9.1, 9.2));
+    expect(items).toEqual([99]);
+  });
+});
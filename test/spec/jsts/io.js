@@ -34,6 +34,100 @@ describe('jsts.io.*', function() {
     expect(result).toBeTruthy();
   });
   
+  it('can read GEOMETRYCOLLECTION with EMPTY members', function() {
+    var geometry = reader.read('GEOMETRYCOLLECTION (POINT EMPTY, MULTIPOLYGON (EMPTY, ((0 0, 1 0, 1 1, 0 0))))');
+    expect(geometry instanceof jsts.geom.GeometryCollection).toBeTruthy();
+    expect(geometry.getNumGeometries()).toEqual(2);
+    expect(geometry.getGeometryN(0).isEmpty()).toBeTruthy();
+    expect(geometry.getGeometryN(1).getNumGeometries()).toEqual(2);
+  });
+
+  it('can read both MULTIPOINT forms', function() {
+    var a = reader.read('MULTIPOINT ((10 40), (40 30))');
+    var b = reader.read('MULTIPOINT (10 40, 40 30)');
+    expect(a.getNumGeometries()).toEqual(2);
+    expect(a.equalsExact(b)).toBeTruthy();
+  });
+
+  it('keeps Z values and skips M values', function() {
+    var point = reader.read('POINT ZM (1 2 3 4)');
+    expect(point.getCoordinate().z).toEqual(3);
+
+    var line = reader.read('LINESTRINGM (1 2 5, 3 4 6)');
+    expect(isNaN(line.getCoordinateN(1).z)).toBeTruthy();
+    expect(line.getCoordinateN(1).y).toEqual(4);
+  });
+
+  it('can read numbers in scientific notation', function() {
+    var point = reader.read('POINT (1.5e3 -2E-2)');
+    expect(point.getX()).toEqual(1500);
+    expect(point.getY()).toEqual(-0.02);
+  });
+
+  it('returns undefined for missing or blank input', function() {
+    expect(reader.read(undefined)).toBeUndefined();
+    expect(reader.read(null)).toBeUndefined();
+    expect(reader.read('')).toBeUndefined();
+    expect(reader.read('  \n ')).toBeUndefined();
+  });
+
+  it('reports the position of a parse error', function() {
+    var error = null;
+    try {
+      reader.read('LINESTRING (0 0, 1 x)');
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof jsts.error.ParseError).toBeTruthy();
+    expect(error.message).toContain('at position 19');
+  });
+
+  it('rejects text following the geometry', function() {
+    var error = null;
+    try {
+      reader.read('POINT (1 2) POINT (3 4)');
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof jsts.error.ParseError).toBeTruthy();
+    expect(error.message).toContain('at position 12');
+  });
+
+  it('rejects a LINESTRING with a single point', function() {
+    var error = null;
+    try {
+      reader.read('MULTILINESTRING ((0 0, 1 1), (0 0))');
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof jsts.error.ParseError).toBeTruthy();
+    expect(error.message).toContain('at position 29');
+    expect(function() {
+      reader.read('LINESTRING (0 0)');
+    }).toThrow();
+  });
+
+  it('rejects numbers run together with other characters', function() {
+    var wkts = ['POINT (1.2.3 4)', 'POINT (1-2)', 'POINT (1 2x)'];
+    for (var i = 0; i < wkts.length; i++) {
+      var error = null;
+      try {
+        reader.read(wkts[i]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error instanceof jsts.error.ParseError).toBeTruthy();
+    }
+  });
+
+  it('reads numbers followed by a delimiter or the end of input', function() {
+    var point = reader.read('POINT(1 2)');
+    expect(point.getX()).toEqual(1);
+    expect(point.getY()).toEqual(2);
+    var line = reader.read('LINESTRING (0 0,1.5 -2)');
+    expect(line.getCoordinateN(1).y).toEqual(-2);
+  });
+
   it('can write POLYGON WKT', function() {
     var geometry = reader.read('POLYGON ((20 20, 20 100, 120 100, 140 20, 20 20))');
     var wkt2 = writer.write(geometry);
@@ -41,3 +135,322 @@ describe('jsts.io.*', function() {
     expect(geometry.equals(geometry2)).toBeTruthy();
   });
 });
+
+describe('jsts.io.WKTWriter', function() {
+
+  var reader = new jsts.io.WKTReader();
+  var writer = new jsts.io.WKTWriter();
+
+  it('gives back the text read by WKTReader', function() {
+    var wkts = [
+      'POINT (10 20)',
+      'POINT EMPTY',
+      'LINESTRING (0 0, 10 10.5, 20 -0.25)',
+      'LINESTRING EMPTY',
+      'LINEARRING (0 0, 10 0, 10 10, 0 0)',
+      'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (1 1, 2 1, 2 2, 1 1))',
+      'POLYGON EMPTY',
+      'MULTIPOINT ((10 40), (40 30))',
+      'MULTIPOINT EMPTY',
+      'MULTILINESTRING ((0 0, 1 1), (2 2, 3 3))',
+      'MULTILINESTRING EMPTY',
+      'MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), EMPTY)',
+      'MULTIPOLYGON EMPTY',
+      'GEOMETRYCOLLECTION (POINT (1 2), LINESTRING EMPTY)',
+      'GEOMETRYCOLLECTION EMPTY'
+    ];
+    for (var i = 0; i < wkts.length; i++) {
+      expect(writer.write(reader.read(wkts[i]))).toEqual(wkts[i]);
+    }
+  });
+
+  it('rounds numbers to the precision model', function() {
+    var factory = new jsts.geom.GeometryFactory(new jsts.geom.PrecisionModel(100));
+    var point = factory.createPoint(new jsts.geom.Coordinate(1.25, 3));
+    expect(writer.write(point)).toEqual('POINT (1.25 3)');
+
+    factory = new jsts.geom.GeometryFactory(new jsts.geom.PrecisionModel(10));
+    point = factory.createPoint(new jsts.geom.Coordinate(1.23456, 3));
+    expect(writer.write(point)).toEqual('POINT (1.23 3)');
+
+    point = reader.read('POINT (1.23456789012 3)');
+    expect(writer.write(point)).toEqual('POINT (1.23456789012 3)');
+  });
+
+  it('does not write numbers in scientific notation', function() {
+    var point = reader.read('POINT (1e-7 2)');
+    expect(writer.write(point)).toEqual('POINT (0.0000001 2)');
+  });
+
+  it('writes Z values when the output dimension is 3', function() {
+    var geometry = reader.read('LINESTRING Z (0 0 1, 10 10 2)');
+    expect(new jsts.io.WKTWriter(3).write(geometry)).toEqual(
+        'LINESTRING Z (0 0 1, 10 10 2)');
+    expect(writer.write(geometry)).toEqual('LINESTRING (0 0, 10 10)');
+  });
+
+  it('can write indented multi-line output', function() {
+    var geometry = reader.read('MULTILINESTRING ((0 0, 1 1, 2 2), (3 3, 4 4))');
+    var formatted = new jsts.io.WKTWriter();
+    formatted.setMaxCoordinatesPerLine(2);
+    expect(formatted.writeFormatted(geometry)).toEqual(
+        'MULTILINESTRING ((0 0, 1 1, \n  2 2), \n  (3 3, 4 4))');
+  });
+});
+
+describe('jsts.io.GeoJSONReader and jsts.io.GeoJSONWriter', function() {
+
+  var reader = new jsts.io.GeoJSONReader();
+  var writer = new jsts.io.GeoJSONWriter();
+  var wktReader = new jsts.io.WKTReader();
+
+  var geometries = [
+    {type: 'Point', coordinates: [1, 2]},
+    {type: 'Point', coordinates: []},
+    {type: 'LineString', coordinates: [[0, 0], [10, 10], [20, 0]]},
+    {type: 'Polygon', coordinates: [
+      [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+      [[1, 1], [2, 1], [2, 2], [1, 1]]]},
+    {type: 'MultiPoint', coordinates: [[0, 0], [1, 1]]},
+    {type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]]},
+    {type: 'MultiPolygon', coordinates: [
+      [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+      [[[5, 5], [6, 5], [6, 6], [5, 5]]]]},
+    {type: 'GeometryCollection', geometries: [
+      {type: 'Point', coordinates: [1, 2]},
+      {type: 'LineString', coordinates: [[0, 0], [1, 1]]}]}
+  ];
+
+  it('round-trips all geometry types', function() {
+    geometries.forEach(function(geoJson) {
+      expect(writer.write(reader.read(geoJson))).toEqual(geoJson);
+    });
+  });
+
+  it('reads geometries equal to their WKT counterparts', function() {
+    var polygon = reader.read(geometries[3]);
+    expect(polygon instanceof jsts.geom.Polygon).toBeTruthy();
+    expect(polygon.equalsExact(wktReader.read(
+        'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (1 1, 2 1, 2 2, 1 1))')))
+        .toBeTruthy();
+  });
+
+  it('reads JSON text', function() {
+    var point = reader.read('{"type": "Point", "coordinates": [3, 4]}');
+    expect(point.getX()).toEqual(3);
+    expect(point.getY()).toEqual(4);
+  });
+
+  it('keeps Z values', function() {
+    var geoJson = {type: 'LineString', coordinates: [[0, 0, 5], [1, 1, 6]]};
+    var line = reader.read(geoJson);
+    expect(line.getCoordinates()[1].z).toEqual(6);
+    expect(writer.write(line)).toEqual(geoJson);
+  });
+
+  it('writes a LinearRing as a LineString', function() {
+    var ring = wktReader.read('LINEARRING (0 0, 1 0, 1 1, 0 0)');
+    expect(writer.write(ring).type).toEqual('LineString');
+  });
+
+  it('reads and writes features with their properties', function() {
+    var geoJson = {
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        id: 'a',
+        geometry: {type: 'Point', coordinates: [1, 2]},
+        properties: {name: 'first', value: 1}
+      }, {
+        type: 'Feature',
+        geometry: null,
+        properties: null
+      }]
+    };
+    var featureCollection = reader.read(geoJson);
+    var feature = featureCollection.features[0];
+    expect(feature.id).toEqual('a');
+    expect(feature.properties).toEqual({name: 'first', value: 1});
+    expect(feature.geometry instanceof jsts.geom.Point).toBeTruthy();
+    expect(featureCollection.features[1].geometry).toBeNull();
+    expect(writer.write(featureCollection)).toEqual(geoJson);
+  });
+
+  it('fails on invalid structures', function() {
+    var invalid = [
+      '{"type": "Point"',
+      [],
+      {coordinates: [1, 2]},
+      {type: 'Circle', coordinates: [1, 2]},
+      {type: 'Point'},
+      {type: 'Point', coordinates: [1]},
+      {type: 'Point', coordinates: ['1', 2]},
+      {type: 'LineString', coordinates: [[0, 0]]},
+      {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]]},
+      {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]]},
+      {type: 'GeometryCollection'},
+      {type: 'Feature', properties: {}},
+      {type: 'Feature', geometry: null, properties: []},
+      {type: 'FeatureCollection', features: [{type: 'Point',
+        coordinates: [1, 2]}]}
+    ];
+    invalid.forEach(function(geoJson) {
+      expect(function() {
+        reader.read(geoJson);
+      }).toThrow();
+    });
+    expect(function() {
+      writer.write({type: 'Point'});
+    }).toThrow();
+  });
+});
+
+describe('jsts.io.WKBReader and jsts.io.WKBWriter', function() {
+
+  var reader = new jsts.io.WKBReader();
+  var wktReader = new jsts.io.WKTReader();
+  var wktWriter = new jsts.io.WKTWriter();
+  var NDR = jsts.io.WKBConstants.wkbNDR;
+  var XDR = jsts.io.WKBConstants.wkbXDR;
+
+  var wkts = [
+    'POINT (1 2)',
+    'LINESTRING (0 0, 10 10, 20 0)',
+    'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (1 1, 2 1, 2 2, 1 1))',
+    'POLYGON EMPTY',
+    'MULTIPOINT ((0 0), (1 1))',
+    'MULTILINESTRING ((0 0, 1 1), (2 2, 3 3))',
+    'MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6, 5 5)))',
+    'GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))',
+    'GEOMETRYCOLLECTION EMPTY'
+  ];
+
+  it('round-trips all geometry types in both byte orders', function() {
+    [XDR, NDR].forEach(function(byteOrder) {
+      var writer = new jsts.io.WKBWriter(2, byteOrder);
+      wkts.forEach(function(wkt) {
+        var geometry = wktReader.read(wkt);
+        expect(wktWriter.write(reader.read(writer.write(geometry))))
+            .toEqual(wkt);
+        expect(wktWriter.write(reader.read(writer.writeHex(geometry))))
+            .toEqual(wkt);
+      });
+    });
+  });
+
+  it('reads and writes hex in both byte orders', function() {
+    var point = wktReader.read('POINT (1 2)');
+    var ndr = '0101000000000000000000F03F0000000000000040';
+    var xdr = '00000000013FF00000000000004000000000000000';
+    expect(new jsts.io.WKBWriter(2, NDR).writeHex(point)).toEqual(ndr);
+    expect(new jsts.io.WKBWriter().writeHex(point)).toEqual(xdr);
+    expect(reader.read(ndr).equalsExact(point)).toBeTruthy();
+    expect(reader.read(xdr.toLowerCase()).equalsExact(point)).toBeTruthy();
+  });
+
+  it('reads DataViews and typed arrays', function() {
+    var bytes = new Uint8Array(jsts.io.WKBReader.hexToBytes(
+        'FF0101000000000000000000F03F0000000000000040'));
+    var point = wktReader.read('POINT (1 2)');
+    expect(reader.read(new DataView(bytes.buffer, 1)).equalsExact(point))
+        .toBeTruthy();
+    expect(reader.read(bytes.subarray(1)).equalsExact(point)).toBeTruthy();
+  });
+
+  it('reads and writes the EWKB SRID', function() {
+    var hex = '0101000020E6100000000000000000F03F0000000000000040';
+    var point = reader.read(hex);
+    expect(point.getSRID()).toEqual(4326);
+    expect(point.getX()).toEqual(1);
+    expect(new jsts.io.WKBWriter(2, NDR, true).writeHex(point)).toEqual(hex);
+  });
+
+  it('reads Z and M dimensions', function() {
+    // EWKB POINT Z (1 2 3)
+    var point = reader.read(
+        '0101000080000000000000F03F00000000000000400000000000000840');
+    expect(point.getCoordinate().z).toEqual(3);
+    // ISO POINT ZM (1 2 3 4)
+    point = reader.read('01B90B0000000000000000F03F0000000000000040' +
+        '00000000000008400000000000001040');
+    expect(point.getX()).toEqual(1);
+    expect(point.getCoordinate().z).toEqual(3);
+    // EWKB LINESTRING M (1 2 3, 4 5 6)
+    var line = reader.read('010200004002000000000000000000F03F' +
+        '0000000000000040000000000000084000000000000010400000000000001440' +
+        '0000000000001840');
+    expect(wktWriter.write(line)).toEqual('LINESTRING (1 2, 4 5)');
+  });
+
+  it('writes Z values when the output dimension is 3', function() {
+    var geometry = wktReader.read('LINESTRING Z (0 0 1, 10 10 2)');
+    var wkb = new jsts.io.WKBWriter(3).write(geometry);
+    expect(new jsts.io.WKTWriter(3).write(reader.read(wkb))).toEqual(
+        'LINESTRING Z (0 0 1, 10 10 2)');
+  });
+
+  it('reads empty points written with NaN ordinates', function() {
+    var point = reader.read(new jsts.io.WKBWriter().write(
+        wktReader.read('POINT EMPTY')));
+    expect(point.isEmpty()).toBeTruthy();
+  });
+
+  it('fails on malformed input', function() {
+    var invalid = [
+      '0101000000000000000000F03F00000000000000',
+      '0101000000000000000000F03F000000000000004',
+      '01010000000000000000000GF03F0000000000000040',
+      '0201000000000000000000F03F0000000000000040',
+      '0109000000',
+      '010400000001000000010200000000000000'
+    ];
+    invalid.forEach(function(hex) {
+      expect(function() {
+        reader.read(hex);
+      }).toThrow();
+    });
+  });
+});
+
+describe('jsts.io.OpenLayersParser', function() {
+  var parser = new jsts.io.OpenLayersParser();
+  var wktReader = new jsts.io.WKTReader();
+  var wktWriter = new jsts.io.WKTWriter();
+
+  var roundTrip = function(wkt) {
+    var olGeometry = parser.write(wktReader.read(wkt));
+    return wktWriter.write(parser.read(olGeometry));
+  };
+
+  it('converts to OpenLayers geometries', function() {
+    var olPolygon = parser.write(wktReader
+        .read('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))'));
+    expect(olPolygon.CLASS_NAME).toEqual('OpenLayers.Geometry.Polygon');
+    expect(olPolygon.components[0].CLASS_NAME).toEqual(
+        'OpenLayers.Geometry.LinearRing');
+    expect(olPolygon.components[0].components[2].x).toEqual(10);
+  });
+
+  it('converts from OpenLayers geometries', function() {
+    var olPoint = new OpenLayers.Geometry.Point(1, 2);
+    var point = parser.read(olPoint);
+    expect(point instanceof jsts.geom.Point).toBeTruthy();
+    expect(wktWriter.write(point)).toEqual('POINT (1 2)');
+  });
+
+  it('round trips all geometry types', function() {
+    var wkts = [
+      'POINT (1 2)',
+      'LINESTRING (0 0, 10 10, 20 0)',
+      'LINEARRING (0 0, 10 0, 10 10, 0 0)',
+      'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (2 2, 2 4, 4 4, 2 2))',
+      'MULTIPOINT ((0 0), (1 1))',
+      'MULTILINESTRING ((0 0, 1 1), (2 2, 3 3))',
+      'MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((2 2, 3 2, 3 3, 2 2)))',
+      'GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))'
+    ];
+    wkts.forEach(function(wkt) {
+      expect(roundTrip(wkt)).toEqual(wkt);
+    });
+  });
+});
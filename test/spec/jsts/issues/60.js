@@ -1,15 +1,28 @@
 describe('GitHub issue #60', function() {
 
+  var geometryFactory = new jsts.geom.GeometryFactory();
+
+  var createRegularPolygon = function(x, y, radius, sides) {
+    var angle = Math.PI * ((1 / sides) - (1 / 2));
+    var coordinates = [];
+    for (var i = 0; i < sides; ++i) {
+      var rotatedAngle = angle + (i * 2 * Math.PI / sides);
+      coordinates.push(new jsts.geom.Coordinate(x + (radius * Math
+          .cos(rotatedAngle)), y + (radius * Math.sin(rotatedAngle))));
+    }
+    coordinates.push(coordinates[0].clone());
+    return geometryFactory.createPolygon(geometryFactory
+        .createLinearRing(coordinates));
+  };
+
   it('PrecisionModel on difference result should not be undefined', function() {
 
-      var poly1 = OpenLayers.Geometry.Polygon.createRegularPolygon(
-          new OpenLayers.Geometry.Point(0.0, 0.0), 2, 5);
-      var poly2 = OpenLayers.Geometry.Polygon.createRegularPolygon(
-          new OpenLayers.Geometry.Point(1.0, 1.0), 2, 4);
+      var poly1 = createRegularPolygon(0.0, 0.0, 2, 5);
+      var poly2 = createRegularPolygon(1.0, 1.0, 2, 4);
       var poly3 = poly1.difference(poly2);
       
       var precisionModel = poly3.getPrecisionModel();
       
       expect(precisionModel).toBeDefined();
   });
-});
\ No newline at end of file
+});
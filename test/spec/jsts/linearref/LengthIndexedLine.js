@@ -0,0 +1,115 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.linearref.LengthIndexedLine', function() {
+  var reader = new jsts.io.WKTReader();
+  var indexedLine = function(wkt) {
+    return new jsts.linearref.LengthIndexedLine(reader.read(wkt));
+  };
+  var equalsWkt = function(geom, wkt) {
+    return geom.equalsExact(reader.read(wkt), 1.0e-9);
+  };
+  var isClose = function(a, b) {
+    return Math.abs(a - b) < 1.0e-9;
+  };
+
+  it('rejects non-linear geometries', function() {
+    expect(function() {
+      indexedLine('POINT (0 0)');
+    }).toThrow();
+  });
+
+  it('extracts points by length, measuring negative lengths from the end',
+      function() {
+        var line = indexedLine('LINESTRING (0 0, 10 0, 10 10)');
+        expect(line.extractPoint(5).equals2D(new jsts.geom.Coordinate(5, 0)))
+            .toBeTruthy();
+        expect(line.extractPoint(-5).equals2D(
+            new jsts.geom.Coordinate(10, 5))).toBeTruthy();
+        expect(line.extractPoint(100).equals2D(
+            new jsts.geom.Coordinate(10, 10))).toBeTruthy();
+      });
+
+  it('extracts points offset perpendicular to the line', function() {
+    var line = indexedLine('LINESTRING (0 0, 10 0, 10 10)');
+    expect(line.extractPoint(5, 2).equals2D(new jsts.geom.Coordinate(5, 2)))
+        .toBeTruthy();
+    expect(line.extractPoint(5, -2).equals2D(
+        new jsts.geom.Coordinate(5, -2))).toBeTruthy();
+    // at a vertex the offset is taken from the segment starting there
+    expect(line.extractPoint(10, 1).equals2D(
+        new jsts.geom.Coordinate(9, 0))).toBeTruthy();
+    // at the end of the line it is taken from the last segment
+    expect(line.extractPoint(20, 1).equals2D(
+        new jsts.geom.Coordinate(9, 10))).toBeTruthy();
+  });
+
+  it('extracts lines between two indices', function() {
+    var line = indexedLine('LINESTRING (0 0, 10 0, 10 10)');
+    expect(equalsWkt(line.extractLine(5, 15),
+        'LINESTRING (5 0, 10 0, 10 5)')).toBeTruthy();
+    expect(equalsWkt(line.extractLine(15, 5),
+        'LINESTRING (10 5, 10 0, 5 0)')).toBeTruthy();
+    expect(equalsWkt(line.extractLine(-5, 100),
+        'LINESTRING (10 5, 10 10)')).toBeTruthy();
+    expect(equalsWkt(line.extractLine(5, 5),
+        'LINESTRING (5 0, 5 0)')).toBeTruthy();
+  });
+
+  it('projects points onto the line', function() {
+    var line = indexedLine('LINESTRING (0 0, 10 0, 10 10)');
+    expect(isClose(line.project(new jsts.geom.Coordinate(4, 3)), 4))
+        .toBeTruthy();
+    expect(isClose(line.project(new jsts.geom.Coordinate(20, 5)), 15))
+        .toBeTruthy();
+    expect(isClose(line.indexOf(new jsts.geom.Coordinate(10, 2)), 12))
+        .toBeTruthy();
+  });
+
+  it('finds later occurrences of a point with indexOfAfter', function() {
+    var line = indexedLine('LINESTRING (0 0, 10 0, 10 10, 5 10, 5 -10)');
+    var pt = new jsts.geom.Coordinate(5, 0);
+    expect(isClose(line.indexOf(pt), 5)).toBeTruthy();
+    expect(isClose(line.indexOfAfter(pt, 5), 35)).toBeTruthy();
+    expect(isClose(line.indexOfAfter(pt, 100), line.getEndIndex()))
+        .toBeTruthy();
+  });
+
+  it('works across the components of a MultiLineString', function() {
+    var line = indexedLine(
+        'MULTILINESTRING ((0 0, 10 0), (20 0, 20 10, 30 10))');
+    expect(line.getEndIndex()).toEqual(30);
+    expect(line.extractPoint(15).equals2D(
+        new jsts.geom.Coordinate(20, 5))).toBeTruthy();
+    expect(line.extractPoint(15, 1).equals2D(
+        new jsts.geom.Coordinate(19, 5))).toBeTruthy();
+    expect(isClose(line.project(new jsts.geom.Coordinate(25, 12)), 25))
+        .toBeTruthy();
+    expect(equalsWkt(line.extractLine(5, 15),
+        'MULTILINESTRING ((5 0, 10 0), (20 0, 20 5))')).toBeTruthy();
+
+    var indices = line.indicesOf(reader.read('LINESTRING (20 5, 20 10, 25 10)'));
+    expect(isClose(indices[0], 15)).toBeTruthy();
+    expect(isClose(indices[1], 25)).toBeTruthy();
+  });
+
+  it('measures the end point of a MultiLineString component', function() {
+    var line = indexedLine('MULTILINESTRING ((0 0, 10 0), (20 0, 20 10))');
+    expect(isClose(line.project(new jsts.geom.Coordinate(10, 0)), 10))
+        .toBeTruthy();
+    expect(isClose(line.project(new jsts.geom.Coordinate(12, 1)), 10))
+        .toBeTruthy();
+    expect(isClose(line.project(new jsts.geom.Coordinate(20, 3)), 13))
+        .toBeTruthy();
+
+    var indices = line.indicesOf(reader.read('LINESTRING (5 0, 10 0)'));
+    expect(isClose(indices[0], 5)).toBeTruthy();
+    expect(isClose(indices[1], 10)).toBeTruthy();
+    indices = line.indicesOf(reader.read('LINESTRING (20 0, 20 5)'));
+    expect(isClose(indices[0], 10)).toBeTruthy();
+    expect(isClose(indices[1], 15)).toBeTruthy();
+  });
+});
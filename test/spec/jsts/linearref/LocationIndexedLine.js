@@ -0,0 +1,53 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.linearref.LocationIndexedLine', function() {
+  var reader = new jsts.io.WKTReader();
+  var LinearLocation = jsts.linearref.LinearLocation;
+
+  it('rejects non-linear geometries', function() {
+    expect(function() {
+      new jsts.linearref.LocationIndexedLine(reader.read('POINT (0 0)'));
+    }).toThrow();
+  });
+
+  it('extracts points and lines by location', function() {
+    var line = new jsts.linearref.LocationIndexedLine(
+        reader.read('MULTILINESTRING ((0 0, 10 0), (20 0, 20 10))'));
+    var loc = new LinearLocation(1, 0, 0.5);
+    expect(line.extractPoint(loc).equals2D(new jsts.geom.Coordinate(20, 5)))
+        .toBeTruthy();
+    expect(line.extractPoint(loc, -2).equals2D(
+        new jsts.geom.Coordinate(22, 5))).toBeTruthy();
+
+    var sub = line.extractLine(new LinearLocation(0, 0, 0.5), loc);
+    expect(sub.equalsExact(
+        reader.read('MULTILINESTRING ((5 0, 10 0), (20 0, 20 5))')))
+        .toBeTruthy();
+  });
+
+  it('projects points and finds later occurrences', function() {
+    var line = new jsts.linearref.LocationIndexedLine(
+        reader.read('LINESTRING (0 0, 10 0, 10 10, 5 10, 5 -10)'));
+    var pt = new jsts.geom.Coordinate(5, 0);
+    var first = line.indexOf(pt);
+    expect(first.compareTo(new LinearLocation(0, 0, 0.5))).toEqual(0);
+    var next = line.indexOfAfter(pt, first);
+    expect(next.compareTo(new LinearLocation(0, 3, 0.5))).toEqual(0);
+    expect(line.project(new jsts.geom.Coordinate(12, 4))
+        .compareTo(new LinearLocation(0, 1, 0.4))).toEqual(0);
+  });
+
+  it('clamps and validates locations', function() {
+    var line = new jsts.linearref.LocationIndexedLine(
+        reader.read('LINESTRING (0 0, 10 0)'));
+    var outside = new LinearLocation(3, 0, 0.0);
+    expect(line.isValidIndex(outside)).toBeFalsy();
+    var clamped = line.clampIndex(outside);
+    expect(line.isValidIndex(clamped)).toBeTruthy();
+    expect(clamped.compareTo(line.getEndIndex())).toEqual(0);
+  });
+});
@@ -0,0 +1,47 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.noding.IteratedNoder', function() {
+  var reader = new jsts.io.WKTReader();
+  var toSegmentStrings = function(wkts) {
+    var segStrings = new javascript.util.ArrayList();
+    for (var i = 0; i < wkts.length; i++) {
+      segStrings.add(new jsts.noding.NodedSegmentString(reader.read(wkts[i])
+          .getCoordinates(), null));
+    }
+    return segStrings;
+  };
+
+  it('fully nodes a set of segment strings', function() {
+    var noder = new jsts.noding.IteratedNoder(new jsts.geom.PrecisionModel());
+    noder.computeNodes(toSegmentStrings(['LINESTRING (0 0, 10 10)',
+      'LINESTRING (0 10, 10 0)', 'LINESTRING (5 0, 5 10)']));
+    var noded = noder.getNodedSubstrings();
+    expect(noded.size()).toEqual(6);
+    expect(new jsts.noding.FastNodingValidator(noded).isValid()).toBeTruthy();
+  });
+
+  it('reports the unresolved intersections when noding does not converge',
+      function() {
+        var noder = new jsts.noding.IteratedNoder(
+            new jsts.geom.PrecisionModel(1));
+        noder.setMaximumIterations(1);
+        var error = null;
+        try {
+          noder.computeNodes(toSegmentStrings(['LINESTRING (1 7, 7 3, 6 6)',
+            'LINESTRING (0 1, 7 2, 8 6)', 'LINESTRING (9 9, 2 8, 4 2)',
+            'LINESTRING (5 9, 3 7, 4 3)']));
+        } catch (e) {
+          error = e;
+        }
+        expect(error instanceof jsts.error.NodingError).toBeTruthy();
+        expect(error instanceof jsts.error.TopologyError).toBeTruthy();
+        var intersections = error.getIntersections();
+        expect(intersections.length).toEqual(1);
+        expect(intersections[0].equals2D(new jsts.geom.Coordinate(4, 4)))
+            .toBeTruthy();
+      });
+});
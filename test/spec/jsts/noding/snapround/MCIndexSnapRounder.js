@@ -0,0 +1,100 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.noding.snapround.MCIndexSnapRounder', function() {
+  var reader = new jsts.io.WKTReader();
+  var toSegmentStrings = function(wkts) {
+    var segStrings = new javascript.util.ArrayList();
+    for (var i = 0; i < wkts.length; i++) {
+      segStrings.add(new jsts.noding.NodedSegmentString(reader.read(wkts[i])
+          .getCoordinates(), null));
+    }
+    return segStrings;
+  };
+  var isNoded = function(segStrings) {
+    return new jsts.noding.FastNodingValidator(segStrings).isValid();
+  };
+
+  it('nodes crossing segments at the rounded intersection', function() {
+    var noder = new jsts.noding.snapround.MCIndexSnapRounder(
+        new jsts.geom.PrecisionModel(1.0));
+    noder.computeNodes(toSegmentStrings(['LINESTRING (0 0, 10 3)',
+      'LINESTRING (0 3, 10 0)']));
+    var noded = noder.getNodedSubstrings();
+    expect(noded.size()).toEqual(4);
+    expect(isNoded(noded)).toBeTruthy();
+    expect(noded.get(0).getCoordinate(1).equals2D(
+        new jsts.geom.Coordinate(5, 2))).toBeTruthy();
+  });
+
+  it('snaps segments passing through a hot pixel', function() {
+    var noder = new jsts.noding.snapround.MCIndexSnapRounder(
+        new jsts.geom.PrecisionModel(1.0));
+    noder.computeNodes(toSegmentStrings(['LINESTRING (0 0, 10 1)',
+      'LINESTRING (5 0, 5 5)']));
+    var noded = noder.getNodedSubstrings();
+    // the sloped segment also passes through the hot pixel of the vertex (5 0)
+    expect(noded.size()).toEqual(5);
+    expect(isNoded(noded)).toBeTruthy();
+  });
+});
+
+describe('jsts.noding.ScaledNoder', function() {
+  var reader = new jsts.io.WKTReader();
+
+  it('snap-rounds to a non-unit scale factor', function() {
+    var noder = new jsts.noding.ScaledNoder(
+        new jsts.noding.snapround.MCIndexSnapRounder(
+            new jsts.geom.PrecisionModel(1.0)), 10);
+    var segStrings = new javascript.util.ArrayList();
+    segStrings.add(new jsts.noding.NodedSegmentString(reader.read(
+        'LINESTRING (0 0, 1 0.3)').getCoordinates(), null));
+    segStrings.add(new jsts.noding.NodedSegmentString(reader.read(
+        'LINESTRING (0 0.3, 1 0)').getCoordinates(), null));
+    noder.computeNodes(segStrings);
+    var noded = noder.getNodedSubstrings();
+    expect(noded.size()).toEqual(4);
+    var node = noded.get(0).getCoordinate(1);
+    expect(Math.abs(node.x - 0.5) < 1e-10).toBeTruthy();
+    expect(Math.abs(node.y - 0.2) < 1e-10).toBeTruthy();
+  });
+});
+
+describe('jsts.noding.snapround.GeometryNoder', function() {
+  var reader = new jsts.io.WKTReader();
+
+  it('nodes the linework of several geometries', function() {
+    var noder = new jsts.noding.snapround.GeometryNoder(
+        new jsts.geom.PrecisionModel(100));
+    noder.setValidate(true);
+    var lines = noder.node([
+      reader.read('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))'),
+      reader.read('LINESTRING (-5 5.001, 15 4.999)')]);
+    // rings are split at their own vertices as well
+    expect(lines.length).toEqual(9);
+    var total = 0;
+    for (var i = 0; i < lines.length; i++) {
+      total += lines[i].getLength();
+    }
+    expect(Math.abs(total - 60) < 1e-3).toBeTruthy();
+  });
+
+  it('rounds the input to a unit precision model', function() {
+    var noder = new jsts.noding.snapround.GeometryNoder(
+        new jsts.geom.PrecisionModel(1));
+    noder.setValidate(true);
+    var lines = noder.node([reader.read('LINESTRING (0.2 0.3, 10.4 10.6)'),
+      reader.read('LINESTRING (0.1 10.2, 10.3 0.4)')]);
+    expect(lines.length).toEqual(4);
+    for (var i = 0; i < lines.length; i++) {
+      var pts = lines[i].getCoordinates();
+      for (var j = 0; j < pts.length; j++) {
+        expect(pts[j].x).toEqual(Math.round(pts[j].x));
+        expect(pts[j].y).toEqual(Math.round(pts[j].y));
+      }
+    }
+  });
+});
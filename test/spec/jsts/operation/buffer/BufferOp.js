@@ -3,4 +3,32 @@ describe('jsts.operation.buffer.BufferOp', function() {
     var bufferOp = new jsts.operation.buffer.BufferOp();
     expect(bufferOp).toBeDefined();
   });
+
+  it('bases the precision scale factor on coordinate magnitude', function() {
+    var geom = new jsts.io.WKTReader()
+        .read('LINESTRING (1000000 1000000, 1000010 1000010)');
+    expect(jsts.operation.buffer.BufferOp.precisionScaleFactor(geom, 10, 12))
+        .toEqual(100000);
+  });
+});
+
+describe('jsts.operation.buffer.BufferOp zero-width buffer', function() {
+  var reader = new jsts.io.WKTReader();
+
+  it('keeps all components of a multipolygon', function() {
+    var geom = reader
+        .read('MULTIPOLYGON (((0 0, 10 0, 10 10, 0 10, 0 0)), ((20 0, 30 0, 30 10, 20 10, 20 0)))');
+    var result = geom.buffer(0);
+    result.normalize();
+    geom.normalize();
+    expect(result.equalsExact(geom)).toBeTruthy();
+  });
+
+  it('splits a self-touching polygon', function() {
+    var geom = reader
+        .read('POLYGON ((40 240, 160 240, 280 240, 280 160, 160 240, 40 140, 40 240))');
+    var expected = reader
+        .read('MULTIPOLYGON (((40 240, 160 240, 40 140, 40 240)), ((160 240, 280 240, 280 160, 160 240)))');
+    expect(geom.buffer(0).equals(expected)).toBeTruthy();
+  });
 });
@@ -0,0 +1,68 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.operation.linemerge.LineMerger', function() {
+  var reader = new jsts.io.WKTReader();
+  var merge = function(wkts, isDirected) {
+    var merger = new jsts.operation.linemerge.LineMerger(isDirected);
+    for (var i = 0; i < wkts.length; i++) {
+      merger.add(reader.read(wkts[i]));
+    }
+    return merger.getMergedLineStrings();
+  };
+  var containsLine = function(lines, wkt) {
+    var expected = reader.read(wkt);
+    for (var i = 0; i < lines.length; i++) {
+      if (lines[i].equalsExact(expected))
+        return true;
+    }
+    return false;
+  };
+
+  it('merges lines at degree-2 nodes', function() {
+    var merged = merge(['LINESTRING (120 120, 180 140)',
+      'LINESTRING (200 180, 180 140)', 'LINESTRING (200 180, 240 180)']);
+    expect(merged.length).toEqual(1);
+    expect(containsLine(merged,
+        'LINESTRING (120 120, 180 140, 200 180, 240 180)')).toBeTruthy();
+  });
+
+  it('stops merging at nodes of degree 3 or more', function() {
+    var merged = merge(['MULTILINESTRING ((0 0, 10 0), (10 0, 20 0))',
+      'LINESTRING (10 0, 10 10)', 'LINESTRING (10 10, 10 20)']);
+    expect(merged.length).toEqual(3);
+    expect(containsLine(merged, 'LINESTRING (10 0, 10 10, 10 20)'))
+        .toBeTruthy();
+  });
+
+  it('merges isolated loops and linework of polygons', function() {
+    var merged = merge(['LINESTRING (0 0, 10 0, 10 10)',
+      'LINESTRING (10 10, 0 10, 0 0)',
+      'POLYGON ((20 0, 30 0, 30 10, 20 0))']);
+    expect(merged.length).toEqual(2);
+    expect(merged[0].isClosed()).toBeTruthy();
+    expect(merged[1].isClosed()).toBeTruthy();
+  });
+
+  it('ignores empty and zero-length lines', function() {
+    var merged = merge(['LINESTRING EMPTY', 'LINESTRING (5 5, 5 5)',
+      'LINESTRING (0 0, 1 1)']);
+    expect(merged.length).toEqual(1);
+  });
+
+  it('keeps the direction of the lines when directed', function() {
+    var wkts = ['LINESTRING (0 0, 10 0)', 'LINESTRING (20 0, 10 0)',
+      'LINESTRING (20 0, 30 0)', 'LINESTRING (30 0, 40 0)'];
+    expect(merge(wkts).length).toEqual(1);
+
+    var merged = merge(wkts, true);
+    expect(merged.length).toEqual(3);
+    expect(containsLine(merged, 'LINESTRING (0 0, 10 0)')).toBeTruthy();
+    expect(containsLine(merged, 'LINESTRING (20 0, 10 0)')).toBeTruthy();
+    expect(containsLine(merged, 'LINESTRING (20 0, 30 0, 40 0)'))
+        .toBeTruthy();
+  });
+});
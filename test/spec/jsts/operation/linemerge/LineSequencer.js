@@ -0,0 +1,85 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.operation.linemerge.LineSequencer', function() {
+  var reader = new jsts.io.WKTReader();
+  var LineSequencer = jsts.operation.linemerge.LineSequencer;
+  var sequencer = function(wkts) {
+    var s = new LineSequencer();
+    for (var i = 0; i < wkts.length; i++) {
+      s.add(reader.read(wkts[i]));
+    }
+    return s;
+  };
+  var checkSequence = function(wkts, expectedWkt) {
+    var s = sequencer(wkts);
+    expect(s.isSequenceable()).toBeTruthy();
+    var result = s.getSequencedLineStrings();
+    expect(result.equalsExact(reader.read(expectedWkt))).toBeTruthy();
+    expect(LineSequencer.isSequenced(result)).toBeTruthy();
+  };
+
+  it('sequences a simple path', function() {
+    checkSequence(['LINESTRING ( 0 0, 0 10 )', 'LINESTRING ( 0 20, 0 30 )',
+      'LINESTRING ( 0 10, 0 20 )'],
+        'MULTILINESTRING ((0 0, 0 10), (0 10, 0 20), (0 20, 0 30))');
+  });
+
+  it('reverses lines where necessary', function() {
+    checkSequence(['LINESTRING ( 0 0, 0 10 )', 'LINESTRING ( 0 30, 0 20 )',
+      'LINESTRING ( 0 10, 0 20 )'],
+        'MULTILINESTRING ((0 0, 0 10), (0 10, 0 20), (0 20, 0 30))');
+  });
+
+  it('sequences each connected component', function() {
+    checkSequence(['LINESTRING ( 0 0, 0 10 )', 'LINESTRING ( 0 20, 0 30 )',
+      'LINESTRING ( 0 10, 0 20 )', 'LINESTRING ( 10 0, 20 0 )'],
+        'MULTILINESTRING ((0 0, 0 10), (0 10, 0 20), (0 20, 0 30), ' +
+        '(10 0, 20 0))');
+  });
+
+  it('reports linework with more than two odd-degree nodes as unsequenceable',
+      function() {
+        var s = sequencer(['LINESTRING ( 0 0, 0 10 )',
+          'LINESTRING ( 0 10, 0 20 )', 'LINESTRING ( 0 10, 10 10 )',
+          'LINESTRING ( 0 10, -10 10 )']);
+        expect(s.isSequenceable()).toBeFalsy();
+        expect(s.getSequencedLineStrings()).toBeNull();
+      });
+
+  it('sequences a figure-eight loop', function() {
+    var s = sequencer(['LINESTRING ( 0 0, 10 0 )',
+      'LINESTRING ( 10 0, 10 10 )', 'LINESTRING ( 10 10, 0 0 )',
+      'LINESTRING ( 0 0, -10 0 )', 'LINESTRING ( -10 0, -10 -10 )',
+      'LINESTRING ( -10 -10, 0 0 )']);
+    expect(s.isSequenceable()).toBeTruthy();
+    var result = s.getSequencedLineStrings();
+    expect(result.getNumGeometries()).toEqual(6);
+    expect(LineSequencer.isSequenced(result)).toBeTruthy();
+  });
+
+  it('starts the sequence at an odd-degree node', function() {
+    var s = sequencer(['LINESTRING ( 1 0, 0 0 )', 'LINESTRING ( 0 1, 1 1 )',
+      'LINESTRING ( -1 0, -1 1 )', 'LINESTRING ( -1 1, 0 1 )',
+      'LINESTRING ( 0 0, 0 1 )', 'LINESTRING ( 0 0, -1 0 )',
+      'LINESTRING ( 1 1, 2 1 )', 'LINESTRING ( 2 1, 2 0 )',
+      'LINESTRING ( 2 0, 1 0 )']);
+    expect(s.isSequenceable()).toBeTruthy();
+    var result = s.getSequencedLineStrings();
+    expect(result.getNumGeometries()).toEqual(9);
+    expect(LineSequencer.isSequenced(result)).toBeTruthy();
+  });
+
+  it('tests whether a geometry is already sequenced', function() {
+    expect(LineSequencer.isSequenced(reader.read(
+        'MULTILINESTRING ((0 0, 0 10), (0 10, 0 20))'))).toBeTruthy();
+    expect(LineSequencer.isSequenced(reader.read(
+        'MULTILINESTRING ((0 0, 0 10), (10 0, 20 0), (0 10, 0 20))')))
+        .toBeFalsy();
+    expect(LineSequencer.isSequenced(reader.read('LINESTRING (0 0, 0 10)')))
+        .toBeTruthy();
+  });
+});
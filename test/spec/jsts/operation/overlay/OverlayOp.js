@@ -0,0 +1,45 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.operation.overlay.OverlayOp', function() {
+  var reader = new jsts.io.WKTReader();
+
+  var snapRoundedOverlay = function(wkt0, wkt1, opCode) {
+    var op = new jsts.operation.overlay.OverlayOp(reader.read(wkt0), reader
+        .read(wkt1));
+    op.setNoder(new jsts.noding.ScaledNoder(
+        new jsts.noding.snapround.MCIndexSnapRounder(
+            new jsts.geom.PrecisionModel(1.0)), 1.0));
+    return op.getResultGeometry(opCode);
+  };
+
+  it('computes an intersection with a snap-rounding noder', function() {
+    var result = snapRoundedOverlay(
+        'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))',
+        'POLYGON ((5 5, 15 5, 15 15, 5 15, 5 5))',
+        jsts.operation.overlay.OverlayOp.INTERSECTION);
+    expect(result.equalsTopo(reader
+        .read('POLYGON ((5 5, 10 5, 10 10, 5 10, 5 5))'))).toBeTruthy();
+  });
+
+  it('computes a union with a snap-rounding noder', function() {
+    var result = snapRoundedOverlay(
+        'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))',
+        'POLYGON ((10 0, 20 0, 20 10, 10 10, 10 0))',
+        jsts.operation.overlay.OverlayOp.UNION);
+    expect(result.equalsTopo(reader
+        .read('POLYGON ((0 0, 0 10, 20 10, 20 0, 0 0))'))).toBeTruthy();
+  });
+
+  it('rounds intersection points to the noder precision', function() {
+    var result = snapRoundedOverlay(
+        'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))',
+        'POLYGON ((5 5, 15 6, 15 15, 5 15, 5 5))',
+        jsts.operation.overlay.OverlayOp.INTERSECTION);
+    expect(result.equalsTopo(reader
+        .read('POLYGON ((5 5, 10 6, 10 10, 5 10, 5 5))'))).toBeTruthy();
+  });
+});
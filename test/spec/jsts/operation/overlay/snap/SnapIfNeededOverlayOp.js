@@ -11,4 +11,31 @@ describe('jsts.operation.overlay.snap.SnapIfNeededOverlayOp', function() {
     
     expect(union.equals(expected)).toBeTruthy();
   });
-});
\ No newline at end of file
+});
+describe('jsts.operation.overlay.snap.SnapIfNeededOverlayOp with a noder', function() {
+  var reader = new jsts.io.WKTReader();
+  var geom1 = reader.read('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))');
+  var geom2 = reader.read('POLYGON ((5 5, 15 5, 15 15, 5 15, 5 5))');
+  var error = new jsts.error.TopologyError('noding failed');
+
+  beforeEach(function() {
+    spyOn(jsts.operation.overlay.OverlayOp, 'overlayOp').andThrow(error);
+  });
+
+  it('falls back to the noder when the overlay fails', function() {
+    var op = new jsts.operation.overlay.snap.SnapIfNeededOverlayOp(geom1, geom2);
+    op.setNoder(new jsts.noding.ScaledNoder(
+        new jsts.noding.snapround.MCIndexSnapRounder(
+            new jsts.geom.PrecisionModel(1.0)), 1.0));
+    var result = op.getResultGeometry(jsts.operation.overlay.OverlayOp.INTERSECTION);
+    expect(result.equalsTopo(reader
+        .read('POLYGON ((5 5, 10 5, 10 10, 5 10, 5 5))'))).toBeTruthy();
+  });
+
+  it('throws the original error when no noder is set', function() {
+    var op = new jsts.operation.overlay.snap.SnapIfNeededOverlayOp(geom1, geom2);
+    expect(function() {
+      op.getResultGeometry(jsts.operation.overlay.OverlayOp.INTERSECTION);
+    }).toThrow(error);
+  });
+});
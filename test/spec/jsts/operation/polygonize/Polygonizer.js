@@ -0,0 +1,93 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.operation.polygonize.Polygonizer', function() {
+  var reader = new jsts.io.WKTReader();
+  var polygonizer = function(wkts, extractOnlyPolygonal) {
+    var p = new jsts.operation.polygonize.Polygonizer(extractOnlyPolygonal);
+    for (var i = 0; i < wkts.length; i++) {
+      p.add(reader.read(wkts[i]));
+    }
+    return p;
+  };
+  var containsGeometry = function(geoms, wkt) {
+    var expected = reader.read(wkt);
+    expected.normalize();
+    for (var i = 0; i < geoms.length; i++) {
+      var g = geoms[i].clone();
+      g.normalize();
+      if (g.equalsExact(expected))
+        return true;
+    }
+    return false;
+  };
+
+  it('returns no polygons for empty input', function() {
+    var p = polygonizer(['LINESTRING EMPTY', 'LINESTRING EMPTY']);
+    expect(p.getPolygons().length).toEqual(0);
+  });
+
+  it('builds polygons with holes from nested rings', function() {
+    var polys = polygonizer(['LINESTRING (100 180, 20 20, 160 20, 100 180)',
+      'LINESTRING (100 180, 80 60, 120 60, 100 180)']).getPolygons();
+    expect(polys.length).toEqual(2);
+    expect(containsGeometry(polys,
+        'POLYGON ((100 180, 120 60, 80 60, 100 180))')).toBeTruthy();
+    expect(containsGeometry(polys, 'POLYGON ((100 180, 160 20, 20 20, ' +
+        '100 180), (100 180, 80 60, 120 60, 100 180))')).toBeTruthy();
+  });
+
+  it('finds every face of a set of noded lines', function() {
+    var polys = polygonizer(['LINESTRING (0 0, 10 0)',
+      'LINESTRING (10 0, 20 0, 20 10, 10 10)',
+      'LINESTRING (10 10, 0 10, 0 0)', 'LINESTRING (10 0, 10 10)'])
+        .getPolygons();
+    expect(polys.length).toEqual(2);
+    expect(polys[0].getArea() + polys[1].getArea()).toEqual(200);
+  });
+
+  it('reports dangles, cut edges and invalid ring lines', function() {
+    var p = polygonizer([
+      'LINESTRING (10 0, 0 0, 0 10, 10 10)', 'LINESTRING (10 10, 10 0)',
+      'LINESTRING (10 10, 15 15)',
+      'LINESTRING (20 0, 30 0, 30 10, 20 10, 20 0)',
+      'LINESTRING (10 0, 20 0)',
+      'LINESTRING (40 0, 50 10, 50 0, 40 10, 40 0)']);
+    expect(p.getPolygons().length).toEqual(2);
+    expect(p.getDangles().length).toEqual(1);
+    expect(containsGeometry(p.getDangles(), 'LINESTRING (10 10, 15 15)'))
+        .toBeTruthy();
+    expect(p.getCutEdges().length).toEqual(1);
+    expect(containsGeometry(p.getCutEdges(), 'LINESTRING (10 0, 20 0)'))
+        .toBeTruthy();
+    // the self-intersecting ring is reported from both of its sides
+    expect(p.getInvalidRingLines().length).toEqual(2);
+  });
+
+  it('recomputes the polygons when lines are added afterwards', function() {
+    var p = polygonizer(['LINESTRING (0 0, 10 0, 10 10, 0 10)']);
+    expect(p.getPolygons().length).toEqual(0);
+    expect(p.getDangles().length).toEqual(1);
+
+    p.add(reader.read('LINESTRING (0 10, 0 0)'));
+    expect(p.getPolygons().length).toEqual(1);
+    expect(p.getDangles().length).toEqual(0);
+    expect(p.getPolygons()[0].getArea()).toEqual(100);
+  });
+
+  it('extracts only polygons forming a valid coverage', function() {
+    var wkts = ['LINESTRING (100 100, 100 300, 300 300, 300 100, 100 100)',
+      'LINESTRING (150 150, 150 250, 250 250, 250 150, 150 150)'];
+    expect(polygonizer(wkts).getPolygons().length).toEqual(2);
+
+    var p = polygonizer(wkts, true);
+    expect(p.getPolygons().length).toEqual(1);
+    var result = p.getGeometry();
+    expect(result instanceof jsts.geom.Polygon).toBeTruthy();
+    expect(result.isValid()).toBeTruthy();
+    expect(result.getArea()).toEqual(30000);
+  });
+});
@@ -41,7 +41,7 @@ describe('jsts.operation.valid.IsValidOp', function() {
     expect(valid).toBeFalsy();
     
     err = isValidOp.getValidationError();
-    expect(err.getErrorType()).toBe(jsts.error.TopologyValidationError.RING_SELF_INTERSECTION);
+    expect(err.getErrorType()).toBe(jsts.error.TopologyValidationError.SELF_INTERSECTION);
   });
   
   it('Detects a NaN- coordinate.', function() {
@@ -0,0 +1,125 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.operation.valid.MakeValidOp', function() {
+  var reader = new jsts.io.WKTReader();
+  var GeometryRepair = jsts.operation.valid.GeometryRepair;
+  var makeValid = function(wkt, keepCollapsed) {
+    var op = new jsts.operation.valid.MakeValidOp(reader.read(wkt));
+    op.setKeepCollapsed(keepCollapsed === true);
+    return op;
+  };
+  var repairTypes = function(op) {
+    return op.getRepairs().map(function(repair) {
+      return repair.getRepairType();
+    });
+  };
+
+  it('returns valid input unchanged with no repairs', function() {
+    var wkt = 'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))';
+    var op = makeValid(wkt);
+    expect(op.getResult().equalsExact(reader.read(wkt))).toBeTruthy();
+    expect(op.getRepairs().length).toEqual(0);
+  });
+
+  it('splits a bow-tie into two polygons', function() {
+    var op = makeValid('POLYGON ((0 0, 10 10, 0 10, 10 0, 0 0))');
+    var result = op.getResult();
+    expect(result.isValid()).toBeTruthy();
+    expect(result.getNumGeometries()).toEqual(2);
+    expect(result.getArea()).toEqual(50);
+
+    var repair = op.getRepairs()[0];
+    expect(repair.getRepairType()).toEqual(GeometryRepair.AREA_REBUILT);
+    expect(repair.getValidationError().getErrorType()).toEqual(
+        jsts.error.TopologyValidationError.SELF_INTERSECTION);
+    expect(repair.getCoordinate().equals2D(new jsts.geom.Coordinate(5, 5)))
+        .toBeTruthy();
+  });
+
+  it('keeps a hole lying outside its shell as area', function() {
+    var result = makeValid(
+        'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (20 20, 30 20, 30 30, 20 30, 20 20))')
+        .getResult();
+    expect(result.isValid()).toBeTruthy();
+    expect(result.getArea()).toEqual(200);
+  });
+
+  it('turns a self-touching shell into a polygon with a hole', function() {
+    var result = makeValid(
+        'POLYGON ((0 0, 10 0, 10 10, 5 10, 7 5, 3 5, 5 10, 0 10, 0 0))')
+        .getResult();
+    expect(result.isValid()).toBeTruthy();
+    expect(result.getNumInteriorRing()).toEqual(1);
+    expect(result.getArea()).toEqual(90);
+  });
+
+  it('fills the overlap of two holes by the even-odd rule', function() {
+    var result = makeValid(
+        'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (2 2, 6 2, 6 6, 2 6, 2 2), (4 4, 8 4, 8 8, 4 8, 4 4))')
+        .getResult();
+    expect(result.isValid()).toBeTruthy();
+    expect(result.getNumGeometries()).toEqual(2);
+    expect(result.getArea()).toEqual(76);
+  });
+
+  it('drops a hole edge lying on the shell', function() {
+    var result = makeValid(
+        'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (0 0, 5 0, 5 5, 0 5, 0 0))')
+        .getResult();
+    expect(result.equalsTopo(reader
+        .read('POLYGON ((5 0, 10 0, 10 10, 0 10, 0 5, 5 5, 5 0))')))
+        .toBeTruthy();
+  });
+
+  it('dissolves overlapping multipolygon components', function() {
+    var result = makeValid(
+        'MULTIPOLYGON (((0 0, 10 0, 10 10, 0 10, 0 0)), ((5 5, 15 5, 15 15, 5 15, 5 5)))')
+        .getResult();
+    expect(result.isValid()).toBeTruthy();
+    expect(result.getNumGeometries()).toEqual(1);
+    expect(result.getArea()).toEqual(175);
+  });
+
+  it('removes collapsed parts by default', function() {
+    var op = makeValid('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0, 0 -5, 0 0))');
+    expect(op.getResult().equalsTopo(reader
+        .read('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))'))).toBeTruthy();
+    expect(repairTypes(op)).toEqual(
+        [GeometryRepair.AREA_REBUILT, GeometryRepair.COLLAPSE_REMOVED]);
+  });
+
+  it('keeps collapsed parts as lines when requested', function() {
+    var op = makeValid('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0, 0 -5, 0 0))',
+        true);
+    var result = op.getResult();
+    expect(result.getNumGeometries()).toEqual(2);
+    expect(result.getArea()).toEqual(100);
+    expect(result.getLength()).toEqual(45);
+    expect(repairTypes(op)).toEqual(
+        [GeometryRepair.AREA_REBUILT, GeometryRepair.COLLAPSED_TO_LINE]);
+  });
+
+  it('keeps a line with a single distinct point as a point when requested',
+      function() {
+        expect(makeValid('LINESTRING (1 1, 1 1)').getResult().isEmpty())
+            .toBeTruthy();
+        var op = makeValid('LINESTRING (1 1, 1 1)', true);
+        expect(op.getResult().equalsExact(reader.read('POINT (1 1)')))
+            .toBeTruthy();
+        expect(repairTypes(op)).toEqual([GeometryRepair.COLLAPSED_TO_POINT]);
+      });
+
+  it('removes invalid coordinates', function() {
+    var factory = new jsts.geom.GeometryFactory();
+    var line = factory.createLineString([new jsts.geom.Coordinate(0, 0),
+        new jsts.geom.Coordinate(1, NaN), new jsts.geom.Coordinate(2, 2)]);
+    var op = new jsts.operation.valid.MakeValidOp(line);
+    expect(op.getResult().equalsExact(reader.read('LINESTRING (0 0, 2 2)')))
+        .toBeTruthy();
+    expect(repairTypes(op)).toEqual([GeometryRepair.INVALID_COORDINATE]);
+  });
+});
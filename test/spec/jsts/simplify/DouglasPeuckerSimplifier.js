@@ -0,0 +1,71 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.simplify.DouglasPeuckerSimplifier', function() {
+  var reader = new jsts.io.WKTReader();
+  var simplify = function(wkt, tolerance) {
+    return jsts.simplify.DouglasPeuckerSimplifier.simplify(reader.read(wkt),
+        tolerance);
+  };
+
+  it('removes vertices within the tolerance of a linestring', function() {
+    var result = simplify('LINESTRING (0 5, 1 5, 2 5, 5 5)', 10);
+    expect(result.equals(reader.read('LINESTRING (0 5, 5 5)'))).toBeTruthy();
+  });
+
+  it('simplifies each component of a multilinestring', function() {
+    var result = simplify(
+        'MULTILINESTRING ((0 0, 50 0, 70 0, 80 0, 100 0), (0 0, 50 1, 60 1, 100 0))',
+        10);
+    expect(result.equals(reader
+        .read('MULTILINESTRING ((0 0, 100 0), (0 0, 100 0))'))).toBeTruthy();
+  });
+
+  it('simplifies a polygon', function() {
+    var result = simplify(
+        'POLYGON ((20 220, 40 220, 60 220, 80 220, 100 220, 120 220, 140 220, 140 180, 100 180, 60 180, 20 180, 20 220))',
+        10);
+    expect(result.equals(reader
+        .read('POLYGON ((20 220, 140 220, 140 180, 20 180, 20 220))')))
+        .toBeTruthy();
+  });
+
+  it('splits a polygon which simplification made self-touching', function() {
+    var result = simplify(
+        'POLYGON ((40 240, 160 241, 280 240, 280 160, 160 240, 40 140, 40 240))',
+        1);
+    expect(result.getNumGeometries()).toEqual(2);
+  });
+
+  it('produces a valid polygon from a self-touching result', function() {
+    var result = simplify(
+        'POLYGON ((40 240, 160 241, 280 240, 280 160, 160 240, 40 140, 40 240))',
+        1);
+    expect(result.isValid()).toBeTruthy();
+  });
+
+  it('collapses a polygon smaller than the tolerance to empty', function() {
+    var result = simplify('POLYGON ((0 0, 5 0, 5 5, 0 5, 0 0))', 10);
+    expect(result.isEmpty()).toBeTruthy();
+  });
+
+  it('leaves points unchanged', function() {
+    var wkt = 'MULTIPOINT ((80 200), (240 200), (240 60))';
+    expect(simplify(wkt, 10).equals(reader.read(wkt))).toBeTruthy();
+  });
+
+  it('returns an empty geometry for empty input', function() {
+    expect(simplify('POLYGON EMPTY', 10).isEmpty()).toBeTruthy();
+  });
+
+  it('rejects a negative tolerance', function() {
+    var simplifier = new jsts.simplify.DouglasPeuckerSimplifier(reader
+        .read('LINESTRING (0 0, 10 10)'));
+    expect(function() {
+      simplifier.setDistanceTolerance(-1);
+    }).toThrow();
+  });
+});
@@ -0,0 +1,63 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.simplify.TopologyPreservingSimplifier', function() {
+  var reader = new jsts.io.WKTReader();
+  var simplify = function(wkt, tolerance) {
+    return jsts.simplify.TopologyPreservingSimplifier.simplify(reader
+        .read(wkt), tolerance);
+  };
+
+  it('removes vertices within the tolerance of a linestring', function() {
+    var result = simplify('LINESTRING (0 5, 1 5, 2 5, 5 5)', 10);
+    expect(result.equals(reader.read('LINESTRING (0 5, 5 5)'))).toBeTruthy();
+  });
+
+  it('simplifies a polygon', function() {
+    var result = simplify(
+        'POLYGON ((20 220, 40 220, 60 220, 80 220, 100 220, 120 220, 140 220, 140 180, 100 180, 60 180, 20 180, 20 220))',
+        10);
+    expect(result.equals(reader
+        .read('POLYGON ((20 220, 140 220, 140 180, 20 180, 20 220))')))
+        .toBeTruthy();
+  });
+
+  it('does not collapse a polygon smaller than the tolerance', function() {
+    var wkt = 'POLYGON ((0 5, 5 5, 5 0, 0 0, 0 5))';
+    expect(simplify(wkt, 10).equals(reader.read(wkt))).toBeTruthy();
+  });
+
+  it('keeps holes which would be crossed by the simplified shell', function() {
+    var result = simplify(
+        'POLYGON ((0 0, 50 0, 100 0, 100 100, 50 51, 0 100, 0 0), (40 40, 60 40, 50 48, 40 40))',
+        10);
+    expect(result.getNumInteriorRing()).toEqual(1);
+  });
+
+  it('produces a valid polygon when keeping a hole', function() {
+    var result = simplify(
+        'POLYGON ((0 0, 50 0, 100 0, 100 100, 50 51, 0 100, 0 0), (40 40, 60 40, 50 48, 40 40))',
+        10);
+    expect(result.isValid()).toBeTruthy();
+  });
+
+  it('keeps every component of a multipolygon', function() {
+    var wkt = 'MULTIPOLYGON (((0 0, 10 0, 10 10, 0 10, 0 0)), ((20 0, 30 0, 30 10, 20 10, 20 0)))';
+    expect(simplify(wkt, 20).getNumGeometries()).toEqual(2);
+  });
+
+  it('returns an empty geometry for empty input', function() {
+    expect(simplify('LINESTRING EMPTY', 10).isEmpty()).toBeTruthy();
+  });
+
+  it('rejects a negative tolerance', function() {
+    var simplifier = new jsts.simplify.TopologyPreservingSimplifier(reader
+        .read('LINESTRING (0 0, 10 10)'));
+    expect(function() {
+      simplifier.setDistanceTolerance(-1);
+    }).toThrow();
+  });
+});
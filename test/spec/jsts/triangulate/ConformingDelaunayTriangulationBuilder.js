@@ -0,0 +1,63 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.triangulate.ConformingDelaunayTriangulationBuilder', function() {
+  var geomFact = new jsts.geom.GeometryFactory();
+  var reader = new jsts.io.WKTReader();
+
+  var createBuilder = function(sitesWKT, constraintsWKT) {
+    var builder = new jsts.triangulate.ConformingDelaunayTriangulationBuilder();
+    if (sitesWKT !== null)
+      builder.setSites(reader.read(sitesWKT));
+    builder.setConstraints(reader.read(constraintsWKT));
+    return builder;
+  };
+
+  it('triangulates constraints without extra sites', function() {
+    var builder = createBuilder(null, 'LINESTRING (10 10, 10 20, 20 20)');
+    var expected = reader.read(
+        'GEOMETRYCOLLECTION (POLYGON ((10 20, 10 10, 20 20, 10 20)))');
+    expect(builder.getTriangles(geomFact).equals(expected)).toBeTruthy();
+  });
+
+  it('splits encroached constraint segments', function() {
+    var constraints = reader.read('LINESTRING (0 0, 10 0)');
+    var builder = createBuilder('MULTIPOINT ((5 1), (5 -8))',
+        'LINESTRING (0 0, 10 0)');
+    var edges = builder.getEdges(geomFact);
+    // the plain Delaunay triangulation would contain the edge (5 1, 5 -8)
+    // crossing the constraint
+    expect(edges.covers(constraints)).toBeTruthy();
+    expect(builder.getSubdivision().getVertices(false).length > 4)
+        .toBeTruthy();
+  });
+
+  it('extracts the triangles inside a polygon with a hole', function() {
+    var poly = reader.read('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), ' +
+        '(4 4, 6 4, 6 6, 4 6, 4 4))');
+    var builder = createBuilder(null, poly.toString());
+    var tris = builder.getInteriorTriangles(geomFact);
+    expect(tris.getNumGeometries() <
+        builder.getTriangles(geomFact).getNumGeometries()).toBeTruthy();
+    expect(tris.getArea()).toEqual(96);
+    expect(tris.union().equalsTopo(poly)).toBeTruthy();
+  });
+
+  it('extracts the triangles inside several polygons', function() {
+    var builder = createBuilder('MULTIPOINT ((15 15))',
+        'MULTIPOLYGON (((0 0, 10 0, 10 10, 0 10, 0 0)), ' +
+        '((20 0, 30 0, 25 5, 20 0)))');
+    var tris = builder.getInteriorTriangles(geomFact);
+    expect(tris.getArea()).toEqual(125);
+  });
+
+  it('returns no interior triangles for linear constraints', function() {
+    var builder = createBuilder('MULTIPOINT ((5 5))',
+        'LINESTRING (0 0, 10 0, 10 10)');
+    expect(builder.getInteriorTriangles(geomFact).isEmpty()).toBeTruthy();
+    expect(builder.getTriangles(geomFact).getNumGeometries()).toEqual(2);
+  });
+});
@@ -0,0 +1,104 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.triangulate.polygon.PolygonTriangulator', function() {
+  var reader = new jsts.io.WKTReader();
+  var PolygonTriangulator = jsts.triangulate.polygon.PolygonTriangulator;
+
+  /**
+   * Checks that the triangles are non-degenerate and exactly cover the input.
+   */
+  var checkTriangulation = function(wkt, numTriangles) {
+    var geom = reader.read(wkt);
+    var tris = PolygonTriangulator.triangulate(geom);
+    expect(tris.getNumGeometries()).toEqual(numTriangles);
+
+    var polys = [];
+    var area = 0;
+    for (var i = 0; i < tris.getNumGeometries(); i++) {
+      var tri = tris.getGeometryN(i);
+      expect(tri.getNumPoints()).toEqual(4);
+      expect(tri.getArea() > 0).toBeTruthy();
+      area += tri.getArea();
+      polys.push(tri);
+    }
+    expect(Math.abs(area - geom.getArea()) < 1e-9).toBeTruthy();
+    expect(jsts.operation.union.CascadedPolygonUnion.union(polys)
+        .equalsTopo(geom)).toBeTruthy();
+  };
+
+  it('triangulates a convex polygon', function() {
+    checkTriangulation('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))', 2);
+    checkTriangulation('POLYGON ((0 0, 0 10, 10 10, 10 0, 0 0))', 2);
+  });
+
+  it('triangulates a concave polygon', function() {
+    checkTriangulation('POLYGON ((0 0, 10 0, 10 10, 5 2, 0 10, 0 0))', 3);
+    checkTriangulation('POLYGON ((0 0, 10 0, 10 1, 9 1, 9 9, 8 9, 8 1, ' +
+        '7 1, 7 9, 6 9, 6 1, 5 1, 5 9, 0 9, 0 0))', 10);
+  });
+
+  it('respects holes', function() {
+    checkTriangulation('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), ' +
+        '(4 4, 6 4, 6 6, 4 6, 4 4))', 8);
+    checkTriangulation('POLYGON ((0 0, 20 0, 20 20, 0 20, 0 0), ' +
+        '(2 2, 2 8, 8 8, 8 2, 2 2), (12 2, 12 8, 18 8, 18 2, 12 2), ' +
+        '(2 12, 2 18, 18 18, 18 12, 2 12))', 17);
+    checkTriangulation('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), ' +
+        '(2 2, 4 2, 4 4, 2 4, 2 2), (6 2, 8 2, 8 4, 6 4, 6 2), ' +
+        '(2 6, 8 6, 8 8, 2 8, 2 6), ' +
+        '(4.5 4.5, 5.5 4.5, 5.5 5.5, 4.5 5.5, 4.5 4.5))', 23);
+  });
+
+  it('respects holes touching the shell', function() {
+    checkTriangulation('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), ' +
+        '(0 0, 5 2, 2 5, 0 0))', 5);
+    checkTriangulation('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), ' +
+        '(10 10, 5 8, 8 5, 10 10))', 5);
+    checkTriangulation('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), ' +
+        '(0 0, 5 2, 2 5, 0 0), (10 10, 5 8, 8 5, 10 10))', 8);
+    checkTriangulation('POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), ' +
+        '(5 0, 7 3, 3 3, 5 0))', 6);
+  });
+
+  it('throws an error if a ring cannot be triangulated', function() {
+    expect(function() {
+      PolygonTriangulator.triangulate(reader.read(
+          'POLYGON ((0 0, 10 0, 10 10, 8 -2, 0 10, 0 0))'));
+    }).toThrow();
+  });
+
+  it('handles repeated and collinear vertices', function() {
+    checkTriangulation('POLYGON ((0 0, 5 0, 10 0, 10 5, 10 10, 10 10, ' +
+        '5 10, 0 10, 0 5, 0 0))', 6);
+  });
+
+  it('triangulates each polygon of a collection', function() {
+    checkTriangulation('MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ' +
+        '((10 10, 20 10, 20 20, 10 10)))', 2);
+  });
+
+  it('ignores empty and degenerate polygons', function() {
+    expect(PolygonTriangulator.triangulate(reader.read('POLYGON EMPTY'))
+        .isEmpty()).toBeTruthy();
+    expect(PolygonTriangulator.triangulate(
+        reader.read('POLYGON ((5 5, 6 5, 7 5, 5 5))')).isEmpty()).toBeTruthy();
+  });
+
+  it('provides triangles as indices into the vertex list', function() {
+    var triangulator = new PolygonTriangulator(reader.read(
+        'POLYGON ((0 0, 0 10, 10 10, 10 0, 0 0), (4 4, 6 4, 6 6, 4 6, 4 4))'));
+    var pts = triangulator.getCoordinates();
+    var indices = triangulator.getTriangleIndices();
+    expect(pts.length).toEqual(8);
+    expect(indices.length).toEqual(24);
+    for (var i = 0; i < indices.length; i += 3) {
+      expect(jsts.algorithm.CGAlgorithms.orientationIndex(pts[indices[i]],
+          pts[indices[i + 1]], pts[indices[i + 2]])).toEqual(
+          jsts.algorithm.CGAlgorithms.COUNTERCLOCKWISE);
+    }
+  });
+});
@@ -0,0 +1,51 @@
+/* Copyright (c) 2011 by The Authors.
+ * Published under the LGPL 2.1 license.
+ * See /license-notice.txt for the full text of the license notice.
+ * See /license.txt for the full text of the license.
+ */
+
+describe('jsts.util.PriorityQueue', function() {
+  var Item = function(value) {
+    this.value = value;
+  };
+  Item.prototype.compareTo = function(o) {
+    return this.value - o.value;
+  };
+
+  it('returns items in ascending order', function() {
+    var values = [5, 3, 9, 1, 7, 3, 8, 2, 6, 4, 0];
+    var queue = new jsts.util.PriorityQueue();
+    for (var i = 0; i < values.length; i++) {
+      queue.add(new Item(values[i]));
+    }
+    expect(queue.size()).toEqual(values.length);
+    expect(queue.peek().value).toEqual(0);
+
+    var polled = [];
+    while (!queue.isEmpty()) {
+      polled.push(queue.poll().value);
+    }
+    expect(polled).toEqual([0, 1, 2, 3, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it('can add items after polling', function() {
+    var queue = new jsts.util.PriorityQueue();
+    queue.add(new Item(2));
+    queue.add(new Item(4));
+    expect(queue.poll().value).toEqual(2);
+    queue.add(new Item(1));
+    queue.add(new Item(3));
+    expect(queue.poll().value).toEqual(1);
+    expect(queue.poll().value).toEqual(3);
+    expect(queue.poll().value).toEqual(4);
+  });
+
+  it('returns null when empty', function() {
+    var queue = new jsts.util.PriorityQueue();
+    expect(queue.poll()).toBeNull();
+    expect(queue.peek()).toBeNull();
+    queue.add(new Item(1));
+    queue.clear();
+    expect(queue.isEmpty()).toBeTruthy();
+  });
+});